@@ -1,23 +1,26 @@
-import OpenAI from 'openai';
-import Groq from 'groq-sdk';
-
 const FALLBACK_LANG = 'en';
-const FALLBACK_OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
-const FALLBACK_GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-
-const buildSystemPrompt = (language = FALLBACK_LANG) =>
-  [
-    `You are “Khushi from ITM”, the official assistant of IndianTradeMart (indiantrademart.com), a B2B marketplace that connects trusted manufacturers, suppliers, and buyers across India.`,
-    `Always answer in the user’s selected language code: ${language}. If language is 'hi', reply in natural Hindi; otherwise use English.`,
-    `Core duties: help users find products, suppliers, manufacturers; guide vendor registration (“Sell with Us/Become a Vendor” -> fill business + GST/license details, upload docs, verify phone/email, then list products); explain buying flow (search products, compare vendors, raise inquiries/RFQs, track responses).`,
-    `Tone: concise, friendly, professional, action-oriented. Offer 2–3 short steps or quick calls-to-action. Ask a brief clarifying question if intent is unclear.`,
-    `Safety: never share API keys or internal info; if asked about sensitive data, politely refuse.`,
-  ].join(' ');
+
+// Providers, history and tools use the server Supabase client; loaded lazily like the other functions' server libs
+const loadChatbotService = () => import('../../server/lib/chatbotService.js');
+const loadRateLimits = () => import('../../server/lib/rateLimits.js');
 
 const okCors = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Content-Type',
-  'Access-Control-Allow-Methods': 'POST,OPTIONS'
+  'Access-Control-Allow-Methods': 'GET,POST,OPTIONS'
+};
+
+const json = (statusCode, body, headers = {}) => ({
+  statusCode,
+  headers: { 'Content-Type': 'application/json', ...okCors, ...headers },
+  body: JSON.stringify(body),
+});
+
+const isHistoryPath = (event) => /\/history\/?$/.test(String(event.path || ''));
+
+const wantsStream = (event) => {
+  const accept = event.headers?.accept || event.headers?.Accept || '';
+  return String(event.queryStringParameters?.stream || '') === '1' || String(accept).includes('text/event-stream');
 };
 
 export const handler = async (event) => {
@@ -25,92 +28,78 @@ export const handler = async (event) => {
     return { statusCode: 200, headers: okCors, body: '' };
   }
 
-  if (event.httpMethod !== 'POST') {
-    return { statusCode: 405, headers: okCors, body: 'Method Not Allowed' };
-  }
-
   try {
+    const { checkChatRateLimit, getChatHistory, normalizeSessionId, resolveChatUserId, runChatTurn } =
+      await loadChatbotService();
+    const query = event.queryStringParameters || {};
+
+    if (event.httpMethod === 'GET' && isHistoryPath(event)) {
+      const sessionId = normalizeSessionId(query.session_id);
+      const userId = resolveChatUserId(event);
+      if (!sessionId && !userId) return json(200, { conversation: null, messages: [] });
+      return json(200, await getChatHistory({ sessionId, userId, conversationId: query.conversation_id || null }));
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, headers: okCors, body: 'Method Not Allowed' };
+    }
+
     const body = JSON.parse(event.body || '{}');
-    const { messages, language = FALLBACK_LANG, model } = body;
+    const { messages, language = FALLBACK_LANG, model, conversation_id: conversationId } = body;
 
     if (!Array.isArray(messages) || messages.length === 0) {
-      return { statusCode: 400, headers: okCors, body: JSON.stringify({ error: 'messages[] required' }) };
+      return json(400, { error: 'messages[] required' });
     }
 
-    const openaiKey = process.env.OPENAI_API_KEY;
-    const groqKey = process.env.GROQ_API_KEY;
+    const sessionId = normalizeSessionId(body.session_id);
+    if (!sessionId) return json(400, { error: 'session_id required' });
 
-    if (!openaiKey && !groqKey) {
-      return { statusCode: 500, headers: okCors, body: JSON.stringify({ error: 'No AI provider configured' }) };
+    const userId = resolveChatUserId(event);
+    const { resolveEventClientIp } = await loadRateLimits();
+    const clientIp = resolveEventClientIp(event);
+    const limit = await checkChatRateLimit({ userId, ip: clientIp });
+    if (!limit.allowed) {
+      return json(429, { error: 'Too many messages, please wait a few minutes' }, { 'Retry-After': String(limit.retryAfterSec) });
     }
 
-    let completion;
-    let providerUsed = 'openai';
+    const turn = {
+      messages: messages.map((m) => ({ role: m?.role === 'assistant' ? 'assistant' : 'user', text: String(m?.text || '') })),
+      language: String(language || FALLBACK_LANG).toLowerCase(),
+      sessionId,
+      userId,
+      conversationId: conversationId || null,
+      clientIp,
+      model,
+    };
 
-    // Try OpenAI first
-    if (openaiKey) {
-      const openai = new OpenAI({ apiKey: openaiKey });
+    if (!wantsStream(event)) {
       try {
-        completion = await openai.chat.completions.create({
-          model: model || FALLBACK_OPENAI_MODEL,
-          temperature: 0.6,
-          max_tokens: 512,
-          messages: [
-            { role: 'system', content: buildSystemPrompt(language) },
-            ...messages.map((m) => ({ role: m.role, content: m.text })),
-          ],
-        });
+        return json(200, await runChatTurn(turn));
       } catch (err) {
-        const status = err?.status || err?.response?.status;
-        const detail = err?.error?.message || err?.response?.data || err?.message;
-        const quotaError = status === 429 || (typeof detail === 'string' && detail.toLowerCase().includes('quota'));
-        if (!quotaError || !groqKey) {
-          return {
-            statusCode: 502,
-            headers: okCors,
-            body: JSON.stringify({ error: detail || 'OpenAI error' }),
-          };
-        }
-        providerUsed = 'groq';
+        if (err?.statusCode) return json(err.statusCode, { error: err.message });
+        throw err;
       }
-    } else {
-      providerUsed = 'groq';
     }
 
-    // Groq fallback or primary
-    if (providerUsed === 'groq') {
-      const groq = new Groq({ apiKey: groqKey });
-      try {
-        completion = await groq.chat.completions.create({
-          model: FALLBACK_GROQ_MODEL,
-          temperature: 0.6,
-          max_tokens: 512,
-          messages: [
-            { role: 'system', content: buildSystemPrompt(language) },
-            ...messages.map((m) => ({ role: m.role, content: m.text })),
-          ],
-        });
-      } catch (err) {
-        const detail = err?.error?.message || err?.response?.data || err?.message;
-        return {
-          statusCode: 502,
-          headers: okCors,
-          body: JSON.stringify({ error: detail || 'Groq error' }),
-        };
-      }
+    // Netlify functions return one body, so the event stream is buffered and sent in one piece;
+    // the widget parses it the same way as the streamed Express response
+    let stream = '';
+    const send = (name, data) => {
+      stream += `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+    };
+    try {
+      send('done', await runChatTurn({ ...turn, onEvent: send }));
+    } catch (err) {
+      if (!err?.statusCode) console.error('netlify chatbot error', err);
+      send('error', { error: err?.statusCode ? err.message : 'Internal error' });
     }
-
-    const text =
-      completion?.choices?.[0]?.message?.content ||
-      'Sorry, I could not generate a response right now.';
-
     return {
       statusCode: 200,
-      headers: { 'Content-Type': 'application/json', ...okCors },
-      body: JSON.stringify({ text, provider: providerUsed }),
+      headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...okCors },
+      body: stream,
     };
   } catch (err) {
     console.error('netlify chatbot error', err);
-    return { statusCode: 500, headers: okCors, body: JSON.stringify({ error: 'Internal error' }) };
+    return json(500, { error: 'Internal error' });
   }
 };
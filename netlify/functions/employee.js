@@ -748,17 +748,31 @@ export const handler = async (event) => {
 
       // GET /api/employee/sales/pricing-rules
       if (event.httpMethod === 'GET' && tail[1] === 'pricing-rules') {
+        // Lead pricing rules drive the server-side lead price (compute_lead_price)
         const { data, error } = await supabase
-          .from('vendor_plans')
+          .from('lead_pricing_rules')
           .select('*')
+          .order('priority', { ascending: true })
           .order('created_at', { ascending: false });
 
         const errText = String(error?.message || '').toLowerCase();
-        if (error && !(error?.code === '42P01' || errText.includes('vendor_plans'))) {
+        if (!error) return json(200, { success: true, rules: data || [] });
+        if (!(error?.code === '42P01' || errText.includes('lead_pricing_rules'))) {
           return json(500, { success: false, error: error.message || 'Failed to load pricing rules' });
         }
 
-        return json(200, { success: true, rules: data || [] });
+        // Migration not applied yet: fall back to plan prices
+        const { data: plans, error: plansError } = await supabase
+          .from('vendor_plans')
+          .select('*')
+          .order('created_at', { ascending: false });
+
+        const plansErrText = String(plansError?.message || '').toLowerCase();
+        if (plansError && !(plansError?.code === '42P01' || plansErrText.includes('vendor_plans'))) {
+          return json(500, { success: false, error: plansError.message || 'Failed to load pricing rules' });
+        }
+
+        return json(200, { success: true, rules: plans || [] });
       }
     }
 
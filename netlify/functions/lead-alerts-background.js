@@ -0,0 +1,42 @@
+// Background function (the -background suffix: Netlify replies 202 at once and runs this for up to 15 min).
+// POST { lead_id } from /api/vendors/marketplace-leads with X-Lead-Alerts-Secret; also retries leads whose
+// earlier hand-off failed or whose run stopped midway.
+// Distribution claims each lead (alerts_distributed_at), so repeated calls are harmless.
+const loadLeadAlerts = () => import('../../server/lib/leadAlerts.js');
+
+export const handler = async (event) => {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method Not Allowed' };
+  }
+
+  const { assertLeadAlertsSecret, distributeLeadAlerts, distributePendingLeadAlerts } = await loadLeadAlerts();
+  try {
+    const headers = Object.fromEntries(Object.entries(event.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+    assertLeadAlertsSecret(headers['x-lead-alerts-secret']);
+  } catch (err) {
+    return { statusCode: err.statusCode || 401, body: err.message };
+  }
+
+  let leadId = '';
+  try {
+    leadId = String(JSON.parse(event.body || '{}')?.lead_id || '').trim();
+  } catch {
+    leadId = '';
+  }
+
+  if (leadId) {
+    try {
+      await distributeLeadAlerts(leadId);
+    } catch (err) {
+      console.warn(`[LeadAlerts] lead ${leadId} failed:`, err?.message || err);
+    }
+  }
+
+  try {
+    await distributePendingLeadAlerts();
+  } catch (err) {
+    console.warn('[LeadAlerts] pending sweep failed:', err?.message || err);
+  }
+
+  return { statusCode: 202, body: '' };
+};
@@ -1,13 +1,15 @@
 import crypto from 'crypto';
 import Razorpay from 'razorpay';
-import nodemailer from 'nodemailer';
 import jwt from 'jsonwebtoken';
 import { createClient } from '@supabase/supabase-js';
-import {
-  generateInvoiceNumber,
-  generateInvoicePDF,
-  generateInvoiceSummary,
-} from '../../server/lib/invoiceGenerator.js';
+
+// GST tax invoices / credit notes, fulfillment and webhooks (lazy: pull in the shared server Supabase client)
+const loadTaxInvoices = () => import('../../server/lib/taxInvoices.js');
+const loadPaymentFulfillment = () => import('../../server/lib/paymentFulfillment.js');
+const loadRazorpayWebhook = () => import('../../server/lib/razorpayWebhook.js');
+const loadPlanChanges = () => import('../../server/lib/planChanges.js');
+const loadSubscriptionRenewals = () => import('../../server/lib/subscriptionRenewals.js');
+const loadLeadPurchase = () => import('../../server/lib/leadPurchase.js');
 
 const AUTH_COOKIE_NAME = process.env.AUTH_COOKIE_NAME || 'itm_access';
 
@@ -45,26 +47,6 @@ const getRazorpay = () => {
   return new Razorpay({ key_id, key_secret });
 };
 
-const createTransporter = () => {
-  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT || '587', 10),
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-    });
-  }
-
-  if (process.env.GMAIL_EMAIL && process.env.GMAIL_APP_PASSWORD) {
-    return nodemailer.createTransport({
-      service: 'gmail',
-      auth: { user: process.env.GMAIL_EMAIL, pass: process.env.GMAIL_APP_PASSWORD },
-    });
-  }
-
-  return null;
-};
-
 const parseRoute = (eventPath = '') => {
   const parts = String(eventPath || '').split('/').filter(Boolean);
   const idx = parts.lastIndexOf('payment');
@@ -270,79 +252,37 @@ export const handler = async (event) => {
     // GET /api/payment/invoice/:payment_id
     // GET /api/payment/invoice/by-tx/:transaction_id
     if (event.httpMethod === 'GET' && action === 'invoice') {
-      const refresh = String(event.queryStringParameters?.refresh || '').toLowerCase() === 'true';
-
-      const loadInvoiceByPaymentId = async (paymentId) => {
-        const { data: payment, error } = await supabase
-          .from('vendor_payments')
-          .select('*')
-          .eq('id', paymentId)
-          .maybeSingle();
-        if (error || !payment) return { payment: null, error: 'Payment not found' };
-        return { payment, error: null };
-      };
+      const authUser = await resolveAuthenticatedUser(event, supabase);
+      if (!authUser?.id) return json(401, { error: 'Unauthorized' });
 
-      const loadInvoiceByTransactionId = async (transactionId) => {
-        const { data: payment, error } = await supabase
-          .from('vendor_payments')
-          .select('*')
-          .eq('transaction_id', transactionId)
-          .maybeSingle();
-        if (error || !payment) return { payment: null, error: 'Payment not found' };
-        return { payment, error: null };
-      };
+      const vendor = await resolveVendorForAuthUser(supabase, authUser);
+      if (!vendor?.id) return json(404, { error: 'Vendor profile not found' });
 
-      let lookup = null;
-      if (params[0] === 'by-tx') {
-        const transactionId = params[1];
-        if (!transactionId) return json(400, { error: 'Missing transaction_id' });
-        lookup = await loadInvoiceByTransactionId(transactionId);
-      } else {
-        const paymentId = params[0];
-        if (!paymentId) return json(400, { error: 'Missing payment_id' });
-        lookup = await loadInvoiceByPaymentId(paymentId);
-      }
+      const refresh = String(event.queryStringParameters?.refresh || '').toLowerCase() === 'true';
 
-      if (!lookup?.payment) {
-        return json(404, { error: lookup?.error || 'Payment not found' });
-      }
+      const { getPaymentDocuments, getPaymentDocumentsByTransaction } = await loadTaxInvoices();
 
-      const payment = lookup.payment;
-      if (refresh || !payment.invoice_url) {
-        const [{ data: vendor }, { data: plan }] = await Promise.all([
-          supabase.from('vendors').select('*').eq('id', payment.vendor_id).maybeSingle(),
-          supabase.from('vendor_plans').select('*').eq('id', payment.plan_id).maybeSingle(),
-        ]);
-
-        const invoicePdfData = {
-          invoiceNumber: payment.invoice_number || generateInvoiceNumber(),
-          invoiceDate: payment.payment_date || new Date(),
-          dueDate: payment.payment_date || new Date(),
-          vendor: vendor || {},
-          plan: plan || {},
-          amount: payment.amount,
-          discount_amount: payment.discount_amount || 0,
-          coupon_code: payment.coupon_code || '',
-          tax: payment.tax_amount || 0,
-          totalAmount: payment.net_amount || payment.amount,
-          paymentMethod: payment.payment_method || 'Razorpay',
-          transactionId: payment.transaction_id,
-        };
-
-        const newPdf = generateInvoicePDF(invoicePdfData);
-        await supabase
-          .from('vendor_payments')
-          .update({
-            invoice_url: newPdf,
-            invoice_number: invoicePdfData.invoiceNumber,
-          })
-          .eq('id', payment.id);
-
-        payment.invoice_url = newPdf;
+      let docs;
+      try {
+        if (params[0] === 'by-tx') {
+          const transactionId = params[1];
+          if (!transactionId) return json(400, { error: 'Missing transaction_id' });
+          docs = await getPaymentDocumentsByTransaction(transactionId, { refresh, vendorId: vendor.id });
+        } else {
+          const paymentId = params[0];
+          if (!paymentId) return json(400, { error: 'Missing payment_id' });
+          docs = await getPaymentDocuments(paymentId, { refresh, vendorId: vendor.id });
+        }
+      } catch (e) {
+        return json(e?.statusCode || 500, { error: e?.message || 'Invoice not available' });
       }
 
-      if (!payment.invoice_url) return json(404, { error: 'Invoice not available' });
-      return json(200, { success: true, invoice: payment.invoice_url });
+      return json(200, {
+        success: true,
+        invoice: docs.invoice_pdf,
+        invoice_number: docs.invoice.document_number,
+        credit_notes: docs.credit_notes,
+      });
     }
 
     // POST /api/payment/initiate
@@ -447,7 +387,6 @@ export const handler = async (event) => {
     // POST /api/payment/verify
     if (event.httpMethod === 'POST' && action === 'verify') {
       const { order_id, payment_id, signature, vendor_id, plan_id } = body;
-      const coupon_code = normalizeText(body?.coupon_code).toUpperCase();
 
       if (!order_id || !payment_id || !signature || !vendor_id || !plan_id) {
         return json(400, { error: 'Missing required fields' });
@@ -466,177 +405,260 @@ export const handler = async (event) => {
         return json(400, { error: 'Invalid payment signature' });
       }
 
-      const { data: vendor } = await supabase
-        .from('vendors')
-        .select('*')
-        .eq('id', vendor_id)
-        .single();
-
-      const { data: plan } = await supabase
-        .from('vendor_plans')
-        .select('*')
-        .eq('id', plan_id)
-        .single();
-
-      if (!vendor || !plan) return json(404, { error: 'Vendor or plan not found' });
-
-      await supabase
-        .from('vendor_plan_subscriptions')
-        .update({ status: 'INACTIVE' })
-        .eq('vendor_id', vendor_id)
-        .eq('status', 'ACTIVE');
+      const razorpay = getRazorpay();
+      if (!razorpay) return json(500, { error: 'Payment gateway not configured' });
 
-      let discountAmount = 0;
-      let netAmount = Number(plan.price || 0);
-      let coupon = null;
-      if (coupon_code) {
-        const { data: cpn } = await supabase
-          .from('vendor_plan_coupons')
-          .select('*')
-          .eq('code', coupon_code)
-          .eq('is_active', true)
-          .maybeSingle();
-        if (cpn) {
-          const now = new Date();
-          const okUsage = !cpn.max_uses || cpn.max_uses === 0 || cpn.used_count < cpn.max_uses;
-          const okExpiry = !cpn.expires_at || new Date(cpn.expires_at) >= now;
-          const okVendor = !cpn.vendor_id || cpn.vendor_id === vendor_id;
-          const okPlan = !cpn.plan_id || cpn.plan_id === plan_id;
-          if (okUsage && okExpiry && okVendor && okPlan) {
-            if (cpn.discount_type === 'PERCENT') {
-              discountAmount = (Number(plan.price || 0) * Number(cpn.value)) / 100;
-            } else {
-              discountAmount = Number(cpn.value || 0);
-            }
-            discountAmount = Math.max(0, Math.min(discountAmount, Number(plan.price || 0)));
-            netAmount = Math.max(0, Number(plan.price || 0) - discountAmount);
-            coupon = cpn;
-          }
-        }
+      // Vendor, plan and coupon are taken from the order /initiate created, never from the browser
+      let order;
+      try {
+        order = await razorpay.orders.fetch(order_id);
+      } catch {
+        return json(400, { error: 'Unknown payment order' });
       }
 
-      const invoiceNumber = generateInvoiceNumber();
-      const durationDays = Number(plan.duration_days || 365);
-      const startDate = new Date();
-      const endDate = new Date(startDate);
-      endDate.setDate(endDate.getDate() + (Number.isFinite(durationDays) ? durationDays : 365));
+      const orderVendorId = normalizeText(order?.notes?.vendor_id);
+      const orderPlanId = normalizeText(order?.notes?.plan_id);
+      const orderCoupon = normalizeText(order?.notes?.coupon_code).toUpperCase();
+      if (
+        !orderVendorId ||
+        !orderPlanId ||
+        orderVendorId !== normalizeText(vendor_id) ||
+        orderPlanId !== normalizeText(plan_id)
+      ) {
+        return json(400, { error: 'Payment order does not match this plan' });
+      }
 
-      const { data: subscription, error: subscriptionError } = await supabase
-        .from('vendor_plan_subscriptions')
-        .insert([
-          {
+      // Same path as the payment.captured webhook; whichever runs second is a no-op
+      const { fulfillSubscriptionPayment } = await loadPaymentFulfillment();
+      let result;
+      try {
+        result = await fulfillSubscriptionPayment({
+          vendorId: orderVendorId,
+          planId: orderPlanId,
+          couponCode: orderCoupon,
+          razorpayPaymentId: payment_id,
+          orderId: order_id,
+          paidAmount: Math.round(Number(order?.amount || 0)) / 100,
+        });
+      } catch (e) {
+        return json(e?.statusCode || 500, { error: e?.message || 'Payment verification failed' });
+      }
+      const { payment, subscription, invoice } = result;
+
+      if (!result.already_fulfilled && payment) {
+        await writeAuditLog(supabase, {
+          actor: {
+            id: result.vendor?.user_id || vendor_id,
+            type: 'VENDOR',
+            role: 'VENDOR',
+            email: result.vendor?.email || null,
+          },
+          action: 'PAYMENT_COMPLETED',
+          entityType: 'vendor_payments',
+          entityId: payment.id,
+          details: {
             vendor_id,
             plan_id,
-            start_date: startDate.toISOString(),
-            end_date: endDate.toISOString(),
-            status: 'ACTIVE',
-            plan_duration_days: Number.isFinite(durationDays) ? durationDays : 365,
+            subscription_id: subscription?.id || null,
+            transaction_id: payment_id,
+            amount: payment.amount,
+            discount_amount: result.discount_amount,
+            net_amount: result.net_amount,
+            coupon_code: orderCoupon || null,
           },
-        ])
-        .select()
-        .single();
-
-      if (subscriptionError) {
-        return json(500, { error: 'Failed to create subscription' });
+        });
       }
 
-      const price = Number(plan.price || 0);
-      const invoicePdfData = {
-        invoiceNumber,
-        invoiceDate: new Date(),
-        dueDate: new Date(),
-        vendor,
-        plan,
-        amount: price,
-        discount_amount: discountAmount,
-        tax: 0,
-        totalAmount: netAmount,
-        paymentMethod: 'Razorpay',
-        transactionId: payment_id,
-      };
+      return json(200, {
+        success: true,
+        message: result.already_fulfilled ? 'Payment already verified' : 'Payment verified and subscription activated',
+        subscription,
+        payment,
+        invoice_number: invoice?.document_number || payment?.invoice_number || null,
+      });
+    }
 
-      const invoicePdf = generateInvoicePDF(invoicePdfData);
+    // POST /api/payment/webhook
+    // Razorpay webhook: signed with RAZORPAY_WEBHOOK_SECRET, idempotent per X-Razorpay-Event-Id
+    if (event.httpMethod === 'POST' && action === 'webhook') {
+      const headers = event.headers || {};
+      const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64') : event.body || '';
+      const { handleRazorpayWebhook } = await loadRazorpayWebhook();
+      const { status, body: responseBody } = await handleRazorpayWebhook({
+        rawBody,
+        signature: headers['x-razorpay-signature'] || headers['X-Razorpay-Signature'],
+        eventId: headers['x-razorpay-event-id'] || headers['X-Razorpay-Event-Id'],
+      });
+      return json(status, responseBody);
+    }
 
-      const { data: payment, error: paymentError } = await supabase
-        .from('vendor_payments')
-        .insert([
-          {
-            vendor_id,
-            plan_id,
-            subscription_id: subscription.id,
-            amount: price,
-            discount_amount: discountAmount,
-            net_amount: netAmount,
-            description: `Subscription: ${plan.name}`,
-            status: 'COMPLETED',
-            payment_method: 'Razorpay',
-            transaction_id: payment_id,
-            payment_date: new Date().toISOString(),
-            invoice_url: invoicePdf,
-            coupon_code: coupon_code || null,
-          },
-        ])
-        .select()
-        .single();
+    // /api/payment/plan-change/{quote,initiate,verify}
+    // Prorated upgrade / downgrade of the vendor's active plan
+    if (action === 'plan-change') {
+      const authUser = await resolveAuthenticatedUser(event, supabase);
+      if (!authUser?.id) return json(401, { error: 'Unauthorized' });
 
-      if (!paymentError && coupon) {
-        await supabase
-          .from('vendor_plan_coupons')
-          .update({ used_count: (coupon.used_count || 0) + 1 })
-          .eq('id', coupon.id);
-        await supabase.from('vendor_coupon_usages').insert([
-          {
-            coupon_id: coupon.id,
-            payment_id: payment?.id || null,
-            vendor_id,
-            plan_id,
-            discount_amount: discountAmount,
-            net_amount: netAmount,
+      const vendor = await resolveVendorForAuthUser(supabase, authUser);
+      if (!vendor?.id) return json(404, { error: 'Vendor profile not found' });
+
+      const { applyPlanChange, findPlanChangeByOrder, initiatePlanChange, quotePlanChange } = await loadPlanChanges();
+      const actor = { id: vendor.user_id || vendor.id, type: 'VENDOR', role: 'VENDOR', email: vendor.email || null };
+      const audit = async (result) => {
+        if (result.already_applied || !result.change) return;
+        await writeAuditLog(supabase, {
+          actor,
+          action: 'PLAN_CHANGED',
+          entityType: 'vendor_plan_changes',
+          entityId: result.change.id,
+          details: {
+            kind: result.change.kind,
+            from_plan_id: result.change.from_plan_id,
+            to_plan_id: result.change.to_plan_id,
+            credit_amount: result.change.credit_amount,
+            charge_amount: result.change.charge_amount,
+            refund_amount: result.change.refund_amount,
+            subscription_id: result.change.new_subscription_id,
+            payment_id: result.payment?.id || null,
           },
-        ]);
-      }
+        });
+      };
+      const applied = (result) => ({
+        success: true,
+        already_applied: Boolean(result.already_applied),
+        change: result.change,
+        subscription: result.subscription,
+        invoice_number: result.invoice?.document_number || result.payment?.invoice_number || null,
+        refund: result.refund,
+      });
 
       try {
-        const transporter = createTransporter();
-        if (transporter && vendor.email) {
-          const invoiceSummary = generateInvoiceSummary(invoicePdfData);
-          const base64Part = String(invoicePdf).includes(',') ? String(invoicePdf).split(',')[1] : '';
-          await transporter.sendMail({
-            from: process.env.GMAIL_EMAIL || process.env.SMTP_USER,
-            to: vendor.email,
-            subject: `Invoice ${invoiceNumber} - Subscription Purchase`,
-            html: `
-              <h2>Subscription Confirmation</h2>
-              <p>Dear ${vendor.company_name || 'Vendor'},</p>
-              <p>Your subscription has been successfully activated.</p>
-              ${invoiceSummary}
-              <p><strong>Subscription Period:</strong> ${startDate.toLocaleDateString('en-IN')} to ${endDate.toLocaleDateString('en-IN')}</p>
-              <p>Thank you for choosing Indian Trade Mart!</p>
-            `,
-            ...(base64Part
-              ? {
-                  attachments: [
-                    {
-                      filename: `${invoiceNumber}.pdf`,
-                      content: base64Part,
-                      encoding: 'base64',
-                      contentType: 'application/pdf',
-                    },
-                  ],
-                }
-              : {}),
+        if (event.httpMethod === 'GET' && params[0] === 'quote') {
+          const planId = normalizeText(event.queryStringParameters?.plan_id);
+          const quote = await quotePlanChange({ vendorId: vendor.id, planId });
+          return json(200, { success: true, quote });
+        }
+
+        if (event.httpMethod === 'POST' && params[0] === 'initiate') {
+          const planId = normalizeText(body?.plan_id);
+          if (!planId) return json(400, { error: 'Missing plan_id' });
+
+          const result = await initiatePlanChange({ vendor, planId });
+          if (!result.payment_required) {
+            await audit(result);
+            return json(200, { ...applied(result), payment_required: false, quote: result.quote });
+          }
+
+          return json(200, {
+            success: true,
+            payment_required: true,
+            key_id: process.env.RAZORPAY_KEY_ID,
+            quote: result.quote,
+            change: result.change,
+            order: {
+              id: result.order.id,
+              amount: result.order.amount,
+              currency: result.order.currency,
+              plan_change_id: result.change.id,
+              plan_name: result.quote.to_plan.name,
+              vendor_email: vendor.email || '',
+            },
           });
         }
-      } catch {
-        // ignore email failures
+
+        if (event.httpMethod === 'POST' && params[0] === 'verify') {
+          const orderId = normalizeText(body?.order_id);
+          const paymentId = normalizeText(body?.payment_id);
+          const signature = normalizeText(body?.signature);
+          if (!orderId || !paymentId || !signature) return json(400, { error: 'Missing required fields' });
+
+          const expectedSignature = crypto
+            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+          if (expectedSignature !== signature) {
+            return json(400, { error: 'Invalid payment signature' });
+          }
+
+          // Same path as the payment.captured webhook; whichever runs second is a no-op
+          const change = await findPlanChangeByOrder(orderId, vendor.id);
+          const result = await applyPlanChange({ changeId: change.id, razorpayPaymentId: paymentId, orderId });
+          await audit(result);
+          return json(200, applied(result));
+        }
+      } catch (e) {
+        return json(e?.statusCode || 500, { error: e?.message || 'Plan change failed' });
       }
+    }
 
-      return json(200, {
-        success: true,
-        message: 'Payment verified and subscription activated',
-        subscription,
-        payment,
-      });
+    // /api/payment/auto-renew, /api/payment/auto-renew/{setup,verify,cancel}
+    // Saved Razorpay mandate that renews the vendor's plan on its end date
+    if (action === 'auto-renew') {
+      const authUser = await resolveAuthenticatedUser(event, supabase);
+      if (!authUser?.id) return json(401, { error: 'Unauthorized' });
+
+      const vendor = await resolveVendorForAuthUser(supabase, authUser);
+      if (!vendor?.id) return json(404, { error: 'Vendor profile not found' });
+
+      const { confirmAutoRenew, disableAutoRenew, getAutoRenewStatus, setupAutoRenew } = await loadSubscriptionRenewals();
+      const actor = { id: vendor.user_id || vendor.id, type: 'VENDOR', role: 'VENDOR', email: vendor.email || null };
+      const audit = (auditAction, details = {}) =>
+        writeAuditLog(supabase, {
+          actor,
+          action: auditAction,
+          entityType: 'vendor_payment_mandates',
+          entityId: details.mandate_id || null,
+          details,
+        });
+
+      try {
+        if (event.httpMethod === 'GET' && !params[0]) {
+          const status = await getAutoRenewStatus(vendor.id);
+          return json(200, { success: true, auto_renew: status });
+        }
+
+        if (event.httpMethod === 'POST' && params[0] === 'setup') {
+          const result = await setupAutoRenew({ vendor });
+          if (!result.authorization_required) {
+            await audit('AUTO_RENEW_ENABLED', { mandate_id: result.mandate?.id || null });
+            return json(200, { success: true, authorization_required: false, mandate: result.mandate });
+          }
+
+          return json(200, {
+            success: true,
+            authorization_required: true,
+            key_id: process.env.RAZORPAY_KEY_ID,
+            mandate: result.mandate,
+            checkout: { ...result.checkout, vendor_email: vendor.email || '' },
+          });
+        }
+
+        if (event.httpMethod === 'POST' && params[0] === 'verify') {
+          const orderId = normalizeText(body?.order_id);
+          const paymentId = normalizeText(body?.payment_id);
+          const signature = normalizeText(body?.signature);
+          if (!orderId || !paymentId || !signature) return json(400, { error: 'Missing required fields' });
+
+          const expectedSignature = crypto
+            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+          if (expectedSignature !== signature) {
+            return json(400, { error: 'Invalid payment signature' });
+          }
+
+          const mandate = await confirmAutoRenew({ vendor, orderId, paymentId });
+          await audit('AUTO_RENEW_ENABLED', { mandate_id: mandate.id, method: mandate.method });
+          return json(200, { success: true, mandate });
+        }
+
+        if (event.httpMethod === 'POST' && params[0] === 'cancel') {
+          const result = await disableAutoRenew({ vendor });
+          await audit('AUTO_RENEW_DISABLED');
+          return json(200, { success: true, ...result });
+        }
+      } catch (e) {
+        return json(e?.statusCode || 500, { error: e?.message || 'Auto-renew request failed' });
+      }
     }
 
     // POST /api/payment/lead/initiate
@@ -654,6 +676,17 @@ export const handler = async (event) => {
       const vendor = await resolveVendorForAuthUser(supabase, authUser);
       if (!vendor?.id) return json(404, { error: 'Vendor profile not found' });
 
+      // Price + plan-quota coverage come from the DB (lead_pricing_rules), never from the client
+      const { data: quote, error: quoteError } = await supabase.rpc('lead_purchase_quote', {
+        p_vendor_id: vendor.id,
+        p_lead_id: leadId,
+      });
+      if (quoteError) {
+        const { mapLeadPurchaseError } = await loadLeadPurchase();
+        const mapped = mapLeadPurchaseError(quoteError);
+        return json(mapped.status, { error: mapped.error || 'Failed to price lead' });
+      }
+
       const { data: lead, error: leadError } = await supabase
         .from('leads')
         .select('*')
@@ -699,7 +732,17 @@ export const handler = async (event) => {
         return json(409, { error: 'This lead has reached maximum 5 vendors limit' });
       }
 
-      const leadPrice = parseCurrencyAmount(lead?.price, 50);
+      // Plan quota (or a free lead) covers it: no order, client calls /api/vendors/me/leads/:leadId/purchase
+      if (!quote?.payment_required) {
+        return json(200, {
+          success: true,
+          payment_required: false,
+          covered_by_quota: Boolean(quote?.covered_by_quota),
+          lead_price: Number(quote?.price || 0),
+        });
+      }
+
+      const leadPrice = parseCurrencyAmount(quote?.price, 0);
       if (leadPrice <= 0) {
         return json(400, { error: 'Invalid lead price for online payment' });
       }
@@ -726,6 +769,7 @@ export const handler = async (event) => {
 
       return json(200, {
         success: true,
+        payment_required: true,
         key_id: process.env.RAZORPAY_KEY_ID,
         order: {
           id: order.id,
@@ -766,69 +810,60 @@ export const handler = async (event) => {
         return json(400, { error: 'Invalid payment signature' });
       }
 
-      const { data: lead, error: leadError } = await supabase
-        .from('leads')
-        .select('*')
-        .eq('id', leadId)
-        .maybeSingle();
+      const razorpay = getRazorpay();
+      if (!razorpay) return json(500, { error: 'Payment gateway not configured' });
 
-      if (leadError) return json(500, { error: leadError.message || 'Failed to fetch lead' });
-      if (!lead) return json(404, { error: 'Lead not found' });
+      // The order must be the one /lead/initiate created for this vendor + lead
+      let order;
+      try {
+        order = await razorpay.orders.fetch(orderId);
+      } catch {
+        return json(400, { error: 'Unknown payment order' });
+      }
 
-      const leadStatus = normalizeText(lead?.status).toUpperCase();
-      if (leadStatus && !['AVAILABLE', 'PURCHASED'].includes(leadStatus)) {
-        return json(409, { error: 'Lead no longer available' });
+      if (
+        normalizeText(order?.notes?.lead_id) !== leadId ||
+        normalizeText(order?.notes?.vendor_id) !== normalizeText(vendor.id)
+      ) {
+        return json(400, { error: 'Payment order does not match this lead' });
       }
 
-      const { data: existingRows, error: existingError } = await supabase
-        .from('lead_purchases')
-        .select('*')
-        .eq('vendor_id', vendor.id)
-        .eq('lead_id', leadId)
-        .order('purchase_date', { ascending: false })
-        .limit(1);
+      const purchaseAmount = Math.round(Number(order?.amount || 0)) / 100;
 
-      if (existingError) return json(500, { error: existingError.message || 'Failed to validate purchase' });
-      if (Array.isArray(existingRows) && existingRows.length > 0) {
+      // Same fulfillment as the Express route and the webhook (unlock, invoice, refund when it cannot be unlocked)
+      const { fulfillLeadPayment } = await loadPaymentFulfillment();
+      let result;
+      try {
+        result = await fulfillLeadPayment({
+          vendorId: vendor.id,
+          leadId,
+          razorpayPaymentId: paymentId,
+          orderId,
+          amount: purchaseAmount,
+        });
+      } catch (purchaseError) {
+        // Paid but could not be fulfilled (e.g. lead filled up meanwhile) — fulfillLeadPayment refunded it
+        // eslint-disable-next-line no-console
+        console.error('Lead purchase after payment failed:', purchaseError?.message || purchaseError, { orderId, paymentId, leadId });
+        return json(purchaseError.statusCode || 500, {
+          error: purchaseError.message || 'Failed to purchase lead',
+          code: purchaseError.code,
+          transaction_id: paymentId,
+          refund: purchaseError.refund || null,
+        });
+      }
+
+      if (result?.already_fulfilled) {
         return json(200, {
           success: true,
           message: 'Lead already purchased',
-          purchase: existingRows[0],
+          purchase: result.purchase,
+          refund: result.refund || null,
         });
       }
 
-      const { count: purchaseCount, error: countError } = await supabase
-        .from('lead_purchases')
-        .select('id', { count: 'exact', head: true })
-        .eq('lead_id', leadId);
-
-      if (countError) {
-        return json(500, { error: countError.message || 'Failed to validate lead capacity' });
-      }
-      if ((purchaseCount || 0) >= 5) {
-        return json(409, { error: 'This lead has reached maximum 5 vendors limit' });
-      }
-
-      const purchaseAmount = parseCurrencyAmount(lead?.price, 50);
-      const purchasePayload = {
-        vendor_id: vendor.id,
-        lead_id: leadId,
-        amount: purchaseAmount,
-        payment_status: 'COMPLETED',
-        purchase_date: new Date().toISOString(),
-      };
-
-      const { data: purchaseRow, error: purchaseError } = await supabase
-        .from('lead_purchases')
-        .insert([purchasePayload])
-        .select('*')
-        .maybeSingle();
-
-      if (purchaseError) {
-        return json(500, { error: purchaseError.message || 'Failed to purchase lead' });
-      }
-
-      await supabase.from('leads').update({ status: 'PURCHASED' }).eq('id', leadId);
+      const purchaseRow = result?.purchase || null;
+      const invoiceNumber = result?.invoice?.document_number || null;
 
       await writeAuditLog(supabase, {
         actor: {
@@ -851,7 +886,8 @@ export const handler = async (event) => {
       return json(200, {
         success: true,
         message: 'Payment verified and lead unlocked',
-        purchase: purchaseRow || { ...purchasePayload, id: null },
+        purchase: purchaseRow,
+        invoice_number: invoiceNumber,
       });
     }
 
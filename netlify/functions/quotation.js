@@ -50,6 +50,17 @@ const getTransporter = () => {
 };
 
 const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+// Line-item validation/totals live in server/lib (bundled via included_files)
+const loadQuotationItems = () => import('../../server/lib/quotationItems.js');
+// Comparison matrix + award flow (migration 20261106)
+const loadQuotationAwards = () => import('../../server/lib/quotationAwards.js');
+// Purchase orders + order timeline (migration 20261107)
+const loadPurchaseOrders = () => import('../../server/lib/purchaseOrders.js');
+// Message pages, receipts, unread counts and search (migration 20261108)
+const loadProposalMessages = () => import('../../server/lib/proposalMessages.js');
+// Multi-supplier RFQs with viewed/responded tracking (migration 20261110)
+const loadRfqBroadcasts = () => import('../../server/lib/rfqBroadcasts.js');
 const normalizeRole = (value) => String(value || '').trim().toUpperCase();
 
 const parseCookies = (cookieHeader = '') => {
@@ -183,88 +194,6 @@ const resolveAuthenticatedUser = async (event) => {
   };
 };
 
-const MESSAGE_MARKERS = {
-  edited: /^::itm_edited::$/i,
-  deliveredBuyer: /^::itm_delivered_buyer::(.+)$/i,
-  deliveredVendor: /^::itm_delivered_vendor::(.+)$/i,
-  readBuyer: /^::itm_read_buyer::(.+)$/i,
-  readVendor: /^::itm_read_vendor::(.+)$/i,
-};
-
-const parseStoredMessage = (rawValue) => {
-  const lines = String(rawValue || '').replace(/\r\n/g, '\n').split('\n');
-  const contentLines = [];
-  const meta = {
-    edited: false,
-    delivered_buyer_at: null,
-    delivered_vendor_at: null,
-    read_buyer_at: null,
-    read_vendor_at: null,
-  };
-
-  for (const line of lines) {
-    const trimmed = String(line || '').trim();
-    if (!trimmed) {
-      contentLines.push(line);
-      continue;
-    }
-
-    if (MESSAGE_MARKERS.edited.test(trimmed)) {
-      meta.edited = true;
-      continue;
-    }
-
-    const deliveredBuyerMatch = trimmed.match(MESSAGE_MARKERS.deliveredBuyer);
-    if (deliveredBuyerMatch) {
-      meta.delivered_buyer_at = String(deliveredBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const deliveredVendorMatch = trimmed.match(MESSAGE_MARKERS.deliveredVendor);
-    if (deliveredVendorMatch) {
-      meta.delivered_vendor_at = String(deliveredVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readBuyerMatch = trimmed.match(MESSAGE_MARKERS.readBuyer);
-    if (readBuyerMatch) {
-      meta.read_buyer_at = String(readBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readVendorMatch = trimmed.match(MESSAGE_MARKERS.readVendor);
-    if (readVendorMatch) {
-      meta.read_vendor_at = String(readVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    contentLines.push(line);
-  }
-
-  return {
-    text: contentLines.join('\n').trimEnd(),
-    meta,
-  };
-};
-
-const sanitizeMessageText = (value) =>
-  String(value || '')
-    .replace(/\r\n/g, '\n')
-    .trim();
-
-const composeStoredMessage = (textValue, meta = {}) => {
-  const cleanText = sanitizeMessageText(textValue);
-  if (!cleanText) return '';
-
-  const lines = [cleanText];
-  if (meta?.edited) lines.push('::itm_edited::');
-  if (meta?.delivered_buyer_at) lines.push(`::itm_delivered_buyer::${meta.delivered_buyer_at}`);
-  if (meta?.delivered_vendor_at) lines.push(`::itm_delivered_vendor::${meta.delivered_vendor_at}`);
-  if (meta?.read_buyer_at) lines.push(`::itm_read_buyer::${meta.read_buyer_at}`);
-  if (meta?.read_vendor_at) lines.push(`::itm_read_vendor::${meta.read_vendor_at}`);
-  return lines.join('\n');
-};
-
 const resolveActorMessagingRole = (access = {}, user = {}) => {
   if (access?.isVendorParticipant && !access?.isBuyerParticipant) return 'vendor';
   if (access?.isBuyerParticipant && !access?.isVendorParticipant) return 'buyer';
@@ -274,109 +203,6 @@ const resolveActorMessagingRole = (access = {}, user = {}) => {
   return 'buyer';
 };
 
-const getRoleMarkerKeys = (role = 'buyer') =>
-  role === 'vendor'
-    ? { deliveredKey: 'delivered_vendor_at', readKey: 'read_vendor_at' }
-    : { deliveredKey: 'delivered_buyer_at', readKey: 'read_buyer_at' };
-
-const buildStoredMessageText = (value, existingMeta = {}, { edited = false } = {}) => {
-  const parsed = parseStoredMessage(value);
-  const mergedMeta = {
-    edited: edited || Boolean(existingMeta?.edited),
-    delivered_buyer_at: existingMeta?.delivered_buyer_at || parsed.meta.delivered_buyer_at || null,
-    delivered_vendor_at: existingMeta?.delivered_vendor_at || parsed.meta.delivered_vendor_at || null,
-    read_buyer_at: existingMeta?.read_buyer_at || parsed.meta.read_buyer_at || null,
-    read_vendor_at: existingMeta?.read_vendor_at || parsed.meta.read_vendor_at || null,
-  };
-  return composeStoredMessage(parsed.text, mergedMeta);
-};
-
-const normalizeMessageRow = (row = {}, actorPublicUserId = null, actorRole = 'buyer') => {
-  const parsed = parseStoredMessage(row?.message);
-  const isMe =
-    !!actorPublicUserId &&
-    String(row?.sender_id || '').trim() === String(actorPublicUserId).trim();
-
-  const recipientRole = actorRole === 'buyer' ? 'vendor' : 'buyer';
-  const { deliveredKey, readKey } = getRoleMarkerKeys(recipientRole);
-  const deliveredAt = parsed.meta?.[deliveredKey] || null;
-  const readAt = parsed.meta?.[readKey] || null;
-
-  let deliveryState = 'sent';
-  if (readAt) deliveryState = 'read';
-  else if (deliveredAt) deliveryState = 'delivered';
-
-  return {
-    ...row,
-    message: parsed.text,
-    is_edited: Boolean(parsed.meta.edited),
-    is_me: isMe,
-    delivered_at: deliveredAt,
-    read_at: readAt,
-    delivery_state: isMe ? deliveryState : 'received',
-  };
-};
-
-const applyMessageAcks = async (rows = [], actorRole = 'buyer', actorPublicUserId = null, options = {}) => {
-  const list = Array.isArray(rows) ? rows : [];
-  if (!list.length || !actorPublicUserId) return list;
-
-  const markDelivered = options?.markDelivered !== false;
-  const markRead = options?.markRead === true;
-  const { deliveredKey, readKey } = getRoleMarkerKeys(actorRole);
-  const nowIso = new Date().toISOString();
-
-  const output = [];
-
-  for (const row of list) {
-    if (!row?.id) {
-      output.push(row);
-      continue;
-    }
-
-    if (String(row?.sender_id || '').trim() === String(actorPublicUserId).trim()) {
-      output.push(row);
-      continue;
-    }
-
-    const parsed = parseStoredMessage(row?.message);
-    const nextMeta = { ...parsed.meta };
-    let changed = false;
-
-    if (markDelivered && !nextMeta[deliveredKey]) {
-      nextMeta[deliveredKey] = nowIso;
-      changed = true;
-    }
-    if (markRead && !nextMeta[readKey]) {
-      nextMeta[readKey] = nowIso;
-      changed = true;
-    }
-
-    if (!changed) {
-      output.push(row);
-      continue;
-    }
-
-    const storedMessage = composeStoredMessage(parsed.text, nextMeta);
-
-    const { data: updatedRow, error } = await supabase
-      .from('proposal_messages')
-      .update({ message: storedMessage })
-      .eq('id', row.id)
-      .select('*')
-      .maybeSingle();
-
-    if (error || !updatedRow) {
-      output.push(row);
-      continue;
-    }
-
-    output.push(updatedRow);
-  }
-
-  return output;
-};
-
 const listVendorCandidatesForUser = async ({ userId = '', email = '' } = {}) => {
   const byId = new Map();
 
@@ -746,6 +572,10 @@ const sendQuotationEmail = async (buyerEmail, quotationData, isRegistered) => {
     attachments = [];
   }
 
+  const lineItems = Array.isArray(quotation?.line_items) ? quotation.line_items : [];
+  const totals = quotation?.totals || {};
+  const inr = (v) => (v === null || v === undefined ? '—' : `₹${Number(v).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
   const frontendUrl = process.env.VITE_FRONTEND_URL || 'https://indiantrademart.netlify.app';
   const registrationText = isRegistered
     ? `View quotation in your dashboard: ${frontendUrl}/buyer/quotations`
@@ -766,10 +596,20 @@ const sendQuotationEmail = async (buyerEmail, quotationData, isRegistered) => {
       `Email: ${vendor.email || 'N/A'}`,
       '',
       `Title: ${quotation.title || ''}`,
-      `Amount: ${quotation.quotation_amount || ''}`,
-      `Quantity: ${quotation.quantity || ''}`,
+      ...lineItems.map(
+        (item, i) =>
+          `${i + 1}. ${item.product_name}${item.hsn_code ? ` (HSN ${item.hsn_code})` : ''} - ${item.quantity} ${item.unit || ''} x ${inr(item.unit_price)}` +
+          `${item.discount_percent ? `, -${item.discount_percent}%` : ''}, GST ${item.gst_rate}% = ${inr(item.line_total)}`
+      ),
+      '',
+      `Subtotal: ${inr(totals.subtotal)}`,
+      `Discount: ${inr(totals.discount_total)}`,
+      `GST: ${inr(totals.tax_total)}`,
+      `Total: ${inr(totals.grand_total)}`,
       `Validity Days: ${quotation.validity_days || ''}`,
       `Delivery Days: ${quotation.delivery_days || ''}`,
+      `Delivery Terms: ${quotation.delivery_terms || ''}`,
+      `Payment Terms: ${quotation.payment_terms || ''}`,
       `Terms: ${quotation.terms_conditions || ''}`,
       '',
       registrationText,
@@ -881,28 +721,35 @@ const handleGetReceivedDetail = async (event, user, quotationId) => {
   if (!ownerMatch) return bad(event, 'Quotation not found', null, 404);
 
   const [enrichedQuotation] = await enrichVendors([quotation]);
-
-  const { data: messages, error: msgError } = await supabase
-    .from('proposal_messages')
-    .select('*')
-    .eq('proposal_id', normalizedId)
-    .order('created_at', { ascending: true });
-
-  if (msgError) return fail(event, msgError.message || 'Failed to fetch quotation messages');
+  const { loadProposalLineItems } = await loadQuotationItems();
+  const lineItems = await loadProposalLineItems(normalizedId);
 
   const actorPublicUserId = await resolvePublicUserIdForActor(user);
-  const actorRole = 'buyer';
+  const { listProposalMessages } = await loadProposalMessages();
+  let messages = [];
+  try {
+    ({ messages } = await listProposalMessages({
+      proposalId: normalizedId,
+      actorUserId: actorPublicUserId,
+      role: 'buyer',
+      markRead: false,
+    }));
+  } catch (e) {
+    return fail(event, e.message || 'Failed to fetch quotation messages');
+  }
 
   return ok(event, {
     success: true,
     quotation: {
       ...(enrichedQuotation || quotation),
-      messages: (messages || []).map((row) => normalizeMessageRow(row, actorPublicUserId, actorRole)),
+      line_items: lineItems,
+      messages,
     },
   });
 };
 
 const handleAckDelivered = async (event, user) => {
+  const { markProposalMessages } = await loadProposalMessages();
   const body = readBody(event);
   const requestedIds = Array.isArray(body?.proposal_ids)
     ? body.proposal_ids
@@ -927,7 +774,7 @@ const handleAckDelivered = async (event, user) => {
     return forbidden(event, 'User profile not found for messaging');
   }
 
-  let updated = 0;
+  const idsByRole = { buyer: [], vendor: [] };
 
   for (const proposalId of proposalIds) {
     const proposal = await resolveProposalForMessaging(proposalId);
@@ -936,31 +783,67 @@ const handleAckDelivered = async (event, user) => {
     const access = await canActorAccessProposalMessages(user, proposal);
     if (!access.isAllowed) continue;
 
-    const actorRole = resolveActorMessagingRole(access, user);
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .select('*')
-      .eq('proposal_id', proposalId)
-      .order('created_at', { ascending: true });
+    idsByRole[resolveActorMessagingRole(access, user)].push(proposalId);
+  }
 
-    if (error) continue;
+  try {
+    let updated = 0;
+    for (const role of Object.keys(idsByRole)) {
+      updated += await markProposalMessages({
+        proposalIds: idsByRole[role],
+        role,
+        actorUserId: actorPublicUserId,
+      });
+    }
+    return ok(event, { success: true, updated });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to acknowledge delivery' });
+  }
+};
 
-    const ackedRows = await applyMessageAcks(data || [], actorRole, actorPublicUserId, {
-      markDelivered: true,
-      markRead: false,
+const handleUnreadCounts = async (event, user) => {
+  const { getUnreadCounts } = await loadProposalMessages();
+  try {
+    const [buyer, vendor, actorPublicUserId] = await Promise.all([
+      resolveBuyerForUser(user),
+      resolveVendorForUser(user),
+      resolvePublicUserIdForActor(user),
+    ]);
+    const params = event.queryStringParameters || {};
+    const unread = await getUnreadCounts({
+      buyer,
+      vendor,
+      email: user?.email,
+      actorUserId: actorPublicUserId,
+      proposalIds: String(params.proposal_ids || '').split(','),
     });
-
-    for (let i = 0; i < (data || []).length; i += 1) {
-      const before = data[i];
-      const after = ackedRows[i];
-      if (!before?.id || !after?.id) continue;
-      if (String(before.message || '') !== String(after.message || '')) {
-        updated += 1;
-      }
-    }
+    return ok(event, { success: true, ...unread });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to load unread counts' });
   }
+};
 
-  return ok(event, { success: true, updated });
+const handleSearchMessages = async (event, user) => {
+  const { searchProposalMessages } = await loadProposalMessages();
+  try {
+    const [buyer, vendor, actorPublicUserId] = await Promise.all([
+      resolveBuyerForUser(user),
+      resolveVendorForUser(user),
+      resolvePublicUserIdForActor(user),
+    ]);
+    const params = event.queryStringParameters || {};
+    const result = await searchProposalMessages({
+      buyer,
+      vendor,
+      email: user?.email,
+      actorUserId: actorPublicUserId,
+      q: params.q,
+      limit: params.limit,
+    });
+    return ok(event, { success: true, ...result });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to search messages' });
+  }
 };
 
 const handleGetProposalMessages = async (event, user, proposalId) => {
@@ -981,38 +864,33 @@ const handleGetProposalMessages = async (event, user, proposalId) => {
 
   const actorPublicUserId = await resolvePublicUserIdForActor(user);
   const actorRole = resolveActorMessagingRole(access, user);
+  const params = event.queryStringParameters || {};
 
-  const { data, error } = await supabase
-    .from('proposal_messages')
-    .select('*')
-    .eq('proposal_id', normalizedProposalId)
-    .order('created_at', { ascending: true });
-
-  if (error) {
-    return fail(event, error.message || 'Failed to load messages');
+  const { listProposalMessages } = await loadProposalMessages();
+  try {
+    const page = await listProposalMessages({
+      proposalId: normalizedProposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      before: params.before || null,
+      limit: params.limit,
+    });
+    const participants = await resolveProposalParticipantUserIds(proposal);
+
+    return ok(event, {
+      success: true,
+      proposal: {
+        id: proposal.id,
+        title: proposal.title,
+        product_name: proposal.product_name,
+      },
+      actor_user_id: actorPublicUserId,
+      participants,
+      ...page,
+    });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to load messages' });
   }
-
-  const ackedRows = await applyMessageAcks(data || [], actorRole, actorPublicUserId, {
-    markDelivered: true,
-    markRead: true,
-  });
-  const participants = await resolveProposalParticipantUserIds(proposal);
-
-  const normalizedMessages = (ackedRows || []).map((row) =>
-    normalizeMessageRow(row, actorPublicUserId, actorRole)
-  );
-
-  return ok(event, {
-    success: true,
-    proposal: {
-      id: proposal.id,
-      title: proposal.title,
-      product_name: proposal.product_name,
-    },
-    actor_user_id: actorPublicUserId,
-    participants,
-    messages: normalizedMessages,
-  });
 };
 
 const handlePostProposalMessage = async (event, user, proposalId) => {
@@ -1021,10 +899,6 @@ const handlePostProposalMessage = async (event, user, proposalId) => {
     return bad(event, 'Invalid proposal id');
   }
 
-  const messageText = sanitizeMessageText(readBody(event)?.message);
-  if (!messageText) return bad(event, 'Message is required');
-  if (messageText.length > 4000) return bad(event, 'Message is too long');
-
   const proposal = await resolveProposalForMessaging(normalizedProposalId);
   if (!proposal) {
     return bad(event, 'Proposal not found', null, 404);
@@ -1041,30 +915,20 @@ const handlePostProposalMessage = async (event, user, proposalId) => {
     return forbidden(event, 'User profile not found for messaging');
   }
 
-  const storedMessage = buildStoredMessageText(messageText, {}, { edited: false });
-  if (!storedMessage) return bad(event, 'Message is required');
-
-  const { data, error } = await supabase
-    .from('proposal_messages')
-    .insert([
-      {
-        proposal_id: normalizedProposalId,
-        sender_id: actorPublicUserId,
-        message: storedMessage,
-        created_at: new Date().toISOString(),
-      },
-    ])
-    .select('*')
-    .maybeSingle();
-
-  if (error) {
-    return fail(event, error.message || 'Failed to send message');
+  const { sendProposalMessage } = await loadProposalMessages();
+  try {
+    const body = readBody(event);
+    const message = await sendProposalMessage({
+      proposalId: normalizedProposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      message: body?.message,
+      metadata: body?.metadata,
+    });
+    return json(event, 201, { success: true, message });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to send message' });
   }
-
-  return json(event, 201, {
-    success: true,
-    message: normalizeMessageRow(data || {}, actorPublicUserId, actorRole),
-  });
 };
 
 const handlePatchProposalMessage = async (event, user, proposalId, messageId) => {
@@ -1074,9 +938,42 @@ const handlePatchProposalMessage = async (event, user, proposalId, messageId) =>
     return bad(event, 'Invalid proposal or message id');
   }
 
-  const messageText = sanitizeMessageText(readBody(event)?.message);
-  if (!messageText) return bad(event, 'Message is required');
-  if (messageText.length > 4000) return bad(event, 'Message is too long');
+  const proposal = await resolveProposalForMessaging(normalizedProposalId);
+  if (!proposal) {
+    return bad(event, 'Proposal not found', null, 404);
+  }
+
+  const access = await canActorAccessProposalMessages(user, proposal);
+  if (!access.isAllowed) {
+    return forbidden(event, 'Forbidden');
+  }
+
+  const actorPublicUserId = await resolvePublicUserIdForActor(user);
+  const actorRole = resolveActorMessagingRole(access, user);
+  if (!actorPublicUserId) {
+    return forbidden(event, 'User profile not found for messaging');
+  }
+
+  const { editProposalMessage } = await loadProposalMessages();
+  try {
+    const message = await editProposalMessage({
+      proposalId: normalizedProposalId,
+      messageId: normalizedMessageId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      message: readBody(event)?.message,
+    });
+    return ok(event, { success: true, message });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to edit message' });
+  }
+};
+
+const handlePostProposalAttachment = async (event, user, proposalId) => {
+  const normalizedProposalId = String(proposalId || '').trim();
+  if (!normalizedProposalId) {
+    return bad(event, 'Invalid proposal id');
+  }
 
   const proposal = await resolveProposalForMessaging(normalizedProposalId);
   if (!proposal) {
@@ -1094,43 +991,92 @@ const handlePatchProposalMessage = async (event, user, proposalId, messageId) =>
     return forbidden(event, 'User profile not found for messaging');
   }
 
-  const { data: existingRow, error: existingError } = await supabase
-    .from('proposal_messages')
-    .select('*')
-    .eq('id', normalizedMessageId)
-    .eq('proposal_id', normalizedProposalId)
-    .eq('sender_id', actorPublicUserId)
-    .maybeSingle();
+  const { sendAttachmentMessage } = await loadProposalMessages();
+  try {
+    const body = readBody(event);
+    const message = await sendAttachmentMessage({
+      proposalId: normalizedProposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      file: body,
+      message: body?.message,
+    });
+    return json(event, 201, { success: true, message });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to send attachment' });
+  }
+};
 
-  if (existingError) {
-    return fail(event, existingError.message || 'Failed to load message');
+const handlePostProposalOffer = async (event, user, proposalId) => {
+  const normalizedProposalId = String(proposalId || '').trim();
+  if (!normalizedProposalId) {
+    return bad(event, 'Invalid proposal id');
   }
-  if (!existingRow) {
-    return bad(event, 'Message not found', null, 404);
+
+  const proposal = await resolveProposalForMessaging(normalizedProposalId);
+  if (!proposal) {
+    return bad(event, 'Proposal not found', null, 404);
   }
 
-  const existingParsed = parseStoredMessage(existingRow?.message);
-  const storedMessage = buildStoredMessageText(messageText, existingParsed.meta, { edited: true });
-  if (!storedMessage) return bad(event, 'Message is required');
+  const access = await canActorAccessProposalMessages(user, proposal);
+  if (!access.isAllowed) {
+    return forbidden(event, 'Forbidden');
+  }
 
-  const { data, error } = await supabase
-    .from('proposal_messages')
-    .update({ message: storedMessage })
-    .eq('id', existingRow.id)
-    .select('*')
-    .maybeSingle();
+  const actorPublicUserId = await resolvePublicUserIdForActor(user);
+  const actorRole = resolveActorMessagingRole(access, user);
+  if (!actorPublicUserId) {
+    return forbidden(event, 'User profile not found for messaging');
+  }
 
-  if (error) {
-    return fail(event, error.message || 'Failed to edit message');
+  const { sendOfferMessage } = await loadProposalMessages();
+  try {
+    const participants = await resolveProposalParticipantUserIds(proposal);
+    const message = await sendOfferMessage({
+      proposalId: normalizedProposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      offer: readBody(event) || {},
+      recipientUserId: actorRole === 'vendor' ? participants.buyer_user_id : participants.vendor_user_id,
+    });
+    return json(event, 201, { success: true, message });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to send offer' });
   }
-  if (!data) {
-    return bad(event, 'Message not found', null, 404);
+};
+
+const handleRespondToOffer = async (event, user, proposalId, offerId, accept) => {
+  const normalizedProposalId = String(proposalId || '').trim();
+  const normalizedOfferId = String(offerId || '').trim();
+  if (!normalizedProposalId || !normalizedOfferId) {
+    return bad(event, 'Invalid proposal or offer id');
   }
 
-  return ok(event, {
-    success: true,
-    message: normalizeMessageRow(data, actorPublicUserId, actorRole),
-  });
+  const proposal = await resolveProposalForMessaging(normalizedProposalId);
+  if (!proposal) {
+    return bad(event, 'Proposal not found', null, 404);
+  }
+
+  const access = await canActorAccessProposalMessages(user, proposal);
+  if (!access.isAllowed) {
+    return forbidden(event, 'Forbidden');
+  }
+
+  const actorPublicUserId = await resolvePublicUserIdForActor(user);
+  const { respondToOffer } = await loadProposalMessages();
+  try {
+    const message = await respondToOffer({
+      proposalId: normalizedProposalId,
+      offerId: normalizedOfferId,
+      actorUserId: actorPublicUserId,
+      role: resolveActorMessagingRole(access, user),
+      accept,
+      note: readBody(event)?.note,
+    });
+    return ok(event, { success: true, message });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to update offer' });
+  }
 };
 
 const handleDeleteProposalConversation = async (event, user, proposalId) => {
@@ -1149,20 +1095,16 @@ const handleDeleteProposalConversation = async (event, user, proposalId) => {
     return forbidden(event, 'Forbidden');
   }
 
-  const { data, error } = await supabase
-    .from('proposal_messages')
-    .delete()
-    .eq('proposal_id', normalizedProposalId)
-    .select('id');
-
-  if (error) {
-    return fail(event, error.message || 'Failed to delete chat');
+  const { deleteProposalMessages } = await loadProposalMessages();
+  try {
+    const deletedIds = await deleteProposalMessages({ proposalId: normalizedProposalId });
+    return ok(event, {
+      success: true,
+      deletedCount: deletedIds.length,
+    });
+  } catch (e) {
+    return fail(event, e.message || 'Failed to delete chat');
   }
-
-  return ok(event, {
-    success: true,
-    deletedCount: Array.isArray(data) ? data.length : 0,
-  });
 };
 
 const handleDeleteProposalMessage = async (event, user, proposalId, messageId) => {
@@ -1187,18 +1129,18 @@ const handleDeleteProposalMessage = async (event, user, proposalId, messageId) =
     return forbidden(event, 'User profile not found for messaging');
   }
 
-  const { data, error } = await supabase
-    .from('proposal_messages')
-    .delete()
-    .eq('id', normalizedMessageId)
-    .eq('proposal_id', normalizedProposalId)
-    .eq('sender_id', actorPublicUserId)
-    .select('id');
-
-  if (error) {
-    return fail(event, error.message || 'Failed to delete message');
+  const { deleteProposalMessages } = await loadProposalMessages();
+  let deletedIds = [];
+  try {
+    deletedIds = await deleteProposalMessages({
+      proposalId: normalizedProposalId,
+      messageId: normalizedMessageId,
+      actorUserId: actorPublicUserId,
+    });
+  } catch (e) {
+    return fail(event, e.message || 'Failed to delete message');
   }
-  if (!Array.isArray(data) || data.length === 0) {
+  if (!deletedIds.length) {
     return bad(event, 'Message not found', null, 404);
   }
 
@@ -1211,9 +1153,14 @@ const handleSendQuotation = async (event) => {
     quotation_title,
     quotation_amount,
     quantity,
+    unit,
     validity_days,
     delivery_days,
+    delivery_terms,
+    payment_terms,
     terms_conditions,
+    items,
+    rfq_id,
     buyer_email,
     buyer_id,
     vendor_id,
@@ -1226,10 +1173,11 @@ const handleSendQuotation = async (event) => {
     attachment_mime,
   } = body;
 
-  if (!quotation_title || !quotation_amount || !buyer_email || !vendor_id) {
+  const hasItems = Array.isArray(items) && items.length > 0;
+  if (!quotation_title || (!quotation_amount && !hasItems) || !buyer_email || !vendor_id) {
     return bad(
       event,
-      'Missing required fields: quotation_title, quotation_amount, buyer_email, vendor_id'
+      'Missing required fields: quotation_title, items (or quotation_amount), buyer_email, vendor_id'
     );
   }
 
@@ -1256,14 +1204,44 @@ const handleSendQuotation = async (event) => {
     safeBuyerId = buyerById?.id || null;
   }
 
+  const {
+    buildProposalHeader,
+    computeQuotationTotals,
+    legacyLineItem,
+    normalizeLineItems,
+    saveProposalLineItems,
+  } = await loadQuotationItems();
+
+  let totals;
+  try {
+    const rawItems = hasItems
+      ? items
+      : [legacyLineItem({ title: quotation_title, quantity, unit, amount: quotation_amount })];
+    totals = computeQuotationTotals(normalizeLineItems(rawItems, { requirePrice: true }));
+  } catch (itemError) {
+    return bad(event, itemError.message, null, itemError.statusCode || 400);
+  }
+  const header = buildProposalHeader(totals, { validity_days, delivery_days, delivery_terms, payment_terms });
+
+  let rfqId = null;
+  if (rfq_id) {
+    const { data: rfqRow } = await supabase
+      .from('proposals')
+      .select('id, proposal_type')
+      .eq('id', rfq_id)
+      .maybeSingle();
+    if (rfqRow?.id && rfqRow.proposal_type !== 'QUOTATION') rfqId = rfqRow.id;
+  }
+
   const quotationPayload = {
     vendor_id,
     buyer_id: safeBuyerId,
     buyer_email: targetBuyerEmail,
     title: quotation_title,
-    product_name: quotation_title,
-    quantity: quantity || null,
-    budget: quotation_amount ? parseFloat(quotation_amount) : null,
+    product_name: totals.items.length === 1 ? totals.items[0].product_name : quotation_title,
+    ...header,
+    proposal_type: 'QUOTATION',
+    rfq_id: rfqId,
     description: terms_conditions || '',
     status: 'SENT',
   };
@@ -1295,6 +1273,16 @@ const handleSendQuotation = async (event) => {
     return fail(event, 'Failed to save quotation - no data returned');
   }
 
+  try {
+    await saveProposalLineItems(savedQuotation.id, totals);
+  } catch (itemsError) {
+    await supabase.from('proposals').delete().eq('id', savedQuotation.id);
+    return json(event, itemsError.statusCode || 500, {
+      success: false,
+      error: itemsError.message || 'Failed to save quotation items',
+    });
+  }
+
   let vendorRow = null;
   if (vendor_id) {
     const { data } = await supabase
@@ -1320,10 +1308,12 @@ const handleSendQuotation = async (event) => {
         vendor: vendorData,
         quotation: {
           title: quotation_title,
-          quotation_amount,
-          quantity,
-          validity_days,
-          delivery_days,
+          line_items: totals.items,
+          totals,
+          validity_days: header.validity_days,
+          delivery_days: header.delivery_days,
+          delivery_terms: header.delivery_terms,
+          payment_terms: header.payment_terms,
           terms_conditions,
           attachment_name,
           attachment_base64,
@@ -1403,6 +1393,219 @@ const handleSendQuotation = async (event) => {
   });
 };
 
+const handleProposalItems = async (event, user, proposalId) => {
+  const normalizedId = String(proposalId || '').trim();
+  if (!normalizedId) return bad(event, 'Invalid proposal id');
+
+  const { data: proposal, error } = await supabase
+    .from('proposals')
+    .select('*')
+    .eq('id', normalizedId)
+    .maybeSingle();
+  if (error) return fail(event, error.message || 'Failed to load proposal');
+  if (!proposal) return bad(event, 'Proposal not found', null, 404);
+
+  const {
+    buildProposalHeader,
+    computeQuotationTotals,
+    loadProposalLineItems,
+    normalizeLineItems,
+    resolveLineItemAccess,
+    saveProposalLineItems,
+  } = await loadQuotationItems();
+
+  const [buyer, vendor] = await Promise.all([resolveBuyerForUser(user), resolveVendorForUser(user)]);
+  const access = await resolveLineItemAccess(proposal, { buyer, vendor, email: normalizeEmail(user?.email || '') });
+  if (!access.canRead) return bad(event, 'Proposal not found', null, 404);
+
+  try {
+    if (event.httpMethod === 'GET') {
+      return ok(event, {
+        success: true,
+        proposal_type: proposal.proposal_type || (access.isRfq ? 'RFQ' : 'QUOTATION'),
+        items: await loadProposalLineItems(normalizedId),
+        totals: {
+          subtotal: proposal.subtotal ?? null,
+          discount_total: proposal.discount_total ?? null,
+          tax_total: proposal.tax_total ?? null,
+          grand_total: proposal.grand_total ?? null,
+        },
+        can_edit: access.canEdit,
+      });
+    }
+
+    if (!access.canEdit) return forbidden(event, 'Only the sender can edit these line items');
+    if (!['SENT', 'DRAFT'].includes(String(proposal.status || '').toUpperCase())) {
+      return bad(event, 'Line items can no longer be changed', null, 409);
+    }
+
+    const body = readBody(event);
+    const totals = computeQuotationTotals(normalizeLineItems(body?.items, { requirePrice: !access.isRfq }));
+    const header = buildProposalHeader(totals, body || {}, { fallbackBudget: proposal.budget ?? null });
+
+    const { error: headerError } = await supabase
+      .from('proposals')
+      .update({ ...header, proposal_type: access.isRfq ? 'RFQ' : 'QUOTATION' })
+      .eq('id', normalizedId);
+    if (headerError) return fail(event, headerError.message || 'Failed to update proposal');
+
+    const saved = await saveProposalLineItems(normalizedId, totals);
+    return ok(event, {
+      success: true,
+      items: saved,
+      totals: {
+        subtotal: totals.subtotal,
+        discount_total: totals.discount_total,
+        tax_total: totals.tax_total,
+        grand_total: totals.grand_total,
+      },
+    });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to save line items' });
+  }
+};
+
+const handleCompare = async (event, user) => {
+  const { buildQuotationComparison } = await loadQuotationAwards();
+  try {
+    const buyer = await resolveBuyerForUser(user);
+    const params = event.queryStringParameters || {};
+    const comparison = await buildQuotationComparison({
+      buyer,
+      email: user?.email,
+      rfqId: String(params.rfq_id || '').trim() || null,
+      quotationIds: params.ids,
+    });
+    return ok(event, { success: true, ...comparison });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to compare quotations' });
+  }
+};
+
+// /api/quotation/broadcasts[/suggestions|/:broadcastId]
+const handleBroadcasts = async (event, user, tail) => {
+  const rfqBroadcasts = await loadRfqBroadcasts();
+  const params = event.queryStringParameters || {};
+  try {
+    if (tail.length === 2 && tail[1] === 'suggestions' && event.httpMethod === 'GET') {
+      const result = await rfqBroadcasts.suggestBroadcastVendors({
+        microCategoryId: String(params.micro_category_id || '').trim(),
+        cityId: String(params.city_id || '').trim() || null,
+        limit: params.limit,
+      });
+      return ok(event, { success: true, ...result });
+    }
+
+    const buyer = await resolveBuyerForUser(user);
+    if (tail.length === 1 && event.httpMethod === 'GET') {
+      return ok(event, { success: true, broadcasts: await rfqBroadcasts.listRfqBroadcasts({ buyer }) });
+    }
+    if (tail.length === 1 && event.httpMethod === 'POST') {
+      const result = await rfqBroadcasts.createRfqBroadcast({ buyer, user, input: readBody(event) });
+      return json(event, 201, { success: true, ...result });
+    }
+    if (tail.length === 2 && event.httpMethod === 'GET') {
+      const broadcast = await rfqBroadcasts.getRfqBroadcast({ buyer, broadcastId: String(tail[1] || '').trim() });
+      return ok(event, { success: true, broadcast });
+    }
+    return methodNotAllowed(event);
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to process requirement' });
+  }
+};
+
+const handleAward = async (event, user, quotationId) => {
+  const { awardQuotation } = await loadQuotationAwards();
+  try {
+    const body = readBody(event);
+    const buyer = await resolveBuyerForUser(user);
+    const result = await awardQuotation({
+      buyer,
+      email: user?.email,
+      quotationId: String(quotationId || '').trim(),
+      compareIds: body?.compare_ids,
+      reason: body?.reason,
+      actor: user,
+      req: { headers: event.headers || {} },
+    });
+    return ok(event, { success: true, ...result });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to award quotation' });
+  }
+};
+
+const handleCreatePurchaseOrder = async (event, user, quotationId) => {
+  const { createPurchaseOrder } = await loadPurchaseOrders();
+  try {
+    const body = readBody(event);
+    const buyer = await resolveBuyerForUser(user);
+    const result = await createPurchaseOrder({
+      buyer,
+      email: user?.email,
+      quotationId: String(quotationId || '').trim(),
+      billingAddress: body?.billing_address,
+      shippingAddress: body?.shipping_address,
+      expectedDeliveryDate: body?.expected_delivery_date,
+      notes: body?.notes,
+      actor: user,
+      req: { headers: event.headers || {} },
+    });
+    return json(event, 201, { success: true, ...result });
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to create purchase order' });
+  }
+};
+
+const resolvePurchaseOrderParties = async (user) => {
+  const [buyer, vendor] = await Promise.all([resolveBuyerForUser(user), resolveVendorForUser(user)]);
+  return { buyer, vendor, email: normalizeEmail(user?.email || '') };
+};
+
+// /api/quotation/purchase-orders[/:orderId[/pdf|/status]]
+const handlePurchaseOrders = async (event, user, tail) => {
+  const purchaseOrders = await loadPurchaseOrders();
+  const params = event.queryStringParameters || {};
+  const orderId = String(tail[1] || '').trim();
+  try {
+    const parties = await resolvePurchaseOrderParties(user);
+
+    if (tail.length === 1 && event.httpMethod === 'GET') {
+      const orders = await purchaseOrders.listPurchaseOrders({
+        ...parties,
+        as: String(params.as || 'buyer'),
+        quotationId: String(params.quotation_id || '').trim() || null,
+      });
+      return ok(event, { success: true, orders });
+    }
+    if (tail.length === 2 && event.httpMethod === 'GET') {
+      return ok(event, { success: true, ...(await purchaseOrders.getPurchaseOrder(orderId, parties)) });
+    }
+    if (tail.length === 3 && tail[2] === 'pdf' && event.httpMethod === 'GET') {
+      const result = await purchaseOrders.getPurchaseOrderPdf(orderId, parties, {
+        refresh: String(params.refresh || '') === 'true',
+      });
+      return ok(event, { success: true, ...result });
+    }
+    if (tail.length === 3 && tail[2] === 'status' && event.httpMethod === 'POST') {
+      const body = readBody(event);
+      const result = await purchaseOrders.advancePurchaseOrder({
+        ...parties,
+        orderId,
+        status: body?.status,
+        note: body?.note,
+        docketNumber: body?.docket_number,
+        carrier: body?.carrier,
+        actor: user,
+        req: { headers: event.headers || {} },
+      });
+      return ok(event, { success: true, ...result });
+    }
+    return methodNotAllowed(event);
+  } catch (e) {
+    return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to process purchase order' });
+  }
+};
+
 export const handler = async (event) => {
   try {
     if (event.httpMethod === 'OPTIONS') return ok(event, { ok: true });
@@ -1431,6 +1634,41 @@ export const handler = async (event) => {
       return handleGetReceivedDetail(event, user, tail[1]);
     }
 
+    if (tail[0] === 'compare') {
+      if (event.httpMethod !== 'GET') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleCompare(event, user);
+    }
+
+    if (tail[0] === 'broadcasts') {
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleBroadcasts(event, user, tail);
+    }
+
+    // /api/quotation/:quotationId/award
+    if (tail.length === 2 && tail[1] === 'award') {
+      if (event.httpMethod !== 'POST') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleAward(event, user, tail[0]);
+    }
+
+    if (tail[0] === 'purchase-orders') {
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handlePurchaseOrders(event, user, tail);
+    }
+
+    // /api/quotation/:quotationId/purchase-order
+    if (tail.length === 2 && tail[1] === 'purchase-order') {
+      if (event.httpMethod !== 'POST') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleCreatePurchaseOrder(event, user, tail[0]);
+    }
+
     if (tail[0] === 'messages' && tail[1] === 'ack-delivered') {
       if (event.httpMethod !== 'POST') return methodNotAllowed(event);
       const user = await resolveAuthenticatedUser(event);
@@ -1438,6 +1676,21 @@ export const handler = async (event) => {
       return handleAckDelivered(event, user);
     }
 
+    if (tail[0] === 'messages' && (tail[1] === 'unread' || tail[1] === 'search')) {
+      if (event.httpMethod !== 'GET') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return tail[1] === 'unread' ? handleUnreadCounts(event, user) : handleSearchMessages(event, user);
+    }
+
+    // /api/quotation/:proposalId/items
+    if (tail.length === 2 && tail[1] === 'items') {
+      if (!['GET', 'PUT'].includes(event.httpMethod)) return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleProposalItems(event, user, tail[0]);
+    }
+
     // /api/quotation/:proposalId/messages
     if (tail.length === 2 && tail[1] === 'messages') {
       const user = await resolveAuthenticatedUser(event);
@@ -1449,6 +1702,30 @@ export const handler = async (event) => {
       return methodNotAllowed(event);
     }
 
+    // /api/quotation/:proposalId/messages/attachments
+    if (tail.length === 3 && tail[1] === 'messages' && tail[2] === 'attachments') {
+      if (event.httpMethod !== 'POST') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handlePostProposalAttachment(event, user, tail[0]);
+    }
+
+    // /api/quotation/:proposalId/offers
+    if (tail.length === 2 && tail[1] === 'offers') {
+      if (event.httpMethod !== 'POST') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handlePostProposalOffer(event, user, tail[0]);
+    }
+
+    // /api/quotation/:proposalId/offers/:offerId/(accept|decline)
+    if (tail.length === 4 && tail[1] === 'offers' && (tail[3] === 'accept' || tail[3] === 'decline')) {
+      if (event.httpMethod !== 'POST') return methodNotAllowed(event);
+      const user = await resolveAuthenticatedUser(event);
+      if (!user) return unauthorized(event, 'Unauthorized');
+      return handleRespondToOffer(event, user, tail[0], tail[2], tail[3] === 'accept');
+    }
+
     // /api/quotation/:proposalId/messages/:messageId
     if (tail.length === 3 && tail[1] === 'messages') {
       const user = await resolveAuthenticatedUser(event);
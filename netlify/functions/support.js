@@ -26,6 +26,11 @@ const json = (statusCode, body) => ({
 const ok = (b) => json(200, b);
 const bad = (msg, details) => json(400, { success: false, error: msg, details });
 const fail = (msg, details) => json(500, { success: false, error: msg, details });
+// Assignment / SLA helpers share the server lib (migration 20261104); the escalation cron runs on the Express server
+const loadSupportSla = () => import("../../server/lib/supportSla.js");
+// Inbound email / threaded reply emails (migration 20261105)
+const loadTicketEmail = () => import("../../server/lib/ticketEmail.js");
+
 const SUPPORT_TICKET_SELECT =
   "*, vendors(company_name, email, owner_name, vendor_id), buyers(id, full_name, email, company_name)";
 
@@ -164,9 +169,13 @@ export async function handler(event) {
       const { data, error, count } = await query;
       if (error) return fail("Failed to fetch tickets", error.message);
 
+      const { attachAssignees, describeTicketSla } = await loadSupportSla();
+      const now = Date.now();
+      const tickets = (await attachAssignees(data || [])).map((t) => ({ ...t, sla: describeTicketSla(t, now) }));
+
       return ok({
         success: true,
-        tickets: data || [],
+        tickets,
         total: count || 0,
         page: Number(page),
         pageSize: Number(pageSize),
@@ -184,7 +193,9 @@ export async function handler(event) {
         .eq("id", id)
         .maybeSingle();
       if (error || !data) return json(404, { error: "Ticket not found" });
-      return ok({ success: true, ticket: data });
+      const { attachAssignees, describeTicketSla } = await loadSupportSla();
+      const [ticket] = await attachAssignees([data]);
+      return ok({ success: true, ticket: { ...ticket, sla: describeTicketSla(data) } });
     }
 
     // -------------------------
@@ -197,7 +208,9 @@ export async function handler(event) {
         .eq("ticket_id", id)
         .order("created_at", { ascending: true });
       if (error) return fail("Failed to fetch messages", error.message);
-      return ok({ success: true, messages: data || [] });
+      const { withTicketAttachments } = await loadTicketEmail();
+      const { messages, attachments } = await withTicketAttachments(id, data || []);
+      return ok({ success: true, messages, attachments });
     }
 
     // -------------------------
@@ -247,7 +260,11 @@ export async function handler(event) {
       const title = `Support ticket update: ${ticket.ticket_display_id || ticket.id}`;
       const linkBase = ticket.vendor_id ? "/vendor/support" : "/buyer/tickets";
 
+      let saved = data;
       if (["SUPPORT", "ADMIN", "STAFF"].includes(senderType)) {
+        const { sendTicketReplyEmail } = await loadTicketEmail();
+        saved = await sendTicketReplyEmail(ticket, data);
+
         if (vendorUserId) {
           await notifyUser({
             user_id: vendorUserId,
@@ -275,7 +292,25 @@ export async function handler(event) {
         });
       }
 
-      return ok({ success: true, message: data });
+      return ok({ success: true, message: saved });
+    }
+
+    // -------------------------
+    // POST /inbound-email (raw RFC 822 from a mail relay)
+    // -------------------------
+    if (event.httpMethod === "POST" && root === "inbound-email") {
+      const { assertInboundSecret, ingestInboundEmail } = await loadTicketEmail();
+      try {
+        const headers = Object.fromEntries(
+          Object.entries(event.headers || {}).map(([k, v]) => [k.toLowerCase(), v])
+        );
+        assertInboundSecret(headers["x-inbound-secret"]);
+        const raw = Buffer.from(event.body || "", event.isBase64Encoded ? "base64" : "utf8");
+        const result = await ingestInboundEmail(raw);
+        return json(result.status === "CREATED" ? 201 : 200, { success: true, ...result });
+      } catch (error) {
+        return json(error.statusCode || 500, { success: false, error: "Failed to ingest email", details: error.message });
+      }
     }
 
     // -------------------------
@@ -314,6 +349,14 @@ export async function handler(event) {
         .single();
       if (error) return fail("Failed to create ticket", error.message);
 
+      let ticket = data;
+      try {
+        const { autoAssignTicket } = await loadSupportSla();
+        ticket = (await autoAssignTicket(data.id)) || data;
+      } catch (assignError) {
+        console.error("[support function] auto-assign failed:", assignError?.message || assignError);
+      }
+
       await notifyAdmins({
         type: "SUPPORT_TICKET",
         title: `New support ticket: ${ticketNumber}`,
@@ -321,7 +364,7 @@ export async function handler(event) {
         link: "/admin/tickets",
       });
 
-      return json(201, { success: true, message: "Ticket created successfully", ticket: data });
+      return json(201, { success: true, message: "Ticket created successfully", ticket });
     }
 
     // -------------------------
@@ -463,9 +506,11 @@ export async function handler(event) {
     if (event.httpMethod === "GET" && root === "stats") {
       const { data: tickets, error } = await supabase
         .from("support_tickets")
-        .select("status, priority");
+        .select("status, priority, created_at, updated_at, resolved_at, assigned_to, first_response_at, first_response_due_at, first_response_breached, resolution_due_at, resolution_breached");
       if (error) return fail("Failed to fetch statistics", error.message);
 
+      const { summarizeSla } = await loadSupportSla();
+
       const stats = {
         totalTickets: tickets?.length || 0,
         openTickets: 0,
@@ -476,6 +521,7 @@ export async function handler(event) {
         mediumPriorityTickets: 0,
         lowPriorityTickets: 0,
         resolutionRate: 0,
+        sla: summarizeSla(tickets || []),
       };
 
       (tickets || []).forEach((ticket) => {
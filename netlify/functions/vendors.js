@@ -148,6 +148,43 @@ const readBody = (event) => {
   }
 };
 
+const textOrNull = (value, maxLen = 500) => {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, maxLen) : null;
+};
+
+const budgetOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const numeric = Number(String(value).replace(/[, ]+/g, ''));
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+// Lead alert distribution/settings live in server/lib (bundled via included_files)
+const loadLeadAlerts = () => import('../../server/lib/leadAlerts.js');
+const loadLeadLifecycle = () => import('../../server/lib/leadLifecycle.js');
+const loadVendorReviews = () => import('../../server/lib/vendorReviews.js');
+const loadTrustScore = () => import('../../server/lib/trustScore.js');
+const loadRfqBroadcasts = () => import('../../server/lib/rfqBroadcasts.js');
+const loadLeadPurchase = () => import('../../server/lib/leadPurchase.js');
+const loadRateLimits = () => import('../../server/lib/rateLimits.js');
+
+// Hand a new lead to lead-alerts-background (Netlify answers background functions with 202 at once).
+// A failed hand-off is retried by the next run of that function, which also sweeps pending leads.
+const queueLeadAlerts = async (event, leadId) => {
+  const host = event.headers?.host || event.headers?.Host;
+  const base = process.env.URL || (host ? `https://${host}` : '');
+  try {
+    const res = await fetch(`${base}/.netlify/functions/lead-alerts-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Lead-Alerts-Secret': process.env.LEAD_ALERTS_SECRET || '' },
+      body: JSON.stringify({ lead_id: leadId }),
+    });
+    if (!res.ok) console.warn('Lead alert hand-off failed:', res.status);
+  } catch (alertErr) {
+    console.warn('Lead alert hand-off failed:', alertErr?.message || alertErr);
+  }
+};
+
 const parseTail = (eventPath) => {
   const parts = String(eventPath || '').split('/').filter(Boolean);
   const fnIndex = parts.indexOf('vendors');
@@ -825,6 +862,10 @@ export const handler = async (event) => {
 
           if (proposalErr) return fail(event, proposalErr.message || 'Failed to fetch proposal');
           if (!proposal) return bad(event, 'Proposal not found', null, 404);
+          if (proposal.broadcast_id) {
+            const { markBroadcastViewed } = await loadRfqBroadcasts();
+            await markBroadcastViewed({ proposalId: proposal.id, vendorId: vendor.id });
+          }
 
           const [enrichedProposal] = await enrichProposalRows([proposal]);
           return ok(event, { success: true, proposal: enrichedProposal || proposal });
@@ -855,73 +896,152 @@ export const handler = async (event) => {
         const leadId = String(tail[2] || '').trim();
         if (!leadId) return bad(event, 'Invalid lead id');
 
-        const { data: lead, error: leadErr } = await supabase
-          .from('leads')
-          .select('*')
-          .eq('id', leadId)
-          .maybeSingle();
+        // Price, plan quota and the 5-vendor cap are enforced in one DB transaction
+        const { data: result, error: purchaseErr } = await supabase.rpc('purchase_lead', {
+          p_vendor_id: vendor.id,
+          p_lead_id: leadId,
+          p_payment: null,
+        });
 
-        if (leadErr) return fail(event, leadErr.message || 'Failed to fetch lead');
-        if (!lead) return bad(event, 'Lead not found', null, 404);
+        if (purchaseErr) {
+          const { mapLeadPurchaseError } = await loadLeadPurchase();
+          const mapped = mapLeadPurchaseError(purchaseErr);
+          if (mapped.code === 'PAYMENT_REQUIRED') {
+            const { data: quote } = await supabase.rpc('lead_purchase_quote', {
+              p_vendor_id: vendor.id,
+              p_lead_id: leadId,
+            });
+            return json(event, 402, { success: false, error: mapped.error, code: mapped.code, quote: quote || null });
+          }
+          if (mapped.status === 500) return fail(event, mapped.error || 'Failed to purchase lead');
+          return json(event, mapped.status, { success: false, error: mapped.error, code: mapped.code });
+        }
 
-        const leadStatus = String(lead?.status || '').toUpperCase();
-        if (leadStatus && !['AVAILABLE', 'PURCHASED'].includes(leadStatus)) {
-          return bad(event, 'Lead no longer available', null, 409);
+        if (result?.already_purchased) {
+          return bad(event, 'You already purchased this lead', null, 409);
         }
 
-        const { data: existingRows, error: existingErr } = await supabase
-          .from('lead_purchases')
-          .select('id')
-          .eq('vendor_id', vendor.id)
-          .eq('lead_id', leadId)
-          .order('purchase_date', { ascending: false })
-          .limit(1);
+        return json(event, 201, {
+          success: true,
+          purchase: result?.purchase || null,
+          covered_by_quota: Boolean(result?.covered_by_quota),
+          price: result?.price ?? null,
+        });
+      }
 
-        if (existingErr) return fail(event, existingErr.message || 'Failed to validate purchase');
-        if (Array.isArray(existingRows) && existingRows.length > 0) {
-          return bad(event, 'You already purchased this lead', null, 409);
+      // -------------------------
+      // /me/lead-alerts
+      // -------------------------
+      if (tail[1] === 'lead-alerts' && tail.length === 2) {
+        const vendor = await resolveVendorForUser(user);
+        if (!vendor) return bad(event, 'Vendor profile not found', null, 404);
+
+        const { getLeadAlertSettings, saveLeadAlertSettings } = await loadLeadAlerts();
+        if (event.httpMethod === 'GET') {
+          try {
+            return ok(event, { success: true, settings: await getLeadAlertSettings(vendor.id) });
+          } catch (e) {
+            return fail(event, e.message || 'Failed to load lead alert settings');
+          }
         }
+        if (event.httpMethod === 'PUT') {
+          try {
+            return ok(event, { success: true, settings: await saveLeadAlertSettings(vendor.id, readBody(event)) });
+          } catch (e) {
+            return json(event, e.statusCode || 500, { success: false, error: e.message || 'Failed to save lead alert settings' });
+          }
+        }
+      }
 
-        const { count: purchaseCount, error: countErr } = await supabase
-          .from('lead_purchases')
-          .select('id', { count: 'exact', head: true })
-          .eq('lead_id', leadId);
+      // -------------------------
+      // /me/trust-score (GET) and /me/trust-score/refresh (POST)
+      // -------------------------
+      if (tail[1] === 'trust-score' && (tail.length === 2 || (tail.length === 3 && tail[2] === 'refresh'))) {
+        const vendor = await resolveVendorForUser(user);
+        if (!vendor) return bad(event, 'Vendor profile not found', null, 404);
 
-        if (countErr) return fail(event, countErr.message || 'Failed to validate lead capacity');
-        if ((purchaseCount || 0) >= 5) {
-          return bad(event, 'This lead has reached maximum 5 vendors limit', null, 409);
+        const { getVendorTrustScore, refreshVendorTrustScore } = await loadTrustScore();
+        try {
+          if (tail.length === 2 && event.httpMethod === 'GET') {
+            return ok(event, { success: true, trust: await getVendorTrustScore(vendor.id) });
+          }
+          if (tail.length === 3 && event.httpMethod === 'POST') {
+            return ok(event, { success: true, trust: await refreshVendorTrustScore(vendor.id) });
+          }
+        } catch (e) {
+          return json(event, e.statusCode || 500, { success: false, error: e.message || 'Trust score request failed' });
         }
+      }
 
-        const body = readBody(event);
-        const amountFromBody = Number(body?.amount);
-        const fallbackAmount = Number.isFinite(Number(lead?.price)) ? Number(lead.price) : 50;
-        const finalAmount = Number.isFinite(amountFromBody) ? amountFromBody : fallbackAmount;
-
-        const purchasePayload = {
-          vendor_id: vendor.id,
-          lead_id: leadId,
-          amount: finalAmount,
-          payment_status: 'COMPLETED',
-          purchase_date: new Date().toISOString(),
-        };
+      // -------------------------
+      // /me/reviews (GET) and /me/reviews/:reviewId/reply (POST)
+      // -------------------------
+      if (tail[1] === 'reviews' && (tail.length === 2 || (tail.length === 4 && tail[3] === 'reply'))) {
+        const vendor = await resolveVendorForUser(user);
+        if (!vendor) return bad(event, 'Vendor profile not found', null, 404);
 
-        const { data: purchaseRow, error: purchaseErr } = await supabase
-          .from('lead_purchases')
-          .insert([purchasePayload])
-          .select('*')
-          .maybeSingle();
+        const { listVendorReviews, replyToReview } = await loadVendorReviews();
+        try {
+          if (tail.length === 2 && event.httpMethod === 'GET') {
+            const qs = event.queryStringParameters || {};
+            return ok(event, { success: true, ...(await listVendorReviews(vendor.id, { limit: qs.limit, offset: qs.offset })) });
+          }
+          if (tail.length === 4 && event.httpMethod === 'POST') {
+            const review = await replyToReview(vendor, String(tail[2] || '').trim(), readBody(event));
+            return ok(event, { success: true, review });
+          }
+        } catch (e) {
+          return json(event, e.statusCode || 500, { success: false, error: e.message || 'Review request failed' });
+        }
+      }
 
-        if (purchaseErr) return fail(event, purchaseErr.message || 'Failed to purchase lead');
+      // -------------------------
+      // /me/leads/:leadId/lifecycle (GET, PATCH) and /me/leads/:leadId/dispute (POST)
+      // -------------------------
+      if (tail[1] === 'leads' && tail.length === 4 && ['lifecycle', 'dispute'].includes(tail[3])) {
+        const vendor = await resolveVendorForUser(user);
+        if (!vendor) return bad(event, 'Vendor profile not found', null, 404);
 
-        await supabase
-          .from('leads')
-          .update({ status: 'PURCHASED' })
-          .eq('id', leadId);
+        const leadId = String(tail[2] || '').trim();
+        const { getPurchaseLifecycle, openLeadDispute, updatePurchaseStage } = await loadLeadLifecycle();
+        try {
+          if (tail[3] === 'lifecycle' && event.httpMethod === 'GET') {
+            return ok(event, { success: true, ...(await getPurchaseLifecycle(vendor.id, leadId)) });
+          }
+          if (tail[3] === 'lifecycle' && event.httpMethod === 'PATCH') {
+            const purchase = await updatePurchaseStage(vendor.id, leadId, readBody(event), user?.id || null);
+            return ok(event, { success: true, purchase });
+          }
+          if (tail[3] === 'dispute' && event.httpMethod === 'POST') {
+            const { dispute, ticket } = await openLeadDispute(vendor, leadId, readBody(event));
+            return json(event, 201, { success: true, dispute, ticket });
+          }
+        } catch (e) {
+          return json(event, e.statusCode || 500, { success: false, error: e.message || 'Lead pipeline request failed' });
+        }
+      }
 
-        return json(event, 201, {
-          success: true,
-          purchase: purchaseRow || { ...purchasePayload, id: null },
+      // -------------------------
+      // /me/leads/:leadId/quote
+      // -------------------------
+      if (event.httpMethod === 'GET' && tail[1] === 'leads' && tail[3] === 'quote') {
+        const vendor = await resolveVendorForUser(user);
+        if (!vendor) return bad(event, 'Vendor profile not found', null, 404);
+
+        const leadId = String(tail[2] || '').trim();
+        if (!leadId) return bad(event, 'Invalid lead id');
+
+        const { data: quote, error: quoteErr } = await supabase.rpc('lead_purchase_quote', {
+          p_vendor_id: vendor.id,
+          p_lead_id: leadId,
         });
+
+        if (quoteErr) {
+          const { mapLeadPurchaseError } = await loadLeadPurchase();
+          const mapped = mapLeadPurchaseError(quoteErr);
+          return json(event, mapped.status, { success: false, error: mapped.error || 'Failed to price lead' });
+        }
+        return ok(event, { success: true, quote });
       }
 
       // -------------------------
@@ -976,6 +1096,10 @@ export const handler = async (event) => {
         }
 
         const source = isDirect ? 'Direct' : purchase ? 'Purchased' : 'Marketplace';
+        if (isDirect && lead?.proposal_id) {
+          const { markBroadcastViewed } = await loadRfqBroadcasts();
+          await markBroadcastViewed({ proposalId: lead.proposal_id, vendorId: vendor.id });
+        }
         const responseLead = {
           ...lead,
           source,
@@ -1071,6 +1195,73 @@ export const handler = async (event) => {
       return bad(event, 'Not found', null, 404);
     }
 
+    // -------------------------
+    // POST /marketplace-leads (public buyer requirement)
+    // -------------------------
+    if (event.httpMethod === 'POST' && tail[0] === 'marketplace-leads' && tail.length === 1) {
+      const payload = readBody(event);
+      const title = textOrNull(payload.title || payload.product_name, 200);
+      const description = textOrNull(payload.description || payload.message, 5000);
+      const buyerName = textOrNull(payload.buyer_name, 160);
+      const buyerEmail = normalizeEmailValue(textOrNull(payload.buyer_email, 320) || '');
+      const buyerPhone = textOrNull(payload.buyer_phone, 60);
+
+      if (!title && !textOrNull(payload.category, 120)) {
+        return bad(event, 'Product/service or category is required');
+      }
+      if (!buyerName || !buyerEmail || !buyerPhone) {
+        return bad(event, 'Name, email and phone are required');
+      }
+
+      const { checkMarketplaceLeadLimit, resolveEventClientIp } = await loadRateLimits();
+      const limit = await checkMarketplaceLeadLimit({ ip: resolveEventClientIp(event), phone: buyerPhone });
+      if (!limit.allowed) {
+        return json(event, 429, { success: false, error: 'Too many requirements posted, please try again later' });
+      }
+
+      const { data: lead, error: insErr } = await supabase
+        .from('leads')
+        .insert([
+          {
+            title,
+            product_name: textOrNull(payload.product_name, 200) || title,
+            product_interest: textOrNull(payload.product_interest, 200),
+            category: textOrNull(payload.category, 120),
+            category_slug: textOrNull(payload.category_slug, 160),
+            micro_category_id: textOrNull(payload.micro_category_id, 64),
+            sub_category_id: textOrNull(payload.sub_category_id, 64),
+            head_category_id: textOrNull(payload.head_category_id, 64),
+            description,
+            message: description,
+            quantity: textOrNull(payload.quantity, 80),
+            budget: budgetOrNull(payload.budget),
+            location: textOrNull(payload.location, 200),
+            state_id: textOrNull(payload.state_id, 64),
+            city_id: textOrNull(payload.city_id, 64),
+            company_name: textOrNull(payload.company_name, 200),
+            buyer_name: buyerName,
+            buyer_email: buyerEmail,
+            buyer_phone: buyerPhone,
+            source: 'marketplace',
+            status: 'AVAILABLE',
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select('id, title, category, status, created_at')
+        .maybeSingle();
+
+      if (insErr) {
+        return insErr.code === '22P02'
+          ? bad(event, insErr.message)
+          : fail(event, insErr.message || 'Failed to post requirement');
+      }
+
+      // Alerts go out from a background function so the buyer is not kept waiting
+      if (lead?.id) await queueLeadAlerts(event, lead.id);
+
+      return json(event, 201, { success: true, lead });
+    }
+
     // -------------------------
     // Public vendor profile endpoints
     // -------------------------
@@ -1238,6 +1429,50 @@ export const handler = async (event) => {
       return ok(event, { success: true, categories: mapped });
     }
 
+    // -------------------------
+    // Reviews: public list, buyer eligibility + submit
+    // -------------------------
+    if (action === 'reviews') {
+      const { createReview, listReviewableSources, listVendorReviews } = await loadVendorReviews();
+      try {
+        if (event.httpMethod === 'GET' && tail.length === 2) {
+          const qs = event.queryStringParameters || {};
+          const result = await listVendorReviews(vendorId, {
+            productId: String(qs.product_id || '').trim() || null,
+            limit: qs.limit,
+            offset: qs.offset,
+          });
+          return ok(event, { success: true, ...result });
+        }
+
+        if (!isSafeMethod(event.httpMethod) && !ensureCsrfValid(event)) {
+          return forbidden(event, 'CSRF token mismatch');
+        }
+        const { user, error } = requireRole(event, 'BUYER');
+        if (error) return error;
+
+        const { data: buyerRow } = await supabase
+          .from('buyers')
+          .select('id, email')
+          .eq('user_id', user.id)
+          .maybeSingle();
+        if (!buyerRow) return bad(event, 'Buyer profile not found', null, 404);
+        const buyer = { ...buyerRow, email: buyerRow.email || user.email };
+
+        if (event.httpMethod === 'GET' && tail[2] === 'eligibility') {
+          const sources = await listReviewableSources(buyer, vendorId);
+          return ok(event, { success: true, sources, can_review: sources.some((s) => !s.review_id) });
+        }
+        if (event.httpMethod === 'POST' && tail.length === 2) {
+          const review = await createReview(buyer, vendorId, readBody(event));
+          return json(event, 201, { success: true, review });
+        }
+        return json(event, 405, { success: false, error: 'Method not allowed' });
+      } catch (e) {
+        return json(event, e.statusCode || 500, { success: false, error: e.message || 'Review request failed' });
+      }
+    }
+
     // -------------------------
     // Buyer-only endpoints
     // -------------------------
@@ -0,0 +1,224 @@
+import OpenAI from 'openai';
+import Groq from 'groq-sdk';
+
+// Chat model providers for /api/chat. Every provider exposes
+//   stream({ messages, tools, temperature, maxTokens })
+// an async generator yielding { type: 'text', delta } while the reply is produced and a final
+// { type: 'message', content, tool_calls, usage: { prompt_tokens, completion_tokens } }.
+// CHATBOT_PROVIDERS sets the fallback order (default: openai,groq — whichever have keys);
+// "local" is a deterministic offline provider for dev and tests.
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_GROQ_MODEL = 'llama-3.3-70b-versatile';
+
+// USD per 1M tokens; CHATBOT_MODEL_PRICING='{"model":{"input":0.1,"output":0.4}}' overrides
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  local: { input: 0, output: 0 },
+};
+
+let pricingOverrides = null;
+const loadPricingOverrides = () => {
+  if (pricingOverrides) return pricingOverrides;
+  try {
+    pricingOverrides = JSON.parse(process.env.CHATBOT_MODEL_PRICING || '{}') || {};
+  } catch {
+    console.warn('[chatbot] CHATBOT_MODEL_PRICING is not valid JSON; using defaults');
+    pricingOverrides = {};
+  }
+  return pricingOverrides;
+};
+
+/** Cost in USD of one completion; unknown models cost 0 (tokens are still counted) */
+export function estimateCostUsd(model, usage = {}) {
+  const price = loadPricingOverrides()[model] || MODEL_PRICING[model];
+  if (!price) return 0;
+  const cost =
+    (Number(usage.prompt_tokens || 0) * Number(price.input || 0) +
+      Number(usage.completion_tokens || 0) * Number(price.output || 0)) /
+    1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+const estimateTokens = (value) => Math.ceil(String(value || '').length / 4);
+
+// Quota / rate-limit / outage errors are worth retrying on the next provider
+export const isRetryableProviderError = (err) => {
+  const status = err?.status || err?.response?.status;
+  const detail = String(err?.error?.message || err?.message || '').toLowerCase();
+  return status === 429 || status >= 500 || !status || detail.includes('quota');
+};
+
+// OpenAI and Groq share the chat.completions streaming format
+function createOpenAICompatibleProvider({ name, client, model }) {
+  return {
+    name,
+    model,
+    async *stream({ messages, tools, temperature = 0.6, maxTokens = 512 }) {
+      const response = await client.chat.completions.create({
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+        stream: true,
+        ...(name === 'openai' ? { stream_options: { include_usage: true } } : {}),
+        ...(tools?.length ? { tools, tool_choice: 'auto' } : {}),
+      });
+
+      let content = '';
+      let usage = null;
+      const calls = [];
+      for await (const chunk of response) {
+        if (chunk?.usage) usage = chunk.usage;
+        if (chunk?.x_groq?.usage) usage = chunk.x_groq.usage;
+
+        const delta = chunk?.choices?.[0]?.delta;
+        if (!delta) continue;
+        if (delta.content) {
+          content += delta.content;
+          yield { type: 'text', delta: delta.content };
+        }
+        for (const part of delta.tool_calls || []) {
+          const idx = part.index ?? calls.length;
+          const call = calls[idx] || (calls[idx] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+      }
+
+      yield {
+        type: 'message',
+        content,
+        tool_calls: calls.filter(Boolean),
+        usage: {
+          prompt_tokens: Number(usage?.prompt_tokens ?? estimateTokens(JSON.stringify(messages))),
+          completion_tokens: Number(usage?.completion_tokens ?? estimateTokens(content)),
+        },
+      };
+    },
+  };
+}
+
+const STOP_WORDS = /\b(who|sells?|selling|suppliers?|manufacturers?|dealers?|of|for|find|me|buy|need|want|looking|i|am|a|an|the|please|show|any|where|can|get|are|is|there)\b/gi;
+
+// Deterministic replies: "who sells X in Y" -> search_directory, "categories for X" -> lookup_categories
+function localReply(messages, tools) {
+  const last = messages[messages.length - 1] || {};
+  const toolNames = new Set((tools || []).map((t) => t.function?.name));
+
+  if (last.role === 'tool') {
+    let data = {};
+    try {
+      data = JSON.parse(last.content || '{}');
+    } catch {
+      data = {};
+    }
+    if (data.error) return { content: `Sorry, ${data.error}.` };
+    if (Array.isArray(data.results)) {
+      if (!data.results.length) {
+        return { content: `I couldn't find listings for "${data.query}"${data.location ? ` in ${data.location}` : ''}. Want me to post it as a requirement?` };
+      }
+      const top = data.results[0];
+      return {
+        content: `I found ${data.total_results} listing(s) for "${data.query}"${data.location ? ` in ${data.location}` : ''}. Top match: ${top.product}${top.supplier ? ` from ${top.supplier}` : ''}.`,
+      };
+    }
+    if (Array.isArray(data.categories)) return { content: `${data.categories.length} matching categories are listed below.` };
+    if (data.posted) return { content: `Your requirement "${data.title}" is posted. Matching suppliers will contact you soon.` };
+    if (data.company_name) return { content: `${data.company_name}${data.city ? `, ${data.city}` : ''} has ${data.active_products} active products.` };
+    return { content: 'Here is what I found.' };
+  }
+
+  const text = String(last.content || '').trim();
+  if (/categor/i.test(text) && toolNames.has('lookup_categories')) {
+    const query = text.replace(/categor(y|ies)/gi, '').replace(STOP_WORDS, ' ').replace(/\s+/g, ' ').trim();
+    if (query) return { tool: { name: 'lookup_categories', args: { query } } };
+  }
+  if (/\b(sell|supplier|manufacturer|dealer|find|buy|need|looking for)/i.test(text) && toolNames.has('search_directory')) {
+    const cityMatch = text.match(/\b(?:in|near|at)\s+([a-z][a-z\s]{1,40}?)\s*[?.!]*$/i);
+    const query = (cityMatch ? text.slice(0, cityMatch.index) : text)
+      .replace(/[?.!,]/g, ' ')
+      .replace(STOP_WORDS, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (query) {
+      return { tool: { name: 'search_directory', args: { query, ...(cityMatch ? { city: cityMatch[1].trim() } : {}) } } };
+    }
+  }
+  return {
+    content:
+      'Hi! I can find suppliers ("who sells HDPE pipes in Pune?"), map products to categories, or post your requirement to matching suppliers.',
+  };
+}
+
+export function createLocalProvider() {
+  let callSeq = 0;
+  return {
+    name: 'local',
+    model: 'local',
+    async *stream({ messages, tools }) {
+      const reply = localReply(messages, tools);
+      const promptTokens = estimateTokens(JSON.stringify(messages));
+      if (reply.tool) {
+        callSeq += 1;
+        yield {
+          type: 'message',
+          content: '',
+          tool_calls: [
+            { id: `local_call_${callSeq}`, type: 'function', function: { name: reply.tool.name, arguments: JSON.stringify(reply.tool.args) } },
+          ],
+          usage: { prompt_tokens: promptTokens, completion_tokens: 0 },
+        };
+        return;
+      }
+      // Word-sized deltas so streaming behaves like a real provider
+      for (const word of reply.content.split(/(?<=\s)/)) {
+        yield { type: 'text', delta: word };
+      }
+      yield { type: 'message', content: reply.content, tool_calls: [], usage: { prompt_tokens: promptTokens, completion_tokens: estimateTokens(reply.content) } };
+    },
+  };
+}
+
+let openaiClient = null;
+let groqClient = null;
+
+function createProvider(name, { model } = {}) {
+  if (name === 'openai' && process.env.OPENAI_API_KEY) {
+    openaiClient = openaiClient || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return createOpenAICompatibleProvider({
+      name,
+      client: openaiClient,
+      model: model || process.env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+    });
+  }
+  if (name === 'groq' && process.env.GROQ_API_KEY) {
+    groqClient = groqClient || new Groq({ apiKey: process.env.GROQ_API_KEY });
+    return createOpenAICompatibleProvider({ name, client: groqClient, model: process.env.GROQ_MODEL || DEFAULT_GROQ_MODEL });
+  }
+  if (name === 'local') return createLocalProvider();
+  return null;
+}
+
+/**
+ * Configured providers in fallback order. Without CHATBOT_PROVIDERS and without API keys,
+ * non-production runs fall back to the local provider.
+ */
+export function getChatProviders({ model } = {}) {
+  const configured = String(process.env.CHATBOT_PROVIDERS || '')
+    .split(',')
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+  const order = configured.length ? configured : ['openai', 'groq'];
+  const providers = order.map((name) => createProvider(name, { model: name === 'openai' ? model : undefined })).filter(Boolean);
+  if (!providers.length && !configured.length && process.env.NODE_ENV !== 'production') {
+    providers.push(createLocalProvider());
+  }
+  return providers;
+}
@@ -0,0 +1,246 @@
+import { supabase } from './supabaseClient.js';
+import { getAuthCookieNames, getCookie, verifyAuthToken } from './auth.js';
+import { buildSystemPrompt, CHATBOT_TOOLS, runChatbotTool } from './chatbotTools.js';
+import { estimateCostUsd, getChatProviders, isRetryableProviderError } from './chatProviders.js';
+import { hitRateLimit } from './rateLimits.js';
+import { httpError, positiveInt } from './libUtils.js';
+
+// One /api/chat turn (migration 20261103): rate limit per user or client IP, conversation history
+// loaded from and written to chatbot_history, tool calls, streamed tokens and usage/cost totals.
+// Shared by the Express route and the Netlify function; events go out through onEvent(name, data).
+
+const MAX_TOOL_ROUNDS = 3;
+const HISTORY_LIMIT = 20;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const text = (value, max = MAX_MESSAGE_LENGTH) => String(value ?? '').trim().slice(0, max);
+
+/** Messages allowed per user (or client IP) per window (CHATBOT_RATE_MAX / CHATBOT_RATE_WINDOW_MS) */
+export function getChatRateLimit() {
+  return {
+    max: positiveInt(process.env.CHATBOT_RATE_MAX, 20),
+    windowMs: positiveInt(process.env.CHATBOT_RATE_WINDOW_MS, 10 * 60 * 1000),
+  };
+}
+
+/** Widget session ids are client-generated; anything else is treated as no session */
+export const normalizeSessionId = (value) => {
+  const id = String(value || '').trim();
+  return /^[A-Za-z0-9_-]{8,80}$/.test(id) ? id : null;
+};
+
+/** Logged-in portal user behind an Express request or Netlify event; the widget also works anonymously */
+export function resolveChatUserId(reqOrEvent) {
+  const { AUTH_COOKIE_NAME } = getAuthCookieNames();
+  const token = getCookie(reqOrEvent, AUTH_COOKIE_NAME);
+  const payload = token ? verifyAuthToken(token) : null;
+  return payload?.sub || null;
+}
+
+/**
+ * Gate for POST /api/chat. Widget session ids are minted by the browser, so the limit is keyed on the
+ * logged-in user, else the client IP (migration 20261112). Returns { allowed, remaining, retryAfterSec }.
+ */
+export async function checkChatRateLimit({ userId, ip }) {
+  const { max, windowMs } = getChatRateLimit();
+  return userId
+    ? hitRateLimit('chat:user', userId, { max, windowMs })
+    : hitRateLimit('chat:ip', ip, { max, windowMs });
+}
+
+async function loadConversation({ conversationId, sessionId, userId }) {
+  if (!conversationId) return null;
+  const { data } = await supabase.from('chatbot_conversations').select('*').eq('id', conversationId).maybeSingle();
+  if (!data) return null;
+  const owned = data.session_id === sessionId || (userId && data.user_id === userId);
+  return owned ? data : null;
+}
+
+async function createConversation({ sessionId, userId, language }) {
+  const { data, error } = await supabase
+    .from('chatbot_conversations')
+    .insert([{ session_id: sessionId, user_id: userId || null, language }])
+    .select('*')
+    .single();
+  if (error) {
+    console.warn('[chatbot] conversation not persisted:', error.message);
+    return null;
+  }
+  return data;
+}
+
+async function loadStoredMessages(conversationId) {
+  const { data } = await supabase
+    .from('chatbot_history')
+    .select('message, sender, created_at')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(HISTORY_LIMIT);
+  return (data || [])
+    .reverse()
+    .map((row) => ({ role: row.sender === 'bot' ? 'assistant' : 'user', content: row.message }));
+}
+
+async function saveMessage(conversation, row) {
+  if (!conversation) return;
+  const { error } = await supabase.from('chatbot_history').insert([
+    { conversation_id: conversation.id, session_id: conversation.session_id, user_id: conversation.user_id, ...row },
+  ]);
+  if (error) console.warn('[chatbot] history insert failed:', error.message);
+}
+
+/** Latest conversation of the logged-in user (or the widget session) with its messages */
+export async function getChatHistory({ sessionId, userId, conversationId }) {
+  let conversation = await loadConversation({ conversationId, sessionId, userId });
+  if (!conversation && !conversationId) {
+    let query = supabase.from('chatbot_conversations').select('*').order('last_message_at', { ascending: false }).limit(1);
+    query = userId ? query.eq('user_id', userId) : query.eq('session_id', sessionId);
+    const { data } = await query.maybeSingle();
+    conversation = data || null;
+  }
+  if (!conversation) return { conversation: null, messages: [] };
+
+  const { data: rows } = await supabase
+    .from('chatbot_history')
+    .select('id, message, sender, cards, created_at')
+    .eq('conversation_id', conversation.id)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  return {
+    conversation,
+    messages: (rows || []).reverse().map((row) => ({
+      id: row.id,
+      role: row.sender === 'bot' ? 'assistant' : 'user',
+      text: row.message,
+      cards: row.cards || [],
+      created_at: row.created_at,
+    })),
+  };
+}
+
+async function runWithProvider(provider, convo, state, onEvent, toolContext) {
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round += 1) {
+    let final = null;
+    // Last round: no tools, so the model has to answer from what it already has
+    const tools = round < MAX_TOOL_ROUNDS ? CHATBOT_TOOLS : undefined;
+    for await (const event of provider.stream({ messages: convo, tools })) {
+      if (event.type === 'text' && event.delta) {
+        state.emitted = true;
+        state.text += event.delta;
+        onEvent('token', { delta: event.delta });
+      } else if (event.type === 'message') {
+        final = event;
+      }
+    }
+
+    state.usage.prompt_tokens += Number(final?.usage?.prompt_tokens || 0);
+    state.usage.completion_tokens += Number(final?.usage?.completion_tokens || 0);
+    const toolCalls = final?.tool_calls || [];
+    if (!toolCalls.length) return;
+
+    convo.push({ role: 'assistant', content: final.content || null, tool_calls: toolCalls });
+    for (const call of toolCalls) {
+      state.toolsRan = true;
+      const result = await runChatbotTool(call.function?.name, call.function?.arguments, toolContext);
+      if (result.cards?.length) {
+        state.cards.push(...result.cards);
+        onEvent('cards', { cards: result.cards });
+      }
+      convo.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result.data ?? {}) });
+    }
+  }
+}
+
+/**
+ * Answer the last user message of `messages`. Earlier turns come from chatbot_history when the
+ * conversation is stored, otherwise from the request. Falls through CHATBOT_PROVIDERS on quota /
+ * outage errors as long as nothing was streamed and no tool ran yet. `clientIp` is passed to the
+ * tools for their per-client limits (post_requirement).
+ */
+export async function runChatTurn({
+  messages = [],
+  language = 'en',
+  sessionId,
+  userId = null,
+  conversationId = null,
+  clientIp = null,
+  model,
+  onEvent = () => {},
+}) {
+  const lastUser = [...messages].reverse().find((m) => m?.role !== 'assistant');
+  const userText = text(lastUser?.text);
+  if (!userText) throw httpError(400, 'messages[] with role/text required');
+
+  const providers = getChatProviders({ model });
+  if (!providers.length) throw httpError(503, 'No AI provider configured (OPENAI_API_KEY or GROQ_API_KEY missing)');
+
+  const conversation =
+    (await loadConversation({ conversationId, sessionId, userId })) || (await createConversation({ sessionId, userId, language }));
+  const stored = conversation ? await loadStoredMessages(conversation.id) : [];
+  const prior = stored.length
+    ? stored
+    : messages
+      .slice(0, messages.lastIndexOf(lastUser))
+      .slice(-HISTORY_LIMIT)
+      .map((m) => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: text(m.text) }))
+      .filter((m) => m.content);
+
+  onEvent('meta', { conversation_id: conversation?.id || null });
+  await saveMessage(conversation, { message: userText, sender: 'user' });
+
+  const state = { text: '', cards: [], usage: { prompt_tokens: 0, completion_tokens: 0 }, emitted: false, toolsRan: false };
+  let used = null;
+  for (let i = 0; i < providers.length; i += 1) {
+    const provider = providers[i];
+    const convo = [{ role: 'system', content: buildSystemPrompt(language) }, ...prior, { role: 'user', content: userText }];
+    try {
+      await runWithProvider(provider, convo, state, onEvent, { ip: clientIp });
+      used = provider;
+      break;
+    } catch (err) {
+      const detail = err?.error?.message || err?.message || err;
+      console.error(`[chatbot] ${provider.name} error`, err?.status || '', detail);
+      const canFallBack = !state.emitted && !state.toolsRan && isRetryableProviderError(err) && i < providers.length - 1;
+      if (!canFallBack) throw httpError(502, typeof detail === 'string' ? detail : `Upstream model error (${provider.name})`);
+    }
+  }
+
+  const reply = state.text.trim() || 'Sorry, I could not generate a response right now.';
+  const costUsd = estimateCostUsd(used.model, state.usage);
+  await saveMessage(conversation, {
+    message: reply,
+    sender: 'bot',
+    provider: used.name,
+    model: used.model,
+    prompt_tokens: state.usage.prompt_tokens,
+    completion_tokens: state.usage.completion_tokens,
+    cost_usd: costUsd,
+    cards: state.cards.length ? state.cards : null,
+  });
+
+  let totals = null;
+  if (conversation) {
+    const { data, error } = await supabase.rpc('add_chatbot_usage', {
+      p_conversation_id: conversation.id,
+      p_messages: 2,
+      p_prompt_tokens: state.usage.prompt_tokens,
+      p_completion_tokens: state.usage.completion_tokens,
+      p_cost_usd: costUsd,
+      p_provider: used.name,
+      p_model: used.model,
+    });
+    if (error) console.warn('[chatbot] usage accounting failed:', error.message);
+    totals = data ? { total_tokens: data.total_tokens, cost_usd: Number(data.cost_usd) } : null;
+  }
+
+  return {
+    conversation_id: conversation?.id || null,
+    text: reply,
+    cards: state.cards,
+    provider: used.name,
+    model: used.model,
+    usage: { ...state.usage, cost_usd: costUsd },
+    conversation_usage: totals,
+  };
+}
@@ -0,0 +1,389 @@
+import { supabase } from './supabaseClient.js';
+import { distributeLeadAlerts } from './leadAlerts.js';
+import { checkMarketplaceLeadLimit } from './rateLimits.js';
+import { escapeLike, isVerifiedVendor, lower, slugify, text, textOrNull } from './libUtils.js';
+
+// Catalog tools for the "Khushi" assistant (/api/chat). The model picks tools through
+// OpenAI-style function calling (Groq speaks the same format); each tool returns
+// { data } for the model and { cards } the chat widget renders as clickable results.
+
+const MAX_RESULTS = 6;
+
+const firstImage = (images) => {
+  const list = Array.isArray(images) ? images : [];
+  const first = list[0];
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.url || first.src || null;
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const buildSystemPrompt = (language = 'en') =>
+  [
+    `You are “Khushi from ITM”, the official assistant of IndianTradeMart (indiantrademart.com), a B2B marketplace that connects trusted manufacturers, suppliers, and buyers across India.`,
+    `Always answer in the user’s selected language code: ${language}. If language is 'hi', reply in natural Hindi; otherwise use English.`,
+    `Core duties: help users find products, suppliers, manufacturers; guide vendor registration (“Sell with Us/Become a Vendor” -> fill business + GST/license details, upload docs, verify phone/email, then list products); explain buying flow (search products, compare vendors, raise inquiries/RFQs, track responses).`,
+    `Tools: use search_directory for "who sells X (in city Y)" questions, lookup_categories to map a product to catalog categories, get_vendor_profile for a specific supplier, and post_requirement to post a buy requirement. Never invent suppliers, prices or ratings; only mention what a tool returned. The chat shows tool results as cards, so summarise in 1–3 lines instead of listing every field.`,
+    `Before post_requirement, collect product, quantity, and the buyer's name, email and phone, read them back and call it with confirmed=true only after the user agrees.`,
+    `Tone: concise, friendly, professional, action-oriented. Offer 2–3 short steps or quick calls-to-action. Ask a brief clarifying question if intent is unclear.`,
+    `Safety: never share API keys or internal info; if asked about sensitive data, politely refuse.`,
+  ].join(' ');
+
+export const CHATBOT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'search_directory',
+      description: 'Search active product listings and their suppliers, optionally in a city or state.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Product or service, e.g. "HDPE pipes"' },
+          city: { type: 'string', description: 'City name, e.g. "Pune"' },
+          state: { type: 'string', description: 'State name, e.g. "Maharashtra"' },
+          verified_only: { type: 'boolean', description: 'Only KYC-verified suppliers' },
+        },
+        required: ['query'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'lookup_categories',
+      description: 'Find catalog categories (head > sub > micro) matching a product or industry term.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+        },
+        required: ['query'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_vendor_profile',
+      description: 'Summary of one supplier: location, rating, trust score, verification and top products.',
+      parameters: {
+        type: 'object',
+        properties: {
+          vendor_id: { type: 'string', description: 'Vendor id from a previous search result' },
+          company_name: { type: 'string', description: 'Company name when the id is unknown' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'post_requirement',
+      description: 'Post a buy requirement to the marketplace so matching suppliers contact the buyer.',
+      parameters: {
+        type: 'object',
+        properties: {
+          product: { type: 'string' },
+          quantity: { type: 'string', description: 'Quantity with unit, e.g. "500 metres"' },
+          description: { type: 'string' },
+          city: { type: 'string' },
+          budget: { type: 'number', description: 'Budget in INR' },
+          buyer_name: { type: 'string' },
+          buyer_email: { type: 'string' },
+          buyer_phone: { type: 'string' },
+          company_name: { type: 'string' },
+          confirmed: { type: 'boolean', description: 'true only after the user confirmed the details' },
+        },
+        required: ['product', 'quantity', 'buyer_name', 'buyer_email', 'buyer_phone', 'confirmed'],
+      },
+    },
+  },
+];
+
+async function resolveCity(name) {
+  const term = text(name).slice(0, 80);
+  if (!term) return null;
+  const { data } = await supabase
+    .from('cities')
+    .select('id, name, slug, state_id, states(name, slug)')
+    .ilike('name', escapeLike(term))
+    .limit(1)
+    .maybeSingle();
+  return data || null;
+}
+
+async function resolveState(name) {
+  const term = text(name).slice(0, 80);
+  if (!term) return null;
+  const { data } = await supabase.from('states').select('id, name, slug').ilike('name', escapeLike(term)).limit(1).maybeSingle();
+  return data || null;
+}
+
+const productCard = (row) => {
+  const vendor = row.vendors || {};
+  return {
+    type: 'product',
+    id: row.id,
+    title: row.name,
+    subtitle: [vendor.company_name, vendor.city].filter(Boolean).join(' · '),
+    price: row.price ? Number(row.price) : null,
+    price_unit: row.price_unit || null,
+    image: firstImage(row.images),
+    verified: isVerifiedVendor(vendor),
+    vendor_id: row.vendor_id || vendor.id || null,
+    url: row.slug ? `/p/${row.slug}` : `/directory/vendor/${row.vendor_id || vendor.id}`,
+  };
+};
+
+// Same ranking as /api/dir/search (dir_ranked_products); plain name match when the RPC is missing
+async function searchDirectory({ query, city, state, verified_only: verifiedOnly }) {
+  const q = text(query).slice(0, 100);
+  if (!q) return { data: { error: 'query is required' }, cards: [] };
+
+  const cityRow = await resolveCity(city);
+  const stateRow = cityRow ? null : await resolveState(state);
+  const filters = verifiedOnly ? { verified: true } : {};
+
+  let rows = [];
+  let total = 0;
+  const { data, error } = await supabase.rpc('dir_ranked_products', {
+    p_micro_id: null,
+    p_city_id: cityRow?.id || null,
+    p_state_id: stateRow?.id || null,
+    p_q: q,
+    p_sort: null,
+    p_limit: MAX_RESULTS,
+    p_offset: 0,
+    p_filters: filters,
+    p_radius_km: null,
+  });
+
+  if (!error) {
+    rows = data || [];
+    total = rows.length ? Number(rows[0].total_count || rows.length) : 0;
+  } else {
+    console.warn('[chatbot] dir_ranked_products failed, using name match:', error.message);
+    let legacy = supabase
+      .from('products')
+      .select(
+        'id, vendor_id, name, slug, price, price_unit, images, vendors!inner(id, company_name, city, city_id, state_id, kyc_status, verification_badge, is_active)',
+        { count: 'exact' }
+      )
+      .eq('status', 'ACTIVE')
+      .eq('vendors.is_active', true)
+      .ilike('name', `%${escapeLike(q)}%`)
+      .limit(MAX_RESULTS);
+    if (cityRow) legacy = legacy.eq('vendors.city_id', cityRow.id);
+    else if (stateRow) legacy = legacy.eq('vendors.state_id', stateRow.id);
+    const { data: legacyRows, count } = await legacy;
+    rows = (legacyRows || []).filter((r) => !verifiedOnly || isVerifiedVendor(r.vendors));
+    total = count ?? rows.length;
+  }
+
+  const cards = rows.map(productCard);
+  const location = cityRow?.name || stateRow?.name || null;
+  const searchUrl = ['/directory/search', slugify(q), cityRow?.states?.slug || stateRow?.slug, cityRow?.slug]
+    .filter(Boolean)
+    .join('/');
+
+  return {
+    data: {
+      query: q,
+      location,
+      location_matched: Boolean(location) || (!city && !state),
+      total_results: total,
+      results: cards.map((c) => ({
+        product: c.title,
+        supplier: c.subtitle,
+        price: c.price,
+        price_unit: c.price_unit,
+        verified: c.verified,
+        vendor_id: c.vendor_id,
+      })),
+      see_all_url: searchUrl,
+    },
+    cards: total > cards.length ? [...cards, { type: 'link', title: `See all ${total} results`, url: searchUrl }] : cards,
+  };
+}
+
+async function lookupCategories({ query }) {
+  const term = text(query).slice(0, 80);
+  if (!term) return { data: { error: 'query is required' }, cards: [] };
+
+  const [micro, sub] = await Promise.all([
+    supabase
+      .from('micro_categories')
+      .select('id, name, slug, sub_categories(id, name, slug, head_categories(id, name, slug))')
+      .ilike('name', `%${escapeLike(term)}%`)
+      .limit(MAX_RESULTS),
+    supabase
+      .from('sub_categories')
+      .select('id, name, slug, head_categories(id, name, slug)')
+      .ilike('name', `%${escapeLike(term)}%`)
+      .limit(3),
+  ]);
+
+  const cards = [];
+  (micro.data || []).forEach((m) => {
+    const s = m.sub_categories;
+    const h = s?.head_categories;
+    if (!h?.slug || !s?.slug) return;
+    cards.push({
+      type: 'category',
+      id: m.id,
+      title: m.name,
+      subtitle: [h.name, s.name].join(' › '),
+      url: `/directory/${h.slug}/${s.slug}/${m.slug}`,
+    });
+  });
+  (sub.data || []).forEach((s) => {
+    const h = s.head_categories;
+    if (!h?.slug) return;
+    cards.push({ type: 'category', id: s.id, title: s.name, subtitle: h.name, url: `/directory/${h.slug}/${s.slug}` });
+  });
+
+  return {
+    data: { query: term, categories: cards.map((c) => ({ name: c.title, path: `${c.subtitle} › ${c.title}` })) },
+    cards: cards.slice(0, MAX_RESULTS),
+  };
+}
+
+async function getVendorProfile({ vendor_id: vendorId, company_name: companyName }) {
+  let query = supabase.from('vendors').select('*').eq('is_active', true).limit(1);
+  if (text(vendorId)) query = query.eq('id', text(vendorId).slice(0, 64));
+  else if (text(companyName)) query = query.ilike('company_name', `%${escapeLike(text(companyName).slice(0, 120))}%`);
+  else return { data: { error: 'vendor_id or company_name is required' }, cards: [] };
+
+  const { data: vendor, error } = await query.maybeSingle();
+  if (error || !vendor) return { data: { error: 'Supplier not found' }, cards: [] };
+
+  const { data: products, count } = await supabase
+    .from('products')
+    .select('name', { count: 'exact' })
+    .eq('vendor_id', vendor.id)
+    .eq('status', 'ACTIVE')
+    .order('views', { ascending: false })
+    .limit(5);
+
+  const summary = {
+    vendor_id: vendor.id,
+    company_name: vendor.company_name,
+    city: vendor.city || null,
+    state: vendor.state || null,
+    verified: isVerifiedVendor(vendor),
+    seller_rating: vendor.seller_rating ?? null,
+    review_count: vendor.review_count ?? 0,
+    trust_score: vendor.trust_score ?? null,
+    active_products: count ?? (products || []).length,
+    top_products: (products || []).map((p) => p.name),
+  };
+
+  return {
+    data: summary,
+    cards: [
+      {
+        type: 'vendor',
+        id: vendor.id,
+        title: vendor.company_name,
+        subtitle: [vendor.city, vendor.state].filter(Boolean).join(', '),
+        rating: summary.seller_rating !== null ? Number(summary.seller_rating) : null,
+        trust_score: summary.trust_score !== null ? Number(summary.trust_score) : null,
+        verified: summary.verified,
+        url: `/directory/vendor/${vendor.id}`,
+      },
+    ],
+  };
+}
+
+// Same row and the same per-IP / per-phone limits as POST /api/vendors/marketplace-leads (PostRequirementModal)
+async function postRequirement(args, { ip = null } = {}) {
+  if (args.confirmed !== true) {
+    return { data: { error: 'Confirm the details with the user first, then call again with confirmed=true' }, cards: [] };
+  }
+  const product = text(args.product).slice(0, 200);
+  const buyerName = text(args.buyer_name).slice(0, 160);
+  const buyerEmail = lower(args.buyer_email).slice(0, 320);
+  const buyerPhone = text(args.buyer_phone).slice(0, 60);
+  const missing = [
+    !product && 'product',
+    !text(args.quantity) && 'quantity',
+    !buyerName && 'buyer_name',
+    !EMAIL_RE.test(buyerEmail) && 'buyer_email',
+    buyerPhone.replace(/\D/g, '').length < 10 && 'buyer_phone',
+  ].filter(Boolean);
+  if (missing.length) return { data: { error: `Missing or invalid: ${missing.join(', ')}` }, cards: [] };
+
+  const limit = await checkMarketplaceLeadLimit({ ip, phone: buyerPhone });
+  if (!limit.allowed) return { data: { error: 'Too many requirements posted, please try again later' }, cards: [] };
+
+  const cityRow = await resolveCity(args.city);
+  const description = textOrNull(args.description, 5000);
+  const budget = Number(args.budget);
+  const { data: lead, error } = await supabase
+    .from('leads')
+    .insert([
+      {
+        title: product,
+        product_name: product,
+        product_interest: product,
+        category: product.slice(0, 120),
+        description,
+        message: description,
+        quantity: text(args.quantity).slice(0, 80),
+        budget: Number.isFinite(budget) && budget > 0 ? budget : null,
+        location: cityRow ? [cityRow.name, cityRow.states?.name].filter(Boolean).join(', ') : textOrNull(args.city, 200),
+        state_id: cityRow?.state_id || null,
+        city_id: cityRow?.id || null,
+        company_name: textOrNull(args.company_name, 200),
+        buyer_name: buyerName,
+        buyer_email: buyerEmail,
+        buyer_phone: buyerPhone,
+        source: 'marketplace',
+        status: 'AVAILABLE',
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select('id, title, status, created_at')
+    .maybeSingle();
+  if (error || !lead) return { data: { error: error?.message || 'Failed to post requirement' }, cards: [] };
+
+  // Awaited: on Netlify the function stops once the reply is sent
+  try {
+    await distributeLeadAlerts(lead.id);
+  } catch (alertErr) {
+    console.warn('[chatbot] lead alert distribution failed:', alertErr?.message || alertErr);
+  }
+
+  return {
+    data: { posted: true, lead_id: lead.id, title: lead.title },
+    cards: [{ type: 'requirement', id: lead.id, title: lead.title, subtitle: 'Requirement posted', url: null }],
+  };
+}
+
+const TOOL_HANDLERS = {
+  search_directory: searchDirectory,
+  lookup_categories: lookupCategories,
+  get_vendor_profile: getVendorProfile,
+  post_requirement: postRequirement,
+};
+
+/**
+ * Run one tool call; failures go back to the model as { error } instead of failing the chat.
+ * `context` = { ip } of the chat request, for tools with per-client limits.
+ */
+export async function runChatbotTool(name, rawArgs, context = {}) {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) return { data: { error: `Unknown tool ${name}` }, cards: [] };
+  let args = {};
+  try {
+    args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : rawArgs || {};
+  } catch {
+    return { data: { error: 'Arguments must be valid JSON' }, cards: [] };
+  }
+  try {
+    return await handler(args, context);
+  } catch (err) {
+    console.error(`[chatbot] tool ${name} failed:`, err?.message || err);
+    return { data: { error: 'Tool failed, try again later' }, cards: [] };
+  }
+}
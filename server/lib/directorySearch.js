@@ -0,0 +1,45 @@
+import { escapeLike } from './libUtils.js';
+
+// Text matching helpers for the /api/dir product search.
+
+// Same normalization as dir_normalize_search_text (query_norm columns)
+export function normalizeSearchText(v) {
+  return String(v || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Legacy fallback search: per-word, plural-insensitive match on name/description.
+// The RPC path handles synonyms and typos via products.search_vector.
+export function legacySearchTokens(q) {
+  return String(q || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, 6)
+    .map((w) => {
+      if (w.length > 4 && w.endsWith('ies')) return w.slice(0, -3);
+      if (w.length > 4 && /(ches|shes|sses|xes)$/.test(w)) return w.slice(0, -2);
+      if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+      return w;
+    });
+}
+
+/**
+ * Narrow a products query to `q`. Queries with no ASCII words (e.g. Hindi product names)
+ * fall back to a substring match on the whole name instead of matching everything.
+ */
+export function applyLegacyTextSearch(query, q) {
+  const raw = String(q || '').trim();
+  if (!raw) return query;
+
+  const tokens = legacySearchTokens(raw);
+  if (!tokens.length) return query.ilike('name', `%${escapeLike(raw)}%`);
+
+  for (const token of tokens) {
+    query = query.or(`name.ilike.%${token}%,description.ilike.%${token}%`);
+  }
+  return query;
+}
@@ -0,0 +1,175 @@
+import { roundMoney } from './libUtils.js';
+
+// GST helpers for platform tax invoices (no DB access).
+// Plan and lead prices are GST-inclusive: the amount charged through Razorpay is the invoice total,
+// and the taxable value / tax are derived from it.
+
+export const GST_RATE = 18;
+
+// SAC (Services Accounting Code) per kind of supply
+export const SAC_CODES = {
+  SUBSCRIPTION: '998365', // Sale of internet advertising space (listing / visibility plans)
+  LEAD_PURCHASE: '998399', // Other business support services (buyer enquiry information)
+};
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+const STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  orissa: '21',
+  pondicherry: '34',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35',
+  uttaranchal: '05',
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+export const normalizeGstin = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+export const isValidGstin = (value) => GSTIN_PATTERN.test(normalizeGstin(value));
+
+const normalizeStateName = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+/** Two-digit GST state code from a GSTIN or a state name; null when unknown */
+export function stateCodeFor({ gstin, state } = {}) {
+  const cleanGstin = normalizeGstin(gstin);
+  if (isValidGstin(cleanGstin)) {
+    const code = cleanGstin.slice(0, 2);
+    if (GST_STATE_CODES[code]) return code;
+  }
+
+  const name = normalizeStateName(state);
+  if (!name) return null;
+  if (STATE_ALIASES[name]) return STATE_ALIASES[name];
+  const match = Object.entries(GST_STATE_CODES).find(([, label]) => normalizeStateName(label) === name);
+  return match ? match[0] : null;
+}
+
+export const stateNameFor = (code) => GST_STATE_CODES[String(code || '').padStart(2, '0')] || null;
+
+/**
+ * Indian financial year (April-March, IST) for a date.
+ * Returns { startYear, label: '2026-27', short: '26-27' }.
+ */
+export function financialYearOf(date = new Date()) {
+  const d = new Date(date);
+  const ist = new Date((Number.isFinite(d.getTime()) ? d.getTime() : Date.now()) + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() < 3 ? ist.getUTCFullYear() - 1 : ist.getUTCFullYear();
+  const next = String((startYear + 1) % 100).padStart(2, '0');
+  return { startYear, label: `${startYear}-${next}`, short: `${String(startYear % 100).padStart(2, '0')}-${next}` };
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and CGST+SGST (intra-state) or IGST (inter-state).
+ * Place of supply falls back to the supplier's state, which makes the supply intra-state.
+ */
+export function computeGstBreakup({ grossAmount, rate = GST_RATE, supplierStateCode, placeOfSupplyCode } = {}) {
+  const total = roundMoney(grossAmount);
+  const taxable = roundMoney(total / (1 + rate / 100));
+  const tax = roundMoney(total - taxable);
+  const pos = placeOfSupplyCode || supplierStateCode || null;
+  const intraState = !supplierStateCode || !pos || String(pos) === String(supplierStateCode);
+
+  const cgst = intraState ? roundMoney(tax / 2) : 0;
+  const sgst = intraState ? roundMoney(tax - cgst) : 0;
+
+  return {
+    supply_type: intraState ? 'INTRA_STATE' : 'INTER_STATE',
+    place_of_supply_code: pos,
+    taxable_value: taxable,
+    cgst_rate: intraState ? rate / 2 : 0,
+    cgst_amount: cgst,
+    sgst_rate: intraState ? rate / 2 : 0,
+    sgst_amount: sgst,
+    igst_rate: intraState ? 0 : rate,
+    igst_amount: intraState ? 0 : tax,
+    total_tax: tax,
+    grand_total: total,
+  };
+}
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Indian numbering: crore, lakh, thousand
+const integerInWords = (value) => {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  const lakh = Math.floor(n / 100000);
+  n %= 100000;
+  const thousand = Math.floor(n / 1000);
+  n %= 1000;
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (n) parts.push(belowThousand(n));
+  return parts.join(' ');
+};
+
+/** "Indian Rupees One Thousand One Hundred Eighty and Fifty Paise Only" */
+export function amountInWords(amount) {
+  const total = roundMoney(amount);
+  const rupees = Math.floor(total);
+  const paise = Math.round((total - rupees) * 100);
+  return `Indian Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
@@ -1,49 +1,43 @@
 import { jsPDF } from 'jspdf';
-import crypto from 'crypto';
+import { financialYearOf, stateNameFor } from './gst.js';
 
 /**
- * Generate invoice number in format INV-YYYY-MM-XXXXX
+ * Format a GST document number: INV/26-27/000042 (max 16 chars as GST rules require).
+ * The sequence itself is allocated by the issue_tax_document RPC (gap-free per series + financial year).
  */
-export const generateInvoiceNumber = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const random = crypto.randomBytes(2).toString('hex').toUpperCase();
-  return `INV-${year}-${month}-${random}`;
+export const generateInvoiceNumber = (sequence, { series = 'INV', date = new Date() } = {}) => {
+  const { short } = financialYearOf(date);
+  return `${series}/${short}/${String(Math.max(1, Number(sequence) || 1)).padStart(6, '0')}`;
 };
 
-/**
- * Generate PDF invoice for subscription payment
- * @param {Object} paymentData - Payment and vendor details
- * @returns {string} Base64 encoded PDF
- */
+// jsPDF core fonts have no ₹ glyph, so PDFs use "Rs."
 const formatMoney = (v) => {
   const n = Number(v || 0);
-  return `₹${n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  return `Rs. ${n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 };
 
-export const generateInvoicePDF = (paymentData) => {
-  const {
-    invoiceNumber,
-    invoiceDate,
-    dueDate,
-    vendor,
-    plan,
-    amount,
-    discount_amount = 0,
-    coupon_code = '',
-    tax = 0,
-    totalAmount,
-    paymentMethod = 'Razorpay',
-    transactionId,
-  } = paymentData;
-
-  const baseAmount = Number(amount || 0);
-  const discountValue = Number(discount_amount || 0);
-  const netAmount = Number.isFinite(totalAmount) ? Number(totalAmount) : Math.max(0, baseAmount - discountValue);
-  const taxAmount = Number(tax || 0);
-  const payableAmount = netAmount + taxAmount;
-  const couponLabel = (coupon_code || '').toString().trim();
+const formatDate = (v) => new Date(v || Date.now()).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+const partyLines = (party = {}) =>
+  [
+    party.name,
+    party.address,
+    [party.city, party.state, party.pincode].filter(Boolean).join(', '),
+    party.gstin ? `GSTIN: ${party.gstin}` : 'GSTIN: Unregistered',
+    party.state_code ? `State: ${party.state || stateNameFor(party.state_code) || ''} (Code ${party.state_code})` : '',
+    party.email ? `Email: ${party.email}` : '',
+    party.phone ? `Phone: ${party.phone}` : '',
+  ].filter(Boolean);
+
+/**
+ * Generate a GST tax invoice / credit note PDF
+ * @param {Object} doc - tax_documents row (see issue_tax_document), plus optional original_document_number
+ * @returns {string} PDF as data URL
+ */
+export const generateInvoicePDF = (doc = {}) => {
+  const isCreditNote = doc.document_type === 'CREDIT_NOTE';
+  const intraState = doc.supply_type !== 'INTER_STATE';
+  const items = Array.isArray(doc.items) ? doc.items : [];
 
   const pdf = new jsPDF({
     orientation: 'portrait',
@@ -53,144 +47,328 @@ export const generateInvoicePDF = (paymentData) => {
 
   const pageWidth = pdf.internal.pageSize.getWidth();
   const pageHeight = pdf.internal.pageSize.getHeight();
+  const right = pageWidth - 20;
   let yPosition = 18;
 
-  // Header - Company Info
+  // Header
   pdf.setFontSize(19);
   pdf.setTextColor(41, 128, 185);
   pdf.text('INDIAN TRADE MART', pageWidth / 2, yPosition, { align: 'center' });
   yPosition += 8;
 
-  pdf.setFontSize(10);
-  pdf.setTextColor(100, 100, 100);
-  pdf.text('Invoice for Vendor Subscription', pageWidth / 2, yPosition, { align: 'center' });
-  yPosition += 10;
+  pdf.setFontSize(13);
+  pdf.setTextColor(0, 0, 0);
+  pdf.setFont(undefined, 'bold');
+  pdf.text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', pageWidth / 2, yPosition, { align: 'center' });
+  pdf.setFont(undefined, 'normal');
+  yPosition += 8;
 
   pdf.setDrawColor(220);
   pdf.line(18, yPosition, pageWidth - 18, yPosition);
   yPosition += 8;
 
-  // Invoice Details
-  pdf.setTextColor(0, 0, 0);
-  pdf.setFontSize(11);
-  pdf.text(`Invoice #: ${invoiceNumber}`, 20, yPosition);
-  pdf.text(`Date: ${new Date(invoiceDate).toLocaleDateString('en-IN')}`, pageWidth / 2, yPosition);
-  yPosition += 7;
-  pdf.text(`Due Date: ${new Date(dueDate).toLocaleDateString('en-IN')}`, 20, yPosition);
-  if (couponLabel) {
-    pdf.setTextColor(46, 125, 50);
-    pdf.text(`Coupon: ${couponLabel}`, pageWidth / 2, yPosition);
-    pdf.setTextColor(0, 0, 0);
-  }
-  yPosition += 12;
-
-  // Vendor Details
+  // Document details
   pdf.setFontSize(10);
-  pdf.setFont(undefined, 'bold');
-  pdf.text('Bill To:', 20, yPosition);
-  yPosition += 8;
-  pdf.setFont(undefined, 'normal');
-  pdf.text(`${vendor?.company_name || 'N/A'}`, 20, yPosition);
-  yPosition += 6;
-  pdf.text(`Email: ${vendor?.email || 'N/A'}`, 20, yPosition);
+  pdf.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${doc.document_number || '-'}`, 20, yPosition);
+  pdf.text(`Date: ${formatDate(doc.document_date)}`, pageWidth / 2, yPosition);
   yPosition += 6;
-  pdf.text(`Phone: ${vendor?.phone || 'N/A'}`, 20, yPosition);
+  pdf.text(
+    `Place of Supply: ${doc.place_of_supply || stateNameFor(doc.place_of_supply_code) || '-'}${doc.place_of_supply_code ? ` (${doc.place_of_supply_code})` : ''}`,
+    20,
+    yPosition
+  );
+  pdf.text('Reverse Charge: No', pageWidth / 2, yPosition);
   yPosition += 6;
-  if (vendor?.address) {
-    pdf.text(`Address: ${vendor.address}`, 20, yPosition);
+  if (isCreditNote) {
+    pdf.text(`Against Invoice: ${doc.original_document_number || '-'}`, 20, yPosition);
+    if (doc.reason) pdf.text(`Reason: ${doc.reason}`, pageWidth / 2, yPosition, { maxWidth: pageWidth / 2 - 20 });
     yPosition += 6;
   }
-  if (vendor?.gst_number) {
-    pdf.text(`GST: ${vendor.gst_number}`, 20, yPosition);
-    yPosition += 6;
+  yPosition += 4;
+
+  // Supplier / recipient
+  pdf.setFont(undefined, 'bold');
+  pdf.text('Supplier:', 20, yPosition);
+  pdf.text(isCreditNote ? 'Issued To:' : 'Bill To:', pageWidth / 2, yPosition);
+  pdf.setFont(undefined, 'normal');
+  yPosition += 6;
+  const supplier = partyLines(doc.supplier);
+  const recipient = partyLines(doc.recipient);
+  const rows = Math.max(supplier.length, recipient.length);
+  pdf.setFontSize(9);
+  for (let i = 0; i < rows; i += 1) {
+    if (supplier[i]) pdf.text(supplier[i], 20, yPosition, { maxWidth: pageWidth / 2 - 24 });
+    if (recipient[i]) pdf.text(recipient[i], pageWidth / 2, yPosition, { maxWidth: pageWidth / 2 - 20 });
+    yPosition += 5;
   }
-  yPosition += 8;
+  yPosition += 4;
   pdf.setDrawColor(235);
   pdf.line(18, yPosition, pageWidth - 18, yPosition);
-  yPosition += 8;
+  yPosition += 6;
 
   // Line items table
-  const tableStartY = yPosition;
-  const colWidths = [80, 35, 35, 35];
-  const cols = ['Description', 'Quantity', 'Rate', 'Amount'];
-
-  pdf.setFontSize(11);
+  const cols = [
+    { label: '#', x: 20 },
+    { label: 'Description', x: 28 },
+    { label: 'SAC', x: 108 },
+    { label: 'Qty', x: 128 },
+    { label: 'Taxable Value', x: right, align: 'right' },
+  ];
+  pdf.setFontSize(10);
   pdf.setFont(undefined, 'bold');
   pdf.setFillColor(230, 230, 230);
+  pdf.rect(18, yPosition, pageWidth - 36, 8, 'F');
+  cols.forEach((col) => pdf.text(col.label, col.x, yPosition + 5.5, col.align ? { align: col.align } : undefined));
+  yPosition += 13;
+  pdf.setFont(undefined, 'normal');
+  pdf.setFontSize(9);
 
-  let xPos = 20;
-  cols.forEach((col, idx) => {
-    pdf.rect(xPos, tableStartY, colWidths[idx], 8, 'F');
-    pdf.text(col, xPos + 2, tableStartY + 6);
-    xPos += colWidths[idx];
+  items.forEach((item, idx) => {
+    pdf.text(String(idx + 1), 20, yPosition);
+    pdf.text(String(item.description || '-'), 28, yPosition, { maxWidth: 76 });
+    pdf.text(String(item.sac || '-'), 108, yPosition);
+    pdf.text(String(item.quantity || 1), 128, yPosition);
+    pdf.text(formatMoney(item.taxable_value), right, yPosition, { align: 'right' });
+    yPosition += 7;
+    if (Number(item.discount || 0) > 0) {
+      pdf.setTextColor(46, 125, 50);
+      pdf.text(
+        `List price ${formatMoney(item.list_price)} less ${item.discount_label || 'discount'} ${formatMoney(item.discount)}${item.coupon_code ? ` (${item.coupon_code})` : ''}`,
+        28,
+        yPosition
+      );
+      pdf.setTextColor(0, 0, 0);
+      yPosition += 7;
+    }
   });
+  yPosition += 4;
 
-  yPosition = tableStartY + 10;
-  pdf.setFont(undefined, 'normal');
+  // Totals
+  const totalX = 120;
+  const totalRow = (label, value) => {
+    pdf.text(label, totalX, yPosition);
+    pdf.text(formatMoney(value), right, yPosition, { align: 'right' });
+    yPosition += 7;
+  };
   pdf.setFontSize(10);
+  totalRow('Taxable Value:', doc.taxable_value);
+  if (intraState) {
+    totalRow(`CGST @ ${Number(doc.cgst_rate || 0)}%:`, doc.cgst_amount);
+    totalRow(`SGST @ ${Number(doc.sgst_rate || 0)}%:`, doc.sgst_amount);
+  } else {
+    totalRow(`IGST @ ${Number(doc.igst_rate || 0)}%:`, doc.igst_amount);
+  }
+  pdf.setFont(undefined, 'bold');
+  pdf.setFontSize(11);
+  totalRow(isCreditNote ? 'Total Credit:' : 'Total Amount:', doc.grand_total);
+  pdf.setFont(undefined, 'normal');
+  yPosition += 2;
 
-  // Item row
-  const itemName = `${plan?.name || 'Subscription'} Plan`;
-  pdf.text(itemName, 22, yPosition);
-  pdf.text('1', 100 + 8, yPosition, { align: 'center' });
-  pdf.text(formatMoney(baseAmount), 135 + 8, yPosition, { align: 'right' });
-  pdf.text(formatMoney(baseAmount), 170 + 8, yPosition, { align: 'right' });
+  pdf.setFontSize(9);
+  pdf.text(`Amount in words: ${doc.amount_in_words || '-'}`, 20, yPosition, { maxWidth: pageWidth - 40 });
+  yPosition += 12;
 
-  yPosition += 15;
+  // Payment details
+  if (!isCreditNote && (doc.payment_method || doc.reference)) {
+    pdf.setFont(undefined, 'bold');
+    pdf.text('Payment Information:', 20, yPosition);
+    pdf.setFont(undefined, 'normal');
+    yPosition += 6;
+    if (doc.payment_method) {
+      pdf.text(`Payment Method: ${doc.payment_method}`, 20, yPosition);
+      yPosition += 5;
+    }
+    if (doc.reference) {
+      pdf.text(`Transaction ID: ${doc.reference}`, 20, yPosition);
+      yPosition += 5;
+    }
+  } else if (isCreditNote && doc.reference) {
+    pdf.text(`Refund Reference: ${doc.reference}`, 20, yPosition);
+  }
 
-  // Totals section
-  const totalX = 135;
-  pdf.setFont(undefined, 'normal');
-  pdf.setFontSize(10);
-  pdf.text('Subtotal:', totalX, yPosition);
-  pdf.text(formatMoney(baseAmount), 170 + 8, yPosition, { align: 'right' });
-  yPosition += 8;
+  // Terms
+  pdf.setFontSize(9);
+  pdf.setTextColor(100, 100, 100);
+  const termsText = `This is an electronically generated ${isCreditNote ? 'credit note' : 'tax invoice'}. No signature is required.`;
+  pdf.text(termsText, pageWidth / 2, pageHeight - 20, { align: 'center', maxWidth: 150 });
 
-  if (discountValue > 0) {
-    pdf.text(`Discount${couponLabel ? ` (${couponLabel})` : ''}:`, totalX, yPosition);
-    pdf.text(`-${formatMoney(discountValue)}`, 170 + 8, yPosition, { align: 'right' });
-    yPosition += 8;
-    pdf.text('Net after discount:', totalX, yPosition);
-    pdf.text(formatMoney(netAmount), 170 + 8, yPosition, { align: 'right' });
-    yPosition += 8;
-  }
+  // Footer
+  pdf.setFontSize(8);
+  pdf.text('For inquiries, contact support@indiantrademart.com', pageWidth / 2, pageHeight - 10, { align: 'center' });
 
-  if (taxAmount > 0) {
-    pdf.text('Tax:', totalX, yPosition);
-    pdf.text(formatMoney(taxAmount), 170 + 8, yPosition, { align: 'right' });
-    yPosition += 8;
-  }
+  return pdf.output('dataurlstring');
+};
 
-  pdf.setFont(undefined, 'bold');
-  pdf.setFontSize(11);
-  pdf.text('Total Amount:', totalX, yPosition);
-  pdf.text(formatMoney(payableAmount), 170 + 8, yPosition, { align: 'right' });
-  yPosition += 12;
+/**
+ * Generate a purchase order PDF (buyer to vendor) from a purchase_orders row
+ * @param {Object} po - purchase_orders row (see issue_purchase_order)
+ * @returns {string} PDF as data URL
+ */
+export const generatePurchaseOrderPDF = (po = {}) => {
+  const items = Array.isArray(po.items) ? po.items : [];
 
-  // Payment Details
-  pdf.setFont(undefined, 'bold');
-  pdf.setFontSize(10);
-  pdf.text('Payment Information:', 20, yPosition);
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: 'A4',
+  });
+
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const right = pageWidth - 20;
+  let yPosition = 18;
+
+  const ensureSpace = (height) => {
+    if (yPosition + height < pageHeight - 28) return;
+    pdf.addPage();
+    yPosition = 20;
+  };
+
+  // Header
+  pdf.setFontSize(19);
+  pdf.setTextColor(41, 128, 185);
+  pdf.text('INDIAN TRADE MART', pageWidth / 2, yPosition, { align: 'center' });
   yPosition += 8;
 
+  pdf.setFontSize(13);
+  pdf.setTextColor(0, 0, 0);
+  pdf.setFont(undefined, 'bold');
+  pdf.text('PURCHASE ORDER', pageWidth / 2, yPosition, { align: 'center' });
   pdf.setFont(undefined, 'normal');
-  pdf.setFontSize(9);
-  pdf.text(`Payment Method: ${paymentMethod}`, 20, yPosition);
+  yPosition += 8;
+
+  pdf.setDrawColor(220);
+  pdf.line(18, yPosition, pageWidth - 18, yPosition);
+  yPosition += 8;
+
+  // Order details
+  pdf.setFontSize(10);
+  pdf.text(`PO No: ${po.po_number || '-'}`, 20, yPosition);
+  pdf.text(`Date: ${formatDate(po.created_at)}`, pageWidth / 2, yPosition);
   yPosition += 6;
-  if (transactionId) {
-    pdf.text(`Transaction ID: ${transactionId}`, 20, yPosition);
+  pdf.text(`Delivery: ${po.delivery_days ? `within ${po.delivery_days} days` : '-'}`, 20, yPosition);
+  if (po.expected_delivery_date) pdf.text(`Expected By: ${formatDate(po.expected_delivery_date)}`, pageWidth / 2, yPosition);
+  yPosition += 10;
+
+  // Buyer / vendor / delivery address
+  const partyBlock = (leftTitle, a, rightTitle, b) => {
+    pdf.setFontSize(10);
+    pdf.setFont(undefined, 'bold');
+    pdf.text(leftTitle, 20, yPosition);
+    pdf.text(rightTitle, pageWidth / 2, yPosition);
+    pdf.setFont(undefined, 'normal');
     yPosition += 6;
-  }
-  pdf.text(`Payment Date: ${new Date().toLocaleDateString('en-IN')}`, 20, yPosition);
-  yPosition += 12;
+    pdf.setFontSize(9);
+    for (let i = 0; i < Math.max(a.length, b.length); i += 1) {
+      if (a[i]) pdf.text(a[i], 20, yPosition, { maxWidth: pageWidth / 2 - 24 });
+      if (b[i]) pdf.text(b[i], pageWidth / 2, yPosition, { maxWidth: pageWidth / 2 - 20 });
+      yPosition += 5;
+    }
+    yPosition += 4;
+  };
+  const shipTo = po.shipping_address || {};
+  partyBlock('Buyer (Bill To):', partyLines(po.billing_address), 'Supplier:', partyLines(po.vendor));
+  partyBlock(
+    'Ship To:',
+    [
+      shipTo.name,
+      shipTo.address,
+      [shipTo.city, shipTo.state, shipTo.pincode].filter(Boolean).join(', '),
+      shipTo.phone ? `Phone: ${shipTo.phone}` : '',
+    ].filter(Boolean),
+    '',
+    []
+  );
+
+  pdf.setDrawColor(235);
+  pdf.line(18, yPosition, pageWidth - 18, yPosition);
+  yPosition += 6;
+
+  // Line items table
+  const cols = [
+    { label: '#', x: 20 },
+    { label: 'Item', x: 28 },
+    { label: 'HSN', x: 92 },
+    { label: 'Qty', x: 108 },
+    { label: 'Rate', x: 138, align: 'right' },
+    { label: 'GST', x: 152, align: 'right' },
+    { label: 'Amount', x: right, align: 'right' },
+  ];
+  const tableHeader = () => {
+    pdf.setFontSize(10);
+    pdf.setFont(undefined, 'bold');
+    pdf.setFillColor(230, 230, 230);
+    pdf.rect(18, yPosition, pageWidth - 36, 8, 'F');
+    cols.forEach((col) => pdf.text(col.label, col.x, yPosition + 5.5, col.align ? { align: col.align } : undefined));
+    yPosition += 13;
+    pdf.setFont(undefined, 'normal');
+    pdf.setFontSize(9);
+  };
+  tableHeader();
+
+  items.forEach((item, idx) => {
+    if (yPosition + 8 >= pageHeight - 28) {
+      pdf.addPage();
+      yPosition = 20;
+      tableHeader();
+    }
+    pdf.text(String(idx + 1), 20, yPosition);
+    pdf.text(String(item.product_name || '-'), 28, yPosition, { maxWidth: 60 });
+    pdf.text(String(item.hsn_code || '-'), 92, yPosition);
+    pdf.text(`${item.quantity ?? '-'}${item.unit ? ` ${item.unit}` : ''}`, 108, yPosition);
+    pdf.text(item.unit_price === null || item.unit_price === undefined ? '-' : formatMoney(item.unit_price), 138, yPosition, { align: 'right' });
+    pdf.text(`${Number(item.gst_rate || 0)}%`, 152, yPosition, { align: 'right' });
+    pdf.text(item.line_total === null || item.line_total === undefined ? '-' : formatMoney(item.line_total), right, yPosition, { align: 'right' });
+    yPosition += 7;
+  });
+  yPosition += 4;
+
+  // Totals
+  ensureSpace(36);
+  const totalX = 120;
+  const totalRow = (label, value) => {
+    pdf.text(label, totalX, yPosition);
+    pdf.text(formatMoney(value), right, yPosition, { align: 'right' });
+    yPosition += 7;
+  };
+  pdf.setFontSize(10);
+  totalRow('Subtotal:', po.subtotal);
+  if (Number(po.discount_total || 0) > 0) totalRow('Discount:', -Number(po.discount_total));
+  totalRow('GST:', po.tax_total);
+  pdf.setFont(undefined, 'bold');
+  pdf.setFontSize(11);
+  totalRow('Order Total:', po.grand_total);
+  pdf.setFont(undefined, 'normal');
+  yPosition += 4;
 
   // Terms
+  const terms = [
+    po.payment_terms ? `Payment terms: ${po.payment_terms}` : '',
+    po.delivery_terms ? `Delivery terms: ${po.delivery_terms}` : '',
+    po.notes ? `Notes: ${po.notes}` : '',
+  ].filter(Boolean);
+  if (terms.length) {
+    ensureSpace(8 + terms.length * 10);
+    pdf.setFontSize(9);
+    pdf.setFont(undefined, 'bold');
+    pdf.text('Terms:', 20, yPosition);
+    pdf.setFont(undefined, 'normal');
+    yPosition += 6;
+    terms.forEach((line) => {
+      const wrapped = pdf.splitTextToSize(line, pageWidth - 40);
+      pdf.text(wrapped, 20, yPosition);
+      yPosition += wrapped.length * 5;
+    });
+  }
+
   pdf.setFontSize(9);
   pdf.setTextColor(100, 100, 100);
-  const termsText = 'This is an electronically generated invoice. No signature is required.';
-  pdf.text(termsText, pageWidth / 2, pageHeight - 20, { align: 'center', maxWidth: 150 });
-
-  // Footer
+  pdf.text(
+    'This purchase order was issued electronically through Indian Trade Mart against an accepted quotation.',
+    pageWidth / 2,
+    pageHeight - 20,
+    { align: 'center', maxWidth: 150 }
+  );
   pdf.setFontSize(8);
   pdf.text('For inquiries, contact support@indiantrademart.com', pageWidth / 2, pageHeight - 10, { align: 'center' });
 
@@ -200,22 +378,22 @@ export const generateInvoicePDF = (paymentData) => {
 /**
  * Generate invoice summary for email
  */
-export const generateInvoiceSummary = (paymentData) => {
-  const { invoiceNumber, vendor, plan, amount, totalAmount, discount_amount = 0, coupon_code = '' } = paymentData;
-  const gross = Number(amount || 0);
-  const discountValue = Number(discount_amount || 0);
-  const net = Number.isFinite(totalAmount) ? Number(totalAmount) : Math.max(0, gross - discountValue);
-  const couponLine =
-    discountValue > 0
-      ? `<p><strong>Coupon:</strong> ${coupon_code || 'N/A'} (₹${discountValue.toFixed(2)} off)</p>`
-      : '';
+export const generateInvoiceSummary = (doc = {}) => {
+  const intraState = doc.supply_type !== 'INTER_STATE';
+  const money = (v) => `₹${Number(v || 0).toFixed(2)}`;
+  const items = (Array.isArray(doc.items) ? doc.items : [])
+    .map((item) => `<li>${item.description} (SAC ${item.sac}) — ${money(item.taxable_value)}</li>`)
+    .join('');
+  const taxLines = intraState
+    ? `<p><strong>CGST @ ${Number(doc.cgst_rate || 0)}%:</strong> ${money(doc.cgst_amount)}<br/><strong>SGST @ ${Number(doc.sgst_rate || 0)}%:</strong> ${money(doc.sgst_amount)}</p>`
+    : `<p><strong>IGST @ ${Number(doc.igst_rate || 0)}%:</strong> ${money(doc.igst_amount)}</p>`;
   return `
-    <h3>Invoice: ${invoiceNumber}</h3>
-    <p><strong>Vendor:</strong> ${vendor?.company_name || 'N/A'}</p>
-    <p><strong>Plan:</strong> ${plan?.name || 'N/A'}</p>
-    <p><strong>Gross:</strong> ₹${gross.toFixed(2)}</p>
-    ${couponLine}
-    <p><strong>Paid:</strong> ₹${net.toFixed(2)}</p>
-    <p><strong>Status:</strong> Completed</p>
+    <h3>${doc.document_type === 'CREDIT_NOTE' ? 'Credit Note' : 'Tax Invoice'}: ${doc.document_number}</h3>
+    <p><strong>Billed to:</strong> ${doc.recipient?.name || 'N/A'}${doc.recipient?.gstin ? ` (GSTIN ${doc.recipient.gstin})` : ''}</p>
+    <ul>${items}</ul>
+    <p><strong>Taxable value:</strong> ${money(doc.taxable_value)}</p>
+    ${taxLines}
+    <p><strong>Total:</strong> ${money(doc.grand_total)}</p>
+    <p><em>${doc.amount_in_words || ''}</em></p>
   `;
 };
@@ -0,0 +1,56 @@
+import cron from 'node-cron';
+import { distributePendingLeadAlerts, sendLeadAlertDigests } from './leadAlerts.js';
+
+/**
+ * Pick up leads that were never distributed (posted outside the API or trigger failed)
+ * Runs every 10 minutes
+ */
+function sweepPendingLeadAlerts() {
+  return cron.schedule(
+    '*/10 * * * *',
+    async () => {
+      try {
+        const processed = await distributePendingLeadAlerts();
+        if (processed) console.log(`✅ Lead alerts distributed for ${processed} pending leads`);
+      } catch (err) {
+        console.error('❌ Error in sweepPendingLeadAlerts:', err?.message || err);
+      }
+    },
+    { scheduled: true }
+  );
+}
+
+/**
+ * Send queued lead alerts as one digest per vendor
+ * Runs daily at 3:30 AM UTC (9 AM IST)
+ */
+function sendDailyLeadDigests() {
+  return cron.schedule(
+    '30 3 * * *',
+    async () => {
+      console.log('📬 Starting lead alert digest...');
+      try {
+        const { vendors, leads } = await sendLeadAlertDigests();
+        console.log(`✅ Lead digest sent to ${vendors} vendors (${leads} leads)`);
+      } catch (err) {
+        console.error('❌ Error in sendDailyLeadDigests:', err?.message || err);
+      }
+    },
+    { scheduled: true }
+  );
+}
+
+/**
+ * Initialize lead alert cron jobs
+ */
+export function initializeLeadAlertCronJobs() {
+  try {
+    sweepPendingLeadAlerts();
+    sendDailyLeadDigests();
+    console.log('✅ Lead alert cron jobs initialized');
+    console.log('   - Pending lead sweep: Every 10 minutes');
+    console.log('   - Lead digest: Daily at 9 AM IST');
+  } catch (err) {
+    console.error('❌ Error initializing lead alert cron jobs:', err);
+  }
+}
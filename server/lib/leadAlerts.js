@@ -0,0 +1,497 @@
+import crypto from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { notifyUser } from './notify.js';
+import { createTransporter, getMailFrom } from './mailer.js';
+import {
+  applyMarketplaceFilters,
+  loadLeadMatchContext,
+  loadLeadScoringData,
+  scoreLeadForVendor,
+} from './leadMatching.js';
+import { httpError, isUniqueViolation, text } from './libUtils.js';
+
+export const LEAD_ALERT_MODES = ['INSTANT', 'DIGEST', 'OFF'];
+
+// Vendors scoring below this for a marketplace lead are not alerted
+export const LEAD_ALERT_MIN_SCORE = 50;
+
+const DEFAULT_ALERT_SETTINGS = { mode: 'INSTANT', email: true, daily_limit: 10 };
+const MAX_DAILY_LIMIT = 100;
+const MAX_CANDIDATE_VENDORS = 200;
+const DIGEST_MAX_LEADS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A claim not completed within this (longer than a 15 min background function) is a crashed run
+const STALE_CLAIM_MS = 20 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const toId = (value) => String(value || '').trim();
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatInr = (value) => `₹${Number(value).toLocaleString('en-IN')}`;
+
+// Instant-alert cap resets at IST midnight
+const startOfIstDay = (now = Date.now()) =>
+  new Date(Math.floor((now + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS);
+
+const buildLeadUrl = (leadId) => {
+  const base = String(process.env.FRONTEND_URL || process.env.VITE_FRONTEND_URL || '').replace(/\/+$/, '');
+  return `${base}/vendor/leads/${leadId}`;
+};
+
+const leadTitle = (lead = {}) =>
+  String(lead?.title || lead?.product_name || lead?.category || 'New requirement').trim();
+
+const leadSummary = (lead = {}) =>
+  [
+    lead?.category,
+    lead?.quantity ? `Qty ${lead.quantity}` : null,
+    Number(lead?.budget) > 0 ? `Budget ${formatInr(lead.budget)}` : null,
+    lead?.location || [lead?.city, lead?.state].filter(Boolean).join(', ') || null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/** Callers of the lead-alerts background function send LEAD_ALERTS_SECRET as X-Lead-Alerts-Secret */
+export function assertLeadAlertsSecret(given) {
+  const secret = text(process.env.LEAD_ALERTS_SECRET);
+  if (!secret) throw httpError(503, 'Lead alerts are not configured (LEAD_ALERTS_SECRET)');
+  const a = Buffer.from(text(given));
+  const b = Buffer.from(secret);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw httpError(401, 'Invalid lead alerts secret');
+}
+
+/** Alert settings with defaults applied (row = vendor_preferences row or API payload) */
+export function normalizeAlertSettings(row = {}) {
+  const mode = String(row?.lead_alert_mode ?? row?.mode ?? '').trim().toUpperCase();
+  const limit = Number.parseInt(row?.lead_alert_daily_limit ?? row?.daily_limit, 10);
+  const email = row?.lead_alert_email ?? row?.email;
+  return {
+    mode: LEAD_ALERT_MODES.includes(mode) ? mode : DEFAULT_ALERT_SETTINGS.mode,
+    email: typeof email === 'boolean' ? email : DEFAULT_ALERT_SETTINGS.email,
+    daily_limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_DAILY_LIMIT) : DEFAULT_ALERT_SETTINGS.daily_limit,
+  };
+}
+
+export async function getLeadAlertSettings(vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_preferences')
+    .select('lead_alert_mode, lead_alert_email, lead_alert_daily_limit')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return normalizeAlertSettings(data || {});
+}
+
+export async function saveLeadAlertSettings(vendorId, input = {}) {
+  const mode = String(input?.mode || '').trim().toUpperCase();
+  if (input?.mode !== undefined && !LEAD_ALERT_MODES.includes(mode)) {
+    throw httpError(400, 'mode must be INSTANT, DIGEST or OFF');
+  }
+  const limit = input?.daily_limit === undefined ? null : Number.parseInt(input.daily_limit, 10);
+  if (limit !== null && (!Number.isFinite(limit) || limit < 1 || limit > MAX_DAILY_LIMIT)) {
+    throw httpError(400, `daily_limit must be between 1 and ${MAX_DAILY_LIMIT}`);
+  }
+
+  const current = await getLeadAlertSettings(vendorId);
+  const next = {
+    lead_alert_mode: input?.mode !== undefined ? mode : current.mode,
+    lead_alert_email: typeof input?.email === 'boolean' ? input.email : current.email,
+    lead_alert_daily_limit: limit ?? current.daily_limit,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data: existing, error: existingError } = await supabase
+    .from('vendor_preferences')
+    .select('id')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+  if (existingError) throw new Error(existingError.message);
+
+  const { error } = existing?.id
+    ? await supabase.from('vendor_preferences').update(next).eq('id', existing.id)
+    : await supabase.from('vendor_preferences').insert([{ vendor_id: vendorId, ...next }]);
+  if (error) throw new Error(error.message);
+
+  return normalizeAlertSettings(next);
+}
+
+async function loadAlertSettingsMap(vendorIds = []) {
+  const map = new Map();
+  if (!vendorIds.length) return map;
+  const { data, error } = await supabase
+    .from('vendor_preferences')
+    .select('vendor_id, lead_alert_mode, lead_alert_email, lead_alert_daily_limit')
+    .in('vendor_id', vendorIds);
+  if (error) throw new Error(error.message);
+  (data || []).forEach((row) => map.set(toId(row.vendor_id), normalizeAlertSettings(row)));
+  return map;
+}
+
+async function countInstantAlertsSince(vendorIds = [], since) {
+  const counts = new Map();
+  if (!vendorIds.length) return counts;
+  const { data, error } = await supabase
+    .from('lead_alerts')
+    .select('vendor_id')
+    .eq('status', 'SENT')
+    .gte('sent_at', since.toISOString())
+    .in('vendor_id', vendorIds);
+  if (error) throw new Error(error.message);
+  (data || []).forEach((row) => {
+    const id = toId(row.vendor_id);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+}
+
+async function sendLeadAlertEmail(transporter, vendor, lead, match) {
+  const title = leadTitle(lead);
+  const reasons = (match?.match_reasons || []).slice(0, 4);
+  await transporter.sendMail({
+    from: getMailFrom(),
+    to: vendor.email,
+    subject: `New lead: ${title}`,
+    html: `
+      <h2>A new buyer requirement matches your business</h2>
+      <p>Dear ${escapeHtml(vendor.company_name || 'Supplier')},</p>
+      <p><strong>${escapeHtml(title)}</strong><br/>${escapeHtml(leadSummary(lead))}</p>
+      ${match?.match_score != null ? `<p><strong>${match.match_score}% match</strong></p>` : ''}
+      ${reasons.length ? `<ul>${reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : ''}
+      <p><a href="${buildLeadUrl(lead.id)}">View lead</a></p>
+      <p style="color:#6b7280;font-size:12px">You can switch to a daily digest or turn lead alerts off in Settings.</p>
+    `,
+  });
+}
+
+async function sendLeadDigestEmail(transporter, vendor, items) {
+  const rows = items
+    .map(
+      ({ lead, match_score: score }) => `
+        <li>
+          <a href="${buildLeadUrl(lead.id)}">${escapeHtml(leadTitle(lead))}</a>
+          ${score != null ? ` (${score}% match)` : ''}<br/>
+          <span style="color:#6b7280">${escapeHtml(leadSummary(lead))}</span>
+        </li>`
+    )
+    .join('');
+  await transporter.sendMail({
+    from: getMailFrom(),
+    to: vendor.email,
+    subject: `${items.length} new lead${items.length === 1 ? '' : 's'} match your business`,
+    html: `
+      <h2>Your daily lead digest</h2>
+      <p>Dear ${escapeHtml(vendor.company_name || 'Supplier')},</p>
+      <ul>${rows}</ul>
+      <p style="color:#6b7280;font-size:12px">Manage lead alerts in Settings.</p>
+    `,
+  });
+}
+
+// Claim the lead so concurrent/repeat triggers don't alert twice; a stale, uncompleted claim is taken over
+async function claimLead(leadId, now) {
+  const claimedAt = new Date(now).toISOString();
+  const { data: lead, error } = await supabase
+    .from('leads')
+    .update({ alerts_distributed_at: claimedAt })
+    .eq('id', leadId)
+    .is('alerts_distributed_at', null)
+    .select('*')
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  if (lead) return lead;
+
+  const { data: stale, error: staleError } = await supabase
+    .from('leads')
+    .update({ alerts_distributed_at: claimedAt })
+    .eq('id', leadId)
+    .is('alerts_completed_at', null)
+    .lt('alerts_distributed_at', new Date(now - STALE_CLAIM_MS).toISOString())
+    .select('*')
+    .maybeSingle();
+  if (staleError) throw new Error(staleError.message);
+  return stale;
+}
+
+async function completeLead(leadId, now) {
+  const { error } = await supabase
+    .from('leads')
+    .update({ alerts_completed_at: new Date(now).toISOString() })
+    .eq('id', leadId);
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Alert matching vendors about a newly created lead (runs once per lead).
+ * - Marketplace lead: candidates from lead_alert_candidates(), then the vendor's lead filter
+ *   and match score (>= LEAD_ALERT_MIN_SCORE).
+ * - Direct enquiry (lead.vendor_id set): only that vendor, by email (the route already notifies in-app).
+ * INSTANT vendors get an in-app notification + email until their daily cap; beyond the cap,
+ * and for DIGEST vendors, the alert is queued for the daily digest.
+ * An instant alert is PENDING until delivered, and the lead is completed only when no vendor failed,
+ * so a run that stops midway is resumed (by the pending sweep) once its claim is stale.
+ * Returns { lead_id, matched, sent, queued }.
+ */
+export async function distributeLeadAlerts(leadId, { now = Date.now() } = {}) {
+  const summary = { lead_id: leadId, matched: 0, sent: 0, queued: 0 };
+
+  const lead = await claimLead(leadId, now);
+  if (!lead) return summary;
+  if (String(lead.status || '').toUpperCase() !== 'AVAILABLE') {
+    await completeLead(lead.id, now);
+    return summary;
+  }
+
+  const isDirect = Boolean(lead.vendor_id);
+  let vendorIds = [];
+  if (isDirect) {
+    vendorIds = [toId(lead.vendor_id)];
+  } else {
+    const { data: candidates, error: candidateError } = await supabase.rpc('lead_alert_candidates', {
+      p_lead_id: lead.id,
+      p_limit: MAX_CANDIDATE_VENDORS,
+    });
+    if (candidateError) throw new Error(candidateError.message);
+    vendorIds = (candidates || []).map((row) => toId(row?.vendor_id ?? row)).filter(Boolean);
+  }
+  if (!vendorIds.length) {
+    await completeLead(lead.id, now);
+    return summary;
+  }
+
+  const [vendorsRes, alertsRes] = await Promise.all([
+    supabase
+      .from('vendors')
+      .select('id, user_id, email, company_name, city_id, state_id, is_active')
+      .in('id', vendorIds),
+    supabase.from('lead_alerts').select('id, vendor_id, status').eq('lead_id', lead.id),
+  ]);
+  if (vendorsRes.error) throw new Error(vendorsRes.error.message);
+  if (alertsRes.error) throw new Error(alertsRes.error.message);
+  // Rows left by an earlier run: only PENDING (instant alert not yet delivered) is retried
+  const priorAlerts = new Map((alertsRes.data || []).map((row) => [toId(row.vendor_id), row]));
+
+  const [settingsMap, sentToday] = await Promise.all([
+    loadAlertSettingsMap(vendorIds),
+    countInstantAlertsSince(vendorIds, startOfIstDay(now)),
+  ]);
+
+  const transporter = createTransporter();
+  const purchaseCountByLead = new Map();
+  let failed = 0;
+
+  for (const vendor of vendorsRes.data || []) {
+    try {
+      const prior = priorAlerts.get(toId(vendor.id));
+      if (prior && prior.status !== 'PENDING') continue; // already alerted or queued
+      if (vendor.is_active === false) continue;
+      const settings = settingsMap.get(toId(vendor.id)) || normalizeAlertSettings();
+      if (settings.mode === 'OFF') continue;
+
+      const context = await loadLeadMatchContext(vendor);
+      if (!isDirect && !applyMarketplaceFilters([lead], { ...context, autoLeadFilter: true }).length) continue;
+
+      const data = await loadLeadScoringData([lead], context, { purchaseCountByLead });
+      const match = scoreLeadForVendor(lead, context, data, { now });
+      if (!isDirect && match.match_score < LEAD_ALERT_MIN_SCORE) continue;
+      summary.matched += 1;
+
+      const used = sentToday.get(toId(vendor.id)) || 0;
+      const instant = isDirect || (settings.mode === 'INSTANT' && used < settings.daily_limit);
+
+      let alertId = prior?.id;
+      if (!alertId) {
+        const { data: alertRow, error: alertError } = await supabase
+          .from('lead_alerts')
+          .insert([
+            {
+              lead_id: lead.id,
+              vendor_id: vendor.id,
+              match_score: match.match_score,
+              status: instant ? 'PENDING' : 'QUEUED',
+            },
+          ])
+          .select('id')
+          .maybeSingle();
+        if (alertError && isUniqueViolation(alertError)) continue; // already alerted
+        if (alertError) throw new Error(alertError.message);
+        alertId = alertRow.id;
+      }
+
+      if (!instant) {
+        if (prior) {
+          const { error: queueError } = await supabase.from('lead_alerts').update({ status: 'QUEUED' }).eq('id', alertId);
+          if (queueError) throw new Error(queueError.message);
+        }
+        summary.queued += 1;
+        continue;
+      }
+
+      if (!isDirect && vendor.user_id) {
+        await notifyUser({
+          user_id: vendor.user_id,
+          type: 'LEAD_ALERT',
+          title: 'New lead matches your business',
+          message: `${leadTitle(lead)} · ${match.match_score}% match`,
+          link: `/vendor/leads/${lead.id}`,
+        });
+      }
+
+      let emailSent = false;
+      if (settings.email && vendor.email && transporter) {
+        await sendLeadAlertEmail(transporter, vendor, lead, isDirect ? null : match);
+        emailSent = true;
+      }
+
+      const { error: sentError } = await supabase
+        .from('lead_alerts')
+        .update({ status: 'SENT', sent_at: new Date(now).toISOString(), email_sent: emailSent })
+        .eq('id', alertId);
+      if (sentError) throw new Error(sentError.message);
+
+      sentToday.set(toId(vendor.id), used + 1);
+      summary.sent += 1;
+    } catch (vendorErr) {
+      failed += 1;
+      console.warn(`[LeadAlerts] vendor ${vendor?.id} failed:`, vendorErr?.message || vendorErr);
+    }
+  }
+
+  if (!failed) await completeLead(lead.id, now);
+  return summary;
+}
+
+/**
+ * Daily digest: one notification + email per vendor for queued alerts whose lead is still available.
+ * Returns { vendors, leads }.
+ */
+export async function sendLeadAlertDigests({ now = Date.now() } = {}) {
+  const result = { vendors: 0, leads: 0 };
+
+  const { data: queued, error } = await supabase
+    .from('lead_alerts')
+    .select('id, lead_id, vendor_id, match_score, created_at')
+    .eq('status', 'QUEUED')
+    .order('created_at', { ascending: true })
+    .limit(5000);
+  if (error) throw new Error(error.message);
+  if (!queued?.length) return result;
+
+  const leadIds = Array.from(new Set(queued.map((row) => toId(row.lead_id))));
+  const vendorIds = Array.from(new Set(queued.map((row) => toId(row.vendor_id))));
+
+  const [leadsRes, vendorsRes, settingsMap] = await Promise.all([
+    supabase
+      .from('leads')
+      .select('id, title, product_name, category, quantity, budget, location, city, state, status')
+      .in('id', leadIds),
+    supabase.from('vendors').select('id, user_id, email, company_name, is_active').in('id', vendorIds),
+    loadAlertSettingsMap(vendorIds),
+  ]);
+  if (leadsRes.error) throw new Error(leadsRes.error.message);
+  if (vendorsRes.error) throw new Error(vendorsRes.error.message);
+
+  const leadsById = new Map((leadsRes.data || []).map((row) => [toId(row.id), row]));
+  const vendorsById = new Map((vendorsRes.data || []).map((row) => [toId(row.id), row]));
+  const byVendor = new Map();
+  queued.forEach((row) => {
+    const id = toId(row.vendor_id);
+    if (!byVendor.has(id)) byVendor.set(id, []);
+    byVendor.get(id).push(row);
+  });
+
+  const transporter = createTransporter();
+  const sentAt = new Date(now).toISOString();
+
+  for (const [vendorId, rows] of byVendor.entries()) {
+    try {
+      const vendor = vendorsById.get(vendorId);
+      const settings = settingsMap.get(vendorId) || normalizeAlertSettings();
+
+      const items = rows
+        .map((row) => ({ ...row, lead: leadsById.get(toId(row.lead_id)) }))
+        .filter((row) => String(row.lead?.status || '').toUpperCase() === 'AVAILABLE');
+      const itemIds = new Set(items.map((row) => row.id));
+      const skippedIds = rows.filter((row) => !itemIds.has(row.id)).map((row) => row.id);
+
+      if (!vendor || vendor.is_active === false || settings.mode === 'OFF' || !items.length) {
+        const allIds = rows.map((row) => row.id);
+        await supabase.from('lead_alerts').update({ status: 'SKIPPED' }).in('id', allIds);
+        continue;
+      }
+
+      const top = items
+        .sort((a, b) => (Number(b.match_score) || 0) - (Number(a.match_score) || 0))
+        .slice(0, DIGEST_MAX_LEADS);
+
+      if (vendor.user_id) {
+        await notifyUser({
+          user_id: vendor.user_id,
+          type: 'LEAD_DIGEST',
+          title: `${items.length} new lead${items.length === 1 ? '' : 's'} match your business`,
+          message: top.slice(0, 3).map((item) => leadTitle(item.lead)).join(', '),
+          link: '/vendor/leads',
+        });
+      }
+
+      let emailSent = false;
+      if (settings.email && vendor.email && transporter) {
+        await sendLeadDigestEmail(transporter, vendor, top);
+        emailSent = true;
+      }
+
+      await supabase
+        .from('lead_alerts')
+        .update({ status: 'DIGESTED', sent_at: sentAt, email_sent: emailSent })
+        .in('id', Array.from(itemIds));
+      if (skippedIds.length) {
+        await supabase.from('lead_alerts').update({ status: 'SKIPPED' }).in('id', skippedIds);
+      }
+
+      result.vendors += 1;
+      result.leads += items.length;
+    } catch (vendorErr) {
+      console.warn(`[LeadAlerts] digest for vendor ${vendorId} failed:`, vendorErr?.message || vendorErr);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Leads created in the last day whose distribution never ran (posted outside the API or trigger failed)
+ * or stopped before completing (claim older than STALE_CLAIM_MS).
+ */
+export async function distributePendingLeadAlerts({ limit = 20 } = {}) {
+  const since = new Date(Date.now() - DAY_MS).toISOString();
+  const staleBefore = Date.now() - STALE_CLAIM_MS;
+  const { data, error } = await supabase
+    .from('leads')
+    .select('id, alerts_distributed_at')
+    .is('alerts_completed_at', null)
+    .eq('status', 'AVAILABLE')
+    .gte('created_at', since)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(error.message);
+
+  const pending = (data || []).filter(
+    (row) => !row.alerts_distributed_at || new Date(row.alerts_distributed_at).getTime() < staleBefore
+  );
+  let processed = 0;
+  for (const row of pending) {
+    try {
+      await distributeLeadAlerts(row.id);
+      processed += 1;
+    } catch (leadErr) {
+      console.warn(`[LeadAlerts] lead ${row.id} failed:`, leadErr?.message || leadErr);
+    }
+  }
+  return processed;
+}
@@ -0,0 +1,487 @@
+import { supabase } from './supabaseClient.js';
+import { notifyRole, notifyUser } from './notify.js';
+import { razorpayInstance } from './razorpayClient.js';
+import { creditNoteForLeadRefund } from './taxInvoices.js';
+import { httpError, nowIso, rpcErrorMapper, textOrNull } from './libUtils.js';
+
+// Purchase pipeline (migration 20261026)
+export const PIPELINE_STAGES = ['PURCHASED', 'CONTACTED', 'QUOTATION_SENT', 'NEGOTIATION', 'WON', 'LOST'];
+
+export const DISPUTE_REASONS = {
+  INVALID_CONTACT: 'Phone/email is invalid',
+  UNREACHABLE: 'Buyer not reachable',
+  NOT_A_BUYER: 'Not a genuine buyer',
+  DUPLICATE: 'Duplicate lead',
+  WRONG_CATEGORY: 'Wrong category / not relevant',
+  ALREADY_FULFILLED: 'Requirement already fulfilled',
+  OTHER: 'Other',
+};
+
+// Vendors can raise a dispute within this many days of purchase
+export const DISPUTE_WINDOW_DAYS = 7;
+
+// Buyers are asked for feedback on purchases older than a day and newer than 30 days
+const FEEDBACK_MIN_AGE_MS = 24 * 60 * 60 * 1000;
+const FEEDBACK_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DISPUTE_RPC_ERRORS = {
+  DISPUTE_NOT_FOUND: { status: 404, error: 'Dispute not found' },
+  DISPUTE_ALREADY_RESOLVED: { status: 409, error: 'Dispute already resolved' },
+  PURCHASE_NOT_FOUND: { status: 404, error: 'Purchase not found' },
+};
+
+const rpcError = rpcErrorMapper(DISPUTE_RPC_ERRORS);
+
+const leadTitle = (lead = {}) =>
+  String(lead?.title || lead?.product_name || lead?.category || 'Lead').trim();
+
+async function getVendorPurchase(vendorId, leadId) {
+  const { data, error } = await supabase
+    .from('lead_purchases')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .eq('lead_id', leadId)
+    .order('purchase_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw httpError(error.code === '22P02' ? 400 : 500, error.code === '22P02' ? 'Invalid lead id' : error.message);
+  if (!data) throw httpError(404, 'You have not purchased this lead');
+  return data;
+}
+
+const pickPurchase = (row = {}) => ({
+  id: row.id,
+  lead_id: row.lead_id,
+  pipeline_stage: row.pipeline_stage || 'PURCHASED',
+  lost_reason: row.lost_reason || null,
+  stage_updated_at: row.stage_updated_at || null,
+  payment_status: row.payment_status || null,
+  payment_method: row.payment_method || null,
+  amount: row.amount ?? null,
+  purchase_date: row.purchase_date || row.created_at || null,
+  refunded_at: row.refunded_at || null,
+});
+
+/** Pipeline, stage history, buyer feedback and dispute for the vendor's purchase of a lead */
+export async function getPurchaseLifecycle(vendorId, leadId) {
+  const purchase = await getVendorPurchase(vendorId, leadId);
+
+  const [historyRes, disputeRes, feedbackRes] = await Promise.all([
+    supabase
+      .from('lead_purchase_stage_history')
+      .select('id, from_stage, to_stage, lost_reason, note, created_at')
+      .eq('purchase_id', purchase.id)
+      .order('created_at', { ascending: false }),
+    supabase
+      .from('lead_disputes')
+      .select('id, reason, details, status, refund_method, refund_amount, resolution_note, resolved_at, created_at, ticket_id')
+      .eq('purchase_id', purchase.id)
+      .maybeSingle(),
+    supabase
+      .from('lead_contact_feedback')
+      .select('contacted, created_at')
+      .eq('purchase_id', purchase.id)
+      .maybeSingle(),
+  ]);
+  if (historyRes.error) throw httpError(500, historyRes.error.message);
+  if (disputeRes.error) throw httpError(500, disputeRes.error.message);
+
+  const purchasedAt = new Date(purchase.purchase_date || purchase.created_at || 0).getTime();
+  const disputeDeadline = purchasedAt + DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  return {
+    purchase: pickPurchase(purchase),
+    history: historyRes.data || [],
+    dispute: disputeRes.data || null,
+    buyer_feedback: feedbackRes.data || null,
+    can_dispute:
+      !disputeRes.data &&
+      !purchase.refunded_at &&
+      purchase.pipeline_stage !== 'WON' &&
+      Date.now() <= disputeDeadline,
+    dispute_deadline: purchasedAt ? new Date(disputeDeadline).toISOString() : null,
+  };
+}
+
+/** Move a purchase along the pipeline (LOST needs a reason); records history */
+export async function updatePurchaseStage(vendorId, leadId, input = {}, actorUserId = null) {
+  const stage = String(input?.stage || '').trim().toUpperCase();
+  if (!PIPELINE_STAGES.includes(stage)) {
+    throw httpError(400, `stage must be one of: ${PIPELINE_STAGES.join(', ')}`);
+  }
+  const lostReason = stage === 'LOST' ? textOrNull(input?.lost_reason, 300) : null;
+  if (stage === 'LOST' && !lostReason) throw httpError(400, 'lost_reason is required when marking a lead lost');
+
+  const purchase = await getVendorPurchase(vendorId, leadId);
+  const fromStage = purchase.pipeline_stage || 'PURCHASED';
+  if (fromStage === stage && (stage !== 'LOST' || purchase.lost_reason === lostReason)) {
+    return pickPurchase(purchase);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('lead_purchases')
+    .update({ pipeline_stage: stage, lost_reason: lostReason, stage_updated_at: nowIso() })
+    .eq('id', purchase.id)
+    .select('*')
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+
+  const { error: historyError } = await supabase.from('lead_purchase_stage_history').insert([
+    {
+      purchase_id: purchase.id,
+      from_stage: fromStage,
+      to_stage: stage,
+      lost_reason: lostReason,
+      note: textOrNull(input?.note, 1000),
+      changed_by: actorUserId,
+    },
+  ]);
+  if (historyError) console.warn('Lead stage history insert failed:', historyError.message);
+
+  return pickPurchase(updated || { ...purchase, pipeline_stage: stage, lost_reason: lostReason });
+}
+
+/** Vendor refund request: creates a support ticket and links the dispute to it */
+export async function openLeadDispute(vendor, leadId, input = {}) {
+  const reason = String(input?.reason || '').trim().toUpperCase();
+  if (!DISPUTE_REASONS[reason]) {
+    throw httpError(400, `reason must be one of: ${Object.keys(DISPUTE_REASONS).join(', ')}`);
+  }
+  const details = textOrNull(input?.details, 2000);
+  if (reason === 'OTHER' && !details) throw httpError(400, 'Please describe the problem with this lead');
+
+  const lifecycle = await getPurchaseLifecycle(vendor.id, leadId);
+  if (lifecycle.dispute) throw httpError(409, 'A dispute is already open for this lead');
+  if (lifecycle.purchase.refunded_at) throw httpError(409, 'This purchase has already been refunded');
+  if (lifecycle.purchase.pipeline_stage === 'WON') throw httpError(409, 'Won leads cannot be disputed');
+  if (!lifecycle.can_dispute) {
+    throw httpError(409, `Disputes must be raised within ${DISPUTE_WINDOW_DAYS} days of purchase`);
+  }
+
+  const { data: lead } = await supabase
+    .from('leads')
+    .select('id, title, product_name, category')
+    .eq('id', leadId)
+    .maybeSingle();
+
+  const ticketNumber = `TKT-${Date.now()}`;
+  const purchase = lifecycle.purchase;
+  const description = [
+    `Lead: ${leadTitle(lead)} (${leadId})`,
+    `Reason: ${DISPUTE_REASONS[reason]}`,
+    details ? `Details: ${details}` : null,
+    `Purchased: ${purchase.purchase_date ? new Date(purchase.purchase_date).toLocaleString('en-IN') : '—'}`,
+    `Paid via: ${purchase.payment_method || '—'}${Number(purchase.amount) > 0 ? ` (₹${purchase.amount})` : ''}`,
+    lifecycle.buyer_feedback
+      ? `Buyer feedback: supplier ${lifecycle.buyer_feedback.contacted ? 'did' : 'did NOT'} contact them`
+      : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  const { data: ticket, error: ticketError } = await supabase
+    .from('support_tickets')
+    .insert([
+      {
+        subject: `Lead dispute: ${leadTitle(lead)}`.slice(0, 200),
+        description,
+        category: 'Lead Dispute',
+        priority: 'HIGH',
+        status: 'OPEN',
+        vendor_id: vendor.id,
+        ticket_display_id: ticketNumber,
+        attachments: JSON.stringify([]),
+        created_at: nowIso(),
+      },
+    ])
+    .select('id, ticket_display_id')
+    .single();
+  if (ticketError) throw httpError(500, ticketError.message);
+
+  const { data: dispute, error: disputeError } = await supabase
+    .from('lead_disputes')
+    .insert([
+      {
+        purchase_id: purchase.id,
+        lead_id: leadId,
+        vendor_id: vendor.id,
+        ticket_id: ticket.id,
+        reason,
+        details,
+      },
+    ])
+    .select('*')
+    .single();
+  if (disputeError) {
+    await supabase.from('support_tickets').delete().eq('id', ticket.id);
+    throw httpError(disputeError.code === '23505' ? 409 : 500, disputeError.code === '23505' ? 'A dispute is already open for this lead' : disputeError.message);
+  }
+
+  const payload = {
+    type: 'SUPPORT_TICKET',
+    title: `Lead dispute: ${ticket.ticket_display_id}`,
+    message: `${vendor.company_name || 'A vendor'} requested a refund for "${leadTitle(lead)}"`,
+    link: '/employee/support/tickets/vendor',
+  };
+  await notifyRole('SUPPORT', payload);
+  await notifyRole('ADMIN', payload);
+
+  return { dispute, ticket };
+}
+
+/** Dispute behind a support ticket, with the purchase, lead and buyer feedback for context */
+export async function getDisputeForTicket(ticketId) {
+  const { data: dispute, error } = await supabase
+    .from('lead_disputes')
+    .select('*')
+    .eq('ticket_id', ticketId)
+    .maybeSingle();
+  if (error) throw httpError(error.code === '22P02' ? 400 : 500, error.message);
+  if (!dispute) return null;
+
+  const [purchaseRes, leadRes, feedbackRes] = await Promise.all([
+    supabase.from('lead_purchases').select('*').eq('id', dispute.purchase_id).maybeSingle(),
+    supabase
+      .from('leads')
+      .select('id, title, product_name, category, buyer_name, buyer_email, buyer_phone, created_at')
+      .eq('id', dispute.lead_id)
+      .maybeSingle(),
+    supabase.from('lead_contact_feedback').select('contacted, comment, created_at').eq('purchase_id', dispute.purchase_id).maybeSingle(),
+  ]);
+
+  return {
+    ...dispute,
+    reason_label: DISPUTE_REASONS[dispute.reason] || dispute.reason,
+    purchase: purchaseRes.data ? pickPurchase(purchaseRes.data) : null,
+    lead: leadRes.data || null,
+    buyer_feedback: feedbackRes.data || null,
+  };
+}
+
+/**
+ * Approve (refund) or reject a lead dispute from the support queue.
+ * Razorpay-paid purchases are refunded through Razorpay; plan-quota purchases get the quota back.
+ * An approval claims the dispute (PROCESSING, migration 20261114), refunds with the dispute id as the
+ * receipt and then finalizes it in refund_lead_purchase. Closes the ticket and tells the vendor.
+ */
+export async function resolveLeadDispute(ticketId, input = {}, actor = {}) {
+  const decision = String(input?.decision || '').trim().toUpperCase();
+  if (!['APPROVE', 'REJECT'].includes(decision)) throw httpError(400, 'decision must be APPROVE or REJECT');
+  const note = textOrNull(input?.note, 1000);
+  if (decision === 'REJECT' && !note) throw httpError(400, 'Please add a note explaining the rejection');
+
+  const dispute = await getDisputeForTicket(ticketId);
+  if (!dispute) throw httpError(404, 'No lead dispute on this ticket');
+  // A claimed approval whose Razorpay refund went through can be finalized again without a second refund
+  const resumable = decision === 'APPROVE' && dispute.status === 'PROCESSING' && Boolean(dispute.razorpay_refund_id);
+  if (dispute.status !== 'OPEN' && !resumable) {
+    throw httpError(409, dispute.status === 'PROCESSING' ? 'Dispute is already being processed' : 'Dispute already resolved');
+  }
+
+  let resolved;
+  if (decision === 'REJECT') {
+    const { data, error } = await supabase
+      .from('lead_disputes')
+      .update({ status: 'REJECTED', resolution_note: note, resolved_by: actor?.id || null, resolved_at: nowIso() })
+      .eq('id', dispute.id)
+      .eq('status', 'OPEN')
+      .select('*')
+      .maybeSingle();
+    if (error) throw httpError(500, error.message);
+    if (!data) throw httpError(409, 'Dispute already resolved');
+    resolved = data;
+  } else {
+    // Claim (OPEN -> PROCESSING) before refunding, so two agents or a double click refund only once
+    if (!resumable) {
+      const { data: claimed, error: claimError } = await supabase
+        .from('lead_disputes')
+        .update({ status: 'PROCESSING' })
+        .eq('id', dispute.id)
+        .eq('status', 'OPEN')
+        .select('id')
+        .maybeSingle();
+      if (claimError) throw httpError(500, claimError.message);
+      if (!claimed) throw httpError(409, 'Dispute already resolved');
+    }
+    const releaseClaim = () =>
+      supabase.from('lead_disputes').update({ status: 'OPEN' }).eq('id', dispute.id).eq('status', 'PROCESSING');
+
+    const purchase = dispute.purchase || {};
+    const { data: purchaseRow } = await supabase
+      .from('lead_purchases')
+      .select('consumed_quota, razorpay_payment_id, amount')
+      .eq('id', dispute.purchase_id)
+      .maybeSingle();
+
+    let refundId = dispute.razorpay_refund_id || null;
+    const amountPaise = Math.round(Number(purchaseRow?.amount || purchase.amount || 0) * 100);
+    if (!refundId && !purchaseRow?.consumed_quota && purchaseRow?.razorpay_payment_id && amountPaise > 0) {
+      try {
+        const refund = await razorpayInstance.payments.refund(purchaseRow.razorpay_payment_id, {
+          amount: amountPaise,
+          receipt: dispute.id,
+          notes: { dispute_id: dispute.id, lead_id: dispute.lead_id },
+        });
+        refundId = refund?.id || null;
+      } catch (refundErr) {
+        await releaseClaim();
+        const message = refundErr?.error?.description || refundErr?.message || 'Razorpay refund failed';
+        throw httpError(502, message);
+      }
+      // Kept on the claim, so a failed finalize below is retried without refunding again
+      await supabase.from('lead_disputes').update({ razorpay_refund_id: refundId }).eq('id', dispute.id);
+    }
+
+    const { data, error } = await supabase.rpc('refund_lead_purchase', {
+      p_dispute_id: dispute.id,
+      p_resolved_by: actor?.id || null,
+      p_note: note,
+      p_razorpay_refund_id: refundId,
+    });
+    if (error) {
+      if (refundId) console.error(`Razorpay refund ${refundId} issued but dispute ${dispute.id} not updated:`, error.message);
+      else await releaseClaim();
+      throw rpcError(error);
+    }
+    resolved = data?.dispute || null;
+
+    // GST credit note against the lead purchase invoice (refund already went through)
+    if (resolved?.refund_method === 'RAZORPAY') {
+      try {
+        await creditNoteForLeadRefund({
+          purchaseId: dispute.purchase_id,
+          amount: resolved.refund_amount,
+          refundId,
+          reason: `Lead refund: ${DISPUTE_REASONS[dispute.reason] || 'dispute approved'}`,
+        });
+      } catch (creditErr) {
+        console.error(`Credit note for dispute ${dispute.id} failed:`, creditErr?.message || creditErr);
+      }
+    }
+  }
+
+  const outcome =
+    decision === 'REJECT'
+      ? `Your refund request was rejected${note ? `: ${note}` : '.'}`
+      : resolved?.refund_method === 'QUOTA_RESTORED'
+        ? 'Your refund request was approved. The lead credit has been returned to your plan quota.'
+        : resolved?.refund_method === 'RAZORPAY'
+          ? `Your refund request was approved. ₹${resolved.refund_amount} will be credited to your original payment method.`
+          : 'Your refund request was approved.';
+
+  await supabase.from('ticket_messages').insert([
+    { ticket_id: ticketId, sender_id: actor?.id || null, sender_type: 'SUPPORT', message: outcome, created_at: nowIso() },
+  ]);
+  await supabase
+    .from('support_tickets')
+    .update({ status: 'CLOSED', resolved_at: nowIso(), last_reply_at: nowIso(), updated_at: nowIso() })
+    .eq('id', ticketId);
+
+  const { data: vendor } = await supabase.from('vendors').select('user_id').eq('id', dispute.vendor_id).maybeSingle();
+  if (vendor?.user_id) {
+    await notifyUser({
+      user_id: vendor.user_id,
+      type: 'LEAD_DISPUTE',
+      title: decision === 'REJECT' ? 'Lead refund request rejected' : 'Lead refund approved',
+      message: outcome,
+      link: `/vendor/leads/${dispute.lead_id}`,
+    });
+  }
+
+  return resolved;
+}
+
+async function loadBuyerLeadIds(buyer) {
+  const filters = [buyer?.id ? `buyer_id.eq.${buyer.id}` : null, buyer?.email ? `buyer_email.eq.${String(buyer.email).toLowerCase()}` : null].filter(Boolean);
+  if (!filters.length) return [];
+  const since = new Date(Date.now() - FEEDBACK_MAX_AGE_MS).toISOString();
+  const { data, error } = await supabase
+    .from('leads')
+    .select('id, title, product_name, category')
+    .or(filters.join(','))
+    .gte('created_at', since)
+    .limit(200);
+  if (error) throw httpError(500, error.message);
+  return data || [];
+}
+
+/** Purchases of the buyer's leads that still need a "did this supplier contact you?" answer */
+export async function listPendingContactFeedback(buyer) {
+  const leads = await loadBuyerLeadIds(buyer);
+  if (!leads.length) return [];
+  const leadsById = new Map(leads.map((lead) => [String(lead.id), lead]));
+
+  const now = Date.now();
+  const { data: purchases, error } = await supabase
+    .from('lead_purchases')
+    .select('id, lead_id, vendor_id, purchase_date, created_at')
+    .in('lead_id', Array.from(leadsById.keys()))
+    .lte('purchase_date', new Date(now - FEEDBACK_MIN_AGE_MS).toISOString())
+    .gte('purchase_date', new Date(now - FEEDBACK_MAX_AGE_MS).toISOString());
+  if (error) throw httpError(500, error.message);
+  if (!purchases?.length) return [];
+
+  const purchaseIds = purchases.map((row) => row.id);
+  const vendorIds = Array.from(new Set(purchases.map((row) => row.vendor_id).filter(Boolean)));
+  const [feedbackRes, vendorsRes] = await Promise.all([
+    supabase.from('lead_contact_feedback').select('purchase_id').in('purchase_id', purchaseIds),
+    supabase.from('vendors').select('id, company_name, city, state').in('id', vendorIds),
+  ]);
+  if (feedbackRes.error) throw httpError(500, feedbackRes.error.message);
+
+  const answered = new Set((feedbackRes.data || []).map((row) => String(row.purchase_id)));
+  const vendorsById = new Map((vendorsRes.data || []).map((row) => [String(row.id), row]));
+
+  return purchases
+    .filter((row) => !answered.has(String(row.id)))
+    .map((row) => {
+      const lead = leadsById.get(String(row.lead_id)) || {};
+      const vendor = vendorsById.get(String(row.vendor_id)) || {};
+      return {
+        purchase_id: row.id,
+        lead_id: row.lead_id,
+        lead_title: leadTitle(lead),
+        vendor_id: row.vendor_id,
+        vendor_name: vendor.company_name || 'Supplier',
+        vendor_location: [vendor.city, vendor.state].filter(Boolean).join(', ') || null,
+        purchased_at: row.purchase_date || row.created_at,
+      };
+    });
+}
+
+export async function submitContactFeedback(buyer, purchaseId, input = {}) {
+  if (typeof input?.contacted !== 'boolean') throw httpError(400, 'contacted must be true or false');
+
+  const { data: purchase, error } = await supabase
+    .from('lead_purchases')
+    .select('id, lead_id, vendor_id')
+    .eq('id', purchaseId)
+    .maybeSingle();
+  if (error) throw httpError(error.code === '22P02' ? 400 : 500, error.code === '22P02' ? 'Invalid purchase id' : error.message);
+  if (!purchase) throw httpError(404, 'Purchase not found');
+
+  const ownLeads = await loadBuyerLeadIds(buyer);
+  if (!ownLeads.some((lead) => String(lead.id) === String(purchase.lead_id))) {
+    throw httpError(403, 'This requirement does not belong to you');
+  }
+
+  const { data: feedback, error: insertError } = await supabase
+    .from('lead_contact_feedback')
+    .insert([
+      {
+        purchase_id: purchase.id,
+        lead_id: purchase.lead_id,
+        vendor_id: purchase.vendor_id,
+        buyer_id: buyer?.id || null,
+        contacted: input.contacted,
+        comment: textOrNull(input?.comment, 1000),
+      },
+    ])
+    .select('*')
+    .single();
+  if (insertError) {
+    if (insertError.code === '23505') throw httpError(409, 'Feedback already submitted');
+    throw httpError(500, insertError.message);
+  }
+  return feedback;
+}
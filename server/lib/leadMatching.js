@@ -0,0 +1,469 @@
+import { supabase } from './supabaseClient.js';
+
+// Max vendors that can buy one marketplace lead (enforced in DB by trg_lead_purchase_capacity)
+export const MAX_VENDORS_PER_LEAD = 5;
+
+// Score weights (sum = 100)
+const WEIGHTS = {
+  category: 35,
+  location: 20,
+  budget: 15,
+  freshness: 15,
+  buyer: 10,
+  seats: 5,
+};
+
+const normalizeText = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .trim();
+
+const dedupe = (arr = []) => Array.from(new Set((arr || []).filter(Boolean)));
+
+const toId = (value) => String(value || '').trim();
+
+const fuzzyMatch = (left, right) => {
+  const a = normalizeText(left);
+  const b = normalizeText(right);
+  if (!a || !b) return false;
+  return a.includes(b) || b.includes(a);
+};
+
+const extractLeadCityState = (lead = {}) => {
+  const city = String(lead?.city || lead?.city_name || '').trim();
+  const state = String(lead?.state || lead?.state_name || '').trim();
+  if (city || state) return { city, state };
+
+  const location = String(lead?.location || '').trim();
+  if (!location) return { city: '', state: '' };
+
+  const parts = location.split(',').map((part) => part.trim()).filter(Boolean);
+  if (parts.length >= 2) return { city: parts[0], state: parts.slice(1).join(', ') };
+  if (parts.length === 1) return { city: parts[0], state: '' };
+  return { city: '', state: '' };
+};
+
+const buildLeadTokens = (lead = {}) =>
+  dedupe(
+    [
+      lead?.title,
+      lead?.product_name,
+      lead?.product_interest,
+      lead?.category,
+      lead?.category_name,
+      lead?.head_category,
+      lead?.sub_category,
+      lead?.service_name,
+      lead?.requirement_title,
+      lead?.description,
+      lead?.message,
+    ].map(normalizeText)
+  );
+
+const findTextMatch = (tokens = [], set = new Set()) => {
+  for (const token of tokens) {
+    for (const item of set) {
+      if (fuzzyMatch(token, item)) return item;
+    }
+  }
+  return null;
+};
+
+const matchesAnyTextSet = (tokens = [], set = new Set()) => {
+  if (!set || set.size === 0) return true;
+  return findTextMatch(tokens, set) !== null;
+};
+
+const haversineKm = (a, b) => {
+  if (!a || !b) return null;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const formatInr = (value) => `₹${Number(value).toLocaleString('en-IN')}`;
+
+/**
+ * Everything needed to match leads against one vendor:
+ * preferences (categories, cities, states, budget), active product categories and home city.
+ */
+export async function loadLeadMatchContext(vendor) {
+  const vendorId = vendor?.id;
+  const context = {
+    vendorId,
+    autoLeadFilter: true,
+    minBudget: null,
+    maxBudget: null,
+    categorySet: new Set(),
+    citySet: new Set(),
+    stateSet: new Set(),
+    microIdSet: new Set(),
+    subIdSet: new Set(),
+    headIdSet: new Set(),
+    cityIdSet: new Set(),
+    stateIdSet: new Set(),
+    vendorCityId: toId(vendor?.city_id) || null,
+    vendorStateId: toId(vendor?.state_id) || null,
+  };
+
+  const { data: prefs } = await supabase
+    .from('vendor_preferences')
+    .select('preferred_micro_categories, preferred_states, preferred_cities, auto_lead_filter, min_budget, max_budget')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  context.autoLeadFilter = prefs?.auto_lead_filter !== false;
+
+  const minBudgetNum = Number(prefs?.min_budget);
+  const maxBudgetNum = Number(prefs?.max_budget);
+  context.minBudget = prefs?.min_budget != null && Number.isFinite(minBudgetNum) ? minBudgetNum : null;
+  context.maxBudget = prefs?.max_budget != null && Number.isFinite(maxBudgetNum) ? maxBudgetNum : null;
+
+  const prefCategoryIds = dedupe((prefs?.preferred_micro_categories || []).map(String));
+  const prefStateIds = dedupe((prefs?.preferred_states || []).map(String));
+  const prefCityIds = dedupe((prefs?.preferred_cities || []).map(String));
+
+  prefStateIds.forEach((id) => context.stateIdSet.add(id));
+  prefCityIds.forEach((id) => context.cityIdSet.add(id));
+
+  if (prefCategoryIds.length) {
+    // Preferences may hold micro, sub or head category ids
+    const [microRes, subRes, headRes] = await Promise.all([
+      supabase.from('micro_categories').select('id, name').in('id', prefCategoryIds),
+      supabase.from('sub_categories').select('id, name').in('id', prefCategoryIds),
+      supabase.from('head_categories').select('id, name').in('id', prefCategoryIds),
+    ]);
+
+    [
+      [microRes?.data, context.microIdSet],
+      [subRes?.data, context.subIdSet],
+      [headRes?.data, context.headIdSet],
+    ].forEach(([rows, idSet]) => {
+      (rows || []).forEach((row) => {
+        const value = normalizeText(row?.name);
+        if (value) context.categorySet.add(value);
+        if (row?.id) idSet.add(toId(row.id));
+      });
+    });
+  }
+
+  if (prefStateIds.length) {
+    const { data: states } = await supabase
+      .from('states')
+      .select('id, name')
+      .in('id', prefStateIds);
+    (states || []).forEach((row) => {
+      const value = normalizeText(row?.name);
+      if (value) context.stateSet.add(value);
+    });
+  }
+
+  if (prefCityIds.length) {
+    const { data: cities } = await supabase
+      .from('cities')
+      .select('id, name')
+      .in('id', prefCityIds);
+    (cities || []).forEach((row) => {
+      const value = normalizeText(row?.name);
+      if (value) context.citySet.add(value);
+    });
+  }
+
+  const { data: products } = await supabase
+    .from('products')
+    .select('name, category_other, micro_category_id, sub_category_id, head_category_id')
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE');
+
+  (products || []).forEach((row) => {
+    const name = normalizeText(row?.name);
+    const categoryOther = normalizeText(row?.category_other);
+    if (name) context.categorySet.add(name);
+    if (categoryOther) context.categorySet.add(categoryOther);
+    if (row?.micro_category_id) context.microIdSet.add(toId(row.micro_category_id));
+    if (row?.sub_category_id) context.subIdSet.add(toId(row.sub_category_id));
+    if (row?.head_category_id) context.headIdSet.add(toId(row.head_category_id));
+  });
+
+  return context;
+}
+
+/** Hard filter by vendor preferences (used when auto_lead_filter is on) */
+export function applyMarketplaceFilters(leads = [], context) {
+  const rows = Array.isArray(leads) ? leads : [];
+  if (!rows.length) return [];
+
+  const shouldAuto = context?.autoLeadFilter !== false;
+  if (!shouldAuto) return rows;
+
+  const hasCategoryFilter = (context?.categorySet?.size || 0) > 0;
+  const hasCityFilter = (context?.citySet?.size || 0) > 0;
+  const hasStateFilter = (context?.stateSet?.size || 0) > 0;
+  const hasMinBudget = Number.isFinite(context?.minBudget);
+  const hasMaxBudget = Number.isFinite(context?.maxBudget);
+
+  const shouldFilterCategory = hasCategoryFilter;
+  const shouldFilterLocation = hasCityFilter || hasStateFilter;
+  const shouldFilterBudget = hasMinBudget || hasMaxBudget;
+
+  if (!shouldFilterCategory && !shouldFilterLocation && !shouldFilterBudget) {
+    return rows;
+  }
+
+  return rows.filter((lead) => {
+    if (shouldFilterCategory) {
+      const tokens = buildLeadTokens(lead);
+      if (!matchesAnyTextSet(tokens, context.categorySet)) return false;
+    }
+
+    if (shouldFilterLocation) {
+      const { city, state } = extractLeadCityState(lead);
+      const cityText = normalizeText(city);
+      const stateText = normalizeText(state);
+      const locationText = normalizeText(lead?.location);
+
+      const cityMatch = !hasCityFilter
+        ? true
+        : matchesAnyTextSet([cityText, locationText], context.citySet);
+      const stateMatch = !hasStateFilter
+        ? true
+        : matchesAnyTextSet([stateText, locationText], context.stateSet);
+
+      if (!cityMatch || !stateMatch) return false;
+    }
+
+    if (shouldFilterBudget) {
+      const budget = Number.parseFloat(lead?.budget);
+      if (Number.isFinite(context.minBudget) && Number.isFinite(budget) && budget < context.minBudget) {
+        return false;
+      }
+      if (Number.isFinite(context.maxBudget) && Number.isFinite(budget) && budget > context.maxBudget) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Per-batch lookups for scoring: city coordinates (vendor + lead cities),
+ * buyer verification and purchase counts (seats taken).
+ */
+export async function loadLeadScoringData(leads = [], context, { purchaseCountByLead = null } = {}) {
+  const rows = Array.isArray(leads) ? leads : [];
+  const cityIds = dedupe([context?.vendorCityId, ...rows.map((lead) => toId(lead?.city_id))]);
+  const buyerIds = dedupe(rows.map((lead) => toId(lead?.buyer_id)));
+  const leadIds = dedupe(rows.map((lead) => toId(lead?.id)));
+
+  const [citiesRes, buyersRes, purchasesRes] = await Promise.all([
+    cityIds.length
+      ? supabase.from('cities').select('id, latitude, longitude').in('id', cityIds)
+      : Promise.resolve({ data: [] }),
+    buyerIds.length
+      ? supabase.from('buyers').select('id, is_verified, is_active').in('id', buyerIds)
+      : Promise.resolve({ data: [] }),
+    purchaseCountByLead || !leadIds.length
+      ? Promise.resolve({ data: null })
+      : supabase.from('lead_purchases').select('lead_id').in('lead_id', leadIds),
+  ]);
+
+  const cityCoords = new Map();
+  (citiesRes?.data || []).forEach((row) => {
+    const lat = Number(row?.latitude);
+    const lng = Number(row?.longitude);
+    if (row?.latitude != null && row?.longitude != null && Number.isFinite(lat) && Number.isFinite(lng)) {
+      cityCoords.set(toId(row.id), { lat, lng });
+    }
+  });
+
+  const buyers = new Map((buyersRes?.data || []).map((row) => [toId(row.id), row]));
+
+  let counts = purchaseCountByLead;
+  if (!counts) {
+    counts = new Map();
+    (purchasesRes?.data || []).forEach((row) => {
+      const id = toId(row?.lead_id);
+      if (id) counts.set(id, (counts.get(id) || 0) + 1);
+    });
+  }
+
+  return { cityCoords, buyers, purchaseCountByLead: counts };
+}
+
+function scoreCategory(lead, context) {
+  const microId = toId(lead?.micro_category_id);
+  const subId = toId(lead?.sub_category_id);
+  const headId = toId(lead?.head_category_id);
+
+  if (microId && context.microIdSet.has(microId)) {
+    return { points: WEIGHTS.category, reason: 'Matches a micro category you sell in' };
+  }
+  if (subId && context.subIdSet.has(subId)) {
+    return { points: Math.round(WEIGHTS.category * 0.7), reason: 'Matches a sub category you sell in' };
+  }
+
+  const textMatch = context.categorySet.size ? findTextMatch(buildLeadTokens(lead), context.categorySet) : null;
+  if (textMatch) {
+    return { points: Math.round(WEIGHTS.category * 0.6), reason: `Related to your products (${textMatch})` };
+  }
+  if (headId && context.headIdSet.has(headId)) {
+    return { points: Math.round(WEIGHTS.category * 0.4), reason: 'In a head category you sell in' };
+  }
+
+  const hasCategoryInfo =
+    context.microIdSet.size || context.subIdSet.size || context.headIdSet.size || context.categorySet.size;
+  return { points: hasCategoryInfo ? 0 : Math.round(WEIGHTS.category * 0.3), reason: null };
+}
+
+function scoreLocation(lead, context, data) {
+  const cityId = toId(lead?.city_id);
+  const stateId = toId(lead?.state_id);
+  const { city, state } = extractLeadCityState(lead);
+  const cityText = normalizeText(city);
+  const stateText = normalizeText(state);
+  const locationText = normalizeText(lead?.location);
+
+  const inPreferredCity =
+    (cityId && context.cityIdSet.has(cityId)) ||
+    (context.citySet.size > 0 && findTextMatch([cityText, locationText].filter(Boolean), context.citySet));
+  if (inPreferredCity) {
+    return { points: WEIGHTS.location, reason: `In your service area${city ? ` (${city})` : ''}`, distanceKm: null };
+  }
+  if (cityId && cityId === context.vendorCityId) {
+    return { points: WEIGHTS.location, reason: 'In your city', distanceKm: 0 };
+  }
+
+  let best = { points: null, reason: null, distanceKm: null };
+
+  const distanceKm = cityId
+    ? haversineKm(data.cityCoords.get(context.vendorCityId), data.cityCoords.get(cityId))
+    : null;
+  if (Number.isFinite(distanceKm)) {
+    const km = Math.round(distanceKm);
+    let points = 0;
+    if (km <= 50) points = WEIGHTS.location * 0.9;
+    else if (km <= 150) points = WEIGHTS.location * 0.7;
+    else if (km <= 300) points = WEIGHTS.location * 0.5;
+    else if (km <= 700) points = WEIGHTS.location * 0.25;
+    best = { points: Math.round(points), reason: km <= 300 ? `About ${km} km from you` : null, distanceKm: km };
+  }
+
+  const inPreferredState =
+    (stateId && (context.stateIdSet.has(stateId) || stateId === context.vendorStateId)) ||
+    (context.stateSet.size > 0 && findTextMatch([stateText, locationText].filter(Boolean), context.stateSet));
+  if (inPreferredState) {
+    const points = Math.round(WEIGHTS.location * 0.6);
+    if (best.points === null || points > best.points) {
+      best = { ...best, points, reason: `In your coverage state${state ? ` (${state})` : ''}` };
+    }
+  }
+
+  if (best.points === null) {
+    const hasVendorArea =
+      context.cityIdSet.size || context.citySet.size || context.stateIdSet.size || context.stateSet.size || context.vendorStateId;
+    const hasLeadLocation = cityId || stateId || cityText || stateText || locationText;
+    // Nothing to compare against: neutral; known and outside the vendor's area: nothing
+    const points = hasVendorArea && hasLeadLocation ? 0 : Math.round(WEIGHTS.location * 0.3);
+    return { points, reason: null, distanceKm: null };
+  }
+  return best;
+}
+
+function scoreBudget(lead, context) {
+  const budget = Number.parseFloat(lead?.budget);
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return { points: Math.round(WEIGHTS.budget * 0.4), reason: null };
+  }
+
+  const hasMin = Number.isFinite(context.minBudget);
+  const hasMax = Number.isFinite(context.maxBudget);
+  if (!hasMin && !hasMax) {
+    return { points: Math.round(WEIGHTS.budget * 0.7), reason: `Budget ${formatInr(budget)}` };
+  }
+
+  if (hasMin && budget < context.minBudget) {
+    const ratio = context.minBudget > 0 ? budget / context.minBudget : 0;
+    return { points: Math.round(WEIGHTS.budget * 0.5 * ratio), reason: null };
+  }
+  if (hasMax && budget > context.maxBudget) {
+    return { points: Math.round(WEIGHTS.budget * 0.5), reason: `Budget ${formatInr(budget)} (above your usual range)` };
+  }
+  return { points: WEIGHTS.budget, reason: `Budget ${formatInr(budget)} fits your range` };
+}
+
+function scoreFreshness(lead, now) {
+  const created = new Date(lead?.created_at || 0).getTime();
+  if (!Number.isFinite(created) || created <= 0) return { points: 0, reason: null };
+
+  const hours = Math.max(0, (now - created) / 36e5);
+  if (hours < 6) return { points: WEIGHTS.freshness, reason: 'Posted in the last 6 hours' };
+  if (hours < 24) return { points: Math.round(WEIGHTS.freshness * 0.8), reason: 'Posted today' };
+  if (hours < 72) return { points: Math.round(WEIGHTS.freshness * 0.6), reason: null };
+  if (hours < 168) return { points: Math.round(WEIGHTS.freshness * 0.3), reason: null };
+  return { points: Math.round(WEIGHTS.freshness * 0.1), reason: null };
+}
+
+function scoreBuyer(lead, data) {
+  const buyer = data.buyers.get(toId(lead?.buyer_id));
+  if (buyer?.is_verified === true) return { points: WEIGHTS.buyer, reason: 'Verified buyer' };
+  if (buyer && buyer.is_active !== false) return { points: Math.round(WEIGHTS.buyer * 0.4), reason: null };
+  return { points: 0, reason: null };
+}
+
+function scoreSeats(lead, data) {
+  const taken = data.purchaseCountByLead.get(toId(lead?.id)) || 0;
+  const left = Math.max(0, MAX_VENDORS_PER_LEAD - taken);
+  const points = Math.round((WEIGHTS.seats * left) / MAX_VENDORS_PER_LEAD);
+  if (taken === 0) return { points, left, reason: 'No vendor has bought this lead yet' };
+  if (left <= 2) return { points, left, reason: `Only ${left} of ${MAX_VENDORS_PER_LEAD} slots left` };
+  return { points, left, reason: null };
+}
+
+/**
+ * Score one lead for the vendor in `context` (0-100) with human-readable reasons.
+ * Returns { match_score, match_reasons, match_breakdown, distance_km, seats_left }.
+ */
+export function scoreLeadForVendor(lead, context, data, { now = Date.now() } = {}) {
+  const category = scoreCategory(lead, context);
+  const location = scoreLocation(lead, context, data);
+  const budget = scoreBudget(lead, context);
+  const freshness = scoreFreshness(lead, now);
+  const buyer = scoreBuyer(lead, data);
+  const seats = scoreSeats(lead, data);
+
+  const breakdown = {
+    category: category.points,
+    location: location.points,
+    budget: budget.points,
+    freshness: freshness.points,
+    buyer: buyer.points,
+    seats: seats.points,
+  };
+  const score = Object.values(breakdown).reduce((sum, v) => sum + (Number(v) || 0), 0);
+
+  return {
+    match_score: Math.max(0, Math.min(100, Math.round(score))),
+    match_reasons: [category, location, budget, buyer, freshness, seats]
+      .map((part) => part.reason)
+      .filter(Boolean),
+    match_breakdown: breakdown,
+    distance_km: location.distanceKm,
+    seats_left: seats.left,
+  };
+}
+
+/** Score + sort (best match first, then newest) */
+export function rankLeadsForVendor(leads = [], context, data, options = {}) {
+  const now = options.now || Date.now();
+  return (Array.isArray(leads) ? leads : [])
+    .map((lead) => ({ ...lead, ...scoreLeadForVendor(lead, context, data, { now }) }))
+    .sort((a, b) => {
+      if (b.match_score !== a.match_score) return b.match_score - a.match_score;
+      return new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime();
+    });
+}
@@ -0,0 +1,56 @@
+import { supabase } from './supabaseClient.js';
+
+// Error codes raised by purchase_lead / lead_purchase_quote (migration 20261024)
+export const LEAD_PURCHASE_ERRORS = {
+  LEAD_NOT_FOUND: { status: 404, error: 'Lead not found' },
+  VENDOR_NOT_FOUND: { status: 404, error: 'Vendor profile not found' },
+  LEAD_UNAVAILABLE: { status: 409, error: 'Lead no longer available' },
+  LEAD_NOT_PURCHASABLE: { status: 409, error: 'This lead is not purchasable' },
+  LEAD_CAPACITY_REACHED: { status: 409, error: 'This lead has reached maximum 5 vendors limit' },
+  PAYMENT_REQUIRED: { status: 402, error: 'Payment required to unlock this lead' },
+};
+
+/** RPC error -> { code, status, error } for API responses */
+export function mapLeadPurchaseError(error) {
+  const raw = String(error?.message || '');
+  const code = Object.keys(LEAD_PURCHASE_ERRORS).find((key) => raw.includes(key));
+  if (code) return { code, ...LEAD_PURCHASE_ERRORS[code] };
+  if (error?.code === '22P02') return { code: 'INVALID_ID', status: 400, error: 'Invalid lead id' };
+  return { code: 'LEAD_PURCHASE_FAILED', status: 500, error: raw };
+}
+
+function toPurchaseError(error, fallback) {
+  const mapped = mapLeadPurchaseError(error);
+  const err = new Error(mapped.error || fallback);
+  err.code = mapped.code;
+  err.statusCode = mapped.status;
+  return err;
+}
+
+/**
+ * Server-side price + plan-quota coverage for one lead.
+ * Returns { lead_id, price, covered_by_quota, payment_required, quota }.
+ */
+export async function getLeadPurchaseQuote(vendorId, leadId) {
+  const { data, error } = await supabase.rpc('lead_purchase_quote', {
+    p_vendor_id: vendorId,
+    p_lead_id: leadId,
+  });
+  if (error) throw toPurchaseError(error, 'Failed to price lead');
+  return data || null;
+}
+
+/**
+ * Single-transaction purchase (capacity, quota and insert happen in the DB).
+ * `payment` = { order_id, payment_id, amount } for a verified Razorpay payment.
+ * Returns { already_purchased, covered_by_quota, price, purchase }.
+ */
+export async function purchaseLead(vendorId, leadId, payment = null) {
+  const { data, error } = await supabase.rpc('purchase_lead', {
+    p_vendor_id: vendorId,
+    p_lead_id: leadId,
+    p_payment: payment,
+  });
+  if (error) throw toPurchaseError(error, 'Failed to purchase lead');
+  return data || null;
+}
@@ -0,0 +1,77 @@
+// Small helpers shared by the server libs. Errors carry an HTTP status (err.statusCode) that the
+// Express routes and Netlify functions send back; anything without one is a 500.
+
+/** Error with an HTTP status for the route to answer with */
+export const httpError = (status, message) => {
+  const err = new Error(message);
+  err.statusCode = status;
+  return err;
+};
+
+/**
+ * Error mapper for a lib's RPCs: `errors` maps a code raised by the SQL function to
+ * { status, error }; unknown errors become a 500 with the database message.
+ */
+export const rpcErrorMapper = (errors) => (error) => {
+  const code = Object.keys(errors).find((key) => String(error?.message || '').includes(key));
+  return httpError(code ? errors[code].status : 500, code ? errors[code].error : error?.message);
+};
+
+export const isUniqueViolation = (error) => String(error?.code || '') === '23505';
+
+export const nowIso = () => new Date().toISOString();
+
+/** Trimmed string, '' for null / undefined */
+export const text = (value) => String(value ?? '').trim();
+
+/** Trimmed string cut to `maxLen`, null when empty (optional text columns) */
+export const textOrNull = (value, maxLen) => text(value).slice(0, maxLen) || null;
+
+export const lower = (value) => text(value).toLowerCase();
+
+export const upper = (value) => text(value).toUpperCase();
+
+/** URL slug: lower-case words joined by '-' ("HDPE Pipes" -> "hdpe-pipes") */
+export const slugify = (value) =>
+  lower(value)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/** Escape % and _ (and the escape character) for a literal ILIKE match */
+export const escapeLike = (value) => String(value).replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+export const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/** Positive integer setting (usually from env), else `fallback` */
+export const positiveInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/** Finite number, or null for blank / non-numeric input */
+export const numberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export const isUuid = (value) => /^[0-9a-f-]{36}$/i.test(text(value));
+
+/** Unique UUIDs from an array or a comma-separated string; anything else is dropped */
+export const parseIds = (value) =>
+  [...new Set((Array.isArray(value) ? value : text(value).split(',')).map(text).filter(isUuid))];
+
+/** Who a buyer request may act for: their buyers row and/or lower-cased email (403 when neither) */
+export const buyerScope = (buyer, email) => {
+  const scope = { buyerId: buyer?.id ? String(buyer.id) : null, email: lower(buyer?.email || email) };
+  if (!scope.buyerId && !scope.email) throw httpError(403, 'Buyer access required');
+  return scope;
+};
+
+export const KYC_VERIFIED = ['APPROVED', 'VERIFIED'];
+
+/** Verified supplier: verification badge, is_verified flag or approved KYC */
+export const isVerifiedVendor = (vendor) =>
+  ['true', 't', '1', 'verified'].includes(lower(vendor?.verification_badge)) ||
+  vendor?.is_verified === true ||
+  KYC_VERIFIED.includes(upper(vendor?.kyc_status));
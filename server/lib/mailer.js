@@ -0,0 +1,35 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Create email transporter
+ * - Prefer SMTP_* (production)
+ * - Fallback to Gmail (local dev)
+ * Returns null when neither is configured.
+ */
+export const createTransporter = () => {
+  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
+  }
+
+  if (process.env.GMAIL_EMAIL && process.env.GMAIL_APP_PASSWORD) {
+    return nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_EMAIL,
+        pass: process.env.GMAIL_APP_PASSWORD,
+      },
+    });
+  }
+
+  return null;
+};
+
+export const getMailFrom = () => process.env.GMAIL_EMAIL || process.env.SMTP_USER;
@@ -0,0 +1,246 @@
+import { text } from './libUtils.js';
+
+// Minimal RFC 822 / MIME reader for inbound support mail. Handles folded headers, RFC 2047 encoded
+// words, RFC 2231 file names, nested multiparts and base64 / quoted-printable bodies. Bytes are kept as
+// latin1 strings while splitting so binary attachments survive untouched.
+
+const decodeCharset = (buffer, charset) => {
+  const label = text(charset).toLowerCase() || 'utf-8';
+  try {
+    return new TextDecoder(label).decode(buffer);
+  } catch {
+    return buffer.toString(label === 'us-ascii' || label === 'ascii' ? 'ascii' : 'utf8');
+  }
+};
+
+const decodeQuotedPrintable = (value, { header = false } = {}) => {
+  let input = String(value || '');
+  if (header) input = input.replace(/_/g, ' ');
+  else input = input.replace(/=\r?\n/g, '');
+  return Buffer.from(
+    input.replace(/=([0-9A-Fa-f]{2})/g, (_m, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  );
+};
+
+/** RFC 2047: =?charset?B|Q?payload?= (adjacent encoded words are joined without the whitespace) */
+export function decodeEncodedWords(value) {
+  return String(value || '')
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_m, charset, encoding, payload) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(payload, 'base64')
+        : decodeQuotedPrintable(payload, { header: true });
+      return decodeCharset(bytes, charset.split('*')[0]);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = new Map();
+  const lines = String(block || '').replace(/\r\n/g, '\n').split('\n');
+  const unfolded = [];
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && unfolded.length) unfolded[unfolded.length - 1] += ` ${line.trim()}`;
+    else if (line) unfolded.push(line);
+  }
+  for (const line of unfolded) {
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const list = headers.get(key) || [];
+    list.push(line.slice(idx + 1).trim());
+    headers.set(key, list);
+  }
+  return headers;
+}
+
+const headerValue = (headers, key) => (headers.get(key) || [])[0] || '';
+
+/** "text/plain; charset=utf-8; name*=UTF-8''r%C3%A9sum%C3%A9.pdf" -> { value, params } */
+function parseStructuredHeader(raw) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const ch of String(raw || '')) {
+    if (ch === '"') quoted = !quoted;
+    if (ch === ';' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+
+  const params = {};
+  const continuations = {};
+  for (const part of parts.slice(1)) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    const name = part.slice(0, idx).trim().toLowerCase();
+    let val = part.slice(idx + 1).trim();
+    if (val.startsWith('"') && val.endsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+
+    // RFC 2231: name*=charset''pct-encoded, name*0*=..., name*1*=...
+    const match = name.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+    if (!match) continue;
+    const [, base, section, extended] = match;
+    if (section === undefined && !extended) {
+      params[base] = val;
+      continue;
+    }
+    continuations[base] = continuations[base] || [];
+    continuations[base][Number(section || 0)] = { val, extended: Boolean(extended) };
+  }
+
+  for (const [base, sections] of Object.entries(continuations)) {
+    let charset = 'utf-8';
+    const bytes = [];
+    sections.forEach((entry, i) => {
+      if (!entry) return;
+      let val = entry.val;
+      if (entry.extended && i === 0) {
+        const m = val.match(/^([^']*)'[^']*'(.*)$/);
+        if (m) {
+          charset = m[1] || charset;
+          val = m[2];
+        }
+      }
+      bytes.push(entry.extended
+        ? Buffer.from(val.replace(/%([0-9A-Fa-f]{2})/g, (_m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+        : Buffer.from(val, 'utf8'));
+    });
+    params[base] = decodeCharset(Buffer.concat(bytes), charset);
+  }
+
+  return { value: parts[0].trim().toLowerCase(), params };
+}
+
+/** "A <a@x>, \"B, Jr\" <b@y>, c@z" -> [{ name, address }] */
+export function parseAddressList(raw) {
+  const out = [];
+  let current = '';
+  let quoted = false;
+  let angle = 0;
+  const flush = () => {
+    const chunk = current.trim();
+    current = '';
+    if (!chunk) return;
+    const m = chunk.match(/^(.*)<([^>]+)>\s*$/);
+    const address = text(m ? m[2] : chunk.replace(/\(.*?\)/g, '')).toLowerCase();
+    if (!address.includes('@')) return;
+    const name = m ? decodeEncodedWords(m[1].trim().replace(/^"|"$/g, '')).trim() : '';
+    out.push({ name, address });
+  };
+  for (const ch of String(raw || '')) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '<') angle += 1;
+    if (!quoted && ch === '>') angle = Math.max(0, angle - 1);
+    if (ch === ',' && !quoted && !angle) flush();
+    else current += ch;
+  }
+  flush();
+  return out;
+}
+
+const parseMessageIds = (raw) => (String(raw || '').match(/<[^<>\s]+>/g) || []).map((id) => id.trim());
+
+const splitHeadBody = (raw) => {
+  const m = raw.match(/\r?\n\r?\n/);
+  if (!m) return { head: raw, body: '' };
+  return { head: raw.slice(0, m.index), body: raw.slice(m.index + m[0].length) };
+};
+
+function decodeBody(body, transferEncoding) {
+  const enc = text(transferEncoding).toLowerCase();
+  if (enc === 'base64') return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (enc === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const lines = body.split(/\r?\n/);
+  let current = null;
+  for (const line of lines) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\r\n'));
+      if (line.slice(delimiter.length).startsWith('--')) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+function walkPart(raw, result, depth = 0) {
+  const { head, body } = splitHeadBody(raw);
+  const headers = parseHeaders(head);
+  const contentType = parseStructuredHeader(headerValue(headers, 'content-type') || 'text/plain; charset=us-ascii');
+  const disposition = parseStructuredHeader(headerValue(headers, 'content-disposition'));
+  const type = contentType.value || 'text/plain';
+
+  if (type.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+    for (const part of splitMultipart(body, contentType.params.boundary)) walkPart(part, result, depth + 1);
+    return;
+  }
+
+  const content = decodeBody(body, headerValue(headers, 'content-transfer-encoding'));
+  const filename = decodeEncodedWords(disposition.params.filename || contentType.params.name || '');
+  const isAttachment = disposition.value === 'attachment' || Boolean(filename) || !type.startsWith('text/');
+
+  if (!isAttachment && type === 'text/plain' && result.text == null) {
+    result.text = decodeCharset(content, contentType.params.charset);
+    return;
+  }
+  if (!isAttachment && type === 'text/html' && result.html == null) {
+    result.html = decodeCharset(content, contentType.params.charset);
+    return;
+  }
+
+  result.attachments.push({
+    filename: filename || (type === 'message/rfc822' ? 'message.eml' : 'attachment'),
+    contentType: type,
+    contentId: text(headerValue(headers, 'content-id')).replace(/^<|>$/g, '') || null,
+    inline: disposition.value === 'inline',
+    size: content.length,
+    content,
+  });
+}
+
+/**
+ * Parse a raw RFC 822 message (Buffer or string).
+ * Returns { messageId, inReplyTo, references[], from, to[], cc[], subject, date, headers, text, html, attachments[] }.
+ */
+export function parseRawEmail(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw || ''), 'utf8').toString('latin1');
+  const { head } = splitHeadBody(source);
+  const headers = parseHeaders(head);
+
+  const result = { text: null, html: null, attachments: [] };
+  walkPart(source, result);
+
+  const dateRaw = headerValue(headers, 'date');
+  const date = dateRaw ? new Date(dateRaw) : null;
+  // Header bytes outside encoded words are usually UTF-8 from modern clients
+  const headerText = (key) => decodeEncodedWords(Buffer.from(headerValue(headers, key), 'latin1').toString('utf8'));
+
+  return {
+    messageId: parseMessageIds(headerValue(headers, 'message-id'))[0] || null,
+    inReplyTo: parseMessageIds(headerValue(headers, 'in-reply-to'))[0] || null,
+    references: parseMessageIds((headers.get('references') || []).join(' ')),
+    from: parseAddressList(headerText('from'))[0] || null,
+    replyTo: parseAddressList(headerText('reply-to'))[0] || null,
+    to: parseAddressList(headerText('to')),
+    cc: parseAddressList(headerText('cc')),
+    subject: headerText('subject').trim(),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    headers,
+    text: result.text,
+    html: result.html,
+    attachments: result.attachments,
+  };
+}
@@ -207,6 +207,60 @@ export async function sendSubscriptionRenewedNotification(vendorId, planName, ne
   }
 }
 
+/**
+ * Send auto-renewal failed notification
+ * Called when a renewal charge is declined; the plan stays usable until the grace period ends
+ */
+export async function sendRenewalFailedNotification(vendorId, planName, { nextAttemptAt = null, graceUntil = null } = {}) {
+  try {
+    const { data: vendor, error: vendorError } = await supabase
+      .from('vendors')
+      .select('user_id, company_name')
+      .eq('id', vendorId)
+      .single();
+
+    if (vendorError || !vendor?.user_id) {
+      console.error('Error fetching vendor:', vendorError);
+      return null;
+    }
+
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    const retryText = nextAttemptAt ? ` We will retry on ${formatDate(nextAttemptAt)}.` : '';
+    const graceText = graceUntil
+      ? ` Your plan stays active until ${formatDate(graceUntil)}; after that it moves to the free trial tier.`
+      : '';
+
+    const { data: notification, error: notificationError } = await supabase
+      .from('notifications')
+      .insert([
+        {
+          user_id: vendor.user_id,
+          type: 'PLAN_RENEWAL_FAILED',
+          title: 'Auto-renewal payment failed',
+          message: `We could not charge your saved payment method for the ${planName} plan.${retryText}${graceText}`,
+          link: '/vendor/subscriptions',
+          is_read: false
+        }
+      ])
+      .select();
+
+    if (notificationError) {
+      console.error('Error creating renewal failed notification:', notificationError);
+      return null;
+    }
+
+    console.log(`⚠️  Renewal failed notification sent for vendor ${vendorId}`);
+    return notification?.[0];
+  } catch (error) {
+    console.error('Error sending renewal failed notification:', error);
+    return null;
+  }
+}
+
 /**
  * Mark renewal notification as sent in the subscription record
  */
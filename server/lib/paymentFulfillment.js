@@ -0,0 +1,372 @@
+import { supabase } from './supabaseClient.js';
+import { razorpayInstance } from './razorpayClient.js';
+import { generateInvoicePDF, generateInvoiceSummary } from './invoiceGenerator.js';
+import { ensurePaymentInvoice, issueCreditNote, recordLeadPurchasePayment } from './taxInvoices.js';
+import { sendSubscriptionActivatedNotification } from './notificationService.js';
+import { createTransporter, getMailFrom } from './mailer.js';
+import { purchaseLead } from './leadPurchase.js';
+import { httpError, isUniqueViolation, nowIso, roundMoney, upper } from './libUtils.js';
+
+// Turns a captured Razorpay payment into a plan subscription / lead unlock.
+// Shared by the browser verify calls and the webhook; one vendor_payments row per Razorpay
+// payment id (uq_vendor_payments_transaction) makes a second call a no-op.
+
+export async function findPaymentByTransaction(transactionId) {
+  if (!transactionId) return null;
+  const { data, error } = await supabase
+    .from('vendor_payments')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  return data || null;
+}
+
+/**
+ * Coupon re-validation at payment time (same rules as /initiate).
+ * Returns { discountAmount, netAmount, coupon }; an invalid coupon simply gives no discount.
+ */
+export async function resolvePlanCoupon({ vendorId, plan, couponCode }) {
+  const price = Number(plan?.price || 0);
+  const code = upper(couponCode);
+  if (!code) return { discountAmount: 0, netAmount: price, coupon: null };
+
+  const { data: cpn } = await supabase
+    .from('vendor_plan_coupons')
+    .select('*')
+    .eq('code', code)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (!cpn) return { discountAmount: 0, netAmount: price, coupon: null };
+
+  const okUsage = !cpn.max_uses || cpn.max_uses === 0 || cpn.used_count < cpn.max_uses;
+  const okExpiry = !cpn.expires_at || new Date(cpn.expires_at) >= new Date();
+  const okVendor = !cpn.vendor_id || cpn.vendor_id === vendorId;
+  const okPlan = !cpn.plan_id || cpn.plan_id === plan.id;
+  if (!(okUsage && okExpiry && okVendor && okPlan)) return { discountAmount: 0, netAmount: price, coupon: null };
+
+  let discountAmount = cpn.discount_type === 'PERCENT' ? (price * Number(cpn.value)) / 100 : Number(cpn.value || 0);
+  if (!Number.isFinite(discountAmount)) discountAmount = 0;
+  discountAmount = Math.max(0, Math.min(discountAmount, price));
+  return { discountAmount, netAmount: Math.max(0, price - discountAmount), coupon: cpn };
+}
+
+async function sendSubscriptionInvoiceEmail({ vendor, invoice, startDate, endDate }) {
+  const transporter = createTransporter();
+  if (!transporter || !vendor?.email || !invoice) return;
+  const invoicePdf = generateInvoicePDF(invoice);
+  await transporter.sendMail({
+    from: getMailFrom(),
+    to: vendor.email,
+    subject: `Tax Invoice ${invoice.document_number} - Subscription Purchase`,
+    html: `
+      <h2>Subscription Confirmation</h2>
+      <p>Dear ${vendor.company_name || 'Vendor'},</p>
+      <p>Your subscription has been successfully activated.</p>
+      ${generateInvoiceSummary(invoice)}
+      <p><strong>Subscription Period:</strong> ${startDate.toLocaleDateString('en-IN')} to ${endDate.toLocaleDateString('en-IN')}</p>
+      <p>Thank you for choosing Indian Trade Mart!</p>
+    `,
+    attachments: [
+      {
+        filename: `${invoice.document_number.replace(/\//g, '-')}.pdf`,
+        content: invoicePdf.split(',')[1],
+        encoding: 'base64',
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+}
+
+/**
+ * Activate a plan for a captured Razorpay payment.
+ * `paidAmount` (rupees) is checked against the plan price after coupon when given (webhook).
+ * Returns { already_fulfilled, payment, subscription, invoice, discount_amount, net_amount }.
+ */
+export async function fulfillSubscriptionPayment({
+  vendorId,
+  planId,
+  couponCode = '',
+  razorpayPaymentId,
+  orderId = null,
+  paidAmount = null,
+}) {
+  if (!vendorId || !planId || !razorpayPaymentId) throw httpError(400, 'Missing required fields');
+
+  const existing = await findPaymentByTransaction(razorpayPaymentId);
+  if (existing && existing.status !== 'FAILED') {
+    const { data: subscription } = existing.subscription_id
+      ? await supabase.from('vendor_plan_subscriptions').select('*').eq('id', existing.subscription_id).maybeSingle()
+      : { data: null };
+    return { already_fulfilled: true, payment: existing, subscription: subscription || null, invoice: null };
+  }
+
+  const [{ data: vendor }, { data: plan }] = await Promise.all([
+    supabase.from('vendors').select('*').eq('id', vendorId).maybeSingle(),
+    supabase.from('vendor_plans').select('*').eq('id', planId).maybeSingle(),
+  ]);
+  if (!vendor || !plan) throw httpError(404, 'Vendor or plan not found');
+
+  const couponLabel = upper(couponCode);
+  const { discountAmount, netAmount, coupon } = await resolvePlanCoupon({ vendorId, plan, couponCode: couponLabel });
+  if (paidAmount !== null && Math.round(Number(paidAmount) * 100) < Math.round(netAmount * 100)) {
+    throw httpError(409, `Paid amount ₹${paidAmount} is less than the plan price ₹${netAmount}`);
+  }
+
+  // Claim the Razorpay payment id first; a concurrent caller hits the unique index
+  const paymentRow = {
+    vendor_id: vendorId,
+    plan_id: planId,
+    amount: plan.price,
+    discount_amount: discountAmount,
+    net_amount: netAmount,
+    description: `Subscription: ${plan.name}`,
+    status: 'COMPLETED',
+    payment_method: 'Razorpay',
+    transaction_id: razorpayPaymentId,
+    razorpay_order_id: orderId,
+    payment_date: new Date().toISOString(),
+    coupon_code: couponLabel || null,
+    failure_reason: null,
+  };
+  const claim = existing
+    ? supabase.from('vendor_payments').update(paymentRow).eq('id', existing.id).eq('status', 'FAILED')
+    : supabase.from('vendor_payments').insert([paymentRow]);
+  const { data: payment, error: paymentError } = await claim.select('*').maybeSingle();
+  if (isUniqueViolation(paymentError) || (!paymentError && !payment)) {
+    return { already_fulfilled: true, payment: await findPaymentByTransaction(razorpayPaymentId), subscription: null, invoice: null };
+  }
+  if (paymentError) throw httpError(500, paymentError.message);
+
+  const durationDays = Number(plan.duration_days || 365);
+  const days = Number.isFinite(durationDays) && durationDays > 0 ? durationDays : 365;
+  const startDate = new Date();
+  const endDate = new Date(startDate);
+  endDate.setDate(endDate.getDate() + days);
+
+  const { data: subscription, error: subscriptionError } = await supabase
+    .from('vendor_plan_subscriptions')
+    .insert([
+      {
+        vendor_id: vendorId,
+        plan_id: planId,
+        start_date: startDate.toISOString(),
+        end_date: endDate.toISOString(),
+        status: 'ACTIVE',
+        plan_duration_days: days,
+      },
+    ])
+    .select()
+    .single();
+
+  if (subscriptionError) {
+    // Release the claim so a retry (verify or webhook redelivery) can activate
+    await supabase.from('vendor_payments').delete().eq('id', payment.id);
+    console.error('Subscription creation error:', subscriptionError);
+    throw httpError(500, 'Failed to create subscription');
+  }
+
+  // One active plan per vendor: the new subscription replaces any previous one
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({ status: 'INACTIVE' })
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE')
+    .neq('id', subscription.id);
+
+  await supabase.from('vendor_payments').update({ subscription_id: subscription.id }).eq('id', payment.id);
+  payment.subscription_id = subscription.id;
+
+  if (coupon) {
+    await supabase
+      .from('vendor_plan_coupons')
+      .update({ used_count: (coupon.used_count || 0) + 1 })
+      .eq('id', coupon.id);
+    await supabase.from('vendor_coupon_usages').insert([
+      {
+        coupon_id: coupon.id,
+        payment_id: payment.id,
+        vendor_id: vendorId,
+        plan_id: planId,
+        discount_amount: discountAmount,
+        net_amount: netAmount,
+      },
+    ]);
+  }
+
+  // GST tax invoice (sequential number) for the recorded payment
+  let invoice = null;
+  try {
+    invoice = await ensurePaymentInvoice(payment);
+  } catch (invoiceError) {
+    console.error('Tax invoice issue error:', invoiceError?.message || invoiceError);
+  }
+
+  try {
+    await sendSubscriptionInvoiceEmail({ vendor, invoice, startDate, endDate });
+  } catch (emailError) {
+    console.error('Email sending error:', emailError);
+  }
+
+  try {
+    await sendSubscriptionActivatedNotification(vendorId, plan.name, endDate);
+  } catch (notifError) {
+    console.error('Subscription notification error:', notifError);
+  }
+
+  return {
+    already_fulfilled: false,
+    payment,
+    subscription,
+    invoice,
+    vendor,
+    plan,
+    discount_amount: discountAmount,
+    net_amount: netAmount,
+  };
+}
+
+/**
+ * Refund part of a Razorpay payment and offset its invoice with a credit note (reference = refund id).
+ * Returns { refund, creditNote }.
+ */
+export async function refundRazorpayPayment(payment, amount, reason, notes = {}) {
+  const refund = await razorpayInstance.payments.refund(payment.transaction_id, {
+    amount: Math.round(amount * 100),
+    notes: { reason, ...notes },
+  });
+
+  const paid = Number(payment.net_amount ?? payment.amount ?? 0);
+  const refundedTotal = roundMoney(Math.min(paid, Number(payment.refunded_amount || 0) + amount));
+  await supabase
+    .from('vendor_payments')
+    .update({
+      refunded_amount: refundedTotal,
+      refunded_at: nowIso(),
+      status: refundedTotal >= paid ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+    })
+    .eq('id', payment.id);
+
+  // The refund.processed webhook may have beaten us to the credit note
+  const { data: existing } = await supabase
+    .from('tax_documents')
+    .select('*')
+    .eq('document_type', 'CREDIT_NOTE')
+    .eq('reference', refund.id)
+    .maybeSingle();
+  const creditNote = existing || (await issueCreditNote({ paymentId: payment.id, amount, reason, reference: refund.id }));
+  return { refund, creditNote };
+}
+
+/**
+ * A captured lead payment that purchase_lead rejected: book it against the lead (migration 20261113),
+ * invoice it and refund it in full. Setting refunded_at claims the refund, so when verify and the
+ * webhook race only one of them calls Razorpay. Returns { refund_id, amount, credit_note } or null.
+ */
+async function refundUnfulfilledLeadPayment({ vendorId, leadId, razorpayPaymentId, orderId, amount, reason }) {
+  let payment = await findPaymentByTransaction(razorpayPaymentId);
+  if (!payment) {
+    const { data, error } = await supabase
+      .from('vendor_payments')
+      .insert([
+        {
+          vendor_id: vendorId,
+          lead_id: leadId,
+          amount: roundMoney(amount),
+          discount_amount: 0,
+          net_amount: roundMoney(amount),
+          description: 'Lead purchase (not fulfilled)',
+          status: 'COMPLETED',
+          payment_method: 'Razorpay',
+          transaction_id: razorpayPaymentId,
+          razorpay_order_id: orderId || null,
+          payment_date: nowIso(),
+        },
+      ])
+      .select('*')
+      .maybeSingle();
+    if (error && !isUniqueViolation(error)) throw httpError(500, error.message);
+    payment = data || (await findPaymentByTransaction(razorpayPaymentId));
+  }
+  // Fulfilled by the other caller after all, or already refunded
+  if (!payment || payment.lead_purchase_id || payment.status !== 'COMPLETED') return null;
+
+  const { data: claimed } = await supabase
+    .from('vendor_payments')
+    .update({ refunded_at: nowIso() })
+    .eq('id', payment.id)
+    .is('refunded_at', null)
+    .select('*')
+    .maybeSingle();
+  if (!claimed) return null;
+
+  let refunded;
+  try {
+    refunded = await refundRazorpayPayment(claimed, Number(claimed.net_amount), reason, { lead_id: leadId });
+  } catch (err) {
+    // Razorpay refused the refund: release the claim so a retry (webhook redelivery) can try again
+    const { data: current } = await supabase.from('vendor_payments').select('status').eq('id', payment.id).maybeSingle();
+    if (current?.status === 'COMPLETED') {
+      await supabase.from('vendor_payments').update({ refunded_at: null }).eq('id', payment.id);
+    }
+    throw httpError(502, `Refund of lead payment ${razorpayPaymentId} failed: ${err?.error?.description || err?.message || err}`);
+  }
+
+  return {
+    refund_id: refunded.refund?.id || null,
+    amount: Number(claimed.net_amount),
+    credit_note: refunded.creditNote?.document_number || null,
+  };
+}
+
+/**
+ * Unlock a lead for a captured Razorpay payment and invoice it.
+ * purchase_lead is idempotent per vendor + lead (already_purchased). A payment that cannot unlock the
+ * lead (filled up, withdrawn, already owned through another payment) is refunded: a business error is
+ * rethrown with `err.refund`, a duplicate purchase returns `refund`.
+ */
+export async function fulfillLeadPayment({ vendorId, leadId, razorpayPaymentId, orderId, amount }) {
+  if (!vendorId || !leadId || !razorpayPaymentId) throw httpError(400, 'Missing required fields');
+  const payment = { vendorId, leadId, razorpayPaymentId, orderId, amount };
+
+  let result;
+  try {
+    result = await purchaseLead(vendorId, leadId, {
+      order_id: orderId,
+      payment_id: razorpayPaymentId,
+      amount,
+    });
+  } catch (purchaseError) {
+    // Transient errors are retried (verify again / webhook redelivery); business errors will not go away
+    if (Number(purchaseError?.statusCode) < 500) {
+      purchaseError.refund = await refundUnfulfilledLeadPayment({ ...payment, reason: purchaseError.message });
+    }
+    throw purchaseError;
+  }
+  const purchase = result?.purchase || null;
+
+  // Already unlocked through an earlier payment (or plan quota): this payment bought nothing
+  if (result?.already_purchased && purchase?.razorpay_payment_id !== razorpayPaymentId) {
+    const refund = await refundUnfulfilledLeadPayment({ ...payment, reason: 'Lead already purchased' });
+    return { already_fulfilled: true, purchase, invoice: null, refund };
+  }
+
+  // recordLeadPurchasePayment is idempotent per purchase, so a redelivery can still fill a missed invoice
+  let invoice = null;
+  if (purchase?.id) {
+    try {
+      ({ invoice } = await recordLeadPurchasePayment({
+        vendorId,
+        purchaseId: purchase.id,
+        amount,
+        transactionId: razorpayPaymentId,
+      }));
+    } catch (invoiceError) {
+      console.error('Lead purchase invoice error:', invoiceError?.message || invoiceError, { razorpayPaymentId });
+    }
+  }
+
+  return { already_fulfilled: Boolean(result?.already_purchased), purchase, invoice, refund: null };
+}
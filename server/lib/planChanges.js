@@ -0,0 +1,413 @@
+import { supabase } from './supabaseClient.js';
+import { razorpayInstance } from './razorpayClient.js';
+import { findPaymentByTransaction, refundRazorpayPayment } from './paymentFulfillment.js';
+import { ensurePaymentInvoice } from './taxInvoices.js';
+import { sendSubscriptionActivatedNotification } from './notificationService.js';
+import { httpError, nowIso, roundMoney, rpcErrorMapper } from './libUtils.js';
+
+// Mid-term plan upgrades / downgrades (migration 20261101).
+// The unused part of the current plan becomes a credit: upgrades pay the difference,
+// downgrades get the excess refunded to the original Razorpay payment.
+
+const PLAN_CHANGE_RPC_ERRORS = {
+  PLAN_CHANGE_NOT_FOUND: { status: 404, error: 'Plan change not found' },
+  PLAN_CHANGE_CLOSED: { status: 409, error: 'This plan change is no longer open' },
+  SUBSCRIPTION_NOT_ACTIVE: { status: 409, error: 'Your current plan is no longer active' },
+  PLAN_NOT_FOUND: { status: 404, error: 'Plan not found' },
+  NO_SEATS_AVAILABLE: { status: 409, error: 'No seats left in the new plan tier for your categories and cities' },
+};
+
+// Payments whose unrefunded part can be refunded on a downgrade
+const REFUNDABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rpcError = rpcErrorMapper(PLAN_CHANGE_RPC_ERRORS);
+
+async function loadActiveSubscription(vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(*)')
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE')
+    .gt('end_date', nowIso())
+    .order('start_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  return data || null;
+}
+
+async function loadChange(changeId) {
+  const { data, error } = await supabase.from('vendor_plan_changes').select('*').eq('id', changeId).maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!data) throw httpError(404, 'Plan change not found');
+  return data;
+}
+
+/**
+ * What the current subscription was worth and which payment can take a refund.
+ * A subscription created by an earlier change is worth that change's target price.
+ */
+async function subscriptionValue(subscription) {
+  const [{ data: priorChange }, { data: payments }] = await Promise.all([
+    supabase
+      .from('vendor_plan_changes')
+      .select('id, target_price')
+      .eq('new_subscription_id', subscription.id)
+      .eq('status', 'COMPLETED')
+      .maybeSingle(),
+    supabase
+      .from('vendor_payments')
+      .select('*')
+      .eq('subscription_id', subscription.id)
+      .in('status', REFUNDABLE_STATUSES)
+      .order('payment_date', { ascending: false })
+      .limit(1),
+  ]);
+  const payment = Array.isArray(payments) ? payments[0] || null : null;
+  const unrefunded = payment ? roundMoney(Number(payment.net_amount ?? payment.amount ?? 0) - Number(payment.refunded_amount || 0)) : 0;
+
+  let paid = 0;
+  if (priorChange) paid = Number(priorChange.target_price || 0);
+  else if (payment) paid = unrefunded;
+
+  const refundable = payment?.transaction_id && String(payment.payment_method || 'Razorpay') === 'Razorpay' ? payment : null;
+  return { paid: roundMoney(paid), refundPayment: refundable, refundable: refundable ? Math.max(0, unrefunded) : 0 };
+}
+
+/**
+ * Price a move from the vendor's active paid plan to `planId`, effective now.
+ * The new plan runs its full duration from today; the unused days of the current plan are credited.
+ */
+export async function quotePlanChange({ vendorId, planId }) {
+  if (!vendorId) throw httpError(400, 'Missing vendor');
+  if (!planId) throw httpError(400, 'Missing plan_id');
+
+  const current = await loadActiveSubscription(vendorId);
+  if (!current) throw httpError(409, 'No active plan to change; subscribe to a plan instead');
+  if (String(current.plan_id) === String(planId)) throw httpError(409, 'You are already on this plan');
+
+  const { data: plan, error: planError } = await supabase
+    .from('vendor_plans')
+    .select('*')
+    .eq('id', planId)
+    .eq('is_active', true)
+    .maybeSingle();
+  if (planError) throw httpError(500, planError.message);
+  if (!plan) throw httpError(404, 'Plan not found');
+
+  const currentPrice = Number(current.plan?.price || 0);
+  const targetPrice = roundMoney(plan.price);
+  if (!(currentPrice > 0)) throw httpError(409, 'Your current plan is free; buy the new plan directly');
+
+  const start = new Date(current.start_date || current.created_at || Date.now()).getTime();
+  const end = new Date(current.end_date).getTime();
+  const totalDays = Math.max(1, Number(current.plan_duration_days) || Math.round((end - start) / DAY_MS) || 1);
+  const remainingDays = Math.min(totalDays, Math.max(0, Math.floor((end - Date.now()) / DAY_MS)));
+
+  const value = await subscriptionValue(current);
+  const credit = roundMoney((value.paid * remainingDays) / totalDays);
+  const charge = roundMoney(Math.max(0, targetPrice - credit));
+  const excess = roundMoney(Math.max(0, credit - targetPrice));
+  const refund = roundMoney(Math.min(excess, value.refundable));
+
+  const durationDays = Number(plan.duration_days) > 0 ? Number(plan.duration_days) : 365;
+  const newEndDate = new Date(Date.now() + durationDays * DAY_MS);
+
+  return {
+    kind: targetPrice > currentPrice ? 'UPGRADE' : 'DOWNGRADE',
+    current_subscription_id: current.id,
+    from_plan: { id: current.plan_id, name: current.plan?.name || '', price: currentPrice },
+    to_plan: { id: plan.id, name: plan.name, price: targetPrice, duration_days: durationDays },
+    total_days: totalDays,
+    remaining_days: remainingDays,
+    paid_amount: value.paid,
+    credit_amount: credit,
+    target_price: targetPrice,
+    charge_amount: charge,
+    refund_amount: refund,
+    forfeited_credit: roundMoney(excess - refund),
+    refund_payment_id: refund > 0 ? value.refundPayment.id : null,
+    new_end_date: newEndDate.toISOString(),
+  };
+}
+
+/**
+ * Freeze a quote as a vendor_plan_changes row and check seat availability in the new tier.
+ * Returns { change, quote, order } when a payment is due, else applies the change right away.
+ */
+export async function initiatePlanChange({ vendor, planId }) {
+  if (!vendor?.id) throw httpError(404, 'Vendor profile not found');
+  const quote = await quotePlanChange({ vendorId: vendor.id, planId });
+
+  // A change that already has a Razorpay order can still be paid, so it is never cancelled here:
+  // the same move reuses it, a different one is refunded by applyPlanChange if both get paid
+  const { data: open, error: openError } = await supabase
+    .from('vendor_plan_changes')
+    .select('*')
+    .eq('vendor_id', vendor.id)
+    .eq('status', 'PENDING')
+    .order('created_at', { ascending: false });
+  if (openError) throw httpError(500, openError.message);
+
+  const reusable = (open || []).find(
+    (c) => c.razorpay_order_id && c.from_subscription_id === quote.current_subscription_id && c.to_plan_id === quote.to_plan.id
+  );
+  if (reusable) {
+    const order = await razorpayInstance.orders.fetch(reusable.razorpay_order_id);
+    if (order.status === 'paid') throw httpError(409, 'Your payment for this plan change is being applied');
+    const frozen = {
+      ...quote,
+      remaining_days: reusable.remaining_days,
+      total_days: reusable.total_days,
+      credit_amount: Number(reusable.credit_amount),
+      charge_amount: Number(reusable.charge_amount),
+      refund_amount: Number(reusable.refund_amount),
+    };
+    return { change: reusable, quote: frozen, order, payment_required: true };
+  }
+
+  // Open requests that never got an order are replaced by this one
+  await supabase
+    .from('vendor_plan_changes')
+    .update({ status: 'CANCELLED' })
+    .eq('vendor_id', vendor.id)
+    .eq('status', 'PENDING')
+    .is('razorpay_order_id', null);
+
+  const { data: change, error } = await supabase
+    .from('vendor_plan_changes')
+    .insert([
+      {
+        vendor_id: vendor.id,
+        from_subscription_id: quote.current_subscription_id,
+        from_plan_id: quote.from_plan.id,
+        to_plan_id: quote.to_plan.id,
+        kind: quote.kind,
+        remaining_days: quote.remaining_days,
+        total_days: quote.total_days,
+        credit_amount: quote.credit_amount,
+        target_price: quote.target_price,
+        charge_amount: quote.charge_amount,
+        refund_amount: quote.refund_amount,
+        refund_payment_id: quote.refund_payment_id,
+      },
+    ])
+    .select('*')
+    .single();
+  if (error) throw httpError(500, error.message);
+
+  const { data: check, error: checkError } = await supabase.rpc('apply_plan_change', {
+    p_change_id: change.id,
+    p_payment_id: null,
+    p_dry_run: true,
+  });
+  if (checkError) throw rpcError(checkError);
+  if (!check?.ok) {
+    await supabase.from('vendor_plan_changes').update({ status: 'FAILED', error: check?.error || null }).eq('id', change.id);
+    throw httpError(409, `No seats left in the ${quote.to_plan.name} tier for your categories and cities`);
+  }
+
+  if (!(quote.charge_amount > 0)) {
+    const applied = await applyPlanChange({ changeId: change.id });
+    return { ...applied, quote, payment_required: false };
+  }
+
+  const receipt = `pc_${String(change.id).replace(/-/g, '').slice(0, 12)}_${Date.now().toString().slice(-6)}`;
+  const order = await razorpayInstance.orders.create({
+    amount: Math.round(quote.charge_amount * 100),
+    currency: 'INR',
+    receipt,
+    payment_capture: 1,
+    notes: {
+      kind: 'PLAN_CHANGE',
+      plan_change_id: change.id,
+      vendor_id: vendor.id,
+      to_plan_id: quote.to_plan.id,
+      vendor_email: vendor.email || '',
+    },
+  });
+  await supabase.from('vendor_plan_changes').update({ razorpay_order_id: order.id }).eq('id', change.id);
+
+  return { change: { ...change, razorpay_order_id: order.id }, quote, order, payment_required: true };
+}
+
+// Record the difference payment once per Razorpay payment id
+async function claimChangePayment(change, { razorpayPaymentId, orderId, fromPlanName, toPlanName }) {
+  const existing = await findPaymentByTransaction(razorpayPaymentId);
+  if (existing && existing.status !== 'FAILED') {
+    if (existing.plan_change_id && existing.plan_change_id !== change.id) {
+      throw httpError(409, 'Payment belongs to another plan change');
+    }
+    return existing;
+  }
+
+  const row = {
+    vendor_id: change.vendor_id,
+    plan_id: change.to_plan_id,
+    plan_change_id: change.id,
+    amount: change.target_price,
+    discount_amount: change.credit_amount,
+    net_amount: change.charge_amount,
+    description: `Plan ${change.kind === 'UPGRADE' ? 'upgrade' : 'change'}: ${fromPlanName} → ${toPlanName} (prorated)`,
+    status: 'COMPLETED',
+    payment_method: 'Razorpay',
+    transaction_id: razorpayPaymentId,
+    razorpay_order_id: orderId || change.razorpay_order_id,
+    payment_date: nowIso(),
+    failure_reason: null,
+  };
+  const claim = existing
+    ? supabase.from('vendor_payments').update(row).eq('id', existing.id).eq('status', 'FAILED')
+    : supabase.from('vendor_payments').insert([row]);
+  const { data, error } = await claim.select('*').maybeSingle();
+  if (error?.code === '23505' || (!error && !data)) return findPaymentByTransaction(razorpayPaymentId);
+  if (error) throw httpError(500, error.message);
+  return data;
+}
+
+async function refundClosedChangePayment(change, { razorpayPaymentId, orderId }) {
+  try {
+    const { data: plans } = await supabase
+      .from('vendor_plans')
+      .select('id, name')
+      .in('id', [change.from_plan_id, change.to_plan_id].filter(Boolean));
+    const planName = (id) => (plans || []).find((p) => p.id === id)?.name || 'Plan';
+    const payment = await claimChangePayment(change, {
+      razorpayPaymentId,
+      orderId,
+      fromPlanName: planName(change.from_plan_id),
+      toPlanName: planName(change.to_plan_id),
+    });
+    if (payment?.status !== 'COMPLETED') return;
+    await ensurePaymentInvoice(payment);
+    await refundRazorpayPayment(payment, Number(change.charge_amount), 'Plan change was no longer open', { plan_change_id: change.id });
+  } catch (refundError) {
+    console.error('Plan change refund error:', refundError?.message || refundError, { changeId: change.id });
+  }
+}
+
+/**
+ * Apply a plan change (after payment when one is due). Safe to repeat: the browser verify call
+ * and the payment.captured webhook both land here and only the first one has side effects.
+ * Returns { already_applied, change, subscription, payment, invoice, refund }.
+ */
+export async function applyPlanChange({ changeId, razorpayPaymentId = null, orderId = null, paidAmount = null }) {
+  let change = await loadChange(changeId);
+  if (change.status === 'COMPLETED') {
+    return { already_applied: true, change, subscription: null, payment: null, invoice: null, refund: null };
+  }
+  const charge = Number(change.charge_amount || 0);
+  if (!['PENDING', 'PROCESSING'].includes(change.status)) {
+    // Paid after the change was closed: book the payment and give the money back
+    if (charge > 0 && razorpayPaymentId) await refundClosedChangePayment(change, { razorpayPaymentId, orderId });
+    throw httpError(409, 'This plan change is no longer open');
+  }
+
+  if (charge > 0 && !razorpayPaymentId) throw httpError(400, 'Payment required for this plan change');
+  if (charge > 0 && paidAmount !== null && Math.round(Number(paidAmount) * 100) < Math.round(charge * 100)) {
+    throw httpError(409, `Paid amount ₹${paidAmount} is less than the amount due ₹${charge}`);
+  }
+
+  const { data: plans } = await supabase
+    .from('vendor_plans')
+    .select('id, name')
+    .in('id', [change.from_plan_id, change.to_plan_id].filter(Boolean));
+  const planName = (id) => (plans || []).find((p) => p.id === id)?.name || 'Plan';
+
+  const payment = charge > 0
+    ? await claimChangePayment(change, {
+      razorpayPaymentId,
+      orderId,
+      fromPlanName: planName(change.from_plan_id),
+      toPlanName: planName(change.to_plan_id),
+    })
+    : null;
+
+  await supabase.from('vendor_plan_changes').update({ status: 'PROCESSING' }).eq('id', change.id).eq('status', 'PENDING');
+
+  const { data: applied, error: applyError } = await supabase.rpc('apply_plan_change', {
+    p_change_id: change.id,
+    p_payment_id: payment?.id || null,
+    p_dry_run: false,
+  });
+  if (applyError) {
+    const err = rpcError(applyError);
+    // Transient errors leave the change PROCESSING so a retry can finish it
+    if (err.statusCode >= 500) throw err;
+    await supabase.from('vendor_plan_changes').update({ status: 'FAILED', error: err.message }).eq('id', change.id);
+    // Money was taken for a change that cannot happen: give it back
+    if (payment) {
+      try {
+        await ensurePaymentInvoice(payment);
+        await refundRazorpayPayment(payment, charge, 'Plan change could not be applied', { plan_change_id: change.id });
+      } catch (refundError) {
+        console.error('Plan change refund error:', refundError?.message || refundError, { changeId: change.id });
+      }
+    }
+    throw err;
+  }
+  if (applied?.already_applied) {
+    return { already_applied: true, change: await loadChange(change.id), subscription: null, payment, invoice: null, refund: null };
+  }
+
+  const { data: subscription } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(*)')
+    .eq('id', applied.subscription_id)
+    .maybeSingle();
+
+  let invoice = null;
+  if (payment) {
+    try {
+      invoice = await ensurePaymentInvoice({ ...payment, subscription_id: applied.subscription_id, plan_change_id: change.id });
+    } catch (invoiceError) {
+      console.error('Plan change invoice error:', invoiceError?.message || invoiceError);
+    }
+  }
+
+  // Downgrade: excess credit goes back to the payment that bought the old plan
+  let refund = null;
+  const refundAmount = Number(change.refund_amount || 0);
+  if (refundAmount > 0 && change.refund_payment_id) {
+    try {
+      const { data: source } = await supabase.from('vendor_payments').select('*').eq('id', change.refund_payment_id).maybeSingle();
+      if (!source) throw httpError(404, 'Original payment not found');
+      const reason = `Downgrade to ${planName(change.to_plan_id)}: unused credit refunded`;
+      const { refund: rzpRefund, creditNote } = await refundRazorpayPayment(source, refundAmount, reason, { plan_change_id: change.id });
+      await supabase
+        .from('vendor_plan_changes')
+        .update({ razorpay_refund_id: rzpRefund.id, credit_note_id: creditNote?.id || null })
+        .eq('id', change.id);
+      refund = { id: rzpRefund.id, amount: refundAmount, credit_note: creditNote?.document_number || null };
+    } catch (refundError) {
+      const message = refundError?.error?.description || refundError?.message || String(refundError);
+      console.error('Plan change refund error:', message, { changeId: change.id });
+      await supabase.from('vendor_plan_changes').update({ error: `Refund failed: ${message}`.slice(0, 1000) }).eq('id', change.id);
+      refund = { id: null, amount: refundAmount, error: 'Refund could not be processed; support will follow up' };
+    }
+  }
+
+  try {
+    await sendSubscriptionActivatedNotification(change.vendor_id, planName(change.to_plan_id), subscription?.end_date || new Date());
+  } catch (notifError) {
+    console.error('Plan change notification error:', notifError);
+  }
+
+  change = await loadChange(change.id);
+  return { already_applied: false, change, subscription: subscription || null, payment, invoice, refund };
+}
+
+/** The vendor's change row for a Razorpay order created by initiatePlanChange */
+export async function findPlanChangeByOrder(orderId, vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_plan_changes')
+    .select('*')
+    .eq('razorpay_order_id', orderId)
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!data) throw httpError(404, 'Plan change not found for this order');
+  return data;
+}
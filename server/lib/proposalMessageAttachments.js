@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { httpError, lower, text } from './libUtils.js';
+
+// Files sent in proposal chat (migration 20261109). Objects live in a private bucket and are only ever
+// handed out as short-lived signed URLs. The file type is taken from the extension and must match the
+// file's leading bytes, so a renamed executable or script is rejected before it reaches storage.
+
+// Uploads travel base64-encoded in a JSON body; 4MB keeps the request under the Netlify function limit.
+export const ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024;
+
+const SIGNED_URL_SECONDS = 60 * 60;
+const SNIFF_BYTES = 4096;
+
+const getAttachmentsBucket = () => text(process.env.PROPOSAL_ATTACHMENTS_BUCKET) || 'proposal-attachments';
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (value) => Array.from(value, (char) => char.charCodeAt(0));
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+const OLE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Plain-text formats: binary files almost always carry a NUL byte early on
+const looksLikeText = (buffer) => !buffer.subarray(0, SNIFF_BYTES).includes(0);
+
+const ATTACHMENT_TYPES = {
+  jpg: { contentType: 'image/jpeg', matches: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  jpeg: { contentType: 'image/jpeg', matches: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  png: { contentType: 'image/png', matches: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  gif: { contentType: 'image/gif', matches: (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a')) },
+  webp: { contentType: 'image/webp', matches: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  pdf: { contentType: 'application/pdf', matches: (b) => startsWith(b, ascii('%PDF-')) },
+  doc: { contentType: 'application/msword', matches: (b) => startsWith(b, OLE) },
+  xls: { contentType: 'application/vnd.ms-excel', matches: (b) => startsWith(b, OLE) },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    matches: (b) => startsWith(b, ZIP),
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    matches: (b) => startsWith(b, ZIP),
+  },
+  dwg: { contentType: 'image/vnd.dwg', matches: (b) => startsWith(b, ascii('AC10')) },
+  dxf: { contentType: 'image/vnd.dxf', matches: looksLikeText },
+  csv: { contentType: 'text/csv', matches: looksLikeText },
+  txt: { contentType: 'text/plain', matches: looksLikeText },
+};
+
+export const ATTACHMENT_EXTENSIONS = Object.keys(ATTACHMENT_TYPES);
+
+// Windows PE, ELF, Mach-O (both endiannesses and fat binaries) and shebang scripts
+const EXECUTABLE_SIGNATURES = [
+  ascii('MZ'),
+  [0x7f, 0x45, 0x4c, 0x46],
+  [0xfe, 0xed, 0xfa, 0xce],
+  [0xfe, 0xed, 0xfa, 0xcf],
+  [0xce, 0xfa, 0xed, 0xfe],
+  [0xcf, 0xfa, 0xed, 0xfe],
+  [0xca, 0xfe, 0xba, 0xbe],
+  ascii('#!'),
+];
+
+// Types the chat renders inline; drawings are image/* too but browsers cannot display them
+const PREVIEW_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+
+const isExecutable = (buffer) => EXECUTABLE_SIGNATURES.some((signature) => startsWith(buffer, signature));
+
+const safeFileName = (name) =>
+  String(name || 'attachment')
+    .replace(/[^a-zA-Z0-9._-]/g, '_')
+    .replace(/^_+/, '')
+    .slice(0, 120) || 'attachment';
+
+const parseDataUrl = (value = '') => {
+  const raw = text(value);
+  if (!raw) return null;
+  if (raw.startsWith('data:')) {
+    const match = raw.match(/^data:([^;]*);base64,(.*)$/);
+    if (!match) return null;
+    return { mime: match[1] || null, base64: match[2] };
+  }
+  return { mime: null, base64: raw };
+};
+
+const isBucketMissingError = (error) => {
+  const msg = lower(error?.message);
+  return msg.includes('bucket not found') || (msg.includes('bucket') && msg.includes('not found'));
+};
+
+/**
+ * Decode and check an upload from the request body ({ file_name, data_url }).
+ * Returns { fileName, contentType, buffer, isImage }; throws 400/413 with a user-facing reason.
+ */
+export function validateAttachmentUpload(body = {}) {
+  const fileName = text(body?.file_name || body?.fileName).slice(0, 200);
+  if (!fileName) throw httpError(400, 'File name is required');
+
+  // Double extensions such as invoice.pdf.exe are judged by the last one
+  const extension = lower(fileName.split('.').pop());
+  const type = fileName.includes('.') ? ATTACHMENT_TYPES[extension] : null;
+  if (!type) {
+    throw httpError(400, `File type not allowed. Allowed: ${ATTACHMENT_EXTENSIONS.join(', ')}`);
+  }
+
+  const parsed = parseDataUrl(body?.data_url || body?.dataUrl);
+  if (!parsed?.base64) throw httpError(400, 'Invalid base64 payload');
+
+  // Cheap size check on the encoded length before allocating the buffer
+  if (Math.floor((parsed.base64.length * 3) / 4) > ATTACHMENT_MAX_BYTES + 3) {
+    throw httpError(413, `File too large (max ${ATTACHMENT_MAX_BYTES / (1024 * 1024)}MB)`);
+  }
+
+  const buffer = Buffer.from(parsed.base64, 'base64');
+  if (!buffer.length) throw httpError(400, 'File is empty');
+  if (buffer.length > ATTACHMENT_MAX_BYTES) {
+    throw httpError(413, `File too large (max ${ATTACHMENT_MAX_BYTES / (1024 * 1024)}MB)`);
+  }
+
+  if (isExecutable(buffer)) throw httpError(400, 'Executable files are not allowed');
+  if (!type.matches(buffer)) throw httpError(400, `File content does not match the .${extension} extension`);
+
+  return {
+    fileName,
+    contentType: type.contentType,
+    buffer,
+    isImage: PREVIEW_TYPES.has(type.contentType),
+  };
+}
+
+/** Upload to the private bucket (created on first use); returns { bucket, path } */
+export async function uploadAttachmentObject(proposalId, file) {
+  const bucket = getAttachmentsBucket();
+  const path = `${proposalId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeFileName(file.fileName)}`;
+
+  const upload = () =>
+    supabase.storage.from(bucket).upload(path, file.buffer, {
+      contentType: file.contentType,
+      upsert: false,
+    });
+
+  let { error } = await upload();
+  if (error && isBucketMissingError(error)) {
+    const { error: createError } = await supabase.storage.createBucket(bucket, { public: false });
+    if (createError && !lower(createError.message).includes('already exists')) throw createError;
+    ({ error } = await upload());
+  }
+  if (error) throw new Error(error.message || 'Failed to upload attachment');
+
+  return { bucket, path };
+}
+
+/** Storage objects behind the given messages (or the whole conversation when messageIds is omitted) */
+export async function collectAttachmentObjects({ proposalId, messageIds = null }) {
+  let query = supabase
+    .from('proposal_message_attachments')
+    .select('storage_bucket, storage_path')
+    .eq('proposal_id', proposalId);
+  if (Array.isArray(messageIds)) {
+    if (!messageIds.length) return [];
+    query = query.in('message_id', messageIds);
+  }
+
+  const { data, error } = await query;
+  // Migration not applied yet: nothing to clean up
+  if (error) return [];
+  return data || [];
+}
+
+/** Best effort: a leftover object is harmless, a failed chat delete is not */
+export async function removeAttachmentObjects(objects = []) {
+  const byBucket = new Map();
+  (objects || []).forEach((object) => {
+    if (!object?.storage_bucket || !object?.storage_path) return;
+    const list = byBucket.get(object.storage_bucket) || [];
+    list.push(object.storage_path);
+    byBucket.set(object.storage_bucket, list);
+  });
+
+  for (const [bucket, paths] of byBucket) {
+    // eslint-disable-next-line no-await-in-loop
+    const { error } = await supabase.storage.from(bucket).remove(paths);
+    if (error) console.warn('⚠️ Failed to remove chat attachments:', error.message || error);
+  }
+}
+
+/** Attachments per message id with signed URLs: Map(message_id -> []) */
+export async function loadAttachments(messageIds = []) {
+  const ids = Array.from(new Set((messageIds || []).map((id) => text(id)).filter(Boolean)));
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('proposal_message_attachments')
+    .select('*')
+    .in('message_id', ids)
+    .order('created_at', { ascending: true });
+  // Migration not applied yet: behave as if there are no attachments
+  if (error) return new Map();
+
+  const expiresAt = new Date(Date.now() + SIGNED_URL_SECONDS * 1000).toISOString();
+  const rows = await Promise.all(
+    (data || []).map(async (row) => {
+      const { data: signed } = await supabase.storage
+        .from(row.storage_bucket)
+        .createSignedUrl(row.storage_path, SIGNED_URL_SECONDS);
+      return {
+        id: row.id,
+        message_id: row.message_id,
+        file_name: row.file_name,
+        content_type: row.content_type,
+        size_bytes: row.size_bytes,
+        is_image: PREVIEW_TYPES.has(row.content_type),
+        url: signed?.signedUrl || null,
+        url_expires_at: expiresAt,
+        created_at: row.created_at,
+      };
+    })
+  );
+
+  const map = new Map();
+  rows.forEach((row) => {
+    const key = String(row.message_id);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+  });
+  return map;
+}
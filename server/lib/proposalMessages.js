@@ -0,0 +1,497 @@
+import { supabase } from './supabaseClient.js';
+import {
+  collectAttachmentObjects,
+  loadAttachments,
+  removeAttachmentObjects,
+  uploadAttachmentObject,
+  validateAttachmentUpload,
+} from './proposalMessageAttachments.js';
+import { createProposalOffer, loadOffers, presentOffer, respondToProposalOffer } from './proposalOffers.js';
+import { escapeLike, httpError, lower, rpcErrorMapper } from './libUtils.js';
+
+// Proposal chat storage (migration 20261108). Message text is stored as typed; edits live in edited_at and
+// delivery/read state in proposal_message_receipts, one row per message per participant side (BUYER / VENDOR).
+// Files (ATTACHMENT) and revised offers (OFFER, migration 20261109) are ordinary messages whose payload sits in
+// proposal_message_attachments / proposal_offers and is inlined on read.
+// Access checks stay with the callers (Express route and Netlify function); everything here assumes the actor
+// already belongs to the conversation in the given role.
+
+export const MESSAGE_MAX_LENGTH = 4000;
+export const MESSAGE_PAGE_SIZE = 50;
+export const MESSAGE_PAGE_MAX = 100;
+export const SEARCH_MIN_LENGTH = 2;
+
+const SEARCH_LIMIT = 30;
+const MAX_CONVERSATIONS = 500;
+const METADATA_MAX_BYTES = 2000;
+const SNIPPET_RADIUS = 60;
+
+const MESSAGE_RPC_ERRORS = {
+  INVALID_ROLE: { status: 400, error: 'Invalid messaging role' },
+};
+
+const rpcError = rpcErrorMapper(MESSAGE_RPC_ERRORS);
+
+const toRole = (value) => (String(value || '').trim().toUpperCase() === 'VENDOR' ? 'VENDOR' : 'BUYER');
+
+const otherRole = (role) => (toRole(role) === 'VENDOR' ? 'BUYER' : 'VENDOR');
+
+const uniqueIds = (values = []) =>
+  Array.from(new Set((values || []).map((value) => String(value || '').trim()).filter(Boolean)));
+
+export const sanitizeMessageText = (value) =>
+  String(value || '')
+    .replace(/\r\n/g, '\n')
+    .trim();
+
+// Throws 400 for empty / oversized text so both transports answer the same way.
+const requireMessageText = (value) => {
+  const text = sanitizeMessageText(value);
+  if (!text) throw httpError(400, 'Message is required');
+  if (text.length > MESSAGE_MAX_LENGTH) throw httpError(400, 'Message is too long');
+  return text;
+};
+
+// Client metadata must be a small plain object; the server never reads it back for access decisions.
+const sanitizeMetadata = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  const json = JSON.stringify(value);
+  if (json.length > METADATA_MAX_BYTES) throw httpError(400, 'Message metadata is too large');
+  return JSON.parse(json);
+};
+
+const clampLimit = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return MESSAGE_PAGE_SIZE;
+  return Math.min(Math.floor(n), MESSAGE_PAGE_MAX);
+};
+
+// Cursor = base64url("<created_at>|<id>") of the oldest message already on screen.
+const encodeCursor = (row) =>
+  row?.id && row?.created_at ? Buffer.from(`${row.created_at}|${row.id}`).toString('base64url') : null;
+
+const decodeCursor = (value) => {
+  if (!value) return null;
+  const [createdAt, id] = Buffer.from(String(value), 'base64url').toString('utf8').split('|');
+  // Both parts end up inside a PostgREST or() filter, so only timestamp / uuid characters are accepted.
+  if (
+    !/^[0-9a-f-]{36}$/i.test(id || '') ||
+    !/^[0-9T:.+\- Z]+$/.test(createdAt || '') ||
+    Number.isNaN(new Date(createdAt).getTime())
+  ) {
+    throw httpError(400, 'Invalid cursor');
+  }
+  return { createdAt, id };
+};
+
+const loadReceipts = async (messageIds = []) => {
+  const ids = uniqueIds(messageIds);
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('proposal_message_receipts')
+    .select('message_id, participant_role, delivered_at, read_at')
+    .in('message_id', ids);
+  if (error) throw new Error(error.message || 'Failed to load message receipts');
+
+  const map = new Map();
+  (data || []).forEach((receipt) => {
+    const key = String(receipt.message_id);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(receipt);
+  });
+  return map;
+};
+
+/**
+ * Shape one stored row for the given viewer. Ticks reflect the other side's receipt; messages the viewer
+ * received are always 'received'.
+ */
+export const normalizeMessage = (row = {}, receipts = [], { actorUserId = null, role = 'BUYER' } = {}) => {
+  const senderId = String(row?.sender_id || '').trim();
+  const isMe = row?.sender_role
+    ? toRole(row.sender_role) === toRole(role) && (!actorUserId || !senderId || senderId === String(actorUserId))
+    : Boolean(actorUserId) && senderId === String(actorUserId);
+
+  const recipientReceipt = (receipts || []).find((receipt) => receipt.participant_role === otherRole(role)) || null;
+  const deliveredAt = recipientReceipt?.delivered_at || recipientReceipt?.read_at || null;
+  const readAt = recipientReceipt?.read_at || null;
+
+  let deliveryState = 'sent';
+  if (readAt) deliveryState = 'read';
+  else if (deliveredAt) deliveryState = 'delivered';
+
+  return {
+    ...row,
+    message_type: row?.message_type || 'TEXT',
+    metadata: row?.metadata || {},
+    attachments: row?.attachments || [],
+    offer: row?.offer || null,
+    is_edited: Boolean(row?.edited_at),
+    is_me: isMe,
+    delivered_at: deliveredAt,
+    read_at: readAt,
+    delivery_state: isMe ? deliveryState : 'received',
+    receipts: (receipts || []).map((receipt) => ({
+      participant_role: receipt.participant_role,
+      delivered_at: receipt.delivered_at || null,
+      read_at: receipt.read_at || null,
+    })),
+  };
+};
+
+const normalizeRows = async (rows = [], viewer) => {
+  const ids = (rows || []).map((row) => row.id);
+  const typedIds = (type) => (rows || []).filter((row) => row.message_type === type).map((row) => row.id);
+  const [receiptMap, attachmentMap, offerMap] = await Promise.all([
+    loadReceipts(ids),
+    loadAttachments(typedIds('ATTACHMENT')),
+    loadOffers(typedIds('OFFER')),
+  ]);
+
+  return (rows || []).map((row) => {
+    const key = String(row.id);
+    return normalizeMessage(
+      { ...row, attachments: attachmentMap.get(key) || [], offer: presentOffer(offerMap.get(key), viewer?.role) },
+      receiptMap.get(key) || [],
+      viewer
+    );
+  });
+};
+
+const loadMessageRow = async (proposalId, messageId) => {
+  const { data, error } = await supabase
+    .from('proposal_messages')
+    .select('*')
+    .eq('id', messageId)
+    .eq('proposal_id', proposalId)
+    .maybeSingle();
+  if (error) throw new Error(error.message || 'Failed to load message');
+  if (!data) throw httpError(404, 'Message not found');
+  return data;
+};
+
+/** Stamp delivered (and optionally read) receipts for everything the other side sent in these conversations. */
+export async function markProposalMessages({ proposalIds = [], role, actorUserId = null, read = false }) {
+  const ids = uniqueIds(proposalIds);
+  if (!ids.length) return 0;
+
+  const { data, error } = await supabase.rpc('mark_proposal_messages', {
+    p_proposal_ids: ids,
+    p_role: toRole(role),
+    p_user_id: actorUserId || null,
+    p_read: Boolean(read),
+  });
+  if (error) throw rpcError(error);
+  return Number(data || 0);
+}
+
+/**
+ * One page of a conversation, oldest first. Without `before` this is the latest page and also marks the
+ * conversation read for the viewer; `next_cursor` fetches the page before it.
+ */
+export async function listProposalMessages({ proposalId, actorUserId = null, role, before = null, limit, markRead = true }) {
+  const cursor = decodeCursor(before);
+  const pageSize = clampLimit(limit);
+
+  if (markRead && !cursor) {
+    await markProposalMessages({ proposalIds: [proposalId], role, actorUserId, read: true });
+  }
+
+  let query = supabase
+    .from('proposal_messages')
+    .select('*')
+    .eq('proposal_id', proposalId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (cursor) {
+    query = query.or(
+      `created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`
+    );
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message || 'Failed to load messages');
+
+  const rows = data || [];
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize).reverse();
+
+  return {
+    messages: await normalizeRows(page, { actorUserId, role }),
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(page[0]) : null,
+  };
+}
+
+export async function sendProposalMessage({ proposalId, actorUserId, role, message, metadata }) {
+  const text = requireMessageText(message);
+
+  const { data, error } = await supabase
+    .from('proposal_messages')
+    .insert([
+      {
+        proposal_id: proposalId,
+        sender_id: actorUserId,
+        sender_role: toRole(role),
+        message: text,
+        metadata: sanitizeMetadata(metadata),
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw new Error(error.message || 'Failed to send message');
+  return normalizeMessage(data || {}, [], { actorUserId, role });
+}
+
+/**
+ * Upload one file and post it as an ATTACHMENT message. The optional caption becomes the message text;
+ * without one the file name is stored so the file still shows up in search.
+ */
+export async function sendAttachmentMessage({ proposalId, actorUserId, role, file, message }) {
+  const caption = sanitizeMessageText(message);
+  if (caption.length > MESSAGE_MAX_LENGTH) throw httpError(400, 'Message is too long');
+  const upload = validateAttachmentUpload(file);
+  const stored = await uploadAttachmentObject(proposalId, upload);
+
+  const { data: row, error } = await supabase
+    .from('proposal_messages')
+    .insert([
+      {
+        proposal_id: proposalId,
+        sender_id: actorUserId,
+        sender_role: toRole(role),
+        message: caption || upload.fileName,
+        message_type: 'ATTACHMENT',
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select('*')
+    .maybeSingle();
+
+  if (error || !row) {
+    await removeAttachmentObjects([{ storage_bucket: stored.bucket, storage_path: stored.path }]);
+    throw new Error(error?.message || 'Failed to send attachment');
+  }
+
+  const { error: attachmentError } = await supabase.from('proposal_message_attachments').insert([
+    {
+      proposal_id: proposalId,
+      message_id: row.id,
+      file_name: upload.fileName,
+      content_type: upload.contentType,
+      size_bytes: upload.buffer.length,
+      storage_bucket: stored.bucket,
+      storage_path: stored.path,
+      uploaded_by: actorUserId,
+    },
+  ]);
+
+  if (attachmentError) {
+    await supabase.from('proposal_messages').delete().eq('id', row.id);
+    await removeAttachmentObjects([{ storage_bucket: stored.bucket, storage_path: stored.path }]);
+    throw new Error(attachmentError.message || 'Failed to save attachment');
+  }
+
+  const [normalized] = await normalizeRows([row], { actorUserId, role });
+  return normalized;
+}
+
+/** Post a revised offer card; `recipientUserId` is notified. */
+export async function sendOfferMessage({ proposalId, actorUserId, role, offer, recipientUserId = null }) {
+  const messageId = await createProposalOffer({ proposalId, actorUserId, role, input: offer, recipientUserId });
+  const [normalized] = await normalizeRows([await loadMessageRow(proposalId, messageId)], { actorUserId, role });
+  return normalized;
+}
+
+/** Accept or decline an offer from the other side; returns the offer message with its new status. */
+export async function respondToOffer({ proposalId, offerId, actorUserId, role, accept, note }) {
+  const offer = await respondToProposalOffer({ proposalId, offerId, role, actorUserId, accept, note });
+  const [normalized] = await normalizeRows([await loadMessageRow(proposalId, offer.message_id)], {
+    actorUserId,
+    role,
+  });
+  return normalized;
+}
+
+/** Only the sender can edit; receipts are kept so the ticks do not reset. */
+export async function editProposalMessage({ proposalId, messageId, actorUserId, role, message }) {
+  const text = requireMessageText(message);
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('proposal_messages')
+    .update({ message: text, edited_at: nowIso, updated_at: nowIso })
+    .eq('id', messageId)
+    .eq('proposal_id', proposalId)
+    .eq('sender_id', actorUserId)
+    // An offer's text mirrors its terms; a new offer replaces it instead
+    .neq('message_type', 'OFFER')
+    .select('*')
+    .maybeSingle();
+
+  if (error) throw new Error(error.message || 'Failed to edit message');
+  if (!data) throw httpError(404, 'Message not found');
+
+  const [normalized] = await normalizeRows([data], { actorUserId, role });
+  return normalized;
+}
+
+/**
+ * Delete one of the actor's messages, or the whole conversation when messageId is omitted.
+ * Attachment files are removed from storage once their rows are gone. Returns the deleted ids.
+ */
+export async function deleteProposalMessages({ proposalId, messageId = null, actorUserId = null }) {
+  const objects = await collectAttachmentObjects({ proposalId, messageIds: messageId ? [messageId] : null });
+
+  let query = supabase.from('proposal_messages').delete().eq('proposal_id', proposalId);
+  if (messageId) query = query.eq('id', messageId).eq('sender_id', actorUserId);
+
+  const { data, error } = await query.select('id');
+  if (error) throw new Error(error.message || 'Failed to delete messages');
+
+  const deletedIds = (data || []).map((row) => row.id);
+  if (deletedIds.length && objects.length) await removeAttachmentObjects(objects);
+  return deletedIds;
+}
+
+/**
+ * Every conversation the actor takes part in, with the side they speak for. A user who is both buyer and
+ * vendor on the same proposal is counted as the vendor.
+ */
+export async function listActorConversations({ buyer = null, vendor = null, email = '' } = {}) {
+  const conversations = new Map();
+  const add = (rows, role) => {
+    (rows || []).forEach((row) => {
+      const key = String(row?.id || '').trim();
+      if (!key || (conversations.has(key) && role === 'BUYER')) return;
+      conversations.set(key, {
+        proposal_id: key,
+        role,
+        title: row?.title || row?.product_name || null,
+        rfq_id: row?.rfq_id || null,
+      });
+    });
+  };
+
+  const select = 'id, title, product_name, rfq_id';
+  const buyerEmail = lower(buyer?.email || email);
+  const lookups = [];
+
+  if (vendor?.id) {
+    lookups.push(['VENDOR', supabase.from('proposals').select(select).eq('vendor_id', vendor.id)]);
+  }
+  if (buyer?.id) {
+    lookups.push(['BUYER', supabase.from('proposals').select(select).eq('buyer_id', buyer.id)]);
+  }
+  if (buyerEmail) {
+    lookups.push(['BUYER', supabase.from('proposals').select(select).eq('buyer_email', buyerEmail)]);
+  }
+
+  const results = await Promise.all(
+    lookups.map(([, query]) => query.order('created_at', { ascending: false }).limit(MAX_CONVERSATIONS))
+  );
+  results.forEach(({ data, error }, index) => {
+    if (error) throw new Error(error.message || 'Failed to load conversations');
+    add(data, lookups[index][0]);
+  });
+
+  return Array.from(conversations.values());
+}
+
+const idsByRole = (conversations = []) =>
+  conversations.reduce(
+    (acc, conversation) => {
+      acc[conversation.role].push(conversation.proposal_id);
+      return acc;
+    },
+    { BUYER: [], VENDOR: [] }
+  );
+
+/** Unread count and latest message time per conversation for the actor. */
+export async function getUnreadCounts({ buyer, vendor, email, actorUserId = null, proposalIds = [] }) {
+  let conversations = await listActorConversations({ buyer, vendor, email });
+  const wanted = new Set(uniqueIds(proposalIds));
+  if (wanted.size) conversations = conversations.filter((conversation) => wanted.has(conversation.proposal_id));
+
+  const grouped = idsByRole(conversations);
+  const rows = [];
+
+  for (const role of ['BUYER', 'VENDOR']) {
+    if (!grouped[role].length) continue;
+    const { data, error } = await supabase.rpc('proposal_message_unread_counts', {
+      p_proposal_ids: grouped[role],
+      p_role: role,
+      p_user_id: actorUserId || null,
+    });
+    if (error) throw rpcError(error);
+    (data || []).forEach((row) => rows.push({ ...row, role }));
+  }
+
+  const unread = rows.map((row) => ({
+    proposal_id: row.proposal_id,
+    role: row.role,
+    unread_count: Number(row.unread_count || 0),
+    last_message_at: row.last_message_at || null,
+  }));
+
+  return {
+    conversations: unread,
+    total_unread: unread.reduce((sum, row) => sum + row.unread_count, 0),
+  };
+}
+
+const buildSnippet = (text, query) => {
+  const source = String(text || '');
+  const index = source.toLowerCase().indexOf(String(query).toLowerCase());
+  if (index < 0) return source.slice(0, SNIPPET_RADIUS * 2);
+  const start = Math.max(0, index - SNIPPET_RADIUS);
+  const end = Math.min(source.length, index + query.length + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+};
+
+/** Case-insensitive search over message text across all of the actor's conversations, newest first. */
+export async function searchProposalMessages({ buyer, vendor, email, actorUserId = null, q, limit }) {
+  const query = sanitizeMessageText(q).replace(/\s+/g, ' ');
+  if (query.length < SEARCH_MIN_LENGTH) {
+    throw httpError(400, `Search needs at least ${SEARCH_MIN_LENGTH} characters`);
+  }
+
+  const conversations = await listActorConversations({ buyer, vendor, email });
+  if (!conversations.length) return { query, results: [] };
+
+  const conversationMap = new Map(conversations.map((conversation) => [conversation.proposal_id, conversation]));
+  const max = Math.min(clampLimit(limit || SEARCH_LIMIT), SEARCH_LIMIT);
+
+  const { data, error } = await supabase
+    .from('proposal_messages')
+    .select('id, proposal_id, sender_id, sender_role, message, created_at, edited_at')
+    .in('proposal_id', Array.from(conversationMap.keys()))
+    .ilike('message', `%${escapeLike(query)}%`)
+    .order('created_at', { ascending: false })
+    .limit(max);
+
+  if (error) throw new Error(error.message || 'Failed to search messages');
+
+  const results = (data || []).map((row) => {
+    const conversation = conversationMap.get(String(row.proposal_id)) || {};
+    const normalized = normalizeMessage(row, [], { actorUserId, role: conversation.role });
+    return {
+      id: row.id,
+      proposal_id: row.proposal_id,
+      proposal_title: conversation.title || null,
+      role: conversation.role || null,
+      sender_id: row.sender_id,
+      is_me: normalized.is_me,
+      is_edited: normalized.is_edited,
+      created_at: row.created_at,
+      snippet: buildSnippet(row.message, query),
+    };
+  });
+
+  return { query, results };
+}
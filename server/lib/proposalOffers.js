@@ -0,0 +1,224 @@
+import { supabase } from './supabaseClient.js';
+import { notifyUser } from './notify.js';
+import {
+  buildProposalHeader,
+  computeQuotationTotals,
+  loadProposalLineItems,
+  normalizeLineItems,
+} from './quotationItems.js';
+import { httpError, rpcErrorMapper, textOrNull } from './libUtils.js';
+
+// Revised offers posted in proposal chat (migration 20261109). An offer carries a full set of priced lines
+// plus delivery/payment terms; accepting it swaps them into the proposal through respond_proposal_offer(),
+// the same way PUT /:proposalId/items does. Only one offer per proposal is open at a time.
+
+export const OFFER_VALIDITY_DEFAULT_DAYS = 7;
+export const OFFER_VALIDITY_MAX_DAYS = 90;
+
+const NOTE_MAX_LENGTH = 1000;
+
+const OFFER_RPC_ERRORS = {
+  INVALID_ROLE: { status: 400, error: 'Invalid messaging role' },
+  PROPOSAL_NOT_FOUND: { status: 404, error: 'Proposal not found' },
+  PROPOSAL_CLOSED: { status: 409, error: 'This proposal is closed and can no longer be renegotiated' },
+  OFFER_NOT_FOUND: { status: 404, error: 'Offer not found' },
+  OWN_OFFER: { status: 403, error: 'You cannot respond to your own offer' },
+  OFFER_CLOSED: { status: 409, error: 'This offer has already been answered or replaced' },
+  OFFER_EXPIRED: { status: 409, error: 'This offer has expired' },
+  LINE_ITEMS_REQUIRED: { status: 400, error: 'At least one line item is required' },
+};
+
+const rpcError = rpcErrorMapper(OFFER_RPC_ERRORS);
+
+const toRole = (value) => (String(value || '').trim().toUpperCase() === 'VENDOR' ? 'VENDOR' : 'BUYER');
+
+const formatInr = (value) =>
+  `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const validityDays = (value) => {
+  if (value === null || value === undefined || value === '') return OFFER_VALIDITY_DEFAULT_DAYS;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 1 || n > OFFER_VALIDITY_MAX_DAYS) {
+    throw httpError(400, `Offer validity must be between 1 and ${OFFER_VALIDITY_MAX_DAYS} days`);
+  }
+  return Math.round(n);
+};
+
+/**
+ * Lines for an offer. `items` replaces every line; the quantity/unit_price shortcut revises a
+ * single-line proposal (or prices one built from the proposal title when it has no lines yet).
+ */
+async function resolveOfferLines(proposal, raw = {}) {
+  if (Array.isArray(raw?.items)) return normalizeLineItems(raw.items, { requirePrice: true });
+
+  const current = await loadProposalLineItems(proposal.id);
+  if (current.length > 1) {
+    throw httpError(400, 'This proposal has several line items; send the revised items instead');
+  }
+
+  const base = current[0] || {
+    product_name: proposal.product_name || proposal.title || 'Item',
+    unit: proposal.unit || null,
+    gst_rate: 0,
+    discount_percent: 0,
+  };
+
+  return normalizeLineItems(
+    [
+      {
+        product_id: base.product_id,
+        product_name: base.product_name,
+        description: base.description,
+        hsn_code: base.hsn_code,
+        unit: raw?.unit ?? base.unit,
+        gst_rate: raw?.gst_rate ?? base.gst_rate,
+        discount_percent: raw?.discount_percent ?? base.discount_percent,
+        quantity: raw?.quantity ?? base.quantity,
+        unit_price: raw?.unit_price,
+      },
+    ],
+    { requirePrice: true }
+  );
+}
+
+/** Short human-readable line that becomes the chat message text of the offer */
+export function describeOffer(offer = {}) {
+  const parts = [];
+  if (offer.quantity) parts.push(`${offer.quantity}${offer.unit ? ` ${offer.unit}` : ''}`);
+  if (offer.totals?.grand_total !== null && offer.totals?.grand_total !== undefined) {
+    parts.push(`${formatInr(offer.totals.grand_total)} total`);
+  }
+  if (offer.delivery_days) parts.push(`delivery in ${offer.delivery_days} day${offer.delivery_days === 1 ? '' : 's'}`);
+  if (offer.payment_terms) parts.push(offer.payment_terms);
+  return `Revised offer: ${parts.join(' · ') || 'updated terms'}`;
+}
+
+/** Validate an offer body against the proposal it revises; returns the payload create_proposal_offer() stores */
+export async function buildOfferPayload(proposal, raw = {}) {
+  const lines = await resolveOfferLines(proposal, raw);
+  const totals = computeQuotationTotals(lines);
+  const header = buildProposalHeader(totals, {
+    delivery_days: raw?.delivery_days,
+    payment_terms: raw?.payment_terms,
+  });
+  const days = validityDays(raw?.validity_days);
+
+  return {
+    items: totals.items,
+    totals: {
+      subtotal: totals.subtotal,
+      discount_total: totals.discount_total,
+      tax_total: totals.tax_total,
+      grand_total: totals.grand_total,
+    },
+    quantity: header.quantity,
+    unit: header.unit,
+    delivery_days: header.delivery_days,
+    payment_terms: header.payment_terms,
+    note: textOrNull(raw?.note, NOTE_MAX_LENGTH),
+    valid_until: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+/**
+ * Post an offer as a chat message. Returns the new message id; the previous open offer on the
+ * proposal is marked SUPERSEDED in the same transaction.
+ */
+export async function createProposalOffer({ proposalId, actorUserId, role, input = {}, recipientUserId = null }) {
+  const { data: proposal, error: proposalError } = await supabase
+    .from('proposals')
+    .select('id, title, product_name, unit')
+    .eq('id', proposalId)
+    .maybeSingle();
+  if (proposalError) throw new Error(proposalError.message || 'Failed to load proposal');
+  if (!proposal) throw httpError(404, 'Proposal not found');
+
+  const offer = await buildOfferPayload(proposal, input);
+  const { data: messageId, error } = await supabase.rpc('create_proposal_offer', {
+    p_proposal_id: proposalId,
+    p_sender_id: actorUserId,
+    p_role: toRole(role),
+    p_message: describeOffer(offer),
+    p_offer: offer,
+  });
+  if (error) throw rpcError(error);
+
+  const senderIsVendor = toRole(role) === 'VENDOR';
+  await notifyUser({
+    user_id: recipientUserId,
+    type: 'PROPOSAL_OFFER',
+    title: 'New offer in your conversation',
+    message: `${senderIsVendor ? 'The supplier' : 'The buyer'} sent a revised offer for "${proposal.title || proposal.product_name || 'your proposal'}". ${describeOffer(offer)}`,
+    link: senderIsVendor ? '/buyer/messages' : '/vendor/messages',
+  });
+
+  return messageId;
+}
+
+/** Accept or decline the other side's open offer; returns the updated offer row */
+export async function respondToProposalOffer({ proposalId, offerId, role, actorUserId = null, accept, note = null }) {
+  const { data: existing, error: loadError } = await supabase
+    .from('proposal_offers')
+    .select('id, proposal_id')
+    .eq('id', offerId)
+    .maybeSingle();
+  if (loadError) throw new Error(loadError.message || 'Failed to load offer');
+  if (!existing || String(existing.proposal_id) !== String(proposalId)) throw httpError(404, 'Offer not found');
+
+  const { data: offer, error } = await supabase.rpc('respond_proposal_offer', {
+    p_offer_id: offerId,
+    p_role: toRole(role),
+    p_user_id: actorUserId || null,
+    p_accept: Boolean(accept),
+    p_note: textOrNull(note, NOTE_MAX_LENGTH),
+  });
+  if (error) throw rpcError(error);
+
+  const creatorIsVendor = offer?.created_by_role === 'VENDOR';
+  await notifyUser({
+    user_id: offer?.created_by,
+    type: accept ? 'PROPOSAL_OFFER_ACCEPTED' : 'PROPOSAL_OFFER_DECLINED',
+    title: accept ? 'Your offer was accepted' : 'Your offer was declined',
+    message: accept
+      ? `${creatorIsVendor ? 'The buyer' : 'The supplier'} accepted your revised offer. The proposal now reflects the new terms.`
+      : `${creatorIsVendor ? 'The buyer' : 'The supplier'} declined your revised offer.${offer?.response_note ? ` Note: ${offer.response_note}` : ''}`,
+    link: creatorIsVendor ? '/vendor/messages' : '/buyer/messages',
+  });
+
+  return offer;
+}
+
+/** Offers per message id: Map(message_id -> offer) */
+export async function loadOffers(messageIds = []) {
+  const ids = Array.from(new Set((messageIds || []).map((id) => String(id || '').trim()).filter(Boolean)));
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase.from('proposal_offers').select('*').in('message_id', ids);
+  // Migration not applied yet: plain messages only
+  if (error) return new Map();
+
+  return new Map((data || []).map((offer) => [String(offer.message_id), offer]));
+}
+
+/** Offer as seen by one side: expiry and whether this viewer may accept/decline it */
+export function presentOffer(offer, role) {
+  if (!offer) return null;
+  const isExpired = offer.status === 'OPEN' && Boolean(offer.valid_until) && new Date(offer.valid_until) < new Date();
+  return {
+    id: offer.id,
+    status: isExpired ? 'EXPIRED' : offer.status,
+    created_by_role: offer.created_by_role,
+    items: offer.items || [],
+    totals: offer.totals || {},
+    quantity: offer.quantity,
+    unit: offer.unit,
+    grand_total: offer.grand_total === null || offer.grand_total === undefined ? null : Number(offer.grand_total),
+    delivery_days: offer.delivery_days,
+    payment_terms: offer.payment_terms,
+    note: offer.note,
+    valid_until: offer.valid_until,
+    responded_at: offer.responded_at,
+    response_note: offer.response_note,
+    can_respond: offer.status === 'OPEN' && !isExpired && offer.created_by_role !== toRole(role),
+  };
+}
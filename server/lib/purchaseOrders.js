@@ -0,0 +1,373 @@
+import { supabase } from './supabaseClient.js';
+import { notifyUser } from './notify.js';
+import { writeAuditLog } from './audit.js';
+import { generatePurchaseOrderPDF } from './invoiceGenerator.js';
+import { computeQuotationTotals, legacyLineItem, loadProposalLineItems } from './quotationItems.js';
+import { isValidGstin, normalizeGstin, stateCodeFor, stateNameFor } from './gst.js';
+import { buyerScope, httpError, lower, numberOrNull, rpcErrorMapper, textOrNull } from './libUtils.js';
+
+// Purchase orders from accepted quotations (migration 20261107). The PO snapshots the quotation at issue
+// time; numbers come from issue_purchase_order and status changes go through advance_purchase_order.
+
+export const PURCHASE_ORDER_STATUSES = ['ISSUED', 'CONFIRMED', 'DISPATCHED', 'DELIVERED', 'DISPUTED', 'CANCELLED'];
+
+const PO_RPC_ERRORS = {
+  QUOTATION_NOT_FOUND: { status: 404, error: 'Quotation not found' },
+  QUOTATION_NOT_ACCEPTED: { status: 409, error: 'Only accepted quotations can be turned into a purchase order' },
+  PURCHASE_ORDER_EXISTS: { status: 409, error: 'A purchase order already exists for this quotation' },
+  PURCHASE_ORDER_NOT_FOUND: { status: 404, error: 'Purchase order not found' },
+  INVALID_TRANSITION: { status: 409, error: 'The order cannot move to that status from its current one' },
+  DOCKET_REQUIRED: { status: 400, error: 'Docket number is required to mark the order dispatched' },
+  REASON_REQUIRED: { status: 400, error: 'Please describe the problem to raise a dispute' },
+};
+
+// Which side moves the order into each status (the RPC enforces the order of steps)
+const STATUS_ACTORS = {
+  CONFIRMED: 'VENDOR',
+  DISPATCHED: 'VENDOR',
+  DELIVERED: 'BUYER',
+  DISPUTED: 'BUYER',
+  CANCELLED: 'BUYER',
+};
+
+const NEXT_STATUSES = {
+  ISSUED: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['DISPATCHED'],
+  DISPATCHED: ['DELIVERED', 'DISPUTED'],
+  DELIVERED: ['DISPUTED'],
+  DISPUTED: ['DELIVERED'],
+};
+
+const STATUS_MESSAGES = {
+  CONFIRMED: (po, party) => `${party} acknowledged purchase order ${po.po_number}.`,
+  DISPATCHED: (po, party) =>
+    `${party} dispatched purchase order ${po.po_number}${po.carrier ? ` via ${po.carrier}` : ''} (docket ${po.docket_number}).`,
+  DELIVERED: (po, party) => `${party} marked purchase order ${po.po_number} as delivered.`,
+  DISPUTED: (po, party) => `${party} raised a dispute on purchase order ${po.po_number}: ${po.dispute_reason}`,
+  CANCELLED: (po, party) => `${party} cancelled purchase order ${po.po_number}.`,
+};
+
+// Everything except the cached PDF (a data URL) for list/detail responses
+const ORDER_COLUMNS = [
+  'id', 'po_number', 'quotation_id', 'rfq_id', 'buyer_id', 'buyer_email', 'vendor_id', 'status',
+  'buyer', 'vendor', 'billing_address', 'shipping_address', 'items', 'currency',
+  'subtotal', 'discount_total', 'tax_total', 'grand_total', 'payment_terms', 'delivery_terms', 'delivery_days',
+  'expected_delivery_date', 'notes', 'docket_number', 'carrier', 'confirmed_at', 'dispatched_at', 'delivered_at',
+  'disputed_at', 'dispute_reason', 'cancelled_at', 'created_at', 'updated_at',
+].join(', ');
+
+const VENDOR_PROPOSALS_LINK = '/vendor/proposals';
+
+const rpcError = rpcErrorMapper(PO_RPC_ERRORS);
+
+function partyFromProfile(profile = {}, fallbackEmail = '') {
+  const gstin = normalizeGstin(profile.gst_number || profile.gstin);
+  const stateCode = stateCodeFor({ gstin, state: profile.state });
+  return {
+    name: profile.company_name || profile.full_name || profile.owner_name || profile.name || '',
+    address: profile.address || '',
+    city: profile.city || '',
+    state: stateNameFor(stateCode) || profile.state || '',
+    pincode: profile.pincode || '',
+    gstin: isValidGstin(gstin) ? gstin : '',
+    state_code: stateCode,
+    email: profile.email || fallbackEmail || '',
+    phone: profile.phone || '',
+  };
+}
+
+/** Buyer-supplied address merged over the profile default; name, street, city and PIN are required */
+function normalizeAddress(raw, fallback, label) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const pick = (key, max) => textOrNull(source[key], max) ?? textOrNull(fallback?.[key], max);
+  const gstin = normalizeGstin(pick('gstin', 15));
+  const address = {
+    name: pick('name', 200),
+    address: pick('address', 500),
+    city: pick('city', 100),
+    state: pick('state', 100),
+    pincode: pick('pincode', 10),
+    gstin: isValidGstin(gstin) ? gstin : '',
+    email: pick('email', 200),
+    phone: pick('phone', 20),
+  };
+  if (gstin && !address.gstin) throw httpError(400, `${label}: GSTIN is not valid`);
+  if (!address.name || !address.address || !address.city || !address.pincode) {
+    throw httpError(400, `${label}: name, address, city and PIN code are required`);
+  }
+  if (!/^\d{6}$/.test(address.pincode)) throw httpError(400, `${label}: PIN code must be 6 digits`);
+  const stateCode = stateCodeFor({ gstin: address.gstin, state: address.state });
+  return { ...address, state: stateNameFor(stateCode) || address.state || '', state_code: stateCode };
+}
+
+const isBuyerOf = (row, { buyer, email }) => {
+  const buyerEmail = lower(row?.buyer_email);
+  return Boolean(
+    (buyer?.id && String(row?.buyer_id || '') === String(buyer.id)) ||
+    (buyerEmail && (buyerEmail === lower(email) || buyerEmail === lower(buyer?.email)))
+  );
+};
+
+/** BUYER, VENDOR or null for the caller on an order */
+export function purchaseOrderRole(order, { buyer = null, vendor = null, email = '' } = {}) {
+  if (vendor?.id && String(order?.vendor_id || '') === String(vendor.id)) return 'VENDOR';
+  if (isBuyerOf(order, { buyer, email })) return 'BUYER';
+  return null;
+}
+
+const allowedActions = (order, role) =>
+  (NEXT_STATUSES[order?.status] || []).filter((status) => STATUS_ACTORS[status] === role);
+
+async function loadOrder(orderId, columns = ORDER_COLUMNS) {
+  const { data, error } = await supabase.from('purchase_orders').select(columns).eq('id', orderId).maybeSingle();
+  if (error) throw httpError(500, error.message || 'Failed to load purchase order');
+  if (!data) throw httpError(404, 'Purchase order not found');
+  return data;
+}
+
+async function loadEvents(orderId) {
+  const { data, error } = await supabase
+    .from('purchase_order_events')
+    .select('id, status, note, docket_number, carrier, actor_role, created_at')
+    .eq('purchase_order_id', orderId)
+    .order('created_at', { ascending: true });
+  if (error) throw httpError(500, error.message || 'Failed to load order timeline');
+  return data || [];
+}
+
+async function buyerUserId(order) {
+  if (order.buyer_id) {
+    const { data } = await supabase.from('buyers').select('user_id').eq('id', order.buyer_id).maybeSingle();
+    if (data?.user_id) return data.user_id;
+  }
+  if (!order.buyer_email) return null;
+  const { data } = await supabase
+    .from('buyers')
+    .select('user_id')
+    .eq('email', lower(order.buyer_email))
+    .limit(1)
+    .maybeSingle();
+  return data?.user_id || null;
+}
+
+async function vendorUserId(vendorId) {
+  if (!vendorId) return null;
+  const { data } = await supabase.from('vendors').select('user_id').eq('id', vendorId).maybeSingle();
+  return data?.user_id || null;
+}
+
+/** PO lines from the quotation's line items, or one line from the header for older quotations */
+async function quotationLines(quotation) {
+  const items = await loadProposalLineItems(quotation.id);
+  const fields = ({ product_name, description, hsn_code, quantity, unit, unit_price, gst_rate, discount_percent, line_total }) => ({
+    product_name,
+    description: description || null,
+    hsn_code: hsn_code || null,
+    quantity: numberOrNull(quantity),
+    unit: unit || null,
+    unit_price: numberOrNull(unit_price),
+    gst_rate: numberOrNull(gst_rate) ?? 0,
+    discount_percent: numberOrNull(discount_percent) ?? 0,
+    line_total: numberOrNull(line_total),
+  });
+  if (items.length) return { items: items.map(fields), totals: null };
+
+  const totals = computeQuotationTotals([
+    legacyLineItem({
+      title: quotation.title || quotation.product_name || 'Quotation',
+      quantity: quotation.quantity,
+      unit: quotation.unit,
+      amount: quotation.grand_total ?? quotation.quotation_amount ?? quotation.budget,
+    }),
+  ]);
+  return { items: totals.items.map(fields), totals };
+}
+
+/**
+ * Raise a purchase order against an accepted quotation. Addresses default to the buyer profile.
+ * The PDF is rendered once and cached on the order (the snapshot never changes).
+ */
+export async function createPurchaseOrder({
+  buyer,
+  email,
+  quotationId,
+  billingAddress = null,
+  shippingAddress = null,
+  expectedDeliveryDate = null,
+  notes = null,
+  actor = null,
+  req = null,
+}) {
+  buyerScope(buyer, email);
+
+  const { data: quotation, error } = await supabase.from('proposals').select('*').eq('id', quotationId).maybeSingle();
+  if (error) throw httpError(500, error.message || 'Failed to load quotation');
+  if (!quotation || !isBuyerOf(quotation, { buyer, email })) throw httpError(404, 'Quotation not found');
+  if (String(quotation.status || '').toUpperCase() !== 'ACCEPTED') throw httpError(409, PO_RPC_ERRORS.QUOTATION_NOT_ACCEPTED.error);
+
+  const { data: vendor } = quotation.vendor_id
+    ? await supabase.from('vendors').select('*').eq('id', quotation.vendor_id).maybeSingle()
+    : { data: null };
+
+  const buyerParty = partyFromProfile(buyer || {}, email);
+  const billing = normalizeAddress(billingAddress, buyerParty, 'Billing address');
+  const shipping = shippingAddress ? normalizeAddress(shippingAddress, billing, 'Shipping address') : billing;
+
+  let expected = null;
+  if (expectedDeliveryDate) {
+    const date = new Date(expectedDeliveryDate);
+    if (Number.isNaN(date.getTime())) throw httpError(400, 'Expected delivery date is not valid');
+    expected = date.toISOString().slice(0, 10);
+  } else if (quotation.delivery_days) {
+    expected = new Date(Date.now() + Number(quotation.delivery_days) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  const { items, totals } = await quotationLines(quotation);
+  const { data: order, error: rpcErr } = await supabase.rpc('issue_purchase_order', {
+    p_po: {
+      quotation_id: quotation.id,
+      buyer: buyerParty,
+      vendor: partyFromProfile(vendor || {}),
+      billing_address: billing,
+      shipping_address: shipping,
+      items,
+      currency: quotation.currency || 'INR',
+      subtotal: numberOrNull(quotation.subtotal) ?? totals?.subtotal ?? 0,
+      discount_total: numberOrNull(quotation.discount_total) ?? totals?.discount_total ?? 0,
+      tax_total: numberOrNull(quotation.tax_total) ?? totals?.tax_total ?? 0,
+      grand_total: numberOrNull(quotation.grand_total) ?? totals?.grand_total ?? 0,
+      payment_terms: quotation.payment_terms || null,
+      delivery_terms: quotation.delivery_terms || null,
+      delivery_days: quotation.delivery_days || null,
+      expected_delivery_date: expected,
+      notes: textOrNull(notes, 1000),
+      created_by: actor?.id || null,
+    },
+  });
+  if (rpcErr) throw rpcError(rpcErr);
+  const issued = Array.isArray(order) ? order[0] : order;
+
+  const pdf = generatePurchaseOrderPDF(issued);
+  const { error: pdfError } = await supabase.from('purchase_orders').update({ pdf_url: pdf }).eq('id', issued.id);
+  if (pdfError) console.warn('[purchaseOrders] could not cache PDF:', pdfError.message);
+
+  const vendorUser = vendor?.user_id || (await vendorUserId(issued.vendor_id));
+  await notifyUser({
+    user_id: vendorUser,
+    type: 'PURCHASE_ORDER_ISSUED',
+    title: `Purchase order ${issued.po_number}`,
+    message: `${buyerParty.name || 'The buyer'} issued a purchase order for "${quotation.title || 'your quotation'}". Please acknowledge it to confirm the order.`,
+    link: VENDOR_PROPOSALS_LINK,
+  });
+
+  await writeAuditLog({
+    req,
+    actor,
+    action: 'PURCHASE_ORDER_ISSUED',
+    entityType: 'purchase_order',
+    entityId: issued.id,
+    details: { po_number: issued.po_number, quotation_id: quotation.id, vendor_id: issued.vendor_id, grand_total: issued.grand_total },
+  });
+
+  return getPurchaseOrder(issued.id, { buyer, email });
+}
+
+/** Orders for the buyer, or for the vendor when `as` is VENDOR; optionally for one quotation */
+export async function listPurchaseOrders({ buyer = null, vendor = null, email = '', as = 'BUYER', quotationId = null }) {
+  let query = supabase.from('purchase_orders').select(ORDER_COLUMNS).order('created_at', { ascending: false }).limit(200);
+
+  if (String(as).toUpperCase() === 'VENDOR') {
+    if (!vendor?.id) throw httpError(403, 'Vendor access required');
+    query = query.eq('vendor_id', vendor.id);
+  } else {
+    const scope = buyerScope(buyer, email);
+    const filters = [
+      scope.buyerId ? `buyer_id.eq.${scope.buyerId}` : null,
+      scope.email ? `buyer_email.eq.${scope.email}` : null,
+    ].filter(Boolean);
+    query = query.or(filters.join(','));
+  }
+  if (quotationId) query = query.eq('quotation_id', quotationId);
+
+  const { data, error } = await query;
+  if (error) throw httpError(500, error.message || 'Failed to load purchase orders');
+  return data || [];
+}
+
+/** Order + timeline + what the caller can do next */
+export async function getPurchaseOrder(orderId, { buyer = null, vendor = null, email = '' } = {}) {
+  const order = await loadOrder(orderId);
+  const role = purchaseOrderRole(order, { buyer, vendor, email });
+  if (!role) throw httpError(404, 'Purchase order not found');
+  return { order, events: await loadEvents(order.id), role, allowed_actions: allowedActions(order, role) };
+}
+
+/** Cached PDF (data URL); re-rendered from the snapshot when missing or on refresh */
+export async function getPurchaseOrderPdf(orderId, context = {}, { refresh = false } = {}) {
+  const order = await loadOrder(orderId, '*');
+  if (!purchaseOrderRole(order, context)) throw httpError(404, 'Purchase order not found');
+  if (order.pdf_url && !refresh) return { po_number: order.po_number, pdf: order.pdf_url };
+
+  const pdf = generatePurchaseOrderPDF(order);
+  await supabase.from('purchase_orders').update({ pdf_url: pdf }).eq('id', order.id);
+  return { po_number: order.po_number, pdf };
+}
+
+/**
+ * Move an order along its timeline. Vendors acknowledge and dispatch; buyers confirm delivery,
+ * dispute or cancel before acknowledgement. The other party is notified.
+ */
+export async function advancePurchaseOrder({
+  orderId,
+  status,
+  note = null,
+  docketNumber = null,
+  carrier = null,
+  buyer = null,
+  vendor = null,
+  email = '',
+  actor = null,
+  req = null,
+}) {
+  const next = String(status || '').trim().toUpperCase();
+  if (!STATUS_ACTORS[next]) throw httpError(400, `Status must be one of ${Object.keys(STATUS_ACTORS).join(', ')}`);
+
+  const current = await loadOrder(orderId);
+  const role = purchaseOrderRole(current, { buyer, vendor, email });
+  if (!role) throw httpError(404, 'Purchase order not found');
+  if (STATUS_ACTORS[next] !== role) {
+    throw httpError(403, `Only the ${STATUS_ACTORS[next].toLowerCase()} can mark this order ${next.toLowerCase()}`);
+  }
+
+  const { data, error } = await supabase.rpc('advance_purchase_order', {
+    p_order_id: current.id,
+    p_status: next,
+    p_actor_role: role,
+    p_actor_id: actor?.id || null,
+    p_note: textOrNull(note, 1000),
+    p_docket_number: textOrNull(docketNumber, 100),
+    p_carrier: textOrNull(carrier, 100),
+  });
+  if (error) throw rpcError(error);
+  const order = Array.isArray(data) ? data[0] : data;
+
+  const party = role === 'VENDOR' ? current.vendor?.name || 'The supplier' : current.buyer?.name || 'The buyer';
+  await notifyUser({
+    user_id: role === 'VENDOR' ? await buyerUserId(order) : await vendorUserId(order.vendor_id),
+    type: `PURCHASE_ORDER_${next}`,
+    title: `Purchase order ${order.po_number}: ${next.toLowerCase()}`,
+    message: STATUS_MESSAGES[next](order, party),
+    link: role === 'VENDOR' ? `/buyer/proposals/${order.quotation_id}` : VENDOR_PROPOSALS_LINK,
+  });
+
+  await writeAuditLog({
+    req,
+    actor,
+    action: `PURCHASE_ORDER_${next}`,
+    entityType: 'purchase_order',
+    entityId: order.id,
+    details: { po_number: order.po_number, from: current.status, to: next, docket_number: order.docket_number || null },
+  });
+
+  return getPurchaseOrder(order.id, { buyer, vendor, email });
+}
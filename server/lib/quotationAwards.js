@@ -0,0 +1,342 @@
+import { supabase } from './supabaseClient.js';
+import { notifyUser } from './notify.js';
+import { writeAuditLog } from './audit.js';
+import { KYC_VERIFIED, buyerScope, httpError, lower, numberOrNull, parseIds, rpcErrorMapper, upper } from './libUtils.js';
+
+// Side-by-side quotation comparison and awards (migration 20261106). Quotations answering one RFQ
+// (proposals.rfq_id) are compared together; older quotations without an RFQ can be hand-picked.
+// Awarding accepts one quotation and declines the rest in award_quotation(), then notifies every vendor.
+
+export const MAX_COMPARE = 10;
+
+const AWARD_RPC_ERRORS = {
+  QUOTATION_NOT_FOUND: { status: 404, error: 'Quotation not found' },
+  NOT_A_QUOTATION: { status: 400, error: 'Only vendor quotations can be awarded' },
+  ALREADY_AWARDED: { status: 409, error: 'A quotation has already been accepted for this requirement' },
+  QUOTATION_CLOSED: { status: 409, error: 'This quotation was already declined or withdrawn' },
+};
+
+const CLOSED_STATUSES = ['ACCEPTED', 'REJECTED', 'DECLINED', 'CANCELLED', 'WITHDRAWN'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VENDOR_PROPOSALS_LINK = '/vendor/proposals';
+
+const rpcError = rpcErrorMapper(AWARD_RPC_ERRORS);
+
+const isOwnedBy = (row, { buyerId, email }) =>
+  Boolean(
+    (buyerId && String(row?.buyer_id || '') === String(buyerId)) ||
+    (email && lower(row?.buyer_email) === email)
+  );
+
+async function loadVendors(vendorIds) {
+  if (!vendorIds.length) return new Map();
+  let { data, error } = await supabase
+    .from('vendors')
+    .select('id, company_name, owner_name, city, state, seller_rating, review_count, trust_score, kyc_status, verification_badge, is_verified')
+    .in('id', vendorIds);
+  if (error) {
+    // Rating / trust columns come from later migrations
+    ({ data } = await supabase
+      .from('vendors')
+      .select('id, company_name, owner_name, city, state, kyc_status, verification_badge, is_verified')
+      .in('id', vendorIds));
+  }
+  return new Map((data || []).map((v) => [String(v.id), v]));
+}
+
+async function loadLineItems(proposalIds) {
+  if (!proposalIds.length) return new Map();
+  const { data, error } = await supabase
+    .from('proposal_line_items')
+    .select('*')
+    .in('proposal_id', proposalIds)
+    .order('position', { ascending: true });
+  if (error) return new Map();
+  const byProposal = new Map();
+  for (const item of data || []) {
+    const list = byProposal.get(item.proposal_id) || [];
+    list.push(item);
+    byProposal.set(item.proposal_id, list);
+  }
+  return byProposal;
+}
+
+async function loadDecisions({ rfqId, quotationIds }) {
+  let query = supabase.from('quotation_award_decisions').select('*').order('created_at', { ascending: false });
+  query = rfqId ? query.eq('rfq_id', rfqId) : query.in('awarded_quotation_id', quotationIds);
+  const { data, error } = await query;
+  return error ? [] : data || [];
+}
+
+const validUntil = (row) => {
+  if (row.valid_until) return row.valid_until;
+  const days = numberOrNull(row.validity_days);
+  if (!days || !row.created_at) return null;
+  return new Date(new Date(row.created_at).getTime() + days * DAY_MS).toISOString();
+};
+
+function describeQuotation(row, vendor, items, now) {
+  const single = items.length === 1 ? items[0] : null;
+  const grandTotal = numberOrNull(row.grand_total) ?? numberOrNull(row.quotation_amount) ?? numberOrNull(row.budget);
+  const expiresAt = validUntil(row);
+  const kyc = upper(vendor?.kyc_status);
+
+  return {
+    id: row.id,
+    rfq_id: row.rfq_id || null,
+    title: row.title || row.product_name || 'Quotation',
+    status: upper(row.status || 'SENT'),
+    created_at: row.created_at,
+    decided_at: row.decided_at || null,
+    currency: row.currency || 'INR',
+    item_count: items.length || row.line_item_count || 0,
+    quantity: single ? numberOrNull(single.quantity) : null,
+    unit: single?.unit || row.unit || null,
+    unit_price: single ? numberOrNull(single.unit_price) : null,
+    subtotal: numberOrNull(row.subtotal),
+    discount_total: numberOrNull(row.discount_total),
+    tax_total: numberOrNull(row.tax_total),
+    grand_total: grandTotal,
+    // Legacy single-amount quotes carry no GST breakdown
+    gst_included: row.tax_total !== null && row.tax_total !== undefined,
+    delivery_days: numberOrNull(row.delivery_days),
+    delivery_terms: row.delivery_terms || null,
+    payment_terms: row.payment_terms || null,
+    validity_days: numberOrNull(row.validity_days),
+    valid_until: expiresAt,
+    expired: Boolean(expiresAt && new Date(expiresAt).getTime() < now),
+    line_items: items,
+    vendor: {
+      id: row.vendor_id || null,
+      company_name: vendor?.company_name || vendor?.owner_name || 'Vendor',
+      location: [vendor?.city, vendor?.state].filter(Boolean).join(', ') || null,
+      rating: numberOrNull(vendor?.seller_rating),
+      review_count: Number(vendor?.review_count || 0),
+      trust_score: numberOrNull(vendor?.trust_score),
+      kyc_status: kyc || null,
+      kyc_verified: KYC_VERIFIED.includes(kyc) || Boolean(vendor?.is_verified),
+      verification_badge: vendor?.verification_badge || null,
+    },
+  };
+}
+
+const pickBest = (rows, value, direction) => {
+  let best = null;
+  for (const row of rows) {
+    const v = value(row);
+    if (v === null || v === undefined) continue;
+    if (!best || (direction === 'min' ? v < best.v : v > best.v)) best = { id: row.id, v };
+  }
+  return best?.id || null;
+};
+
+// One row per product name across all quotes, with each quotation's unit price / line total
+function buildLineMatrix(quotations) {
+  const rows = new Map();
+  for (const q of quotations) {
+    for (const item of q.line_items) {
+      const key = String(item.product_name || '').trim().toLowerCase();
+      if (!key) continue;
+      const row = rows.get(key) || { product_name: item.product_name, unit: item.unit || null, prices: {} };
+      row.prices[q.id] = {
+        quantity: numberOrNull(item.quantity),
+        unit_price: numberOrNull(item.unit_price),
+        gst_rate: numberOrNull(item.gst_rate),
+        line_total: numberOrNull(item.line_total),
+      };
+      rows.set(key, row);
+    }
+  }
+  return [...rows.values()].map((row) => ({
+    ...row,
+    lowest_quotation_id: pickBest(
+      quotations.filter((q) => row.prices[q.id]),
+      (q) => row.prices[q.id].unit_price,
+      'min'
+    ),
+  }));
+}
+
+/**
+ * Comparison matrix for the buyer: every quotation of an RFQ (rfqId) or a hand-picked set (quotationIds).
+ * Returns { rfq, quotations[], lines[], best{}, decisions[], awarded_quotation_id }.
+ */
+export async function buildQuotationComparison({ buyer, email, rfqId = null, quotationIds = [] }, now = Date.now()) {
+  const scope = buyerScope(buyer, email);
+  let rfq = null;
+  let rows = [];
+
+  if (rfqId) {
+    const { data, error } = await supabase.from('proposals').select('*').eq('id', rfqId).maybeSingle();
+    if (error) throw httpError(500, error.message || 'Failed to load requirement');
+    if (!data || !isOwnedBy(data, scope)) throw httpError(404, 'Requirement not found');
+    rfq = data;
+
+    const { data: quotes, error: quotesError } = await supabase
+      .from('proposals')
+      .select('*')
+      .eq('rfq_id', rfqId)
+      .order('created_at', { ascending: true });
+    if (quotesError) throw httpError(500, quotesError.message || 'Failed to load quotations');
+    rows = quotes || [];
+  } else {
+    const ids = parseIds(quotationIds);
+    if (ids.length < 2) throw httpError(400, 'Pick at least two quotations to compare');
+    if (ids.length > MAX_COMPARE) throw httpError(400, `A maximum of ${MAX_COMPARE} quotations can be compared`);
+
+    const { data, error } = await supabase.from('proposals').select('*').in('id', ids);
+    if (error) throw httpError(500, error.message || 'Failed to load quotations');
+    rows = (data || []).sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+  }
+
+  rows = rows.filter((row) => row.proposal_type !== 'RFQ' && row.vendor_id && isOwnedBy(row, scope));
+  if (!rows.length) throw httpError(404, rfqId ? 'No quotations received for this requirement yet' : 'Quotations not found');
+
+  const ids = rows.map((row) => row.id);
+  const [vendors, items, decisions] = await Promise.all([
+    loadVendors([...new Set(rows.map((row) => String(row.vendor_id)))]),
+    loadLineItems(ids),
+    loadDecisions({ rfqId, quotationIds: ids }),
+  ]);
+
+  const quotations = rows.map((row) =>
+    describeQuotation(row, vendors.get(String(row.vendor_id)), items.get(row.id) || [], now)
+  );
+  const open = quotations.filter((q) => !CLOSED_STATUSES.includes(q.status) && !q.expired);
+
+  return {
+    rfq: rfq
+      ? {
+          id: rfq.id,
+          title: rfq.title || rfq.product_name || 'Requirement',
+          quantity: rfq.quantity || null,
+          budget: numberOrNull(rfq.budget),
+          status: upper(rfq.status || 'SENT'),
+          created_at: rfq.created_at,
+        }
+      : null,
+    quotations,
+    lines: buildLineMatrix(quotations),
+    best: {
+      lowest_total: pickBest(open, (q) => q.grand_total, 'min'),
+      fastest_delivery: pickBest(open, (q) => q.delivery_days, 'min'),
+      longest_validity: pickBest(open, (q) => q.validity_days, 'max'),
+      top_rated: pickBest(open, (q) => q.vendor.rating, 'max'),
+    },
+    decisions,
+    awarded_quotation_id: quotations.find((q) => q.status === 'ACCEPTED')?.id || null,
+  };
+}
+
+// Compact copy of the matrix kept with the decision, so the audit trail shows what the buyer saw
+const snapshotRow = (q) => ({
+  quotation_id: q.id,
+  vendor_id: q.vendor.id,
+  vendor_name: q.vendor.company_name,
+  status: q.status,
+  unit_price: q.unit_price,
+  tax_total: q.tax_total,
+  grand_total: q.grand_total,
+  delivery_days: q.delivery_days,
+  validity_days: q.validity_days,
+  rating: q.vendor.rating,
+  kyc_verified: q.vendor.kyc_verified,
+});
+
+async function vendorUserIds(vendorIds) {
+  if (!vendorIds.length) return new Map();
+  const { data } = await supabase.from('vendors').select('id, user_id').in('id', vendorIds);
+  return new Map((data || []).filter((v) => v.user_id).map((v) => [String(v.id), v.user_id]));
+}
+
+/**
+ * Accept one quotation and decline the other open quotes of the same RFQ (or compareIds for quotes
+ * without an RFQ). Vendors are notified either way and the decision is written to the audit trail.
+ */
+export async function awardQuotation({ buyer, email, quotationId, compareIds = [], reason = null, actor = null, req = null }) {
+  const scope = buyerScope(buyer, email);
+
+  const { data: winner, error } = await supabase.from('proposals').select('*').eq('id', quotationId).maybeSingle();
+  if (error) throw httpError(500, error.message || 'Failed to load quotation');
+  if (!winner || !isOwnedBy(winner, scope)) throw httpError(404, 'Quotation not found');
+
+  const extraIds = parseIds(compareIds).filter((id) => id !== winner.id).slice(0, MAX_COMPARE - 1);
+  let snapshot = [];
+  try {
+    const comparison = winner.rfq_id
+      ? await buildQuotationComparison({ buyer, email, rfqId: winner.rfq_id })
+      : extraIds.length
+        ? await buildQuotationComparison({ buyer, email, quotationIds: [winner.id, ...extraIds] })
+        : null;
+    snapshot = (comparison?.quotations || []).map(snapshotRow);
+  } catch (snapshotError) {
+    console.warn('[quotationAwards] comparison snapshot failed:', snapshotError?.message || snapshotError);
+  }
+
+  const note = String(reason || '').trim().slice(0, 1000) || null;
+  const { data: decision, error: rpcErr } = await supabase.rpc('award_quotation', {
+    p_quotation_id: winner.id,
+    p_compared_ids: extraIds,
+    p_buyer_id: scope.buyerId,
+    p_buyer_email: scope.email || null,
+    p_decided_by: actor?.id || null,
+    p_reason: note,
+    p_comparison: snapshot,
+  });
+  if (rpcErr) throw rpcError(rpcErr);
+
+  const declinedIds = decision?.declined_quotation_ids || [];
+  const { data: declinedRows } = declinedIds.length
+    ? await supabase.from('proposals').select('id, vendor_id, title').in('id', declinedIds)
+    : { data: [] };
+
+  const users = await vendorUserIds(
+    [...new Set([winner.vendor_id, ...(declinedRows || []).map((r) => r.vendor_id)].filter(Boolean).map(String))]
+  );
+  const buyerName = buyer?.company_name || buyer?.full_name || 'The buyer';
+  const title = winner.title || winner.product_name || 'your quotation';
+
+  let notified = 0;
+  const winnerUserId = users.get(String(winner.vendor_id));
+  if (winnerUserId) {
+    await notifyUser({
+      user_id: winnerUserId,
+      type: 'QUOTATION_ACCEPTED',
+      title: 'Your quotation was accepted',
+      message: `${buyerName} accepted your quotation for "${title}". Please reach out to confirm the order details.`,
+      link: VENDOR_PROPOSALS_LINK,
+    });
+    notified += 1;
+  }
+
+  for (const row of declinedRows || []) {
+    const userId = users.get(String(row.vendor_id));
+    if (!userId) continue;
+    // eslint-disable-next-line no-await-in-loop
+    await notifyUser({
+      user_id: userId,
+      type: 'QUOTATION_DECLINED',
+      title: 'Quotation not selected this time',
+      message: `Thank you for quoting on "${row.title || title}". ${buyerName} has gone with another supplier for this requirement. We hope to see your quote on their next one.`,
+      link: VENDOR_PROPOSALS_LINK,
+    });
+    notified += 1;
+  }
+
+  await writeAuditLog({
+    req,
+    actor,
+    action: 'QUOTATION_AWARDED',
+    entityType: 'proposal',
+    entityId: winner.id,
+    details: {
+      decision_id: decision?.id || null,
+      rfq_id: winner.rfq_id || null,
+      vendor_id: winner.vendor_id || null,
+      declined_quotation_ids: declinedIds,
+      reason: note,
+    },
+  });
+
+  return { decision, awarded_quotation_id: winner.id, declined_quotation_ids: declinedIds, notified };
+}
@@ -0,0 +1,225 @@
+import { supabase } from './supabaseClient.js';
+import { httpError, textOrNull } from './libUtils.js';
+
+// GST slabs accepted on a line (percent); mirrors proposal_line_items_gst_rate_check
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+export const QUOTATION_UNITS = ['pieces', 'kg', 'ton', 'litre', 'm', 'sqft', 'box', 'set', 'hour', 'day'];
+export const MAX_LINE_ITEMS = 50;
+
+const HSN_PATTERN = /^\d{4}(\d{2}){0,2}$/;
+
+const numberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(String(value).replace(/[, ]+/g, ''));
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const positiveIntOrNull = (value, max) => {
+  const n = numberOrNull(value);
+  if (n === null || Number.isNaN(n) || n <= 0) return null;
+  return Math.min(Math.round(n), max);
+};
+
+/**
+ * Validate raw line items from a request body.
+ * Quotations need a unit price on every line; RFQs may leave it blank (or send a target price).
+ */
+export function normalizeLineItems(rawItems, { requirePrice = false } = {}) {
+  if (!Array.isArray(rawItems) || rawItems.length === 0) {
+    throw httpError(400, 'At least one line item is required');
+  }
+  if (rawItems.length > MAX_LINE_ITEMS) {
+    throw httpError(400, `A maximum of ${MAX_LINE_ITEMS} line items is allowed`);
+  }
+
+  return rawItems.map((raw, index) => {
+    const label = `Line ${index + 1}`;
+    const productName = textOrNull(raw?.product_name ?? raw?.name, 200);
+    if (!productName) throw httpError(400, `${label}: product name is required`);
+
+    const quantity = numberOrNull(raw?.quantity);
+    if (quantity === null || Number.isNaN(quantity) || quantity <= 0) {
+      throw httpError(400, `${label}: quantity must be greater than 0`);
+    }
+
+    const unitPrice = numberOrNull(raw?.unit_price);
+    if (Number.isNaN(unitPrice) || (unitPrice !== null && unitPrice < 0)) {
+      throw httpError(400, `${label}: unit price must be a positive number`);
+    }
+    if (requirePrice && unitPrice === null) throw httpError(400, `${label}: unit price is required`);
+
+    const gstRate = numberOrNull(raw?.gst_rate) ?? 0;
+    if (!GST_RATES.includes(gstRate)) {
+      throw httpError(400, `${label}: GST rate must be one of ${GST_RATES.join(', ')}`);
+    }
+
+    const discount = numberOrNull(raw?.discount_percent) ?? 0;
+    if (Number.isNaN(discount) || discount < 0 || discount > 100) {
+      throw httpError(400, `${label}: discount must be between 0 and 100`);
+    }
+
+    const hsn = textOrNull(raw?.hsn_code, 8)?.replace(/\s+/g, '') || null;
+    if (hsn && !HSN_PATTERN.test(hsn)) throw httpError(400, `${label}: HSN code must be 4, 6 or 8 digits`);
+
+    const productId = textOrNull(raw?.product_id, 64);
+
+    return {
+      product_id: productId && /^[0-9a-f-]{36}$/i.test(productId) ? productId : null,
+      product_name: productName,
+      description: textOrNull(raw?.description, 1000),
+      hsn_code: hsn,
+      quantity: Math.round(quantity * 1000) / 1000,
+      unit: textOrNull(raw?.unit, 20),
+      unit_price: unitPrice === null ? null : round2(unitPrice),
+      gst_rate: gstRate,
+      discount_percent: round2(discount),
+    };
+  });
+}
+
+/** Line amounts and header totals; lines without a price are left out of the totals */
+export function computeQuotationTotals(items = []) {
+  let subtotal = 0;
+  let discountTotal = 0;
+  let taxTotal = 0;
+  let priced = 0;
+
+  const lines = items.map((item) => {
+    if (item.unit_price === null || item.unit_price === undefined) {
+      return { ...item, taxable_amount: null, tax_amount: null, line_total: null };
+    }
+    const gross = round2(item.quantity * item.unit_price);
+    const discount = round2((gross * (item.discount_percent || 0)) / 100);
+    const taxable = round2(gross - discount);
+    const tax = round2((taxable * (item.gst_rate || 0)) / 100);
+
+    subtotal += gross;
+    discountTotal += discount;
+    taxTotal += tax;
+    priced += 1;
+
+    return { ...item, taxable_amount: taxable, tax_amount: tax, line_total: round2(taxable + tax) };
+  });
+
+  const hasTotals = priced > 0;
+  return {
+    items: lines,
+    subtotal: hasTotals ? round2(subtotal) : null,
+    discount_total: hasTotals ? round2(discountTotal) : null,
+    tax_total: hasTotals ? round2(taxTotal) : null,
+    grand_total: hasTotals ? round2(subtotal - discountTotal + taxTotal) : null,
+  };
+}
+
+/** Single line from the pre-line-item payload (title, quantity, unit, total amount) */
+export function legacyLineItem({ title, quantity, unit, amount } = {}) {
+  const qty = numberOrNull(quantity);
+  const total = numberOrNull(amount);
+  const safeQty = qty && !Number.isNaN(qty) && qty > 0 ? qty : 1;
+  return {
+    product_name: title,
+    quantity: safeQty,
+    unit: unit || null,
+    unit_price: total === null || Number.isNaN(total) ? null : round2(total / safeQty),
+    gst_rate: 0,
+    discount_percent: 0,
+  };
+}
+
+/**
+ * Proposal header columns derived from the items and terms.
+ * `quantity`/`budget` stay filled for list views and older clients.
+ */
+export function buildProposalHeader(totals, terms = {}, { fallbackBudget = null } = {}) {
+  const items = totals?.items || [];
+  const first = items[0] || {};
+  const single = items.length === 1;
+  const validityDays = positiveIntOrNull(terms?.validity_days, 365);
+
+  return {
+    unit: single ? first.unit || null : null,
+    quantity: single ? String(first.quantity) : `${items.length} items`,
+    budget: totals?.grand_total ?? fallbackBudget,
+    validity_days: validityDays,
+    valid_until: validityDays ? new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    delivery_days: positiveIntOrNull(terms?.delivery_days, 365),
+    delivery_terms: textOrNull(terms?.delivery_terms, 500),
+    payment_terms: textOrNull(terms?.payment_terms, 500),
+  };
+}
+
+/** Replace a proposal's items and totals in one transaction */
+export async function saveProposalLineItems(proposalId, totals) {
+  const { data, error } = await supabase.rpc('replace_proposal_line_items', {
+    p_proposal_id: proposalId,
+    p_items: totals.items,
+    p_totals: {
+      subtotal: totals.subtotal,
+      discount_total: totals.discount_total,
+      tax_total: totals.tax_total,
+      grand_total: totals.grand_total,
+    },
+  });
+  if (error) {
+    const message = String(error.message || '');
+    if (message.includes('PROPOSAL_NOT_FOUND')) throw httpError(404, 'Proposal not found');
+    if (message.includes('LINE_ITEMS_REQUIRED')) throw httpError(400, 'At least one line item is required');
+    throw httpError(500, message || 'Failed to save line items');
+  }
+  return data || [];
+}
+
+export async function loadProposalLineItems(proposalId) {
+  const { data, error } = await supabase
+    .from('proposal_line_items')
+    .select('*')
+    .eq('proposal_id', proposalId)
+    .order('position', { ascending: true });
+  if (error) {
+    // Table not migrated yet: treat as a legacy proposal without items
+    if (error.code === '42P01') return [];
+    throw httpError(500, error.message);
+  }
+  return data || [];
+}
+
+/**
+ * Who may read/replace a proposal's items.
+ * RFQs belong to the buyer; vendors can read an RFQ sent to them or behind a lead they own/purchased.
+ * Quotations belong to the vendor; the buyer can read them.
+ */
+export async function resolveLineItemAccess(proposal, { buyer = null, vendor = null, email = '' } = {}) {
+  const isRfq = proposal?.proposal_type === 'RFQ' || (!proposal?.proposal_type && !proposal?.buyer_email);
+  const buyerEmail = String(proposal?.buyer_email || '').trim().toLowerCase();
+  const isBuyer = Boolean(
+    (buyer?.id && String(buyer.id) === String(proposal?.buyer_id || '')) ||
+      (buyerEmail && buyerEmail === String(email || buyer?.email || '').trim().toLowerCase())
+  );
+  let isVendor = Boolean(vendor?.id && String(vendor.id) === String(proposal?.vendor_id || ''));
+
+  if (!isVendor && isRfq && vendor?.id) {
+    const { data: leads } = await supabase
+      .from('leads')
+      .select('id, vendor_id')
+      .eq('proposal_id', proposal.id)
+      .limit(5);
+    const leadIds = (leads || []).map((lead) => lead.id);
+    isVendor = (leads || []).some((lead) => String(lead.vendor_id || '') === String(vendor.id));
+    if (!isVendor && leadIds.length) {
+      const { count } = await supabase
+        .from('lead_purchases')
+        .select('id', { count: 'exact', head: true })
+        .eq('vendor_id', vendor.id)
+        .in('lead_id', leadIds);
+      isVendor = Number(count || 0) > 0;
+    }
+  }
+
+  return {
+    isRfq,
+    canRead: isBuyer || isVendor,
+    canEdit: isRfq ? isBuyer : Boolean(vendor?.id && String(vendor.id) === String(proposal?.vendor_id || '')),
+  };
+}
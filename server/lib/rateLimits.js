@@ -0,0 +1,62 @@
+import { supabase } from './supabaseClient.js';
+import { positiveInt } from './libUtils.js';
+
+// Per-key request limits kept in the database (migration 20261112), so they hold across Express
+// instances and Netlify function invocations alike.
+
+const header = (reqOrEvent, name) => {
+  const headers = reqOrEvent?.headers || {};
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  return typeof value === 'string' ? value.trim() : '';
+};
+
+/**
+ * Client IP of an Express request. req.ip only follows X-Forwarded-For through the proxies
+ * allowed by the app's 'trust proxy' setting (TRUST_PROXY in server.js); the headers alone are client-set.
+ */
+export function resolveClientIp(req) {
+  return req?.ip || req?.socket?.remoteAddress || null;
+}
+
+/** Client IP of a Netlify function event, as set by Netlify's edge */
+export function resolveEventClientIp(event) {
+  return header(event, 'x-nf-client-connection-ip') || null;
+}
+
+/**
+ * Count one request against `bucket`/`key`. Returns { allowed, remaining, retryAfterSec }.
+ * Without the migration there is nothing to count, so requests are let through.
+ */
+export async function hitRateLimit(bucket, key, { max, windowMs }) {
+  if (!key) return { allowed: true, remaining: max, retryAfterSec: 0 };
+  const { data, error } = await supabase.rpc('hit_rate_limit', {
+    p_bucket: bucket,
+    p_key: String(key),
+    p_max: max,
+    p_window_seconds: Math.max(1, Math.round(windowMs / 1000)),
+  });
+  if (error) return { allowed: true, remaining: max, retryAfterSec: 0 };
+  return {
+    allowed: Boolean(data?.allowed),
+    remaining: Number(data?.remaining || 0),
+    retryAfterSec: Number(data?.retry_after_sec || 0),
+  };
+}
+
+/** Public requirement posts per client IP and per buyer phone (MARKETPLACE_LEAD_*_MAX per window) */
+export function getMarketplaceLeadLimit() {
+  return {
+    ipMax: positiveInt(process.env.MARKETPLACE_LEAD_IP_MAX, 5),
+    phoneMax: positiveInt(process.env.MARKETPLACE_LEAD_PHONE_MAX, 3),
+    windowMs: positiveInt(process.env.MARKETPLACE_LEAD_WINDOW_MS, 60 * 60 * 1000),
+  };
+}
+
+/** Gate for POST /api/vendors/marketplace-leads; the phone is keyed on its last 10 digits */
+export async function checkMarketplaceLeadLimit({ ip, phone }) {
+  const { ipMax, phoneMax, windowMs } = getMarketplaceLeadLimit();
+  const byIp = await hitRateLimit('marketplace-lead:ip', ip, { max: ipMax, windowMs });
+  if (!byIp.allowed) return byIp;
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  return hitRateLimit('marketplace-lead:phone', digits, { max: phoneMax, windowMs });
+}
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { razorpayInstance } from './razorpayClient.js';
+import { findPaymentByTransaction, fulfillLeadPayment, fulfillSubscriptionPayment } from './paymentFulfillment.js';
+import { issueCreditNote } from './taxInvoices.js';
+import { applyPlanChange } from './planChanges.js';
+import { completeRenewalAttempt, failRenewalAttempt } from './subscriptionRenewals.js';
+import { httpError, nowIso, text } from './libUtils.js';
+
+// Razorpay webhooks (migration 20261031). Each event id is processed once; redeliveries of a
+// processed event return 200 without side effects, failed ones are retried.
+
+export const HANDLED_EVENTS = ['payment.captured', 'order.paid', 'payment.failed', 'refund.processed'];
+
+// A PROCESSING row older than this is treated as a crashed attempt and picked up again
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const rupees = (paise) => Math.round(Number(paise || 0)) / 100;
+
+/** HMAC-SHA256 of the raw request body with the webhook secret (X-Razorpay-Signature) */
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!secret || !signature || rawBody == null) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const given = Buffer.from(text(signature));
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Order notes say what was bought: { vendor_id, plan_id, coupon_code }, { vendor_id, lead_id }
+// { vendor_id, plan_change_id } for a prorated upgrade or { kind: RENEWAL, renewal_attempt_id } for an auto-renew charge
+async function resolveOrder(orderEntity, payment) {
+  if (orderEntity?.id) return orderEntity;
+  if (!payment?.order_id) return null;
+  try {
+    return await razorpayInstance.orders.fetch(payment.order_id);
+  } catch (err) {
+    throw httpError(502, `Could not fetch Razorpay order ${payment.order_id}: ${err?.error?.description || err?.message || err}`);
+  }
+}
+
+async function handleCaptured(payload) {
+  const payment = payload?.payment?.entity || null;
+  if (!payment?.id) return { outcome: 'IGNORED', result: { reason: 'No payment in payload' } };
+  if (payment.status && payment.status !== 'captured') {
+    return { outcome: 'IGNORED', result: { reason: `Payment status ${payment.status}` } };
+  }
+
+  const order = await resolveOrder(payload?.order?.entity, payment);
+  const notes = { ...(payment.notes || {}), ...(order?.notes || {}) };
+  const vendorId = text(notes.vendor_id);
+  const amount = rupees(payment.amount);
+
+  if (notes.renewal_attempt_id) {
+    const res = await completeRenewalAttempt(text(notes.renewal_attempt_id), {
+      providerPaymentId: payment.id,
+      providerOrderId: order?.id || payment.order_id || null,
+      paidAmount: amount,
+    });
+    return {
+      outcome: 'PROCESSED',
+      result: {
+        kind: 'RENEWAL',
+        already_fulfilled: res.already_renewed,
+        renewal_attempt_id: res.attempt?.id || null,
+        subscription_id: res.subscription?.id || null,
+      },
+    };
+  }
+
+  if (notes.plan_change_id) {
+    const res = await applyPlanChange({
+      changeId: text(notes.plan_change_id),
+      razorpayPaymentId: payment.id,
+      orderId: order?.id || payment.order_id || null,
+      paidAmount: amount,
+    });
+    return {
+      outcome: 'PROCESSED',
+      result: {
+        kind: 'PLAN_CHANGE',
+        already_fulfilled: res.already_applied,
+        plan_change_id: res.change?.id || null,
+        subscription_id: res.change?.new_subscription_id || null,
+      },
+    };
+  }
+
+  if (notes.lead_id) {
+    let res;
+    try {
+      res = await fulfillLeadPayment({
+        vendorId,
+        leadId: text(notes.lead_id),
+        razorpayPaymentId: payment.id,
+        orderId: order?.id || payment.order_id || null,
+        amount,
+      });
+    } catch (err) {
+      // A lead that cannot be unlocked has been refunded (refund null: by an earlier verify); nothing to retry
+      if (err?.refund === undefined) throw err;
+      return {
+        outcome: 'PROCESSED',
+        result: { kind: 'LEAD', already_fulfilled: false, purchase_id: null, code: err.code || null, refund: err.refund },
+      };
+    }
+    return {
+      outcome: 'PROCESSED',
+      result: {
+        kind: 'LEAD',
+        already_fulfilled: res.already_fulfilled,
+        purchase_id: res.purchase?.id || null,
+        refund: res.refund || null,
+      },
+    };
+  }
+
+  if (notes.plan_id) {
+    const res = await fulfillSubscriptionPayment({
+      vendorId,
+      planId: text(notes.plan_id),
+      couponCode: notes.coupon_code,
+      razorpayPaymentId: payment.id,
+      orderId: order?.id || payment.order_id || null,
+      paidAmount: amount,
+    });
+    return {
+      outcome: 'PROCESSED',
+      result: {
+        kind: 'SUBSCRIPTION',
+        already_fulfilled: res.already_fulfilled,
+        payment_id: res.payment?.id || null,
+        subscription_id: res.subscription?.id || res.payment?.subscription_id || null,
+      },
+    };
+  }
+
+  return { outcome: 'IGNORED', result: { reason: 'Order is not a plan or lead purchase' } };
+}
+
+async function handleFailed(payload) {
+  const payment = payload?.payment?.entity || null;
+  if (!payment?.id) return { outcome: 'IGNORED', result: { reason: 'No payment in payload' } };
+
+  const existing = await findPaymentByTransaction(payment.id);
+  if (existing && existing.status !== 'FAILED') {
+    return { outcome: 'IGNORED', result: { reason: `Payment already ${existing.status}` } };
+  }
+
+  const order = await resolveOrder(null, payment).catch(() => null);
+  const notes = { ...(payment.notes || {}), ...(order?.notes || {}) };
+  if (notes.renewal_attempt_id) {
+    const res = await failRenewalAttempt(
+      text(notes.renewal_attempt_id),
+      payment.error_description || payment.error_reason || 'Payment failed'
+    );
+    return {
+      outcome: 'PROCESSED',
+      result: { kind: 'RENEWAL', already_final: res.already_final, next_attempt_at: res.next_attempt_at || null },
+    };
+  }
+
+  const planId = notes.plan_id || notes.to_plan_id || null;
+  if (!notes.vendor_id || (!planId && !notes.lead_id)) {
+    return { outcome: 'IGNORED', result: { reason: 'Order is not a plan or lead purchase' } };
+  }
+
+  const failureReason = text(payment.error_description || payment.error_reason || payment.error_code) || 'Payment failed';
+  if (existing) {
+    await supabase.from('vendor_payments').update({ failure_reason: failureReason }).eq('id', existing.id);
+    return { outcome: 'PROCESSED', result: { payment_id: existing.id, status: 'FAILED' } };
+  }
+
+  // Failed attempts show up in the vendor's payment history
+  const { data, error } = await supabase
+    .from('vendor_payments')
+    .insert([
+      {
+        vendor_id: notes.vendor_id,
+        plan_id: planId,
+        amount: rupees(payment.amount),
+        discount_amount: 0,
+        net_amount: rupees(payment.amount),
+        description: planId ? `${notes.plan_change_id ? 'Plan change' : 'Subscription'} payment failed` : 'Lead purchase payment failed',
+        status: 'FAILED',
+        payment_method: 'Razorpay',
+        transaction_id: payment.id,
+        razorpay_order_id: payment.order_id || null,
+        payment_date: nowIso(),
+        coupon_code: text(notes.coupon_code) || null,
+        failure_reason: failureReason,
+      },
+    ])
+    .select('id')
+    .maybeSingle();
+  if (error && error.code !== '23505') throw httpError(500, error.message);
+  return { outcome: 'PROCESSED', result: { payment_id: data?.id || null, status: 'FAILED' } };
+}
+
+async function creditNoteExists(reference) {
+  const { data } = await supabase
+    .from('tax_documents')
+    .select('id, document_number')
+    .eq('document_type', 'CREDIT_NOTE')
+    .eq('reference', reference)
+    .maybeSingle();
+  return data || null;
+}
+
+async function handleRefund(payload) {
+  const refund = payload?.refund?.entity || null;
+  if (!refund?.id || !refund?.payment_id) return { outcome: 'IGNORED', result: { reason: 'No refund in payload' } };
+
+  const refundAmount = rupees(refund.amount);
+  const payment = await findPaymentByTransaction(refund.payment_id);
+  const result = { refund_id: refund.id, amount: refundAmount };
+
+  if (payment) {
+    const paidAmount = Number(payment.net_amount ?? payment.amount ?? 0);
+    const refundedTotal = payload?.payment?.entity?.amount_refunded != null
+      ? rupees(payload.payment.entity.amount_refunded)
+      : Math.min(paidAmount, Number(payment.refunded_amount || 0) + refundAmount);
+    const fullyRefunded = refundedTotal >= paidAmount;
+
+    await supabase
+      .from('vendor_payments')
+      .update({
+        refunded_amount: refundedTotal,
+        refunded_at: nowIso(),
+        status: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+      })
+      .eq('id', payment.id);
+    result.payment_id = payment.id;
+    result.status = fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+    // A fully refunded plan is no longer paid for
+    if (fullyRefunded && payment.subscription_id) {
+      await supabase
+        .from('vendor_plan_subscriptions')
+        .update({ status: 'CANCELLED', updated_at: nowIso() })
+        .eq('id', payment.subscription_id)
+        .eq('status', 'ACTIVE');
+      result.subscription_cancelled = payment.subscription_id;
+    }
+
+    // Dispute refunds already issue their credit note (reference = refund id)
+    const note = await creditNoteExists(refund.id);
+    if (note) {
+      result.credit_note = note.document_number;
+    } else {
+      const issued = await issueCreditNote({
+        paymentId: payment.id,
+        amount: refundAmount,
+        reason: text(refund.notes?.reason) || 'Refund processed',
+        reference: refund.id,
+      });
+      result.credit_note = issued?.document_number || null;
+    }
+  }
+
+  // Lead purchases: mark refunded if the dispute flow has not already done so
+  const purchaseFilter = payment?.lead_purchase_id
+    ? ['id', payment.lead_purchase_id]
+    : ['razorpay_payment_id', refund.payment_id];
+  const { data: purchase } = await supabase
+    .from('lead_purchases')
+    .update({ refund_amount: refundAmount, refunded_at: nowIso() })
+    .eq(purchaseFilter[0], purchaseFilter[1])
+    .is('refunded_at', null)
+    .select('id')
+    .maybeSingle();
+  if (purchase?.id) result.lead_purchase_id = purchase.id;
+
+  if (!payment && !purchase) return { outcome: 'IGNORED', result: { ...result, reason: 'Unknown payment' } };
+  return { outcome: 'PROCESSED', result };
+}
+
+const HANDLERS = {
+  'payment.captured': handleCaptured,
+  'order.paid': handleCaptured,
+  'payment.failed': handleFailed,
+  'refund.processed': handleRefund,
+};
+
+// Insert-or-reclaim the event row; returns null when the event must not be processed now
+async function claimEvent(eventId, event) {
+  const row = {
+    event_id: eventId,
+    event_type: text(event?.event),
+    payment_id: event?.payload?.payment?.entity?.id || event?.payload?.refund?.entity?.payment_id || null,
+    order_id: event?.payload?.order?.entity?.id || event?.payload?.payment?.entity?.order_id || null,
+    payload: event || {},
+    status: 'PROCESSING',
+  };
+  const { data, error } = await supabase.from('razorpay_webhook_events').insert([row]).select('*').maybeSingle();
+  if (!error) return { claimed: data };
+  if (error.code !== '23505') throw httpError(500, error.message);
+
+  const { data: prior } = await supabase.from('razorpay_webhook_events').select('*').eq('event_id', eventId).maybeSingle();
+  if (!prior) throw httpError(500, 'Webhook event lookup failed');
+  if (['PROCESSED', 'IGNORED'].includes(prior.status)) return { duplicate: prior };
+  if (prior.status === 'PROCESSING' && Date.now() - new Date(prior.received_at).getTime() < STALE_PROCESSING_MS) {
+    return { busy: prior };
+  }
+
+  const { data: reclaimed } = await supabase
+    .from('razorpay_webhook_events')
+    .update({ status: 'PROCESSING', attempts: Number(prior.attempts || 1) + 1, received_at: nowIso(), error: null })
+    .eq('event_id', eventId)
+    .eq('status', prior.status)
+    .eq('attempts', prior.attempts)
+    .select('*')
+    .maybeSingle();
+  return reclaimed ? { claimed: reclaimed } : { busy: prior };
+}
+
+/**
+ * Verify, de-duplicate and process one Razorpay webhook delivery.
+ * `rawBody` must be the exact request body; `secret` defaults to RAZORPAY_WEBHOOK_SECRET.
+ * Returns { status, body } for the HTTP response (non-2xx makes Razorpay retry).
+ */
+export async function handleRazorpayWebhook({
+  rawBody,
+  signature,
+  eventId,
+  secret = process.env.RAZORPAY_WEBHOOK_SECRET,
+} = {}) {
+  if (!secret) return { status: 500, body: { error: 'Webhook secret not configured' } };
+  if (!verifyWebhookSignature(rawBody, signature, secret)) {
+    return { status: 400, body: { error: 'Invalid webhook signature' } };
+  }
+
+  let event;
+  try {
+    event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+  } catch {
+    return { status: 400, body: { error: 'Invalid JSON payload' } };
+  }
+
+  // Razorpay sends X-Razorpay-Event-Id; fall back to a hash of the signed body
+  const id = text(eventId) || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const claim = await claimEvent(id, event);
+  if (claim.duplicate) return { status: 200, body: { success: true, duplicate: true, status: claim.duplicate.status } };
+  if (claim.busy) return { status: 409, body: { error: 'Event is being processed' } };
+
+  const handler = HANDLERS[text(event?.event)];
+  let outcome = 'IGNORED';
+  let result = { reason: `Unhandled event ${text(event?.event) || '(none)'}` };
+  try {
+    if (handler) ({ outcome, result } = await handler(event.payload || {}));
+  } catch (err) {
+    const status = Number(err?.statusCode) || 500;
+    await supabase
+      .from('razorpay_webhook_events')
+      .update({ status: 'FAILED', error: String(err?.message || err).slice(0, 1000), processed_at: nowIso() })
+      .eq('event_id', id);
+    console.error(`Razorpay webhook ${id} (${event?.event}) failed:`, err?.message || err);
+    // Business errors (bad amount, unknown plan) will not fix themselves on retry
+    return status >= 500
+      ? { status: 500, body: { error: 'Webhook processing failed' } }
+      : { status: 200, body: { success: false, event_id: id, error: err.message } };
+  }
+
+  await supabase
+    .from('razorpay_webhook_events')
+    .update({ status: outcome, result, processed_at: nowIso() })
+    .eq('event_id', id);
+
+  return { status: 200, body: { success: true, event_id: id, status: outcome, result } };
+}
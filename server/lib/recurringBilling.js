@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import { razorpayInstance } from './razorpayClient.js';
+import { httpError, text } from './libUtils.js';
+
+// Recurring charges for subscription auto-renewal, behind one small interface:
+//   createMandate({ vendor, maxAmount })        -> { provider, status, customer_id, token_id?, auth_order_id?, method, checkout? }
+//   confirmMandate({ mandate, paymentId })      -> { token_id, method, payment_id }
+//   chargeMandate({ mandate, amount, ... })     -> { status: CAPTURED | PENDING | FAILED, order_id, payment_id, failure_reason }
+//   fetchCharge({ paymentId })                  -> { status, failure_reason }
+//   cancelMandate({ mandate })                  -> void
+// RECURRING_BILLING_PROVIDER=fake swaps Razorpay for an in-memory fake (local runs, no real money).
+
+const paise = (rupees) => Math.max(100, Math.round(Number(rupees || 0) * 100));
+
+const razorpayMessage = (err) => err?.error?.description || err?.message || String(err);
+
+// Razorpay payment.status -> charge status
+const chargeStatusOf = (payment) => {
+  const status = text(payment?.status).toLowerCase();
+  if (status === 'captured') return 'CAPTURED';
+  if (status === 'failed') return 'FAILED';
+  return 'PENDING';
+};
+
+function createRazorpayRecurringProvider() {
+  const method = text(process.env.RAZORPAY_MANDATE_METHOD).toLowerCase() || 'card';
+
+  return {
+    name: 'RAZORPAY',
+
+    // Customer + an authorisation order the vendor completes in Checkout with recurring: '1'
+    async createMandate({ vendor, maxAmount }) {
+      const customer = await razorpayInstance.customers.create({
+        name: vendor.company_name || vendor.owner_name || 'Vendor',
+        email: vendor.email || undefined,
+        contact: vendor.phone || undefined,
+        fail_existing: '0',
+      });
+      const expireAt = Math.floor(Date.now() / 1000) + 10 * 365 * 24 * 60 * 60;
+      const order = await razorpayInstance.orders.create({
+        amount: paise(process.env.RAZORPAY_MANDATE_AUTH_AMOUNT || 1),
+        currency: 'INR',
+        customer_id: customer.id,
+        method,
+        payment_capture: 1,
+        receipt: `md_${String(vendor.id).replace(/-/g, '').slice(0, 12)}_${Date.now().toString().slice(-6)}`,
+        token: { max_amount: paise(maxAmount), expire_at: expireAt, frequency: 'as_presented' },
+        notes: { kind: 'MANDATE', vendor_id: vendor.id },
+      });
+      return {
+        provider: 'RAZORPAY',
+        status: 'PENDING',
+        customer_id: customer.id,
+        auth_order_id: order.id,
+        method,
+        checkout: { order_id: order.id, amount: order.amount, currency: order.currency, customer_id: customer.id, recurring: '1' },
+      };
+    },
+
+    async confirmMandate({ mandate, paymentId }) {
+      const payment = await razorpayInstance.payments.fetch(paymentId);
+      if (payment?.order_id !== mandate.auth_order_id) throw httpError(400, 'Payment does not belong to this mandate');
+      if (!payment?.token_id) throw httpError(409, 'The payment method was not authorised for recurring charges');
+      return { token_id: payment.token_id, method: payment.method || method, payment_id: payment.id };
+    },
+
+    async chargeMandate({ mandate, amount, receipt, description, notes = {}, email, contact }) {
+      let order;
+      try {
+        order = await razorpayInstance.orders.create({
+          amount: paise(amount),
+          currency: 'INR',
+          receipt,
+          payment_capture: 1,
+          notes,
+        });
+        const created = await razorpayInstance.payments.createRecurringPayment({
+          email,
+          contact,
+          amount: order.amount,
+          currency: 'INR',
+          order_id: order.id,
+          customer_id: mandate.customer_id,
+          token: mandate.token_id,
+          recurring: '1',
+          description,
+          notes,
+        });
+        const paymentId = created?.razorpay_payment_id || created?.id || null;
+        // e-mandate / UPI debits settle later; the webhook (or the next poll) finishes those
+        const payment = paymentId ? await razorpayInstance.payments.fetch(paymentId).catch(() => null) : null;
+        return {
+          status: payment ? chargeStatusOf(payment) : 'PENDING',
+          order_id: order.id,
+          payment_id: paymentId,
+          failure_reason: payment?.error_description || null,
+        };
+      } catch (err) {
+        return { status: 'FAILED', order_id: order?.id || null, payment_id: null, failure_reason: razorpayMessage(err) };
+      }
+    },
+
+    async fetchCharge({ paymentId }) {
+      const payment = await razorpayInstance.payments.fetch(paymentId);
+      return { status: chargeStatusOf(payment), failure_reason: payment?.error_description || null };
+    },
+
+    async cancelMandate({ mandate }) {
+      if (!mandate?.customer_id || !mandate?.token_id) return;
+      await razorpayInstance.customers.deleteToken(mandate.customer_id, mandate.token_id);
+    },
+  };
+}
+
+/**
+ * In-memory provider for local runs. Every charge ends in `outcome`
+ * (FAKE_RECURRING_OUTCOME: captured | failed | pending, default captured).
+ */
+export function createFakeRecurringProvider({ outcome = process.env.FAKE_RECURRING_OUTCOME } = {}) {
+  const charges = new Map();
+  const id = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+  const resolveStatus = () => {
+    const wanted = text(outcome).toUpperCase();
+    return ['FAILED', 'PENDING'].includes(wanted) ? wanted : 'CAPTURED';
+  };
+
+  return {
+    name: 'FAKE',
+
+    async createMandate({ vendor }) {
+      return {
+        provider: 'FAKE',
+        status: 'ACTIVE',
+        customer_id: `fake_cust_${String(vendor.id).slice(0, 8)}`,
+        token_id: id('fake_tok'),
+        method: 'fake',
+        checkout: null,
+      };
+    },
+
+    async confirmMandate({ mandate, paymentId }) {
+      return { token_id: mandate.token_id || id('fake_tok'), method: 'fake', payment_id: paymentId || null };
+    },
+
+    async chargeMandate() {
+      const status = resolveStatus();
+      const charge = {
+        status,
+        order_id: id('fake_order'),
+        payment_id: id('fake_pay'),
+        failure_reason: status === 'FAILED' ? 'Simulated decline (FAKE_RECURRING_OUTCOME=failed)' : null,
+      };
+      charges.set(charge.payment_id, charge);
+      return charge;
+    },
+
+    async fetchCharge({ paymentId }) {
+      const charge = charges.get(paymentId);
+      return charge ? { status: charge.status, failure_reason: charge.failure_reason } : { status: 'PENDING', failure_reason: null };
+    },
+
+    async cancelMandate() {},
+  };
+}
+
+let defaultProvider = null;
+
+/** Provider picked by RECURRING_BILLING_PROVIDER (razorpay | fake); created once per process */
+export function getRecurringBillingProvider() {
+  if (defaultProvider) return defaultProvider;
+  const name = text(process.env.RECURRING_BILLING_PROVIDER).toLowerCase() || 'razorpay';
+  defaultProvider = name === 'fake' ? createFakeRecurringProvider() : createRazorpayRecurringProvider();
+  return defaultProvider;
+}
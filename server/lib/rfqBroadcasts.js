@@ -0,0 +1,316 @@
+import { supabase } from './supabaseClient.js';
+import { notifyUsers } from './notify.js';
+import { buildProposalHeader, computeQuotationTotals, normalizeLineItems } from './quotationItems.js';
+import { MAX_COMPARE } from './quotationAwards.js';
+import { httpError, isUuid, isVerifiedVendor, numberOrNull, parseIds, rpcErrorMapper, textOrNull, upper } from './libUtils.js';
+
+// One requirement sent to several suppliers at once (migration 20261110). Every supplier gets its own RFQ
+// proposal + direct lead linked to the parent rfq_broadcasts row; viewed_at is stamped when the supplier
+// opens it and responded_at by a DB trigger when their quotation (rfq_id) comes in.
+
+// Every reply has to fit in one comparison
+export const MAX_BROADCAST_VENDORS = MAX_COMPARE;
+
+const SUGGESTION_LIMIT = 20;
+const CANDIDATE_POOL = 500;
+const DESCRIPTION_MIN_LENGTH = 10;
+const VENDOR_PROPOSALS_LINK = '/vendor/proposals?tab=received';
+
+const BROADCAST_RPC_ERRORS = {
+  NO_VENDORS: { status: 400, error: 'Pick at least one supplier' },
+  VENDOR_NOT_FOUND: { status: 404, error: 'One of the selected suppliers no longer exists' },
+  PROPOSAL_NOT_FOUND: { status: 500, error: 'Failed to save the requirement items' },
+  LINE_ITEMS_REQUIRED: { status: 400, error: 'At least one line item is required' },
+};
+
+const rpcError = rpcErrorMapper(BROADCAST_RPC_ERRORS);
+
+const uuidOrNull = (value) => (isUuid(value) ? String(value).trim() : null);
+
+const requireBuyer = (buyer) => {
+  if (!buyer?.id) throw httpError(403, 'Buyer account required');
+  return buyer;
+};
+
+async function loadVendorRows(vendorIds) {
+  if (!vendorIds.length) return [];
+  let { data, error } = await supabase
+    .from('vendors')
+    .select('id, user_id, company_name, owner_name, city, state, city_id, state_id, is_active, is_verified, kyc_status, verification_badge, trust_score, seller_rating')
+    .in('id', vendorIds);
+  if (error) {
+    // Rating / trust columns come from later migrations
+    ({ data, error } = await supabase
+      .from('vendors')
+      .select('id, user_id, company_name, owner_name, city, state, city_id, state_id, is_active, is_verified, kyc_status, verification_badge')
+      .in('id', vendorIds));
+  }
+  if (error) throw httpError(500, error.message || 'Failed to load suppliers');
+  return data || [];
+}
+
+/** Vendor ids listing products in the micro category, with their listing count */
+async function loadCategoryVendorCounts(microCategoryId) {
+  const counts = new Map();
+  const { data: products } = await supabase
+    .from('products')
+    .select('vendor_id')
+    .eq('micro_category_id', microCategoryId)
+    .limit(CANDIDATE_POOL * 4);
+  (products || []).forEach((row) => {
+    const id = String(row?.vendor_id || '');
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  // Suppliers who asked for leads in this category count even without a listing there yet
+  const { data: prefs } = await supabase
+    .from('vendor_preferences')
+    .select('vendor_id')
+    .contains('preferred_micro_categories', [microCategoryId])
+    .limit(CANDIDATE_POOL);
+  (prefs || []).forEach((row) => {
+    const id = String(row?.vendor_id || '');
+    if (id && !counts.has(id)) counts.set(id, 0);
+  });
+
+  return counts;
+}
+
+const describeVendor = (vendor, extra = {}) => ({
+  id: vendor.id,
+  company_name: vendor.company_name || vendor.owner_name || 'Supplier',
+  city: vendor.city || null,
+  state: vendor.state || null,
+  trust_score: numberOrNull(vendor.trust_score),
+  rating: numberOrNull(vendor.seller_rating),
+  verification_badge: vendor.verification_badge || null,
+  is_verified: isVerifiedVendor(vendor),
+  ...extra,
+});
+
+/**
+ * Verified, active suppliers for a micro category, best local matches first
+ * (same city, then same state, then trust score and listing count).
+ */
+export async function suggestBroadcastVendors({ microCategoryId, cityId = null, limit = SUGGESTION_LIMIT } = {}) {
+  const categoryId = uuidOrNull(microCategoryId);
+  if (!categoryId) throw httpError(400, 'Pick a category to find suppliers');
+  const max = Math.min(Math.max(Number(limit) || SUGGESTION_LIMIT, 1), 50);
+
+  const counts = await loadCategoryVendorCounts(categoryId);
+  if (!counts.size) return { vendors: [], max_vendors: MAX_BROADCAST_VENDORS };
+
+  let city = null;
+  const targetCityId = uuidOrNull(cityId);
+  if (targetCityId) {
+    const { data } = await supabase.from('cities').select('id, name, state_id').eq('id', targetCityId).maybeSingle();
+    city = data || null;
+  }
+
+  const rows = await loadVendorRows([...counts.keys()].slice(0, CANDIDATE_POOL));
+  const vendors = rows
+    .filter((vendor) => vendor.is_active !== false && isVerifiedVendor(vendor))
+    .map((vendor) => {
+      const sameCity = Boolean(city && String(vendor.city_id || '') === String(city.id));
+      const sameState = Boolean(city?.state_id && String(vendor.state_id || '') === String(city.state_id));
+      return describeVendor(vendor, {
+        product_count: counts.get(String(vendor.id)) || 0,
+        same_city: sameCity,
+        same_state: sameCity || sameState,
+      });
+    })
+    .sort((a, b) =>
+      Number(b.same_city) - Number(a.same_city) ||
+      Number(b.same_state) - Number(a.same_state) ||
+      (b.trust_score ?? -1) - (a.trust_score ?? -1) ||
+      b.product_count - a.product_count
+    )
+    .slice(0, max);
+
+  return { vendors, max_vendors: MAX_BROADCAST_VENDORS };
+}
+
+/**
+ * Send one requirement to the picked suppliers. Returns { broadcast_id, recipients[] };
+ * each recipient has its own proposal_id and lead_id.
+ */
+export async function createRfqBroadcast({ buyer, user = {}, input = {} }) {
+  requireBuyer(buyer);
+
+  const vendorIds = parseIds(input?.vendor_ids);
+  if (!vendorIds.length) throw httpError(400, 'Pick at least one supplier');
+  if (vendorIds.length > MAX_BROADCAST_VENDORS) {
+    throw httpError(400, `A requirement can be sent to at most ${MAX_BROADCAST_VENDORS} suppliers`);
+  }
+
+  const description = textOrNull(input?.description, 5000);
+  if (!description || description.length < DESCRIPTION_MIN_LENGTH) {
+    throw httpError(400, `Requirement/description must be at least ${DESCRIPTION_MIN_LENGTH} characters`);
+  }
+
+  const vendors = await loadVendorRows(vendorIds);
+  const byId = new Map(vendors.map((vendor) => [String(vendor.id), vendor]));
+  const ineligible = vendorIds.filter((id) => {
+    const vendor = byId.get(id);
+    return !vendor || vendor.is_active === false || !isVerifiedVendor(vendor);
+  });
+  if (ineligible.length) throw httpError(400, 'Requirements can only be broadcast to active, verified suppliers');
+
+  const totals = computeQuotationTotals(normalizeLineItems(input?.items));
+  const header = buildProposalHeader(totals, input, { fallbackBudget: numberOrNull(input?.budget) });
+  const first = totals.items[0];
+  const title = textOrNull(input?.title, 200) || first.product_name;
+
+  const { data, error } = await supabase.rpc('create_rfq_broadcast', {
+    p_requirement: {
+      buyer_id: buyer.id,
+      buyer_user_id: uuidOrNull(user?.id),
+      buyer_name: textOrNull(buyer.full_name || buyer.company_name || user?.email, 160),
+      buyer_email: textOrNull(String(buyer.email || user?.email || '').toLowerCase(), 320),
+      buyer_phone: textOrNull(buyer.phone || buyer.mobile_number, 60),
+      company_name: textOrNull(buyer.company_name, 200),
+      title,
+      product_name: textOrNull(input?.product_name, 200) || (totals.items.length === 1 ? first.product_name : title),
+      description,
+      quantity: header.quantity,
+      unit: header.unit,
+      budget: numberOrNull(input?.budget) ?? header.budget,
+      delivery_days: header.delivery_days,
+      delivery_terms: header.delivery_terms,
+      payment_terms: header.payment_terms,
+      category: textOrNull(input?.category, 120),
+      location: textOrNull(input?.location, 200),
+      micro_category_id: uuidOrNull(input?.micro_category_id),
+      city_id: uuidOrNull(input?.city_id),
+    },
+    p_vendor_ids: vendorIds,
+    p_items: totals.items,
+    p_totals: {
+      subtotal: totals.subtotal,
+      discount_total: totals.discount_total,
+      tax_total: totals.tax_total,
+      grand_total: totals.grand_total,
+    },
+  });
+  if (error) throw rpcError(error);
+
+  await notifyUsers(
+    vendors.map((vendor) => vendor.user_id),
+    {
+      type: 'NEW_LEAD',
+      title: 'New RFQ received',
+      message: `${textOrNull(buyer.company_name || buyer.full_name, 160) || 'A buyer'} is requesting quotes for ${title}. Send your quotation to stay in the running.`,
+      link: VENDOR_PROPOSALS_LINK,
+    }
+  );
+
+  return data;
+}
+
+const recipientStatus = (recipient, quotation) => {
+  const status = upper(quotation?.status);
+  if (status === 'ACCEPTED') return 'AWARDED';
+  if (status === 'REJECTED' || status === 'DECLINED') return 'NOT_SELECTED';
+  if (recipient.responded_at) return 'QUOTED';
+  if (recipient.viewed_at) return 'VIEWED';
+  return 'SENT';
+};
+
+async function describeBroadcasts(broadcasts) {
+  if (!broadcasts.length) return [];
+
+  const { data: recipients, error } = await supabase
+    .from('rfq_broadcast_recipients')
+    .select('*')
+    .in('broadcast_id', broadcasts.map((row) => row.id))
+    .order('created_at', { ascending: true });
+  if (error) throw httpError(500, error.message || 'Failed to load suppliers');
+
+  const rows = recipients || [];
+  const quotationIds = rows.map((row) => row.quotation_id).filter(Boolean);
+  const [vendors, quotations] = await Promise.all([
+    loadVendorRows([...new Set(rows.map((row) => String(row.vendor_id)))]),
+    quotationIds.length
+      ? supabase.from('proposals').select('id, status, grand_total, budget, created_at').in('id', quotationIds)
+      : Promise.resolve({ data: [] }),
+  ]);
+  const vendorById = new Map(vendors.map((vendor) => [String(vendor.id), vendor]));
+  const quotationById = new Map((quotations.data || []).map((row) => [String(row.id), row]));
+
+  return broadcasts.map((broadcast) => {
+    const list = rows
+      .filter((row) => String(row.broadcast_id) === String(broadcast.id))
+      .map((row) => {
+        const quotation = row.quotation_id ? quotationById.get(String(row.quotation_id)) : null;
+        const vendor = vendorById.get(String(row.vendor_id));
+        return {
+          vendor_id: row.vendor_id,
+          proposal_id: row.proposal_id,
+          lead_id: row.lead_id,
+          vendor: vendor ? describeVendor(vendor) : { id: row.vendor_id, company_name: 'Supplier' },
+          status: recipientStatus(row, quotation),
+          viewed_at: row.viewed_at,
+          responded_at: row.responded_at,
+          quotation_id: row.quotation_id || null,
+          quotation_total: quotation ? numberOrNull(quotation.grand_total) ?? numberOrNull(quotation.budget) : null,
+        };
+      });
+
+    return {
+      id: broadcast.id,
+      title: broadcast.title,
+      product_name: broadcast.product_name,
+      description: broadcast.description,
+      quantity: broadcast.quantity,
+      unit: broadcast.unit,
+      budget: numberOrNull(broadcast.budget),
+      location: broadcast.location,
+      micro_category_id: broadcast.micro_category_id,
+      city_id: broadcast.city_id,
+      status: broadcast.status,
+      created_at: broadcast.created_at,
+      recipients: list,
+      sent_count: list.length,
+      viewed_count: list.filter((row) => row.viewed_at).length,
+      responded_count: list.filter((row) => row.responded_at).length,
+    };
+  });
+}
+
+/** The buyer's broadcasts, newest first, with per-supplier viewed/responded tracking */
+export async function listRfqBroadcasts({ buyer }) {
+  requireBuyer(buyer);
+  const { data, error } = await supabase
+    .from('rfq_broadcasts')
+    .select('*')
+    .eq('buyer_id', buyer.id)
+    .order('created_at', { ascending: false })
+    .limit(100);
+  if (error) throw httpError(500, error.message || 'Failed to load requirements');
+  return describeBroadcasts(data || []);
+}
+
+export async function getRfqBroadcast({ buyer, broadcastId }) {
+  requireBuyer(buyer);
+  if (!isUuid(broadcastId)) throw httpError(400, 'Invalid requirement id');
+
+  const { data, error } = await supabase.from('rfq_broadcasts').select('*').eq('id', broadcastId).maybeSingle();
+  if (error) throw httpError(500, error.message || 'Failed to load requirement');
+  if (!data || String(data.buyer_id) !== String(buyer.id)) throw httpError(404, 'Requirement not found');
+
+  const [broadcast] = await describeBroadcasts([data]);
+  return broadcast;
+}
+
+/** Best effort: the supplier opened their copy of a broadcast RFQ */
+export async function markBroadcastViewed({ proposalId, vendorId }) {
+  if (!isUuid(proposalId) || !vendorId) return;
+  const { error } = await supabase
+    .from('rfq_broadcast_recipients')
+    .update({ viewed_at: new Date().toISOString() })
+    .eq('proposal_id', proposalId)
+    .eq('vendor_id', vendorId)
+    .is('viewed_at', null);
+  // Migration not applied yet: nothing to track
+  if (error && error.code !== '42P01') console.warn('⚠️ Failed to mark RFQ as viewed:', error.message || error);
+}
@@ -5,6 +5,7 @@ import {
   markRenewalNotificationSent,
   sendExpirationWarning,
 } from './notificationService.js';
+import { processDueRenewals } from './subscriptionRenewals.js';
 
 // ✅ Server env (VITE_ bhi chalega, SUPABASE_URL bhi chalega)
 const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
@@ -108,7 +109,7 @@ function checkExpiredSubscriptions() {
       try {
         const now = new Date();
 
-        // ✅ Subscriptions already expired but still ACTIVE
+        // ✅ Subscriptions already expired but still ACTIVE (auto-renew ones go through processAutoRenewals)
         const { data: expiredSubscriptions, error } = await supabase
           .from('vendor_plan_subscriptions')
           .select(
@@ -122,7 +123,8 @@ function checkExpiredSubscriptions() {
             `
           )
           .eq('status', 'ACTIVE')
-          .lt('end_date', now.toISOString());
+          .lt('end_date', now.toISOString())
+          .or('auto_renewal_enabled.is.null,auto_renewal_enabled.eq.false');
 
         if (error) {
           console.error('❌ Error fetching expired subscriptions:', error);
@@ -203,6 +205,26 @@ async function updateVendorLeadQuotaOnExpiry(vendorId) {
   }
 }
 
+/**
+ * Charge due auto-renewals, run dunning retries and lapse plans whose grace period is over
+ * Runs hourly at :30
+ */
+function processAutoRenewals() {
+  return cron.schedule(
+    '30 * * * *',
+    async () => {
+      try {
+        const summary = await processDueRenewals();
+        const touched = Object.values(summary).some((count) => count > 0);
+        if (touched) console.log('🔁 Auto-renewal run:', summary);
+      } catch (err) {
+        console.error('❌ Error in processAutoRenewals:', err);
+      }
+    },
+    { scheduled: true }
+  );
+}
+
 /**
  * Initialize subscription cron jobs
  */
@@ -212,10 +234,12 @@ export function initializeSubscriptionCronJobs() {
 
     checkExpiringSubscriptions();
     checkExpiredSubscriptions();
+    processAutoRenewals();
 
     console.log('✅ Subscription cron jobs initialized');
     console.log('   - Expiring subscriptions check: Daily at 2 AM UTC');
     console.log('   - Expired subscriptions check: Daily at 3 AM UTC');
+    console.log('   - Auto-renewals and retries: Hourly at :30');
   } catch (err) {
     console.error('❌ Error initializing subscription cron jobs:', err);
   }
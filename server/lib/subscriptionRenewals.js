@@ -0,0 +1,682 @@
+import { supabase } from './supabaseClient.js';
+import { getRecurringBillingProvider } from './recurringBilling.js';
+import { findPaymentByTransaction } from './paymentFulfillment.js';
+import { ensurePaymentInvoice } from './taxInvoices.js';
+import {
+  sendExpirationWarning,
+  sendRenewalFailedNotification,
+  sendSubscriptionRenewedNotification,
+} from './notificationService.js';
+import { httpError, nowIso, text } from './libUtils.js';
+
+// Automatic plan renewal (migration 20261102).
+// On the end date the saved mandate is charged; declined charges are retried on the dunning
+// schedule (RENEWAL_RETRY_DAYS after the end date). The plan and its search slots keep working
+// until grace_until (SUBSCRIPTION_GRACE_DAYS); after that the vendor drops to the trial tier.
+// An attempt with no provider payment after RENEWAL_ATTEMPT_TIMEOUT_HOURS counts as declined.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/** Grace period, retry offsets (days after the renewal date) and stale-attempt timeout, from env */
+export function getRenewalSettings() {
+  const grace = Number.parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10);
+  const graceDays = Number.isFinite(grace) && grace >= 0 ? grace : 7;
+  const timeout = Number.parseInt(process.env.RENEWAL_ATTEMPT_TIMEOUT_HOURS, 10);
+  const attemptTimeoutHours = Number.isFinite(timeout) && timeout > 0 ? timeout : 6;
+  const retryDays = text(process.env.RENEWAL_RETRY_DAYS || '1,3,5')
+    .split(',')
+    .map((v) => Number.parseInt(v, 10))
+    .filter((v) => Number.isFinite(v) && v > 0)
+    .sort((a, b) => a - b);
+  return { graceDays, retryDays, attemptTimeoutHours };
+}
+
+async function loadActiveMandate(vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_payment_mandates')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE')
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  return data || null;
+}
+
+// Latest ACTIVE subscription, including one that is past its end date but still in grace
+async function loadCurrentSubscription(vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(*)')
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE')
+    .order('start_date', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  return data || null;
+}
+
+// Mandates shown to the browser never carry the token
+const publicMandate = (mandate) =>
+  mandate
+    ? {
+      id: mandate.id,
+      provider: mandate.provider,
+      method: mandate.method,
+      status: mandate.status,
+      max_amount: mandate.max_amount,
+      activated_at: mandate.activated_at,
+    }
+    : null;
+
+/** Auto-renew state for the vendor's subscriptions page */
+export async function getAutoRenewStatus(vendorId) {
+  const [subscription, mandate] = await Promise.all([loadCurrentSubscription(vendorId), loadActiveMandate(vendorId)]);
+  let lastAttempt = null;
+  if (subscription) {
+    const { data } = await supabase
+      .from('subscription_renewal_attempts')
+      .select('attempt_no, amount, status, failure_reason, attempted_at, completed_at')
+      .eq('subscription_id', subscription.id)
+      .order('attempt_no', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    lastAttempt = data || null;
+  }
+  return {
+    enabled: Boolean(subscription?.auto_renewal_enabled && mandate),
+    subscription_id: subscription?.id || null,
+    renewal_date: subscription?.end_date || null,
+    renewal_status: subscription?.renewal_status || null,
+    next_attempt_at: subscription?.next_renewal_attempt_at || null,
+    grace_until: subscription?.grace_until || null,
+    last_error: subscription?.last_renewal_error || null,
+    last_attempt: lastAttempt,
+    mandate: publicMandate(mandate),
+    settings: getRenewalSettings(),
+  };
+}
+
+async function enableOnCurrentSubscription(vendorId) {
+  const subscription = await loadCurrentSubscription(vendorId);
+  if (!subscription) return null;
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({ auto_renewal_enabled: true, updated_at: nowIso() })
+    .eq('id', subscription.id);
+  return subscription.id;
+}
+
+/**
+ * Turn auto-renew on. Reuses an active mandate; otherwise creates one, which for Razorpay
+ * has to be authorised in Checkout (recurring) and confirmed via confirmAutoRenew.
+ */
+export async function setupAutoRenew({ vendor, provider = getRecurringBillingProvider() }) {
+  if (!vendor?.id) throw httpError(404, 'Vendor profile not found');
+  const subscription = await loadCurrentSubscription(vendor.id);
+  if (!subscription || !(Number(subscription.plan?.price || 0) > 0)) {
+    throw httpError(409, 'Auto-renew is available for paid plans only');
+  }
+
+  const existing = await loadActiveMandate(vendor.id);
+  if (existing) {
+    await enableOnCurrentSubscription(vendor.id);
+    return { authorization_required: false, mandate: publicMandate(existing) };
+  }
+
+  // The mandate must cover the dearest plan so upgrades keep renewing
+  const { data: plans } = await supabase.from('vendor_plans').select('price').eq('is_active', true);
+  const maxAmount = Math.max(Number(subscription.plan.price), ...(plans || []).map((p) => Number(p.price || 0)));
+
+  const created = await provider.createMandate({ vendor, maxAmount });
+  const { data: mandate, error } = await supabase
+    .from('vendor_payment_mandates')
+    .insert([
+      {
+        vendor_id: vendor.id,
+        provider: created.provider,
+        customer_id: created.customer_id || null,
+        token_id: created.token_id || null,
+        auth_order_id: created.auth_order_id || null,
+        method: created.method || null,
+        max_amount: maxAmount,
+        status: created.status,
+        activated_at: created.status === 'ACTIVE' ? nowIso() : null,
+      },
+    ])
+    .select('*')
+    .single();
+  if (error) throw httpError(500, error.message);
+
+  if (mandate.status === 'ACTIVE') {
+    await enableOnCurrentSubscription(vendor.id);
+    return { authorization_required: false, mandate: publicMandate(mandate) };
+  }
+  return { authorization_required: true, mandate: publicMandate(mandate), checkout: created.checkout };
+}
+
+/** Activate a mandate after the vendor authorised it in Checkout */
+export async function confirmAutoRenew({ vendor, orderId, paymentId, provider = getRecurringBillingProvider() }) {
+  if (!vendor?.id) throw httpError(404, 'Vendor profile not found');
+  const { data: mandate, error } = await supabase
+    .from('vendor_payment_mandates')
+    .select('*')
+    .eq('vendor_id', vendor.id)
+    .eq('auth_order_id', orderId)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!mandate) throw httpError(404, 'Mandate not found for this order');
+  if (mandate.status === 'ACTIVE') {
+    await enableOnCurrentSubscription(vendor.id);
+    return publicMandate(mandate);
+  }
+  if (mandate.status !== 'PENDING') throw httpError(409, 'This mandate is no longer pending');
+
+  let confirmed;
+  try {
+    confirmed = await provider.confirmMandate({ mandate, paymentId });
+  } catch (err) {
+    await supabase
+      .from('vendor_payment_mandates')
+      .update({ status: 'FAILED', failure_reason: text(err?.message).slice(0, 500) })
+      .eq('id', mandate.id);
+    throw err.statusCode ? err : httpError(502, err?.message || 'Mandate confirmation failed');
+  }
+
+  // A new mandate replaces the old one
+  await supabase
+    .from('vendor_payment_mandates')
+    .update({ status: 'CANCELLED', cancelled_at: nowIso() })
+    .eq('vendor_id', vendor.id)
+    .eq('status', 'ACTIVE');
+
+  const { data: activated, error: updateError } = await supabase
+    .from('vendor_payment_mandates')
+    .update({
+      status: 'ACTIVE',
+      token_id: confirmed.token_id,
+      method: confirmed.method || mandate.method,
+      auth_payment_id: confirmed.payment_id || paymentId,
+      activated_at: nowIso(),
+    })
+    .eq('id', mandate.id)
+    .select('*')
+    .single();
+  if (updateError) throw httpError(500, updateError.message);
+
+  await enableOnCurrentSubscription(vendor.id);
+  return publicMandate(activated);
+}
+
+/** Turn auto-renew off and revoke the mandate (the plan simply expires at its end date) */
+export async function disableAutoRenew({ vendor, provider = getRecurringBillingProvider() }) {
+  if (!vendor?.id) throw httpError(404, 'Vendor profile not found');
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({ auto_renewal_enabled: false, next_renewal_attempt_at: null, updated_at: nowIso() })
+    .eq('vendor_id', vendor.id)
+    .eq('status', 'ACTIVE');
+
+  const mandate = await loadActiveMandate(vendor.id);
+  if (mandate) {
+    try {
+      await provider.cancelMandate({ mandate });
+    } catch (err) {
+      console.warn('Mandate revoke failed:', err?.error?.description || err?.message || err);
+    }
+    await supabase
+      .from('vendor_payment_mandates')
+      .update({ status: 'CANCELLED', cancelled_at: nowIso() })
+      .eq('id', mandate.id);
+  }
+  return { enabled: false };
+}
+
+// Undo lapseSubscription for a late renewal: end the trial term and give the lead quota back
+async function restoreLapsedVendor(vendorId, plan, renewedId) {
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({ status: 'INACTIVE', replaced_by_subscription_id: renewedId, updated_at: nowIso() })
+    .eq('vendor_id', vendorId)
+    .eq('status', 'ACTIVE')
+    .neq('id', renewedId);
+
+  await supabase
+    .from('vendor_lead_quota')
+    .update({
+      plan_id: plan.id,
+      daily_used: 0,
+      daily_limit: Number(plan.daily_limit) || 0,
+      weekly_used: 0,
+      weekly_limit: Number(plan.weekly_limit) || 0,
+      yearly_used: 0,
+      yearly_limit: Number(plan.yearly_limit) || 0,
+      updated_at: nowIso(),
+    })
+    .eq('vendor_id', vendorId);
+
+  const { error: slotError } = await supabase.rpc('recalculate_vendor_slots', { p_vendor_id: vendorId });
+  if (slotError) console.warn(`⚠️ [renewals] Slot restore failed for vendor ${vendorId}:`, slotError.message);
+}
+
+/**
+ * Book a successful renewal charge: payment row, the next subscription term (starting at the old
+ * end date, or now if the plan has lapsed meanwhile), invoice and notification. Shared by the cron
+ * run and the payment.captured webhook.
+ */
+export async function completeRenewalAttempt(attemptId, { providerPaymentId, providerOrderId = null, paidAmount = null } = {}) {
+  const { data: attempt, error } = await supabase
+    .from('subscription_renewal_attempts')
+    .select('*')
+    .eq('id', attemptId)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!attempt) throw httpError(404, 'Renewal attempt not found');
+  if (attempt.status === 'SUCCEEDED') return { already_renewed: true, attempt };
+
+  const paymentRef = providerPaymentId || attempt.provider_payment_id;
+  if (!paymentRef) throw httpError(400, 'Missing payment id for renewal');
+  if (paidAmount !== null && Math.round(Number(paidAmount) * 100) < Math.round(Number(attempt.amount) * 100)) {
+    throw httpError(409, `Paid amount ₹${paidAmount} is less than the renewal amount ₹${attempt.amount}`);
+  }
+
+  const { data: subscription } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(*)')
+    .eq('id', attempt.subscription_id)
+    .maybeSingle();
+  if (!subscription?.plan) throw httpError(404, 'Subscription or plan not found');
+  const plan = subscription.plan;
+
+  const existing = await findPaymentByTransaction(paymentRef);
+  if (existing && existing.status !== 'FAILED') {
+    await supabase
+      .from('subscription_renewal_attempts')
+      .update({ status: 'SUCCEEDED', payment_id: existing.id, renewed_subscription_id: existing.subscription_id, completed_at: nowIso() })
+      .eq('id', attempt.id);
+    return { already_renewed: true, attempt };
+  }
+
+  const paymentRow = {
+    vendor_id: attempt.vendor_id,
+    plan_id: plan.id,
+    amount: attempt.amount,
+    discount_amount: 0,
+    net_amount: attempt.amount,
+    description: `Subscription renewal: ${plan.name}`,
+    status: 'COMPLETED',
+    payment_method: 'Razorpay',
+    transaction_id: paymentRef,
+    razorpay_order_id: providerOrderId || attempt.provider_order_id,
+    payment_date: nowIso(),
+    failure_reason: null,
+  };
+  const claim = existing
+    ? supabase.from('vendor_payments').update(paymentRow).eq('id', existing.id).eq('status', 'FAILED')
+    : supabase.from('vendor_payments').insert([paymentRow]);
+  const { data: payment, error: paymentError } = await claim.select('*').maybeSingle();
+  if (paymentError?.code === '23505' || (!paymentError && !payment)) return { already_renewed: true, attempt };
+  if (paymentError) throw httpError(500, paymentError.message);
+
+  // Next term continues from the old end date, so days used during grace are part of it. A charge
+  // captured after the plan lapsed to the trial tier starts the term now instead.
+  const lapsed = subscription.status !== 'ACTIVE';
+  const days = Number(plan.duration_days) > 0 ? Number(plan.duration_days) : Number(subscription.plan_duration_days) || 365;
+  const startDate = lapsed ? new Date() : new Date(subscription.end_date || Date.now());
+  const endDate = addDays(startDate, days);
+  const { data: renewed, error: renewError } = await supabase
+    .from('vendor_plan_subscriptions')
+    .insert([
+      {
+        vendor_id: attempt.vendor_id,
+        plan_id: plan.id,
+        start_date: startDate.toISOString(),
+        end_date: endDate.toISOString(),
+        status: 'ACTIVE',
+        plan_duration_days: days,
+        auto_renewal_enabled: true,
+        renewal_notification_sent: false,
+      },
+    ])
+    .select('*')
+    .single();
+  if (renewError) {
+    await supabase.from('vendor_payments').delete().eq('id', payment.id);
+    throw httpError(500, `Failed to create renewed subscription: ${renewError.message}`);
+  }
+
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({
+      ...(lapsed ? {} : { status: 'INACTIVE' }),
+      renewal_status: 'RENEWED',
+      replaced_by_subscription_id: renewed.id,
+      next_renewal_attempt_at: null,
+      last_renewal_error: null,
+      updated_at: nowIso(),
+    })
+    .eq('id', subscription.id);
+  if (lapsed) await restoreLapsedVendor(attempt.vendor_id, plan, renewed.id);
+  await supabase.from('vendor_payments').update({ subscription_id: renewed.id }).eq('id', payment.id);
+  await supabase
+    .from('subscription_renewal_attempts')
+    .update({
+      status: 'SUCCEEDED',
+      provider_payment_id: paymentRef,
+      payment_id: payment.id,
+      renewed_subscription_id: renewed.id,
+      completed_at: nowIso(),
+    })
+    .eq('id', attempt.id);
+
+  try {
+    await ensurePaymentInvoice({ ...payment, subscription_id: renewed.id });
+  } catch (invoiceError) {
+    console.error('Renewal invoice error:', invoiceError?.message || invoiceError);
+  }
+  await sendSubscriptionRenewedNotification(attempt.vendor_id, plan.name, endDate);
+
+  return { already_renewed: false, attempt, payment, subscription: renewed };
+}
+
+/**
+ * Record a declined renewal charge and schedule the next dunning retry
+ * (none once the retry would fall after grace_until).
+ */
+export async function failRenewalAttempt(attemptId, reason) {
+  const { data: attempt } = await supabase
+    .from('subscription_renewal_attempts')
+    .select('*')
+    .eq('id', attemptId)
+    .maybeSingle();
+  if (!attempt) throw httpError(404, 'Renewal attempt not found');
+  if (['SUCCEEDED', 'FAILED'].includes(attempt.status)) return { already_final: true, attempt };
+
+  const failureReason = text(reason).slice(0, 500) || 'Payment declined';
+  await supabase
+    .from('subscription_renewal_attempts')
+    .update({ status: 'FAILED', failure_reason: failureReason, completed_at: nowIso() })
+    .eq('id', attempt.id);
+
+  const { data: subscription } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(name)')
+    .eq('id', attempt.subscription_id)
+    .maybeSingle();
+  if (!subscription) return { already_final: false, attempt, next_attempt_at: null };
+
+  const { graceDays, retryDays } = getRenewalSettings();
+  const graceUntil = subscription.grace_until ? new Date(subscription.grace_until) : addDays(subscription.end_date, graceDays);
+  const offset = retryDays[attempt.attempt_no - 1];
+  const nextAt = offset ? addDays(subscription.end_date, offset) : null;
+  const nextAttemptAt = nextAt && nextAt < graceUntil ? nextAt : null;
+
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({
+      renewal_status: 'RETRYING',
+      next_renewal_attempt_at: nextAttemptAt ? nextAttemptAt.toISOString() : null,
+      grace_until: graceUntil.toISOString(),
+      last_renewal_error: failureReason,
+      updated_at: nowIso(),
+    })
+    .eq('id', subscription.id)
+    .eq('status', 'ACTIVE');
+
+  await sendRenewalFailedNotification(subscription.vendor_id, subscription.plan?.name || 'subscription', {
+    nextAttemptAt,
+    graceUntil,
+  });
+  return { already_final: false, attempt, next_attempt_at: nextAttemptAt };
+}
+
+async function chargeRenewal(subscription, { provider, graceDays }) {
+  const plan = subscription.plan;
+  const attemptNo = Number(subscription.renewal_attempts || 0) + 1;
+  const graceUntil = subscription.grace_until || addDays(subscription.end_date, graceDays).toISOString();
+
+  const mandate = await loadActiveMandate(subscription.vendor_id);
+  const { data: attempt, error } = await supabase
+    .from('subscription_renewal_attempts')
+    .insert([
+      {
+        subscription_id: subscription.id,
+        vendor_id: subscription.vendor_id,
+        plan_id: plan.id,
+        mandate_id: mandate?.id || null,
+        attempt_no: attemptNo,
+        amount: plan.price,
+        status: 'PROCESSING',
+      },
+    ])
+    .select('*')
+    .single();
+  // Another worker already claimed this attempt
+  if (error?.code === '23505') return 'SKIPPED';
+  if (error) throw httpError(500, error.message);
+
+  await supabase
+    .from('vendor_plan_subscriptions')
+    .update({
+      renewal_attempts: attemptNo,
+      renewal_status: 'PENDING',
+      next_renewal_attempt_at: null,
+      grace_until: graceUntil,
+      updated_at: nowIso(),
+    })
+    .eq('id', subscription.id);
+
+  if (!mandate) {
+    await failRenewalAttempt(attempt.id, 'No saved payment method for auto-renewal');
+    return 'FAILED';
+  }
+
+  const { data: vendor } = await supabase
+    .from('vendors')
+    .select('id, email, phone')
+    .eq('id', subscription.vendor_id)
+    .maybeSingle();
+  const charge = await provider.chargeMandate({
+    mandate,
+    amount: Number(plan.price),
+    receipt: `rn_${String(subscription.id).replace(/-/g, '').slice(0, 12)}_${attemptNo}`,
+    description: `Renewal: ${plan.name}`,
+    email: vendor?.email || undefined,
+    contact: vendor?.phone || undefined,
+    notes: {
+      kind: 'RENEWAL',
+      renewal_attempt_id: attempt.id,
+      subscription_id: subscription.id,
+      vendor_id: subscription.vendor_id,
+      plan_id: plan.id,
+    },
+  });
+
+  await supabase
+    .from('subscription_renewal_attempts')
+    .update({
+      provider_order_id: charge.order_id || null,
+      provider_payment_id: charge.payment_id || null,
+      status: charge.status === 'PENDING' ? 'PENDING' : 'PROCESSING',
+    })
+    .eq('id', attempt.id);
+
+  if (charge.status === 'CAPTURED') {
+    await completeRenewalAttempt(attempt.id, { providerPaymentId: charge.payment_id, providerOrderId: charge.order_id });
+    return 'RENEWED';
+  }
+  if (charge.status === 'FAILED') {
+    await failRenewalAttempt(attempt.id, charge.failure_reason);
+    return 'FAILED';
+  }
+  return 'PENDING';
+}
+
+// Find a trial plan for lapsed vendors: TRIAL_PLAN_ID, else the active free plan named "trial"
+async function resolveTrialPlan() {
+  const configured = text(process.env.TRIAL_PLAN_ID);
+  if (configured) {
+    const { data } = await supabase.from('vendor_plans').select('*').eq('id', configured).maybeSingle();
+    if (data) return data;
+  }
+  const { data } = await supabase
+    .from('vendor_plans')
+    .select('*')
+    .eq('is_active', true)
+    .eq('price', 0)
+    .ilike('name', '%trial%')
+    .limit(1)
+    .maybeSingle();
+  return data || null;
+}
+
+/** Grace over: expire the plan, move the vendor to the trial tier (which frees their seats) */
+async function lapseSubscription(subscription) {
+  const { data: expired } = await supabase
+    .from('vendor_plan_subscriptions')
+    .update({ status: 'EXPIRED', renewal_status: 'LAPSED', next_renewal_attempt_at: null, updated_at: nowIso() })
+    .eq('id', subscription.id)
+    .eq('status', 'ACTIVE')
+    .select('id')
+    .maybeSingle();
+  if (!expired) return false;
+
+  await supabase
+    .from('vendor_lead_quota')
+    .update({
+      daily_used: 0,
+      daily_limit: 0,
+      weekly_used: 0,
+      weekly_limit: 0,
+      yearly_used: 0,
+      yearly_limit: 0,
+      updated_at: nowIso(),
+    })
+    .eq('vendor_id', subscription.vendor_id);
+
+  const trial = await resolveTrialPlan();
+  if (trial) {
+    const days = Number(trial.duration_days) > 0 ? Number(trial.duration_days) : 30;
+    const start = new Date();
+    await supabase.from('vendor_plan_subscriptions').insert([
+      {
+        vendor_id: subscription.vendor_id,
+        plan_id: trial.id,
+        start_date: start.toISOString(),
+        end_date: addDays(start, days).toISOString(),
+        status: 'ACTIVE',
+        plan_duration_days: days,
+        auto_renewal_enabled: false,
+        renewal_notification_sent: false,
+      },
+    ]);
+  } else {
+    console.warn('⚠️ [renewals] No trial plan found; set TRIAL_PLAN_ID');
+  }
+
+  // The subscription trigger only recalculates on status changes; make sure the seats are gone
+  const { error: slotError } = await supabase.rpc('recalculate_vendor_slots', { p_vendor_id: subscription.vendor_id });
+  if (slotError) console.warn(`⚠️ [renewals] Slot release failed for vendor ${subscription.vendor_id}:`, slotError.message);
+
+  await sendExpirationWarning(subscription.vendor_id, subscription.plan?.name || 'subscription');
+  return true;
+}
+
+// Charges left PENDING (e-mandate / UPI debits) are settled by the webhook; poll in case it never came
+async function settlePendingAttempts(provider) {
+  const { data: pending } = await supabase
+    .from('subscription_renewal_attempts')
+    .select('id, provider_payment_id')
+    .eq('status', 'PENDING')
+    .not('provider_payment_id', 'is', null)
+    .limit(200);
+  let settled = 0;
+  for (const attempt of pending || []) {
+    try {
+      const { status, failure_reason: reason } = await provider.fetchCharge({ paymentId: attempt.provider_payment_id });
+      if (status === 'CAPTURED') {
+        await completeRenewalAttempt(attempt.id, { providerPaymentId: attempt.provider_payment_id });
+        settled += 1;
+      } else if (status === 'FAILED') {
+        await failRenewalAttempt(attempt.id, reason);
+        settled += 1;
+      }
+    } catch (err) {
+      console.error(`❌ [renewals] Could not settle attempt ${attempt.id}:`, err?.message || err);
+    }
+  }
+  return settled;
+}
+
+// A worker that died mid-charge (PROCESSING) or an order that never got a debit (PENDING, no
+// payment id) would block the subscription for good; decline it so dunning carries on
+async function expireStaleAttempts({ now, attemptTimeoutHours }) {
+  const cutoff = new Date(now.getTime() - attemptTimeoutHours * HOUR_MS).toISOString();
+  const { data: stale } = await supabase
+    .from('subscription_renewal_attempts')
+    .select('id, status, provider_payment_id')
+    .in('status', ['PROCESSING', 'PENDING'])
+    .lt('attempted_at', cutoff)
+    .limit(200);
+  let expired = 0;
+  for (const attempt of stale || []) {
+    if (attempt.status === 'PENDING' && attempt.provider_payment_id) continue;
+    try {
+      await failRenewalAttempt(attempt.id, `No payment confirmation within ${attemptTimeoutHours} hours`);
+      expired += 1;
+    } catch (err) {
+      console.error(`❌ [renewals] Could not expire attempt ${attempt.id}:`, err?.message || err);
+    }
+  }
+  return expired;
+}
+
+/**
+ * One renewal pass: settle pending charges, time out stale attempts, charge subscriptions whose
+ * renewal date or retry time has come, and lapse the ones whose grace period is over.
+ * Safe to run concurrently.
+ */
+export async function processDueRenewals({ now = new Date(), provider = getRecurringBillingProvider() } = {}) {
+  const summary = { settled: 0, expired: 0, renewed: 0, pending: 0, failed: 0, lapsed: 0, errors: 0 };
+  const { graceDays, attemptTimeoutHours } = getRenewalSettings();
+
+  summary.settled = await settlePendingAttempts(provider);
+  summary.expired = await expireStaleAttempts({ now, attemptTimeoutHours });
+
+  const { data: due, error } = await supabase
+    .from('vendor_plan_subscriptions')
+    .select('*, plan:vendor_plans(*)')
+    .eq('status', 'ACTIVE')
+    .eq('auto_renewal_enabled', true)
+    .lte('end_date', now.toISOString())
+    .limit(500);
+  if (error) throw httpError(500, error.message);
+
+  for (const subscription of due || []) {
+    try {
+      const graceUntil = subscription.grace_until ? new Date(subscription.grace_until) : addDays(subscription.end_date, graceDays);
+      // Grace is a hard stop, even with a charge still in flight
+      if (graceUntil <= now) {
+        if (await lapseSubscription(subscription)) summary.lapsed += 1;
+        continue;
+      }
+      if (!(Number(subscription.plan?.price || 0) > 0)) continue;
+      if (subscription.renewal_status === 'PENDING') continue;
+      if (subscription.renewal_status === 'RETRYING' && !subscription.next_renewal_attempt_at) continue;
+      if (subscription.next_renewal_attempt_at && new Date(subscription.next_renewal_attempt_at) > now) continue;
+
+      const outcome = await chargeRenewal(subscription, { provider, graceDays });
+      if (outcome === 'RENEWED') summary.renewed += 1;
+      else if (outcome === 'PENDING') summary.pending += 1;
+      else if (outcome === 'FAILED') summary.failed += 1;
+    } catch (err) {
+      summary.errors += 1;
+      console.error(`❌ [renewals] Subscription ${subscription.id} failed:`, err?.message || err);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,300 @@
+import { supabase } from './supabaseClient.js';
+import { notifyRole, notifyUser } from './notify.js';
+import { httpError, nowIso, upper } from './libUtils.js';
+
+// Support SLA (migration 20261104). Due timestamps and first_response_at are maintained by trigger;
+// this module assigns tickets, reports SLA state and escalates breaches to supervisors.
+export const SLA_PRIORITIES = ['URGENT', 'HIGH', 'MEDIUM', 'LOW'];
+export const OPEN_TICKET_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+// Share of the target window left when a ticket counts as "at risk"
+const AT_RISK_SHARE = 0.25;
+const ESCALATION_BATCH = 200;
+const TICKETS_LINK = '/employee/support/tickets';
+
+const isActiveEmployee = (e) => !e?.status || upper(e.status) === 'ACTIVE';
+
+/** ROUND_ROBIN (least recently assigned agent) or LOAD (fewest open tickets); SUPPORT_ASSIGNMENT_STRATEGY */
+export const getAssignmentStrategy = () =>
+  upper(process.env.SUPPORT_ASSIGNMENT_STRATEGY) === 'LOAD' ? 'LOAD' : 'ROUND_ROBIN';
+
+// Roles notified on a first-response breach; a resolution breach also goes to SUPERADMIN
+const getSupervisorRoles = () => {
+  const roles = String(process.env.SUPPORT_SUPERVISOR_ROLES || 'ADMIN')
+    .split(',')
+    .map(upper)
+    .filter(Boolean);
+  return roles.length ? roles : ['ADMIN'];
+};
+
+const ticketLabel = (ticket) => ticket.ticket_display_id || ticket.id;
+
+const clock = (startAt, dueAt, doneAt, now) => {
+  if (!dueAt) return null;
+  const due = new Date(dueAt).getTime();
+  const done = doneAt ? new Date(doneAt).getTime() : null;
+  const windowMs = Math.max(due - new Date(startAt || dueAt).getTime(), 0);
+  return {
+    due_at: dueAt,
+    completed_at: doneAt || null,
+    breached: (done ?? now) > due,
+    at_risk: !done && due >= now && due - now <= windowMs * AT_RISK_SHARE,
+    remaining_minutes: done ? null : Math.round((due - now) / 60000),
+  };
+};
+
+/**
+ * SLA view of a ticket: first response and resolution clocks plus an overall state of
+ * BREACHED, AT_RISK, ON_TRACK, MET or NONE (no policy / created before SLA tracking).
+ */
+export function describeTicketSla(ticket = {}, now = Date.now()) {
+  const closed = !OPEN_TICKET_STATUSES.includes(upper(ticket.status || 'OPEN'));
+  const firstResponse = clock(ticket.created_at, ticket.first_response_due_at, ticket.first_response_at, now);
+  const resolution = clock(
+    ticket.created_at,
+    ticket.resolution_due_at,
+    closed ? ticket.resolved_at || ticket.updated_at || nowIso() : null,
+    now
+  );
+  if (!firstResponse && !resolution) return { state: 'NONE', first_response: null, resolution: null };
+
+  const clocks = [firstResponse, resolution].filter(Boolean);
+  let state = 'ON_TRACK';
+  if (ticket.first_response_breached || ticket.resolution_breached || clocks.some((c) => c.breached)) state = 'BREACHED';
+  else if (closed) state = 'MET';
+  else if (clocks.some((c) => c.at_risk)) state = 'AT_RISK';
+
+  return { state, first_response: firstResponse, resolution };
+}
+
+/** Counts for /api/support/stats */
+export function summarizeSla(tickets = [], now = Date.now()) {
+  const summary = { breached: 0, atRisk: 0, unassigned: 0, firstResponseCompliance: null, resolutionCompliance: null };
+  let responded = 0;
+  let respondedInTime = 0;
+  let resolved = 0;
+  let resolvedInTime = 0;
+
+  for (const ticket of tickets) {
+    const open = OPEN_TICKET_STATUSES.includes(upper(ticket.status || 'OPEN'));
+    const sla = describeTicketSla(ticket, now);
+    if (open && sla.state === 'BREACHED') summary.breached += 1;
+    if (open && sla.state === 'AT_RISK') summary.atRisk += 1;
+    if (open && !ticket.assigned_to) summary.unassigned += 1;
+    if (sla.first_response?.completed_at) {
+      responded += 1;
+      if (!sla.first_response.breached) respondedInTime += 1;
+    }
+    if (!open && sla.resolution) {
+      resolved += 1;
+      if (!sla.resolution.breached) resolvedInTime += 1;
+    }
+  }
+
+  if (responded) summary.firstResponseCompliance = Math.round((respondedInTime / responded) * 100);
+  if (resolved) summary.resolutionCompliance = Math.round((resolvedInTime / resolved) * 100);
+  return summary;
+}
+
+export async function listSlaPolicies() {
+  const { data, error } = await supabase.from('support_sla_policies').select('*');
+  if (error) throw httpError(500, error.message);
+  return (data || []).sort((a, b) => SLA_PRIORITIES.indexOf(a.priority) - SLA_PRIORITIES.indexOf(b.priority));
+}
+
+export async function updateSlaPolicy(priority, input = {}, actor = {}) {
+  const key = upper(priority);
+  if (!SLA_PRIORITIES.includes(key)) throw httpError(400, `Priority must be one of: ${SLA_PRIORITIES.join(', ')}`);
+
+  const firstResponse = Number(input.first_response_minutes);
+  const resolution = Number(input.resolution_minutes);
+  if (!Number.isInteger(firstResponse) || firstResponse <= 0) {
+    throw httpError(400, 'first_response_minutes must be a positive whole number');
+  }
+  if (!Number.isInteger(resolution) || resolution < firstResponse) {
+    throw httpError(400, 'resolution_minutes must be a whole number not below first_response_minutes');
+  }
+
+  // New targets apply to tickets created (or re-prioritised) from now on
+  const { data, error } = await supabase
+    .from('support_sla_policies')
+    .upsert(
+      [{
+        priority: key,
+        first_response_minutes: firstResponse,
+        resolution_minutes: resolution,
+        is_active: input.is_active === undefined ? true : Boolean(input.is_active),
+        updated_by: actor.id || null,
+        updated_at: nowIso(),
+      }],
+      { onConflict: 'priority' }
+    )
+    .select('*')
+    .single();
+  if (error) throw httpError(500, error.message);
+  return data;
+}
+
+/** Active SUPPORT employees with their open ticket counts (assignment dropdown) */
+export async function listSupportAgents() {
+  const { data: employees, error } = await supabase
+    .from('employees')
+    .select('id, user_id, full_name, email, status')
+    .eq('role', 'SUPPORT');
+  if (error) throw httpError(500, error.message);
+
+  const agents = (employees || []).filter(isActiveEmployee);
+  if (!agents.length) return [];
+
+  const { data: open } = await supabase
+    .from('support_tickets')
+    .select('assigned_to')
+    .in('assigned_to', agents.map((a) => a.id))
+    .in('status', OPEN_TICKET_STATUSES);
+  const counts = (open || []).reduce((acc, row) => ({ ...acc, [row.assigned_to]: (acc[row.assigned_to] || 0) + 1 }), {});
+
+  return agents
+    .map((a) => ({ id: a.id, full_name: a.full_name, email: a.email, open_tickets: counts[a.id] || 0 }))
+    .sort((a, b) => String(a.full_name || '').localeCompare(String(b.full_name || '')));
+}
+
+/** Adds { assignee: { id, full_name, email } | null } to each ticket row */
+export async function attachAssignees(tickets = []) {
+  const ids = Array.from(new Set(tickets.map((t) => t.assigned_to).filter(Boolean)));
+  if (!ids.length) return tickets.map((t) => ({ ...t, assignee: null }));
+
+  const { data } = await supabase.from('employees').select('id, full_name, email').in('id', ids);
+  const byId = new Map((data || []).map((e) => [e.id, e]));
+  return tickets.map((t) => ({ ...t, assignee: byId.get(t.assigned_to) || null }));
+}
+
+async function notifyAssignee(ticket, employeeId) {
+  const { data: employee } = await supabase.from('employees').select('user_id').eq('id', employeeId).maybeSingle();
+  if (!employee?.user_id) return;
+  await notifyUser({
+    user_id: employee.user_id,
+    type: 'SUPPORT_ASSIGNED',
+    title: `Ticket assigned to you: ${ticketLabel(ticket)}`,
+    message: ticket.subject || 'New support ticket',
+    link: TICKETS_LINK,
+  });
+}
+
+/** Assign an unassigned ticket with the configured strategy; returns the ticket (still unassigned if no agent is active) */
+export async function autoAssignTicket(ticketId, { strategy = getAssignmentStrategy() } = {}) {
+  const { data, error } = await supabase.rpc('assign_support_ticket', { p_ticket_id: ticketId, p_strategy: strategy });
+  if (error) throw httpError(500, error.message);
+  const ticket = Array.isArray(data) ? data[0] : data;
+  if (ticket?.assigned_to) await notifyAssignee(ticket, ticket.assigned_to);
+  return ticket || null;
+}
+
+/** Manual (re)assignment; employeeId null hands the ticket back to auto-assignment */
+export async function assignTicket(ticketId, employeeId) {
+  const { data: ticket, error } = await supabase.from('support_tickets').select('*').eq('id', ticketId).maybeSingle();
+  if (error || !ticket) throw httpError(404, 'Ticket not found');
+
+  if (!employeeId) {
+    if (ticket.assigned_to) {
+      await supabase.from('support_tickets').update({ assigned_to: null, assigned_at: null, updated_at: nowIso() }).eq('id', ticketId);
+    }
+    return autoAssignTicket(ticketId);
+  }
+
+  const { data: employee } = await supabase
+    .from('employees')
+    .select('id, role, status')
+    .eq('id', employeeId)
+    .maybeSingle();
+  if (!employee || upper(employee.role) !== 'SUPPORT' || !isActiveEmployee(employee)) {
+    throw httpError(400, 'Tickets can only be assigned to active SUPPORT employees');
+  }
+  if (ticket.assigned_to === employeeId) return ticket;
+
+  const { data: updated, error: updateError } = await supabase
+    .from('support_tickets')
+    .update({ assigned_to: employeeId, assigned_at: nowIso(), updated_at: nowIso() })
+    .eq('id', ticketId)
+    .select('*')
+    .single();
+  if (updateError) throw httpError(500, updateError.message);
+
+  await notifyAssignee(updated, employeeId);
+  return updated;
+}
+
+async function markBreach(ticket, kind, now) {
+  const flag = kind === 'FIRST_RESPONSE' ? 'first_response_breached' : 'resolution_breached';
+  const level = kind === 'FIRST_RESPONSE' ? 1 : 2;
+  // Conditional update: only the run that flips the flag sends notifications
+  const { data } = await supabase
+    .from('support_tickets')
+    .update({ [flag]: true, escalation_level: Math.max(Number(ticket.escalation_level || 0), level), escalated_at: now })
+    .eq('id', ticket.id)
+    .eq(flag, false)
+    .select('id');
+  if (!data?.length) return false;
+
+  const what = kind === 'FIRST_RESPONSE' ? 'first response' : 'resolution';
+  const payload = {
+    type: 'SUPPORT_SLA_BREACH',
+    title: `SLA breached (${what}): ${ticketLabel(ticket)}`,
+    message: `${upper(ticket.priority || 'MEDIUM')} ticket "${ticket.subject || ''}" missed its ${what} target`,
+    link: TICKETS_LINK,
+  };
+  const roles = level > 1 ? [...new Set([...getSupervisorRoles(), 'SUPERADMIN'])] : getSupervisorRoles();
+  for (const role of roles) {
+    await notifyRole(role, payload);
+  }
+  if (ticket.assigned_to) {
+    const { data: employee } = await supabase.from('employees').select('user_id').eq('id', ticket.assigned_to).maybeSingle();
+    if (employee?.user_id) await notifyUser({ ...payload, user_id: employee.user_id });
+  }
+  return true;
+}
+
+/**
+ * Cron sweep: assign open tickets nobody picked up (e.g. created while no agent was active),
+ * then flag and escalate tickets past their first response or resolution target.
+ */
+export async function escalateBreachingTickets({ now = nowIso() } = {}) {
+  const result = { assigned: 0, firstResponseBreaches: 0, resolutionBreaches: 0 };
+
+  const { data: unassigned } = await supabase
+    .from('support_tickets')
+    .select('id')
+    .is('assigned_to', null)
+    .in('status', OPEN_TICKET_STATUSES)
+    .limit(ESCALATION_BATCH);
+  for (const row of unassigned || []) {
+    const ticket = await autoAssignTicket(row.id).catch((err) => {
+      console.error('[SupportSLA] auto-assign failed:', err?.message || err);
+      return null;
+    });
+    if (ticket?.assigned_to) result.assigned += 1;
+    else break; // no active agent
+  }
+
+  const { data: due, error } = await supabase
+    .from('support_tickets')
+    .select('id, ticket_display_id, subject, priority, status, assigned_to, escalation_level, first_response_at, first_response_due_at, first_response_breached, resolution_due_at, resolution_breached')
+    .in('status', OPEN_TICKET_STATUSES)
+    .or(
+      `and(first_response_breached.eq.false,first_response_at.is.null,first_response_due_at.lt.${now}),` +
+        `and(resolution_breached.eq.false,resolution_due_at.lt.${now})`
+    )
+    .order('resolution_due_at', { ascending: true })
+    .limit(ESCALATION_BATCH);
+  if (error) throw httpError(500, error.message);
+
+  const nowMs = new Date(now).getTime();
+  for (const ticket of due || []) {
+    if (!ticket.first_response_breached && !ticket.first_response_at && new Date(ticket.first_response_due_at).getTime() < nowMs) {
+      if (await markBreach(ticket, 'FIRST_RESPONSE', now)) result.firstResponseBreaches += 1;
+    }
+    if (!ticket.resolution_breached && new Date(ticket.resolution_due_at).getTime() < nowMs) {
+      if (await markBreach(ticket, 'RESOLUTION', now)) result.resolutionBreaches += 1;
+    }
+  }
+  return result;
+}
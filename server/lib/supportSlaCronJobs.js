@@ -0,0 +1,38 @@
+import cron from 'node-cron';
+import { escalateBreachingTickets } from './supportSla.js';
+
+/**
+ * Auto-assign unpicked tickets and escalate SLA breaches to supervisors
+ * Runs every 5 minutes
+ */
+function sweepSupportSla() {
+  return cron.schedule(
+    '*/5 * * * *',
+    async () => {
+      try {
+        const { assigned, firstResponseBreaches, resolutionBreaches } = await escalateBreachingTickets();
+        if (assigned || firstResponseBreaches || resolutionBreaches) {
+          console.log(
+            `🎫 Support SLA sweep: ${assigned} assigned, ${firstResponseBreaches} first-response and ${resolutionBreaches} resolution breaches escalated`
+          );
+        }
+      } catch (err) {
+        console.error('❌ Error in sweepSupportSla:', err?.message || err);
+      }
+    },
+    { scheduled: true }
+  );
+}
+
+/**
+ * Initialize support SLA cron jobs
+ */
+export function initializeSupportSlaCronJobs() {
+  try {
+    sweepSupportSla();
+    console.log('✅ Support SLA cron jobs initialized');
+    console.log('   - Assignment + escalation sweep: Every 5 minutes');
+  } catch (err) {
+    console.error('❌ Error initializing support SLA cron jobs:', err);
+  }
+}
@@ -0,0 +1,354 @@
+import { supabase } from './supabaseClient.js';
+import { generateInvoicePDF } from './invoiceGenerator.js';
+import {
+  GST_RATE,
+  SAC_CODES,
+  amountInWords,
+  computeGstBreakup,
+  isValidGstin,
+  normalizeGstin,
+  stateCodeFor,
+  stateNameFor,
+} from './gst.js';
+import { httpError, isUniqueViolation, roundMoney, rpcErrorMapper } from './libUtils.js';
+
+// GST tax invoices + credit notes (migration 20261030). Numbers come from issue_tax_document.
+
+const DOCUMENT_RPC_ERRORS = {
+  ORIGINAL_INVOICE_NOT_FOUND: { status: 404, error: 'Original invoice not found' },
+  CREDIT_EXCEEDS_INVOICE: { status: 409, error: 'Credit notes cannot exceed the invoice total' },
+  INVALID_DOCUMENT_TYPE: { status: 400, error: 'Invalid tax document type' },
+};
+
+const rpcError = rpcErrorMapper(DOCUMENT_RPC_ERRORS);
+
+// Payments that were actually charged (refunds keep their invoice; credit notes offset it)
+const INVOICEABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+/** Platform (supplier) details printed on every invoice; configured via env */
+export function getPlatformSupplier() {
+  const gstin = normalizeGstin(process.env.PLATFORM_GSTIN);
+  const stateCode =
+    String(process.env.PLATFORM_STATE_CODE || '').trim().padStart(2, '0').replace(/^00$/, '') ||
+    stateCodeFor({ gstin, state: process.env.PLATFORM_STATE });
+  return {
+    name: process.env.PLATFORM_LEGAL_NAME || process.env.APP_NAME || 'Indian Trade Mart',
+    address: process.env.PLATFORM_ADDRESS || '',
+    gstin: isValidGstin(gstin) ? gstin : '',
+    state_code: stateCode || null,
+    state: stateNameFor(stateCode) || process.env.PLATFORM_STATE || '',
+    email: process.env.PLATFORM_BILLING_EMAIL || 'support@indiantrademart.com',
+  };
+}
+
+function recipientFromVendor(vendor = {}) {
+  const gstin = normalizeGstin(vendor.gst_number);
+  const stateCode = stateCodeFor({ gstin, state: vendor.state });
+  return {
+    name: vendor.company_name || vendor.owner_name || 'Vendor',
+    address: vendor.address || '',
+    city: vendor.city || '',
+    state: stateNameFor(stateCode) || vendor.state || '',
+    pincode: vendor.pincode || '',
+    gstin: isValidGstin(gstin) ? gstin : '',
+    state_code: stateCode,
+    email: vendor.email || '',
+    phone: vendor.phone || '',
+  };
+}
+
+async function issueDocument(payload) {
+  const { data, error } = await supabase.rpc('issue_tax_document', { p_doc: payload });
+  if (error) throw rpcError(error);
+  return Array.isArray(data) ? data[0] : data;
+}
+
+async function loadPayment(paymentId) {
+  const { data, error } = await supabase.from('vendor_payments').select('*').eq('id', paymentId).maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!data) throw httpError(404, 'Payment not found');
+  return data;
+}
+
+async function findInvoiceForPayment(paymentId) {
+  const { data, error } = await supabase
+    .from('tax_documents')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .eq('document_type', 'INVOICE')
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  return data || null;
+}
+
+// One line item per payment: plan subscription, plan change or a lead unlock (fulfilled or refunded)
+async function buildPaymentItem(payment) {
+  const paid = roundMoney(payment.net_amount ?? payment.amount);
+  const listPrice = roundMoney(payment.amount ?? paid);
+  const discount = roundMoney(payment.discount_amount || 0);
+
+  if (payment.lead_purchase_id) {
+    const { data: purchase } = await supabase
+      .from('lead_purchases')
+      .select('id, lead:leads(title, product_name)')
+      .eq('id', payment.lead_purchase_id)
+      .maybeSingle();
+    const title = purchase?.lead?.title || purchase?.lead?.product_name || 'Buyer enquiry';
+    return { description: `Lead purchase: ${title}`, sac: SAC_CODES.LEAD_PURCHASE, paid, listPrice: paid, discount: 0 };
+  }
+
+  // Paid for a lead that could not be unlocked (refunded right after, migration 20261113)
+  if (payment.lead_id) {
+    const { data: lead } = await supabase.from('leads').select('title, product_name').eq('id', payment.lead_id).maybeSingle();
+    const title = lead?.title || lead?.product_name || 'Buyer enquiry';
+    return { description: `Lead purchase: ${title}`, sac: SAC_CODES.LEAD_PURCHASE, paid, listPrice: paid, discount: 0 };
+  }
+
+  // Prorated plan changes: list price of the new plan less credit for the old plan's unused days
+  if (payment.plan_change_id) {
+    return {
+      description: payment.description || 'Plan change',
+      sac: SAC_CODES.SUBSCRIPTION,
+      paid,
+      listPrice,
+      discount,
+      discountLabel: 'credit for unused days',
+    };
+  }
+
+  let planName = '';
+  if (payment.plan_id) {
+    const { data: plan } = await supabase.from('vendor_plans').select('name').eq('id', payment.plan_id).maybeSingle();
+    planName = plan?.name || '';
+  }
+  return {
+    description: `${planName || 'Subscription'} Plan subscription`,
+    sac: SAC_CODES.SUBSCRIPTION,
+    paid,
+    listPrice,
+    discount,
+  };
+}
+
+/**
+ * Issue (once) the GST tax invoice for a completed vendor payment and cache its PDF on the payment.
+ * Safe to call repeatedly: the RPC returns the existing invoice for the payment.
+ */
+export async function ensurePaymentInvoice(paymentOrId) {
+  const payment = typeof paymentOrId === 'object' && paymentOrId ? paymentOrId : await loadPayment(paymentOrId);
+  const existing = await findInvoiceForPayment(payment.id);
+  if (existing) return existing;
+  if (payment.status && !INVOICEABLE_STATUSES.includes(String(payment.status).toUpperCase())) {
+    throw httpError(409, 'Invoices are only issued for completed payments');
+  }
+
+  const { data: vendor } = await supabase.from('vendors').select('*').eq('id', payment.vendor_id).maybeSingle();
+  const supplier = getPlatformSupplier();
+  const recipient = recipientFromVendor(vendor || {});
+  const item = await buildPaymentItem(payment);
+
+  // Place of supply (B2B services): recipient's state, else supplier's own state
+  const breakup = computeGstBreakup({
+    grossAmount: item.paid,
+    rate: GST_RATE,
+    supplierStateCode: supplier.state_code,
+    placeOfSupplyCode: recipient.state_code,
+  });
+
+  const invoice = await issueDocument({
+    document_type: 'INVOICE',
+    document_date: payment.payment_date || new Date().toISOString(),
+    vendor_id: payment.vendor_id,
+    payment_id: payment.id,
+    supplier,
+    recipient,
+    ...breakup,
+    place_of_supply: stateNameFor(breakup.place_of_supply_code),
+    items: [
+      {
+        description: item.description,
+        sac: item.sac,
+        quantity: 1,
+        list_price: item.listPrice,
+        discount: item.discount,
+        coupon_code: payment.coupon_code || null,
+        discount_label: item.discountLabel || null,
+        taxable_value: breakup.taxable_value,
+        gst_rate: GST_RATE,
+      },
+    ],
+    amount_in_words: amountInWords(breakup.grand_total),
+    reference: payment.transaction_id || null,
+    payment_method: payment.payment_method || 'Razorpay',
+  });
+
+  const { error } = await supabase
+    .from('vendor_payments')
+    .update({
+      invoice_number: invoice.document_number,
+      tax_amount: invoice.total_tax,
+      invoice_url: generateInvoicePDF(invoice),
+    })
+    .eq('id', payment.id);
+  if (error) console.warn('Invoice cache update failed:', error.message);
+
+  return invoice;
+}
+
+/**
+ * Credit note against a payment's invoice (refunds). Mirrors the invoice's tax split;
+ * the RPC rejects credits that would exceed the invoice total.
+ */
+export async function issueCreditNote({ paymentId, amount, reason, reference } = {}) {
+  const invoice = await ensurePaymentInvoice(paymentId);
+  const credit = roundMoney(amount ?? invoice.grand_total);
+  if (!(credit > 0)) throw httpError(400, 'Credit amount must be greater than zero');
+
+  const breakup = computeGstBreakup({
+    grossAmount: credit,
+    rate: Number(invoice.cgst_rate || 0) * 2 || Number(invoice.igst_rate || 0) || GST_RATE,
+    supplierStateCode: invoice.supplier?.state_code,
+    placeOfSupplyCode: invoice.place_of_supply_code,
+  });
+  const sourceItem = Array.isArray(invoice.items) ? invoice.items[0] : null;
+
+  return issueDocument({
+    document_type: 'CREDIT_NOTE',
+    vendor_id: invoice.vendor_id,
+    payment_id: invoice.payment_id,
+    original_document_id: invoice.id,
+    supplier: invoice.supplier,
+    recipient: invoice.recipient,
+    ...breakup,
+    supply_type: invoice.supply_type,
+    place_of_supply_code: invoice.place_of_supply_code,
+    place_of_supply: invoice.place_of_supply,
+    items: [
+      {
+        description: `Refund against ${invoice.document_number}${sourceItem?.description ? ` — ${sourceItem.description}` : ''}`,
+        sac: sourceItem?.sac || SAC_CODES.SUBSCRIPTION,
+        quantity: 1,
+        taxable_value: breakup.taxable_value,
+        gst_rate: breakup.cgst_rate * 2 || breakup.igst_rate,
+      },
+    ],
+    amount_in_words: amountInWords(breakup.grand_total),
+    reason: String(reason || 'Refund').slice(0, 300),
+    reference: reference || null,
+  });
+}
+
+/**
+ * Invoice + credit notes for a payment, as PDFs. Read-only: invoices are issued by fulfillment/webhooks.
+ * `vendorId` restricts the lookup to that vendor's payments.
+ * `refresh` re-renders the invoice PDF from its snapshot (the number never changes).
+ */
+export async function getPaymentDocuments(paymentId, { refresh = false, vendorId = null } = {}) {
+  const payment = await loadPayment(paymentId);
+  if (vendorId && payment.vendor_id !== vendorId) throw httpError(404, 'Payment not found');
+
+  const invoice = await findInvoiceForPayment(payment.id);
+  if (!invoice) throw httpError(404, 'Invoice not issued yet');
+
+  let pdf = payment.invoice_url;
+  if (refresh || !pdf || payment.invoice_number !== invoice.document_number) {
+    pdf = generateInvoicePDF(invoice);
+    await supabase
+      .from('vendor_payments')
+      .update({ invoice_url: pdf, invoice_number: invoice.document_number, tax_amount: invoice.total_tax })
+      .eq('id', payment.id);
+  }
+
+  const { data: notes, error } = await supabase
+    .from('tax_documents')
+    .select('*')
+    .eq('original_document_id', invoice.id)
+    .eq('document_type', 'CREDIT_NOTE')
+    .order('sequence_no', { ascending: true });
+  if (error) throw httpError(500, error.message);
+
+  return {
+    payment,
+    invoice,
+    invoice_pdf: pdf,
+    credit_notes: (notes || []).map((note) => ({
+      id: note.id,
+      document_number: note.document_number,
+      document_date: note.document_date,
+      grand_total: note.grand_total,
+      reason: note.reason,
+      pdf: generateInvoicePDF({ ...note, original_document_number: invoice.document_number }),
+    })),
+  };
+}
+
+/** Same as getPaymentDocuments, looked up by Razorpay payment id */
+export async function getPaymentDocumentsByTransaction(transactionId, options = {}) {
+  const { data, error } = await supabase
+    .from('vendor_payments')
+    .select('id')
+    .eq('transaction_id', transactionId)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!data) throw httpError(404, 'Payment not found');
+  return getPaymentDocuments(data.id, options);
+}
+
+/**
+ * Razorpay-paid lead purchase: record it as a vendor payment and issue its invoice.
+ * Idempotent per purchase.
+ */
+export async function recordLeadPurchasePayment({ vendorId, purchaseId, amount, transactionId, description }) {
+  if (!purchaseId) throw httpError(400, 'purchaseId is required');
+
+  let { data: payment } = await supabase
+    .from('vendor_payments')
+    .select('*')
+    .eq('lead_purchase_id', purchaseId)
+    .maybeSingle();
+
+  if (!payment) {
+    const { data, error } = await supabase
+      .from('vendor_payments')
+      .insert([
+        {
+          vendor_id: vendorId,
+          lead_purchase_id: purchaseId,
+          amount: roundMoney(amount),
+          discount_amount: 0,
+          net_amount: roundMoney(amount),
+          description: description || 'Lead purchase',
+          status: 'COMPLETED',
+          payment_method: 'Razorpay',
+          transaction_id: transactionId || null,
+          payment_date: new Date().toISOString(),
+        },
+      ])
+      .select('*')
+      .single();
+    if (error && !isUniqueViolation(error)) throw httpError(500, error.message);
+    payment = data;
+    if (!payment) {
+      // A concurrent verify / webhook recorded this purchase first
+      ({ data: payment } = await supabase.from('vendor_payments').select('*').eq('lead_purchase_id', purchaseId).maybeSingle());
+      if (!payment) throw httpError(500, error?.message || 'Failed to record lead purchase payment');
+    }
+  }
+
+  const invoice = await ensurePaymentInvoice(payment);
+  return { payment, invoice };
+}
+
+/** Credit note for a refunded Razorpay lead purchase (lead dispute approved) */
+export async function creditNoteForLeadRefund({ purchaseId, amount, refundId, reason } = {}) {
+  const { data: payment, error } = await supabase
+    .from('vendor_payments')
+    .select('id')
+    .eq('lead_purchase_id', purchaseId)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!payment) return null;
+  return issueCreditNote({ paymentId: payment.id, amount, reason: reason || 'Lead refund (dispute approved)', reference: refundId });
+}
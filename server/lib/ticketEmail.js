@@ -0,0 +1,546 @@
+import crypto from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { createTransporter } from './mailer.js';
+import { notifyRole } from './notify.js';
+import { parseRawEmail } from './mimeParser.js';
+import { autoAssignTicket } from './supportSla.js';
+import { escapeLike, httpError, isUniqueViolation, lower, nowIso, text } from './libUtils.js';
+
+// Support tickets by email (migration 20261105). Inbound raw RFC 822 messages open a ticket or thread
+// into one via the [ref:TOKEN] subject tag or, from the ticket's own addresses, In-Reply-To / References;
+// agent replies go back out as threaded emails whose Message-IDs are stored so the customer's answer
+// lands on the same ticket.
+
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const SIGNED_URL_SECONDS = 60 * 60;
+const REOPEN_STATUSES = ['RESOLVED', 'CLOSED'];
+
+const getAttachmentsBucket = () => text(process.env.SUPPORT_ATTACHMENTS_BUCKET) || 'support-attachments';
+
+const getInboundAddress = () => lower(process.env.SUPPORT_INBOUND_ADDRESS);
+
+const getMailFromAddress = () =>
+  process.env.MAIL_FROM || process.env.SMTP_USER || process.env.GMAIL_EMAIL || 'no-reply@indiantrademart.com';
+
+const ticketLabel = (ticket) => ticket.ticket_display_id || ticket.ticket_number || ticket.id;
+
+/** X-Inbound-Secret check for the inbound endpoint; 503 until SUPPORT_INBOUND_SECRET is set */
+export function assertInboundSecret(given) {
+  const secret = text(process.env.SUPPORT_INBOUND_SECRET);
+  if (!secret) throw httpError(503, 'Inbound email is not configured (SUPPORT_INBOUND_SECRET)');
+  const a = Buffer.from(text(given));
+  const b = Buffer.from(secret);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw httpError(401, 'Invalid inbound secret');
+}
+
+export const extractReplyToken = (subject) => {
+  const m = String(subject || '').match(/\[ref:([a-z0-9]{8,32})\]/i);
+  return m ? m[1].toLowerCase() : null;
+};
+
+// Drop reply prefixes and our own [TKT-…] / [ref:…] tags so a new ticket gets the customer's subject
+const cleanSubject = (subject) =>
+  text(
+    String(subject || '')
+      .replace(/\[ref:[^\]]*\]/gi, '')
+      .replace(/\[TKT-[^\]]*\]/gi, '')
+      .replace(/^((re|fw|fwd|aw)\s*:\s*)+/i, '')
+  ) || '(no subject)';
+
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&amp;/gi, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** Keep only the new part of a reply: cut at "On … wrote:", Outlook separators and quoted (>) lines */
+export function stripQuotedReply(body) {
+  const lines = String(body || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const joined = `${line} ${lines[i + 1] || ''}`;
+    if (/^\s*>/.test(line)) break;
+    if (/^\s*-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+    if (/^\s*_{10,}\s*$/.test(line)) break;
+    if (/^\s*From:\s.+/i.test(line) && /^\s*(Sent|Date|To):\s/i.test(lines[i + 1] || '')) break;
+    if (/^\s*On\s.+wrote:\s*$/i.test(line) || /^\s*On\s.+\swrote:\s*$/i.test(joined)) break;
+    kept.push(line);
+  }
+  return kept.join('\n').trim();
+}
+
+const escapeHtml = (value) =>
+  String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const notifySupportTeam = async (payload) => {
+  await notifyRole('ADMIN', payload);
+  await notifyRole('SUPERADMIN', payload);
+  await notifyRole('SUPPORT', payload);
+};
+
+async function findSender(address) {
+  const email = escapeLike(lower(address));
+  const [{ data: vendor }, { data: buyer }] = await Promise.all([
+    supabase.from('vendors').select('id, user_id').ilike('email', email).limit(1).maybeSingle(),
+    supabase.from('buyers').select('id, user_id').ilike('email', email).limit(1).maybeSingle(),
+  ]);
+  if (vendor?.id) return { senderType: 'VENDOR', vendorId: vendor.id, buyerId: null, userId: vendor.user_id || null };
+  if (buyer?.id) return { senderType: 'BUYER', vendorId: null, buyerId: buyer.id, userId: buyer.user_id || null };
+  return { senderType: 'CUSTOMER', vendorId: null, buyerId: null, userId: null };
+}
+
+// Our outbound Message-IDs look like <ticket.{ticketId}.{suffix}@domain>
+const OUTBOUND_ID = /^<ticket\.([0-9a-f-]{36})\.[^@]+@[^>]+>$/i;
+
+// Addresses that may reply on a ticket: its requester and the vendor / buyer it belongs to
+async function ticketAddresses(ticket) {
+  const [{ data: vendor }, { data: buyer }] = await Promise.all([
+    ticket.vendor_id ? supabase.from('vendors').select('email').eq('id', ticket.vendor_id).maybeSingle() : { data: null },
+    ticket.buyer_id ? supabase.from('buyers').select('email').eq('id', ticket.buyer_id).maybeSingle() : { data: null },
+  ]);
+  return [ticket.requester_email, vendor?.email, buyer?.email].map(lower).filter(Boolean);
+}
+
+/** Ticket an inbound email replies to, as { ticket, byToken }; byToken = matched on the [ref:TOKEN] tag */
+async function findThreadTicket(parsed) {
+  const token = extractReplyToken(parsed.subject);
+  if (token) {
+    const { data } = await supabase.from('support_tickets').select('*').eq('reply_token', token).maybeSingle();
+    if (data) return { ticket: data, byToken: true };
+  }
+
+  const ids = [...new Set([parsed.inReplyTo, ...parsed.references].filter(Boolean))].slice(-20);
+  if (!ids.length) return null;
+
+  let ticketId = null;
+  const { data: byMessage } = await supabase
+    .from('ticket_messages')
+    .select('ticket_id')
+    .in('email_message_id', ids)
+    .limit(1);
+  ticketId = byMessage?.[0]?.ticket_id || null;
+
+  if (!ticketId) {
+    const { data: byTicket } = await supabase
+      .from('support_tickets')
+      .select('id')
+      .in('source_message_id', ids)
+      .limit(1);
+    ticketId = byTicket?.[0]?.id || null;
+  }
+
+  if (!ticketId) {
+    const outbound = ids.map((id) => id.match(OUTBOUND_ID)).find(Boolean);
+    ticketId = outbound ? outbound[1] : null;
+  }
+
+  if (!ticketId) return null;
+  const { data } = await supabase.from('support_tickets').select('*').eq('id', ticketId).maybeSingle();
+  return data ? { ticket: data, byToken: false } : null;
+}
+
+async function findDuplicate(messageId) {
+  const { data: message } = await supabase
+    .from('ticket_messages')
+    .select('id, ticket_id')
+    .eq('email_message_id', messageId)
+    .maybeSingle();
+  if (message) return { ticket_id: message.ticket_id, message_id: message.id };
+
+  const { data: ticket } = await supabase
+    .from('support_tickets')
+    .select('id')
+    .eq('source_message_id', messageId)
+    .maybeSingle();
+  return ticket ? { ticket_id: ticket.id, message_id: null } : null;
+}
+
+const safeFileName = (name) =>
+  String(name || 'attachment')
+    .replace(/[^a-zA-Z0-9._-]/g, '_')
+    .replace(/^_+/, '')
+    .slice(0, 120) || 'attachment';
+
+const isBucketMissingError = (error) => {
+  const msg = lower(error?.message);
+  return msg.includes('bucket not found') || (msg.includes('bucket') && msg.includes('not found'));
+};
+
+async function uploadAttachment(bucket, path, file) {
+  const upload = () =>
+    supabase.storage.from(bucket).upload(path, file.content, {
+      contentType: file.contentType || 'application/octet-stream',
+      upsert: true,
+    });
+
+  let { error } = await upload();
+  if (error && isBucketMissingError(error)) {
+    // Private bucket: agents get signed URLs, customers' files are never public
+    const { error: createError } = await supabase.storage.createBucket(bucket, { public: false });
+    if (createError && !lower(createError.message).includes('already exists')) throw createError;
+    ({ error } = await upload());
+  }
+  if (error) throw error;
+}
+
+async function storeAttachments(ticketId, messageId, attachments = []) {
+  const bucket = getAttachmentsBucket();
+  const stored = [];
+  const skipped = [];
+
+  for (const file of attachments) {
+    if (stored.length >= MAX_ATTACHMENTS) {
+      skipped.push({ file_name: file.filename, reason: `More than ${MAX_ATTACHMENTS} attachments` });
+      continue;
+    }
+    if (!file.size || file.size > MAX_ATTACHMENT_BYTES) {
+      skipped.push({ file_name: file.filename, reason: file.size ? 'File too large' : 'Empty file' });
+      continue;
+    }
+
+    const path = `${ticketId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeFileName(file.filename)}`;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await uploadAttachment(bucket, path, file);
+      // eslint-disable-next-line no-await-in-loop
+      const { data, error } = await supabase
+        .from('ticket_attachments')
+        .insert([{
+          ticket_id: ticketId,
+          message_id: messageId || null,
+          file_name: text(file.filename).slice(0, 255) || 'attachment',
+          content_type: file.contentType || null,
+          size_bytes: file.size,
+          storage_bucket: bucket,
+          storage_path: path,
+          content_id: file.contentId || null,
+        }])
+        .select()
+        .single();
+      if (error) throw error;
+      stored.push(data);
+    } catch (err) {
+      console.error('❌ Ticket attachment upload failed:', err?.message || err);
+      skipped.push({ file_name: file.filename, reason: err?.message || 'Upload failed' });
+    }
+  }
+
+  return { stored, skipped };
+}
+
+async function sendMail({ to, subject, body, messageId, inReplyTo, references }) {
+  const transporter = createTransporter();
+  if (!transporter) throw httpError(503, 'Mail transport not configured');
+
+  const appName = process.env.APP_NAME || 'IndianTradeMart';
+  const footer = 'Reply to this email to add to your ticket. Please keep the [ref:…] tag in the subject.';
+  await transporter.sendMail({
+    from: `"${appName} Support" <${getMailFromAddress()}>`,
+    to,
+    replyTo: getInboundAddress() || undefined,
+    subject,
+    messageId,
+    inReplyTo: inReplyTo || undefined,
+    references: references?.length ? references : undefined,
+    text: `${body}\n\n--\n${footer}`,
+    html: `<div style="white-space:pre-wrap">${escapeHtml(body)}</div><hr><p style="color:#6b7280;font-size:12px">${escapeHtml(footer)}</p>`,
+  });
+}
+
+const newMessageId = (ticketId) => {
+  const domain = getMailFromAddress().split('@')[1] || 'indiantrademart.com';
+  return `<ticket.${ticketId}.${Date.now()}.${crypto.randomBytes(4).toString('hex')}@${domain}>`;
+};
+
+const threadSubject = (ticket) => {
+  const tag = ticket.reply_token ? ` [ref:${ticket.reply_token}]` : '';
+  return `Re: ${cleanSubject(ticket.subject)} [${ticketLabel(ticket)}]${tag}`;
+};
+
+async function sendAcknowledgement(ticket, parsed) {
+  const to = ticket.requester_email;
+  if (!to) return;
+  try {
+    await sendMail({
+      to,
+      subject: threadSubject(ticket),
+      body: `Hi ${ticket.requester_name || 'there'},\n\nWe have received your request and opened ticket ${ticketLabel(ticket)}. Our support team will get back to you shortly.`,
+      messageId: newMessageId(ticket.id),
+      inReplyTo: parsed.messageId,
+      references: [parsed.messageId].filter(Boolean),
+    });
+  } catch (err) {
+    console.error('❌ Ticket acknowledgement email failed:', err?.message || err);
+  }
+}
+
+/**
+ * Ingest one raw RFC 822 message. Returns { status: CREATED | THREADED | DUPLICATE | IGNORED, ticket_id,
+ * message_id, attachments, skipped_attachments }.
+ */
+export async function ingestInboundEmail(raw) {
+  if (!raw || !raw.length) throw httpError(400, 'Empty email body');
+
+  const parsed = parseRawEmail(raw);
+  const sender = parsed.from || parsed.replyTo;
+  if (!sender?.address) throw httpError(422, 'Email has no From address');
+
+  // Mail loops: bounces, vacation replies and our own outbound copies
+  const autoSubmitted = lower((parsed.headers.get('auto-submitted') || [])[0]);
+  const ownAddresses = [getInboundAddress(), lower(getMailFromAddress())].filter(Boolean);
+  if ((autoSubmitted && autoSubmitted !== 'no') || ownAddresses.includes(sender.address)) {
+    return { status: 'IGNORED', reason: autoSubmitted ? 'Auto-submitted message' : 'Sent by the support mailbox' };
+  }
+
+  const messageId = parsed.messageId
+    || `<sha256.${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 40)}@inbound>`;
+
+  const duplicate = await findDuplicate(messageId);
+  if (duplicate) return { status: 'DUPLICATE', ...duplicate };
+
+  const bodyText = parsed.text != null ? parsed.text : htmlToText(parsed.html);
+  const body = stripQuotedReply(bodyText) || text(bodyText) || (parsed.attachments.length ? '(attachments only)' : '(empty message)');
+
+  const from = await findSender(sender.address);
+  const thread = await findThreadTicket(parsed);
+  const isParty = thread ? (await ticketAddresses(thread.ticket)).includes(sender.address) : false;
+  // Message-IDs are not secret (a bare <ticket.{id}…> names any ticket), so they only thread mail from the
+  // ticket's own addresses; the [ref:] token threads anyone, but a stranger is not credited to an account
+  const ticket = thread && (thread.byToken || isParty) ? thread.ticket : null;
+
+  if (ticket) {
+    const { data: message, error } = await supabase
+      .from('ticket_messages')
+      .insert([{
+        ticket_id: ticket.id,
+        sender_id: isParty ? from.userId : null,
+        sender_type: isParty ? from.senderType : 'CUSTOMER',
+        message: body,
+        channel: 'EMAIL',
+        email_message_id: messageId,
+        email_in_reply_to: parsed.inReplyTo,
+        email_from: sender.address,
+        created_at: nowIso(),
+      }])
+      .select()
+      .single();
+    if (error) {
+      if (isUniqueViolation(error)) return { status: 'DUPLICATE', ticket_id: ticket.id, message_id: null };
+      throw httpError(500, `Failed to add email to ticket: ${error.message}`);
+    }
+
+    const reopen = REOPEN_STATUSES.includes(String(ticket.status || '').toUpperCase());
+    await supabase
+      .from('support_tickets')
+      .update({
+        last_reply_at: nowIso(),
+        updated_at: nowIso(),
+        ...(reopen ? { status: 'OPEN', resolved_at: null } : {}),
+      })
+      .eq('id', ticket.id);
+
+    const files = await storeAttachments(ticket.id, message.id, parsed.attachments);
+
+    await notifySupportTeam({
+      type: 'SUPPORT_MESSAGE',
+      title: `Email reply on ${ticketLabel(ticket)}${reopen ? ' (reopened)' : ''}`,
+      message: body.slice(0, 240),
+      link: '/admin/tickets',
+    });
+
+    return {
+      status: 'THREADED',
+      ticket_id: ticket.id,
+      message_id: message.id,
+      reopened: reopen,
+      attachments: files.stored.length,
+      skipped_attachments: files.skipped,
+    };
+  }
+
+  const ticketNumber = `TKT-${Date.now()}`;
+  const { data: created, error: createError } = await supabase
+    .from('support_tickets')
+    .insert([{
+      subject: cleanSubject(parsed.subject).slice(0, 250),
+      description: body,
+      category: 'Email',
+      priority: 'MEDIUM',
+      status: 'OPEN',
+      vendor_id: from.vendorId,
+      buyer_id: from.buyerId,
+      ticket_display_id: ticketNumber,
+      attachments: JSON.stringify([]),
+      source: 'EMAIL',
+      source_message_id: messageId,
+      requester_email: sender.address,
+      requester_name: sender.name || null,
+      created_at: nowIso(),
+    }])
+    .select()
+    .single();
+  if (createError) {
+    if (isUniqueViolation(createError)) return { status: 'DUPLICATE', ...(await findDuplicate(messageId)) };
+    throw httpError(500, `Failed to create ticket from email: ${createError.message}`);
+  }
+
+  let ticketRow = created;
+  try {
+    ticketRow = (await autoAssignTicket(created.id)) || created;
+  } catch (assignError) {
+    console.error('❌ Auto-assign failed (cron will retry):', assignError.message);
+  }
+
+  const files = await storeAttachments(created.id, null, parsed.attachments);
+
+  await notifySupportTeam({
+    type: 'SUPPORT_TICKET',
+    title: `New support ticket by email: ${ticketNumber}`,
+    message: `${sender.address}: ${ticketRow.subject}`,
+    link: '/admin/tickets',
+  });
+
+  await sendAcknowledgement(ticketRow, { ...parsed, messageId });
+
+  return {
+    status: 'CREATED',
+    ticket_id: created.id,
+    message_id: null,
+    attachments: files.stored.length,
+    skipped_attachments: files.skipped,
+  };
+}
+
+async function resolveRecipient(ticket) {
+  if (ticket.requester_email) return ticket.requester_email;
+  if (ticket.vendor_id) {
+    const { data } = await supabase.from('vendors').select('email').eq('id', ticket.vendor_id).maybeSingle();
+    if (data?.email) return data.email;
+  }
+  if (ticket.buyer_id) {
+    const { data } = await supabase.from('buyers').select('email').eq('id', ticket.buyer_id).maybeSingle();
+    if (data?.email) return data.email;
+  }
+  return null;
+}
+
+/**
+ * Email an agent reply to the customer, threaded under the ticket's earlier emails. Never throws: the
+ * outcome is stored on the message (email_status SENT / FAILED / SKIPPED) and the updated row returned.
+ */
+export async function sendTicketReplyEmail(ticket, message) {
+  if (!ticket?.id || !message?.id) return message;
+
+  const record = async (patch) => {
+    const { data, error } = await supabase
+      .from('ticket_messages')
+      .update(patch)
+      .eq('id', message.id)
+      .select()
+      .single();
+    if (error) {
+      console.error('❌ Failed to record ticket email status:', error.message);
+      return { ...message, ...patch };
+    }
+    return data;
+  };
+
+  try {
+    const to = await resolveRecipient(ticket);
+    if (!to) return record({ email_status: 'SKIPPED', email_error: 'No customer email on this ticket' });
+
+    const { data: earlier } = await supabase
+      .from('ticket_messages')
+      .select('email_message_id')
+      .eq('ticket_id', ticket.id)
+      .not('email_message_id', 'is', null)
+      .neq('id', message.id)
+      .order('created_at', { ascending: true });
+    const references = [ticket.source_message_id, ...(earlier || []).map((m) => m.email_message_id)]
+      .filter(Boolean)
+      .slice(-20);
+
+    const messageId = newMessageId(ticket.id);
+    await sendMail({
+      to,
+      subject: threadSubject(ticket),
+      body: String(message.message || ''),
+      messageId,
+      inReplyTo: references[references.length - 1],
+      references,
+    });
+
+    return record({
+      email_status: 'SENT',
+      email_error: null,
+      email_message_id: messageId,
+      email_in_reply_to: references[references.length - 1] || null,
+      email_sent_at: nowIso(),
+    });
+  } catch (err) {
+    console.error('❌ Ticket reply email failed:', err?.message || err);
+    const skipped = err?.statusCode === 503;
+    return record({ email_status: skipped ? 'SKIPPED' : 'FAILED', email_error: String(err?.message || err).slice(0, 500) });
+  }
+}
+
+/**
+ * Attachments of a ticket with short-lived signed URLs: { byMessage: Map(message_id -> []), ticket: [] }
+ * (ticket-level files are the ones that came with the email opening the ticket).
+ */
+export async function listTicketAttachments(ticketId) {
+  const { data, error } = await supabase
+    .from('ticket_attachments')
+    .select('*')
+    .eq('ticket_id', ticketId)
+    .order('created_at', { ascending: true });
+  // Migration not applied yet: behave as if there are no attachments
+  if (error) return { byMessage: new Map(), ticket: [] };
+
+  const rows = await Promise.all(
+    (data || []).map(async (row) => {
+      const { data: signed } = await supabase.storage
+        .from(row.storage_bucket)
+        .createSignedUrl(row.storage_path, SIGNED_URL_SECONDS);
+      return { ...row, url: signed?.signedUrl || null };
+    })
+  );
+
+  const byMessage = new Map();
+  const ticket = [];
+  for (const row of rows) {
+    if (!row.message_id) {
+      ticket.push(row);
+      continue;
+    }
+    const list = byMessage.get(row.message_id) || [];
+    list.push(row);
+    byMessage.set(row.message_id, list);
+  }
+  return { byMessage, ticket };
+}
+
+/** Messages with their attachments inlined, plus the ticket-level attachments */
+export async function withTicketAttachments(ticketId, messages = []) {
+  const { byMessage, ticket } = await listTicketAttachments(ticketId);
+  return {
+    messages: messages.map((m) => ({ ...m, attachments: byMessage.get(m.id) || [] })),
+    attachments: ticket,
+  };
+}
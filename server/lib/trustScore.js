@@ -0,0 +1,427 @@
+import { supabase } from './supabaseClient.js';
+import { httpError, nowIso } from './libUtils.js';
+
+// Trust score (migration 20261029). Each factor contributes up to `max` points; the total is 0-100.
+export const TRUST_SCORE_FACTORS = [
+  { key: 'kyc', label: 'KYC verification', max: 25 },
+  { key: 'documents', label: 'Business documents', max: 15 },
+  { key: 'gst', label: 'GST verification', max: 10 },
+  { key: 'account_age', label: 'Time on IndianTradeMart', max: 10 },
+  { key: 'response_time', label: 'Response time to buyers', max: 15 },
+  { key: 'complaints', label: 'Buyer complaints', max: 10 },
+  { key: 'reviews', label: 'Buyer ratings', max: 15 },
+];
+
+export const TRUST_SCORE_VERSION = 1;
+
+// Scores older than this are recomputed when the vendor opens the dashboard
+export const TRUST_SCORE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Manual refresh is throttled to one per window
+export const TRUST_SCORE_REFRESH_COOLDOWN_MS = 15 * 60 * 1000;
+
+const REQUIRED_DOCUMENTS = [
+  { type: 'GST', label: 'GST certificate' },
+  { type: 'PAN', label: 'PAN card' },
+  { type: 'AADHAR', label: 'Aadhaar card' },
+  { type: 'BANK', label: 'bank proof' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const RESPONSE_WINDOW_DAYS = 90;
+const COMPLAINT_WINDOW_DAYS = 180;
+const FULL_AGE_DAYS = 730;
+const MIN_RESPONSE_SAMPLES = 3;
+const MAX_PROPOSALS_SCANNED = 200;
+const MAX_MESSAGES_SCANNED = 3000;
+const RECOMPUTE_BATCH_SIZE = 100;
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round1 = (value) => Math.round(Number(value) * 10) / 10;
+const clamp = (value, min, max) => Math.min(Math.max(Number(value) || 0, min), max);
+const daysAgoIso = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const maxFor = (key) => TRUST_SCORE_FACTORS.find((f) => f.key === key)?.max || 0;
+
+const factor = (key, points, detail, tip = null) => {
+  const def = TRUST_SCORE_FACTORS.find((f) => f.key === key);
+  const max = def?.max || 0;
+  const value = round1(clamp(points, 0, max));
+  return {
+    key,
+    label: def?.label || key,
+    points: value,
+    max,
+    detail,
+    tip: value < max ? tip : null,
+  };
+};
+
+const normalizeDocType = (value) => {
+  const t = String(value || '').trim().toUpperCase();
+  if (t.startsWith('AADHA')) return 'AADHAR';
+  if (t.startsWith('BANK') || t === 'CANCELLED_CHEQUE') return 'BANK';
+  if (t.startsWith('GST')) return 'GST';
+  if (t.startsWith('PAN')) return 'PAN';
+  return t;
+};
+
+const isVerifiedStatus = (value) => ['VERIFIED', 'APPROVED'].includes(String(value || '').trim().toUpperCase());
+const isRejectedStatus = (value) => String(value || '').trim().toUpperCase() === 'REJECTED';
+
+const median = (values = []) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Optional tables (older databases) count as "no data" instead of failing the whole score
+const countOrZero = async (query) => {
+  const { count, error } = await query;
+  if (error) return 0;
+  return count || 0;
+};
+
+/**
+ * Hours from a buyer message to the vendor's next reply, per proposal thread.
+ * Consecutive buyer messages count from the first unanswered one.
+ */
+export function responseDelaysHours(messages = [], vendorUserId) {
+  const vendorSender = String(vendorUserId || '');
+  const byProposal = new Map();
+  for (const m of messages) {
+    const key = String(m?.proposal_id || '');
+    if (!byProposal.has(key)) byProposal.set(key, []);
+    byProposal.get(key).push(m);
+  }
+
+  const delays = [];
+  for (const rows of byProposal.values()) {
+    rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    let waitingSince = null;
+    for (const row of rows) {
+      const at = new Date(row.created_at).getTime();
+      if (!Number.isFinite(at)) continue;
+      const fromVendor = vendorSender && String(row.sender_id || '') === vendorSender;
+      if (!fromVendor) {
+        if (waitingSince === null) waitingSince = at;
+      } else if (waitingSince !== null) {
+        delays.push(Math.max(0, (at - waitingSince) / HOUR_MS));
+        waitingSince = null;
+      }
+    }
+  }
+  return delays;
+}
+
+async function loadTrustInputs(vendorId) {
+  const { data: vendor, error } = await supabase
+    .from('vendors')
+    .select('id, user_id, kyc_status, gst_number, gst_verified, created_at, seller_rating, review_count')
+    .eq('id', vendorId)
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!vendor) throw httpError(404, 'Vendor not found');
+
+  const { data: documents } = await supabase
+    .from('vendor_documents')
+    .select('document_type, verification_status')
+    .eq('vendor_id', vendorId);
+
+  const { data: proposals } = await supabase
+    .from('proposals')
+    .select('id')
+    .eq('vendor_id', vendorId)
+    .gte('created_at', daysAgoIso(RESPONSE_WINDOW_DAYS))
+    .order('created_at', { ascending: false })
+    .limit(MAX_PROPOSALS_SCANNED);
+
+  let messages = [];
+  const proposalIds = (proposals || []).map((p) => p.id);
+  if (proposalIds.length) {
+    const { data } = await supabase
+      .from('proposal_messages')
+      .select('proposal_id, sender_id, created_at')
+      .in('proposal_id', proposalIds)
+      .order('created_at', { ascending: true })
+      .limit(MAX_MESSAGES_SCANNED);
+    messages = data || [];
+  }
+
+  const since = daysAgoIso(COMPLAINT_WINDOW_DAYS);
+  const [complaintTickets, notContacted] = await Promise.all([
+    countOrZero(
+      supabase
+        .from('support_tickets')
+        .select('id', { count: 'exact', head: true })
+        .eq('vendor_id', vendorId)
+        .not('buyer_id', 'is', null)
+        .gte('created_at', since)
+    ),
+    countOrZero(
+      supabase
+        .from('lead_contact_feedback')
+        .select('id', { count: 'exact', head: true })
+        .eq('vendor_id', vendorId)
+        .eq('contacted', false)
+        .gte('created_at', since)
+    ),
+  ]);
+
+  return {
+    vendor,
+    documents: documents || [],
+    responseDelays: responseDelaysHours(messages, vendor.user_id),
+    complaintTickets,
+    notContacted,
+  };
+}
+
+/** Pure scoring step - takes the loaded inputs and returns { score, factors, metrics } */
+export function scoreTrustInputs({ vendor = {}, documents = [], responseDelays = [], complaintTickets = 0, notContacted = 0 } = {}) {
+  const factors = [];
+
+  // KYC
+  const kyc = String(vendor.kyc_status || 'PENDING').trim().toUpperCase();
+  if (['APPROVED', 'VERIFIED'].includes(kyc)) {
+    factors.push(factor('kyc', maxFor('kyc'), 'KYC approved'));
+  } else if (kyc === 'SUBMITTED') {
+    factors.push(factor('kyc', 10, 'KYC submitted, awaiting review', 'Our team is reviewing your KYC - full points once it is approved.'));
+  } else if (kyc === 'REJECTED') {
+    factors.push(factor('kyc', 0, 'KYC rejected', 'Re-upload the rejected documents and submit KYC again.'));
+  } else {
+    factors.push(factor('kyc', 0, 'KYC not submitted', 'Upload your KYC documents and submit them for verification.'));
+  }
+
+  // Documents: uploaded counts half, verified counts full
+  const perDoc = maxFor('documents') / REQUIRED_DOCUMENTS.length;
+  const docState = REQUIRED_DOCUMENTS.map((req) => {
+    const rows = documents.filter((d) => normalizeDocType(d.document_type) === req.type);
+    const verified = rows.some((d) => isVerifiedStatus(d.verification_status));
+    const pending = !verified && rows.some((d) => !isRejectedStatus(d.verification_status));
+    return { ...req, verified, pending };
+  });
+  const docPoints = docState.reduce((sum, d) => sum + (d.verified ? perDoc : d.pending ? perDoc / 2 : 0), 0);
+  const missingDocs = docState.filter((d) => !d.verified && !d.pending).map((d) => d.label);
+  const pendingDocs = docState.filter((d) => d.pending).map((d) => d.label);
+  factors.push(
+    factor(
+      'documents',
+      docPoints,
+      `${docState.filter((d) => d.verified).length} of ${REQUIRED_DOCUMENTS.length} documents verified`,
+      missingDocs.length
+        ? `Upload your ${missingDocs.join(', ')}.`
+        : `Waiting for verification of your ${pendingDocs.join(', ')}.`
+    )
+  );
+
+  // GST
+  const gstin = String(vendor.gst_number || '').trim().toUpperCase();
+  if (vendor.gst_verified === true) {
+    factors.push(factor('gst', maxFor('gst'), 'GSTIN verified'));
+  } else if (GSTIN_PATTERN.test(gstin)) {
+    factors.push(factor('gst', 4, 'GSTIN added, not yet verified', 'Upload your GST certificate so our team can verify your GSTIN.'));
+  } else {
+    factors.push(factor('gst', 0, gstin ? 'GSTIN looks invalid' : 'No GSTIN on profile', 'Add a valid 15-character GSTIN to your business profile.'));
+  }
+
+  // Account age
+  const created = new Date(vendor.created_at || Date.now()).getTime();
+  const ageDays = Math.max(0, Math.floor((Date.now() - (Number.isFinite(created) ? created : Date.now())) / DAY_MS));
+  factors.push(
+    factor(
+      'account_age',
+      (Math.min(ageDays, FULL_AGE_DAYS) / FULL_AGE_DAYS) * maxFor('account_age'),
+      ageDays >= 365 ? `Member for ${Math.floor(ageDays / 365)} year(s)` : `Member for ${ageDays} day(s)`,
+      'This grows automatically as your account gets older.'
+    )
+  );
+
+  // Response time (median over recent threads)
+  const medianHours = median(responseDelays);
+  if (responseDelays.length < MIN_RESPONSE_SAMPLES) {
+    factors.push(
+      factor('response_time', maxFor('response_time') / 2, 'Not enough buyer conversations yet', 'Reply to buyer messages quickly - scores improve once you have a few conversations.')
+    );
+  } else {
+    const bands = [
+      [2, 15],
+      [6, 12],
+      [24, 9],
+      [48, 5],
+    ];
+    const band = bands.find(([hours]) => medianHours <= hours);
+    factors.push(
+      factor(
+        'response_time',
+        band ? band[1] : 2,
+        `Typically replies in ${medianHours < 1 ? 'under an hour' : `${Math.round(medianHours)} hour(s)`}`,
+        'Reply to buyer messages within 2 hours to get full points.'
+      )
+    );
+  }
+
+  // Complaints
+  const complaintPoints = maxFor('complaints') - complaintTickets * 3 - notContacted * 2;
+  factors.push(
+    factor(
+      'complaints',
+      complaintPoints,
+      complaintTickets || notContacted
+        ? `${complaintTickets} complaint ticket(s), ${notContacted} buyer(s) not contacted after lead purchase (last ${COMPLAINT_WINDOW_DAYS} days)`
+        : `No complaints in the last ${COMPLAINT_WINDOW_DAYS} days`,
+      'Contact every buyer whose lead you buy and resolve open complaints with support.'
+    )
+  );
+
+  // Reviews: blend the average rating with a neutral baseline until there are enough reviews
+  const reviewCount = Number(vendor.review_count || 0);
+  const rating = vendor.seller_rating === null || vendor.seller_rating === undefined ? null : Number(vendor.seller_rating);
+  const reviewMax = maxFor('reviews');
+  const baseline = reviewMax * 0.4;
+  if (!reviewCount || rating === null || !Number.isFinite(rating)) {
+    factors.push(factor('reviews', baseline, 'No buyer reviews yet', 'Ask buyers you have quoted to leave a review.'));
+  } else {
+    const confidence = Math.min(reviewCount, 5) / 5;
+    const ratingPoints = ((clamp(rating, 1, 5) - 1) / 4) * reviewMax;
+    factors.push(
+      factor(
+        'reviews',
+        confidence * ratingPoints + (1 - confidence) * baseline,
+        `${rating.toFixed(1)} average from ${reviewCount} review(s)`,
+        reviewCount < 5 ? 'More reviews make your rating count fully - ask recent buyers for feedback.' : 'Improve quality and delivery to lift your average rating.'
+      )
+    );
+  }
+
+  const score = Math.round(clamp(factors.reduce((sum, f) => sum + f.points, 0), 0, 100));
+
+  return {
+    score,
+    factors,
+    metrics: {
+      kyc_status: kyc,
+      documents_verified: docState.filter((d) => d.verified).map((d) => d.type),
+      documents_pending: docState.filter((d) => d.pending).map((d) => d.type),
+      gst_verified: vendor.gst_verified === true,
+      account_age_days: ageDays,
+      response_samples: responseDelays.length,
+      median_response_hours: medianHours === null ? null : round1(medianHours),
+      complaint_tickets: complaintTickets,
+      not_contacted_feedback: notContacted,
+      seller_rating: rating,
+      review_count: reviewCount,
+    },
+  };
+}
+
+export async function computeVendorTrustScore(vendorId) {
+  const inputs = await loadTrustInputs(vendorId);
+  return scoreTrustInputs(inputs);
+}
+
+/** Compute and persist: breakdown row, history row and vendors.trust_score */
+export async function recomputeVendorTrustScore(vendorId) {
+  const result = await computeVendorTrustScore(vendorId);
+  const computedAt = nowIso();
+
+  const { error: upsertError } = await supabase.from('vendor_trust_scores').upsert(
+    [
+      {
+        vendor_id: vendorId,
+        score: result.score,
+        factors: result.factors,
+        metrics: result.metrics,
+        version: TRUST_SCORE_VERSION,
+        computed_at: computedAt,
+      },
+    ],
+    { onConflict: 'vendor_id' }
+  );
+  if (upsertError) throw httpError(500, upsertError.message);
+
+  await supabase
+    .from('vendor_trust_score_history')
+    .insert([{ vendor_id: vendorId, score: result.score, factors: result.factors, computed_at: computedAt }]);
+
+  const { error: vendorError } = await supabase
+    .from('vendors')
+    .update({ trust_score: result.score, trust_score_updated_at: computedAt })
+    .eq('id', vendorId);
+  if (vendorError) throw httpError(500, vendorError.message);
+
+  return { vendor_id: vendorId, ...result, computed_at: computedAt };
+}
+
+/** Stored breakdown, recomputed when missing, stale or from an older scoring version */
+export async function getVendorTrustScore(vendorId, { maxAgeMs = TRUST_SCORE_MAX_AGE_MS } = {}) {
+  const { data: row } = await supabase
+    .from('vendor_trust_scores')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  const age = row?.computed_at ? Date.now() - new Date(row.computed_at).getTime() : Infinity;
+  if (!row || row.version !== TRUST_SCORE_VERSION || !(age <= maxAgeMs)) {
+    return recomputeVendorTrustScore(vendorId);
+  }
+
+  return {
+    vendor_id: row.vendor_id,
+    score: Number(row.score),
+    factors: Array.isArray(row.factors) ? row.factors : [],
+    metrics: row.metrics || {},
+    computed_at: row.computed_at,
+  };
+}
+
+/** Vendor-triggered refresh after fixing something (throttled) */
+export async function refreshVendorTrustScore(vendorId) {
+  const { data: row } = await supabase
+    .from('vendor_trust_scores')
+    .select('computed_at')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+
+  const elapsed = row?.computed_at ? Date.now() - new Date(row.computed_at).getTime() : Infinity;
+  if (elapsed < TRUST_SCORE_REFRESH_COOLDOWN_MS) {
+    const minutes = Math.ceil((TRUST_SCORE_REFRESH_COOLDOWN_MS - elapsed) / 60000);
+    throw httpError(429, `Trust score was refreshed recently. Try again in ${minutes} minute(s).`);
+  }
+  return recomputeVendorTrustScore(vendorId);
+}
+
+/** Recompute every active vendor in batches; returns { processed, failed } */
+export async function recomputeAllTrustScores({ batchSize = RECOMPUTE_BATCH_SIZE } = {}) {
+  let processed = 0;
+  let failed = 0;
+  let from = 0;
+
+  for (;;) {
+    const { data: vendors, error } = await supabase
+      .from('vendors')
+      .select('id')
+      .eq('is_active', true)
+      .order('id', { ascending: true })
+      .range(from, from + batchSize - 1);
+    if (error) throw httpError(500, error.message);
+    if (!vendors?.length) break;
+
+    for (const v of vendors) {
+      try {
+        await recomputeVendorTrustScore(v.id);
+        processed += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`❌ Trust score failed for vendor ${v.id}:`, err?.message || err);
+      }
+    }
+
+    if (vendors.length < batchSize) break;
+    from += batchSize;
+  }
+
+  return { processed, failed };
+}
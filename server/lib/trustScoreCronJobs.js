@@ -0,0 +1,35 @@
+import cron from 'node-cron';
+import { recomputeAllTrustScores } from './trustScore.js';
+
+/**
+ * Recompute trust scores for all active vendors
+ * Runs daily at 4 AM UTC
+ */
+function recomputeDailyTrustScores() {
+  return cron.schedule(
+    '0 4 * * *',
+    async () => {
+      console.log('🛡️ Starting vendor trust score recompute...');
+      try {
+        const { processed, failed } = await recomputeAllTrustScores();
+        console.log(`✅ Trust scores recomputed for ${processed} vendors${failed ? ` (${failed} failed)` : ''}`);
+      } catch (err) {
+        console.error('❌ Error in recomputeDailyTrustScores:', err?.message || err);
+      }
+    },
+    { scheduled: true }
+  );
+}
+
+/**
+ * Initialize trust score cron jobs
+ */
+export function initializeTrustScoreCronJobs() {
+  try {
+    recomputeDailyTrustScores();
+    console.log('✅ Trust score cron jobs initialized');
+    console.log('   - Trust score recompute: Daily at 4 AM UTC');
+  } catch (err) {
+    console.error('❌ Error initializing trust score cron jobs:', err);
+  }
+}
@@ -0,0 +1,379 @@
+import { supabase } from './supabaseClient.js';
+import { notifyRole, notifyUser } from './notify.js';
+import { httpError, nowIso, textOrNull } from './libUtils.js';
+
+// Reviews (migration 20261028). Aggregates on vendors/products are maintained by trigger.
+export const REVIEW_DIMENSIONS = ['quality', 'communication', 'delivery', 'value'];
+export const REVIEW_STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const SOURCE_TYPES = ['QUOTATION', 'LEAD_PURCHASE'];
+const MAX_PAGE_SIZE = 50;
+
+const starOrNull = (value, label, { required = false } = {}) => {
+  if (value === null || value === undefined || value === '') {
+    if (required) throw httpError(400, `${label} rating is required`);
+    return null;
+  }
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 5) throw httpError(400, `${label} rating must be a whole number from 1 to 5`);
+  return n;
+};
+
+const pageOf = ({ limit, offset } = {}) => {
+  const size = Math.min(Math.max(Number(limit) || 10, 1), MAX_PAGE_SIZE);
+  const from = Math.max(Number(offset) || 0, 0);
+  return { from, to: from + size - 1 };
+};
+
+// "Rahul S." style name; reviews never expose buyer contact details
+const reviewerName = (buyer = {}) => {
+  const parts = String(buyer?.full_name || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return buyer?.company_name ? String(buyer.company_name).trim() : 'Verified buyer';
+  return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.` : parts[0];
+};
+
+const toPublicReview = (row = {}) => ({
+  id: row.id,
+  vendor_id: row.vendor_id,
+  product_id: row.product_id || null,
+  product_name: row.products?.name || null,
+  source_type: row.source_type,
+  reviewer_name: reviewerName(row.buyers),
+  reviewer_company: row.buyers?.company_name || null,
+  rating_overall: row.rating_overall,
+  rating_quality: row.rating_quality,
+  rating_communication: row.rating_communication,
+  rating_delivery: row.rating_delivery,
+  rating_value: row.rating_value,
+  product_rating: row.product_rating,
+  title: row.title,
+  comment: row.comment,
+  vendor_reply: row.vendor_reply,
+  vendor_replied_at: row.vendor_replied_at,
+  created_at: row.created_at,
+});
+
+async function getReview(reviewId) {
+  const { data, error } = await supabase.from('vendor_reviews').select('*').eq('id', reviewId).maybeSingle();
+  if (error) throw httpError(error.code === '22P02' ? 400 : 500, error.code === '22P02' ? 'Invalid review id' : error.message);
+  if (!data) throw httpError(404, 'Review not found');
+  return data;
+}
+
+const buyerFilters = (buyer = {}, { idColumn = 'buyer_id', emailColumn = 'buyer_email' } = {}) =>
+  [
+    buyer?.id ? `${idColumn}.eq.${buyer.id}` : null,
+    buyer?.email ? `${emailColumn}.eq.${String(buyer.email).trim().toLowerCase()}` : null,
+  ].filter(Boolean);
+
+/**
+ * Transactions that entitle a buyer to review a vendor:
+ * - QUOTATION: a quotation the vendor sent to the buyer
+ * - LEAD_PURCHASE: the vendor bought the buyer's lead and got in touch
+ *   (buyer confirmed contact, or the vendor moved the purchase past PURCHASED)
+ */
+export async function listReviewableSources(buyer, vendorId) {
+  const filters = buyerFilters(buyer);
+  if (!filters.length) return [];
+
+  const [quotesRes, leadsRes] = await Promise.all([
+    supabase
+      .from('proposals')
+      .select('id, title, product_name, created_at, buyer_email, proposal_type')
+      .eq('vendor_id', vendorId)
+      .not('buyer_email', 'is', null)
+      .or(filters.join(','))
+      .order('created_at', { ascending: false })
+      .limit(50),
+    supabase.from('leads').select('id, title, product_name, category').or(filters.join(',')).limit(500),
+  ]);
+  if (quotesRes.error) throw httpError(quotesRes.error.code === '22P02' ? 400 : 500, quotesRes.error.message);
+  if (leadsRes.error) throw httpError(500, leadsRes.error.message);
+
+  const sources = (quotesRes.data || [])
+    .filter((row) => row.proposal_type !== 'RFQ')
+    .map((row) => ({
+      source_type: 'QUOTATION',
+      source_id: row.id,
+      label: `Quotation: ${row.title || row.product_name || 'Quotation'}`,
+      date: row.created_at,
+    }));
+
+  const leadsById = new Map((leadsRes.data || []).map((lead) => [String(lead.id), lead]));
+  if (leadsById.size) {
+    const { data: purchases, error } = await supabase
+      .from('lead_purchases')
+      .select('id, lead_id, pipeline_stage, purchase_date, created_at')
+      .eq('vendor_id', vendorId)
+      .in('lead_id', Array.from(leadsById.keys()));
+    if (error) throw httpError(500, error.message);
+
+    if (purchases?.length) {
+      const { data: feedback } = await supabase
+        .from('lead_contact_feedback')
+        .select('purchase_id, contacted')
+        .in('purchase_id', purchases.map((row) => row.id));
+      const feedbackByPurchase = new Map((feedback || []).map((row) => [String(row.purchase_id), row]));
+
+      purchases.forEach((row) => {
+        const answer = feedbackByPurchase.get(String(row.id));
+        const contacted = answer ? answer.contacted === true : (row.pipeline_stage || 'PURCHASED') !== 'PURCHASED';
+        if (!contacted) return;
+        const lead = leadsById.get(String(row.lead_id)) || {};
+        sources.push({
+          source_type: 'LEAD_PURCHASE',
+          source_id: row.id,
+          label: `Requirement: ${lead.title || lead.product_name || lead.category || 'Lead'}`,
+          date: row.purchase_date || row.created_at,
+        });
+      });
+    }
+  }
+
+  if (!sources.length || !buyer?.id) return sources.map((s) => ({ ...s, review_id: null, review_status: null }));
+
+  const { data: existing } = await supabase
+    .from('vendor_reviews')
+    .select('id, source_type, source_id, status')
+    .eq('buyer_id', buyer.id)
+    .eq('vendor_id', vendorId);
+  const reviewed = new Map((existing || []).map((row) => [`${row.source_type}:${row.source_id}`, row]));
+
+  return sources.map((s) => {
+    const review = reviewed.get(`${s.source_type}:${s.source_id}`);
+    return { ...s, review_id: review?.id || null, review_status: review?.status || null };
+  });
+}
+
+/** Submit a review; it stays PENDING until support approves it */
+export async function createReview(buyer, vendorId, input = {}) {
+  if (!buyer?.id) throw httpError(404, 'Buyer profile not found');
+
+  const sourceType = String(input?.source_type || '').trim().toUpperCase();
+  const sourceId = String(input?.source_id || '').trim();
+  if (!SOURCE_TYPES.includes(sourceType) || !sourceId) {
+    throw httpError(400, 'Choose the quotation or requirement this review is about');
+  }
+
+  const sources = await listReviewableSources(buyer, vendorId);
+  const source = sources.find((s) => s.source_type === sourceType && String(s.source_id) === sourceId);
+  if (!source) throw httpError(403, 'You can only review suppliers you have dealt with on IndianTradeMart');
+  if (source.review_id) throw httpError(409, 'You have already reviewed this transaction');
+
+  const ratings = {
+    rating_overall: starOrNull(input?.rating_overall, 'Overall', { required: true }),
+    rating_quality: starOrNull(input?.rating_quality, 'Quality'),
+    rating_communication: starOrNull(input?.rating_communication, 'Communication'),
+    rating_delivery: starOrNull(input?.rating_delivery, 'Delivery'),
+    rating_value: starOrNull(input?.rating_value, 'Value for money'),
+    product_rating: starOrNull(input?.product_rating, 'Product'),
+  };
+
+  let productId = textOrNull(input?.product_id, 64);
+  if (productId) {
+    const { data: product } = await supabase
+      .from('products')
+      .select('id, vendor_id')
+      .eq('id', productId)
+      .maybeSingle();
+    if (!product || String(product.vendor_id) !== String(vendorId)) {
+      throw httpError(400, 'Product does not belong to this supplier');
+    }
+  } else {
+    productId = null;
+    ratings.product_rating = null;
+  }
+
+  const comment = textOrNull(input?.comment, 2000);
+  if (comment && comment.length < 10) throw httpError(400, 'Review text must be at least 10 characters');
+
+  const { data: review, error } = await supabase
+    .from('vendor_reviews')
+    .insert([
+      {
+        vendor_id: vendorId,
+        product_id: productId,
+        buyer_id: buyer.id,
+        source_type: sourceType,
+        source_id: sourceId,
+        ...ratings,
+        title: textOrNull(input?.title, 120),
+        comment,
+        status: 'PENDING',
+      },
+    ])
+    .select('*')
+    .single();
+  if (error) {
+    if (error.code === '23505') throw httpError(409, 'You have already reviewed this transaction');
+    throw httpError(500, error.message);
+  }
+
+  await notifyRole('SUPPORT', {
+    type: 'REVIEW_PENDING',
+    title: 'Review awaiting moderation',
+    message: `${ratings.rating_overall}★ review submitted for a supplier`,
+    link: '/employee/support/reviews',
+  });
+
+  return review;
+}
+
+async function loadRatingSummary(vendorId) {
+  const { data, error } = await supabase
+    .from('vendor_rating_summary')
+    .select('*')
+    .eq('vendor_id', vendorId)
+    .maybeSingle();
+  if (error) return null;
+  return (
+    data || {
+      vendor_id: vendorId,
+      review_count: 0,
+      avg_overall: null,
+      avg_quality: null,
+      avg_communication: null,
+      avg_delivery: null,
+      avg_value: null,
+      stars_5: 0,
+      stars_4: 0,
+      stars_3: 0,
+      stars_2: 0,
+      stars_1: 0,
+    }
+  );
+}
+
+/** Approved reviews of a vendor (optionally of one product) with the rating summary */
+export async function listVendorReviews(vendorId, { productId = null, limit, offset } = {}) {
+  const { from, to } = pageOf({ limit, offset });
+  let query = supabase
+    .from('vendor_reviews')
+    .select('*, buyers(full_name, company_name), products(name)', { count: 'exact' })
+    .eq('vendor_id', vendorId)
+    .eq('status', 'APPROVED')
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  if (productId) query = query.eq('product_id', productId);
+
+  const { data, error, count } = await query;
+  if (error) {
+    if (error.code === '42P01') return { reviews: [], total: 0, summary: null };
+    throw httpError(error.code === '22P02' ? 400 : 500, error.code === '22P02' ? 'Invalid id' : error.message);
+  }
+
+  let summary;
+  if (productId) {
+    const { data: product } = await supabase
+      .from('products')
+      .select('id, rating_avg, rating_count')
+      .eq('id', productId)
+      .maybeSingle();
+    summary = { product_id: productId, review_count: product?.rating_count || 0, avg_overall: product?.rating_avg ?? null };
+  } else {
+    summary = await loadRatingSummary(vendorId);
+  }
+
+  return { reviews: (data || []).map(toPublicReview), total: count || 0, summary };
+}
+
+/** Vendor posts a single public reply to an approved review */
+export async function replyToReview(vendor, reviewId, input = {}) {
+  const review = await getReview(reviewId);
+  if (String(review.vendor_id) !== String(vendor?.id || '')) throw httpError(404, 'Review not found');
+  if (review.status !== 'APPROVED') throw httpError(409, 'You can reply once the review is published');
+  if (review.vendor_reply) throw httpError(409, 'You have already replied to this review');
+
+  const reply = textOrNull(input?.reply, 1000);
+  if (!reply) throw httpError(400, 'Reply is required');
+
+  const { data: updated, error } = await supabase
+    .from('vendor_reviews')
+    .update({ vendor_reply: reply, vendor_replied_at: nowIso(), updated_at: nowIso() })
+    .eq('id', review.id)
+    .is('vendor_reply', null)
+    .select('*')
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!updated) throw httpError(409, 'You have already replied to this review');
+
+  const { data: buyer } = await supabase.from('buyers').select('user_id').eq('id', review.buyer_id).maybeSingle();
+  await notifyUser({
+    user_id: buyer?.user_id,
+    type: 'REVIEW_REPLY',
+    title: 'Supplier replied to your review',
+    message: `${vendor.company_name || 'The supplier'} responded to your review`,
+    link: `/directory/vendor/${review.vendor_id}?tab=reviews`,
+  });
+
+  return updated;
+}
+
+/** Moderation queue for support staff */
+export async function listReviewsForModeration({ status = 'PENDING', limit, offset } = {}) {
+  const wanted = String(status || 'PENDING').trim().toUpperCase();
+  const { from, to } = pageOf({ limit: limit || 25, offset });
+
+  let query = supabase
+    .from('vendor_reviews')
+    .select('*, vendors(company_name, email), buyers(full_name, company_name, email), products(name)', {
+      count: 'exact',
+    })
+    .order('created_at', { ascending: wanted === 'PENDING' })
+    .range(from, to);
+  if (REVIEW_STATUSES.includes(wanted)) query = query.eq('status', wanted);
+
+  const { data, error, count } = await query;
+  if (error) throw httpError(500, error.message);
+  return { reviews: data || [], total: count || 0 };
+}
+
+/** APPROVE publishes the review (and recomputes ratings); REJECT needs a note */
+export async function moderateReview(reviewId, input = {}, actor = {}) {
+  const action = String(input?.action || '').trim().toUpperCase();
+  if (!['APPROVE', 'REJECT'].includes(action)) throw httpError(400, 'action must be APPROVE or REJECT');
+  const note = textOrNull(input?.note, 1000);
+  if (action === 'REJECT' && !note) throw httpError(400, 'A note is required to reject a review');
+
+  const review = await getReview(reviewId);
+  const nextStatus = action === 'APPROVE' ? 'APPROVED' : 'REJECTED';
+  if (review.status === nextStatus) throw httpError(409, `Review is already ${nextStatus.toLowerCase()}`);
+
+  const { data: updated, error } = await supabase
+    .from('vendor_reviews')
+    .update({
+      status: nextStatus,
+      moderation_note: note,
+      moderated_by: actor?.id || null,
+      moderated_at: nowIso(),
+      updated_at: nowIso(),
+    })
+    .eq('id', review.id)
+    .eq('status', review.status)
+    .select('*')
+    .maybeSingle();
+  if (error) throw httpError(500, error.message);
+  if (!updated) throw httpError(409, 'Review was moderated by someone else');
+
+  if (nextStatus === 'APPROVED') {
+    const { data: vendor } = await supabase.from('vendors').select('user_id').eq('id', review.vendor_id).maybeSingle();
+    await notifyUser({
+      user_id: vendor?.user_id,
+      type: 'REVIEW_PUBLISHED',
+      title: 'New review on your profile',
+      message: `A buyer rated you ${review.rating_overall}★. You can reply once from your Reviews page.`,
+      link: '/vendor/reviews',
+    });
+  } else {
+    const { data: buyer } = await supabase.from('buyers').select('user_id').eq('id', review.buyer_id).maybeSingle();
+    await notifyUser({
+      user_id: buyer?.user_id,
+      type: 'REVIEW_REJECTED',
+      title: 'Your review was not published',
+      message: note,
+      link: `/directory/vendor/${review.vendor_id}?tab=reviews`,
+    });
+  }
+
+  return updated;
+}
@@ -23,6 +23,7 @@ import {
   getPublicUserByEmail,
   getPublicUserById,
 } from '../lib/auth.js';
+import { listPendingContactFeedback, submitContactFeedback } from '../lib/leadLifecycle.js';
 
 const router = express.Router();
 
@@ -1043,6 +1044,48 @@ router.post('/buyer/profile/avatar', requireAuth({ roles: ['BUYER'] }), async (r
   }
 });
 
+const resolveBuyerForRequest = async (req) => {
+  let user = await getPublicUserById(req.user.id);
+  if (!user && req.user?.email) {
+    user = await getPublicUserByEmail(req.user.email);
+  }
+  if (!user) return null;
+  const buyer = await resolveBuyerProfileForUser(user);
+  if (!buyer?.id) return null;
+  return { ...buyer, email: buyer.email || user.email };
+};
+
+// Suppliers that bought the buyer's requirement and still need a "did they contact you?" answer
+router.get('/buyer/lead-feedback', requireAuth({ roles: ['BUYER'] }), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForRequest(req);
+    if (!buyer) {
+      return res.status(403).json({ success: false, error: 'Buyer profile not found' });
+    }
+
+    const pending = await listPendingContactFeedback(buyer);
+    return res.json({ success: true, pending });
+  } catch (error) {
+    console.error('[Auth] Buyer lead feedback failed:', error?.message || error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to load feedback' });
+  }
+});
+
+router.post('/buyer/lead-feedback/:purchaseId', requireAuth({ roles: ['BUYER'] }), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForRequest(req);
+    if (!buyer) {
+      return res.status(403).json({ success: false, error: 'Buyer profile not found' });
+    }
+
+    const feedback = await submitContactFeedback(buyer, String(req.params?.purchaseId || '').trim(), req.body || {});
+    return res.status(201).json({ success: true, feedback });
+  } catch (error) {
+    console.error('[Auth] Buyer lead feedback submit failed:', error?.message || error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to save feedback' });
+  }
+});
+
 router.post('/logout', async (_req, res) => {
   clearAuthCookies(res);
   return res.json({ success: true });
@@ -1,28 +1,16 @@
 import express from 'express';
-import OpenAI from 'openai';
-import Groq from 'groq-sdk';
+import {
+  checkChatRateLimit,
+  getChatHistory,
+  normalizeSessionId,
+  resolveChatUserId,
+  runChatTurn,
+} from '../lib/chatbotService.js';
+import { resolveClientIp } from '../lib/rateLimits.js';
 
 const router = express.Router();
 
-const openaiClient = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-const groqClient = process.env.GROQ_API_KEY
-  ? new Groq({ apiKey: process.env.GROQ_API_KEY })
-  : null;
-
 const FALLBACK_LANG = 'en';
-const FALLBACK_MODEL = 'gpt-4o-mini';
-
-const buildSystemPrompt = (language = FALLBACK_LANG) =>
-  [
-    `You are “Khushi from ITM”, the official assistant of IndianTradeMart (indiantrademart.com), a B2B marketplace that connects trusted manufacturers, suppliers, and buyers across India.`,
-    `Always answer in the user’s selected language code: ${language}. If language is 'hi', reply in natural Hindi; otherwise use English.`,
-    `Core duties: help users find products, suppliers, manufacturers; guide vendor registration (“Sell with Us/Become a Vendor” -> fill business + GST/license details, upload docs, verify phone/email, then list products); explain buying flow (search products, compare vendors, raise inquiries/RFQs, track responses).`,
-    `Tone: concise, friendly, professional, action-oriented. Offer 2–3 short steps or quick calls-to-action. Ask a brief clarifying question if intent is unclear.`,
-    `Safety: never share API keys or internal info; if asked about sensitive data, politely refuse.`,
-  ].join(' ');
 
 const validateMessages = (messages) => {
   if (!Array.isArray(messages) || messages.length === 0) return false;
@@ -36,86 +24,98 @@ const validateMessages = (messages) => {
   );
 };
 
-router.post('/', async (req, res) => {
+const wantsStream = (req) =>
+  String(req.query?.stream || '') === '1' || String(req.headers.accept || '').includes('text/event-stream');
+
+// Widget session id: body for POST, query string for GET
+const readSessionId = (req) => normalizeSessionId(req.body?.session_id || req.query?.session_id);
+
+router.get('/history', async (req, res) => {
   try {
-    const { messages, language, model } = req.body || {};
+    const sessionId = readSessionId(req);
+    const userId = resolveChatUserId(req);
+    if (!sessionId && !userId) return res.json({ conversation: null, messages: [] });
+
+    const history = await getChatHistory({
+      sessionId,
+      userId,
+      conversationId: req.query?.conversation_id || null,
+    });
+    return res.json(history);
+  } catch (err) {
+    console.error('[chatbot] history error', err);
+    return res.status(500).json({ error: 'Failed to load chat history' });
+  }
+});
 
-    if (!validateMessages(messages)) {
-      return res.status(400).json({ error: 'messages[] with role/text required' });
-    }
+router.post('/', async (req, res) => {
+  const { messages, language, model, conversation_id: conversationId } = req.body || {};
 
-    const lang = (language || FALLBACK_LANG).toLowerCase();
-    if (!openaiClient && !groqClient) {
-      return res.status(500).json({ error: 'No AI provider configured (OPENAI_API_KEY or GROQ_API_KEY missing)' });
-    }
+  if (!validateMessages(messages)) {
+    return res.status(400).json({ error: 'messages[] with role/text required' });
+  }
+
+  const sessionId = readSessionId(req);
+  if (!sessionId) {
+    return res.status(400).json({ error: 'session_id required' });
+  }
 
-    const selectedModel = model || process.env.OPENAI_MODEL || FALLBACK_MODEL;
-
-    let completion;
-    let providerUsed = 'openai';
-
-    // Try OpenAI first if configured
-    if (openaiClient) {
-      try {
-        completion = await openaiClient.chat.completions.create({
-          model: selectedModel,
-          temperature: 0.6,
-          max_tokens: 512,
-          messages: [
-            { role: 'system', content: buildSystemPrompt(lang) },
-            ...messages.map((m) => ({ role: m.role, content: m.text })),
-          ],
-        });
-      } catch (err) {
-        const status = err?.status || err?.response?.status;
-        const detail = err?.error?.message || err?.response?.data || err?.message;
-        console.error('[chatbot] OpenAI error', status, detail);
-        const quotaError =
-          status === 429 || (typeof detail === 'string' && detail.toLowerCase().includes('quota'));
-
-        if (!quotaError || !groqClient) {
-          return res.status(502).json({ error: detail || 'Upstream model error (OpenAI)' });
-        }
-        // fallback to Groq
-        providerUsed = 'groq';
-      }
-    } else {
-      providerUsed = 'groq';
+  const userId = resolveChatUserId(req);
+  const clientIp = resolveClientIp(req);
+  try {
+    const limit = await checkChatRateLimit({ userId, ip: clientIp });
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSec));
+      return res.status(429).json({ error: 'Too many messages, please wait a few minutes' });
     }
+  } catch (err) {
+    console.error('[chatbot] rate limit check failed', err);
+  }
 
-    // Groq fallback / primary when OpenAI quota fails or OpenAI missing
-    if (providerUsed === 'groq') {
-      try {
-        const groqModel =
-          process.env.GROQ_MODEL ||
-          (process.env.OPENAI_MODEL && process.env.OPENAI_MODEL.startsWith('gpt-') ? 'llama-3.3-70b-versatile' : 'llama-3.3-70b-versatile');
-
-        completion = await groqClient.chat.completions.create({
-          model: groqModel,
-          temperature: 0.6,
-          max_tokens: 512,
-          messages: [
-            { role: 'system', content: buildSystemPrompt(lang) },
-            ...messages.map((m) => ({ role: m.role, content: m.text })),
-          ],
-        });
-      } catch (err) {
-        const status = err?.status || err?.response?.status;
-        const detail = err?.error?.message || err?.response?.data || err?.message;
-        console.error('[chatbot] Groq error', status, detail);
-        return res.status(502).json({ error: detail || 'Upstream model error (Groq)' });
-      }
+  const turn = {
+    // Client history is only ever user/assistant text; tool and system turns are built server-side
+    messages: messages.map((m) => ({ role: m.role === 'assistant' ? 'assistant' : 'user', text: m.text })),
+    language: (language || FALLBACK_LANG).toLowerCase(),
+    sessionId,
+    userId,
+    conversationId: conversationId || null,
+    clientIp,
+    model,
+  };
+
+  if (!wantsStream(req)) {
+    try {
+      const result = await runChatTurn(turn);
+      return res.json(result);
+    } catch (err) {
+      if (err?.statusCode) return res.status(err.statusCode).json({ error: err.message });
+      console.error('[chatbot] error', err);
+      return res.status(500).json({ error: 'Internal error generating reply' });
     }
+  }
+
+  // ✅ SSE: meta -> token* / cards* -> done (or error)
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    const text =
-      completion?.choices?.[0]?.message?.content ||
-      'Sorry, I could not generate a response right now.';
-    return res.json({ text, provider: providerUsed });
-    return res.json({ text, provider: 'groq' });
+  const send = (name, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await runChatTurn({ ...turn, onEvent: send });
+    send('done', result);
   } catch (err) {
-    console.error('[chatbot] error', err);
-    res.status(500).json({ error: 'Internal error generating reply' });
+    if (!err?.statusCode) console.error('[chatbot] error', err);
+    send('error', { error: err?.statusCode ? err.message : 'Internal error generating reply' });
   }
+  res.end();
 });
 
 export default router;
@@ -1,6 +1,8 @@
 // ✅ File: server/routes/dir.js
 import express from 'express';
+import { randomUUID } from 'crypto';
 import { supabase } from '../lib/supabaseClient.js';
+import { applyLegacyTextSearch, normalizeSearchText } from '../lib/directorySearch.js';
 
 const router = express.Router();
 
@@ -56,6 +58,145 @@ function applySort(q, sort) {
   return q.order('created_at', { ascending: false });
 }
 
+function parseNum(v) {
+  if (v === null || v === undefined || String(v).trim() === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseFlag(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  return s === '1' || s === 'true' || s === 'yes';
+}
+
+function parseList(v, max = 20) {
+  const raw = Array.isArray(v) ? v.join(',') : String(v || '');
+  return raw
+    .split(',')
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .slice(0, max);
+}
+
+/**
+ * Facet filters from the query string, in the shape dir_ranked_products expects.
+ * Returns null when nothing is selected.
+ */
+function parseSearchFilters(query = {}) {
+  const filters = {};
+
+  const minPrice = parseNum(query.minPrice ?? query.min_price);
+  const maxPrice = parseNum(query.maxPrice ?? query.max_price);
+  if (minPrice !== null && minPrice > 0) filters.min_price = minPrice;
+  if (maxPrice !== null && maxPrice >= 0) filters.max_price = maxPrice;
+
+  if (parseFlag(query.verified)) filters.verified = true;
+  if (parseFlag(query.gstVerified ?? query.gst_verified)) filters.gst_verified = true;
+
+  const kyc = parseList(query.kycStatus ?? query.kyc_status).map((x) => x.toUpperCase());
+  if (kyc.length) filters.kyc_status = kyc;
+
+  const minTrust = parseNum(query.minTrust ?? query.min_trust);
+  if (minTrust !== null && minTrust > 0) filters.min_trust = minTrust;
+
+  const tiers = parseList(query.planTier ?? query.plan_tier)
+    .map((x) => x.toUpperCase())
+    .filter((x) => PLAN_TIERS.some((t) => t.label === x));
+  if (tiers.length) filters.plan_tiers = tiers;
+
+  const maxMoq = parseNum(query.maxMoq ?? query.max_moq);
+  if (maxMoq !== null && maxMoq > 0) filters.max_moq = Math.floor(maxMoq);
+
+  const microIds = parseList(query.categoryId ?? query.microCategoryId ?? query.micro_category_id);
+  if (microIds.length) filters.micro_category_ids = microIds;
+
+  const subId = query.subCategoryId ?? query.sub_category_id;
+  const headId = query.headCategoryId ?? query.head_category_id;
+  if (isValidId(subId)) filters.sub_category_id = String(subId).trim();
+  if (isValidId(headId)) filters.head_category_id = String(headId).trim();
+
+  return Object.keys(filters).length ? filters : null;
+}
+
+const RADIUS_MAX_KM = 500;
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (Number(d) * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Vendors located within `radiusKm` of a city, plus vendors whose coverage
+ * (vendor_preferences) includes that city or its state.
+ * JS twin of dir_cities_within_km / dir_vendors_near_city, used when the RPC is missing.
+ */
+async function resolveNearbyVendors({ cityId, radiusKm, limit = 2000 }) {
+  const { data: origin, error } = await supabase
+    .from('cities')
+    .select('id, state_id, latitude, longitude')
+    .eq('id', cityId)
+    .maybeSingle();
+  if (error) throw error;
+
+  const distanceByCity = { [cityId]: 0 };
+  const lat = Number(origin?.latitude);
+  const lng = Number(origin?.longitude);
+
+  if (origin?.latitude != null && origin?.longitude != null) {
+    const dLat = radiusKm / 111;
+    const dLng = radiusKm / (111 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    const { data: near, error: nearErr } = await supabase
+      .from('cities')
+      .select('id, latitude, longitude')
+      .gte('latitude', lat - dLat)
+      .lte('latitude', lat + dLat)
+      .gte('longitude', lng - dLng)
+      .lte('longitude', lng + dLng)
+      .limit(2000);
+    if (nearErr) throw nearErr;
+
+    for (const c of near || []) {
+      const d = distanceKm(lat, lng, c.latitude, c.longitude);
+      if (d <= radiusKm) distanceByCity[c.id] = c.id === cityId ? 0 : Math.round(d * 10) / 10;
+    }
+  }
+
+  const { data: vendorRows, error: vErr } = await supabase
+    .from('vendors')
+    .select('id, city_id')
+    .eq('is_active', true)
+    .in('city_id', Object.keys(distanceByCity))
+    .limit(limit);
+  if (vErr) throw vErr;
+
+  const coverageIds = new Set();
+  const coverageQueries = [['preferred_cities', cityId]];
+  if (origin?.state_id) coverageQueries.push(['preferred_states', origin.state_id]);
+  for (const [column, id] of coverageQueries) {
+    const { data: prefRows, error: prefErr } = await supabase
+      .from('vendor_preferences')
+      .select('vendor_id')
+      .filter(column, 'cs', JSON.stringify([String(id)]))
+      .limit(limit);
+    if (prefErr) throw prefErr;
+    (prefRows || []).forEach((r) => r?.vendor_id && coverageIds.add(r.vendor_id));
+  }
+
+  const vendorIds = new Set((vendorRows || []).map((v) => v.id));
+  coverageIds.forEach((id) => vendorIds.add(id));
+
+  return {
+    vendorIds: Array.from(vendorIds),
+    vendorCityById: Object.fromEntries((vendorRows || []).map((v) => [v.id, v.city_id])),
+    distanceByCity,
+    coverageIds,
+  };
+}
+
 async function resolveMicroId(microSlug) {
   if (!microSlug) return null;
 
@@ -71,7 +212,7 @@ async function resolveMicroId(microSlug) {
   return micro?.id || null;
 }
 
-async function fetchRankedProductsViaRpc({ microId, cityId, stateId, q, sort, from, limit }) {
+async function fetchRankedProductsViaRpc({ microId, cityId, stateId, q, filters, radiusKm, sort, from, limit }) {
   const { data, error } = await supabase.rpc('dir_ranked_products', {
     p_micro_id: microId,
     p_city_id: cityId,
@@ -80,6 +221,8 @@ async function fetchRankedProductsViaRpc({ microId, cityId, stateId, q, sort, fr
     p_sort: sort || null,
     p_limit: limit,
     p_offset: from,
+    p_filters: filters,
+    p_radius_km: radiusKm,
   });
 
   if (error) throw error;
@@ -97,6 +240,8 @@ async function fetchRankedProductsViaRpc({ microId, cityId, stateId, q, sort, fr
       p_sort: sort || null,
       p_limit: 1,
       p_offset: 0,
+      p_filters: filters,
+      p_radius_km: radiusKm,
     });
     if (!probeErr && probeRows?.length) {
       totalCount = Number(probeRows[0].total_count || 0);
@@ -107,6 +252,20 @@ async function fetchRankedProductsViaRpc({ microId, cityId, stateId, q, sort, fr
   return { rows: cleanedRows, totalCount };
 }
 
+async function fetchFacetsViaRpc({ microId, cityId, stateId, q, filters, radiusKm }) {
+  const { data, error } = await supabase.rpc('dir_search_facets', {
+    p_micro_id: microId,
+    p_city_id: cityId,
+    p_state_id: stateId,
+    p_q: q || null,
+    p_filters: filters,
+    p_radius_km: radiusKm,
+  });
+
+  if (error) throw error;
+  return data || null;
+}
+
 async function getActivePlanMaps() {
   const nowIso = new Date().toISOString();
 
@@ -140,7 +299,7 @@ async function getActivePlanMaps() {
  * Hide suspended/terminated vendors' products.
  * Assuming vendors table has boolean column: is_active
  */
-function buildBaseProductQuery({ microId, q, stateId, cityId }) {
+function buildBaseProductQuery({ microId, q, stateId, cityId, filters }) {
   let query = supabase
     .from('products')
     .select(
@@ -159,15 +318,171 @@ function buildBaseProductQuery({ microId, q, stateId, cityId }) {
     .eq('vendors.is_active', true);
 
   if (microId) query = query.eq('micro_category_id', microId);
-  if (q) query = query.ilike('name', `%${q}%`);
+  query = applyLegacyTextSearch(query, q);
   if (stateId) query = query.eq('vendors.state_id', stateId);
   if (cityId) query = query.eq('vendors.city_id', cityId);
 
+  return applyLegacyFilters(query, filters);
+}
+
+function applyLegacyFilters(query, filters) {
+  if (!filters) return query;
+
+  // Radius scope (resolveNearbyVendors); nil uuid keeps an empty scope empty
+  if (filters.vendor_ids) {
+    query = query.in('vendor_id', filters.vendor_ids.length ? filters.vendor_ids : ['00000000-0000-0000-0000-000000000000']);
+  }
+
+  if (filters.min_price != null) query = query.gte('price', filters.min_price);
+  if (filters.max_price != null) query = query.lte('price', filters.max_price);
+  if (filters.max_moq != null) query = query.lte('min_order_qty', filters.max_moq);
+  if (filters.micro_category_ids?.length) query = query.in('micro_category_id', filters.micro_category_ids);
+  if (filters.sub_category_id) query = query.eq('sub_category_id', filters.sub_category_id);
+  if (filters.head_category_id) query = query.eq('head_category_id', filters.head_category_id);
+
+  if (filters.verified) {
+    query = query.or('verification_badge.eq.true,kyc_status.in.(APPROVED,VERIFIED)', { foreignTable: 'vendors' });
+  }
+  if (filters.gst_verified) query = query.eq('vendors.gst_verified', true);
+  if (filters.kyc_status?.length) query = query.in('vendors.kyc_status', filters.kyc_status);
+  if (filters.min_trust != null) query = query.gte('vendors.trust_score', filters.min_trust);
+
   return query;
 }
 
-async function countForVendorFilter({ microId, q, stateId, cityId, vendorFilter }) {
-  let query = buildBaseProductQuery({ microId, q, stateId, cityId });
+const isVerifiedVendor = (v) =>
+  ['true', 't', '1', 'verified'].includes(String(v?.verification_badge ?? '').toLowerCase()) ||
+  ['APPROVED', 'VERIFIED'].includes(String(v?.kyc_status || '').toUpperCase());
+
+// Same semantics as dir_search_filter_pass(): `skip` ignores one facet group.
+function passesLegacyFilters(row, filters, skip = null) {
+  if (!filters) return true;
+  const v = row?.vendors || {};
+  const price = Number(row?.price);
+  const moq = Number(row?.min_order_qty ?? row?.moq ?? 1);
+
+  if (skip !== 'price') {
+    if (filters.min_price != null && !(price >= filters.min_price)) return false;
+    if (filters.max_price != null && !(price <= filters.max_price)) return false;
+  }
+  if (skip !== 'verification') {
+    if (filters.verified && !isVerifiedVendor(v)) return false;
+    if (filters.gst_verified && v.gst_verified !== true) return false;
+  }
+  if (skip !== 'kyc' && filters.kyc_status?.length) {
+    if (!filters.kyc_status.includes(String(v.kyc_status || 'PENDING').toUpperCase())) return false;
+  }
+  if (skip !== 'trust' && filters.min_trust != null && !(Number(v.trust_score || 0) >= filters.min_trust)) {
+    return false;
+  }
+  if (skip !== 'plan' && filters.plan_tiers?.length && !filters.plan_tiers.includes(row.__plan_tier)) return false;
+  if (skip !== 'moq' && filters.max_moq != null && !(moq <= filters.max_moq)) return false;
+  if (skip !== 'category' && filters.micro_category_ids?.length) {
+    if (!filters.micro_category_ids.includes(String(row.micro_category_id))) return false;
+  }
+  if (filters.sub_category_id && String(row.sub_category_id) !== filters.sub_category_id) return false;
+  if (filters.head_category_id && String(row.head_category_id) !== filters.head_category_id) return false;
+  return true;
+}
+
+const LEGACY_FACET_SAMPLE = 1000;
+
+/**
+ * Facet counts without the RPC: counts over the newest matching products
+ * (capped at LEGACY_FACET_SAMPLE), same response shape as dir_search_facets.
+ */
+async function computeLegacyFacets({ microId, q, stateId, cityId, filters, tierKeyByVendor }) {
+  const scope = filters?.vendor_ids ? { vendor_ids: filters.vendor_ids } : null;
+  const { data, error } = await buildBaseProductQuery({ microId, q, stateId, cityId, filters: scope })
+    .select(
+      'id, price, moq, min_order_qty, micro_category_id, sub_category_id, head_category_id, vendor_id, ' +
+        'vendors!inner(kyc_status, verification_badge, gst_verified, trust_score, is_active)'
+    )
+    .order('created_at', { ascending: false })
+    .limit(LEGACY_FACET_SAMPLE);
+  if (error) throw error;
+
+  const rows = (data || []).map((r) => {
+    const tierKey = tierKeyByVendor[r.vendor_id] || 'trial';
+    const tier = PLAN_TIERS.find((t) => t.key === tierKey) || PLAN_TIERS[PLAN_TIERS.length - 1];
+    return { ...r, __plan_tier: tier.label };
+  });
+
+  const pick = (skip) => rows.filter((r) => passesLegacyFilters(r, filters, skip));
+  const countBy = (list, fn) => {
+    const m = new Map();
+    list.forEach((r) => {
+      const k = fn(r);
+      if (k) m.set(k, (m.get(k) || 0) + 1);
+    });
+    return m;
+  };
+
+  const priceRows = pick('price');
+  const prices = priceRows.map((r) => Number(r.price)).filter(Number.isFinite);
+  const inRange = (min, max) =>
+    prices.filter((p) => (min == null || p >= min) && (max == null || p <= max)).length;
+
+  const verificationRows = pick('verification');
+  const trustRows = pick('trust');
+  const moqRows = pick('moq');
+  const planRows = pick('plan');
+  const categoryCounts = countBy(pick('category'), (r) => r.micro_category_id);
+
+  let categories = [];
+  const topCategoryIds = [...categoryCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 30);
+  if (topCategoryIds.length) {
+    const { data: micros } = await supabase
+      .from('micro_categories')
+      .select('id, name, slug')
+      .in('id', topCategoryIds.map(([id]) => id));
+    const byId = new Map((micros || []).map((m) => [m.id, m]));
+    categories = topCategoryIds.map(([id, count]) => ({
+      id,
+      name: byId.get(id)?.name || null,
+      slug: byId.get(id)?.slug || null,
+      count,
+    }));
+  }
+
+  return {
+    total: pick(null).length,
+    sampled: rows.length >= LEGACY_FACET_SAMPLE,
+    price: {
+      min: prices.length ? Math.min(...prices) : null,
+      max: prices.length ? Math.max(...prices) : null,
+      buckets: [
+        { key: 'under_1000', min: null, max: 999, count: inRange(null, 999.99) },
+        { key: '1000_10000', min: 1000, max: 9999, count: inRange(1000, 9999.99) },
+        { key: '10000_100000', min: 10000, max: 99999, count: inRange(10000, 99999.99) },
+        { key: 'above_100000', min: 100000, max: null, count: inRange(100000, null) },
+      ],
+    },
+    verification: {
+      verified: verificationRows.filter((r) => isVerifiedVendor(r.vendors)).length,
+      gst_verified: verificationRows.filter((r) => r.vendors?.gst_verified === true).length,
+    },
+    kyc_status: [...countBy(pick('kyc'), (r) => String(r.vendors?.kyc_status || 'PENDING').toUpperCase())]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count),
+    trust_score: [80, 60, 40].map((min) => ({
+      min,
+      count: trustRows.filter((r) => Number(r.vendors?.trust_score || 0) >= min).length,
+    })),
+    plan_tier: PLAN_TIERS.map((t) => ({
+      value: t.label,
+      count: planRows.filter((r) => r.__plan_tier === t.label).length,
+    })).filter((x) => x.count > 0),
+    moq: [1, 10, 100, 1000].map((max) => ({
+      max,
+      count: moqRows.filter((r) => Number(r.min_order_qty ?? r.moq ?? 1) <= max).length,
+    })),
+    category: categories,
+  };
+}
+
+async function countForVendorFilter({ microId, q, stateId, cityId, filters, vendorFilter }) {
+  let query = buildBaseProductQuery({ microId, q, stateId, cityId, filters });
 
   if (vendorFilter?.type === 'in') {
     if (!vendorFilter.ids?.length) return 0;
@@ -191,8 +506,8 @@ async function countForVendorFilter({ microId, q, stateId, cityId, vendorFilter
   return Number(count || 0);
 }
 
-async function fetchForVendorFilter({ microId, q, stateId, cityId, vendorFilter, sort, offsetInGroup, limit }) {
-  let query = buildBaseProductQuery({ microId, q, stateId, cityId });
+async function fetchForVendorFilter({ microId, q, stateId, cityId, filters, vendorFilter, sort, offsetInGroup, limit }) {
+  let query = buildBaseProductQuery({ microId, q, stateId, cityId, filters });
 
   if (vendorFilter?.type === 'in') {
     if (!vendorFilter.ids?.length) return [];
@@ -217,6 +532,43 @@ async function fetchForVendorFilter({ microId, q, stateId, cityId, vendorFilter,
   return data || [];
 }
 
+// Popularity signal for /suggest; never blocks or fails the search itself
+function recordSearchQuery(q, resultCount) {
+  if (!q || q.length < 2) return;
+  supabase
+    .rpc('record_search_query', { p_q: q, p_result_count: resultCount ?? null })
+    .then(({ error }) => {
+      if (error) console.warn('[dir] record_search_query failed:', error.message);
+    })
+    .catch(() => {});
+}
+
+// Analytics row for the data-entry search report. The id is generated here so the
+// response can hand it to the client for click tracking without awaiting the insert.
+function logSearchEvent({ q, filters, microId, stateId, cityId, radiusKm, sort, page, resultCount }) {
+  const id = randomUUID();
+  supabase
+    .from('search_events')
+    .insert({
+      id,
+      query: q || '',
+      query_norm: normalizeSearchText(q),
+      filters: filters || {},
+      micro_category_id: microId || null,
+      state_id: stateId || null,
+      city_id: cityId || null,
+      radius_km: radiusKm || null,
+      sort: sort || null,
+      result_count: Number(resultCount || 0),
+      page,
+    })
+    .then(({ error }) => {
+      if (error) console.warn('[dir] search event log failed:', error.message);
+    })
+    .catch(() => {});
+  return id;
+}
+
 async function handleRankedProducts(req, res) {
   try {
     // NOTE: search page may send `q` OR `query` OR `term`
@@ -228,29 +580,71 @@ async function handleRankedProducts(req, res) {
     const stateId = isValidId(req.query.stateId) ? req.query.stateId : (isValidId(req.query.state_id) ? req.query.state_id : null);
     const cityId = isValidId(req.query.cityId) ? req.query.cityId : (isValidId(req.query.city_id) ? req.query.city_id : null);
 
+    const filters = parseSearchFilters(req.query);
+    const wantFacets = String(req.query.facets ?? '1') !== '0';
+
+    // "within N km of city X": cityId (or nearCityId) is the origin
+    const nearCityId = isValidId(req.query.nearCityId) ? req.query.nearCityId : null;
+    const originCityId = nearCityId || cityId;
+    const radiusRaw = parseNum(req.query.radiusKm ?? req.query.radius_km);
+    const radiusKm = originCityId && radiusRaw !== null && radiusRaw > 0 ? Math.min(radiusRaw, RADIUS_MAX_KM) : null;
+
     const from = (page - 1) * limit;
 
     const microId = await resolveMicroId(microSlug);
 
+    // log=0: follow-up page fetches the client makes for the same search
+    const track = String(req.query.log ?? '1') !== '0';
+    const trackSearch = (resultCount) => {
+      if (!track) return null;
+      if (page === 1) recordSearchQuery(q, resultCount);
+      return logSearchEvent({ q, filters, microId, stateId, cityId: originCityId, radiusKm, sort, page, resultCount });
+    };
+
     // ✅ Preferred path: slot-aware ranking via DB RPC (capacity-based seats).
     // If the migration isn't applied yet, we fall back to legacy tier buckets.
     try {
       const { rows, totalCount } = await fetchRankedProductsViaRpc({
         microId,
-        cityId,
+        cityId: originCityId,
         stateId,
         q,
+        filters,
+        radiusKm,
         sort,
         from,
         limit,
       });
 
-      return res.json({ success: true, data: rows, count: totalCount });
+      let facets = null;
+      if (wantFacets) {
+        try {
+          facets = await fetchFacetsViaRpc({ microId, cityId: originCityId, stateId, q, filters, radiusKm });
+        } catch (facetErr) {
+          console.warn('[dir] dir_search_facets RPC failed:', facetErr?.message);
+        }
+      }
+
+      const searchId = trackSearch(totalCount);
+      return res.json({ success: true, data: rows, count: totalCount, facets, search_id: searchId });
     } catch (rpcErr) {
       // Continue to legacy logic below.
       console.warn('[dir] dir_ranked_products RPC failed, using legacy ranking:', rpcErr?.message);
     }
 
+    // Radius search without the RPC: scope to nearby/covering vendors instead of exact city/state
+    let geo = null;
+    if (radiusKm) {
+      try {
+        geo = await resolveNearbyVendors({ cityId: originCityId, radiusKm });
+      } catch (geoErr) {
+        console.warn('[dir] radius lookup failed, using exact city:', geoErr?.message);
+      }
+    }
+    const legacyStateId = geo ? null : stateId;
+    const legacyCityId = geo ? null : originCityId;
+    const legacyFilters = geo ? { ...(filters || {}), vendor_ids: geo.vendorIds } : filters;
+
     const { planNameByVendor, tierKeyByVendor } = await getActivePlanMaps();
     const activeVendorIds = Object.keys(tierKeyByVendor);
 
@@ -266,16 +660,20 @@ async function handleRankedProducts(req, res) {
     let remainingLimit = limit;
     const out = [];
 
+    const tierSelected = (label) => !filters?.plan_tiers?.length || filters.plan_tiers.includes(label);
+
     // 1) Subscribed buckets (diamond..trial)
     for (const tier of PLAN_TIERS) {
       const ids = bucketIds[tier.key] || [];
       if (!ids.length) continue;
+      if (!tierSelected(tier.label)) continue;
 
       const groupCount = await countForVendorFilter({
         microId,
         q,
-        stateId,
-        cityId,
+        stateId: legacyStateId,
+        cityId: legacyCityId,
+        filters: legacyFilters,
         vendorFilter: { type: 'in', ids },
       });
 
@@ -291,8 +689,9 @@ async function handleRankedProducts(req, res) {
         const rows = await fetchForVendorFilter({
           microId,
           q,
-          stateId,
-          cityId,
+          stateId: legacyStateId,
+          cityId: legacyCityId,
+          filters: legacyFilters,
           vendorFilter: { type: 'in', ids },
           sort,
           offsetInGroup: remainingOffset,
@@ -307,15 +706,16 @@ async function handleRankedProducts(req, res) {
       if (remainingLimit <= 0) break;
     }
 
-    // 2) Vendors with NO active subscription (bottom)
-    if (remainingLimit > 0) {
+    // 2) Vendors with NO active subscription (bottom), listed as TRIAL
+    if (remainingLimit > 0 && tierSelected('TRIAL')) {
       const excludeIds = activeVendorIds.length <= 1000 ? activeVendorIds : [];
 
       const groupCount = await countForVendorFilter({
         microId,
         q,
-        stateId,
-        cityId,
+        stateId: legacyStateId,
+        cityId: legacyCityId,
+        filters: legacyFilters,
         vendorFilter: { type: 'notin', ids: excludeIds },
       });
 
@@ -328,8 +728,9 @@ async function handleRankedProducts(req, res) {
           const rows = await fetchForVendorFilter({
             microId,
             q,
-            stateId,
-            cityId,
+            stateId: legacyStateId,
+            cityId: legacyCityId,
+            filters: legacyFilters,
             vendorFilter: { type: 'notin', ids: excludeIds },
             sort,
             offsetInGroup: remainingOffset,
@@ -356,16 +757,49 @@ async function handleRankedProducts(req, res) {
         vendors.plan_priority = tierMeta.priority;
       }
 
+      let distance = null;
+      if (geo) {
+        const vendorCityId = p?.vendors?.city_id || geo.vendorCityById[vid];
+        distance = geo.distanceByCity[vendorCityId] ?? null;
+        if (vendors) {
+          vendors.distance_km = distance;
+          vendors.serves_area = geo.coverageIds.has(vid);
+        }
+      }
+
       return {
         ...p,
         vendors,
         vendor_plan_name: planName,
         vendor_plan_tier: tierMeta.label,
         vendor_plan_priority: tierMeta.priority,
+        ...(geo ? { distance_km: distance, serves_area: geo.coverageIds.has(vid) } : {}),
       };
     });
 
-    return res.json({ success: true, data: finalRows, count: totalCount });
+    // Legacy path can only order by distance within the returned page
+    if (geo && sort === 'distance') {
+      finalRows.sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity));
+    }
+
+    let facets = null;
+    if (wantFacets) {
+      try {
+        facets = await computeLegacyFacets({
+          microId,
+          q,
+          stateId: legacyStateId,
+          cityId: legacyCityId,
+          filters: legacyFilters,
+          tierKeyByVendor,
+        });
+      } catch (facetErr) {
+        console.warn('[dir] legacy facet counts failed:', facetErr?.message);
+      }
+    }
+
+    const searchId = trackSearch(totalCount);
+    return res.json({ success: true, data: finalRows, count: totalCount, facets, search_id: searchId });
   } catch (e) {
     return res.status(500).json({
       success: false,
@@ -381,4 +815,368 @@ router.get('/search', handleRankedProducts);
 // existing endpoint
 router.get('/products', handleRankedProducts);
 
+/** POST /api/dir/search/click — record a result click against its search event */
+router.post('/search/click', async (req, res) => {
+  try {
+    const searchId = String(req.body?.searchId || req.body?.search_id || '').trim();
+    const productId = isValidId(req.body?.productId) ? String(req.body.productId).trim() : null;
+    const vendorId = isValidId(req.body?.vendorId) ? String(req.body.vendorId).trim() : null;
+    const position = clampInt(req.body?.position, null, 1, 10000);
+
+    if (!isValidId(searchId)) {
+      return res.status(400).json({ success: false, error: 'searchId is required' });
+    }
+    if (!productId && !vendorId) {
+      return res.status(400).json({ success: false, error: 'productId or vendorId is required' });
+    }
+
+    const { error } = await supabase.from('search_clicks').insert({
+      search_event_id: searchId,
+      product_id: productId,
+      vendor_id: vendorId,
+      position,
+    });
+
+    if (error) {
+      if (error.code === '23503') {
+        return res.status(404).json({ success: false, error: 'Search event not found' });
+      }
+      if (error.code === '22P02') {
+        return res.status(400).json({ success: false, error: 'Invalid id' });
+      }
+      throw new Error(error.message);
+    }
+
+    return res.json({ success: true });
+  } catch (e) {
+    return res.status(500).json({
+      success: false,
+      error: 'DIR_SEARCH_CLICK_FAILED',
+      details: e.message,
+    });
+  }
+});
+
+/** GET /api/dir/vendors/nearby?cityId=&radiusKm= — vendors near a city, nearest first */
+router.get('/vendors/nearby', async (req, res) => {
+  try {
+    const cityId = isValidId(req.query.cityId) ? req.query.cityId : (isValidId(req.query.city_id) ? req.query.city_id : null);
+    if (!cityId) return res.status(400).json({ success: false, error: 'cityId is required' });
+
+    const radiusRaw = parseNum(req.query.radiusKm ?? req.query.radius_km);
+    const radiusKm = radiusRaw !== null && radiusRaw > 0 ? Math.min(radiusRaw, RADIUS_MAX_KM) : 50;
+    const limit = clampInt(req.query.limit, 500, 1, 2000);
+
+    const { data, error } = await supabase.rpc('dir_vendors_near_city', {
+      p_city_id: cityId,
+      p_radius_km: radiusKm,
+      p_limit: limit,
+    });
+
+    if (!error) {
+      return res.json({ success: true, data: data || [], radius_km: radiusKm });
+    }
+    console.warn('[dir] dir_vendors_near_city RPC failed, using JS distance:', error?.message);
+
+    const geo = await resolveNearbyVendors({ cityId, radiusKm, limit });
+    const rows = geo.vendorIds
+      .map((id) => {
+        const vendorCityId = geo.vendorCityById[id] || null;
+        return {
+          vendor_id: id,
+          city_id: vendorCityId,
+          distance_km: vendorCityId ? geo.distanceByCity[vendorCityId] ?? null : null,
+          serves_area: geo.coverageIds.has(id),
+        };
+      })
+      .sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity))
+      .slice(0, limit);
+
+    return res.json({ success: true, data: rows, radius_km: radiusKm });
+  } catch (e) {
+    return res.status(500).json({
+      success: false,
+      error: 'DIR_NEARBY_VENDORS_FAILED',
+      details: e.message,
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Autocomplete (/suggest)
+// ---------------------------------------------------------------------------
+
+const SUGGEST_TYPES = ['categories', 'products', 'vendors', 'cities', 'queries'];
+const SUGGEST_CACHE_TTL_MS = 60 * 1000;
+const SUGGEST_CACHE_MAX = 500;
+const suggestCache = new Map();
+
+// Keep only characters that are safe inside a PostgREST or() filter value
+function suggestTerm(q) {
+  return String(q || '')
+    .replace(/[^\p{L}\p{N}\s&-]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 60);
+}
+
+// Prefix match on the whole name or on any word inside it ("ste" -> "Stainless Steel Pipe")
+function prefixFilter(column, term) {
+  return `${column}.ilike.${term}%,${column}.ilike.% ${term}%`;
+}
+
+function suggestScore(name, term, popularity = 0) {
+  const n = normalizeSearchText(name);
+  const t = normalizeSearchText(term);
+  let score = Math.log1p(Math.max(0, popularity)) * 10;
+  if (n === t) score += 100;
+  else if (n.startsWith(t)) score += 50;
+  else score += 20;
+  return score - Math.min(n.length, 60) / 10;
+}
+
+function getCachedSuggest(key) {
+  const hit = suggestCache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at > SUGGEST_CACHE_TTL_MS) {
+    suggestCache.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+function setCachedSuggest(key, value) {
+  if (suggestCache.size >= SUGGEST_CACHE_MAX) {
+    // Map keeps insertion order: drop the oldest entry
+    suggestCache.delete(suggestCache.keys().next().value);
+  }
+  suggestCache.set(key, { at: Date.now(), value });
+}
+
+async function suggestCategories(term, limit) {
+  const [micro, sub, head] = await Promise.all([
+    supabase
+      .from('micro_categories')
+      .select('id, name, slug, sub_categories(id, name, slug, head_categories(id, name, slug))')
+      .or(prefixFilter('name', term))
+      .limit(limit * 2),
+    supabase
+      .from('sub_categories')
+      .select('id, name, slug, head_categories(id, name, slug)')
+      .or(prefixFilter('name', term))
+      .limit(limit),
+    supabase
+      .from('head_categories')
+      .select('id, name, slug')
+      .or(prefixFilter('name', term))
+      .limit(limit),
+  ]);
+
+  const out = [];
+  (micro.data || []).forEach((m) => {
+    const s = m.sub_categories;
+    const h = s?.head_categories;
+    out.push({
+      type: 'micro',
+      id: m.id,
+      name: m.name,
+      slug: m.slug,
+      path: [h?.name, s?.name, m.name].filter(Boolean).join(' > '),
+      sub_id: s?.id || null,
+      sub_slug: s?.slug || null,
+      head_id: h?.id || null,
+      head_slug: h?.slug || null,
+    });
+  });
+  (sub.data || []).forEach((s) => {
+    const h = s.head_categories;
+    out.push({
+      type: 'sub',
+      id: s.id,
+      name: s.name,
+      slug: s.slug,
+      path: [h?.name, s.name].filter(Boolean).join(' > '),
+      sub_id: s.id,
+      sub_slug: s.slug,
+      head_id: h?.id || null,
+      head_slug: h?.slug || null,
+    });
+  });
+  (head.data || []).forEach((h) => {
+    out.push({
+      type: 'head',
+      id: h.id,
+      name: h.name,
+      slug: h.slug,
+      path: h.name,
+      sub_id: null,
+      sub_slug: null,
+      head_id: h.id,
+      head_slug: h.slug,
+    });
+  });
+  return out;
+}
+
+async function suggestProducts(term, limit) {
+  const { data } = await supabase
+    .from('products')
+    .select('name, micro_category_id, vendors!inner(is_active)')
+    .or(prefixFilter('name', term))
+    .eq('status', 'ACTIVE')
+    .eq('vendors.is_active', true)
+    .limit(200);
+
+  // One suggestion per distinct product name; supply count = listings with that name
+  const byName = new Map();
+  (data || []).forEach((p) => {
+    const key = normalizeSearchText(p.name);
+    if (!key) return;
+    const cur = byName.get(key);
+    if (cur) cur.listing_count += 1;
+    else byName.set(key, { type: 'product', name: String(p.name).trim(), micro_category_id: p.micro_category_id || null, listing_count: 1 });
+  });
+  return Array.from(byName.values()).slice(0, limit * 3);
+}
+
+async function suggestVendors(term, limit) {
+  const { data } = await supabase
+    .from('vendors')
+    .select('id, company_name, city, state, trust_score')
+    .eq('is_active', true)
+    .or(prefixFilter('company_name', term))
+    .limit(limit * 2);
+
+  return (data || []).map((v) => ({
+    type: 'vendor',
+    id: v.id,
+    name: v.company_name,
+    city: v.city || null,
+    state: v.state || null,
+    trust_score: v.trust_score ?? null,
+  }));
+}
+
+async function suggestCities(term, limit) {
+  const { data } = await supabase
+    .from('cities')
+    .select('id, name, slug, state_id, supplier_count, states(name, slug)')
+    .or(prefixFilter('name', term))
+    .limit(limit * 2);
+
+  return (data || []).map((c) => ({
+    type: 'city',
+    id: c.id,
+    name: c.name,
+    slug: c.slug,
+    state_id: c.state_id,
+    state_name: c.states?.name || null,
+    state_slug: c.states?.slug || null,
+    supplier_count: c.supplier_count ?? 0,
+  }));
+}
+
+async function suggestQueries(term, limit) {
+  const norm = normalizeSearchText(term);
+  if (!norm) return [];
+  const { data } = await supabase
+    .from('search_query_stats')
+    .select('query_norm, query_sample, search_count, last_result_count')
+    .like('query_norm', `${norm}%`)
+    .gt('last_result_count', 0)
+    .order('search_count', { ascending: false })
+    .limit(limit);
+
+  return (data || []).map((r) => ({
+    type: 'query',
+    name: r.query_sample,
+    search_count: Number(r.search_count || 0),
+  }));
+}
+
+// search_count per normalized name, used to weight every suggestion group
+async function fetchQueryPopularity(names) {
+  const keys = Array.from(new Set(names.map(normalizeSearchText).filter(Boolean))).slice(0, 200);
+  if (!keys.length) return {};
+  const { data, error } = await supabase
+    .from('search_query_stats')
+    .select('query_norm, search_count')
+    .in('query_norm', keys);
+  if (error) return {};
+  const map = {};
+  (data || []).forEach((r) => (map[r.query_norm] = Number(r.search_count || 0)));
+  return map;
+}
+
+/** GET /api/dir/suggest?q=&types=&limit= — grouped autocomplete (categories, products, vendors, cities, queries) */
+router.get('/suggest', async (req, res) => {
+  try {
+    const term = suggestTerm(req.query.q || req.query.query || req.query.term);
+    const limit = clampInt(req.query.limit, 5, 1, 10);
+    const requested = parseList(req.query.types).filter((t) => SUGGEST_TYPES.includes(t));
+    const types = requested.length ? requested : SUGGEST_TYPES;
+
+    const groups = {};
+    types.forEach((t) => (groups[t] = []));
+
+    if (term.length < 2) {
+      return res.json({ success: true, query: term, groups });
+    }
+
+    const cacheKey = `${term.toLowerCase()}|${types.join(',')}|${limit}`;
+    const cached = getCachedSuggest(cacheKey);
+    if (cached) {
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.json(cached);
+    }
+
+    const loaders = {
+      categories: suggestCategories,
+      products: suggestProducts,
+      vendors: suggestVendors,
+      cities: suggestCities,
+      queries: suggestQueries,
+    };
+
+    // A failing group (e.g. search_query_stats not migrated yet) just comes back empty
+    const settled = await Promise.allSettled(types.map((t) => loaders[t](term, limit)));
+    const raw = {};
+    types.forEach((t, i) => {
+      raw[t] = settled[i].status === 'fulfilled' ? settled[i].value : [];
+      if (settled[i].status === 'rejected') {
+        console.warn(`[dir] suggest ${t} failed:`, settled[i].reason?.message);
+      }
+    });
+
+    const popularity = await fetchQueryPopularity(
+      types.filter((t) => t !== 'queries').flatMap((t) => raw[t].map((x) => x.name))
+    ).catch(() => ({}));
+
+    for (const t of types) {
+      const items = raw[t].map((item) => {
+        const searches = popularity[normalizeSearchText(item.name)] || 0;
+        const weight =
+          t === 'queries' ? item.search_count
+            : t === 'products' ? searches + item.listing_count
+              : t === 'cities' ? searches + (item.supplier_count || 0)
+                : searches;
+        return { ...item, score: Math.round(suggestScore(item.name, term, weight) * 10) / 10 };
+      });
+      items.sort((a, b) => b.score - a.score);
+      groups[t] = items.slice(0, limit);
+    }
+
+    const payload = { success: true, query: term, groups };
+    setCachedSuggest(cacheKey, payload);
+    res.set('Cache-Control', 'public, max-age=60');
+    return res.json(payload);
+  } catch (e) {
+    return res.status(500).json({
+      success: false,
+      error: 'DIR_SUGGEST_FAILED',
+      details: e.message,
+    });
+  }
+});
+
 export default router;
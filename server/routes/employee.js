@@ -7,6 +7,7 @@ import { requireAuth } from '../middleware/requireAuth.js';
 const router = express.Router();
 
 const SALES_ROLES = new Set(['SALES', 'ADMIN', 'SUPERADMIN']);
+const DATA_ENTRY_ROLES = new Set(['DATA_ENTRY', 'ADMIN', 'SUPERADMIN']);
 const CATEGORY_IMAGE_BUCKET = 'avatars';
 const CATEGORY_IMAGE_LEVELS = new Set(['head', 'sub', 'micro']);
 const CATEGORY_TABLE_BY_LEVEL = {
@@ -164,6 +165,12 @@ const hasSalesAccess = (authRole, employeeRole) => {
   return SALES_ROLES.has(a) || SALES_ROLES.has(e);
 };
 
+const hasDataEntryAccess = (authRole, employeeRole) => {
+  const a = normalizeRole(authRole || '');
+  const e = normalizeRole(employeeRole || '');
+  return DATA_ENTRY_ROLES.has(a) || DATA_ENTRY_ROLES.has(e);
+};
+
 async function resolveEmployeeProfile(authUser) {
   const userId = String(authUser?.id || '').trim();
   const email = String(authUser?.email || '').trim().toLowerCase();
@@ -672,20 +679,68 @@ router.get('/sales/pricing-rules', requireAuth(), async (req, res) => {
       return res.status(403).json({ success: false, error: 'Sales access required' });
     }
 
+    // Lead pricing rules drive the server-side lead price (compute_lead_price)
     const { data, error } = await supabase
-      .from('vendor_plans')
+      .from('lead_pricing_rules')
       .select('*')
+      .order('priority', { ascending: true })
       .order('created_at', { ascending: false });
 
     const errText = String(error?.message || '').toLowerCase();
-    if (error && !(error?.code === '42P01' || errText.includes('vendor_plans'))) {
+    if (!error) return res.json({ success: true, rules: data || [] });
+    if (!(error?.code === '42P01' || errText.includes('lead_pricing_rules'))) {
       return res.status(500).json({ success: false, error: error.message || 'Failed to load pricing rules' });
     }
 
-    return res.json({ success: true, rules: data || [] });
+    // Migration not applied yet: fall back to plan prices
+    const { data: plans, error: plansError } = await supabase
+      .from('vendor_plans')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    const plansErrText = String(plansError?.message || '').toLowerCase();
+    if (plansError && !(plansError?.code === '42P01' || plansErrText.includes('vendor_plans'))) {
+      return res.status(500).json({ success: false, error: plansError.message || 'Failed to load pricing rules' });
+    }
+
+    return res.json({ success: true, rules: plans || [] });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message || 'Failed to load pricing rules' });
   }
 });
 
+/** GET /api/employee/dataentry/search-insights — top, zero-result and low-CTR directory searches */
+router.get('/dataentry/search-insights', requireAuth(), async (req, res) => {
+  try {
+    const employee = await resolveEmployeeProfile(req.user);
+    if (!employee) {
+      return res.status(404).json({ success: false, error: 'Employee profile not found' });
+    }
+    if (!hasDataEntryAccess(req.user?.role, employee?.role)) {
+      return res.status(403).json({ success: false, error: 'Data entry access required' });
+    }
+
+    const toInt = (v, def, min, max) => {
+      const n = parseInt(String(v ?? ''), 10);
+      return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : def;
+    };
+    const maxCtr = Number(req.query.maxCtr);
+
+    const { data, error } = await supabase.rpc('search_insights_report', {
+      p_days: toInt(req.query.days, 30, 1, 365),
+      p_limit: toInt(req.query.limit, 50, 1, 500),
+      p_min_searches: toInt(req.query.minSearches, 5, 1, 100000),
+      p_max_ctr: Number.isFinite(maxCtr) ? Math.max(0, Math.min(1, maxCtr)) : 0.05,
+    });
+
+    if (error) {
+      return res.status(500).json({ success: false, error: error.message || 'Failed to load search insights' });
+    }
+
+    return res.json({ success: true, report: data || null });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message || 'Failed to load search insights' });
+  }
+});
+
 export default router;
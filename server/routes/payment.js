@@ -2,11 +2,14 @@ import express from 'express';
 import crypto from 'crypto';
 import { supabase } from '../lib/supabaseClient.js';
 import { razorpayInstance } from '../lib/razorpayClient.js';
-import { generateInvoiceNumber, generateInvoicePDF, generateInvoiceSummary } from '../lib/invoiceGenerator.js';
-import { sendSubscriptionActivatedNotification } from '../lib/notificationService.js';
-import nodemailer from 'nodemailer';
+import { getPaymentDocuments, getPaymentDocumentsByTransaction } from '../lib/taxInvoices.js';
+import { fulfillLeadPayment, fulfillSubscriptionPayment } from '../lib/paymentFulfillment.js';
+import { handleRazorpayWebhook } from '../lib/razorpayWebhook.js';
+import { applyPlanChange, findPlanChangeByOrder, initiatePlanChange, quotePlanChange } from '../lib/planChanges.js';
+import { confirmAutoRenew, disableAutoRenew, getAutoRenewStatus, setupAutoRenew } from '../lib/subscriptionRenewals.js';
 import { writeAuditLog } from '../lib/audit.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import { getLeadPurchaseQuote } from '../lib/leadPurchase.js';
 
 const router = express.Router();
 
@@ -47,35 +50,6 @@ async function resolveVendorForAuthUser(user = {}) {
   return null;
 }
 
-/**
- * Create email transporter
- */
-const createTransporter = () => {
-  if (process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS) {
-    return nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT || '587', 10),
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
-  }
-
-  if (process.env.GMAIL_EMAIL && process.env.GMAIL_APP_PASSWORD) {
-    return nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.GMAIL_EMAIL,
-        pass: process.env.GMAIL_APP_PASSWORD,
-      },
-    });
-  }
-
-  return null;
-};
-
 /**
  * POST /api/payment/initiate
  * Initiate a Razorpay payment order for subscription
@@ -213,7 +187,6 @@ router.post('/initiate', async (req, res) => {
 router.post('/verify', async (req, res) => {
   try {
     const { order_id, payment_id, signature, vendor_id, plan_id } = req.body;
-    const coupon_code = (req.body?.coupon_code || '').toString().trim().toUpperCase();
 
     if (!order_id || !payment_id || !signature || !vendor_id || !plan_id) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -230,147 +203,43 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
-    // Fetch vendor and plan
-    const { data: vendor } = await supabase
-      .from('vendors')
-      .select('*')
-      .eq('id', vendor_id)
-      .single();
-
-    const { data: plan } = await supabase
-      .from('vendor_plans')
-      .select('*')
-      .eq('id', plan_id)
-      .single();
-
-    if (!vendor || !plan) {
-      return res.status(404).json({ error: 'Vendor or plan not found' });
-    }
-
-    // Coupon re-validation
-    let discountAmount = 0;
-    let netAmount = Number(plan.price || 0);
-    let coupon = null;
-
-    if (coupon_code) {
-      const { data: cpn } = await supabase
-        .from('vendor_plan_coupons')
-        .select('*')
-        .eq('code', coupon_code)
-        .eq('is_active', true)
-        .maybeSingle();
-
-      if (cpn) {
-        const now = new Date();
-        const okUsage = !cpn.max_uses || cpn.max_uses === 0 || cpn.used_count < cpn.max_uses;
-        const okExpiry = !cpn.expires_at || new Date(cpn.expires_at) >= now;
-        const okVendor = !cpn.vendor_id || cpn.vendor_id === vendor_id;
-        const okPlan = !cpn.plan_id || cpn.plan_id === plan_id;
-
-        if (okUsage && okExpiry && okVendor && okPlan) {
-          if (cpn.discount_type === 'PERCENT') {
-            discountAmount = (Number(plan.price || 0) * Number(cpn.value)) / 100;
-          } else {
-            discountAmount = Number(cpn.value || 0);
-          }
-          discountAmount = Math.max(0, Math.min(discountAmount, Number(plan.price || 0)));
-          netAmount = Math.max(0, Number(plan.price || 0) - discountAmount);
-          coupon = cpn;
-        }
-      }
-    }
-
-    const invoiceNumber = generateInvoiceNumber();
-
-    // Create subscription
-    const endDate = new Date();
-    endDate.setDate(endDate.getDate() + (plan.duration_days || 365));
-
-    const { data: subscription, error: subscriptionError } = await supabase
-      .from('vendor_plan_subscriptions')
-      .insert([
-        {
-          vendor_id,
-          plan_id,
-          start_date: new Date(),
-          end_date: endDate,
-          status: 'ACTIVE',
-          plan_duration_days: plan.duration_days || 365,
-        },
-      ])
-      .select()
-      .single();
-
-    if (subscriptionError) {
-      console.error('Subscription creation error:', subscriptionError);
-      return res.status(500).json({ error: 'Failed to create subscription' });
-    }
-
-    // Record payment
-    const invoicePdfData = {
-      invoiceNumber,
-      invoiceDate: new Date(),
-      dueDate: new Date(),
-      vendor,
-      plan,
-      amount: plan.price,
-      discount_amount: discountAmount,
-      coupon_code: coupon_code || null,
-      tax: 0,
-      totalAmount: netAmount,
-      paymentMethod: 'Razorpay',
-      transactionId: payment_id,
-    };
-
-    const invoicePdf = generateInvoicePDF(invoicePdfData);
-
-    const { data: payment, error: paymentError } = await supabase
-      .from('vendor_payments')
-      .insert([
-        {
-          vendor_id,
-          plan_id,
-          subscription_id: subscription.id,
-          amount: plan.price,
-          discount_amount: discountAmount,
-          net_amount: netAmount,
-          description: `Subscription: ${plan.name}`,
-          status: 'COMPLETED',
-          payment_method: 'Razorpay',
-          transaction_id: payment_id,
-          payment_date: new Date(),
-          invoice_url: invoicePdf,
-          coupon_code: coupon_code || null,
-        },
-      ])
-      .select()
-      .single();
-
-    if (paymentError) {
-      console.error('Payment record error:', paymentError);
-    } else if (coupon) {
-      await supabase
-        .from('vendor_plan_coupons')
-        .update({ used_count: (coupon.used_count || 0) + 1 })
-        .eq('id', coupon.id);
-      await supabase.from('vendor_coupon_usages').insert([
-        {
-          coupon_id: coupon.id,
-          payment_id: payment?.id || null,
-          vendor_id,
-          plan_id,
-          discount_amount: discountAmount,
-          net_amount: netAmount,
-        },
-      ]);
-    }
+    // Vendor, plan and coupon are taken from the order /initiate created, never from the browser
+    let order;
+    try {
+      order = await razorpayInstance.orders.fetch(order_id);
+    } catch {
+      return res.status(400).json({ error: 'Unknown payment order' });
+    }
+
+    const orderVendorId = normalizeText(order?.notes?.vendor_id);
+    const orderPlanId = normalizeText(order?.notes?.plan_id);
+    const orderCoupon = normalizeText(order?.notes?.coupon_code).toUpperCase();
+    if (
+      !orderVendorId ||
+      !orderPlanId ||
+      orderVendorId !== normalizeText(vendor_id) ||
+      orderPlanId !== normalizeText(plan_id)
+    ) {
+      return res.status(400).json({ error: 'Payment order does not match this plan' });
+    }
+
+    // Same path as the payment.captured webhook; whichever runs second is a no-op
+    const result = await fulfillSubscriptionPayment({
+      vendorId: orderVendorId,
+      planId: orderPlanId,
+      couponCode: orderCoupon,
+      razorpayPaymentId: payment_id,
+      orderId: order_id,
+      paidAmount: Math.round(Number(order?.amount || 0)) / 100,
+    });
+    const { payment, subscription, invoice } = result;
 
-    if (!paymentError && payment) {
+    if (!result.already_fulfilled && payment) {
       const vendorActor = {
-        id: vendor.user_id || vendor_id,
+        id: result.vendor?.user_id || vendor_id,
         type: 'VENDOR',
         role: 'VENDOR',
-        email: vendor.email || null,
+        email: result.vendor?.email || null,
       };
 
       await writeAuditLog({
@@ -382,62 +251,26 @@ router.post('/verify', async (req, res) => {
         details: {
           vendor_id,
           plan_id,
-          subscription_id: subscription.id,
+          subscription_id: subscription?.id || null,
           transaction_id: payment_id,
-          amount: plan.price,
-          discount_amount: discountAmount,
-          net_amount: netAmount,
-          coupon_code: coupon_code || null,
+          amount: payment.amount,
+          discount_amount: result.discount_amount,
+          net_amount: result.net_amount,
+          coupon_code: orderCoupon || null,
         },
       });
     }
 
-    // Send email with invoice
-    try {
-      const transporter = createTransporter();
-      if (transporter && vendor.email) {
-        const invoiceSummary = generateInvoiceSummary(invoicePdfData);
-        await transporter.sendMail({
-          from: process.env.GMAIL_EMAIL || process.env.SMTP_USER,
-          to: vendor.email,
-          subject: `Invoice ${invoiceNumber} - Subscription Purchase`,
-          html: `
-            <h2>Subscription Confirmation</h2>
-            <p>Dear ${vendor.company_name},</p>
-            <p>Your subscription has been successfully activated.</p>
-            ${invoiceSummary}
-            <p><strong>Subscription Period:</strong> ${new Date().toLocaleDateString('en-IN')} to ${endDate.toLocaleDateString('en-IN')}</p>
-            <p>Thank you for choosing Indian Trade Mart!</p>
-          `,
-          attachments: [
-            {
-              filename: `${invoiceNumber}.pdf`,
-              content: invoicePdf.split(',')[1],
-              encoding: 'base64',
-              contentType: 'application/pdf',
-            },
-          ],
-        });
-      }
-    } catch (emailError) {
-      console.error('Email sending error:', emailError);
-    }
-
-    try {
-      await sendSubscriptionActivatedNotification(vendor_id, plan.name, endDate);
-    } catch (notifError) {
-      console.error('Subscription notification error:', notifError);
-    }
-
     res.json({
       success: true,
-      message: 'Payment verified and subscription activated',
+      message: result.already_fulfilled ? 'Payment already verified' : 'Payment verified and subscription activated',
       subscription,
       payment,
+      invoice_number: invoice?.document_number || payment?.invoice_number || null,
     });
   } catch (error) {
     console.error('Payment verification error:', error);
-    res.status(500).json({ error: error.message || 'Payment verification failed' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Payment verification failed' });
   }
 });
 
@@ -462,9 +295,17 @@ router.post('/lead/initiate', requireAuth({ roles: ['VENDOR'] }), async (req, re
       return res.status(404).json({ error: 'Vendor profile not found' });
     }
 
+    // Price + plan-quota coverage come from the DB (lead_pricing_rules), never from the client
+    let quote;
+    try {
+      quote = await getLeadPurchaseQuote(vendor.id, leadId);
+    } catch (quoteError) {
+      return res.status(quoteError.statusCode || 500).json({ error: quoteError.message || 'Failed to price lead' });
+    }
+
     const { data: lead, error: leadError } = await supabase
       .from('leads')
-      .select('*')
+      .select('id, title, product_name, status, vendor_id')
       .eq('id', leadId)
       .maybeSingle();
 
@@ -512,7 +353,17 @@ router.post('/lead/initiate', requireAuth({ roles: ['VENDOR'] }), async (req, re
       return res.status(409).json({ error: 'This lead has reached maximum 5 vendors limit' });
     }
 
-    const leadPrice = parseCurrencyAmount(lead?.price, 50);
+    // Plan quota (or a free lead) covers it: no order, client calls /api/vendors/me/leads/:leadId/purchase
+    if (!quote?.payment_required) {
+      return res.json({
+        success: true,
+        payment_required: false,
+        covered_by_quota: Boolean(quote?.covered_by_quota),
+        lead_price: Number(quote?.price || 0),
+      });
+    }
+
+    const leadPrice = parseCurrencyAmount(quote?.price, 0);
     if (leadPrice <= 0) {
       return res.status(400).json({ error: 'Invalid lead price for online payment' });
     }
@@ -536,6 +387,7 @@ router.post('/lead/initiate', requireAuth({ roles: ['VENDOR'] }), async (req, re
 
     return res.json({
       success: true,
+      payment_required: true,
       key_id: process.env.RAZORPAY_KEY_ID,
       order: {
         id: order.id,
@@ -583,80 +435,54 @@ router.post('/lead/verify', requireAuth({ roles: ['VENDOR'] }), async (req, res)
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
 
-    const { data: lead, error: leadError } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('id', leadId)
-      .maybeSingle();
-
-    if (leadError) {
-      return res.status(500).json({ error: leadError.message || 'Failed to fetch lead' });
-    }
-    if (!lead) {
-      return res.status(404).json({ error: 'Lead not found' });
+    // The order must be the one /lead/initiate created for this vendor + lead
+    let order;
+    try {
+      order = await razorpayInstance.orders.fetch(orderId);
+    } catch {
+      return res.status(400).json({ error: 'Unknown payment order' });
     }
 
-    const leadStatus = normalizeText(lead?.status).toUpperCase();
-    if (leadStatus && !['AVAILABLE', 'PURCHASED'].includes(leadStatus)) {
-      return res.status(409).json({ error: 'Lead no longer available' });
+    if (
+      normalizeText(order?.notes?.lead_id) !== leadId ||
+      normalizeText(order?.notes?.vendor_id) !== normalizeText(vendor.id)
+    ) {
+      return res.status(400).json({ error: 'Payment order does not match this lead' });
     }
 
-    const { data: existingRows, error: existingError } = await supabase
-      .from('lead_purchases')
-      .select('*')
-      .eq('vendor_id', vendor.id)
-      .eq('lead_id', leadId)
-      .order('purchase_date', { ascending: false })
-      .limit(1);
+    const purchaseAmount = Math.round(Number(order?.amount || 0)) / 100;
 
-    if (existingError) {
-      return res.status(500).json({ error: existingError.message || 'Failed to validate purchase' });
+    let result;
+    try {
+      result = await fulfillLeadPayment({
+        vendorId: vendor.id,
+        leadId,
+        razorpayPaymentId: paymentId,
+        orderId,
+        amount: purchaseAmount,
+      });
+    } catch (purchaseError) {
+      // Paid but could not be fulfilled (e.g. lead filled up meanwhile) — fulfillLeadPayment refunded it
+      console.error('Lead purchase after payment failed:', purchaseError?.message || purchaseError, { orderId, paymentId, leadId });
+      return res.status(purchaseError.statusCode || 500).json({
+        error: purchaseError.message || 'Failed to purchase lead',
+        code: purchaseError.code,
+        transaction_id: paymentId,
+        refund: purchaseError.refund || null,
+      });
     }
 
-    if (Array.isArray(existingRows) && existingRows.length > 0) {
+    if (result?.already_fulfilled) {
       return res.json({
         success: true,
         message: 'Lead already purchased',
-        purchase: existingRows[0],
+        purchase: result.purchase,
+        refund: result.refund || null,
       });
     }
 
-    const { count: purchaseCount, error: countError } = await supabase
-      .from('lead_purchases')
-      .select('id', { count: 'exact', head: true })
-      .eq('lead_id', leadId);
-
-    if (countError) {
-      return res.status(500).json({ error: countError.message || 'Failed to validate lead capacity' });
-    }
-
-    if ((purchaseCount || 0) >= 5) {
-      return res.status(409).json({ error: 'This lead has reached maximum 5 vendors limit' });
-    }
-
-    const purchaseAmount = parseCurrencyAmount(lead?.price, 50);
-    const purchasePayload = {
-      vendor_id: vendor.id,
-      lead_id: leadId,
-      amount: purchaseAmount,
-      payment_status: 'COMPLETED',
-      purchase_date: new Date().toISOString(),
-    };
-
-    const { data: purchaseRow, error: purchaseError } = await supabase
-      .from('lead_purchases')
-      .insert([purchasePayload])
-      .select('*')
-      .maybeSingle();
-
-    if (purchaseError) {
-      return res.status(500).json({ error: purchaseError.message || 'Failed to purchase lead' });
-    }
-
-    await supabase
-      .from('leads')
-      .update({ status: 'PURCHASED' })
-      .eq('id', leadId);
+    const purchaseRow = result?.purchase || null;
+    const invoiceNumber = result?.invoice?.document_number || null;
 
     try {
       await writeAuditLog({
@@ -684,7 +510,8 @@ router.post('/lead/verify', requireAuth({ roles: ['VENDOR'] }), async (req, res)
     return res.json({
       success: true,
       message: 'Payment verified and lead unlocked',
-      purchase: purchaseRow || { ...purchasePayload, id: null },
+      purchase: purchaseRow,
+      invoice_number: invoiceNumber,
     });
   } catch (error) {
     console.error('Lead payment verification error:', error);
@@ -692,6 +519,291 @@ router.post('/lead/verify', requireAuth({ roles: ['VENDOR'] }), async (req, res)
   }
 });
 
+const planChangeResponse = (result) => ({
+  success: true,
+  already_applied: Boolean(result.already_applied),
+  change: result.change,
+  subscription: result.subscription,
+  invoice_number: result.invoice?.document_number || result.payment?.invoice_number || null,
+  refund: result.refund,
+});
+
+async function auditPlanChange(req, vendor, result) {
+  if (result.already_applied || !result.change) return;
+  try {
+    await writeAuditLog({
+      req,
+      actor: {
+        id: vendor.user_id || vendor.id,
+        type: 'VENDOR',
+        role: 'VENDOR',
+        email: vendor.email || null,
+      },
+      action: 'PLAN_CHANGED',
+      entityType: 'vendor_plan_changes',
+      entityId: result.change.id,
+      details: {
+        kind: result.change.kind,
+        from_plan_id: result.change.from_plan_id,
+        to_plan_id: result.change.to_plan_id,
+        credit_amount: result.change.credit_amount,
+        charge_amount: result.change.charge_amount,
+        refund_amount: result.change.refund_amount,
+        subscription_id: result.change.new_subscription_id,
+        payment_id: result.payment?.id || null,
+      },
+    });
+  } catch (auditErr) {
+    console.warn('Plan change audit log failed:', auditErr?.message || auditErr);
+  }
+}
+
+/**
+ * GET /api/payment/plan-change/quote?plan_id=
+ * Prorated price of switching the vendor's active plan to plan_id (nothing is saved).
+ */
+router.get('/plan-change/quote', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const quote = await quotePlanChange({ vendorId: vendor.id, planId: normalizeText(req.query?.plan_id) });
+    return res.json({ success: true, quote });
+  } catch (error) {
+    console.error('Plan change quote error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Failed to price plan change' });
+  }
+});
+
+/**
+ * POST /api/payment/plan-change/initiate
+ * Freeze the quote and either apply it (nothing to pay) or open a Razorpay order for the difference.
+ */
+router.post('/plan-change/initiate', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const planId = normalizeText(req.body?.plan_id);
+    if (!planId) {
+      return res.status(400).json({ error: 'Missing plan_id' });
+    }
+
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const result = await initiatePlanChange({ vendor, planId });
+    if (!result.payment_required) {
+      await auditPlanChange(req, vendor, result);
+      return res.json({ ...planChangeResponse(result), payment_required: false, quote: result.quote });
+    }
+
+    return res.json({
+      success: true,
+      payment_required: true,
+      key_id: process.env.RAZORPAY_KEY_ID,
+      quote: result.quote,
+      change: result.change,
+      order: {
+        id: result.order.id,
+        amount: result.order.amount,
+        currency: result.order.currency,
+        plan_change_id: result.change.id,
+        plan_name: result.quote.to_plan.name,
+        vendor_email: vendor.email || '',
+      },
+    });
+  } catch (error) {
+    console.error('Plan change initiation error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Failed to start plan change' });
+  }
+});
+
+/**
+ * POST /api/payment/plan-change/verify
+ * Verify the Razorpay payment for a plan change and switch the plan.
+ */
+router.post('/plan-change/verify', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const orderId = normalizeText(req.body?.order_id);
+    const paymentId = normalizeText(req.body?.payment_id);
+    const signature = normalizeText(req.body?.signature);
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    if (expectedSignature !== signature) {
+      return res.status(400).json({ error: 'Invalid payment signature' });
+    }
+
+    // Same path as the payment.captured webhook; whichever runs second is a no-op
+    const change = await findPlanChangeByOrder(orderId, vendor.id);
+    const result = await applyPlanChange({ changeId: change.id, razorpayPaymentId: paymentId, orderId });
+    await auditPlanChange(req, vendor, result);
+    return res.json(planChangeResponse(result));
+  } catch (error) {
+    console.error('Plan change verification error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Plan change verification failed' });
+  }
+});
+
+async function auditAutoRenew(req, vendor, action, details = {}) {
+  try {
+    await writeAuditLog({
+      req,
+      actor: {
+        id: vendor.user_id || vendor.id,
+        type: 'VENDOR',
+        role: 'VENDOR',
+        email: vendor.email || null,
+      },
+      action,
+      entityType: 'vendor_payment_mandates',
+      entityId: details.mandate_id || null,
+      details,
+    });
+  } catch (auditErr) {
+    console.warn('Auto-renew audit log failed:', auditErr?.message || auditErr);
+  }
+}
+
+/**
+ * GET /api/payment/auto-renew
+ * Auto-renew state of the vendor's current plan: mandate, renewal date, retry / grace info.
+ */
+router.get('/auto-renew', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const status = await getAutoRenewStatus(vendor.id);
+    return res.json({ success: true, auto_renew: status });
+  } catch (error) {
+    console.error('Auto-renew status error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Failed to load auto-renew status' });
+  }
+});
+
+/**
+ * POST /api/payment/auto-renew/setup
+ * Enable auto-renew. Returns a recurring Checkout order when the payment method still has to be authorised.
+ */
+router.post('/auto-renew/setup', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const result = await setupAutoRenew({ vendor });
+    if (!result.authorization_required) {
+      await auditAutoRenew(req, vendor, 'AUTO_RENEW_ENABLED', { mandate_id: result.mandate?.id || null });
+      return res.json({ success: true, authorization_required: false, mandate: result.mandate });
+    }
+
+    return res.json({
+      success: true,
+      authorization_required: true,
+      key_id: process.env.RAZORPAY_KEY_ID,
+      mandate: result.mandate,
+      checkout: { ...result.checkout, vendor_email: vendor.email || '' },
+    });
+  } catch (error) {
+    console.error('Auto-renew setup error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Failed to enable auto-renew' });
+  }
+});
+
+/**
+ * POST /api/payment/auto-renew/verify
+ * Verify the mandate authorisation payment and activate auto-renew.
+ */
+router.post('/auto-renew/verify', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const orderId = normalizeText(req.body?.order_id);
+    const paymentId = normalizeText(req.body?.payment_id);
+    const signature = normalizeText(req.body?.signature);
+
+    if (!orderId || !paymentId || !signature) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    if (expectedSignature !== signature) {
+      return res.status(400).json({ error: 'Invalid payment signature' });
+    }
+
+    const mandate = await confirmAutoRenew({ vendor, orderId, paymentId });
+    await auditAutoRenew(req, vendor, 'AUTO_RENEW_ENABLED', { mandate_id: mandate.id, method: mandate.method });
+    return res.json({ success: true, mandate });
+  } catch (error) {
+    console.error('Auto-renew verification error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Auto-renew verification failed' });
+  }
+});
+
+/**
+ * POST /api/payment/auto-renew/cancel
+ * Disable auto-renew and revoke the saved mandate.
+ */
+router.post('/auto-renew/cancel', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) {
+      return res.status(404).json({ error: 'Vendor profile not found' });
+    }
+
+    const result = await disableAutoRenew({ vendor });
+    await auditAutoRenew(req, vendor, 'AUTO_RENEW_DISABLED');
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Auto-renew cancel error:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message || 'Failed to disable auto-renew' });
+  }
+});
+
+/**
+ * POST /api/payment/webhook
+ * Razorpay webhook (payment.captured, order.paid, payment.failed, refund.processed).
+ * Authenticated by X-Razorpay-Signature over the raw body; idempotent per X-Razorpay-Event-Id.
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const { status, body } = await handleRazorpayWebhook({
+      rawBody: req.rawBody ?? JSON.stringify(req.body || {}),
+      signature: req.get('x-razorpay-signature'),
+      eventId: req.get('x-razorpay-event-id'),
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Razorpay webhook error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message || 'Webhook processing failed' });
+  }
+});
+
 /**
  * GET /api/payment/history/:vendor_id
  * Get payment history for a vendor
@@ -731,10 +843,10 @@ router.get('/history/:vendor_id', async (req, res) => {
 
 /**
  * GET /api/payment/invoice/:payment_id
- * Download invoice PDF
- * If `refresh=true` query param is provided, regenerate the invoice using latest template/data.
+ * Download the vendor's GST tax invoice PDF plus any credit notes.
+ * If `refresh=true` query param is provided, re-render the PDF with the latest template (same number).
  */
-router.get('/invoice/:payment_id', async (req, res) => {
+router.get('/invoice/:payment_id', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
   try {
     const { payment_id } = req.params;
     const refresh = (req.query.refresh || '').toString().toLowerCase() === 'true';
@@ -743,75 +855,37 @@ router.get('/invoice/:payment_id', async (req, res) => {
       return res.status(400).json({ error: 'Missing payment_id' });
     }
 
-    const { data: payment, error } = await supabase
-      .from('vendor_payments')
-      .select('*')
-      .eq('id', payment_id)
-      .single();
-
-    if (error || !payment) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-
-    // If refresh requested or invoice missing, regenerate with latest template
-    if (refresh || !payment.invoice_url) {
-      const [{ data: vendor }, { data: plan }] = await Promise.all([
-        supabase.from('vendors').select('*').eq('id', payment.vendor_id).single(),
-        supabase.from('vendor_plans').select('*').eq('id', payment.plan_id).single(),
-      ]);
-
-      const invoicePdfData = {
-        invoiceNumber: payment.invoice_number || generateInvoiceNumber(),
-        invoiceDate: payment.payment_date || new Date(),
-        dueDate: payment.payment_date || new Date(),
-        vendor,
-        plan,
-        amount: payment.amount,
-        discount_amount: payment.discount_amount || 0,
-        coupon_code: payment.coupon_code || '',
-        tax: payment.tax_amount || 0,
-        totalAmount: payment.net_amount || payment.amount,
-        paymentMethod: payment.payment_method || 'Razorpay',
-        transactionId: payment.transaction_id,
-      };
-
-      const newPdf = generateInvoicePDF(invoicePdfData);
-
-      await supabase
-        .from('vendor_payments')
-        .update({
-          invoice_url: newPdf,
-          invoice_number: invoicePdfData.invoiceNumber,
-        })
-        .eq('id', payment_id);
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) return res.status(404).json({ error: 'Vendor profile not found' });
 
-      payment.invoice_url = newPdf;
-    }
+    const docs = await getPaymentDocuments(payment_id, { refresh, vendorId: vendor.id });
 
     await writeAuditLog({
       req,
-      actor: { id: payment.vendor_id || null, type: 'VENDOR', role: 'VENDOR', email: null },
+      actor: { id: req.user?.id || null, type: 'VENDOR', role: 'VENDOR', email: req.user?.email || null },
       action: refresh ? 'INVOICE_REFRESHED' : 'INVOICE_VIEWED',
       entityType: 'vendor_payments',
       entityId: payment_id,
-      details: { refresh, vendor_id: payment.vendor_id },
+      details: { refresh, vendor_id: docs.payment.vendor_id, invoice_number: docs.invoice.document_number },
     });
 
     res.json({
       success: true,
-      invoice: payment.invoice_url,
+      invoice: docs.invoice_pdf,
+      invoice_number: docs.invoice.document_number,
+      credit_notes: docs.credit_notes,
     });
   } catch (error) {
     console.error('Invoice retrieval error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 /**
  * GET /api/payment/invoice/by-tx/:transaction_id
- * Regenerate or fetch invoice using Razorpay transaction/payment_id
+ * Fetch the tax invoice using Razorpay transaction/payment_id
  */
-router.get('/invoice/by-tx/:transaction_id', async (req, res) => {
+router.get('/invoice/by-tx/:transaction_id', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
   try {
     const { transaction_id } = req.params;
     const refresh = (req.query.refresh || '').toString().toLowerCase() === 'true';
@@ -820,57 +894,20 @@ router.get('/invoice/by-tx/:transaction_id', async (req, res) => {
       return res.status(400).json({ error: 'Missing transaction_id' });
     }
 
-    const { data: payment, error } = await supabase
-      .from('vendor_payments')
-      .select('*')
-      .eq('transaction_id', transaction_id)
-      .maybeSingle();
-
-    if (error || !payment) {
-      return res.status(404).json({ error: 'Payment not found' });
-    }
-
-    if (refresh || !payment.invoice_url) {
-      const [{ data: vendor }, { data: plan }] = await Promise.all([
-        supabase.from('vendors').select('*').eq('id', payment.vendor_id).single(),
-        supabase.from('vendor_plans').select('*').eq('id', payment.plan_id).single(),
-      ]);
-
-      const invoicePdfData = {
-        invoiceNumber: payment.invoice_number || generateInvoiceNumber(),
-        invoiceDate: payment.payment_date || new Date(),
-        dueDate: payment.payment_date || new Date(),
-        vendor,
-        plan,
-        amount: payment.amount,
-        discount_amount: payment.discount_amount || 0,
-        coupon_code: payment.coupon_code || '',
-        tax: payment.tax_amount || 0,
-        totalAmount: payment.net_amount || payment.amount,
-        paymentMethod: payment.payment_method || 'Razorpay',
-        transactionId: payment.transaction_id,
-      };
-
-      const newPdf = generateInvoicePDF(invoicePdfData);
-
-      await supabase
-        .from('vendor_payments')
-        .update({
-          invoice_url: newPdf,
-          invoice_number: invoicePdfData.invoiceNumber,
-        })
-        .eq('id', payment.id);
+    const vendor = await resolveVendorForAuthUser(req.user);
+    if (!vendor?.id) return res.status(404).json({ error: 'Vendor profile not found' });
 
-      payment.invoice_url = newPdf;
-    }
+    const docs = await getPaymentDocumentsByTransaction(transaction_id, { refresh, vendorId: vendor.id });
 
     res.json({
       success: true,
-      invoice: payment.invoice_url,
+      invoice: docs.invoice_pdf,
+      invoice_number: docs.invoice.document_number,
+      credit_notes: docs.credit_notes,
     });
   } catch (error) {
     console.error('Invoice by transaction retrieval error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
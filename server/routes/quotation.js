@@ -2,6 +2,41 @@ import express from 'express';
 import nodemailer from 'nodemailer';
 import { supabase } from '../lib/supabaseClient.js';
 import { requireAuth } from '../middleware/requireAuth.js';
+import {
+  buildProposalHeader,
+  computeQuotationTotals,
+  legacyLineItem,
+  loadProposalLineItems,
+  normalizeLineItems,
+  resolveLineItemAccess,
+  saveProposalLineItems,
+} from '../lib/quotationItems.js';
+import { awardQuotation, buildQuotationComparison } from '../lib/quotationAwards.js';
+import {
+  advancePurchaseOrder,
+  createPurchaseOrder,
+  getPurchaseOrder,
+  getPurchaseOrderPdf,
+  listPurchaseOrders,
+} from '../lib/purchaseOrders.js';
+import {
+  deleteProposalMessages,
+  editProposalMessage,
+  getUnreadCounts,
+  listProposalMessages,
+  markProposalMessages,
+  respondToOffer,
+  searchProposalMessages,
+  sendAttachmentMessage,
+  sendOfferMessage,
+  sendProposalMessage,
+} from '../lib/proposalMessages.js';
+import {
+  createRfqBroadcast,
+  getRfqBroadcast,
+  listRfqBroadcasts,
+  suggestBroadcastVendors,
+} from '../lib/rfqBroadcasts.js';
 
 const router = express.Router();
 
@@ -197,88 +232,6 @@ const enrichVendors = async (rows = []) => {
   }));
 };
 
-const sanitizeMessageText = (value) =>
-  String(value || '')
-    .replace(/\r\n/g, '\n')
-    .trim();
-
-const MESSAGE_MARKERS = {
-  edited: /^::itm_edited::$/i,
-  deliveredBuyer: /^::itm_delivered_buyer::(.+)$/i,
-  deliveredVendor: /^::itm_delivered_vendor::(.+)$/i,
-  readBuyer: /^::itm_read_buyer::(.+)$/i,
-  readVendor: /^::itm_read_vendor::(.+)$/i,
-};
-
-const parseStoredMessage = (rawValue) => {
-  const lines = String(rawValue || '').replace(/\r\n/g, '\n').split('\n');
-  const contentLines = [];
-  const meta = {
-    edited: false,
-    delivered_buyer_at: null,
-    delivered_vendor_at: null,
-    read_buyer_at: null,
-    read_vendor_at: null,
-  };
-
-  for (const line of lines) {
-    const trimmed = String(line || '').trim();
-    if (!trimmed) {
-      contentLines.push(line);
-      continue;
-    }
-
-    if (MESSAGE_MARKERS.edited.test(trimmed)) {
-      meta.edited = true;
-      continue;
-    }
-
-    const deliveredBuyerMatch = trimmed.match(MESSAGE_MARKERS.deliveredBuyer);
-    if (deliveredBuyerMatch) {
-      meta.delivered_buyer_at = String(deliveredBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const deliveredVendorMatch = trimmed.match(MESSAGE_MARKERS.deliveredVendor);
-    if (deliveredVendorMatch) {
-      meta.delivered_vendor_at = String(deliveredVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readBuyerMatch = trimmed.match(MESSAGE_MARKERS.readBuyer);
-    if (readBuyerMatch) {
-      meta.read_buyer_at = String(readBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readVendorMatch = trimmed.match(MESSAGE_MARKERS.readVendor);
-    if (readVendorMatch) {
-      meta.read_vendor_at = String(readVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    contentLines.push(line);
-  }
-
-  return {
-    text: contentLines.join('\n').trimEnd(),
-    meta,
-  };
-};
-
-const composeStoredMessage = (textValue, meta = {}) => {
-  const cleanText = sanitizeMessageText(textValue);
-  if (!cleanText) return '';
-
-  const lines = [cleanText];
-  if (meta?.edited) lines.push('::itm_edited::');
-  if (meta?.delivered_buyer_at) lines.push(`::itm_delivered_buyer::${meta.delivered_buyer_at}`);
-  if (meta?.delivered_vendor_at) lines.push(`::itm_delivered_vendor::${meta.delivered_vendor_at}`);
-  if (meta?.read_buyer_at) lines.push(`::itm_read_buyer::${meta.read_buyer_at}`);
-  if (meta?.read_vendor_at) lines.push(`::itm_read_vendor::${meta.read_vendor_at}`);
-  return lines.join('\n');
-};
-
 const resolveActorMessagingRole = (access = {}, user = {}) => {
   if (access?.isVendorParticipant && !access?.isBuyerParticipant) return 'vendor';
   if (access?.isBuyerParticipant && !access?.isVendorParticipant) return 'buyer';
@@ -288,109 +241,6 @@ const resolveActorMessagingRole = (access = {}, user = {}) => {
   return 'buyer';
 };
 
-const getRoleMarkerKeys = (role = 'buyer') =>
-  role === 'vendor'
-    ? { deliveredKey: 'delivered_vendor_at', readKey: 'read_vendor_at' }
-    : { deliveredKey: 'delivered_buyer_at', readKey: 'read_buyer_at' };
-
-const buildStoredMessageText = (value, existingMeta = {}, { edited = false } = {}) => {
-  const parsed = parseStoredMessage(value);
-  const mergedMeta = {
-    edited: edited || Boolean(existingMeta?.edited),
-    delivered_buyer_at: existingMeta?.delivered_buyer_at || parsed.meta.delivered_buyer_at || null,
-    delivered_vendor_at: existingMeta?.delivered_vendor_at || parsed.meta.delivered_vendor_at || null,
-    read_buyer_at: existingMeta?.read_buyer_at || parsed.meta.read_buyer_at || null,
-    read_vendor_at: existingMeta?.read_vendor_at || parsed.meta.read_vendor_at || null,
-  };
-  return composeStoredMessage(parsed.text, mergedMeta);
-};
-
-const normalizeMessageRow = (row = {}, actorPublicUserId = null, actorRole = 'buyer') => {
-  const parsed = parseStoredMessage(row?.message);
-  const isMe =
-    !!actorPublicUserId &&
-    String(row?.sender_id || '').trim() === String(actorPublicUserId).trim();
-
-  const recipientRole = actorRole === 'buyer' ? 'vendor' : 'buyer';
-  const { deliveredKey, readKey } = getRoleMarkerKeys(recipientRole);
-  const deliveredAt = parsed.meta?.[deliveredKey] || null;
-  const readAt = parsed.meta?.[readKey] || null;
-
-  let deliveryState = 'sent';
-  if (readAt) deliveryState = 'read';
-  else if (deliveredAt) deliveryState = 'delivered';
-
-  return {
-    ...row,
-    message: parsed.text,
-    is_edited: Boolean(parsed.meta.edited),
-    is_me: isMe,
-    delivered_at: deliveredAt,
-    read_at: readAt,
-    delivery_state: isMe ? deliveryState : 'received',
-  };
-};
-
-async function applyMessageAcks(rows = [], actorRole = 'buyer', actorPublicUserId = null, options = {}) {
-  const list = Array.isArray(rows) ? rows : [];
-  if (!list.length || !actorPublicUserId) return list;
-
-  const markDelivered = options?.markDelivered !== false;
-  const markRead = options?.markRead === true;
-  const { deliveredKey, readKey } = getRoleMarkerKeys(actorRole);
-  const nowIso = new Date().toISOString();
-
-  const output = [];
-
-  for (const row of list) {
-    if (!row?.id) {
-      output.push(row);
-      continue;
-    }
-
-    if (String(row?.sender_id || '').trim() === String(actorPublicUserId).trim()) {
-      output.push(row);
-      continue;
-    }
-
-    const parsed = parseStoredMessage(row?.message);
-    const nextMeta = { ...parsed.meta };
-    let changed = false;
-
-    if (markDelivered && !nextMeta[deliveredKey]) {
-      nextMeta[deliveredKey] = nowIso;
-      changed = true;
-    }
-    if (markRead && !nextMeta[readKey]) {
-      nextMeta[readKey] = nowIso;
-      changed = true;
-    }
-
-    if (!changed) {
-      output.push(row);
-      continue;
-    }
-
-    const storedMessage = composeStoredMessage(parsed.text, nextMeta);
-
-    const { data: updatedRow, error } = await supabase
-      .from('proposal_messages')
-      .update({ message: storedMessage })
-      .eq('id', row.id)
-      .select('*')
-      .maybeSingle();
-
-    if (error || !updatedRow) {
-      output.push(row);
-      continue;
-    }
-
-    output.push(updatedRow);
-  }
-
-  return output;
-}
-
 async function resolvePublicUserIdForActor(user = {}) {
   const userId = String(user?.id || '').trim();
   const email = normalizeEmail(user?.email || '');
@@ -646,25 +496,22 @@ router.get('/received/:quotationId', requireAuth(), async (req, res) => {
     }
 
     const [enrichedQuotation] = await enrichVendors([quotation]);
-
-    const { data: messages, error: msgError } = await supabase
-      .from('proposal_messages')
-      .select('*')
-      .eq('proposal_id', quotationId)
-      .order('created_at', { ascending: true });
-
-    if (msgError) {
-      return res.status(500).json({ success: false, error: msgError.message || 'Failed to fetch quotation messages' });
-    }
+    const lineItems = await loadProposalLineItems(quotationId);
 
     const actorPublicUserId = await resolvePublicUserIdForActor(req.user);
-    const actorRole = 'buyer';
+    const { messages } = await listProposalMessages({
+      proposalId: quotationId,
+      actorUserId: actorPublicUserId,
+      role: 'buyer',
+      markRead: false,
+    });
 
     return res.json({
       success: true,
       quotation: {
         ...(enrichedQuotation || quotation),
-        messages: (messages || []).map((row) => normalizeMessageRow(row, actorPublicUserId, actorRole)),
+        line_items: lineItems,
+        messages,
       },
     });
   } catch (e) {
@@ -672,6 +519,264 @@ router.get('/received/:quotationId', requireAuth(), async (req, res) => {
   }
 });
 
+// GET /api/quotation/compare?rfq_id=… or ?ids=a,b,c (buyer comparison matrix)
+router.get('/compare', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const comparison = await buildQuotationComparison({
+      buyer,
+      email: req.user?.email,
+      rfqId: String(req.query?.rfq_id || '').trim() || null,
+      quotationIds: req.query?.ids,
+    });
+    return res.json({ success: true, ...comparison });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to compare quotations' });
+  }
+});
+
+// GET /api/quotation/broadcasts/suggestions?micro_category_id=…&city_id=… (verified suppliers to send an RFQ to)
+router.get('/broadcasts/suggestions', requireAuth(), async (req, res) => {
+  try {
+    const result = await suggestBroadcastVendors({
+      microCategoryId: String(req.query?.micro_category_id || '').trim(),
+      cityId: String(req.query?.city_id || '').trim() || null,
+      limit: req.query?.limit,
+    });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to suggest suppliers' });
+  }
+});
+
+// GET /api/quotation/broadcasts (buyer's multi-supplier requirements with viewed/responded tracking)
+router.get('/broadcasts', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const broadcasts = await listRfqBroadcasts({ buyer });
+    return res.json({ success: true, broadcasts });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch requirements' });
+  }
+});
+
+// POST /api/quotation/broadcasts (one requirement -> one linked RFQ per picked supplier)
+router.post('/broadcasts', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const result = await createRfqBroadcast({ buyer, user: req.user, input: req.body || {} });
+    return res.status(201).json({ success: true, ...result });
+  } catch (e) {
+    if (!e.statusCode) console.error('❌ RFQ broadcast failed:', e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to send requirement' });
+  }
+});
+
+// GET /api/quotation/broadcasts/:broadcastId
+router.get('/broadcasts/:broadcastId', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const broadcast = await getRfqBroadcast({ buyer, broadcastId: String(req.params?.broadcastId || '').trim() });
+    return res.json({ success: true, broadcast });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch requirement' });
+  }
+});
+
+// POST /api/quotation/:quotationId/award (accept one quote, decline the rest, notify vendors)
+router.post('/:quotationId/award', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const result = await awardQuotation({
+      buyer,
+      email: req.user?.email,
+      quotationId: String(req.params?.quotationId || '').trim(),
+      compareIds: req.body?.compare_ids,
+      reason: req.body?.reason,
+      actor: req.user,
+      req,
+    });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to award quotation' });
+  }
+});
+
+// POST /api/quotation/:quotationId/purchase-order (buyer converts an accepted quotation into a PO)
+router.post('/:quotationId/purchase-order', requireAuth(), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerForUser(req.user);
+    const result = await createPurchaseOrder({
+      buyer,
+      email: req.user?.email,
+      quotationId: String(req.params?.quotationId || '').trim(),
+      billingAddress: req.body?.billing_address,
+      shippingAddress: req.body?.shipping_address,
+      expectedDeliveryDate: req.body?.expected_delivery_date,
+      notes: req.body?.notes,
+      actor: req.user,
+      req,
+    });
+    return res.status(201).json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to create purchase order' });
+  }
+});
+
+const resolvePurchaseOrderParties = async (user) => {
+  const [buyer, vendor] = await Promise.all([resolveBuyerForUser(user), resolveVendorForUser(user)]);
+  return { buyer, vendor, email: normalizeEmail(user?.email || '') };
+};
+
+// GET /api/quotation/purchase-orders?as=buyer|vendor&quotation_id=…
+router.get('/purchase-orders', requireAuth(), async (req, res) => {
+  try {
+    const parties = await resolvePurchaseOrderParties(req.user);
+    const orders = await listPurchaseOrders({
+      ...parties,
+      as: String(req.query?.as || 'buyer'),
+      quotationId: String(req.query?.quotation_id || '').trim() || null,
+    });
+    return res.json({ success: true, orders });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch purchase orders' });
+  }
+});
+
+// GET /api/quotation/purchase-orders/:orderId (order + status timeline, either party)
+router.get('/purchase-orders/:orderId', requireAuth(), async (req, res) => {
+  try {
+    const result = await getPurchaseOrder(String(req.params?.orderId || '').trim(), await resolvePurchaseOrderParties(req.user));
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch purchase order' });
+  }
+});
+
+// GET /api/quotation/purchase-orders/:orderId/pdf
+router.get('/purchase-orders/:orderId/pdf', requireAuth(), async (req, res) => {
+  try {
+    const result = await getPurchaseOrderPdf(
+      String(req.params?.orderId || '').trim(),
+      await resolvePurchaseOrderParties(req.user),
+      { refresh: String(req.query?.refresh || '') === 'true' }
+    );
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch purchase order PDF' });
+  }
+});
+
+// POST /api/quotation/purchase-orders/:orderId/status (vendor: CONFIRMED/DISPATCHED, buyer: DELIVERED/DISPUTED/CANCELLED)
+router.post('/purchase-orders/:orderId/status', requireAuth(), async (req, res) => {
+  try {
+    const result = await advancePurchaseOrder({
+      ...(await resolvePurchaseOrderParties(req.user)),
+      orderId: String(req.params?.orderId || '').trim(),
+      status: req.body?.status,
+      note: req.body?.note,
+      docketNumber: req.body?.docket_number,
+      carrier: req.body?.carrier,
+      actor: req.user,
+      req,
+    });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to update purchase order' });
+  }
+});
+
+async function loadProposalForLineItems(req) {
+  const proposalId = String(req.params?.proposalId || '').trim();
+  if (!proposalId) {
+    const err = new Error('Invalid proposal id');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const { data: proposal, error } = await supabase
+    .from('proposals')
+    .select('*')
+    .eq('id', proposalId)
+    .maybeSingle();
+  if (error) throw new Error(error.message || 'Failed to load proposal');
+  if (!proposal) {
+    const err = new Error('Proposal not found');
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const [buyer, vendor] = await Promise.all([resolveBuyerForUser(req.user), resolveVendorForUser(req.user)]);
+  const access = await resolveLineItemAccess(proposal, { buyer, vendor, email: normalizeEmail(req.user?.email || '') });
+  if (!access.canRead) {
+    const err = new Error('Proposal not found');
+    err.statusCode = 404;
+    throw err;
+  }
+  return { proposal, access };
+}
+
+// GET /api/quotation/:proposalId/items (RFQ/quotation line items for either party)
+router.get('/:proposalId/items', requireAuth(), async (req, res) => {
+  try {
+    const { proposal, access } = await loadProposalForLineItems(req);
+    const items = await loadProposalLineItems(proposal.id);
+    return res.json({
+      success: true,
+      proposal_type: proposal.proposal_type || (access.isRfq ? 'RFQ' : 'QUOTATION'),
+      items,
+      totals: {
+        subtotal: proposal.subtotal ?? null,
+        discount_total: proposal.discount_total ?? null,
+        tax_total: proposal.tax_total ?? null,
+        grand_total: proposal.grand_total ?? null,
+      },
+      can_edit: access.canEdit,
+    });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to fetch line items' });
+  }
+});
+
+// PUT /api/quotation/:proposalId/items (owner replaces items + terms; totals recomputed server-side)
+router.put('/:proposalId/items', requireAuth(), async (req, res) => {
+  try {
+    const { proposal, access } = await loadProposalForLineItems(req);
+    if (!access.canEdit) {
+      return res.status(403).json({ success: false, error: 'Only the sender can edit these line items' });
+    }
+    if (!['SENT', 'DRAFT'].includes(String(proposal.status || '').toUpperCase())) {
+      return res.status(409).json({ success: false, error: 'Line items can no longer be changed' });
+    }
+
+    const items = normalizeLineItems(req.body?.items, { requirePrice: !access.isRfq });
+    const totals = computeQuotationTotals(items);
+    const header = buildProposalHeader(totals, req.body || {}, { fallbackBudget: proposal.budget ?? null });
+
+    const { error: headerError } = await supabase
+      .from('proposals')
+      .update({ ...header, proposal_type: access.isRfq ? 'RFQ' : 'QUOTATION' })
+      .eq('id', proposal.id);
+    if (headerError) {
+      return res.status(500).json({ success: false, error: headerError.message || 'Failed to update proposal' });
+    }
+
+    const saved = await saveProposalLineItems(proposal.id, totals);
+    return res.json({
+      success: true,
+      items: saved,
+      totals: {
+        subtotal: totals.subtotal,
+        discount_total: totals.discount_total,
+        tax_total: totals.tax_total,
+        grand_total: totals.grand_total,
+      },
+    });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to save line items' });
+  }
+});
+
 // POST /api/quotation/messages/ack-delivered
 router.post('/messages/ack-delivered', requireAuth(), async (req, res) => {
   try {
@@ -698,7 +803,7 @@ router.post('/messages/ack-delivered', requireAuth(), async (req, res) => {
       return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
     }
 
-    let updated = 0;
+    const idsByRole = { buyer: [], vendor: [] };
 
     for (const proposalId of proposalIds) {
       const proposal = await resolveProposalForMessaging(proposalId);
@@ -707,37 +812,74 @@ router.post('/messages/ack-delivered', requireAuth(), async (req, res) => {
       const access = await canActorAccessProposalMessages(req.user, proposal);
       if (!access.isAllowed) continue;
 
-      const actorRole = resolveActorMessagingRole(access, req.user);
-      const { data, error } = await supabase
-        .from('proposal_messages')
-        .select('*')
-        .eq('proposal_id', proposalId)
-        .order('created_at', { ascending: true });
-
-      if (error) continue;
+      idsByRole[resolveActorMessagingRole(access, req.user)].push(proposalId);
+    }
 
-      const ackedRows = await applyMessageAcks(data || [], actorRole, actorPublicUserId, {
-        markDelivered: true,
-        markRead: false,
+    let updated = 0;
+    for (const role of Object.keys(idsByRole)) {
+      updated += await markProposalMessages({
+        proposalIds: idsByRole[role],
+        role,
+        actorUserId: actorPublicUserId,
       });
-
-      for (let i = 0; i < (data || []).length; i += 1) {
-        const before = data[i];
-        const after = ackedRows[i];
-        if (!before?.id || !after?.id) continue;
-        if (String(before.message || '') !== String(after.message || '')) {
-          updated += 1;
-        }
-      }
     }
 
     return res.json({ success: true, updated });
   } catch (e) {
-    return res.status(500).json({ success: false, error: e.message || 'Failed to acknowledge delivery' });
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to acknowledge delivery' });
   }
 });
 
-// GET /api/quotation/:proposalId/messages
+// GET /api/quotation/messages/unread?proposal_ids=a,b (unread count per conversation)
+router.get('/messages/unread', requireAuth(), async (req, res) => {
+  try {
+    const [buyer, vendor, actorPublicUserId] = await Promise.all([
+      resolveBuyerForUser(req.user),
+      resolveVendorForUser(req.user),
+      resolvePublicUserIdForActor(req.user),
+    ]);
+
+    const unread = await getUnreadCounts({
+      buyer,
+      vendor,
+      email: req.user?.email,
+      actorUserId: actorPublicUserId,
+      proposalIds: String(req.query?.proposal_ids || '').split(','),
+    });
+
+    return res.json({ success: true, ...unread });
+  } catch (e) {
+    console.error('❌ Unread counts failed:', e?.message || e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load unread counts' });
+  }
+});
+
+// GET /api/quotation/messages/search?q=… (message text across all of the user's conversations)
+router.get('/messages/search', requireAuth(), async (req, res) => {
+  try {
+    const [buyer, vendor, actorPublicUserId] = await Promise.all([
+      resolveBuyerForUser(req.user),
+      resolveVendorForUser(req.user),
+      resolvePublicUserIdForActor(req.user),
+    ]);
+
+    const result = await searchProposalMessages({
+      buyer,
+      vendor,
+      email: req.user?.email,
+      actorUserId: actorPublicUserId,
+      q: req.query?.q,
+      limit: req.query?.limit,
+    });
+
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('❌ Message search failed:', e?.message || e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to search messages' });
+  }
+});
+
+// GET /api/quotation/:proposalId/messages?before=<cursor>&limit=50
 router.get('/:proposalId/messages', requireAuth(), async (req, res) => {
   try {
     const proposalId = String(req.params?.proposalId || '').trim();
@@ -758,26 +900,15 @@ router.get('/:proposalId/messages', requireAuth(), async (req, res) => {
     const actorPublicUserId = await resolvePublicUserIdForActor(req.user);
     const actorRole = resolveActorMessagingRole(access, req.user);
 
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .select('*')
-      .eq('proposal_id', proposalId)
-      .order('created_at', { ascending: true });
-
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message || 'Failed to load messages' });
-    }
-
-    const ackedRows = await applyMessageAcks(data || [], actorRole, actorPublicUserId, {
-      markDelivered: true,
-      markRead: true,
+    const page = await listProposalMessages({
+      proposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      before: req.query?.before || null,
+      limit: req.query?.limit,
     });
     const participants = await resolveProposalParticipantUserIds(proposal);
 
-    const normalizedMessages = (ackedRows || []).map((row) =>
-      normalizeMessageRow(row, actorPublicUserId, actorRole)
-    );
-
     return res.json({
       success: true,
       proposal: {
@@ -787,10 +918,10 @@ router.get('/:proposalId/messages', requireAuth(), async (req, res) => {
       },
       actor_user_id: actorPublicUserId,
       participants,
-      messages: normalizedMessages,
+      ...page,
     });
   } catch (e) {
-    return res.status(500).json({ success: false, error: e.message || 'Failed to load messages' });
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load messages' });
   }
 });
 
@@ -802,14 +933,6 @@ router.post('/:proposalId/messages', requireAuth(), async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid proposal id' });
     }
 
-    const messageText = sanitizeMessageText(req.body?.message);
-    if (!messageText) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
-    }
-    if (messageText.length > 4000) {
-      return res.status(400).json({ success: false, error: 'Message is too long' });
-    }
-
     const proposal = await resolveProposalForMessaging(proposalId);
     if (!proposal) {
       return res.status(404).json({ success: false, error: 'Proposal not found' });
@@ -826,34 +949,17 @@ router.post('/:proposalId/messages', requireAuth(), async (req, res) => {
       return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
     }
 
-    const storedMessage = buildStoredMessageText(messageText, {}, { edited: false });
-    if (!storedMessage) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
-    }
-
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .insert([
-        {
-          proposal_id: proposalId,
-          sender_id: actorPublicUserId,
-          message: storedMessage,
-          created_at: new Date().toISOString(),
-        },
-      ])
-      .select('*')
-      .maybeSingle();
-
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message || 'Failed to send message' });
-    }
-
-    return res.status(201).json({
-      success: true,
-      message: normalizeMessageRow(data || {}, actorPublicUserId, actorRole),
+    const message = await sendProposalMessage({
+      proposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      message: req.body?.message,
+      metadata: req.body?.metadata,
     });
+
+    return res.status(201).json({ success: true, message });
   } catch (e) {
-    return res.status(500).json({ success: false, error: e.message || 'Failed to send message' });
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to send message' });
   }
 });
 
@@ -867,12 +973,42 @@ router.patch('/:proposalId/messages/:messageId', requireAuth(), async (req, res)
       return res.status(400).json({ success: false, error: 'Invalid proposal or message id' });
     }
 
-    const messageText = sanitizeMessageText(req.body?.message);
-    if (!messageText) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
+    const proposal = await resolveProposalForMessaging(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
+    }
+
+    const access = await canActorAccessProposalMessages(req.user, proposal);
+    if (!access.isAllowed) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
     }
-    if (messageText.length > 4000) {
-      return res.status(400).json({ success: false, error: 'Message is too long' });
+
+    const actorPublicUserId = await resolvePublicUserIdForActor(req.user);
+    const actorRole = resolveActorMessagingRole(access, req.user);
+    if (!actorPublicUserId) {
+      return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
+    }
+
+    const message = await editProposalMessage({
+      proposalId,
+      messageId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      message: req.body?.message,
+    });
+
+    return res.json({ success: true, message });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to edit message' });
+  }
+});
+
+// POST /api/quotation/:proposalId/messages/attachments  { file_name, data_url, message? }
+router.post('/:proposalId/messages/attachments', requireAuth(), async (req, res) => {
+  try {
+    const proposalId = String(req.params?.proposalId || '').trim();
+    if (!proposalId) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal id' });
     }
 
     const proposal = await resolveProposalForMessaging(proposalId);
@@ -891,49 +1027,99 @@ router.patch('/:proposalId/messages/:messageId', requireAuth(), async (req, res)
       return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
     }
 
-    const { data: existingRow, error: existingError } = await supabase
-      .from('proposal_messages')
-      .select('*')
-      .eq('id', messageId)
-      .eq('proposal_id', proposalId)
-      .eq('sender_id', actorPublicUserId)
-      .maybeSingle();
+    const message = await sendAttachmentMessage({
+      proposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      file: req.body,
+      message: req.body?.message,
+    });
+
+    return res.status(201).json({ success: true, message });
+  } catch (e) {
+    console.error('❌ Chat attachment upload failed:', e?.message || e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to send attachment' });
+  }
+});
 
-    if (existingError) {
-      return res.status(500).json({ success: false, error: existingError.message || 'Failed to load message' });
+// POST /api/quotation/:proposalId/offers  { items? | quantity, unit_price, unit?, gst_rate? ; delivery_days?, payment_terms?, validity_days?, note? }
+router.post('/:proposalId/offers', requireAuth(), async (req, res) => {
+  try {
+    const proposalId = String(req.params?.proposalId || '').trim();
+    if (!proposalId) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal id' });
     }
-    if (!existingRow) {
-      return res.status(404).json({ success: false, error: 'Message not found' });
+
+    const proposal = await resolveProposalForMessaging(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
     }
 
-    const existingParsed = parseStoredMessage(existingRow?.message);
-    const storedMessage = buildStoredMessageText(messageText, existingParsed.meta, { edited: true });
-    if (!storedMessage) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
+    const access = await canActorAccessProposalMessages(req.user, proposal);
+    if (!access.isAllowed) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
     }
 
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .update({ message: storedMessage })
-      .eq('id', existingRow.id)
-      .select('*')
-      .maybeSingle();
+    const actorPublicUserId = await resolvePublicUserIdForActor(req.user);
+    const actorRole = resolveActorMessagingRole(access, req.user);
+    if (!actorPublicUserId) {
+      return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
+    }
 
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message || 'Failed to edit message' });
+    const participants = await resolveProposalParticipantUserIds(proposal);
+    const message = await sendOfferMessage({
+      proposalId,
+      actorUserId: actorPublicUserId,
+      role: actorRole,
+      offer: req.body || {},
+      recipientUserId: actorRole === 'vendor' ? participants.buyer_user_id : participants.vendor_user_id,
+    });
+
+    return res.status(201).json({ success: true, message });
+  } catch (e) {
+    console.error('❌ Offer creation failed:', e?.message || e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to send offer' });
+  }
+});
+
+// POST /api/quotation/:proposalId/offers/:offerId/accept | /decline  { note? }
+const offerResponseHandler = (accept) => async (req, res) => {
+  try {
+    const proposalId = String(req.params?.proposalId || '').trim();
+    const offerId = String(req.params?.offerId || '').trim();
+    if (!proposalId || !offerId) {
+      return res.status(400).json({ success: false, error: 'Invalid proposal or offer id' });
     }
-    if (!data) {
-      return res.status(404).json({ success: false, error: 'Message not found' });
+
+    const proposal = await resolveProposalForMessaging(proposalId);
+    if (!proposal) {
+      return res.status(404).json({ success: false, error: 'Proposal not found' });
     }
 
-    return res.json({
-      success: true,
-      message: normalizeMessageRow(data, actorPublicUserId, actorRole),
+    const access = await canActorAccessProposalMessages(req.user, proposal);
+    if (!access.isAllowed) {
+      return res.status(403).json({ success: false, error: 'Forbidden' });
+    }
+
+    const actorPublicUserId = await resolvePublicUserIdForActor(req.user);
+    const message = await respondToOffer({
+      proposalId,
+      offerId,
+      actorUserId: actorPublicUserId,
+      role: resolveActorMessagingRole(access, req.user),
+      accept,
+      note: req.body?.note,
     });
+
+    return res.json({ success: true, message });
   } catch (e) {
-    return res.status(500).json({ success: false, error: e.message || 'Failed to edit message' });
+    console.error('❌ Offer response failed:', e?.message || e);
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to update offer' });
   }
-});
+};
+
+router.post('/:proposalId/offers/:offerId/accept', requireAuth(), offerResponseHandler(true));
+router.post('/:proposalId/offers/:offerId/decline', requireAuth(), offerResponseHandler(false));
 
 // DELETE /api/quotation/:proposalId/messages
 router.delete('/:proposalId/messages', requireAuth(), async (req, res) => {
@@ -953,19 +1139,11 @@ router.delete('/:proposalId/messages', requireAuth(), async (req, res) => {
       return res.status(403).json({ success: false, error: 'Forbidden' });
     }
 
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .delete()
-      .eq('proposal_id', proposalId)
-      .select('id');
-
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message || 'Failed to delete chat' });
-    }
+    const deletedIds = await deleteProposalMessages({ proposalId });
 
     return res.json({
       success: true,
-      deletedCount: Array.isArray(data) ? data.length : 0,
+      deletedCount: deletedIds.length,
     });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message || 'Failed to delete chat' });
@@ -997,18 +1175,8 @@ router.delete('/:proposalId/messages/:messageId', requireAuth(), async (req, res
       return res.status(403).json({ success: false, error: 'User profile not found for messaging' });
     }
 
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .delete()
-      .eq('id', messageId)
-      .eq('proposal_id', proposalId)
-      .eq('sender_id', actorPublicUserId)
-      .select('id');
-
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message || 'Failed to delete message' });
-    }
-    if (!Array.isArray(data) || data.length === 0) {
+    const deletedIds = await deleteProposalMessages({ proposalId, messageId, actorUserId: actorPublicUserId });
+    if (!deletedIds.length) {
       return res.status(404).json({ success: false, error: 'Message not found' });
     }
 
@@ -1053,15 +1221,33 @@ async function sendQuotationEmail(to, data, isRegistered) {
   }
 
   const subject = `Quotation from ${vendor.company_name || vendor.owner_name || 'Vendor'}`;
+  const lineItems = Array.isArray(quotation.line_items) ? quotation.line_items : [];
+  const totals = quotation.totals || {};
+  const inr = (v) => (v === null || v === undefined ? '—' : `₹${Number(v).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+  const itemsText = lineItems
+    .map(
+      (item, i) =>
+        `${i + 1}. ${item.product_name}${item.hsn_code ? ` (HSN ${item.hsn_code})` : ''} - ${item.quantity} ${item.unit || ''} x ${inr(item.unit_price)}` +
+        `${item.discount_percent ? `, -${item.discount_percent}%` : ''}, GST ${item.gst_rate}% = ${inr(item.line_total)}`
+    )
+    .join('\n');
 
   const text = `
 Quotation Details
 -----------------
 Title: ${quotation.title || ''}
-Amount: ${quotation.quotation_amount || ''}
-Quantity: ${quotation.quantity || ''} ${quotation.unit || ''}
+${itemsText}
+
+Subtotal: ${inr(totals.subtotal)}
+Discount: ${inr(totals.discount_total)}
+GST: ${inr(totals.tax_total)}
+Total: ${inr(totals.grand_total)}
+
 Validity Days: ${quotation.validity_days || ''}
 Delivery Days: ${quotation.delivery_days || ''}
+Delivery Terms: ${quotation.delivery_terms || ''}
+Payment Terms: ${quotation.payment_terms || ''}
 Terms: ${quotation.terms_conditions || ''}
 
 Vendor
@@ -1079,12 +1265,41 @@ ${isRegistered ? 'You can also view this quotation in your dashboard.' : 'Regist
     <h2 style="margin:0 0 10px 0;">Quotation from ${vendor.company_name || vendor.owner_name || 'Vendor'}</h2>
 
     <h3 style="margin:20px 0 8px 0;">Quotation Details</h3>
+    <p><b>${quotation.title || ''}</b></p>
+    <table style="border-collapse:collapse;width:100%;font-size:13px;">
+      <tr style="background:#f3f4f6;">
+        <th style="text-align:left;padding:6px;border:1px solid #e5e7eb;">Item</th>
+        <th style="text-align:left;padding:6px;border:1px solid #e5e7eb;">HSN</th>
+        <th style="text-align:right;padding:6px;border:1px solid #e5e7eb;">Qty</th>
+        <th style="text-align:right;padding:6px;border:1px solid #e5e7eb;">Rate</th>
+        <th style="text-align:right;padding:6px;border:1px solid #e5e7eb;">Disc.</th>
+        <th style="text-align:right;padding:6px;border:1px solid #e5e7eb;">GST</th>
+        <th style="text-align:right;padding:6px;border:1px solid #e5e7eb;">Amount</th>
+      </tr>
+      ${lineItems
+        .map(
+          (item) => `
+      <tr>
+        <td style="padding:6px;border:1px solid #e5e7eb;">${item.product_name}</td>
+        <td style="padding:6px;border:1px solid #e5e7eb;">${item.hsn_code || '—'}</td>
+        <td style="text-align:right;padding:6px;border:1px solid #e5e7eb;">${item.quantity} ${item.unit || ''}</td>
+        <td style="text-align:right;padding:6px;border:1px solid #e5e7eb;">${inr(item.unit_price)}</td>
+        <td style="text-align:right;padding:6px;border:1px solid #e5e7eb;">${item.discount_percent ? `${item.discount_percent}%` : '—'}</td>
+        <td style="text-align:right;padding:6px;border:1px solid #e5e7eb;">${item.gst_rate}%</td>
+        <td style="text-align:right;padding:6px;border:1px solid #e5e7eb;">${inr(item.line_total)}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
     <ul>
-      <li><b>Title:</b> ${quotation.title || ''}</li>
-      <li><b>Amount:</b> ${quotation.quotation_amount || ''}</li>
-      <li><b>Quantity:</b> ${quotation.quantity || ''} ${quotation.unit || ''}</li>
+      <li><b>Subtotal:</b> ${inr(totals.subtotal)}</li>
+      <li><b>Discount:</b> ${inr(totals.discount_total)}</li>
+      <li><b>GST:</b> ${inr(totals.tax_total)}</li>
+      <li><b>Total:</b> ${inr(totals.grand_total)}</li>
       <li><b>Validity Days:</b> ${quotation.validity_days || ''}</li>
       <li><b>Delivery Days:</b> ${quotation.delivery_days || ''}</li>
+      <li><b>Delivery Terms:</b> ${quotation.delivery_terms || ''}</li>
+      <li><b>Payment Terms:</b> ${quotation.payment_terms || ''}</li>
     </ul>
 
     <h3 style="margin:20px 0 8px 0;">Terms & Conditions</h3>
@@ -1127,10 +1342,14 @@ router.post('/send', validateQuotationRequest, async (req, res) => {
       quotation_title,
       quotation_amount,
       quantity,
-      unit, // ✅ still accepted (email me use hoga)
+      unit, // legacy single-line payload
       validity_days,
       delivery_days,
+      delivery_terms,
+      payment_terms,
       terms_conditions,
+      items,
+      rfq_id,
       buyer_email,
       vendor_id,
       vendor_name,
@@ -1153,16 +1372,28 @@ router.post('/send', validateQuotationRequest, async (req, res) => {
 
     const buyerEmail = String(buyer_email).toLowerCase().trim();
 
-    // ✅ Make quantity store-friendly (merge unit into quantity; proposals table has no `unit`)
-    let qtyValue = quantity ?? null;
-    if (qtyValue !== null && qtyValue !== undefined) {
-      const qStr = String(qtyValue).trim();
-      const uStr = String(unit || '').trim();
-      if (uStr && qStr && !qStr.toLowerCase().includes(uStr.toLowerCase())) {
-        qtyValue = `${qStr} ${uStr}`; // e.g. "10 kg"
-      } else {
-        qtyValue = qStr || null;
-      }
+    // ✅ Line items (older clients send one title/amount/quantity; kept as a single line)
+    let totals;
+    try {
+      const rawItems =
+        Array.isArray(items) && items.length
+          ? items
+          : [legacyLineItem({ title: quotation_title, quantity, unit, amount: quotation_amount })];
+      totals = computeQuotationTotals(normalizeLineItems(rawItems, { requirePrice: true }));
+    } catch (itemError) {
+      return res.status(itemError.statusCode || 400).json({ error: itemError.message });
+    }
+    const header = buildProposalHeader(totals, { validity_days, delivery_days, delivery_terms, payment_terms });
+
+    // ✅ Link to the buyer's RFQ when quoting against one
+    let rfqId = null;
+    if (rfq_id) {
+      const { data: rfqRow } = await supabase
+        .from('proposals')
+        .select('id, proposal_type')
+        .eq('id', rfq_id)
+        .maybeSingle();
+      if (rfqRow?.id && rfqRow.proposal_type !== 'QUOTATION') rfqId = rfqRow.id;
     }
 
     // Check if buyer exists (handle duplicate legacy rows safely).
@@ -1215,10 +1446,10 @@ router.post('/send', validateQuotationRequest, async (req, res) => {
       buyer_id: null,
       buyer_email: buyerEmail,
       title: quotation_title,
-      product_name: quotation_title,
-      quantity: qtyValue, // ✅ contains unit inside
-      // ✅ REMOVED: unit (column doesn't exist in proposals)
-      budget: quotation_amount ? parseFloat(quotation_amount) : null,
+      product_name: totals.items.length === 1 ? totals.items[0].product_name : quotation_title,
+      ...header,
+      proposal_type: 'QUOTATION',
+      rfq_id: rfqId,
       description: terms_conditions || '',
       status: 'SENT',
     };
@@ -1258,6 +1489,14 @@ router.post('/send', validateQuotationRequest, async (req, res) => {
       });
     }
 
+    try {
+      await saveProposalLineItems(savedQuotation.id, totals);
+    } catch (itemsError) {
+      console.error('Quotation line items save error:', itemsError);
+      await supabase.from('proposals').delete().eq('id', savedQuotation.id);
+      return res.status(itemsError.statusCode || 500).json({ error: itemsError.message || 'Failed to save quotation items' });
+    }
+
     // Email vendor data
     const vendorData = {
       owner_name: vendor_name,
@@ -1274,11 +1513,12 @@ router.post('/send', validateQuotationRequest, async (req, res) => {
           vendor: vendorData,
           quotation: {
             title: quotation_title,
-            quotation_amount,
-            quantity, // email me quantity original
-            unit,     // ✅ email me unit show hoga
-            validity_days,
-            delivery_days,
+            line_items: totals.items,
+            totals,
+            validity_days: header.validity_days,
+            delivery_days: header.delivery_days,
+            delivery_terms: header.delivery_terms,
+            payment_terms: header.payment_terms,
             terms_conditions,
 
             // ✅ attachment
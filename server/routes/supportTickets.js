@@ -1,6 +1,25 @@
 import express from 'express';
 import { supabase } from '../lib/supabaseClient.js';
 import { notifyRole, notifyUser } from '../lib/notify.js';
+import { requireAuth } from '../middleware/requireAuth.js';
+import { getDisputeForTicket, resolveLeadDispute } from '../lib/leadLifecycle.js';
+import { listReviewsForModeration, moderateReview } from '../lib/vendorReviews.js';
+import {
+  assignTicket,
+  attachAssignees,
+  autoAssignTicket,
+  describeTicketSla,
+  listSlaPolicies,
+  listSupportAgents,
+  summarizeSla,
+  updateSlaPolicy,
+} from '../lib/supportSla.js';
+import {
+  assertInboundSecret,
+  ingestInboundEmail,
+  sendTicketReplyEmail,
+  withTicketAttachments,
+} from '../lib/ticketEmail.js';
 
 const router = express.Router();
 
@@ -8,6 +27,8 @@ const nowIso = () => new Date().toISOString();
 
 const normalizeSenderType = (v) => String(v || '').trim().toUpperCase();
 
+const STAFF_SENDER_TYPES = ['SUPPORT', 'ADMIN', 'STAFF'];
+
 const notifyAdmins = async (payload) => {
   await notifyRole('ADMIN', payload);
   await notifyRole('SUPERADMIN', payload);
@@ -81,7 +102,7 @@ router.get('/tickets', async (req, res) => {
     const offset = (page - 1) * pageSize;
     query = query.range(offset, offset + pageSize - 1);
     
-    const { data: tickets, error, count } = await query;
+    const { data: rows, error, count } = await query;
     
     if (error) {
       console.error('❌ Database error:', error);
@@ -91,11 +112,12 @@ router.get('/tickets', async (req, res) => {
       });
     }
     
-    console.log(`📋 Found ${tickets?.length || 0} support tickets`);
+    const now = Date.now();
+    const tickets = (await attachAssignees(rows || [])).map((t) => ({ ...t, sla: describeTicketSla(t, now) }));
     
     res.json({
       success: true,
-      tickets: tickets || [],
+      tickets,
       total: count || 0,
       page: parseInt(page),
       pageSize: parseInt(pageSize),
@@ -128,10 +150,12 @@ router.get('/tickets/:id', async (req, res) => {
       console.error('❌ Ticket not found:', error);
       return res.status(404).json({ error: 'Ticket not found' });
     }
+
+    const [withAssignee] = await attachAssignees([ticket]);
     
     res.json({
       success: true,
-      ticket
+      ticket: { ...withAssignee, sla: describeTicketSla(ticket) }
     });
     
   } catch (error) {
@@ -157,7 +181,8 @@ router.get('/tickets/:id/messages', async (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
     }
 
-    return res.json({ success: true, messages: data || [] });
+    const { messages, attachments } = await withTicketAttachments(id, data || []);
+    return res.json({ success: true, messages, attachments });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
   }
@@ -210,7 +235,11 @@ router.post('/tickets/:id/messages', async (req, res) => {
     const title = `Support ticket update: ${ticket.ticket_display_id || ticket.id}`;
     const linkBase = ticket.vendor_id ? '/vendor/support' : '/buyer/tickets';
 
-    if (['SUPPORT', 'ADMIN', 'STAFF'].includes(senderType)) {
+    let saved = data;
+    if (STAFF_SENDER_TYPES.includes(senderType)) {
+      // ✅ Agent replies also go out as a threaded email (status kept on the message)
+      saved = await sendTicketReplyEmail(ticket, data);
+
       if (vendorUserId) {
         await notifyUser({
           user_id: vendorUserId,
@@ -238,12 +267,35 @@ router.post('/tickets/:id/messages', async (req, res) => {
       });
     }
 
-    return res.json({ success: true, message: data });
+    return res.json({ success: true, message: saved });
   } catch (error) {
     return res.status(500).json({ error: 'Failed to send message', details: error.message });
   }
 });
 
+// POST /api/support/inbound-email - Raw RFC 822 message from a mail relay (X-Inbound-Secret)
+router.post(
+  '/inbound-email',
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: process.env.SUPPORT_INBOUND_MAX_BYTES || '25mb' }),
+  async (req, res) => {
+    try {
+      assertInboundSecret(req.get('x-inbound-secret'));
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(415).json({ error: 'Send the raw email as message/rfc822' });
+      }
+
+      const result = await ingestInboundEmail(req.body);
+      return res.status(result.status === 'CREATED' ? 201 : 200).json({ success: true, ...result });
+    } catch (error) {
+      console.error('❌ Inbound email failed:', error.message);
+      return res.status(error.statusCode || 500).json({
+        error: 'Failed to ingest email',
+        details: error.message,
+      });
+    }
+  }
+);
+
 // POST /api/support/tickets - Create new support ticket
 router.post('/tickets', async (req, res) => {
   try {
@@ -299,6 +351,14 @@ router.post('/tickets', async (req, res) => {
     
     console.log('✅ Ticket created:', newTicket.id);
 
+    // SLA due dates come from the trigger; pick an agent right away
+    let ticket = newTicket;
+    try {
+      ticket = (await autoAssignTicket(newTicket.id)) || newTicket;
+    } catch (assignError) {
+      console.error('❌ Auto-assign failed (cron will retry):', assignError.message);
+    }
+
     await notifyAdmins({
       type: 'SUPPORT_TICKET',
       title: `New support ticket: ${ticketNumber}`,
@@ -309,7 +369,7 @@ router.post('/tickets', async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Ticket created successfully',
-      ticket: newTicket
+      ticket
     });
     
   } catch (error) {
@@ -458,6 +518,123 @@ router.put('/tickets/:id/status', async (req, res) => {
   }
 });
 
+// POST /api/support/tickets/:id/assign - Reassign to a SUPPORT employee (employee_id null = auto-assign)
+router.post('/tickets/:id/assign', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const ticket = await assignTicket(req.params.id, req.body?.employee_id || null);
+    const [withAssignee] = await attachAssignees(ticket ? [ticket] : []);
+    res.json({ success: true, ticket: withAssignee ? { ...withAssignee, sla: describeTicketSla(withAssignee) } : null });
+  } catch (error) {
+    console.error('❌ Error assigning ticket:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to assign ticket',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/support/agents - Active SUPPORT employees with open ticket counts
+router.get('/agents', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const agents = await listSupportAgents();
+    res.json({ success: true, agents });
+  } catch (error) {
+    console.error('❌ Error fetching support agents:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch support agents',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/support/sla/policies - First response / resolution targets per priority
+router.get('/sla/policies', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const policies = await listSlaPolicies();
+    res.json({ success: true, policies });
+  } catch (error) {
+    console.error('❌ Error fetching SLA policies:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch SLA policies',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/support/sla/policies/:priority - Update targets (applies to new / re-prioritised tickets)
+router.put('/sla/policies/:priority', requireAuth({ roles: ['ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const policy = await updateSlaPolicy(req.params.priority, req.body || {}, req.user);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('❌ Error updating SLA policy:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to update SLA policy',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/support/tickets/:id/lead-dispute - Lead refund request behind a ticket (null if none)
+router.get('/tickets/:id/lead-dispute', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const dispute = await getDisputeForTicket(req.params.id);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    console.error('❌ Error fetching lead dispute:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch lead dispute',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/support/tickets/:id/lead-dispute/resolve - Approve (refund) or reject a lead dispute
+router.post('/tickets/:id/lead-dispute/resolve', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const dispute = await resolveLeadDispute(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    console.error('❌ Error resolving lead dispute:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to resolve lead dispute',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/support/reviews - Review moderation queue (?status=PENDING|APPROVED|REJECTED)
+router.get('/reviews', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const { reviews, total } = await listReviewsForModeration({
+      status: req.query.status,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ success: true, reviews, total });
+  } catch (error) {
+    console.error('❌ Error fetching reviews for moderation:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch reviews',
+      details: error.message
+    });
+  }
+});
+
+// POST /api/support/reviews/:id/moderate - Approve (publish) or reject a review
+router.post('/reviews/:id/moderate', requireAuth({ roles: ['SUPPORT', 'ADMIN', 'SUPERADMIN'] }), async (req, res) => {
+  try {
+    const review = await moderateReview(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('❌ Error moderating review:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode && error.statusCode < 500 ? error.message : 'Failed to moderate review',
+      details: error.message
+    });
+  }
+});
+
 // POST /api/support/tickets/:id/notify-customer - Send bell notification to vendor/buyer
 router.post('/tickets/:id/notify-customer', async (req, res) => {
   try {
@@ -526,7 +703,7 @@ router.get('/stats', async (req, res) => {
     // Get count by status
     const { data: tickets, error } = await supabase
       .from('support_tickets')
-      .select('status, priority');
+      .select('status, priority, created_at, updated_at, resolved_at, assigned_to, first_response_at, first_response_due_at, first_response_breached, resolution_due_at, resolution_breached');
     
     if (error) {
       console.error('❌ Stats fetch error:', error);
@@ -545,7 +722,8 @@ router.get('/stats', async (req, res) => {
       highPriorityTickets: 0,
       mediumPriorityTickets: 0,
       lowPriorityTickets: 0,
-      resolutionRate: 0
+      resolutionRate: 0,
+      sla: summarizeSla(tickets || [])
     };
     
     if (tickets && tickets.length > 0) {
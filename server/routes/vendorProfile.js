@@ -4,6 +4,21 @@ import { supabase } from '../lib/supabaseClient.js';
 import { normalizeEmail } from '../lib/auth.js';
 import { requireAuth } from '../middleware/requireAuth.js';
 import { notifyRole } from '../lib/notify.js';
+import { getLeadPurchaseQuote, purchaseLead } from '../lib/leadPurchase.js';
+import {
+  MAX_VENDORS_PER_LEAD,
+  applyMarketplaceFilters,
+  loadLeadMatchContext,
+  loadLeadScoringData,
+  rankLeadsForVendor,
+  scoreLeadForVendor,
+} from '../lib/leadMatching.js';
+import { distributeLeadAlerts, getLeadAlertSettings, saveLeadAlertSettings } from '../lib/leadAlerts.js';
+import { getPurchaseLifecycle, openLeadDispute, updatePurchaseStage } from '../lib/leadLifecycle.js';
+import { createReview, listReviewableSources, listVendorReviews, replyToReview } from '../lib/vendorReviews.js';
+import { getVendorTrustScore, refreshVendorTrustScore } from '../lib/trustScore.js';
+import { markBroadcastViewed } from '../lib/rfqBroadcasts.js';
+import { checkMarketplaceLeadLimit, resolveClientIp } from '../lib/rateLimits.js';
 
 const router = express.Router();
 
@@ -198,188 +213,13 @@ const normalizeText = (value) =>
 
 const dedupe = (arr = []) => Array.from(new Set((arr || []).filter(Boolean)));
 
-const fuzzyMatch = (left, right) => {
-  const a = normalizeText(left);
-  const b = normalizeText(right);
-  if (!a || !b) return false;
-  return a.includes(b) || b.includes(a);
-};
-
-const extractLeadCityState = (lead = {}) => {
-  const city = String(lead?.city || lead?.city_name || '').trim();
-  const state = String(lead?.state || lead?.state_name || '').trim();
-  if (city || state) return { city, state };
-
-  const location = String(lead?.location || '').trim();
-  if (!location) return { city: '', state: '' };
-
-  const parts = location.split(',').map((part) => part.trim()).filter(Boolean);
-  if (parts.length >= 2) return { city: parts[0], state: parts.slice(1).join(', ') };
-  if (parts.length === 1) return { city: parts[0], state: '' };
-  return { city: '', state: '' };
-};
-
-const buildLeadTokens = (lead = {}) =>
-  dedupe(
-    [
-      lead?.title,
-      lead?.product_name,
-      lead?.product_interest,
-      lead?.category,
-      lead?.category_name,
-      lead?.head_category,
-      lead?.sub_category,
-      lead?.service_name,
-      lead?.requirement_title,
-      lead?.description,
-      lead?.message,
-    ].map(normalizeText)
-  );
-
-const matchesAnyTextSet = (tokens = [], set = new Set()) => {
-  if (!set || set.size === 0) return true;
-  for (const token of tokens) {
-    for (const item of set) {
-      if (fuzzyMatch(token, item)) return true;
-    }
-  }
-  return false;
-};
-
-async function loadMarketplaceFilterContext(vendorId) {
-  const context = {
-    autoLeadFilter: true,
-    minBudget: null,
-    maxBudget: null,
-    categorySet: new Set(),
-    citySet: new Set(),
-    stateSet: new Set(),
-  };
-
-  const { data: prefs } = await supabase
-    .from('vendor_preferences')
-    .select('preferred_micro_categories, preferred_states, preferred_cities, auto_lead_filter, min_budget, max_budget')
-    .eq('vendor_id', vendorId)
-    .maybeSingle();
-
-  context.autoLeadFilter = prefs?.auto_lead_filter !== false;
-
-  const minBudgetNum = Number(prefs?.min_budget);
-  const maxBudgetNum = Number(prefs?.max_budget);
-  context.minBudget = Number.isFinite(minBudgetNum) ? minBudgetNum : null;
-  context.maxBudget = Number.isFinite(maxBudgetNum) ? maxBudgetNum : null;
-
-  const prefCategoryIds = dedupe((prefs?.preferred_micro_categories || []).map(String));
-  const prefStateIds = dedupe((prefs?.preferred_states || []).map(String));
-  const prefCityIds = dedupe((prefs?.preferred_cities || []).map(String));
-
-  if (prefCategoryIds.length) {
-    const [microRes, subRes, headRes] = await Promise.all([
-      supabase.from('micro_categories').select('id, name').in('id', prefCategoryIds),
-      supabase.from('sub_categories').select('id, name').in('id', prefCategoryIds),
-      supabase.from('head_categories').select('id, name').in('id', prefCategoryIds),
-    ]);
-
-    [...(microRes?.data || []), ...(subRes?.data || []), ...(headRes?.data || [])].forEach((row) => {
-      const value = normalizeText(row?.name);
-      if (value) context.categorySet.add(value);
-    });
-  }
-
-  if (prefStateIds.length) {
-    const { data: states } = await supabase
-      .from('states')
-      .select('id, name')
-      .in('id', prefStateIds);
-    (states || []).forEach((row) => {
-      const value = normalizeText(row?.name);
-      if (value) context.stateSet.add(value);
-    });
-  }
-
-  if (prefCityIds.length) {
-    const { data: cities } = await supabase
-      .from('cities')
-      .select('id, name')
-      .in('id', prefCityIds);
-    (cities || []).forEach((row) => {
-      const value = normalizeText(row?.name);
-      if (value) context.citySet.add(value);
-    });
-  }
-
-  const { data: products } = await supabase
-    .from('products')
-    .select('name, category_other')
-    .eq('vendor_id', vendorId)
-    .eq('status', 'ACTIVE');
-
-  (products || []).forEach((row) => {
-    const name = normalizeText(row?.name);
-    const categoryOther = normalizeText(row?.category_other);
-    if (name) context.categorySet.add(name);
-    if (categoryOther) context.categorySet.add(categoryOther);
+// Fire-and-forget: alert matching vendors about a new lead (cron sweep retries missed ones)
+const triggerLeadAlerts = (leadId) => {
+  if (!leadId) return;
+  distributeLeadAlerts(leadId).catch((err) => {
+    console.warn('Lead alert distribution failed:', err?.message || err);
   });
-
-  return context;
-}
-
-function applyMarketplaceFilters(leads = [], context) {
-  const rows = Array.isArray(leads) ? leads : [];
-  if (!rows.length) return [];
-
-  const shouldAuto = context?.autoLeadFilter !== false;
-  if (!shouldAuto) return rows;
-
-  const hasCategoryFilter = (context?.categorySet?.size || 0) > 0;
-  const hasCityFilter = (context?.citySet?.size || 0) > 0;
-  const hasStateFilter = (context?.stateSet?.size || 0) > 0;
-  const hasMinBudget = Number.isFinite(context?.minBudget);
-  const hasMaxBudget = Number.isFinite(context?.maxBudget);
-
-  const shouldFilterCategory = hasCategoryFilter;
-  const shouldFilterLocation = hasCityFilter || hasStateFilter;
-  const shouldFilterBudget = hasMinBudget || hasMaxBudget;
-
-  if (!shouldFilterCategory && !shouldFilterLocation && !shouldFilterBudget) {
-    return rows;
-  }
-
-  return rows.filter((lead) => {
-    if (shouldFilterCategory) {
-      const tokens = buildLeadTokens(lead);
-      if (!matchesAnyTextSet(tokens, context.categorySet)) return false;
-    }
-
-    if (shouldFilterLocation) {
-      const { city, state } = extractLeadCityState(lead);
-      const cityText = normalizeText(city);
-      const stateText = normalizeText(state);
-      const locationText = normalizeText(lead?.location);
-
-      const cityMatch = !hasCityFilter
-        ? true
-        : matchesAnyTextSet([cityText, locationText], context.citySet);
-      const stateMatch = !hasStateFilter
-        ? true
-        : matchesAnyTextSet([stateText, locationText], context.stateSet);
-
-      if (!cityMatch || !stateMatch) return false;
-    }
-
-    if (shouldFilterBudget) {
-      const budget = Number.parseFloat(lead?.budget);
-      if (Number.isFinite(context.minBudget) && Number.isFinite(budget) && budget < context.minBudget) {
-        return false;
-      }
-      if (Number.isFinite(context.maxBudget) && Number.isFinite(budget) && budget > context.maxBudget) {
-        return false;
-      }
-    }
-
-    return true;
-  });
-}
+};
 
 const omitKeys = (obj, keys = []) =>
   Object.fromEntries(
@@ -1322,14 +1162,12 @@ router.delete('/me/documents', requireAuth({ roles: ['VENDOR'] }), async (req, r
   }
 });
 
-// ✅ Vendor My Leads (auth-required, bypasses RLS)
+// ✅ Vendor marketplace leads, scored + sorted for this vendor (auth-required, bypasses RLS)
 router.get('/me/marketplace-leads', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
   try {
     const vendor = await resolveVendorForUser(req.user);
     if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
 
-    const maxVendorsPerLead = 5;
-
     const { data: marketplaceRows, error: rowsError } = await supabase
       .from('leads')
       .select('*')
@@ -1347,7 +1185,7 @@ router.get('/me/marketplace-leads', requireAuth({ roles: ['VENDOR'] }), async (r
 
     const allLeadIds = dedupe(allRows.map((row) => String(row?.id || '')).filter(Boolean));
 
-    const [myPurchasesRes, allPurchasesRes, filterContext] = await Promise.all([
+    const [myPurchasesRes, allPurchasesRes, matchContext] = await Promise.all([
       supabase
         .from('lead_purchases')
         .select('lead_id')
@@ -1356,7 +1194,7 @@ router.get('/me/marketplace-leads', requireAuth({ roles: ['VENDOR'] }), async (r
         .from('lead_purchases')
         .select('lead_id')
         .in('lead_id', allLeadIds),
-      loadMarketplaceFilterContext(vendor.id),
+      loadLeadMatchContext(vendor),
     ]);
 
     if (myPurchasesRes?.error) {
@@ -1380,106 +1218,197 @@ router.get('/me/marketplace-leads', requireAuth({ roles: ['VENDOR'] }), async (r
       const id = String(row?.id || '').trim();
       if (!id) return false;
       if (myPurchasedLeadIds.has(id)) return false;
-      if ((purchaseCountByLead.get(id) || 0) >= maxVendorsPerLead) return false;
+      if ((purchaseCountByLead.get(id) || 0) >= MAX_VENDORS_PER_LEAD) return false;
       return true;
     });
 
     if (!eligibleRows.length) return res.json({ success: true, leads: [] });
 
-    const filteredRows = applyMarketplaceFilters(eligibleRows, filterContext);
-    const finalRows = filteredRows.length ? filteredRows : eligibleRows;
+    // Preference filter; when nothing matches we still show everything, but say so
+    const matchedIds = new Set(
+      applyMarketplaceFilters(eligibleRows, { ...matchContext, autoLeadFilter: true })
+        .map((row) => String(row?.id || ''))
+    );
+    const usingFallback = matchContext.autoLeadFilter && matchedIds.size === 0;
+    const visibleRows = matchContext.autoLeadFilter && !usingFallback
+      ? eligibleRows.filter((row) => matchedIds.has(String(row?.id || '')))
+      : eligibleRows;
+
+    const scoringData = await loadLeadScoringData(visibleRows, matchContext, { purchaseCountByLead });
+    const leads = rankLeadsForVendor(visibleRows, matchContext, scoringData).map((lead) => ({
+      ...lead,
+      matches_preferences: matchedIds.has(String(lead?.id || '')),
+    }));
 
-    return res.json({ success: true, leads: finalRows });
+    return res.json({
+      success: true,
+      leads,
+      match: {
+        auto_lead_filter: matchContext.autoLeadFilter,
+        matched_count: matchedIds.size,
+        showing_unmatched: usingFallback,
+      },
+    });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message || 'Failed to load marketplace leads' });
   }
 });
 
-router.post('/me/leads/:leadId/purchase', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+// ✅ Post a buyer requirement to the marketplace (public; matching vendors are alerted)
+router.post('/marketplace-leads', async (req, res) => {
   try {
-    const vendor = await resolveVendorForUser(req.user);
-    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+    const payload = req.body || {};
+    const title = nonEmptyText(payload.title || payload.product_name, 200);
+    const description = nonEmptyText(payload.description || payload.message, 5000);
+    const buyerName = nonEmptyText(payload.buyer_name, 160);
+    const buyerEmail = normalizeEmail(nonEmptyText(payload.buyer_email, 320) || '');
+    const buyerPhone = nonEmptyText(payload.buyer_phone, 60);
 
-    const leadId = String(req.params?.leadId || '').trim();
-    if (!leadId) {
-      return res.status(400).json({ success: false, error: 'Invalid lead id' });
+    if (!title && !nonEmptyText(payload.category, 120)) {
+      return res.status(400).json({ success: false, error: 'Product/service or category is required' });
+    }
+    if (!buyerName || !buyerEmail || !buyerPhone) {
+      return res.status(400).json({ success: false, error: 'Name, email and phone are required' });
     }
 
-    const { data: lead, error: leadError } = await supabase
+    const limit = await checkMarketplaceLeadLimit({ ip: resolveClientIp(req), phone: buyerPhone });
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSec));
+      return res.status(429).json({ success: false, error: 'Too many requirements posted, please try again later' });
+    }
+
+    const leadPayload = {
+      title,
+      product_name: nonEmptyText(payload.product_name, 200) || title,
+      product_interest: nonEmptyText(payload.product_interest, 200),
+      category: nonEmptyText(payload.category, 120),
+      category_slug: nonEmptyText(payload.category_slug, 160),
+      micro_category_id: nonEmptyText(payload.micro_category_id, 64),
+      sub_category_id: nonEmptyText(payload.sub_category_id, 64),
+      head_category_id: nonEmptyText(payload.head_category_id, 64),
+      description,
+      message: description,
+      quantity: nonEmptyText(payload.quantity, 80),
+      budget: parseBudget(payload.budget),
+      location: nonEmptyText(payload.location, 200),
+      state_id: nonEmptyText(payload.state_id, 64),
+      city_id: nonEmptyText(payload.city_id, 64),
+      company_name: nonEmptyText(payload.company_name, 200),
+      buyer_name: buyerName,
+      buyer_email: buyerEmail,
+      buyer_phone: buyerPhone,
+      source: 'marketplace',
+      status: 'AVAILABLE',
+      created_at: new Date().toISOString(),
+    };
+
+    const { data: lead, error } = await supabase
       .from('leads')
-      .select('*')
-      .eq('id', leadId)
+      .insert([leadPayload])
+      .select('id, title, category, status, created_at')
       .maybeSingle();
 
-    if (leadError) {
-      return res.status(500).json({ success: false, error: leadError.message || 'Failed to fetch lead' });
-    }
-    if (!lead) {
-      return res.status(404).json({ success: false, error: 'Lead not found' });
+    if (error) {
+      return res.status(error.code === '22P02' ? 400 : 500).json({ success: false, error: error.message });
     }
 
-    const leadStatus = String(lead?.status || '').toUpperCase();
-    if (leadStatus && !['AVAILABLE', 'PURCHASED'].includes(leadStatus)) {
-      return res.status(409).json({ success: false, error: 'Lead no longer available' });
-    }
+    triggerLeadAlerts(lead?.id);
+    return res.status(201).json({ success: true, lead });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message || 'Failed to post requirement' });
+  }
+});
 
-    const { data: existingRows, error: existingError } = await supabase
-      .from('lead_purchases')
-      .select('id, purchase_date, amount')
-      .eq('vendor_id', vendor.id)
-      .eq('lead_id', leadId)
-      .order('purchase_date', { ascending: false })
-      .limit(1);
+// ✅ Lead alert settings (instant / daily digest / off)
+router.get('/me/lead-alerts', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
 
-    if (existingError) {
-      return res.status(500).json({ success: false, error: existingError.message || 'Failed to validate purchase' });
-    }
-    if (Array.isArray(existingRows) && existingRows.length > 0) {
-      return res.status(409).json({ success: false, error: 'You already purchased this lead' });
-    }
+    const settings = await getLeadAlertSettings(vendor.id);
+    return res.json({ success: true, settings });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message || 'Failed to load lead alert settings' });
+  }
+});
 
-    const { count: purchaseCount, error: countError } = await supabase
-      .from('lead_purchases')
-      .select('id', { count: 'exact', head: true })
-      .eq('lead_id', leadId);
+router.put('/me/lead-alerts', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
 
-    if (countError) {
-      return res.status(500).json({ success: false, error: countError.message || 'Failed to validate lead capacity' });
-    }
-    if ((purchaseCount || 0) >= 5) {
-      return res.status(409).json({ success: false, error: 'This lead has reached maximum 5 vendors limit' });
+    const settings = await saveLeadAlertSettings(vendor.id, req.body || {});
+    return res.json({ success: true, settings });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to save lead alert settings' });
+  }
+});
+
+// ✅ Server-side price + plan-quota coverage for a marketplace lead
+router.get('/me/leads/:leadId/quote', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const leadId = String(req.params?.leadId || '').trim();
+    if (!leadId) {
+      return res.status(400).json({ success: false, error: 'Invalid lead id' });
     }
 
-    const amountFromBody = Number(req.body?.amount);
-    const fallbackAmount = Number.isFinite(Number(lead?.price)) ? Number(lead.price) : 50;
-    const finalAmount = Number.isFinite(amountFromBody) ? amountFromBody : fallbackAmount;
+    const quote = await getLeadPurchaseQuote(vendor.id, leadId);
+    return res.json({ success: true, quote });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to price lead' });
+  }
+});
 
-    const purchasePayload = {
-      vendor_id: vendor.id,
-      lead_id: leadId,
-      amount: finalAmount,
-      payment_status: 'COMPLETED',
-      purchase_date: new Date().toISOString(),
-    };
+// ✅ Purchase a marketplace lead (plan quota or free leads only; paid leads go through /api/payment/lead/*)
+router.post('/me/leads/:leadId/purchase', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
 
-    const { data: purchaseRow, error: purchaseError } = await supabase
-      .from('lead_purchases')
-      .insert([purchasePayload])
-      .select('*')
-      .maybeSingle();
+    const leadId = String(req.params?.leadId || '').trim();
+    if (!leadId) {
+      return res.status(400).json({ success: false, error: 'Invalid lead id' });
+    }
 
-    if (purchaseError) {
-      return res.status(500).json({ success: false, error: purchaseError.message || 'Failed to purchase lead' });
+    let result;
+    try {
+      result = await purchaseLead(vendor.id, leadId);
+    } catch (purchaseError) {
+      if (purchaseError.code === 'PAYMENT_REQUIRED') {
+        // Tell the client what to pay; the amount in the Razorpay order is computed again on initiate
+        const quote = await getLeadPurchaseQuote(vendor.id, leadId).catch(() => null);
+        return res.status(402).json({
+          success: false,
+          error: purchaseError.message,
+          code: 'PAYMENT_REQUIRED',
+          quote,
+        });
+      }
+      return res.status(purchaseError.statusCode || 500).json({
+        success: false,
+        error: purchaseError.message || 'Failed to purchase lead',
+        code: purchaseError.code,
+      });
     }
 
-    await supabase
-      .from('leads')
-      .update({ status: 'PURCHASED' })
-      .eq('id', leadId);
+    if (result?.already_purchased) {
+      return res.status(409).json({ success: false, error: 'You already purchased this lead', purchase: result.purchase });
+    }
+
+    const purchaseRow = result?.purchase || null;
 
     try {
       const vendorUserId = vendor?.user_id || null;
       if (vendorUserId) {
+        const { data: lead } = await supabase
+          .from('leads')
+          .select('product_name')
+          .eq('id', leadId)
+          .maybeSingle();
+
         await insertNotification({
           user_id: vendorUserId,
           type: 'LEAD_PURCHASED',
@@ -1497,13 +1426,59 @@ router.post('/me/leads/:leadId/purchase', requireAuth({ roles: ['VENDOR'] }), as
 
     return res.status(201).json({
       success: true,
-      purchase: purchaseRow || { ...purchasePayload, id: null },
+      purchase: purchaseRow,
+      covered_by_quota: Boolean(result?.covered_by_quota),
+      price: result?.price ?? null,
     });
   } catch (e) {
     return res.status(500).json({ success: false, error: e.message || 'Failed to purchase lead' });
   }
 });
 
+// ✅ Pipeline stage, history, buyer feedback and dispute for a purchased lead
+router.get('/me/leads/:leadId/lifecycle', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const lifecycle = await getPurchaseLifecycle(vendor.id, String(req.params?.leadId || '').trim());
+    return res.json({ success: true, ...lifecycle });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load lead pipeline' });
+  }
+});
+
+// ✅ Move a purchased lead to the next pipeline stage (LOST needs lost_reason)
+router.patch('/me/leads/:leadId/lifecycle', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const purchase = await updatePurchaseStage(
+      vendor.id,
+      String(req.params?.leadId || '').trim(),
+      req.body || {},
+      req.user?.id || null
+    );
+    return res.json({ success: true, purchase });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to update lead stage' });
+  }
+});
+
+// ✅ Report a bad lead / request a refund (opens a support ticket)
+router.post('/me/leads/:leadId/dispute', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const { dispute, ticket } = await openLeadDispute(vendor, String(req.params?.leadId || '').trim(), req.body || {});
+    return res.status(201).json({ success: true, dispute, ticket });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to raise dispute' });
+  }
+});
+
 router.get('/me/leads/:leadId', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
   try {
     const vendor = await resolveVendorForUser(req.user);
@@ -1566,8 +1541,26 @@ router.get('/me/leads/:leadId', requireAuth({ roles: ['VENDOR'] }), async (req,
     }
 
     const source = isDirect ? 'Direct' : purchase ? 'Purchased' : 'Marketplace';
+    if (isDirect && lead?.proposal_id) await markBroadcastViewed({ proposalId: lead.proposal_id, vendorId: vendor.id });
+
+    // Why this marketplace lead was suggested (best effort; never blocks the detail view)
+    let match = {};
+    if (source === 'Marketplace') {
+      try {
+        const matchContext = await loadLeadMatchContext(vendor);
+        const scoringData = await loadLeadScoringData([lead], matchContext);
+        match = {
+          ...scoreLeadForVendor(lead, matchContext, scoringData),
+          matches_preferences: applyMarketplaceFilters([lead], { ...matchContext, autoLeadFilter: true }).length > 0,
+        };
+      } catch (matchError) {
+        console.warn('Lead match scoring failed:', matchError?.message || matchError);
+      }
+    }
+
     const responseLead = {
       ...lead,
+      ...match,
       source,
       purchase_date: purchase?.purchase_date || lead?.created_at || null,
       lead_purchase_id: purchase?.id || null,
@@ -1719,6 +1712,7 @@ router.get('/me/proposals/:proposalId', requireAuth({ roles: ['VENDOR'] }), asyn
 
     if (error) return res.status(500).json({ success: false, error: error.message });
     if (!proposal) return res.status(404).json({ success: false, error: 'Proposal not found' });
+    if (proposal.broadcast_id) await markBroadcastViewed({ proposalId: proposal.id, vendorId: vendor.id });
 
     const [enriched] = await attachBuyerMetaToProposals([proposal], {
       vendorUserId: req.user?.id || '',
@@ -1752,6 +1746,56 @@ router.delete('/me/proposals/:proposalId', requireAuth({ roles: ['VENDOR'] }), a
   }
 });
 
+// ✅ Published reviews of the logged-in vendor (reply once per review)
+router.get('/me/reviews', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const result = await listVendorReviews(vendor.id, { limit: req.query?.limit, offset: req.query?.offset });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load reviews' });
+  }
+});
+
+router.post('/me/reviews/:reviewId/reply', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const review = await replyToReview(vendor, String(req.params?.reviewId || '').trim(), req.body || {});
+    return res.json({ success: true, review });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to save reply' });
+  }
+});
+
+// ✅ Trust score breakdown (what to fix) for the vendor dashboard
+router.get('/me/trust-score', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const trust = await getVendorTrustScore(vendor.id);
+    return res.json({ success: true, trust });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load trust score' });
+  }
+});
+
+router.post('/me/trust-score/refresh', requireAuth({ roles: ['VENDOR'] }), async (req, res) => {
+  try {
+    const vendor = await resolveVendorForUser(req.user);
+    if (!vendor) return res.status(404).json({ success: false, error: 'Vendor profile not found' });
+
+    const trust = await refreshVendorTrustScore(vendor.id);
+    return res.json({ success: true, trust });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to refresh trust score' });
+  }
+});
+
 router.get('/:vendorId', async (req, res) => {
   try {
     const { vendorId } = req.params;
@@ -1953,6 +1997,57 @@ router.get('/:vendorId/service-categories', async (req, res) => {
   }
 });
 
+// ✅ Public reviews (approved only); ?product_id= narrows to one product
+router.get('/:vendorId/reviews', async (req, res) => {
+  try {
+    const { vendorId } = req.params;
+    if (!isValidId(vendorId)) {
+      return res.status(400).json({ success: false, error: 'Invalid vendor id' });
+    }
+
+    const result = await listVendorReviews(vendorId, {
+      productId: nonEmptyText(req.query?.product_id, 64),
+      limit: req.query?.limit,
+      offset: req.query?.offset,
+    });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to load reviews' });
+  }
+});
+
+// ✅ Quotations / contacted leads the buyer can review this vendor for
+router.get('/:vendorId/reviews/eligibility', requireAuth({ roles: ['BUYER'] }), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerProfileForUser(req.user);
+    if (!buyer) return res.status(404).json({ success: false, error: 'Buyer profile not found' });
+
+    const sources = await listReviewableSources(
+      { ...buyer, email: buyer.email || req.user?.email },
+      String(req.params?.vendorId || '').trim()
+    );
+    return res.json({ success: true, sources, can_review: sources.some((s) => !s.review_id) });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to check eligibility' });
+  }
+});
+
+router.post('/:vendorId/reviews', requireAuth({ roles: ['BUYER'] }), async (req, res) => {
+  try {
+    const buyer = await resolveBuyerProfileForUser(req.user);
+    if (!buyer) return res.status(404).json({ success: false, error: 'Buyer profile not found' });
+
+    const review = await createReview(
+      { ...buyer, email: buyer.email || req.user?.email },
+      String(req.params?.vendorId || '').trim(),
+      req.body || {}
+    );
+    return res.status(201).json({ success: true, review });
+  } catch (e) {
+    return res.status(e.statusCode || 500).json({ success: false, error: e.message || 'Failed to submit review' });
+  }
+});
+
 router.get('/:vendorId/favorite', requireAuth({ roles: ['BUYER'] }), async (req, res) => {
   try {
     const { vendorId } = req.params;
@@ -2231,6 +2326,8 @@ router.post('/:vendorId/leads', requireAuth(), async (req, res) => {
 
     if (!createdLead) {
       console.warn('Lead insert failed after proposal create:', lastError?.message || lastError);
+    } else {
+      triggerLeadAlerts(createdLead.id);
     }
 
     let vendorUserId = vendor.user_id || null;
@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ingestInboundEmail } from '../lib/ticketEmail.js';
+
+// Feed support tickets from a local file drop: node server/scripts/ingestEmail.js <file.eml|directory>
+// Files in a directory are moved to <directory>/processed (or <directory>/failed) once handled.
+
+const isEml = (name) => /\.(eml|msg|txt)$/i.test(name);
+
+async function ingestFile(file) {
+  const raw = await fs.readFile(file);
+  const result = await ingestInboundEmail(raw);
+  console.log(`📧 ${path.basename(file)}: ${result.status} ${result.ticket_id || result.reason || ''}`);
+  return result;
+}
+
+async function moveTo(dir, file) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.rename(file, path.join(dir, path.basename(file)));
+}
+
+async function run() {
+  const target = process.argv[2];
+  if (!target) {
+    console.error('Usage: node server/scripts/ingestEmail.js <file.eml|directory>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const stat = await fs.stat(target);
+  if (stat.isFile()) {
+    await ingestFile(target);
+    return;
+  }
+
+  const files = (await fs.readdir(target)).filter(isEml).sort();
+  let failed = 0;
+  for (const name of files) {
+    const file = path.join(target, name);
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await ingestFile(file);
+      // eslint-disable-next-line no-await-in-loop
+      await moveTo(path.join(target, 'processed'), file);
+    } catch (e) {
+      failed += 1;
+      console.error(`❌ ${name}: ${e?.message || e}`);
+      // eslint-disable-next-line no-await-in-loop
+      await moveTo(path.join(target, 'failed'), file);
+    }
+  }
+
+  console.log(`\n✅ Done. ${files.length - failed} ingested, ${failed} failed.`);
+}
+
+run().catch((e) => {
+  console.error('❌ ingestEmail failed:', e?.message || e);
+  process.exitCode = 1;
+});
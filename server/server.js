@@ -21,6 +21,9 @@ import authRoutes from './routes/auth.js';
 import vendorProfileRoutes from './routes/vendorProfile.js';
 import { subdomainMiddleware, subdomainRedirectMiddleware, getSubdomainAwareCORS } from './middleware/subdomainMiddleware.js';
 import { initializeSubscriptionCronJobs } from './lib/subscriptionCronJobs.js';
+import { initializeLeadAlertCronJobs } from './lib/leadAlertCronJobs.js';
+import { initializeTrustScoreCronJobs } from './lib/trustScoreCronJobs.js';
+import { initializeSupportSlaCronJobs } from './lib/supportSlaCronJobs.js';
 import { ensureDevAdmin } from './lib/devBootstrap.js';
 
 dotenv.config({ path: '.env.local' });
@@ -28,6 +31,16 @@ dotenv.config({ path: '.env.local' });
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// req.ip (rate limits) follows X-Forwarded-For only through trusted proxies.
+// TRUST_PROXY: hop count, true/false or a subnet list; default is the one platform router in front of the dyno.
+const parseTrustProxy = (value) => {
+  const raw = String(value ?? '1').trim();
+  if (/^\d+$/.test(raw)) return Number(raw);
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  return raw;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Subdomain Detection Middleware (BEFORE cors)
 app.use(subdomainMiddleware);
 
@@ -40,7 +53,15 @@ app.use(subdomainRedirectMiddleware);
 // ✅ IMPORTANT: Quotation PDF attachments are sent as base64 in JSON.
 // Default express.json limit (100kb) causes "request entity too large" (413).
 // Keep limit reasonably high for local/proxy usage.
-app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+// Razorpay webhook signatures are computed over the exact bytes, so keep them for that route.
+app.use(
+  express.json({
+    limit: process.env.JSON_BODY_LIMIT || '10mb',
+    verify: (req, _res, buf) => {
+      if (req.originalUrl?.startsWith('/api/payment/webhook')) req.rawBody = Buffer.from(buf);
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 
@@ -124,6 +145,15 @@ app.use('/api/category-requests', categoryRequestRoutes);
 // Initialize subscription monitoring cron jobs
 initializeSubscriptionCronJobs();
 
+// Lead alert sweep + daily digest
+initializeLeadAlertCronJobs();
+
+// Daily vendor trust score recompute
+initializeTrustScoreCronJobs();
+
+// Support ticket auto-assignment + SLA escalation
+initializeSupportSlaCronJobs();
+
 // Dev-only admin bootstrap (set DEV_ADMIN_EMAIL + DEV_ADMIN_PASSWORD)
 ensureDevAdmin().catch((err) => {
   console.warn('[DevBootstrap] Failed:', err?.message || err);
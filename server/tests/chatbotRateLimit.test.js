@@ -0,0 +1,89 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../lib/supabaseClient.js';
+import { checkChatRateLimit } from '../lib/chatbotService.js';
+import { runChatbotTool } from '../lib/chatbotTools.js';
+import { resolveClientIp, resolveEventClientIp } from '../lib/rateLimits.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+// hit_rate_limit without the time window: every call within a test counts
+const countingRateLimit = (args, db) => {
+  const hits = db.table('rate_limit_hits').filter((row) => row.bucket === args.p_bucket && row.key === args.p_key);
+  if (hits.length >= args.p_max) return { allowed: false, remaining: 0, retry_after_sec: args.p_window_seconds };
+  db.table('rate_limit_hits').push({ bucket: args.p_bucket, key: args.p_key });
+  return { allowed: true, remaining: args.p_max - hits.length - 1, retry_after_sec: 0 };
+};
+
+let db;
+
+beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  process.env.CHATBOT_RATE_MAX = '2';
+  process.env.CHATBOT_RATE_WINDOW_MS = '600000';
+  db = installFakeSupabase(supabase);
+  db.rpcHandlers.hit_rate_limit = countingRateLimit;
+});
+
+afterEach(() => {
+  db?.restore();
+  delete process.env.CHATBOT_RATE_MAX;
+  delete process.env.CHATBOT_RATE_WINDOW_MS;
+});
+
+test('limits anonymous visitors per client IP', async () => {
+  const ip = '203.0.113.7';
+  assert.equal((await checkChatRateLimit({ userId: null, ip })).allowed, true);
+  assert.equal((await checkChatRateLimit({ userId: null, ip })).allowed, true);
+
+  const blocked = await checkChatRateLimit({ userId: null, ip });
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfterSec, 600);
+  assert.equal((await checkChatRateLimit({ userId: null, ip: '198.51.100.4' })).allowed, true);
+});
+
+test('limits signed-in users by user id whatever their IP', async () => {
+  await checkChatRateLimit({ userId: 'user-1', ip: '203.0.113.7' });
+  await checkChatRateLimit({ userId: 'user-1', ip: '198.51.100.4' });
+
+  assert.equal((await checkChatRateLimit({ userId: 'user-1', ip: '192.0.2.1' })).allowed, false);
+  assert.deepEqual(
+    db.rpcCalls.map((call) => [call.args.p_bucket, call.args.p_key]),
+    [
+      ['chat:user', 'user-1'],
+      ['chat:user', 'user-1'],
+      ['chat:user', 'user-1'],
+    ]
+  );
+});
+
+test('ignores client-set forwarding headers on Express requests', () => {
+  const spoofed = { 'x-nf-client-connection-ip': '192.0.2.1', 'x-forwarded-for': '192.0.2.2', 'x-real-ip': '192.0.2.3' };
+
+  assert.equal(resolveClientIp({ ip: '203.0.113.7', headers: spoofed }), '203.0.113.7');
+  assert.equal(resolveEventClientIp({ headers: { ...spoofed, 'x-nf-client-connection-ip': '198.51.100.4' } }), '198.51.100.4');
+});
+
+test('post_requirement counts against the requirement form limits for the client IP', async () => {
+  process.env.MARKETPLACE_LEAD_IP_MAX = '1';
+  const requirement = {
+    confirmed: true,
+    product: 'HDPE pipes',
+    quantity: '500 m',
+    buyer_name: 'Asha Verma',
+    buyer_email: 'asha@example.com',
+    buyer_phone: '+91 98765 43210',
+  };
+
+  try {
+    const first = await runChatbotTool('post_requirement', requirement, { ip: '203.0.113.7' });
+    const second = await runChatbotTool('post_requirement', requirement, { ip: '203.0.113.7' });
+
+    assert.equal(first.data.posted, true);
+    assert.match(second.data.error, /Too many requirements/);
+    assert.equal(db.table('leads').length, 1);
+    assert.equal(db.rpcCalls.find((call) => call.name === 'hit_rate_limit').args.p_key, '203.0.113.7');
+  } finally {
+    delete process.env.MARKETPLACE_LEAD_IP_MAX;
+  }
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLegacyTextSearch, legacySearchTokens } from '../lib/directorySearch.js';
+
+// Records the filter calls a supabase-js query would receive
+const recorder = () => {
+  const calls = [];
+  const query = {
+    calls,
+    or: (filter) => (calls.push(['or', filter]), query),
+    ilike: (column, pattern) => (calls.push(['ilike', column, pattern]), query),
+  };
+  return query;
+};
+
+test('matches each ASCII word on name or description, plural-insensitive', () => {
+  const query = applyLegacyTextSearch(recorder(), 'Steel Pipes');
+  assert.deepEqual(query.calls, [
+    ['or', 'name.ilike.%steel%,description.ilike.%steel%'],
+    ['or', 'name.ilike.%pipe%,description.ilike.%pipe%'],
+  ]);
+});
+
+test('falls back to a name substring match for a non-ASCII query', () => {
+  assert.deepEqual(legacySearchTokens('स्टील पाइप'), []);
+  const query = applyLegacyTextSearch(recorder(), '  स्टील पाइप ');
+  assert.deepEqual(query.calls, [['ilike', 'name', '%स्टील पाइप%']]);
+});
+
+test('escapes LIKE wildcards in the fallback pattern', () => {
+  const query = applyLegacyTextSearch(recorder(), '१००%_शुद्ध');
+  assert.deepEqual(query.calls, [['ilike', 'name', '%१००\\%\\_शुद्ध%']]);
+});
+
+test('leaves the query untouched when there is no search text', () => {
+  const query = applyLegacyTextSearch(recorder(), '   ');
+  assert.deepEqual(query.calls, []);
+});
@@ -0,0 +1,15 @@
+// Import first in every test: server libs build their Supabase / Razorpay clients at load time.
+// Nothing here reaches a real service; tests swap the clients' methods for fakes.
+const defaults = {
+  VITE_SUPABASE_URL: 'http://127.0.0.1:9',
+  SUPABASE_URL: 'http://127.0.0.1:9',
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+  VITE_SUPABASE_ANON_KEY: 'test-anon-key',
+  RAZORPAY_KEY_ID: 'rzp_test_key',
+  RAZORPAY_KEY_SECRET: 'test-key-secret',
+  RAZORPAY_WEBHOOK_SECRET: 'test-webhook-secret',
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  process.env[key] = value;
+}
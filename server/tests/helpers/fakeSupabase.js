@@ -0,0 +1,237 @@
+import { randomUUID } from 'crypto';
+
+// In-memory stand-in for the supabase-js query builder, covering the calls server libs make.
+// Embeds like `plan:vendor_plans(*)` resolve through the `<alias>_id` column of the row.
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// ILIKE: % and _ are wildcards unless escaped with a backslash
+const likeToRegExp = (pattern) => {
+  const source = String(pattern).replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/gs, (match, escaped, wildcard) => {
+    if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wildcard) return wildcard === '%' ? '.*' : '.';
+    return `\\${match}`;
+  });
+  return new RegExp(`^${source}$`, 'is');
+};
+
+const parseEmbeds = (columns) =>
+  [...String(columns || '').matchAll(/(\w+):(\w+)\([^)]*\)/g)].map(([, alias, table]) => ({ alias, table }));
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.op = 'select';
+    this.filters = [];
+    this.embeds = [];
+    this.returning = false;
+    this.mode = 'many';
+    this.sort = null;
+    this.max = null;
+  }
+
+  select(columns = '*') {
+    if (this.op !== 'select') this.returning = true;
+    this.embeds = parseEmbeds(columns);
+    return this;
+  }
+
+  insert(rows) {
+    this.op = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.op = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  where(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where((row) => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.where((row) => row[column] !== value);
+  }
+
+  in(column, values) {
+    return this.where((row) => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.where((row) => (row[column] ?? null) === value);
+  }
+
+  not(column, operator, value) {
+    if (operator !== 'is') throw new Error(`fakeSupabase: not(${operator}) is not supported`);
+    return this.where((row) => (row[column] ?? null) !== value);
+  }
+
+  lt(column, value) {
+    return this.where((row) => row[column] !== null && row[column] !== undefined && row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.where((row) => row[column] !== null && row[column] !== undefined && row[column] <= value);
+  }
+
+  gt(column, value) {
+    return this.where((row) => row[column] !== null && row[column] !== undefined && row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.where((row) => row[column] !== null && row[column] !== undefined && row[column] >= value);
+  }
+
+  ilike(column, pattern) {
+    const regex = likeToRegExp(pattern);
+    return this.where((row) => regex.test(String(row[column] ?? '')));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sort = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.max = count;
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybe';
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  rows() {
+    return this.db.table(this.table).filter((row) => this.filters.every((test) => test(row)));
+  }
+
+  withEmbeds(row) {
+    const result = clone(row);
+    for (const { alias, table } of this.embeds) {
+      const id = row[`${alias}_id`];
+      result[alias] = clone(this.db.table(table).find((candidate) => candidate.id === id)) || null;
+    }
+    return result;
+  }
+
+  execute() {
+    const failure = this.db.failures[`${this.table}.${this.op}`];
+    if (failure) return { data: null, error: failure };
+
+    let rows;
+    if (this.op === 'insert') {
+      const defaults = this.db.defaults[this.table] || (() => ({}));
+      rows = this.payload.map((values) => ({
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...defaults(),
+        ...clone(values),
+      }));
+      const duplicate = rows.some((row) =>
+        (this.db.unique[this.table] || []).some((columns) =>
+          this.db.table(this.table).some((existing) => columns.every((column) => existing[column] === row[column]))
+        )
+      );
+      if (duplicate) return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+      this.db.table(this.table).push(...rows);
+    } else if (this.op === 'update') {
+      rows = this.rows();
+      rows.forEach((row) => Object.assign(row, clone(this.payload)));
+    } else if (this.op === 'delete') {
+      rows = this.rows();
+      this.db.tables[this.table] = this.db.table(this.table).filter((row) => !rows.includes(row));
+    } else {
+      rows = this.rows();
+      if (this.sort) {
+        const { column, ascending } = this.sort;
+        rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+      }
+    }
+
+    if (this.max !== null) rows = rows.slice(0, this.max);
+    if (this.op !== 'select' && !this.returning) return { data: null, error: null };
+
+    const data = rows.map((row) => this.withEmbeds(row));
+    if (this.mode === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    if (this.mode === 'maybe') return { data: data[0] || null, error: null };
+    return { data, error: null };
+  }
+}
+
+class FakeDatabase {
+  constructor(tables = {}) {
+    this.tables = clone(tables);
+    this.unique = {};
+    this.defaults = {};
+    this.failures = {};
+    this.rpcHandlers = {};
+    this.rpcCalls = [];
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  from(name) {
+    return new FakeQuery(this, name);
+  }
+
+  async rpc(name, args = {}) {
+    this.rpcCalls.push({ name, args: clone(args) });
+    const handler = this.rpcHandlers[name];
+    if (!handler) return { data: null, error: null };
+    try {
+      return { data: await handler(args, this), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code } };
+    }
+  }
+}
+
+/**
+ * Point a supabase-js client at an in-memory database.
+ * `unique` maps a table to column sets that raise 23505 on duplicate inserts;
+ * `defaults` maps a table to a function returning column defaults for inserted rows.
+ * Returns the database and a restore() that puts the real methods back.
+ */
+export function installFakeSupabase(client, tables = {}, { unique = {}, defaults = {} } = {}) {
+  const db = new FakeDatabase(tables);
+  db.unique = unique;
+  db.defaults = defaults;
+  const original = { from: client.from, rpc: client.rpc };
+  client.from = (name) => db.from(name);
+  client.rpc = (name, args) => db.rpc(name, args);
+  db.restore = () => Object.assign(client, original);
+  return db;
+}
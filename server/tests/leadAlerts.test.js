@@ -0,0 +1,62 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../lib/supabaseClient.js';
+import { assertLeadAlertsSecret, distributeLeadAlerts, distributePendingLeadAlerts } from '../lib/leadAlerts.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const MINUTE_MS = 60 * 1000;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE_MS).toISOString();
+
+// Direct enquiry: alerted to its own vendor without candidate matching
+const LEAD = { id: 'lead-1', vendor_id: 'vendor-1', title: 'TMT bars', status: 'AVAILABLE', created_at: minutesAgo(60) };
+const VENDOR = { id: 'vendor-1', user_id: 'user-1', email: null, company_name: 'Sharma Steels', is_active: true };
+
+let db;
+
+beforeEach(() => {
+  db = installFakeSupabase(supabase, { leads: [{ ...LEAD }], vendors: [VENDOR] });
+});
+
+afterEach(() => db?.restore());
+
+test('an alert is marked sent after delivery and the lead completed', async () => {
+  const summary = await distributeLeadAlerts(LEAD.id);
+
+  assert.equal(summary.sent, 1);
+  const [alert] = db.table('lead_alerts');
+  assert.equal(alert.status, 'SENT');
+  assert.ok(alert.sent_at);
+  assert.ok(db.table('leads')[0].alerts_completed_at);
+
+  const again = await distributeLeadAlerts(LEAD.id);
+  assert.equal(again.sent, 0);
+});
+
+test('a run that stopped before delivery is resumed once its claim is stale', async () => {
+  Object.assign(db.table('leads')[0], { alerts_distributed_at: minutesAgo(1) });
+  db.table('lead_alerts').push({ id: 'alert-1', lead_id: LEAD.id, vendor_id: VENDOR.id, status: 'PENDING', sent_at: null });
+
+  assert.equal(await distributePendingLeadAlerts(), 0);
+  assert.equal(db.table('lead_alerts')[0].status, 'PENDING');
+
+  db.table('leads')[0].alerts_distributed_at = minutesAgo(30);
+  assert.equal(await distributePendingLeadAlerts(), 1);
+
+  assert.equal(db.table('lead_alerts').length, 1);
+  assert.equal(db.table('lead_alerts')[0].status, 'SENT');
+  assert.ok(db.table('leads')[0].alerts_completed_at);
+});
+
+test('the background hand-off requires the shared secret', () => {
+  assert.throws(() => assertLeadAlertsSecret('alerts-secret'), { statusCode: 503 });
+
+  process.env.LEAD_ALERTS_SECRET = 'alerts-secret';
+  try {
+    assert.doesNotThrow(() => assertLeadAlertsSecret('alerts-secret'));
+    assert.throws(() => assertLeadAlertsSecret('wrong'), { statusCode: 401 });
+    assert.throws(() => assertLeadAlertsSecret(undefined), { statusCode: 401 });
+  } finally {
+    delete process.env.LEAD_ALERTS_SECRET;
+  }
+});
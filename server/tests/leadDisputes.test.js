@@ -0,0 +1,101 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../lib/supabaseClient.js';
+import { razorpayInstance } from '../lib/razorpayClient.js';
+import { resolveLeadDispute } from '../lib/leadLifecycle.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const DISPUTE = {
+  id: 'dispute-1',
+  purchase_id: 'purchase-1',
+  lead_id: 'lead-1',
+  vendor_id: 'vendor-1',
+  ticket_id: 'ticket-1',
+  reason: 'UNREACHABLE',
+  status: 'OPEN',
+};
+
+// refund_lead_purchase: finalize a claimed or open dispute
+const refundLeadPurchase = (args, db) => {
+  const dispute = db.table('lead_disputes').find((row) => row.id === args.p_dispute_id);
+  if (!['OPEN', 'PROCESSING'].includes(dispute.status)) throw new Error('DISPUTE_ALREADY_RESOLVED');
+  Object.assign(dispute, {
+    status: 'APPROVED',
+    refund_method: args.p_razorpay_refund_id ? 'RAZORPAY' : 'MANUAL',
+    refund_amount: 500,
+    razorpay_refund_id: args.p_razorpay_refund_id,
+  });
+  return { dispute: { ...dispute } };
+};
+
+let db;
+let refunds;
+
+beforeEach((t) => {
+  // Credit notes and notifications go through services that are offline here
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  db = installFakeSupabase(supabase, {
+    lead_disputes: [{ ...DISPUTE }],
+    lead_purchases: [{ id: 'purchase-1', vendor_id: 'vendor-1', lead_id: 'lead-1', amount: 500, razorpay_payment_id: 'pay_Lead0001' }],
+    leads: [{ id: 'lead-1', title: 'TMT bars' }],
+    support_tickets: [{ id: 'ticket-1', status: 'OPEN' }],
+    vendors: [{ id: 'vendor-1' }],
+  });
+  db.rpcHandlers.refund_lead_purchase = refundLeadPurchase;
+  refunds = t.mock.method(razorpayInstance.payments, 'refund', async () => ({ id: 'rfnd_Lead0001' }));
+});
+
+afterEach(() => db?.restore());
+
+test('approving refunds once, with the dispute id as the receipt', async () => {
+  const resolved = await resolveLeadDispute('ticket-1', { decision: 'APPROVE' }, { id: 'agent-1' });
+
+  assert.equal(resolved.status, 'APPROVED');
+  assert.equal(resolved.razorpay_refund_id, 'rfnd_Lead0001');
+  assert.equal(refunds.mock.callCount(), 1);
+  const [paymentId, options] = refunds.mock.calls[0].arguments;
+  assert.equal(paymentId, 'pay_Lead0001');
+  assert.equal(options.amount, 50000);
+  assert.equal(options.receipt, DISPUTE.id);
+
+  const again = await resolveLeadDispute('ticket-1', { decision: 'APPROVE' }).catch((err) => err);
+  assert.equal(again.statusCode, 409);
+  assert.equal(refunds.mock.callCount(), 1);
+});
+
+test('a dispute claimed by another agent is not refunded again', async () => {
+  db.table('lead_disputes')[0].status = 'PROCESSING';
+
+  const error = await resolveLeadDispute('ticket-1', { decision: 'APPROVE' }).catch((err) => err);
+
+  assert.equal(error.statusCode, 409);
+  assert.equal(refunds.mock.callCount(), 0);
+});
+
+test('a failed Razorpay refund releases the claim', async () => {
+  refunds.mock.mockImplementationOnce(async () => {
+    throw { error: { description: 'The refund amount exceeds the captured amount' } };
+  });
+
+  const error = await resolveLeadDispute('ticket-1', { decision: 'APPROVE' }).catch((err) => err);
+
+  assert.equal(error.statusCode, 502);
+  assert.equal(db.table('lead_disputes')[0].status, 'OPEN');
+});
+
+test('a refunded claim whose finalize failed is finished without a second refund', async () => {
+  db.rpcHandlers.refund_lead_purchase = () => {
+    throw new Error('connection reset');
+  };
+  await resolveLeadDispute('ticket-1', { decision: 'APPROVE' }).catch(() => {});
+  assert.equal(db.table('lead_disputes')[0].status, 'PROCESSING');
+  assert.equal(db.table('lead_disputes')[0].razorpay_refund_id, 'rfnd_Lead0001');
+
+  db.rpcHandlers.refund_lead_purchase = refundLeadPurchase;
+  const resolved = await resolveLeadDispute('ticket-1', { decision: 'APPROVE' });
+
+  assert.equal(resolved.status, 'APPROVED');
+  assert.equal(refunds.mock.callCount(), 1);
+});
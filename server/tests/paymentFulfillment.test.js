@@ -0,0 +1,107 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { supabase } from '../lib/supabaseClient.js';
+import { razorpayInstance } from '../lib/razorpayClient.js';
+import { fulfillLeadPayment } from '../lib/paymentFulfillment.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const VENDOR = { id: 'vendor-1', email: 'vendor@example.com', company_name: 'Sharma Steels', state: 'Maharashtra' };
+const LEAD = { id: 'lead-1', title: 'TMT bars 20 tonnes' };
+const PAYMENT = { vendorId: VENDOR.id, leadId: LEAD.id, razorpayPaymentId: 'pay_TestLead0001', orderId: 'order_TestLead0001', amount: 118 };
+
+const issueTaxDocument = (args, db) => {
+  const doc = args.p_doc;
+  const series = doc.document_type === 'CREDIT_NOTE' ? 'CN' : 'INV';
+  const sequence = db.table('tax_documents').filter((row) => row.document_type === doc.document_type).length + 1;
+  const row = { id: randomUUID(), document_number: `${series}/26-27/${String(sequence).padStart(6, '0')}`, ...doc };
+  db.table('tax_documents').push(row);
+  return row;
+};
+
+let db;
+let refunds;
+
+beforeEach((t) => {
+  t.mock.method(console, 'error', () => {});
+  db = installFakeSupabase(supabase, { vendors: [VENDOR], leads: [LEAD] }, { unique: { vendor_payments: [['transaction_id']] } });
+  db.rpcHandlers.issue_tax_document = issueTaxDocument;
+  refunds = t.mock.method(razorpayInstance.payments, 'refund', async (paymentId, { amount }) => ({
+    id: `rfnd_${paymentId}`,
+    payment_id: paymentId,
+    amount,
+  }));
+});
+
+afterEach(() => db?.restore());
+
+test('a payment for a lead that filled up is refunded with a credit note', async () => {
+  db.rpcHandlers.purchase_lead = () => {
+    throw new Error('LEAD_CAPACITY_REACHED');
+  };
+
+  const error = await fulfillLeadPayment(PAYMENT).catch((err) => err);
+
+  assert.equal(error.code, 'LEAD_CAPACITY_REACHED');
+  assert.equal(error.statusCode, 409);
+  assert.equal(refunds.mock.callCount(), 1);
+  assert.equal(refunds.mock.calls[0].arguments[0], PAYMENT.razorpayPaymentId);
+  assert.equal(refunds.mock.calls[0].arguments[1].amount, 11800);
+
+  const [payment] = db.table('vendor_payments');
+  assert.equal(payment.lead_id, LEAD.id);
+  assert.equal(payment.status, 'REFUNDED');
+  assert.equal(payment.refunded_amount, 118);
+
+  const [invoice, creditNote] = db.table('tax_documents');
+  assert.equal(invoice.document_type, 'INVOICE');
+  assert.match(invoice.items[0].description, /TMT bars/);
+  assert.equal(creditNote.document_type, 'CREDIT_NOTE');
+  assert.equal(creditNote.reference, 'rfnd_pay_TestLead0001');
+  assert.deepEqual(error.refund, { refund_id: 'rfnd_pay_TestLead0001', amount: 118, credit_note: creditNote.document_number });
+});
+
+test('a second verify of a rejected payment does not refund it twice', async () => {
+  db.rpcHandlers.purchase_lead = () => {
+    throw new Error('LEAD_UNAVAILABLE');
+  };
+
+  await fulfillLeadPayment(PAYMENT).catch(() => {});
+  const again = await fulfillLeadPayment(PAYMENT).catch((err) => err);
+
+  assert.equal(again.code, 'LEAD_UNAVAILABLE');
+  assert.equal(again.refund, null);
+  assert.equal(refunds.mock.callCount(), 1);
+  assert.equal(db.table('vendor_payments').length, 1);
+});
+
+test('a lead already unlocked through another payment refunds the new one', async () => {
+  const purchase = { id: 'purchase-1', vendor_id: VENDOR.id, lead_id: LEAD.id, razorpay_payment_id: 'pay_Earlier' };
+  db.rpcHandlers.purchase_lead = () => ({ already_purchased: true, purchase });
+
+  const result = await fulfillLeadPayment(PAYMENT);
+
+  assert.equal(result.already_fulfilled, true);
+  assert.equal(result.refund.refund_id, 'rfnd_pay_TestLead0001');
+  assert.equal(refunds.mock.callCount(), 1);
+  assert.equal(db.table('vendor_payments')[0].lead_purchase_id, undefined);
+});
+
+test('a failed Razorpay refund is released for the next retry', async () => {
+  db.rpcHandlers.purchase_lead = () => {
+    throw new Error('LEAD_UNAVAILABLE');
+  };
+  refunds.mock.mockImplementationOnce(async () => {
+    throw { error: { description: 'The refund could not be processed' } };
+  });
+
+  const error = await fulfillLeadPayment(PAYMENT).catch((err) => err);
+  assert.equal(error.statusCode, 502);
+  assert.equal(db.table('vendor_payments')[0].refunded_at, null);
+
+  const retried = await fulfillLeadPayment(PAYMENT).catch((err) => err);
+  assert.equal(retried.code, 'LEAD_UNAVAILABLE');
+  assert.equal(retried.refund.refund_id, 'rfnd_pay_TestLead0001');
+  assert.equal(refunds.mock.callCount(), 2);
+});
@@ -0,0 +1,253 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { supabase } from '../lib/supabaseClient.js';
+import { razorpayInstance } from '../lib/razorpayClient.js';
+import { handleRazorpayWebhook, verifyWebhookSignature } from '../lib/razorpayWebhook.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Recorded deliveries; signatures.json holds their X-Razorpay-Signature under the fake webhook secret
+const fixture = (name) => readFileSync(new URL(`./fixtures/razorpay/${name}`, import.meta.url));
+const { secret: SECRET, deliveries: DELIVERIES } = JSON.parse(fixture('signatures.json'));
+
+const deliver = (event, { eventId = DELIVERIES[event].event_id, rawBody = fixture(`${event}.json`) } = {}) =>
+  handleRazorpayWebhook({ rawBody, signature: DELIVERIES[event].signature, eventId, secret: SECRET });
+
+const ORDER = JSON.parse(fixture('order.paid.json')).payload.order.entity;
+const LEAD_ORDER = { id: 'order_TestLead0001', amount: 11800, status: 'paid', notes: { vendor_id: 'vendor-1', lead_id: 'lead-1' } };
+const VENDOR = { id: 'vendor-1', email: 'vendor@example.com', company_name: 'Sharma Steels', state: 'Maharashtra' };
+const PLAN = { id: 'plan-gold', name: 'Gold', price: 11800, duration_days: 365, is_active: true };
+
+// issue_tax_document allocates the number and stores the document
+const issueTaxDocument = (args, db) => {
+  const doc = args.p_doc;
+  const series = doc.document_type === 'CREDIT_NOTE' ? 'CN' : 'INV';
+  const sequence = db.table('tax_documents').filter((row) => row.document_type === doc.document_type).length + 1;
+  const row = { id: randomUUID(), document_number: `${series}/26-27/${String(sequence).padStart(6, '0')}`, ...doc };
+  db.table('tax_documents').push(row);
+  return row;
+};
+
+const install = (tables = {}) => {
+  const db = installFakeSupabase(
+    supabase,
+    { vendors: [VENDOR], vendor_plans: [PLAN], ...tables },
+    {
+      unique: { razorpay_webhook_events: [['event_id']], vendor_payments: [['transaction_id']] },
+      defaults: {
+        razorpay_webhook_events: () => ({ attempts: 1, received_at: new Date().toISOString() }),
+      },
+    }
+  );
+  db.rpcHandlers.issue_tax_document = issueTaxDocument;
+  return db;
+};
+
+let db;
+let orderFetches;
+let refunds;
+
+beforeEach((t) => {
+  // Notifications go through their own client and fail offline; keep the output clean
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  orderFetches = t.mock.method(razorpayInstance.orders, 'fetch', async (orderId) => {
+    assert.equal(orderId, ORDER.id);
+    return ORDER;
+  });
+  refunds = t.mock.method(razorpayInstance.payments, 'refund', async (paymentId, { amount }) => ({ id: `rfnd_${paymentId}`, amount }));
+});
+
+afterEach(() => db?.restore());
+
+test('accepts the recorded signature and rejects a tampered body', async () => {
+  db = install();
+  const rawBody = fixture('payment.captured.json');
+  assert.equal(verifyWebhookSignature(rawBody, DELIVERIES['payment.captured'].signature, SECRET), true);
+  assert.equal(verifyWebhookSignature(rawBody, DELIVERIES['payment.captured'].signature, 'another-secret'), false);
+
+  const tampered = Buffer.from(rawBody.toString('utf8').replace('"amount": 1180000', '"amount": 100'));
+  const res = await deliver('payment.captured', { rawBody: tampered });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Invalid webhook signature');
+  assert.equal(db.table('razorpay_webhook_events').length, 0);
+});
+
+test('payment.captured activates the plan from the order notes and issues the invoice', async () => {
+  db = install({
+    vendor_plan_subscriptions: [{ id: 'sub-old', vendor_id: VENDOR.id, plan_id: 'plan-trial', status: 'ACTIVE' }],
+  });
+
+  const res = await deliver('payment.captured');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'PROCESSED');
+  assert.equal(res.body.result.kind, 'SUBSCRIPTION');
+  assert.equal(res.body.result.already_fulfilled, false);
+  assert.equal(orderFetches.mock.callCount(), 1);
+
+  const [payment] = db.table('vendor_payments');
+  assert.equal(payment.status, 'COMPLETED');
+  assert.equal(payment.transaction_id, 'pay_TestGold0001');
+  assert.equal(payment.razorpay_order_id, ORDER.id);
+  assert.equal(payment.net_amount, 11800);
+
+  const [previous, current] = db.table('vendor_plan_subscriptions');
+  assert.equal(previous.status, 'INACTIVE');
+  assert.equal(current.plan_id, PLAN.id);
+  assert.equal(current.status, 'ACTIVE');
+  assert.equal(payment.subscription_id, current.id);
+
+  const [invoice] = db.table('tax_documents');
+  assert.equal(invoice.document_type, 'INVOICE');
+  assert.equal(invoice.payment_id, payment.id);
+
+  const [event] = db.table('razorpay_webhook_events');
+  assert.equal(event.status, 'PROCESSED');
+  assert.equal(event.event_type, 'payment.captured');
+  assert.ok(event.processed_at);
+});
+
+test('order.paid for an already captured payment does not activate the plan twice', async () => {
+  db = install();
+
+  await deliver('payment.captured');
+  const res = await deliver('order.paid');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'PROCESSED');
+  assert.equal(res.body.result.already_fulfilled, true);
+  // order.paid carries the order, so it is not fetched again
+  assert.equal(orderFetches.mock.callCount(), 1);
+  assert.equal(db.table('vendor_payments').length, 1);
+  assert.equal(db.table('vendor_plan_subscriptions').length, 1);
+  assert.deepEqual(
+    db.table('razorpay_webhook_events').map((row) => row.status),
+    ['PROCESSED', 'PROCESSED']
+  );
+});
+
+test('payment.failed records a failed payment in the vendor history', async () => {
+  db = install();
+
+  const res = await deliver('payment.failed');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'PROCESSED');
+  const [payment] = db.table('vendor_payments');
+  assert.equal(payment.status, 'FAILED');
+  assert.equal(payment.vendor_id, VENDOR.id);
+  assert.equal(payment.plan_id, PLAN.id);
+  assert.equal(payment.transaction_id, 'pay_TestGoldFail1');
+  assert.equal(payment.description, 'Subscription payment failed');
+  assert.equal(payment.failure_reason, 'Payment was declined by the bank');
+  assert.equal(db.table('vendor_plan_subscriptions').length, 0);
+});
+
+test('refund.processed refunds the payment, cancels the plan and issues a credit note', async () => {
+  db = install({
+    vendor_plan_subscriptions: [{ id: 'sub-gold', vendor_id: VENDOR.id, plan_id: PLAN.id, status: 'ACTIVE' }],
+    vendor_payments: [
+      {
+        id: 'payment-gold',
+        vendor_id: VENDOR.id,
+        plan_id: PLAN.id,
+        subscription_id: 'sub-gold',
+        amount: 11800,
+        discount_amount: 0,
+        net_amount: 11800,
+        status: 'COMPLETED',
+        transaction_id: 'pay_TestGold0001',
+        created_at: '2026-11-20T10:00:00.000Z',
+      },
+    ],
+  });
+
+  const res = await deliver('refund.processed');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'PROCESSED');
+  assert.equal(res.body.result.status, 'REFUNDED');
+
+  const [payment] = db.table('vendor_payments');
+  assert.equal(payment.status, 'REFUNDED');
+  assert.equal(payment.refunded_amount, 11800);
+  assert.equal(db.table('vendor_plan_subscriptions')[0].status, 'CANCELLED');
+
+  const creditNote = db.table('tax_documents').find((row) => row.document_type === 'CREDIT_NOTE');
+  assert.equal(creditNote.reference, 'rfnd_TestGold0001');
+  assert.equal(creditNote.grand_total, 11800);
+  assert.equal(creditNote.reason, 'Plan cancelled within 7 days');
+  assert.equal(res.body.result.credit_note, creditNote.document_number);
+});
+
+test('a redelivered event id returns the stored outcome without side effects', async () => {
+  db = install();
+
+  const first = await deliver('payment.captured');
+  const again = await deliver('payment.captured');
+
+  assert.equal(first.body.status, 'PROCESSED');
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body, { success: true, duplicate: true, status: 'PROCESSED' });
+  assert.equal(orderFetches.mock.callCount(), 1);
+  assert.equal(db.table('vendor_payments').length, 1);
+  assert.equal(db.table('vendor_plan_subscriptions').length, 1);
+  assert.equal(db.table('razorpay_webhook_events').length, 1);
+});
+
+test('an event stuck in PROCESSING is reclaimed only after five minutes', async () => {
+  const stuck = (minutesAgo) => ({
+    event_id: DELIVERIES['payment.captured'].event_id,
+    event_type: 'payment.captured',
+    status: 'PROCESSING',
+    attempts: 1,
+    received_at: new Date(Date.now() - minutesAgo * MINUTE_MS).toISOString(),
+  });
+
+  db = install({ razorpay_webhook_events: [stuck(1)] });
+  const busy = await deliver('payment.captured');
+
+  assert.equal(busy.status, 409);
+  assert.equal(db.table('vendor_payments').length, 0);
+  assert.equal(db.table('razorpay_webhook_events')[0].attempts, 1);
+  db.restore();
+
+  db = install({ razorpay_webhook_events: [stuck(6)] });
+  const reclaimed = await deliver('payment.captured');
+
+  assert.equal(reclaimed.status, 200);
+  assert.equal(reclaimed.body.status, 'PROCESSED');
+  assert.equal(db.table('vendor_payments').length, 1);
+  const [event] = db.table('razorpay_webhook_events');
+  assert.equal(event.status, 'PROCESSED');
+  assert.equal(event.attempts, 2);
+});
+
+test('payment.captured for a lead that filled up refunds the payment instead of failing', async () => {
+  db = install({ leads: [{ id: 'lead-1', title: 'TMT bars 20 tonnes' }] });
+  db.rpcHandlers.purchase_lead = () => {
+    throw new Error('LEAD_CAPACITY_REACHED');
+  };
+  orderFetches.mock.mockImplementation(async () => LEAD_ORDER);
+
+  const res = await deliver('payment.captured.lead');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'PROCESSED');
+  assert.equal(res.body.result.kind, 'LEAD');
+  assert.equal(res.body.result.code, 'LEAD_CAPACITY_REACHED');
+  assert.equal(res.body.result.refund.refund_id, 'rfnd_pay_TestLead0001');
+  assert.equal(refunds.mock.callCount(), 1);
+
+  const [payment] = db.table('vendor_payments');
+  assert.equal(payment.lead_id, 'lead-1');
+  assert.equal(payment.status, 'REFUNDED');
+  const creditNote = db.table('tax_documents').find((row) => row.document_type === 'CREDIT_NOTE');
+  assert.equal(res.body.result.refund.credit_note, creditNote.document_number);
+});
@@ -0,0 +1,197 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../lib/supabaseClient.js';
+import { completeRenewalAttempt, processDueRenewals } from '../lib/subscriptionRenewals.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-11-20T10:00:00.000Z');
+const at = (hours) => new Date(NOW.getTime() + hours * HOUR_MS).toISOString();
+
+const VENDOR_ID = 'vendor-1';
+const PLAN = { id: 'plan-gold', name: 'Gold', price: 12000, duration_days: 365, is_active: true };
+const TRIAL = { id: 'plan-trial', name: 'Trial', price: 0, duration_days: 30, is_active: true };
+
+// Provider that records charges and reports every polled payment as still pending
+const pendingProvider = () => {
+  const calls = { charge: 0, fetch: 0 };
+  return {
+    calls,
+    async chargeMandate() {
+      calls.charge += 1;
+      return { status: 'PENDING', order_id: 'order_new', payment_id: null };
+    },
+    async fetchCharge() {
+      calls.fetch += 1;
+      return { status: 'PENDING' };
+    },
+  };
+};
+
+let db;
+
+beforeEach((t) => {
+  // Notification inserts go through their own client and fail offline; keep the output clean
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => db?.restore());
+
+test('lapses a subscription whose grace is over even while a charge is still pending', async () => {
+  db = installFakeSupabase(supabase, {
+    vendors: [{ id: VENDOR_ID, email: 'vendor@example.com' }],
+    vendor_plans: [PLAN, TRIAL],
+    vendor_payment_mandates: [{ id: 'mandate-1', vendor_id: VENDOR_ID, status: 'ACTIVE' }],
+    vendor_plan_subscriptions: [
+      {
+        id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        plan_id: PLAN.id,
+        status: 'ACTIVE',
+        auto_renewal_enabled: true,
+        start_date: at(-24 * 375),
+        end_date: at(-24 * 10),
+        grace_until: at(-24 * 3),
+        renewal_status: 'PENDING',
+        renewal_attempts: 1,
+        next_renewal_attempt_at: null,
+      },
+    ],
+    subscription_renewal_attempts: [
+      {
+        id: 'attempt-1',
+        subscription_id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        attempt_no: 1,
+        amount: PLAN.price,
+        status: 'PENDING',
+        provider_payment_id: 'pay_pending',
+        attempted_at: at(-24 * 10),
+      },
+    ],
+  });
+  const provider = pendingProvider();
+
+  const summary = await processDueRenewals({ now: NOW, provider });
+
+  assert.equal(summary.lapsed, 1);
+  assert.equal(provider.calls.charge, 0);
+
+  const [expired, trial] = db.table('vendor_plan_subscriptions');
+  assert.equal(expired.status, 'EXPIRED');
+  assert.equal(expired.renewal_status, 'LAPSED');
+  assert.equal(trial.plan_id, TRIAL.id);
+  assert.equal(trial.status, 'ACTIVE');
+  assert.ok(db.rpcCalls.some((call) => call.name === 'recalculate_vendor_slots'));
+});
+
+test('declines a stale attempt that never got a provider payment and schedules the retry', async () => {
+  db = installFakeSupabase(supabase, {
+    vendors: [{ id: VENDOR_ID, email: 'vendor@example.com' }],
+    vendor_plans: [PLAN, TRIAL],
+    vendor_payment_mandates: [{ id: 'mandate-1', vendor_id: VENDOR_ID, status: 'ACTIVE' }],
+    vendor_plan_subscriptions: [
+      {
+        id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        plan_id: PLAN.id,
+        status: 'ACTIVE',
+        auto_renewal_enabled: true,
+        start_date: at(-24 * 365),
+        end_date: at(-12),
+        grace_until: at(24 * 7),
+        renewal_status: 'PENDING',
+        renewal_attempts: 1,
+        next_renewal_attempt_at: null,
+      },
+    ],
+    subscription_renewal_attempts: [
+      {
+        id: 'attempt-stale',
+        subscription_id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        attempt_no: 1,
+        amount: PLAN.price,
+        status: 'PROCESSING',
+        provider_payment_id: null,
+        attempted_at: at(-12),
+      },
+      {
+        id: 'attempt-fresh',
+        subscription_id: 'sub-other',
+        vendor_id: 'vendor-2',
+        attempt_no: 1,
+        amount: PLAN.price,
+        status: 'PROCESSING',
+        provider_payment_id: null,
+        attempted_at: at(-1),
+      },
+    ],
+  });
+  const provider = pendingProvider();
+
+  const summary = await processDueRenewals({ now: NOW, provider });
+
+  assert.equal(summary.expired, 1);
+  const [stale, fresh] = db.table('subscription_renewal_attempts');
+  assert.equal(stale.status, 'FAILED');
+  assert.match(stale.failure_reason, /No payment confirmation/);
+  assert.equal(fresh.status, 'PROCESSING');
+
+  const [subscription] = db.table('vendor_plan_subscriptions');
+  assert.equal(subscription.renewal_status, 'RETRYING');
+  assert.equal(subscription.next_renewal_attempt_at, at(12));
+  assert.equal(provider.calls.charge, 0);
+});
+
+test('a charge captured after the plan lapsed ends the trial and starts the new term now', async () => {
+  db = installFakeSupabase(supabase, {
+    vendors: [{ id: VENDOR_ID, email: 'vendor@example.com' }],
+    vendor_plans: [{ ...PLAN, daily_limit: 10, weekly_limit: 50, yearly_limit: 1000 }, TRIAL],
+    vendor_plan_subscriptions: [
+      {
+        id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        plan_id: PLAN.id,
+        status: 'EXPIRED',
+        renewal_status: 'LAPSED',
+        start_date: at(-24 * 375),
+        end_date: at(-24 * 10),
+      },
+      { id: 'sub-trial', vendor_id: VENDOR_ID, plan_id: TRIAL.id, status: 'ACTIVE', start_date: at(-24), end_date: at(24 * 29) },
+    ],
+    vendor_lead_quota: [{ id: 'quota-1', vendor_id: VENDOR_ID, daily_limit: 0, weekly_limit: 0, yearly_limit: 0 }],
+    subscription_renewal_attempts: [
+      {
+        id: 'attempt-1',
+        subscription_id: 'sub-1',
+        vendor_id: VENDOR_ID,
+        attempt_no: 1,
+        amount: PLAN.price,
+        status: 'PENDING',
+        provider_payment_id: 'pay_late',
+        attempted_at: at(-24 * 10),
+      },
+    ],
+  });
+
+  const startedAt = Date.now();
+  const res = await completeRenewalAttempt('attempt-1', { providerPaymentId: 'pay_late', paidAmount: PLAN.price });
+
+  assert.equal(res.already_renewed, false);
+  const active = db.table('vendor_plan_subscriptions').filter((row) => row.status === 'ACTIVE');
+  assert.deepEqual(active.map((row) => row.id), [res.subscription.id]);
+  assert.ok(new Date(res.subscription.start_date).getTime() >= startedAt);
+
+  const [lapsed, trial] = db.table('vendor_plan_subscriptions');
+  assert.equal(lapsed.status, 'EXPIRED');
+  assert.equal(lapsed.replaced_by_subscription_id, res.subscription.id);
+  assert.equal(trial.status, 'INACTIVE');
+
+  const [quota] = db.table('vendor_lead_quota');
+  assert.equal(quota.plan_id, PLAN.id);
+  assert.equal(quota.daily_limit, 10);
+  assert.equal(quota.yearly_limit, 1000);
+});
@@ -0,0 +1,101 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { supabase } from '../lib/supabaseClient.js';
+import { ingestInboundEmail } from '../lib/ticketEmail.js';
+import { installFakeSupabase } from './helpers/fakeSupabase.js';
+
+const rawEmail = (from, messageId, { subject = 'Invoice copy', inReplyTo = null } = {}) =>
+  Buffer.from(
+    [
+      `From: ${from}`,
+      'To: support@indiantrademart.com',
+      `Subject: ${subject}`,
+      `Message-ID: <${messageId}>`,
+      ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+      '',
+      'Please resend.',
+      '',
+    ].join('\r\n')
+  );
+
+const TICKET = {
+  id: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+  subject: 'Invoice copy',
+  status: 'OPEN',
+  vendor_id: 'vendor-exact',
+  requester_email: 'ravi_k@shop.in',
+  reply_token: 'a1b2c3d4e5f6',
+};
+const OUR_REPLY_ID = `<ticket.${TICKET.id}.1763632800.ab12cd34@indiantrademart.com>`;
+
+let db;
+
+beforeEach((t) => {
+  // Notifications and mail go through services that are offline here
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  db = installFakeSupabase(supabase, {
+    vendors: [
+      { id: 'vendor-wildcard', user_id: 'user-1', email: 'ravixk@shop.in' },
+      { id: 'vendor-exact', user_id: 'user-2', email: 'Ravi_K@Shop.in' },
+    ],
+  });
+});
+
+afterEach(() => db?.restore());
+
+test('matches the sender email case-insensitively', async () => {
+  const res = await ingestInboundEmail(rawEmail('Ravi <RAVI_K@shop.in>', 'm1@mail.example'));
+
+  assert.equal(res.status, 'CREATED');
+  assert.equal(db.table('support_tickets')[0].vendor_id, 'vendor-exact');
+});
+
+test('treats _ and % in the sender email literally', async () => {
+  db.table('vendors').splice(1, 1);
+
+  await ingestInboundEmail(rawEmail('Ravi <ravi_k@shop.in>', 'm2@mail.example'));
+  await ingestInboundEmail(rawEmail('Someone <%@shop.in>', 'm3@mail.example'));
+
+  assert.deepEqual(
+    db.table('support_tickets').map((ticket) => ticket.vendor_id),
+    [null, null]
+  );
+});
+
+test('threads a reply to our email when it comes from the requester', async () => {
+  db.table('support_tickets').push({ ...TICKET });
+
+  const res = await ingestInboundEmail(rawEmail('Ravi <ravi_k@shop.in>', 'm4@mail.example', { inReplyTo: OUR_REPLY_ID }));
+
+  assert.equal(res.status, 'THREADED');
+  const [message] = db.table('ticket_messages');
+  assert.equal(message.ticket_id, TICKET.id);
+  assert.equal(message.sender_type, 'VENDOR');
+  assert.equal(message.sender_id, 'user-2');
+});
+
+test('opens a new ticket for a reply to our email from a stranger', async () => {
+  db.table('support_tickets').push({ ...TICKET });
+
+  const res = await ingestInboundEmail(rawEmail('Mallory <ravixk@shop.in>', 'm5@mail.example', { inReplyTo: OUR_REPLY_ID }));
+
+  assert.equal(res.status, 'CREATED');
+  assert.notEqual(res.ticket_id, TICKET.id);
+  assert.equal(db.table('ticket_messages').length, 0);
+});
+
+test('threads on the [ref:] token without crediting a stranger to an account', async () => {
+  db.table('support_tickets').push({ ...TICKET });
+
+  const res = await ingestInboundEmail(
+    rawEmail('Accounts <ravixk@shop.in>', 'm6@mail.example', { subject: `Re: Invoice copy [ref:${TICKET.reply_token}]` })
+  );
+
+  assert.equal(res.status, 'THREADED');
+  const [message] = db.table('ticket_messages');
+  assert.equal(message.ticket_id, TICKET.id);
+  assert.equal(message.sender_type, 'CUSTOMER');
+  assert.equal(message.sender_id, null);
+});
@@ -1,11 +1,54 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { MessageCircle, Send, Globe2, Loader2, X, Minimize2, Maximize2, User, Bot } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import {
+  MessageCircle, Send, Globe2, Loader2, X, Minimize2, Maximize2, User, Bot,
+  Package, Building2, FolderTree, ClipboardCheck, ArrowRight, BadgeCheck, Star,
+} from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { cn } from '@/lib/utils';
 
 const API_URL = '/api/chat';
 const DEFAULT_PROVIDER = 'openai';
+const SESSION_KEY = 'itm_chat_session';
+const CONVERSATION_KEY = 'itm_chat_conversation';
+
+// ✅ Widget session id: history, conversation and per-session rate limit are keyed on it server-side
+const getChatSessionId = () => {
+  let id = localStorage.getItem(SESSION_KEY);
+  if (!id) {
+    id = window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    localStorage.setItem(SESSION_KEY, id);
+  }
+  return id;
+};
+
+// ✅ Parse `event:` / `data:` blocks from a text/event-stream body as they arrive
+const readEventStream = async (resp, onEvent) => {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flush = (block) => {
+    let name = 'message';
+    let data = '';
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) name = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (data) onEvent(name, JSON.parse(data));
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) >= 0) {
+      flush(buffer.slice(0, idx));
+      buffer = buffer.slice(idx + 2);
+    }
+  }
+  if (buffer.trim()) flush(buffer);
+};
 
 // ITM Brand Colors - professional blue & orange theme
 const colors = {
@@ -27,6 +70,7 @@ const uiCopy = {
     quick: 'How can we help you?',
     typing: 'Typing...',
     error: 'Connection error. Please try again.',
+    slowDown: 'You are sending messages too quickly. Please wait a few minutes.',
     welcome: 'Hello! Welcome to Indian Trade Mart - India\'s leading B2B marketplace. Looking for products or suppliers? I\'m here to help!',
     online: 'Online',
   },
@@ -39,11 +83,67 @@ const uiCopy = {
     quick: 'हम आपकी कैसे मदद कर सकते हैं?',
     typing: 'लिख रहे हैं...',
     error: 'कनेक्शन त्रुटि। कृपया पुनः प्रयास करें।',
+    slowDown: 'आप बहुत जल्दी संदेश भेज रहे हैं। कृपया कुछ मिनट प्रतीक्षा करें।',
     welcome: 'नमस्ते! Indian Trade Mart में आपका स्वागत है - भारत का अग्रणी B2B मार्केटप्लेस। उत्पाद या सप्लायर खोज रहे हैं? मैं मदद के लिए यहाँ हूँ!',
     online: 'ऑनलाइन',
   },
 };
 
+// Result cards returned by the assistant's catalog tools
+const cardIcons = {
+  product: Package,
+  vendor: Building2,
+  category: FolderTree,
+  requirement: ClipboardCheck,
+  link: ArrowRight,
+};
+
+const formatPrice = (card) => {
+  if (!card.price) return null;
+  const amount = Number(card.price).toLocaleString('en-IN');
+  return card.price_unit ? `₹${amount} / ${card.price_unit}` : `₹${amount}`;
+};
+
+const ResultCard = ({ card, onNavigate }) => {
+  const Icon = cardIcons[card.type] || Package;
+  const price = formatPrice(card);
+  const body = (
+    <div className="flex items-center gap-2 px-2.5 py-2 rounded-xl bg-white border border-gray-200 hover:border-blue-400 hover:shadow-sm transition-all">
+      {card.image ? (
+        <img src={card.image} alt="" className="h-9 w-9 rounded-lg object-cover flex-shrink-0 bg-gray-100" />
+      ) : (
+        <div className="h-9 w-9 rounded-lg flex items-center justify-center flex-shrink-0 bg-blue-50">
+          <Icon className="h-4 w-4" style={{ color: colors.primary }} />
+        </div>
+      )}
+      <div className="min-w-0 flex-1">
+        <div className="text-[11px] font-semibold text-gray-900 truncate flex items-center gap-1">
+          {card.title}
+          {card.verified && <BadgeCheck className="h-3 w-3 flex-shrink-0" style={{ color: colors.success }} />}
+        </div>
+        {card.subtitle && <div className="text-[10px] text-gray-500 truncate">{card.subtitle}</div>}
+        <div className="flex items-center gap-2 text-[10px]">
+          {price && <span className="font-semibold" style={{ color: colors.secondary }}>{price}</span>}
+          {card.rating ? (
+            <span className="flex items-center gap-0.5 text-gray-600">
+              <Star className="h-2.5 w-2.5 fill-amber-400 text-amber-400" />
+              {Number(card.rating).toFixed(1)}
+            </span>
+          ) : null}
+        </div>
+      </div>
+      {card.url && <ArrowRight className="h-3.5 w-3.5 text-gray-400 flex-shrink-0" />}
+    </div>
+  );
+
+  if (!card.url) return body;
+  return (
+    <Link to={card.url} onClick={onNavigate} className="block">
+      {body}
+    </Link>
+  );
+};
+
 const quickPrompts = [
   { en: 'Browse Products', hi: 'उत्पाद देखें', icon: '🛍️' },
   { en: 'Find Suppliers', hi: 'सप्लायर खोजें', icon: '🏭' },
@@ -62,6 +162,7 @@ const AIChatWidget = () => {
   const [error, setError] = useState('');
   const bottomRef = useRef(null);
   const inputRef = useRef(null);
+  const historyLoadedRef = useRef(false);
 
   const [viewport, setViewport] = useState({
     width: typeof window !== 'undefined' ? window.innerWidth : 1280,
@@ -72,9 +173,31 @@ const AIChatWidget = () => {
   const isMobile = viewport.width < 640;
 
   useEffect(() => {
-    setMessages([{ id: 'welcome', role: 'assistant', text: copy.welcome }]);
+    setMessages((prev) =>
+      prev.length
+        ? prev.map((m) => (m.id === 'welcome' ? { ...m, text: copy.welcome } : m))
+        : [{ id: 'welcome', role: 'assistant', text: copy.welcome }]
+    );
   }, [language]);
 
+  // ✅ Restore the stored conversation the first time the widget opens
+  useEffect(() => {
+    if (!isOpen || historyLoadedRef.current) return;
+    historyLoadedRef.current = true;
+    const params = new URLSearchParams({ session_id: getChatSessionId() });
+    const conversationId = localStorage.getItem(CONVERSATION_KEY);
+    if (conversationId) params.set('conversation_id', conversationId);
+
+    fetch(`${API_URL}/history?${params.toString()}`)
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then((data) => {
+        if (!data?.conversation || !data.messages?.length) return;
+        localStorage.setItem(CONVERSATION_KEY, data.conversation.id);
+        setMessages((prev) => [...prev.filter((m) => m.id === 'welcome'), ...data.messages]);
+      })
+      .catch((e) => console.error(e));
+  }, [isOpen]);
+
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
@@ -104,24 +227,60 @@ const AIChatWidget = () => {
     setInput('');
     setLoading(true);
 
-    try {
-      const history = [...messages, userMsg].map(({ role, text }) => ({
-        role: role === 'assistant' ? 'assistant' : 'user',
-        text,
-      }));
+    const botId = `bot-${Date.now()}`;
+    // Upsert the streaming reply; it only appears once the first token or card arrives
+    const updateBot = (patch) =>
+      setMessages((prev) => {
+        const current = prev.find((m) => m.id === botId) || { id: botId, role: 'assistant', text: '', cards: [], streaming: true };
+        const next = { ...current, ...patch(current) };
+        return prev.some((m) => m.id === botId) ? prev.map((m) => (m.id === botId ? next : m)) : [...prev, next];
+      });
 
+    try {
+      // Earlier turns are stored server-side, so only the new message is sent
       const resp = await fetch(API_URL, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ messages: history, provider, language }),
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({
+          messages: [{ role: 'user', text: userMsg.text }],
+          session_id: getChatSessionId(),
+          conversation_id: localStorage.getItem(CONVERSATION_KEY) || undefined,
+          provider,
+          language,
+        }),
       });
 
+      if (resp.status === 429) {
+        setError(copy.slowDown);
+        setTimeout(() => setError(''), 6000);
+        return;
+      }
       if (!resp.ok) throw new Error('API error');
-      const data = await resp.json();
-      const botText = data.text || copy.error;
-      setMessages((prev) => [...prev, { id: `bot-${Date.now()}`, role: 'assistant', text: botText }]);
+
+      const onEvent = (name, data) => {
+        if ((name === 'meta' || name === 'done') && data.conversation_id) {
+          localStorage.setItem(CONVERSATION_KEY, data.conversation_id);
+        }
+        if (name === 'token') updateBot((m) => ({ text: m.text + data.delta }));
+        if (name === 'cards') updateBot((m) => ({ cards: [...m.cards, ...(data.cards || [])] }));
+        if (name === 'done') {
+          updateBot(() => ({
+            text: data.text || copy.error,
+            cards: Array.isArray(data.cards) ? data.cards : [],
+            streaming: false,
+          }));
+        }
+        if (name === 'error') throw new Error(data.error || 'API error');
+      };
+
+      if ((resp.headers.get('content-type') || '').includes('text/event-stream') && resp.body) {
+        await readEventStream(resp, onEvent);
+      } else {
+        onEvent('done', await resp.json());
+      }
     } catch (e) {
       console.error(e);
+      updateBot((m) => ({ text: m.text || copy.error, streaming: false }));
       setError('Unable to connect. Please check your connection.');
       setTimeout(() => setError(''), 4000);
     } finally {
@@ -313,18 +472,31 @@ const AIChatWidget = () => {
                       <Bot className="h-3.5 w-3.5 text-white" strokeWidth={2.5} />
                     </div>
                   )}
-                  <div
-                    className={cn(
-                      'px-3 py-2 rounded-2xl max-w-[75%] text-xs leading-relaxed shadow-sm',
-                      m.role === 'user'
-                        ? 'rounded-tr-md text-white'
-                        : 'rounded-tl-md bg-white text-gray-800 border border-gray-200'
+                  <div className="max-w-[75%] space-y-1.5">
+                    <div
+                      className={cn(
+                        'px-3 py-2 rounded-2xl text-xs leading-relaxed shadow-sm',
+                        m.role === 'user'
+                          ? 'rounded-tr-md text-white'
+                          : 'rounded-tl-md bg-white text-gray-800 border border-gray-200'
+                      )}
+                      style={m.role === 'user' ? {
+                        background: `linear-gradient(135deg, ${colors.primary} 0%, ${colors.accent} 100%)`,
+                      } : {}}
+                    >
+                      {m.text}
+                    </div>
+                    {m.cards?.length > 0 && (
+                      <div className="space-y-1.5">
+                        {m.cards.map((card, idx) => (
+                          <ResultCard
+                            key={`${card.type}-${card.id || idx}`}
+                            card={card}
+                            onNavigate={() => isMobile && setIsCollapsed(true)}
+                          />
+                        ))}
+                      </div>
                     )}
-                    style={m.role === 'user' ? {
-                      background: `linear-gradient(135deg, ${colors.primary} 0%, ${colors.accent} 100%)`,
-                    } : {}}
-                  >
-                    {m.text}
                   </div>
                   {m.role === 'user' && (
                     <div 
@@ -336,7 +508,7 @@ const AIChatWidget = () => {
                   )}
                 </div>
               ))}
-              {loading && (
+              {loading && !messages.some((m) => m.streaming) && (
                 <div className="flex gap-2 justify-start animate-in fade-in duration-300">
                   <div 
                     className="h-7 w-7 rounded-full flex items-center justify-center flex-shrink-0 shadow-sm"
@@ -38,8 +38,10 @@ const DataEntryCsvUpload = lazy(() => import('@/modules/employee/pages/dataentry
 const DataEntryBulkImport = lazy(() => import('@/modules/employee/pages/dataentry/BulkImport'));
 const DataEntryVendorOnboarding = lazy(() => import('@/modules/employee/pages/dataentry/VendorOnboarding'));
 const DataEntryRecords = lazy(() => import('@/modules/employee/pages/dataentry/DataEntryRecords'));
+const DataEntrySearchInsights = lazy(() => import('@/modules/employee/pages/dataentry/SearchInsights'));
 const KycApprovals = lazy(() => import('@/modules/employee/pages/support/KycApprovals'));
 const SupportDashboard = lazy(() => import('@/modules/employee/pages/support/Dashboard'));
+const ReviewModeration = lazy(() => import('@/modules/employee/pages/support/ReviewModeration'));
 const SalesDashboard = lazy(() => import('@/modules/employee/pages/sales/Dashboard'));
 const SalesLeads = lazy(() => import('@/modules/employee/pages/sales/Leads'));
 const PricingRules = lazy(() => import('@/modules/employee/pages/sales/PricingRules'));
@@ -236,6 +238,7 @@ export const AdminRoutes = () => {
           <Route path="bulk-import" element={<DataEntryBulkImport />} />
           <Route path="vendor-onboarding" element={<DataEntryVendorOnboarding />} />
           <Route path="records" element={<DataEntryRecords />} />
+          <Route path="search-insights" element={<DataEntrySearchInsights />} />
           <Route path="vendors" element={<DataEntryVendors />} />
           <Route path="vendors/:vendorId" element={<DataEntryVendorProducts />} />
           <Route path="vendors/:vendorId/products" element={<DataEntryVendorProducts />} />
@@ -254,6 +257,7 @@ export const AdminRoutes = () => {
           <Route path="tickets" element={<SupportTickets />} />
           <Route path="tickets/vendor" element={<SupportTickets />} />
           <Route path="tickets/buyer" element={<SupportTickets />} />
+          <Route path="reviews" element={<ReviewModeration />} />
         </Route>
       ) : null}
 
@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Loader2, MapPin, ShieldCheck, X } from 'lucide-react';
+import { directoryApi } from '@/modules/directory/api/directoryApi';
+import { buyerApi } from '@/modules/buyer/services/buyerApi';
+
+// ✅ Autocomplete on /api/dir/suggest: micro categories or cities
+const LookupField = ({ id, label, placeholder, group, selected, onSelect }) => {
+  const [term, setTerm] = useState('');
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const q = term.trim();
+    if (selected || q.length < 2) {
+      setOptions([]);
+      return undefined;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const groups = await directoryApi.suggest(q, { types: [group], limit: 8 });
+        const rows = (groups[group] || []).filter((item) => group !== 'categories' || item.type === 'micro');
+        if (active) setOptions(rows);
+      } catch (error) {
+        console.warn(`${group} lookup failed:`, error);
+        if (active) setOptions([]);
+      } finally {
+        if (active) setLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [term, group, selected]);
+
+  if (selected) {
+    return (
+      <div className="space-y-1.5">
+        <Label>{label}</Label>
+        <div className="h-10 px-3 rounded-md border bg-gray-50 text-sm flex items-center justify-between gap-2">
+          <span className="truncate">
+            {selected.name}
+            {selected.subtitle ? <span className="text-gray-500"> · {selected.subtitle}</span> : null}
+          </span>
+          <button type="button" className="text-gray-500 hover:text-gray-800" onClick={() => onSelect(null)}>
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1.5 relative">
+      <Label htmlFor={id}>{label}</Label>
+      <Input id={id} placeholder={placeholder} value={term} onChange={(e) => setTerm(e.target.value)} autoComplete="off" />
+      {loading ? <Loader2 className="h-4 w-4 animate-spin text-gray-400 absolute right-3 top-9" /> : null}
+      {options.length ? (
+        <div className="absolute z-20 mt-1 w-full rounded-md border bg-white shadow-md max-h-60 overflow-auto">
+          {options.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+              onClick={() => {
+                onSelect({ id: item.id, name: item.name, subtitle: group === 'cities' ? item.state_name : item.path });
+                setTerm('');
+              }}
+            >
+              <div className="font-medium text-gray-800">{item.name}</div>
+              {(group === 'cities' ? item.state_name : item.path) ? (
+                <div className="text-xs text-gray-500">{group === 'cities' ? item.state_name : item.path}</div>
+              ) : null}
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+/**
+ * ✅ Pick up to N verified suppliers for one requirement.
+ * selection = { microCategory, city, vendorIds }; onChange receives the next selection.
+ */
+const SupplierBroadcastPicker = ({ selection, onChange }) => {
+  const { microCategory, city, vendorIds = [] } = selection || {};
+  const [vendors, setVendors] = useState([]);
+  const [maxVendors, setMaxVendors] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!microCategory?.id) {
+      setVendors([]);
+      setError('');
+      return undefined;
+    }
+
+    let active = true;
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const result = await buyerApi.getBroadcastSuggestions({ microCategoryId: microCategory.id, cityId: city?.id });
+        if (!active) return;
+        setVendors(result.vendors);
+        setMaxVendors(result.maxVendors);
+        // Keep picks that still match; default to the best few when nothing is picked yet
+        const available = new Set(result.vendors.map((v) => v.id));
+        const kept = vendorIds.filter((id) => available.has(id));
+        const next = kept.length ? kept : result.vendors.slice(0, Math.min(5, result.maxVendors)).map((v) => v.id);
+        onChange({ ...selection, vendorIds: next });
+      } catch (e) {
+        if (active) setError(e.message || 'Failed to load suppliers');
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      active = false;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [microCategory?.id, city?.id]);
+
+  const toggleVendor = (id) => {
+    if (vendorIds.includes(id)) {
+      onChange({ ...selection, vendorIds: vendorIds.filter((x) => x !== id) });
+      return;
+    }
+    if (maxVendors && vendorIds.length >= maxVendors) return;
+    onChange({ ...selection, vendorIds: [...vendorIds, id] });
+  };
+
+  return (
+    <div className="space-y-3 rounded-md border p-3 bg-slate-50/60">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2.5">
+        <LookupField
+          id="broadcast_category"
+          label="Product Category *"
+          placeholder="Search category, e.g. Steel Pipes"
+          group="categories"
+          selected={microCategory}
+          onSelect={(value) => onChange({ ...selection, microCategory: value, vendorIds: [] })}
+        />
+        <LookupField
+          id="broadcast_city"
+          label="Supplier City"
+          placeholder="Search city, e.g. Surat"
+          group="cities"
+          selected={city}
+          onSelect={(value) => onChange({ ...selection, city: value })}
+        />
+      </div>
+
+      {!microCategory ? (
+        <p className="text-sm text-gray-500">Pick a category to see matching verified suppliers.</p>
+      ) : loading ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 className="h-4 w-4 animate-spin" /> Finding suppliers...
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : !vendors.length ? (
+        <p className="text-sm text-gray-500">No verified suppliers found for this category yet.</p>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            Selected {vendorIds.length} of max {maxVendors} suppliers. Each one gets your requirement as a separate RFQ.
+          </p>
+          <div className="grid gap-2 max-h-72 overflow-auto pr-1">
+            {vendors.map((vendor) => {
+              const checked = vendorIds.includes(vendor.id);
+              const disabled = !checked && maxVendors > 0 && vendorIds.length >= maxVendors;
+              return (
+                <label
+                  key={vendor.id}
+                  className={`flex items-start gap-3 rounded-md border bg-white p-2.5 ${disabled ? 'opacity-60' : 'cursor-pointer'}`}
+                >
+                  <Checkbox checked={checked} disabled={disabled} onCheckedChange={() => toggleVendor(vendor.id)} className="mt-0.5" />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className="font-medium text-gray-800">{vendor.company_name}</span>
+                      <Badge className="bg-green-100 text-green-700 border-0">
+                        <ShieldCheck className="h-3 w-3 mr-1" /> {vendor.verification_badge || 'Verified'}
+                      </Badge>
+                      {vendor.same_city ? <Badge className="bg-blue-100 text-blue-700 border-0">Same city</Badge> : null}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-500 mt-1">
+                      {vendor.city || vendor.state ? (
+                        <span className="flex items-center gap-1">
+                          <MapPin className="h-3 w-3" />
+                          {[vendor.city, vendor.state].filter(Boolean).join(', ')}
+                        </span>
+                      ) : null}
+                      {vendor.trust_score !== null ? <span>Trust score: {vendor.trust_score}</span> : null}
+                      {vendor.rating !== null ? <span>Rating: {vendor.rating}</span> : null}
+                      {vendor.product_count ? <span>{vendor.product_count} listings in this category</span> : null}
+                    </div>
+                  </div>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierBroadcastPicker;
@@ -0,0 +1,339 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { buyerApi } from '@/modules/buyer/services/buyerApi';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Loader2, ArrowLeft, ShieldCheck, Star, Trophy, History } from 'lucide-react';
+import { toast } from '@/components/ui/use-toast';
+
+const CLOSED_STATUSES = ['ACCEPTED', 'REJECTED', 'DECLINED', 'CANCELLED', 'WITHDRAWN'];
+
+const inr = (v) => {
+  const n = Number(v);
+  if (v === null || v === undefined || !Number.isFinite(n)) return '—';
+  return `₹${n.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (iso) => {
+  try {
+    return iso ? new Date(iso).toLocaleDateString() : '—';
+  } catch {
+    return '—';
+  }
+};
+
+const statusBadge = (status) => {
+  if (status === 'ACCEPTED') return 'bg-green-100 text-green-700';
+  if (CLOSED_STATUSES.includes(status)) return 'bg-red-100 text-red-700';
+  return 'bg-blue-100 text-blue-700';
+};
+
+// ✅ Best-in-row highlight
+const BestCell = ({ active, label, children }) => (
+  <TableCell className={active ? 'bg-green-50 font-semibold text-green-800' : ''}>
+    {children}
+    {active ? <div className="text-[10px] uppercase tracking-wide text-green-700">{label}</div> : null}
+  </TableCell>
+);
+
+const CompareQuotations = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const rfqId = searchParams.get('rfq') || '';
+  const pickedIds = useMemo(
+    () => String(searchParams.get('ids') || '').split(',').map((id) => id.trim()).filter(Boolean),
+    [searchParams]
+  );
+
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [awardTarget, setAwardTarget] = useState(null);
+  const [reason, setReason] = useState('');
+  const [awarding, setAwarding] = useState(false);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      setData(await buyerApi.compareQuotations(rfqId ? { rfqId } : { ids: pickedIds }));
+    } catch (e) {
+      console.error(e);
+      toast({ title: 'Could not load comparison', description: e.message, variant: 'destructive' });
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rfqId, pickedIds]);
+
+  const quotations = data?.quotations || [];
+  const best = data?.best || {};
+  const awarded = quotations.find((q) => q.id === data?.awarded_quotation_id) || null;
+  const vendorName = (id) => quotations.find((q) => q.id === id)?.vendor?.company_name || 'Vendor';
+
+  const handleAward = async () => {
+    if (!awardTarget) return;
+    setAwarding(true);
+    try {
+      const result = await buyerApi.awardQuotation(awardTarget.id, {
+        compareIds: rfqId ? [] : pickedIds,
+        reason: reason.trim(),
+      });
+      toast({
+        title: `Accepted ${awardTarget.vendor.company_name}`,
+        description: result.declined_quotation_ids?.length
+          ? `${result.declined_quotation_ids.length} other vendor(s) were informed their quote was not selected.`
+          : 'The vendor has been notified.',
+      });
+      setAwardTarget(null);
+      setReason('');
+      await load();
+    } catch (e) {
+      toast({ title: 'Could not accept quotation', description: e.message, variant: 'destructive' });
+    } finally {
+      setAwarding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-16">
+        <Loader2 className="h-7 w-7 animate-spin text-[#003D82]" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Button variant="ghost" onClick={() => navigate('/buyer/proposals')}>
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back
+      </Button>
+
+      <div>
+        <h2 className="text-2xl font-bold text-[#003D82]">Compare Quotations</h2>
+        {data?.rfq ? (
+          <p className="text-gray-600">
+            {data.rfq.title}
+            {data.rfq.quantity ? ` · Qty ${data.rfq.quantity}` : ''}
+            {data.rfq.budget ? ` · Budget ${inr(data.rfq.budget)}` : ''}
+          </p>
+        ) : (
+          <p className="text-gray-600">{quotations.length} quotations side by side</p>
+        )}
+      </div>
+
+      {awarded ? (
+        <div className="rounded-lg border border-green-200 bg-green-50 p-4 text-sm text-green-800 flex items-center gap-2">
+          <Trophy className="h-4 w-4" />
+          You accepted {awarded.vendor.company_name}&apos;s quotation ({inr(awarded.grand_total)}).
+        </div>
+      ) : null}
+
+      {!quotations.length ? (
+        <div className="text-center py-12 text-gray-500 border rounded bg-white">No quotations to compare yet.</div>
+      ) : (
+        <Card>
+          <CardContent className="p-0 overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead className="min-w-[160px]"> </TableHead>
+                  {quotations.map((q) => (
+                    <TableHead key={q.id} className="min-w-[200px] align-top py-3">
+                      <div className="font-semibold text-gray-900">{q.vendor.company_name}</div>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {q.vendor.kyc_verified ? (
+                          <Badge className="bg-emerald-100 text-emerald-700 border-0">
+                            <ShieldCheck className="h-3 w-3 mr-1" /> KYC verified
+                          </Badge>
+                        ) : (
+                          <Badge variant="outline" className="text-gray-500">KYC {q.vendor.kyc_status || 'pending'}</Badge>
+                        )}
+                        <Badge className={`${statusBadge(q.status)} border-0`}>{q.status}</Badge>
+                      </div>
+                    </TableHead>
+                  ))}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                <TableRow>
+                  <TableCell className="font-medium">Rating</TableCell>
+                  {quotations.map((q) => (
+                    <BestCell key={q.id} active={best.top_rated === q.id} label="Top rated">
+                      {q.vendor.rating ? (
+                        <span className="inline-flex items-center gap-1">
+                          <Star className="h-3.5 w-3.5 fill-amber-400 text-amber-400" />
+                          {Number(q.vendor.rating).toFixed(1)}
+                          <span className="text-xs text-gray-500">({q.vendor.review_count})</span>
+                        </span>
+                      ) : 'No reviews'}
+                    </BestCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">Unit price</TableCell>
+                  {quotations.map((q) => (
+                    <TableCell key={q.id}>
+                      {q.unit_price !== null
+                        ? `${inr(q.unit_price)}${q.unit ? ` / ${q.unit}` : ''}`
+                        : `${q.item_count} items`}
+                    </TableCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">GST</TableCell>
+                  {quotations.map((q) => (
+                    <TableCell key={q.id}>{q.gst_included ? inr(q.tax_total) : 'Not itemised'}</TableCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">Total (with GST)</TableCell>
+                  {quotations.map((q) => (
+                    <BestCell key={q.id} active={best.lowest_total === q.id} label="Lowest">
+                      {inr(q.grand_total)}
+                    </BestCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">Delivery</TableCell>
+                  {quotations.map((q) => (
+                    <BestCell key={q.id} active={best.fastest_delivery === q.id} label="Fastest">
+                      {q.delivery_days ? `${q.delivery_days} days` : '—'}
+                      {q.delivery_terms ? <div className="text-xs text-gray-500">{q.delivery_terms}</div> : null}
+                    </BestCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">Validity</TableCell>
+                  {quotations.map((q) => (
+                    <BestCell key={q.id} active={best.longest_validity === q.id} label="Longest">
+                      {q.validity_days ? `${q.validity_days} days` : '—'}
+                      {q.valid_until ? (
+                        <div className={`text-xs ${q.expired ? 'text-red-600' : 'text-gray-500'}`}>
+                          {q.expired ? 'Expired' : 'Until'} {formatDate(q.valid_until)}
+                        </div>
+                      ) : null}
+                    </BestCell>
+                  ))}
+                </TableRow>
+                <TableRow>
+                  <TableCell className="font-medium">Payment terms</TableCell>
+                  {quotations.map((q) => (
+                    <TableCell key={q.id} className="text-sm">{q.payment_terms || '—'}</TableCell>
+                  ))}
+                </TableRow>
+
+                {(data?.lines || []).length > 1 ? (
+                  <>
+                    <TableRow>
+                      <TableCell colSpan={quotations.length + 1} className="bg-gray-50 text-xs font-semibold uppercase text-gray-500">
+                        Unit price per item
+                      </TableCell>
+                    </TableRow>
+                    {data.lines.map((line) => (
+                      <TableRow key={line.product_name}>
+                        <TableCell className="text-sm">{line.product_name}</TableCell>
+                        {quotations.map((q) => {
+                          const price = line.prices[q.id];
+                          return (
+                            <BestCell key={q.id} active={line.lowest_quotation_id === q.id} label="Lowest">
+                              {price ? `${inr(price.unit_price)} × ${price.quantity ?? '—'}` : 'Not quoted'}
+                            </BestCell>
+                          );
+                        })}
+                      </TableRow>
+                    ))}
+                  </>
+                ) : null}
+
+                <TableRow>
+                  <TableCell />
+                  {quotations.map((q) => (
+                    <TableCell key={q.id} className="space-y-2">
+                      <Button
+                        size="sm"
+                        className="w-full bg-[#00A699] hover:bg-[#00857A]"
+                        disabled={Boolean(awarded) || CLOSED_STATUSES.includes(q.status) || q.expired}
+                        onClick={() => setAwardTarget(q)}
+                      >
+                        {q.status === 'ACCEPTED' ? 'Accepted' : 'Accept quote'}
+                      </Button>
+                      <Button size="sm" variant="outline" className="w-full" onClick={() => navigate(`/buyer/proposals/${q.id}`)}>
+                        View details
+                      </Button>
+                    </TableCell>
+                  ))}
+                </TableRow>
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      {(data?.decisions || []).length ? (
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base flex items-center gap-2">
+              <History className="h-4 w-4" /> Decision history
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            {data.decisions.map((d) => (
+              <div key={d.id} className="border-l-2 border-[#003D82] pl-3">
+                <div className="font-medium">
+                  Accepted {vendorName(d.awarded_quotation_id)} on {new Date(d.created_at).toLocaleString()}
+                </div>
+                <div className="text-gray-600">
+                  Compared {d.compared_quotation_ids?.length || 1} quote(s), declined {d.declined_quotation_ids?.length || 0}
+                </div>
+                {d.reason ? <div className="text-gray-600">Reason: {d.reason}</div> : null}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      ) : null}
+
+      <Dialog open={Boolean(awardTarget)} onOpenChange={(open) => !open && setAwardTarget(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Accept {awardTarget?.vendor?.company_name}&apos;s quotation?</DialogTitle>
+            <DialogDescription>
+              {inr(awardTarget?.grand_total)} total. The other open quotes
+              {rfqId ? ' for this requirement' : ' you compared'} will be declined and each vendor notified politely.
+            </DialogDescription>
+          </DialogHeader>
+          <Textarea
+            placeholder="Reason for your choice (optional, kept in your decision history)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={1000}
+          />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setAwardTarget(null)} disabled={awarding}>Cancel</Button>
+            <Button className="bg-[#00A699] hover:bg-[#00857A]" onClick={handleAward} disabled={awarding}>
+              {awarding ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : <Trophy className="h-4 w-4 mr-2" />}
+              Accept quotation
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default CompareQuotations;
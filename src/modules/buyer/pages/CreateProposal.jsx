@@ -7,9 +7,13 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Switch } from '@/components/ui/switch';
 import { buyerApi } from '@/modules/buyer/services/buyerApi';
 import { toast } from '@/components/ui/use-toast';
 import { Loader2, ArrowLeft, Send } from 'lucide-react';
+import LineItemsEditor from '@/shared/components/LineItemsEditor';
+import SupplierBroadcastPicker from '@/modules/buyer/components/SupplierBroadcastPicker';
+import { emptyLineItem, toLineItemPayload } from '@/shared/utils/quotationTotals';
 
 const CreateProposal = () => {
   const navigate = useNavigate();
@@ -34,11 +38,17 @@ const CreateProposal = () => {
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
     category: lockedCategoryValue,
-    quantity: '',
     budget: '',
     location: '',
+    delivery_terms: '',
+    payment_terms: '',
     description: ''
   });
+  const [items, setItems] = useState(() => [emptyLineItem({ product_name: productName })]);
+  // ✅ "Get quotes from multiple suppliers" (only when no vendor is preselected)
+  const [broadcastEnabled, setBroadcastEnabled] = useState(false);
+  const [broadcast, setBroadcast] = useState({ microCategory: null, city: null, vendorIds: [] });
+  const isBroadcast = !vendorId && broadcastEnabled;
 
   const handleChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -48,28 +58,67 @@ const CreateProposal = () => {
     e.preventDefault();
     if (loading) return;
     
-    if (!formData.category || !formData.quantity || !formData.budget || !formData.description) {
+    const payloadItems = toLineItemPayload(items);
+    const category = formData.category || (isBroadcast ? broadcast.microCategory?.name : '');
+    if (!category || !payloadItems.length || !formData.budget || !formData.description) {
       toast({ title: "Validation Error", description: "Please fill all required fields.", variant: "destructive" });
       return;
     }
+    const incomplete = payloadItems.findIndex((item) => !(Number(item.quantity) > 0));
+    if (incomplete >= 0) {
+      toast({ title: "Validation Error", description: `Enter a quantity for item ${incomplete + 1}.`, variant: "destructive" });
+      return;
+    }
+
+    if (isBroadcast && !broadcast.vendorIds.length) {
+      toast({ title: "Validation Error", description: "Pick at least one supplier to send your requirement to.", variant: "destructive" });
+      return;
+    }
 
     setLoading(true);
 
     try {
-      await buyerApi.createProposal({
+      const single = payloadItems.length === 1 ? payloadItems[0] : null;
+      const proposal = await buyerApi.createProposal({
         vendor_id: vendorId,
-        title: productName || formData.category,
-        product_name: productName || formData.category,
-        category: formData.category,
-        quantity: formData.quantity,
+        title: productName || single?.product_name || category,
+        product_name: productName || single?.product_name || category,
+        category,
+        quantity: single ? `${single.quantity} ${single.unit || ''}`.trim() : `${payloadItems.length} items`,
         budget: formData.budget,
-        location: formData.location,
-        description: formData.description
+        location: formData.location || broadcast.city?.name || '',
+        description: formData.description,
+        ...(isBroadcast
+          ? {
+              vendor_ids: broadcast.vendorIds,
+              micro_category_id: broadcast.microCategory?.id,
+              city_id: broadcast.city?.id || null,
+              items: payloadItems,
+              delivery_terms: formData.delivery_terms,
+              payment_terms: formData.payment_terms,
+            }
+          : {}),
       });
 
+      // Broadcast RFQs carry their items already
+      if (proposal?.id && !isBroadcast) {
+        try {
+          await buyerApi.saveProposalItems(proposal.id, {
+            items: payloadItems,
+            delivery_terms: formData.delivery_terms,
+            payment_terms: formData.payment_terms,
+          });
+        } catch (itemsError) {
+          console.warn('RFQ items not saved:', itemsError);
+          toast({ title: "Items not saved", description: itemsError.message, variant: "destructive" });
+        }
+      }
+
       toast({ 
         title: "Success", 
-        description: "Your requirement has been posted successfully.", 
+        description: isBroadcast
+          ? `Your requirement was sent to ${proposal?.recipients?.length || broadcast.vendorIds.length} suppliers.`
+          : "Your requirement has been posted successfully.", 
         className: "bg-green-50 border-green-200 text-green-900" 
       });
       
@@ -114,8 +163,21 @@ const CreateProposal = () => {
         </CardHeader>
         <CardContent className="p-4 pt-0 sm:p-5 sm:pt-0">
           <form onSubmit={handleSubmit} className="space-y-4">
+            {!vendorId ? (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between gap-3">
+                  <div>
+                    <Label htmlFor="broadcast_toggle">Get quotes from multiple suppliers</Label>
+                    <p className="text-xs text-gray-500">Send this requirement to matching verified suppliers and compare their quotes.</p>
+                  </div>
+                  <Switch id="broadcast_toggle" checked={broadcastEnabled} onCheckedChange={setBroadcastEnabled} />
+                </div>
+                {broadcastEnabled ? <SupplierBroadcastPicker selection={broadcast} onChange={setBroadcast} /> : null}
+              </div>
+            ) : null}
+
             <div className="space-y-1.5">
-              <Label htmlFor="category">{lockCategory ? 'Category *' : 'Select Category *'}</Label>
+              <Label htmlFor="category">{lockCategory ? 'Category *' : isBroadcast ? 'Select Category' : 'Select Category *'}</Label>
               {lockCategory ? (
                 <Input
                   id="category"
@@ -139,33 +201,20 @@ const CreateProposal = () => {
               )}
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-2.5">
-              <div className="space-y-1.5">
-                <Label htmlFor="quantity">Quantity *</Label>
-                <div className="flex gap-1.5">
-                  <Input 
-                    id="quantity" 
-                    type="number" 
-                    placeholder="e.g. 100" 
-                    value={formData.quantity}
-                    onChange={(e) => handleChange('quantity', e.target.value)}
-                  />
-                  <div className="flex items-center justify-center px-3 bg-gray-50 border rounded-md text-sm text-gray-500 min-w-[58px]">
-                    Units
-                  </div>
-                </div>
-              </div>
-              
-              <div className="space-y-1.5">
-                <Label htmlFor="budget">Budget (₹) *</Label>
-                <Input 
-                  id="budget" 
-                  type="number" 
-                  placeholder="e.g. 50000" 
-                  value={formData.budget}
-                  onChange={(e) => handleChange('budget', e.target.value)}
-                />
-              </div>
+            <div className="space-y-1.5">
+              <Label>Items *</Label>
+              <LineItemsEditor items={items} onChange={setItems} priceLabel="Target Price (₹)" />
+            </div>
+
+            <div className="space-y-1.5">
+              <Label htmlFor="budget">Total Budget (₹) *</Label>
+              <Input 
+                id="budget" 
+                type="number" 
+                placeholder="e.g. 50000" 
+                value={formData.budget}
+                onChange={(e) => handleChange('budget', e.target.value)}
+              />
             </div>
 
             <div className="space-y-1.5">
@@ -178,6 +227,27 @@ const CreateProposal = () => {
               />
             </div>
 
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2.5">
+              <div className="space-y-1.5">
+                <Label htmlFor="delivery_terms">Delivery Terms</Label>
+                <Input
+                  id="delivery_terms"
+                  placeholder="e.g. Door delivery within 15 days"
+                  value={formData.delivery_terms}
+                  onChange={(e) => handleChange('delivery_terms', e.target.value)}
+                />
+              </div>
+              <div className="space-y-1.5">
+                <Label htmlFor="payment_terms">Payment Terms</Label>
+                <Input
+                  id="payment_terms"
+                  placeholder="e.g. 30 days credit"
+                  value={formData.payment_terms}
+                  onChange={(e) => handleChange('payment_terms', e.target.value)}
+                />
+              </div>
+            </div>
+
             <div className="space-y-1.5">
               <Label htmlFor="description">Detailed Requirement *</Label>
               <Textarea
@@ -200,7 +270,8 @@ const CreateProposal = () => {
                   </>
                 ) : (
                   <>
-                    <Send className="mr-2 h-4 w-4" /> Post Requirement
+                    <Send className="mr-2 h-4 w-4" />
+                    {isBroadcast ? `Send to ${broadcast.vendorIds.length} Suppliers` : 'Post Requirement'}
                   </>
                 )}
               </Button>
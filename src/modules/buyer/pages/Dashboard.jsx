@@ -3,7 +3,7 @@ import React, { useEffect, useState } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/shared/components/Card';
 import { 
   Ticket, FileText, Star, TrendingUp, Clock, 
-  Loader2, MessageSquare, AlertCircle
+  Loader2, MessageSquare, AlertCircle, PhoneCall
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Link } from 'react-router-dom';
@@ -21,13 +21,30 @@ const Dashboard = () => {
   });
   const [recentActivity, setRecentActivity] = useState([]);
   const [error, setError] = useState(null);
+  const [feedbackPrompts, setFeedbackPrompts] = useState([]);
+  const [answering, setAnswering] = useState(null);
 
   useEffect(() => {
     if (user) {
       fetchDashboardData();
+      buyerApi.getLeadFeedbackPrompts()
+        .then(setFeedbackPrompts)
+        .catch((e) => console.warn('Lead feedback prompts failed:', e?.message || e));
     }
   }, [user]);
 
+  const answerFeedback = async (purchaseId, contacted) => {
+    setAnswering(purchaseId);
+    try {
+      await buyerApi.submitLeadFeedback(purchaseId, contacted);
+      setFeedbackPrompts((prev) => prev.filter((p) => p.purchase_id !== purchaseId));
+    } catch (e) {
+      console.error('Lead feedback submit failed:', e);
+    } finally {
+      setAnswering(null);
+    }
+  };
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
@@ -86,6 +103,39 @@ const Dashboard = () => {
         <StatCard label="Messages" value={stats.unreadMessages} icon={MessageSquare} color="text-green-600" bg="bg-green-50" link="/buyer/messages" />
       </div>
 
+      {/* Supplier contact feedback */}
+      {feedbackPrompts.length > 0 && (
+        <Card className="border-blue-100">
+          <CardHeader className="pb-2">
+            <CardTitle className="text-lg font-bold flex items-center gap-2">
+              <PhoneCall className="h-5 w-5 text-[#003D82]" /> Did these suppliers contact you?
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-3">
+              {feedbackPrompts.slice(0, 5).map((item) => (
+                <div key={item.purchase_id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 rounded-lg border border-gray-100">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{item.vendor_name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      For: {item.lead_title}{item.vendor_location ? ` · ${item.vendor_location}` : ''}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button size="sm" className="bg-green-600 hover:bg-green-700" disabled={answering === item.purchase_id} onClick={() => answerFeedback(item.purchase_id, true)}>
+                      Yes
+                    </Button>
+                    <Button size="sm" variant="outline" disabled={answering === item.purchase_id} onClick={() => answerFeedback(item.purchase_id, false)}>
+                      No
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Recent Activity */}
         <div className="lg:col-span-2">
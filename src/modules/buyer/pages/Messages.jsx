@@ -2,7 +2,7 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { buyerApi } from '@/modules/buyer/services/buyerApi';
 import { Card } from '@/shared/components/Card';
-import { Loader2, MessageSquare, Send, Pencil, Trash2, Check, CheckCheck, X } from 'lucide-react';
+import { Loader2, MessageSquare, Send, Pencil, Trash2, Check, CheckCheck, X, Search, Paperclip, Handshake } from 'lucide-react';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import {
@@ -16,6 +16,17 @@ import {
   AlertDialogTitle,
 } from '@/components/ui/alert-dialog';
 import { fetchWithCsrf } from '@/lib/fetchWithCsrf';
+import { toast } from '@/components/ui/use-toast';
+import { quotationApi } from '@/modules/vendor/services/quotationApi';
+import {
+  CHAT_ATTACHMENT_ACCEPT,
+  CHAT_ATTACHMENT_MAX_BYTES,
+  MessageAttachments,
+  OfferCard,
+  OfferComposerDialog,
+  readFileAsDataUrl,
+  withStableAttachmentUrls,
+} from '@/shared/components/ProposalChatExtras';
 import { apiUrl } from '@/lib/apiBase';
 import { supabase } from '@/lib/customSupabaseClient';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
@@ -142,70 +153,9 @@ const maskCompanyName = (value) => {
   return `${text.slice(0, 2)}${'*'.repeat(Math.max(text.length - 3, 3))}${text.slice(-1)}`;
 };
 
-const MESSAGE_MARKERS = {
-  edited: /^::itm_edited::$/i,
-  deliveredBuyer: /^::itm_delivered_buyer::(.+)$/i,
-  deliveredVendor: /^::itm_delivered_vendor::(.+)$/i,
-  readBuyer: /^::itm_read_buyer::(.+)$/i,
-  readVendor: /^::itm_read_vendor::(.+)$/i,
-};
-
-const parseStoredMessage = (rawValue) => {
-  const lines = String(rawValue || '').replace(/\r\n/g, '\n').split('\n');
-  const contentLines = [];
-  const meta = {
-    edited: false,
-    delivered_buyer_at: null,
-    delivered_vendor_at: null,
-    read_buyer_at: null,
-    read_vendor_at: null,
-  };
-
-  for (const line of lines) {
-    const trimmed = String(line || '').trim();
-
-    if (MESSAGE_MARKERS.edited.test(trimmed)) {
-      meta.edited = true;
-      continue;
-    }
-
-    const deliveredBuyerMatch = trimmed.match(MESSAGE_MARKERS.deliveredBuyer);
-    if (deliveredBuyerMatch) {
-      meta.delivered_buyer_at = String(deliveredBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const deliveredVendorMatch = trimmed.match(MESSAGE_MARKERS.deliveredVendor);
-    if (deliveredVendorMatch) {
-      meta.delivered_vendor_at = String(deliveredVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readBuyerMatch = trimmed.match(MESSAGE_MARKERS.readBuyer);
-    if (readBuyerMatch) {
-      meta.read_buyer_at = String(readBuyerMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    const readVendorMatch = trimmed.match(MESSAGE_MARKERS.readVendor);
-    if (readVendorMatch) {
-      meta.read_vendor_at = String(readVendorMatch[1] || '').trim() || null;
-      continue;
-    }
-
-    contentLines.push(line);
-  }
-
-  return {
-    text: contentLines.join('\n').trimEnd(),
-    meta,
-  };
-};
-
-const normalizeMessageRow = (row = {}, actorUserId = '', actorRole = 'buyer') => {
-  const rawMessage = String(row?.message || '');
-  const parsed = parseStoredMessage(rawMessage);
-
+// ✅ Server returns edited/receipt fields, attachments and offers per message; realtime rows arrive
+// without them, so the last known values for that message are carried over.
+const normalizeMessageRow = (row = {}, actorUserId = '', previous = null) => {
   const incomingIsMe =
     typeof row?.is_me === 'boolean'
       ? row.is_me
@@ -213,28 +163,39 @@ const normalizeMessageRow = (row = {}, actorUserId = '', actorRole = 'buyer') =>
         ? String(row?.sender_id || '').trim() === String(actorUserId).trim()
         : false;
 
-  const recipientRole = actorRole === 'buyer' ? 'vendor' : 'buyer';
-  const deliveredKey = recipientRole === 'vendor' ? 'delivered_vendor_at' : 'delivered_buyer_at';
-  const readKey = recipientRole === 'vendor' ? 'read_vendor_at' : 'read_buyer_at';
-
-  const parsedDeliveredAt = parsed.meta?.[deliveredKey] || null;
-  const parsedReadAt = parsed.meta?.[readKey] || null;
-  const deliveredAt = row?.delivered_at || parsedDeliveredAt || parsedReadAt || null;
-  const readAt = row?.read_at || parsedReadAt || null;
+  const deliveredAt = row?.delivered_at ?? previous?.delivered_at ?? null;
+  const readAt = row?.read_at ?? previous?.read_at ?? null;
 
   let computedState = 'sent';
   if (readAt) computedState = 'read';
   else if (deliveredAt) computedState = 'delivered';
 
-  return {
-    ...row,
-    message: parsed.text,
-    is_edited: typeof row?.is_edited === 'boolean' ? row.is_edited : Boolean(parsed.meta.edited),
-    is_me: incomingIsMe,
-    delivered_at: deliveredAt,
-    read_at: readAt,
-    delivery_state: row?.delivery_state || (incomingIsMe ? computedState : 'received'),
-  };
+  return withStableAttachmentUrls(
+    {
+      ...row,
+      message_type: row?.message_type || 'TEXT',
+      attachments: row?.attachments ?? previous?.attachments ?? [],
+      offer: row?.offer ?? previous?.offer ?? null,
+      is_edited: Boolean(row?.is_edited || row?.edited_at),
+      is_me: incomingIsMe,
+      delivered_at: deliveredAt,
+      read_at: readAt,
+      delivery_state: incomingIsMe ? computedState : 'received',
+    },
+    previous
+  );
+};
+
+// ✅ Polling refreshes only the latest page; older pages the user already loaded are kept
+const mergeLatestPage = (previous = [], latest = []) => {
+  if (!latest.length) return [];
+  const latestIds = new Set(latest.map((item) => item.id));
+  const previousById = new Map(previous.map((item) => [item.id, item]));
+  const oldestLatest = new Date(latest[0]?.created_at || 0).getTime();
+  const older = previous.filter(
+    (item) => !latestIds.has(item.id) && new Date(item?.created_at || 0).getTime() < oldestLatest
+  );
+  return [...older, ...latest.map((item) => withStableAttachmentUrls(item, previousById.get(item.id)))];
 };
 
 const getAvatarInitials = (name, email) => {
@@ -374,7 +335,18 @@ const Messages = () => {
   const [confirmDialog, setConfirmDialog] = useState(null);
   const [contextMenu, setContextMenu] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
+  const [olderCursor, setOlderCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [unreadByChatId, setUnreadByChatId] = useState({});
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+  const [offerDialogOpen, setOfferDialogOpen] = useState(false);
+  const [respondingOfferId, setRespondingOfferId] = useState(null);
+  const attachmentInputRef = useRef(null);
   const messageListRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
   const syncInFlightRef = useRef(false);
   const presenceChannelRef = useRef(null);
   const typingTimerRef = useRef(null);
@@ -576,6 +548,59 @@ const Messages = () => {
     }
   }, []);
 
+  const fetchUnreadCounts = useCallback(async () => {
+    try {
+      const res = await fetchWithCsrf(apiUrl('/api/quotation/messages/unread'), { cache: 'no-store' });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load unread counts');
+      const mapped = {};
+      (Array.isArray(json?.conversations) ? json.conversations : []).forEach((row) => {
+        mapped[String(row?.proposal_id || '')] = Number(row?.unread_count || 0);
+      });
+      setUnreadByChatId(mapped);
+    } catch (error) {
+      console.warn('Unread counts failed:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const unreadSyncId = setInterval(fetchUnreadCounts, 15000);
+    return () => clearInterval(unreadSyncId);
+  }, [fetchUnreadCounts]);
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2) {
+      setSearchResults([]);
+      setSearching(false);
+      return undefined;
+    }
+
+    let active = true;
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ q: query });
+        const res = await fetchWithCsrf(apiUrl(`/api/quotation/messages/search?${params.toString()}`), {
+          cache: 'no-store',
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(json?.error || 'Failed to search messages');
+        if (active) setSearchResults(Array.isArray(json?.results) ? json.results : []);
+      } catch (error) {
+        console.error('Message search failed:', error);
+        if (active) setSearchResults([]);
+      } finally {
+        if (active) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
   useEffect(() => {
     fetchConversations();
   }, []);
@@ -597,6 +622,8 @@ const Messages = () => {
     setSavingMessageId(null);
     setDeletingMessageId(null);
     setContextMenu(null);
+    setOlderCursor(null);
+    scrollAnchorRef.current = null;
   }, [selectedChatId]);
 
   useEffect(() => () => {
@@ -649,6 +676,13 @@ const Messages = () => {
 
   useEffect(() => {
     if (!selectedChatId) return;
+    // ✅ Older page prepended: keep the viewport on the message the user was reading
+    const anchor = scrollAnchorRef.current;
+    if (anchor !== null && messageListRef.current) {
+      scrollAnchorRef.current = null;
+      messageListRef.current.scrollTop = messageListRef.current.scrollHeight - anchor;
+      return;
+    }
     scrollMessagesToBottom('smooth');
   }, [messages.length, selectedChatId, scrollMessagesToBottom]);
 
@@ -664,7 +698,7 @@ const Messages = () => {
         if (prev && sorted.some((item) => item.id === prev)) return prev;
         return sorted[0]?.id || null;
       });
-      acknowledgeDelivered(sorted.map((item) => item.id));
+      acknowledgeDelivered(sorted.map((item) => item.id)).then(fetchUnreadCounts);
     } catch (error) {
       console.error('Error fetching chats:', error);
       setConversations([]);
@@ -694,7 +728,14 @@ const Messages = () => {
       setParticipantUserId(String(json?.participants?.vendor_user_id || '').trim());
       const incoming = Array.isArray(json?.messages) ? json.messages : [];
       const actorId = responseActorId || resolvedActorUserId;
-      setMessages(incoming.map((row) => normalizeMessageRow(row, actorId, 'buyer')));
+      const latest = incoming.map((row) => normalizeMessageRow(row, actorId));
+      if (silent) {
+        setMessages((prev) => mergeLatestPage(prev, latest));
+      } else {
+        setMessages(latest);
+        setOlderCursor(json?.has_more ? json?.next_cursor || null : null);
+      }
+      setUnreadByChatId((prev) => (prev[proposalId] ? { ...prev, [proposalId]: 0 } : prev));
     } catch (error) {
       console.error('Error loading messages:', error);
       if (!silent) setMessages([]);
@@ -703,6 +744,35 @@ const Messages = () => {
     }
   }, [resolvedActorUserId]);
 
+  const loadOlderMessages = async () => {
+    if (!selectedChatId || !olderCursor || loadingOlder) return;
+
+    setLoadingOlder(true);
+    try {
+      const params = new URLSearchParams({ before: olderCursor });
+      const res = await fetchWithCsrf(apiUrl(`/api/quotation/${selectedChatId}/messages?${params.toString()}`), {
+        cache: 'no-store',
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || 'Failed to load older messages');
+
+      const older = (Array.isArray(json?.messages) ? json.messages : []).map((row) =>
+        normalizeMessageRow(row, resolvedActorUserId)
+      );
+      const el = messageListRef.current;
+      if (el) scrollAnchorRef.current = el.scrollHeight - el.scrollTop;
+      setMessages((prev) => {
+        const seen = new Set(prev.map((item) => item.id));
+        return [...older.filter((item) => !seen.has(item.id)), ...prev];
+      });
+      setOlderCursor(json?.has_more ? json?.next_cursor || null : null);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   useEffect(() => {
     if (!selectedChatId) {
       setMessages([]);
@@ -748,7 +818,7 @@ const Messages = () => {
           if (!active) return;
           const row = payload?.new;
           if (!row?.id) return;
-          const normalized = normalizeMessageRow(row, resolvedActorUserId, 'buyer');
+          const normalized = normalizeMessageRow(row, resolvedActorUserId);
           setMessages((prev) => {
             if (prev.some((item) => item.id === row.id)) return prev;
             return [...prev, normalized];
@@ -767,12 +837,12 @@ const Messages = () => {
           if (!active) return;
           const row = payload?.new;
           if (!row?.id) return;
-          const normalized = normalizeMessageRow(row, resolvedActorUserId, 'buyer');
           setMessages((prev) => {
             const idx = prev.findIndex((item) => item.id === row.id);
-            if (idx === -1) return [...prev, normalized];
+            // Edits to messages on pages that are not loaded yet arrive with that page
+            if (idx === -1) return prev;
             const next = [...prev];
-            next[idx] = normalized;
+            next[idx] = normalizeMessageRow(row, resolvedActorUserId, prev[idx]);
             return next;
           });
         }
@@ -860,7 +930,7 @@ const Messages = () => {
       if (!res.ok) throw new Error(json?.error || 'Failed to send message');
 
       if (json?.message?.id) {
-        const normalized = normalizeMessageRow(json.message, resolvedActorUserId, 'buyer');
+        const normalized = normalizeMessageRow(json.message, resolvedActorUserId);
         setMessages((prev) => {
           if (prev.some((item) => item.id === normalized.id)) return prev;
           return [...prev, normalized];
@@ -877,8 +947,67 @@ const Messages = () => {
     }
   };
 
+  const appendOwnMessage = (message) => {
+    if (!message?.id) return;
+    const normalized = normalizeMessageRow(message, resolvedActorUserId);
+    setMessages((prev) => {
+      if (prev.some((item) => item.id === normalized.id)) {
+        return prev.map((item) => (item.id === normalized.id ? normalized : item));
+      }
+      return [...prev, normalized];
+    });
+  };
+
+  // ✅ One file per message; the caption is whatever is typed in the composer
+  const handleAttachmentSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !selectedChatId || uploadingAttachment) return;
+
+    if (file.size > CHAT_ATTACHMENT_MAX_BYTES) {
+      toast({ title: 'File too large', description: 'Attachments can be up to 4MB.', variant: 'destructive' });
+      return;
+    }
+
+    setUploadingAttachment(true);
+    try {
+      const dataUrl = await readFileAsDataUrl(file);
+      const message = await quotationApi.sendChatAttachment(selectedChatId, {
+        fileName: file.name,
+        dataUrl,
+        message: newMessage.trim() || undefined,
+      });
+      appendOwnMessage(message);
+      setNewMessage('');
+    } catch (error) {
+      toast({ title: 'Could not send file', description: error.message, variant: 'destructive' });
+    } finally {
+      setUploadingAttachment(false);
+    }
+  };
+
+  const handleRespondToOffer = async (msg, accept) => {
+    const offerId = msg?.offer?.id;
+    if (!offerId || !selectedChatId || respondingOfferId) return;
+
+    setRespondingOfferId(offerId);
+    try {
+      const message = await quotationApi.respondToChatOffer(selectedChatId, offerId, { accept });
+      appendOwnMessage(message);
+      toast({
+        title: accept ? 'Offer accepted' : 'Offer declined',
+        description: accept ? 'The proposal has been updated with the new terms.' : undefined,
+      });
+    } catch (error) {
+      toast({ title: 'Could not update offer', description: error.message, variant: 'destructive' });
+      await fetchMessages(selectedChatId, { silent: true });
+    } finally {
+      setRespondingOfferId(null);
+    }
+  };
+
   const startEditing = (msg) => {
-    if (!msg?.id || !msg?.is_me) return;
+    if (!msg?.id || !msg?.is_me || msg?.message_type === 'OFFER') return;
     setEditingMessageId(msg.id);
     setEditingText(String(msg?.message || ''));
   };
@@ -905,7 +1034,7 @@ const Messages = () => {
       if (!res.ok) throw new Error(json?.error || 'Failed to edit message');
 
       if (json?.message?.id) {
-        const normalized = normalizeMessageRow(json.message, resolvedActorUserId, 'buyer');
+        const normalized = normalizeMessageRow(json.message, resolvedActorUserId);
         setMessages((prev) => prev.map((item) => (item.id === normalized.id ? normalized : item)));
       } else {
         await fetchMessages(proposalId, { silent: true });
@@ -1012,11 +1141,52 @@ const Messages = () => {
     <div className="h-[calc(100vh-140px)] flex gap-6">
       {/* Sidebar List */}
       <Card className="w-1/3 flex flex-col overflow-hidden border-gray-200">
-        <div className="p-4 border-b bg-gray-50">
+        <div className="p-4 border-b bg-gray-50 space-y-3">
           <h2 className="font-bold text-gray-800">Conversations</h2>
+          <div className="relative">
+            <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <Input
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search messages..."
+              className="h-9 pl-8 bg-white"
+            />
+          </div>
         </div>
         <div className="flex-1 overflow-y-auto">
-          {loadingConversations ? (
+          {searchQuery.trim().length >= 2 ? (
+            searching ? (
+              <div className="p-6 flex justify-center"><Loader2 className="animate-spin text-gray-400" /></div>
+            ) : searchResults.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">No messages found</div>
+            ) : (
+              searchResults.map((result) => {
+                const resultChat = conversations.find((item) => item.id === result.proposal_id) || null;
+                return (
+                  <button
+                    key={result.id}
+                    type="button"
+                    onClick={() => {
+                      setSelectedChatId(result.proposal_id);
+                      setSearchQuery('');
+                    }}
+                    className="w-full p-4 border-b text-left cursor-pointer hover:bg-blue-50 transition-colors"
+                  >
+                    <div className="flex justify-between gap-2 mb-1">
+                      <span className="font-semibold text-gray-900 text-sm truncate">
+                        {resultChat ? resolveVendorName(resultChat) : result.proposal_title || 'Proposal conversation'}
+                      </span>
+                      <span className="text-[10px] text-gray-400 shrink-0">{safeDate(result.created_at)}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 line-clamp-2">
+                      {result.is_me ? 'You: ' : ''}
+                      {result.snippet}
+                    </p>
+                  </button>
+                );
+              })
+            )
+          ) : loadingConversations ? (
              <div className="p-6 flex justify-center"><Loader2 className="animate-spin text-gray-400" /></div>
           ) : conversations.length === 0 ? (
              <div className="p-6 text-center text-gray-500">No active proposals</div>
@@ -1071,6 +1241,7 @@ const Messages = () => {
                         )
                       );
                     const conversationDotClass = conversationIsOnline ? 'bg-emerald-500' : 'bg-gray-300';
+                    const unreadCount = isSelectedConversation ? 0 : Number(unreadByChatId[chat.id] || 0);
 
                     return (
                       <div className="flex items-start gap-3">
@@ -1096,7 +1267,14 @@ const Messages = () => {
                         <div className="min-w-0 flex-1">
                           <div className="flex justify-between gap-2 mb-1">
                             <span className="font-semibold text-gray-900 text-sm truncate">{conversationName}</span>
-                            <span className="text-[10px] text-gray-400 shrink-0">{safeDate(chat?.created_at)}</span>
+                            <div className="flex items-center gap-1.5 shrink-0">
+                              <span className="text-[10px] text-gray-400">{safeDate(chat?.created_at)}</span>
+                              {unreadCount > 0 ? (
+                                <span className="inline-flex h-[18px] min-w-[18px] items-center justify-center rounded-full bg-[#003D82] px-1 text-[10px] font-semibold text-white">
+                                  {unreadCount > 99 ? '99+' : unreadCount}
+                                </span>
+                              ) : null}
+                            </div>
                           </div>
                           <p className="text-xs text-gray-500 truncate">{chat?.product_name || chat?.title || 'Proposal conversation'}</p>
                         </div>
@@ -1159,7 +1337,21 @@ const Messages = () => {
               ) : messages.length === 0 ? (
                 <div className="text-center text-gray-400 mt-10">Start the conversation...</div>
               ) : (
-                messageItems.map((entry) => {
+                <>
+                {olderCursor ? (
+                  <div className="flex justify-center">
+                    <button
+                      type="button"
+                      onClick={loadOlderMessages}
+                      disabled={loadingOlder}
+                      className="inline-flex items-center gap-1 rounded-full border border-gray-200 bg-white px-3 py-1 text-[11px] text-gray-600 hover:bg-gray-100 disabled:opacity-60"
+                    >
+                      {loadingOlder ? <Loader2 className="h-3 w-3 animate-spin" /> : null}
+                      Load older messages
+                    </button>
+                  </div>
+                ) : null}
+                {messageItems.map((entry) => {
                   if (entry.type === 'day-separator') {
                     return (
                       <div key={entry.id} className="flex justify-center py-1">
@@ -1233,7 +1425,22 @@ const Messages = () => {
                           </div>
                         ) : (
                           <>
-                            <p className="whitespace-pre-wrap break-words">{msg.message}</p>
+                            {msg?.offer ? (
+                              <OfferCard
+                                offer={msg.offer}
+                                isMe={isMe}
+                                busy={respondingOfferId === msg.offer.id}
+                                onAccept={() => handleRespondToOffer(msg, true)}
+                                onDecline={() => handleRespondToOffer(msg, false)}
+                              />
+                            ) : null}
+                            {msg?.attachments?.length ? (
+                              <MessageAttachments attachments={msg.attachments} isMe={isMe} onPreview={openImagePreview} />
+                            ) : null}
+                            {msg?.message_type === 'OFFER' ||
+                            (msg?.attachments?.length === 1 && msg.message === msg.attachments[0].file_name) ? null : (
+                              <p className={`whitespace-pre-wrap break-words ${msg?.attachments?.length ? 'mt-2' : ''}`}>{msg.message}</p>
+                            )}
                             <div className={`mt-1 flex items-center gap-2 text-[11px] ${isMe ? 'justify-end text-blue-100' : 'text-gray-500'}`}>
                               {messageTime ? <span>{messageTime}</span> : null}
                               {msg?.is_edited ? <span>edited</span> : null}
@@ -1248,11 +1455,38 @@ const Messages = () => {
                       </div>
                     </div>
                   );
-                })
+                })}
+                </>
               )}
             </div>
 
             <div className="p-4 bg-white border-t flex gap-2">
+              <input
+                ref={attachmentInputRef}
+                type="file"
+                accept={CHAT_ATTACHMENT_ACCEPT}
+                className="hidden"
+                onChange={handleAttachmentSelected}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                size="icon"
+                title="Attach a file (max 4MB)"
+                onClick={() => attachmentInputRef.current?.click()}
+                disabled={uploadingAttachment}
+              >
+                {uploadingAttachment ? <Loader2 className="h-4 w-4 animate-spin" /> : <Paperclip className="h-4 w-4" />}
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                size="icon"
+                title="Send a revised offer"
+                onClick={() => setOfferDialogOpen(true)}
+              >
+                <Handshake className="h-4 w-4" />
+              </Button>
               <Input 
                 value={newMessage} 
                 onChange={handleMessageInputChange}
@@ -1291,20 +1525,22 @@ const Messages = () => {
                   </button>
                 ) : (
                   <>
-                    <button
-                      type="button"
-                      className="flex w-full items-center gap-2 rounded-md px-2.5 py-2 text-left text-sm text-gray-700 hover:bg-gray-50"
-                      onClick={() => {
-                        const selectedMessage = messages.find((item) => item.id === contextMenu.messageId);
-                        if (selectedMessage) {
-                          startEditing(selectedMessage);
-                        }
-                        setContextMenu(null);
-                      }}
-                    >
-                      <Pencil className="h-3.5 w-3.5" />
-                      Edit
-                    </button>
+                    {messages.find((item) => item.id === contextMenu.messageId)?.message_type !== 'OFFER' ? (
+                      <button
+                        type="button"
+                        className="flex w-full items-center gap-2 rounded-md px-2.5 py-2 text-left text-sm text-gray-700 hover:bg-gray-50"
+                        onClick={() => {
+                          const selectedMessage = messages.find((item) => item.id === contextMenu.messageId);
+                          if (selectedMessage) {
+                            startEditing(selectedMessage);
+                          }
+                          setContextMenu(null);
+                        }}
+                      >
+                        <Pencil className="h-3.5 w-3.5" />
+                        Edit
+                      </button>
+                    ) : null}
                     <button
                       type="button"
                       className="flex w-full items-center gap-2 rounded-md px-2.5 py-2 text-left text-sm text-red-600 hover:bg-red-50"
@@ -1328,6 +1564,13 @@ const Messages = () => {
           </div>
         )}
       </Card>
+      <OfferComposerDialog
+        open={offerDialogOpen}
+        onOpenChange={setOfferDialogOpen}
+        proposalId={selectedChatId}
+        productName={selectedChat?.product_name || selectedChat?.title || ''}
+        onSent={appendOwnMessage}
+      />
       {imagePreview ? (
         <div
           className="fixed inset-0 z-[80] flex items-center justify-center p-4"
@@ -6,6 +6,8 @@ import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Loader2, ArrowLeft, Calendar, IndianRupee, Package, Mail, Phone, Building2 } from 'lucide-react';
 import { toast } from '@/components/ui/use-toast';
+import { LineItemsTable } from '@/shared/components/LineItemsEditor';
+import PurchaseOrderPanel from '@/shared/components/PurchaseOrderPanel';
 
 const normalizeUpper = (v) => String(v || '').toUpperCase().trim();
 
@@ -27,6 +29,12 @@ const safeINR = (v) => {
 const classify = (p) => {
   const hasRequiredBy = p?.required_by_date !== null && p?.required_by_date !== undefined;
   const hasBuyerEmail = !!p?.buyer_email;
+  const status = normalizeUpper(p?.status);
+  const quotationStatus = status === 'ACCEPTED' || status === 'REJECTED' ? status : 'RECEIVED';
+
+  if (normalizeUpper(p?.proposal_type) === 'QUOTATION') {
+    return { kind: 'QUOTATION', kindLabel: 'Quotation Received', status: quotationStatus };
+  }
 
   if (hasRequiredBy) {
     return { kind: 'REQUEST', kindLabel: 'Request Sent', status: normalizeUpper(p?.status || 'SENT') };
@@ -34,7 +42,7 @@ const classify = (p) => {
 
   if (hasBuyerEmail) {
     // vendor ne buyer ko quotation bheja
-    return { kind: 'QUOTATION', kindLabel: 'Quotation Received', status: 'RECEIVED' };
+    return { kind: 'QUOTATION', kindLabel: 'Quotation Received', status: quotationStatus };
   }
 
   return { kind: 'REQUEST', kindLabel: 'Request Sent', status: normalizeUpper(p?.status || 'SENT') };
@@ -48,7 +56,7 @@ const badgeForKind = (kind) => {
 
 const badgeForStatus = (status) => {
   const s = normalizeUpper(status);
-  if (s === 'RECEIVED') return 'bg-green-100 text-green-700';
+  if (s === 'RECEIVED' || s === 'ACCEPTED') return 'bg-green-100 text-green-700';
   if (s === 'SENT' || s === 'AVAILABLE') return 'bg-blue-100 text-blue-700';
   if (s === 'IN_PROGRESS') return 'bg-amber-100 text-amber-700';
   if (s === 'COMPLETED') return 'bg-green-100 text-green-700';
@@ -63,6 +71,7 @@ const ProposalDetail = () => {
   const [loading, setLoading] = useState(true);
   const [proposal, setProposal] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [lineItems, setLineItems] = useState([]);
 
   useEffect(() => {
     const load = async () => {
@@ -71,6 +80,15 @@ const ProposalDetail = () => {
         const detail = await buyerApi.getProposalDetail(id);
         setProposal(detail);
         setMessages(detail?.messages || []);
+        if (Array.isArray(detail?.line_items)) {
+          setLineItems(detail.line_items);
+        } else if (detail?.id) {
+          // Fallback detail path (direct Supabase read) does not carry items
+          buyerApi
+            .getProposalItems(detail.id)
+            .then(setLineItems)
+            .catch(() => setLineItems([]));
+        }
       } catch (e) {
         console.error(e);
         toast({
@@ -108,6 +126,10 @@ const ProposalDetail = () => {
       createdAt: formatDate(proposal?.created_at),
       requiredBy: proposal?.required_by_date ? formatDate(proposal.required_by_date) : null,
       desc: proposal?.description || '—',
+      validUntil: proposal?.valid_until ? formatDate(proposal.valid_until) : null,
+      deliveryDays: proposal?.delivery_days || null,
+      deliveryTerms: proposal?.delivery_terms || null,
+      paymentTerms: proposal?.payment_terms || null,
       vendorName,
       vendorEmail,
       vendorPhone,
@@ -126,10 +148,22 @@ const ProposalDetail = () => {
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
-      <Button variant="ghost" onClick={() => navigate('/buyer/proposals')}>
-        <ArrowLeft className="h-4 w-4 mr-2" />
-        Back
-      </Button>
+      <div className="flex items-center justify-between gap-2">
+        <Button variant="ghost" onClick={() => navigate('/buyer/proposals')}>
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Back
+        </Button>
+
+        {/* ✅ Quotes for a request (or a quote answering one) open in the comparison view */}
+        {view.cls.kind === 'REQUEST' || proposal.rfq_id ? (
+          <Button
+            variant="outline"
+            onClick={() => navigate(`/buyer/proposals/compare?rfq=${view.cls.kind === 'REQUEST' ? proposal.id : proposal.rfq_id}`)}
+          >
+            Compare quotes
+          </Button>
+        ) : null}
+      </div>
 
       <Card>
         <CardHeader className="pb-2">
@@ -179,6 +213,54 @@ const ProposalDetail = () => {
             </div>
           </div>
 
+          {lineItems.length ? (
+            <div className="space-y-2">
+              <div className="font-semibold text-gray-900">Items</div>
+              <LineItemsTable
+                items={lineItems}
+                totals={
+                  proposal?.grand_total !== null && proposal?.grand_total !== undefined
+                    ? {
+                        subtotal: proposal.subtotal,
+                        discount_total: proposal.discount_total,
+                        tax_total: proposal.tax_total,
+                        grand_total: proposal.grand_total,
+                      }
+                    : null
+                }
+              />
+            </div>
+          ) : null}
+
+          {view.validUntil || view.deliveryDays || view.deliveryTerms || view.paymentTerms ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+              {view.validUntil ? (
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-gray-500">Valid Until</div>
+                  <div className="font-medium text-gray-900">{view.validUntil}</div>
+                </div>
+              ) : null}
+              {view.deliveryDays ? (
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-gray-500">Delivery</div>
+                  <div className="font-medium text-gray-900">{view.deliveryDays} days</div>
+                </div>
+              ) : null}
+              {view.deliveryTerms ? (
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-gray-500">Delivery Terms</div>
+                  <div className="font-medium text-gray-900 whitespace-pre-line">{view.deliveryTerms}</div>
+                </div>
+              ) : null}
+              {view.paymentTerms ? (
+                <div className="rounded-lg border p-3">
+                  <div className="text-xs text-gray-500">Payment Terms</div>
+                  <div className="font-medium text-gray-900 whitespace-pre-line">{view.paymentTerms}</div>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
           <div className="rounded-lg border bg-white p-4">
             <div className="text-xs text-gray-500 mb-1">Description / Terms</div>
             <div className="text-gray-800 whitespace-pre-line">{view.desc}</div>
@@ -216,6 +298,11 @@ const ProposalDetail = () => {
             </div>
           </div>
 
+          {/* ✅ Accepted quotation → purchase order + delivery timeline */}
+          {view.cls.kind === 'QUOTATION' && view.cls.status === 'ACCEPTED' ? (
+            <PurchaseOrderPanel quotationId={proposal.id} role="BUYER" canCreate />
+          ) : null}
+
           {messages?.length ? (
             <div className="rounded-lg border bg-white p-4">
               <div className="font-semibold text-gray-900 mb-2">Messages</div>
@@ -3,7 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { Plus, Search, FileText, Loader2, Calendar, ArrowRightLeft } from 'lucide-react';
+import { Plus, Search, FileText, Loader2, Calendar, ArrowRightLeft, Scale, Users, Eye, CheckCircle2 } from 'lucide-react';
 import { Input } from '@/components/ui/input';
 import { useAuth } from '@/contexts/SupabaseAuthContext';
 import { buyerApi } from '@/modules/buyer/services/buyerApi';
@@ -16,13 +16,14 @@ const getBadge = (kind) => {
   if (kind === 'REQUEST') return 'bg-indigo-100 text-indigo-700';
   if (kind === 'ENQUIRY') return 'bg-emerald-100 text-emerald-700';
   if (kind === 'QUOTATION') return 'bg-amber-100 text-amber-800';
+  if (kind === 'BROADCAST') return 'bg-purple-100 text-purple-700';
   return 'bg-gray-100 text-gray-700';
 };
 
 const getStatusColor = (status) => {
   const s = normalizeUpper(status);
 
-  if (s === 'RECEIVED') return 'bg-green-100 text-green-700';
+  if (s === 'RECEIVED' || s === 'ACCEPTED') return 'bg-green-100 text-green-700';
   if (s === 'SENT' || s === 'SUBMITTED') return 'bg-blue-100 text-blue-700';
   if (s === 'AVAILABLE') return 'bg-blue-100 text-blue-700';
   if (s === 'IN_PROGRESS') return 'bg-amber-100 text-amber-700';
@@ -31,6 +32,15 @@ const getStatusColor = (status) => {
   return 'bg-gray-100 text-gray-700';
 };
 
+// ✅ Per-supplier state of a broadcast requirement
+const RECIPIENT_STATUS = {
+  SENT: { label: 'Not opened yet', className: 'bg-gray-100 text-gray-700' },
+  VIEWED: { label: 'Viewed', className: 'bg-blue-100 text-blue-700' },
+  QUOTED: { label: 'Quoted', className: 'bg-amber-100 text-amber-800' },
+  AWARDED: { label: 'Accepted', className: 'bg-green-100 text-green-700' },
+  NOT_SELECTED: { label: 'Not selected', className: 'bg-red-100 text-red-700' },
+};
+
 const formatDate = (iso) => {
   try {
     return iso ? new Date(iso).toLocaleDateString() : '—';
@@ -49,13 +59,17 @@ const safeINR = (v) => {
  * ✅ Decide proposal direction/type:
  * - Buyer Request: has required_by_date OR created from buyer createProposal flow
  * - Vendor Quotation (received): has buyer_email but no required_by_date
+ * - Decided quotations keep their ACCEPTED / REJECTED status
  */
 const classifyProposal = (p) => {
   const hasRequiredBy = p?.required_by_date !== null && p?.required_by_date !== undefined;
   const hasBuyerEmail = !!p?.buyer_email;
+  const status = normalizeUpper(p?.status);
+  const quotationStatus = status === 'ACCEPTED' || status === 'REJECTED' ? status : 'RECEIVED';
 
+  if (normalizeUpper(p?.proposal_type) === 'QUOTATION') return { kind: 'QUOTATION', displayStatus: quotationStatus };
   if (hasRequiredBy) return { kind: 'REQUEST', displayStatus: normalizeUpper(p?.status || 'SENT') };
-  if (hasBuyerEmail) return { kind: 'QUOTATION', displayStatus: 'RECEIVED' }; // ✅ override for buyer UI
+  if (hasBuyerEmail) return { kind: 'QUOTATION', displayStatus: quotationStatus }; // ✅ override for buyer UI
   return { kind: 'REQUEST', displayStatus: normalizeUpper(p?.status || 'SENT') };
 };
 
@@ -65,6 +79,7 @@ const Proposals = () => {
   const [items, setItems] = useState([]); // enquiries + requests + received quotations
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [selectedQuotes, setSelectedQuotes] = useState([]); // ✅ quotation ids picked for comparison
   const activeRef = useRef(true);
 
   useEffect(() => {
@@ -78,14 +93,16 @@ const Proposals = () => {
   const loadItems = async () => {
     if (activeRef.current) setLoading(true);
     try {
-      const [proposalsRes, leadsRes] = await Promise.allSettled([
+      const [proposalsRes, leadsRes, broadcastsRes] = await Promise.allSettled([
         buyerApi.getProposals(buyerId),
         buyerApi.getSentLeads?.(buyerId) || Promise.resolve([]),
+        buyerApi.getBroadcasts(),
       ]);
       if (!activeRef.current) return;
 
       const proposals = proposalsRes.status === 'fulfilled' ? (proposalsRes.value || []) : [];
       const leads = leadsRes.status === 'fulfilled' ? (leadsRes.value || []) : [];
+      const broadcasts = broadcastsRes.status === 'fulfilled' ? (broadcastsRes.value || []) : [];
 
       if (proposalsRes.status === 'rejected') {
         console.error('Failed to load proposals:', proposalsRes.reason);
@@ -93,9 +110,19 @@ const Proposals = () => {
       if (leadsRes.status === 'rejected') {
         console.error('Failed to load sent leads:', leadsRes.reason);
       }
+      if (broadcastsRes.status === 'rejected') {
+        console.warn('Failed to load broadcast requirements:', broadcastsRes.reason);
+      }
+
+      // ✅ Per-supplier RFQs of a broadcast are shown once, under their parent requirement
+      const broadcastByProposal = new Map();
+      broadcasts.forEach((b) => (b.recipients || []).forEach((r) => {
+        if (r.proposal_id) broadcastByProposal.set(String(r.proposal_id), b.id);
+      }));
+      const isBroadcastChild = (p) => broadcastByProposal.has(String(p?.id || ''));
 
       // ✅ Normalize buyer proposals & received quotations (both are in proposals table)
-      const normalizedProposals = (proposals || []).map((p) => {
+      const normalizedProposals = (proposals || []).filter((p) => !isBroadcastChild(p)).map((p) => {
         const cls = classifyProposal(p);
 
         const title = p.title || p.product_name || 'Proposal';
@@ -124,7 +151,7 @@ const Proposals = () => {
       });
 
       // ✅ Normalize sent enquiries/leads
-      const normalizedLeads = (leads || []).map((l) => {
+      const normalizedLeads = (leads || []).filter((l) => !broadcastByProposal.has(String(l?.proposal_id || ''))).map((l) => {
         const title = l.title || l.product_name || l.product_interest || 'Enquiry';
         const vendorName = l.vendors?.company_name || (l.vendor_id ? 'Vendor' : 'Marketplace');
         const qtyText = l.quantity ? String(l.quantity) : null;
@@ -175,14 +202,50 @@ const Proposals = () => {
         return { ...p, __replyTo: best };
       });
 
-      const merged = [...attachReplyInfo, ...normalizedLeads].sort((a, b) => {
+      // ✅ Quotes received per request (vendors answer with rfq_id)
+      const quoteCounts = attachReplyInfo.reduce((acc, p) => {
+        if (p.__type === 'QUOTATION' && p.rfq_id) acc[p.rfq_id] = (acc[p.rfq_id] || 0) + 1;
+        return acc;
+      }, {});
+      const withQuoteCounts = attachReplyInfo.map((p) =>
+        p.__type === 'REQUEST' ? { ...p, __quoteCount: quoteCounts[p.id] || 0 } : p
+      );
+
+      // ✅ Quotations answering a broadcast RFQ move under the parent requirement
+      const broadcastQuotes = {};
+      const standalone = withQuoteCounts.filter((p) => {
+        const parentId = p.__type === 'QUOTATION' && p.rfq_id ? broadcastByProposal.get(String(p.rfq_id)) : null;
+        if (!parentId) return true;
+        (broadcastQuotes[parentId] = broadcastQuotes[parentId] || []).push(p);
+        return false;
+      });
+
+      const normalizedBroadcasts = broadcasts.map((b) => {
+        const budgetPretty = safeINR(b.budget);
+        const quotes = broadcastQuotes[b.id] || [];
+        return {
+          ...b,
+          __rowId: `broadcast-${b.id}`,
+          __type: 'BROADCAST',
+          __title: b.title || b.product_name || 'Requirement',
+          __vendorName: (b.recipients || []).map((r) => r.vendor?.company_name).filter(Boolean).join(', '),
+          __createdAt: b.created_at,
+          __status: b.responded_count ? 'RECEIVED' : 'SENT',
+          __qtyText: b.quantity ? `${b.quantity}${b.unit && !String(b.quantity).includes(b.unit) ? ` ${b.unit}` : ''}` : null,
+          __budgetText: budgetPretty ? `₹${budgetPretty}` : null,
+          __quotes: quotes,
+          __sourceNote: `Aapne ye requirement ${b.sent_count} suppliers ko ek saath bheji.`,
+        };
+      });
+
+      const merged = [...normalizedBroadcasts, ...standalone, ...normalizedLeads].sort((a, b) => {
         const da = new Date(a.__createdAt || 0).getTime();
         const db = new Date(b.__createdAt || 0).getTime();
         return db - da;
       });
 
       setItems(merged || []);
-      if (proposalsRes.status === 'rejected' && leadsRes.status === 'rejected') {
+      if (proposalsRes.status === 'rejected' && leadsRes.status === 'rejected' && broadcastsRes.status === 'rejected') {
         toast({ title: 'Error', description: 'Failed to load your enquiries/proposals', variant: 'destructive' });
       }
     } catch (error) {
@@ -211,6 +274,10 @@ const Proposals = () => {
     });
   }, [items, searchTerm]);
 
+  const toggleQuoteSelection = (id) => {
+    setSelectedQuotes((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-10)));
+  };
+
   const handleResendProposal = (item) => {
     const targetVendorId = String(item?.vendor_id || '').trim();
     if (!targetVendorId) {
@@ -257,6 +324,18 @@ const Proposals = () => {
             />
           </div>
 
+          {selectedQuotes.length ? (
+            <Button
+              variant="outline"
+              className="whitespace-nowrap"
+              disabled={selectedQuotes.length < 2}
+              onClick={() => navigate(`/buyer/proposals/compare?ids=${selectedQuotes.join(',')}`)}
+            >
+              <Scale className="h-4 w-4 mr-1" />
+              Compare ({selectedQuotes.length})
+            </Button>
+          ) : null}
+
           <Link to="/buyer/proposals/new">
             <Button className="bg-[#003D82] hover:bg-[#002a5c]">
               <Plus className="h-4 w-4 mr-1" />
@@ -284,19 +363,50 @@ const Proposals = () => {
           </div>
         ) : (
           filteredItems.map((item) => {
-            const kind = item.__type; // ENQUIRY | REQUEST | QUOTATION
+            const kind = item.__type; // ENQUIRY | REQUEST | QUOTATION | BROADCAST
             const kindLabel =
               kind === 'ENQUIRY' ? 'Enquiry Sent' :
               kind === 'REQUEST' ? 'Request Sent' :
               kind === 'QUOTATION' ? 'Quotation Received' :
+              kind === 'BROADCAST' ? `Sent to ${item.sent_count} Suppliers` :
               'Item';
 
             const typeBadge = getBadge(kind);
 
+            const broadcastQuoteIds = kind === 'BROADCAST' ? item.__quotes.map((q) => q.id) : [];
+
             const actionRight =
-              kind === 'QUOTATION'
+              kind === 'BROADCAST'
+                ? (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={!broadcastQuoteIds.length}
+                    onClick={() =>
+                      navigate(
+                        broadcastQuoteIds.length === 1
+                          ? `/buyer/proposals/${broadcastQuoteIds[0]}`
+                          : `/buyer/proposals/compare?ids=${broadcastQuoteIds.join(',')}`
+                      )
+                    }
+                  >
+                    <Scale className="h-4 w-4 mr-1" />
+                    {broadcastQuoteIds.length > 1 ? `Compare Quotes (${broadcastQuoteIds.length})` : 'View Quote'}
+                  </Button>
+                )
+                : kind === 'QUOTATION'
                 ? (
                   <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-2">
+                    <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 accent-[#003D82]"
+                        checked={selectedQuotes.includes(item.id)}
+                        onChange={() => toggleQuoteSelection(item.id)}
+                      />
+                      Compare
+                    </label>
+
                     <div className="h-9 min-w-[210px] px-3 rounded-md border bg-gray-50 text-sm text-gray-700 flex items-center">
                       Vendor locked: {item?.vendors?.company_name || item?.__vendorName || 'Selected vendor'}
                     </div>
@@ -318,8 +428,13 @@ const Proposals = () => {
                   </div>
                 )
                 : (
-                  <Button variant="outline" size="sm" disabled>
-                    View Quotes
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={kind !== 'REQUEST' || !item.__quoteCount}
+                    onClick={() => navigate(`/buyer/proposals/compare?rfq=${item.id}`)}
+                  >
+                    View Quotes{item.__quoteCount ? ` (${item.__quoteCount})` : ''}
                   </Button>
                 );
 
@@ -352,10 +467,24 @@ const Proposals = () => {
                           <span>{formatDate(item.__createdAt)}</span>
                         </div>
 
-                        <div className="flex items-center gap-1">
-                          <span className="font-medium text-gray-700">Vendor:</span>
-                          <span>{item.__vendorName}</span>
-                        </div>
+                        {kind === 'BROADCAST' ? (
+                          <div className="flex items-center gap-3">
+                            <span className="flex items-center gap-1">
+                              <Users className="h-4 w-4" /> {item.sent_count} sent
+                            </span>
+                            <span className="flex items-center gap-1">
+                              <Eye className="h-4 w-4" /> {item.viewed_count} viewed
+                            </span>
+                            <span className="flex items-center gap-1">
+                              <CheckCircle2 className="h-4 w-4" /> {item.responded_count} quoted
+                            </span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-1">
+                            <span className="font-medium text-gray-700">Vendor:</span>
+                            <span>{item.__vendorName}</span>
+                          </div>
+                        )}
 
                         {(item?.vendors?.email || item?.vendors?.phone) ? (
                           <div className="flex items-center gap-1">
@@ -391,6 +520,30 @@ const Proposals = () => {
                         </div>
                       ) : null}
 
+                      {/* ✅ Suppliers of a broadcast requirement: who viewed / quoted */}
+                      {kind === 'BROADCAST' ? (
+                        <div className="divide-y rounded-md border">
+                          {(item.recipients || []).map((r) => {
+                            const state = RECIPIENT_STATUS[r.status] || RECIPIENT_STATUS.SENT;
+                            const quoteTotal = safeINR(r.quotation_total);
+                            return (
+                              <div key={r.vendor_id} className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-sm">
+                                <span className="font-medium text-gray-700">{r.vendor?.company_name || 'Supplier'}</span>
+                                <div className="flex items-center gap-2">
+                                  {quoteTotal ? <span className="text-gray-600">₹{quoteTotal}</span> : null}
+                                  <Badge className={`${state.className} border-0`}>{state.label}</Badge>
+                                  {r.quotation_id ? (
+                                    <Link to={`/buyer/proposals/${r.quotation_id}`} className="text-[#003D82] text-xs hover:underline">
+                                      View
+                                    </Link>
+                                  ) : null}
+                                </div>
+                              </div>
+                            );
+                          })}
+                        </div>
+                      ) : null}
+
                       {/* small note */}
                       {item.__sourceNote ? (
                         <p className="text-xs text-gray-500">{item.__sourceNote}</p>
@@ -1,5 +1,7 @@
 import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { quotationApi } from '@/modules/vendor/services/quotationApi';
+import { buyerApi } from '@/modules/buyer/services/buyerApi';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -87,7 +89,7 @@ const BuyerQuotations = () => {
             </div>
           ) : (
             filteredQuotations.map(quotation => (
-              <QuotationCard key={quotation.id} quotation={quotation} />
+              <QuotationCard key={quotation.id} quotation={quotation} onAccepted={loadQuotations} />
             ))
           )}
         </TabsContent>
@@ -96,8 +98,29 @@ const BuyerQuotations = () => {
   );
 };
 
-const QuotationCard = ({ quotation }) => {
+const QuotationCard = ({ quotation, onAccepted }) => {
+  const navigate = useNavigate();
   const vendor = quotation.vendors || {};
+  const [accepting, setAccepting] = useState(false);
+  const isOpen = !['ACCEPTED', 'REJECTED'].includes(String(quotation.status || '').toUpperCase());
+
+  // ✅ Quotes answering a request are decided side by side; standalone quotes are accepted directly
+  const handleAccept = async () => {
+    if (quotation.rfq_id) {
+      navigate(`/buyer/proposals/compare?rfq=${quotation.rfq_id}`);
+      return;
+    }
+    setAccepting(true);
+    try {
+      await buyerApi.awardQuotation(quotation.id);
+      toast({ title: 'Quotation accepted', description: 'The vendor has been notified.' });
+      onAccepted?.();
+    } catch (error) {
+      toast({ title: 'Could not accept quotation', description: error.message, variant: 'destructive' });
+    } finally {
+      setAccepting(false);
+    }
+  };
 
   return (
     <Card className="hover:shadow-md transition-shadow">
@@ -176,7 +199,12 @@ const QuotationCard = ({ quotation }) => {
               <Button variant="outline" className="flex-1">
                 Contact Vendor
               </Button>
-              <Button className="flex-1 bg-[#00A699] hover:bg-[#00857A]">
+              <Button
+                className="flex-1 bg-[#00A699] hover:bg-[#00857A]"
+                disabled={!isOpen || accepting}
+                onClick={handleAccept}
+              >
+                {accepting ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
                 Accept Quote
               </Button>
             </div>
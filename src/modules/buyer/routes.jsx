@@ -17,6 +17,7 @@ const BuyerRegister = lazy(() => import("@/modules/buyer/pages/auth/Register"));
 const BuyerLogin = lazy(() => import("@/modules/buyer/pages/auth/Login"));
 const ForgotPassword = lazy(() => import("@/shared/pages/ForgotPassword"));
 const ProposalDetail = lazy(() => import("@/modules/buyer/pages/ProposalDetail"));
+const CompareQuotations = lazy(() => import("@/modules/buyer/pages/CompareQuotations"));
 
 import { Loader2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -148,6 +149,7 @@ export const BuyerRoutes = () => {
               <Route path="dashboard" element={<BuyerDashboard />} />
               <Route path="proposals" element={<Proposals />} />
               <Route path="proposals/new" element={<CreateProposal />} />
+              <Route path="proposals/compare" element={<CompareQuotations />} />
               <Route path="proposals/:id" element={<ProposalDetail />} />
               <Route path="profile" element={<BuyerProfile />} />
               <Route path="messages" element={<BuyerMessages />} />
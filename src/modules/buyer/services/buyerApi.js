@@ -20,42 +20,11 @@ const stripUndefined = (obj) => {
   return cleaned;
 };
 
-const MESSAGE_MARKERS = {
-  edited: /^::itm_edited::$/i,
-  deliveredBuyer: /^::itm_delivered_buyer::(.+)$/i,
-  deliveredVendor: /^::itm_delivered_vendor::(.+)$/i,
-  readBuyer: /^::itm_read_buyer::(.+)$/i,
-  readVendor: /^::itm_read_vendor::(.+)$/i,
-};
-
-const normalizeProposalMessage = (row = {}) => {
-  const lines = String(row?.message || '').replace(/\r\n/g, '\n').split('\n');
-  const contentLines = [];
-  let isEdited = false;
-
-  for (const line of lines) {
-    const trimmed = String(line || '').trim();
-    if (
-      MESSAGE_MARKERS.edited.test(trimmed) ||
-      MESSAGE_MARKERS.deliveredBuyer.test(trimmed) ||
-      MESSAGE_MARKERS.deliveredVendor.test(trimmed) ||
-      MESSAGE_MARKERS.readBuyer.test(trimmed) ||
-      MESSAGE_MARKERS.readVendor.test(trimmed)
-    ) {
-      if (MESSAGE_MARKERS.edited.test(trimmed)) {
-        isEdited = true;
-      }
-      continue;
-    }
-    contentLines.push(line);
-  }
-
-  return {
-    ...row,
-    message: contentLines.join('\n').trimEnd(),
-    is_edited: isEdited || Boolean(row?.is_edited),
-  };
-};
+// ✅ Edits/receipts are structured columns now (migration 20261108); no text markers to strip
+const normalizeProposalMessage = (row = {}) => ({
+  ...row,
+  is_edited: Boolean(row?.is_edited || row?.edited_at),
+});
 
 // ✅ Safe lead insert with fallback (agar leads table me buyer_id/buyer_user_id columns na ho)
 const insertLeadSafely = async (leadPayload) => {
@@ -168,6 +137,52 @@ export const buyerApi = {
     return data.publicUrl;
   },
 
+  // --- SUPPLIER CONTACT FEEDBACK ---
+  // Suppliers who unlocked the buyer's requirements and still need a "did they contact you?" answer
+  getLeadFeedbackPrompts: async () => {
+    const res = await fetchWithCsrf(apiUrl('/api/auth/buyer/lead-feedback'));
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(json?.error || 'Failed to load feedback requests');
+    }
+    return json?.pending || [];
+  },
+
+  submitLeadFeedback: async (purchaseId, contacted, comment = '') => {
+    const res = await fetchWithCsrf(apiUrl(`/api/auth/buyer/lead-feedback/${encodeURIComponent(purchaseId)}`), {
+      method: 'POST',
+      body: JSON.stringify({ contacted, comment }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(json?.error || 'Failed to save feedback');
+    }
+    return json?.feedback || null;
+  },
+
+  // --- RFQ LINE ITEMS ---
+  getProposalItems: async (proposalId) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/${encodeURIComponent(proposalId)}/items`));
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(json?.error || 'Failed to load items');
+    }
+    return json?.items || [];
+  },
+
+  // Replace the product lines of a requirement (target prices optional)
+  saveProposalItems: async (proposalId, { items, ...terms } = {}) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/${encodeURIComponent(proposalId)}/items`), {
+      method: 'PUT',
+      body: JSON.stringify({ items, ...terms }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error(json?.error || 'Failed to save requirement items');
+    }
+    return json;
+  },
+
   // --- STATISTICS ---
   getStats: async (buyerId) => {
     if (!buyerId) {
@@ -232,6 +247,14 @@ export const buyerApi = {
       urlVendorId ||
       null;
 
+    // ✅ Several suppliers picked: one broadcast RFQ, one linked proposal per supplier
+    const broadcastVendorIds = (Array.isArray(proposalData?.vendor_ids) ? proposalData.vendor_ids : [])
+      .map(normalizeVendorId)
+      .filter(Boolean);
+    if (broadcastVendorIds.length && !resolvedVendorId) {
+      return buyerApi.broadcastRequirement({ ...proposalData, vendor_ids: broadcastVendorIds });
+    }
+
     const buyerId = await getBuyerId();
     const user = await getAuthUser();
 
@@ -721,25 +744,77 @@ export const buyerApi = {
     };
   },
 
+  // ✅ Goes through the API so sender_role/receipts are recorded server-side
   addProposalMessage: async (proposalId, message) => {
-    const user = await getAuthUser();
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/${encodeURIComponent(proposalId)}/messages`), {
+      method: 'POST',
+      body: JSON.stringify({ message }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to send message');
+    return json.message;
+  },
 
-    const { data, error } = await supabase
-      .from('proposal_messages')
-      .insert([{
-        proposal_id: proposalId,
-        sender_id: user.id,
-        message: message,
-        created_at: new Date().toISOString()
-      }])
-      .select()
-      .single();
+  // ✅ Side-by-side comparison: all quotes of an RFQ ({ rfqId }) or hand-picked quotes ({ ids })
+  compareQuotations: async ({ rfqId, ids = [] } = {}) => {
+    const params = new URLSearchParams();
+    if (rfqId) params.set('rfq_id', rfqId);
+    else params.set('ids', ids.join(','));
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/compare?${params.toString()}`));
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to compare quotations');
+    return json;
+  },
 
-    if (error) throw error;
-    return data;
+  // ✅ Accept one quotation; the other quotes of the requirement are declined and every vendor notified
+  awardQuotation: async (quotationId, { compareIds = [], reason = '' } = {}) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/${quotationId}/award`), {
+      method: 'POST',
+      body: JSON.stringify({ compare_ids: compareIds, reason }),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to accept quotation');
+    return json;
+  },
+
+  // ✅ Verified suppliers for a micro category, local ones first
+  getBroadcastSuggestions: async ({ microCategoryId, cityId } = {}) => {
+    const params = new URLSearchParams({ micro_category_id: microCategoryId || '' });
+    if (cityId) params.set('city_id', cityId);
+    const res = await fetchWithCsrf(apiUrl(`/api/quotation/broadcasts/suggestions?${params.toString()}`));
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to load suppliers');
+    return { vendors: json.vendors || [], maxVendors: json.max_vendors || 0 };
+  },
+
+  // ✅ One requirement (with line items) sent to every picked supplier as its own RFQ
+  broadcastRequirement: async (requirement = {}) => {
+    const res = await fetchWithCsrf(apiUrl('/api/quotation/broadcasts'), {
+      method: 'POST',
+      body: JSON.stringify(requirement),
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to send requirement');
+    return json;
+  },
+
+  // ✅ Broadcast requirements with who viewed / responded
+  getBroadcasts: async () => {
+    const res = await fetchWithCsrf(apiUrl('/api/quotation/broadcasts'));
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || 'Failed to load requirements');
+    return json.broadcasts || [];
   },
 
   updateProposalStatus: async (proposalId, status) => {
+    // Accepting goes through the award flow so the other vendors hear back and the decision is recorded
+    if (String(status || '').toUpperCase() === 'ACCEPTED') {
+      await buyerApi.awardQuotation(proposalId);
+      const { data, error } = await supabase.from('proposals').select('*').eq('id', proposalId).single();
+      if (error) throw error;
+      return data;
+    }
+
     const { data, error } = await supabase
       .from('proposals')
       .update({ status, updated_at: new Date().toISOString() })
@@ -1,5 +1,6 @@
 // ✅ File: src/modules/directory/api/directoryApi.js
 import { supabase } from '@/lib/customSupabaseClient';
+import { apiUrl } from '@/lib/apiBase';
 
 // ✅ helper (only used for getTopCities fallback slug)
 const slugify = (text = '') =>
@@ -206,6 +207,28 @@ export const directoryApi = {
     }
   },
 
+  /**
+   * GET /api/dir/suggest — grouped autocomplete, popularity-weighted.
+   * Returns { categories, products, vendors, cities, queries } (only the requested groups).
+   */
+  suggest: async (q, { types = [], limit } = {}) => {
+    const term = String(q || '').trim();
+    if (term.length < 2) return {};
+
+    const qs = new URLSearchParams({ q: term });
+    if (types.length) qs.set('types', types.join(','));
+    if (limit) qs.set('limit', String(limit));
+
+    const res = await fetch(apiUrl(`/api/dir/suggest?${qs.toString()}`), {
+      headers: { Accept: 'application/json' },
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json?.success) {
+      throw new Error(json?.details || json?.error || 'Suggestions failed');
+    }
+    return json.groups || {};
+  },
+
   searchMicroCategories: async (q) => {
     if (!q || q.length < 2) return [];
 
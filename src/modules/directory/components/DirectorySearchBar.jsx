@@ -97,6 +97,25 @@ const resolveLocationSlugs = async (locText) => {
   return { stateSlug: '', citySlug: '' };
 };
 
+const SUGGEST_GROUPS = [
+  { key: 'categories', label: 'Categories' },
+  { key: 'products', label: 'Products' },
+  { key: 'vendors', label: 'Suppliers' },
+  { key: 'cities', label: 'Cities' },
+  { key: 'queries', label: 'Popular searches' },
+];
+
+const flattenSuggestGroups = (groups = {}) =>
+  SUGGEST_GROUPS.flatMap(({ key }) => (groups[key] || []).map((item) => ({ ...item, group: key })));
+
+const suggestionSubtitle = (item) => {
+  if (item.group === 'categories') return item.path;
+  if (item.group === 'products') return item.listing_count > 1 ? `${item.listing_count} listings` : '';
+  if (item.group === 'vendors') return [item.city, item.state].filter(Boolean).join(', ');
+  if (item.group === 'cities') return item.state_name || '';
+  return '';
+};
+
 const DirectorySearchBar = ({
   initialService = '',
   initialState = '',
@@ -185,17 +204,44 @@ const DirectorySearchBar = ({
         return;
       }
       try {
-        const res = await directoryApi.searchMicroCategories(q);
-        setSuggestions(res || []);
+        const groups = await directoryApi.suggest(q, { limit: 4 });
+        setSuggestions(flattenSuggestGroups(groups));
       } catch (e) {
-        console.error('Suggestion search failed', e);
-        setSuggestions([]);
+        // API unavailable -> category-only suggestions straight from Supabase
+        try {
+          const res = await directoryApi.searchMicroCategories(q);
+          setSuggestions((res || []).map((item) => ({ ...item, group: 'categories' })));
+        } catch (err) {
+          console.error('Suggestion search failed', err);
+          setSuggestions([]);
+        }
       }
     }, 250);
 
     return () => clearTimeout(t);
   }, [serviceText, enableSuggestions]);
 
+  const handlePickSuggestion = (item) => {
+    setSuggestions([]);
+    setShowSuggestions(false);
+
+    if (item.group === 'vendors') {
+      navigate(`/directory/vendor/${item.id}`);
+      return;
+    }
+
+    if (item.group === 'cities') {
+      // Clear the previous state's city list so the new city isn't reset before it loads
+      setCities([]);
+      setSelectedStateSlug(item.state_slug || '');
+      setSelectedCitySlug(item.state_slug ? item.slug : '');
+      return;
+    }
+
+    setServiceText(item.name);
+    setServiceSlug(item.group === 'categories' ? item.slug : '');
+  };
+
   const canShowSuggestions = useMemo(
     () => enableSuggestions && showSuggestions && suggestions.length > 0,
     [enableSuggestions, showSuggestions, suggestions.length]
@@ -285,23 +331,31 @@ const DirectorySearchBar = ({
 
           {canShowSuggestions && (
             <div className="absolute top-full left-0 right-0 bg-white rounded-lg shadow-xl mt-2 z-50 overflow-hidden text-left border border-gray-100">
-              {suggestions.map((item) => (
-                <button
-                  key={item.id}
-                  type="button"
-                  className="w-full px-4 py-3 hover:bg-slate-50 text-left border-b last:border-0"
-                  onMouseDown={(e) => e.preventDefault()}
-                  onClick={() => {
-                    setServiceText(item.name);
-                    setServiceSlug(item.slug);
-                    setSuggestions([]);
-                    setShowSuggestions(false);
-                  }}
-                >
-                  <div className="font-medium text-slate-800">{item.name}</div>
-                  <div className="text-xs text-slate-500">{item.path}</div>
-                </button>
-              ))}
+              {SUGGEST_GROUPS.map(({ key, label }) => {
+                const items = suggestions.filter((item) => item.group === key);
+                if (!items.length) return null;
+                return (
+                  <div key={key}>
+                    <div className="px-4 pt-2 pb-1 text-[11px] font-semibold uppercase tracking-wide text-slate-400 bg-slate-50">
+                      {label}
+                    </div>
+                    {items.map((item) => (
+                      <button
+                        key={`${key}:${item.type}:${item.id || item.name}`}
+                        type="button"
+                        className="w-full px-4 py-2.5 hover:bg-slate-50 text-left border-b last:border-0"
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => handlePickSuggestion(item)}
+                      >
+                        <div className="font-medium text-slate-800">{item.name}</div>
+                        {suggestionSubtitle(item) && (
+                          <div className="text-xs text-slate-500">{suggestionSubtitle(item)}</div>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                );
+              })}
             </div>
           )}
         </div>
@@ -8,16 +8,46 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { Slider } from '@/components/ui/react-slider';
 import Card from '@/shared/components/Card';
 
-const SearchFilters = ({ filters, setFilters }) => {
+export const PRICE_MAX = 100000;
+
+export const DEFAULT_SEARCH_FILTERS = {
+  priceRange: [0, PRICE_MAX],
+  rating: 0,
+  verified: false,
+  gstVerified: false,
+  inStock: false,
+  minTrust: 0,
+  planTiers: [],
+  maxMoq: 0,
+  categoryIds: [],
+};
+
+const TIER_LABELS = {
+  DIAMOND: 'Diamond',
+  GOLD: 'Gold',
+  SILVER: 'Silver',
+  BOOSTER: 'Booster',
+  CERTIFIED: 'Certified',
+  STARTUP: 'Startup',
+  TRIAL: 'Free listing',
+};
+
+const withCount = (label, count) => (typeof count === 'number' ? `${label} (${count})` : label);
+
+const toggleInList = (list, value) =>
+  (list || []).includes(value) ? list.filter((x) => x !== value) : [...(list || []), value];
+
+const SearchFilters = ({ filters, setFilters, facets = null }) => {
   const handleReset = () => {
-    setFilters({
-      priceRange: [0, 100000],
-      rating: 0,
-      verified: false,
-      inStock: false,
-    });
+    setFilters({ ...DEFAULT_SEARCH_FILTERS });
   };
 
+  const priceBuckets = facets?.price?.buckets || [];
+  const trustBuckets = facets?.trust_score || [];
+  const planBuckets = facets?.plan_tier || [];
+  const moqBuckets = facets?.moq || [];
+  const categoryBuckets = facets?.category || [];
+
   return (
     <Card>
       <Card.Header>
@@ -37,7 +67,7 @@ const SearchFilters = ({ filters, setFilters }) => {
           </Button>
         </div>
       </Card.Header>
-      
+
       <Card.Content className="space-y-6">
         {/* Price Range */}
         <div>
@@ -46,14 +76,41 @@ const SearchFilters = ({ filters, setFilters }) => {
             value={filters.priceRange}
             onValueChange={(value) => setFilters({ ...filters, priceRange: value })}
             min={0}
-            max={100000}
+            max={PRICE_MAX}
             step={1000}
             className="mb-2"
           />
           <div className="flex justify-between text-sm text-neutral-600">
             <span>₹{filters.priceRange[0].toLocaleString()}</span>
-            <span>₹{filters.priceRange[1].toLocaleString()}</span>
+            <span>
+              ₹{filters.priceRange[1].toLocaleString()}
+              {filters.priceRange[1] >= PRICE_MAX ? '+' : ''}
+            </span>
           </div>
+          {priceBuckets.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-2">
+              {priceBuckets
+                .filter((b) => b.count > 0)
+                .map((b) => (
+                  <button
+                    key={b.key}
+                    type="button"
+                    onClick={() =>
+                      setFilters({
+                        ...filters,
+                        priceRange: [b.min ?? 0, Math.min(b.max ?? PRICE_MAX, PRICE_MAX)],
+                      })
+                    }
+                    className="text-xs px-2 py-1 rounded-full border border-neutral-200 hover:border-[#003D82] text-neutral-700"
+                  >
+                    {b.max == null
+                      ? `₹${Number(b.min).toLocaleString()}+`
+                      : `₹${Number(b.min ?? 0).toLocaleString()}–${Number(b.max).toLocaleString()}`}{' '}
+                    ({b.count})
+                  </button>
+                ))}
+            </div>
+          )}
         </div>
 
         {/* Rating */}
@@ -65,7 +122,7 @@ const SearchFilters = ({ filters, setFilters }) => {
                 <Checkbox
                   id={`rating-${rating}`}
                   checked={filters.rating === rating}
-                  onCheckedChange={(checked) => 
+                  onCheckedChange={(checked) =>
                     setFilters({ ...filters, rating: checked ? rating : 0 })
                   }
                 />
@@ -88,19 +145,31 @@ const SearchFilters = ({ filters, setFilters }) => {
               <Checkbox
                 id="verified"
                 checked={filters.verified}
-                onCheckedChange={(checked) => 
+                onCheckedChange={(checked) =>
                   setFilters({ ...filters, verified: checked })
                 }
               />
               <label htmlFor="verified" className="text-sm cursor-pointer">
-                Verified Suppliers Only
+                {withCount('Verified Suppliers Only', facets?.verification?.verified)}
+              </label>
+            </div>
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id="gstVerified"
+                checked={filters.gstVerified}
+                onCheckedChange={(checked) =>
+                  setFilters({ ...filters, gstVerified: checked })
+                }
+              />
+              <label htmlFor="gstVerified" className="text-sm cursor-pointer">
+                {withCount('GST Registered', facets?.verification?.gst_verified)}
               </label>
             </div>
             <div className="flex items-center space-x-2">
               <Checkbox
                 id="inStock"
                 checked={filters.inStock}
-                onCheckedChange={(checked) => 
+                onCheckedChange={(checked) =>
                   setFilters({ ...filters, inStock: checked })
                 }
               />
@@ -110,6 +179,98 @@ const SearchFilters = ({ filters, setFilters }) => {
             </div>
           </div>
         </div>
+
+        {/* Trust score */}
+        {trustBuckets.length > 0 && (
+          <div>
+            <Label className="text-sm font-semibold mb-3 block">Trust Score</Label>
+            <div className="space-y-2">
+              {trustBuckets.map((b) => (
+                <div key={b.min} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`trust-${b.min}`}
+                    checked={filters.minTrust === b.min}
+                    onCheckedChange={(checked) =>
+                      setFilters({ ...filters, minTrust: checked ? b.min : 0 })
+                    }
+                  />
+                  <label htmlFor={`trust-${b.min}`} className="text-sm cursor-pointer">
+                    {withCount(`${b.min}+`, b.count)}
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Plan tier */}
+        {planBuckets.length > 0 && (
+          <div>
+            <Label className="text-sm font-semibold mb-3 block">Supplier Membership</Label>
+            <div className="space-y-2">
+              {planBuckets.map((b) => (
+                <div key={b.value} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`tier-${b.value}`}
+                    checked={(filters.planTiers || []).includes(b.value)}
+                    onCheckedChange={() =>
+                      setFilters({ ...filters, planTiers: toggleInList(filters.planTiers, b.value) })
+                    }
+                  />
+                  <label htmlFor={`tier-${b.value}`} className="text-sm cursor-pointer">
+                    {withCount(TIER_LABELS[b.value] || b.value, b.count)}
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Min order quantity */}
+        {moqBuckets.length > 0 && (
+          <div>
+            <Label className="text-sm font-semibold mb-3 block">Minimum Order</Label>
+            <div className="space-y-2">
+              {moqBuckets.map((b) => (
+                <div key={b.max} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`moq-${b.max}`}
+                    checked={filters.maxMoq === b.max}
+                    onCheckedChange={(checked) =>
+                      setFilters({ ...filters, maxMoq: checked ? b.max : 0 })
+                    }
+                  />
+                  <label htmlFor={`moq-${b.max}`} className="text-sm cursor-pointer">
+                    {withCount(b.max === 1 ? 'Single unit' : `Up to ${b.max} units`, b.count)}
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Category */}
+        {categoryBuckets.length > 1 && (
+          <div>
+            <Label className="text-sm font-semibold mb-3 block">Category</Label>
+            <motion.div layout className="space-y-2 max-h-56 overflow-y-auto pr-1">
+              {categoryBuckets.map((b) => (
+                <div key={b.id} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`cat-${b.id}`}
+                    checked={(filters.categoryIds || []).includes(b.id)}
+                    onCheckedChange={() =>
+                      setFilters({ ...filters, categoryIds: toggleInList(filters.categoryIds, b.id) })
+                    }
+                  />
+                  <label htmlFor={`cat-${b.id}`} className="text-sm cursor-pointer line-clamp-1">
+                    {withCount(b.name || 'Other', b.count)}
+                  </label>
+                </div>
+              ))}
+            </motion.div>
+          </div>
+        )}
       </Card.Content>
     </Card>
   );
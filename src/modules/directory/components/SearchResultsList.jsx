@@ -5,7 +5,7 @@ import { Star, MapPin, BadgeCheck, PackageX, Phone } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/shared/components/Badge';
 
-const SearchResultsList = ({ products, query, city, category }) => {
+const SearchResultsList = ({ products, query, city, category, onResultClick }) => {
   const navigate = useNavigate();
 
   const displayProducts = Array.isArray(products) ? products : [];
@@ -16,6 +16,12 @@ const SearchResultsList = ({ products, query, city, category }) => {
     return slugOrId ? `/p/${slugOrId}` : '/directory';
   };
 
+  // position is 1-based, as shown to the buyer
+  const openProduct = (product, index) => {
+    onResultClick?.(product, index + 1);
+    navigate(getProductDetailPath(product));
+  };
+
   const safeFirstImage = (product) => {
     const raw = product?.images;
 
@@ -249,7 +255,7 @@ const SearchResultsList = ({ products, query, city, category }) => {
               transition={{ duration: 0.5, delay: index * 0.05 }}
               whileHover={{ y: -4 }}
               className="bg-white rounded-lg shadow-md hover:shadow-xl transition-all border border-neutral-200 overflow-hidden cursor-pointer flex flex-col"
-              onClick={() => navigate(getProductDetailPath(product))}
+              onClick={() => openProduct(product, index)}
             >
               <div className="relative h-48 overflow-hidden bg-gray-100">
                 <img
@@ -291,7 +297,7 @@ const SearchResultsList = ({ products, query, city, category }) => {
                     className="bg-[#00796B] hover:bg-[#00695C] text-white h-9 px-4"
                     onClick={(e) => {
                       e.stopPropagation();
-                      navigate(getProductDetailPath(product));
+                      openProduct(product, index);
                     }}
                   >
                     Contact Supplier
@@ -305,6 +311,9 @@ const SearchResultsList = ({ products, query, city, category }) => {
                       {product.vendorCity || product.city}
                       {product.vendorState || product.state ? `, ${product.vendorState || product.state}` : ''}
                     </span>
+                    {product.distance_km != null && Number(product.distance_km) > 0 && (
+                      <span className="text-emerald-700">• {Number(product.distance_km).toFixed(0)} km away</span>
+                    )}
                   </div>
                 )}
 
@@ -339,7 +348,7 @@ const SearchResultsList = ({ products, query, city, category }) => {
                     className="text-[#0A7C65] text-sm font-semibold inline-flex items-center gap-2 hover:underline"
                     onClick={(e) => {
                       e.stopPropagation();
-                      navigate(getProductDetailPath(product));
+                      openProduct(product, index);
                     }}
                   >
                     <Phone className="h-4 w-4" />
@@ -358,7 +367,7 @@ const SearchResultsList = ({ products, query, city, category }) => {
                     className="w-full bg-[#003D82] hover:bg-[#00254E] text-white"
                     onClick={(e) => {
                       e.stopPropagation();
-                      navigate(getProductDetailPath(product));
+                      openProduct(product, index);
                     }}
                   >
                     View Details
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Star } from 'lucide-react';
+
+/**
+ * Star display (read-only) or picker (when onChange is passed).
+ */
+const StarRating = ({ value = 0, onChange, size = 'h-4 w-4', className = '' }) => {
+  const rating = Number(value) || 0;
+  const interactive = typeof onChange === 'function';
+
+  return (
+    <div className={`flex items-center gap-0.5 ${className}`}>
+      {[1, 2, 3, 4, 5].map((star) => {
+        const filled = rating >= star - 0.25;
+        const icon = (
+          <Star className={`${size} ${filled ? 'text-orange-400 fill-orange-400' : 'text-gray-300'}`} />
+        );
+        return interactive ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            className="p-0.5 rounded focus:outline-none focus:ring-2 focus:ring-orange-300"
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,365 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, MessageSquareReply, Star } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import Card from '@/shared/components/Card';
+import { toast } from '@/components/ui/use-toast';
+import StarRating from '@/modules/directory/components/StarRating';
+import { reviewApi } from '@/modules/directory/services/reviewApi';
+
+const PAGE_SIZE = 10;
+
+const DIMENSIONS = [
+  { key: 'quality', label: 'Quality' },
+  { key: 'communication', label: 'Communication' },
+  { key: 'delivery', label: 'Delivery' },
+  { key: 'value', label: 'Value for money' },
+];
+
+const emptyDraft = () => ({
+  source: '',
+  product_id: '',
+  rating_overall: 0,
+  rating_quality: 0,
+  rating_communication: 0,
+  rating_delivery: 0,
+  rating_value: 0,
+  product_rating: 0,
+  title: '',
+  comment: '',
+});
+
+const formatDate = (value) => {
+  try {
+    return new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+  } catch {
+    return '';
+  }
+};
+
+export const RatingSummary = ({ summary }) => {
+  const count = Number(summary?.review_count || 0);
+  const avg = summary?.avg_overall !== null && summary?.avg_overall !== undefined ? Number(summary.avg_overall) : null;
+  const hasDistribution = [5, 4, 3, 2, 1].some((s) => summary?.[`stars_${s}`] !== undefined);
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-6">
+      <div className="text-center sm:text-left min-w-[140px]">
+        <div className="text-4xl font-bold text-gray-900">{avg !== null ? avg.toFixed(1) : '—'}</div>
+        <StarRating value={avg || 0} className="justify-center sm:justify-start my-1" />
+        <div className="text-sm text-gray-500">
+          {count} verified review{count === 1 ? '' : 's'}
+        </div>
+      </div>
+
+      {hasDistribution && count > 0 && (
+        <div className="flex-1 space-y-1">
+          {[5, 4, 3, 2, 1].map((star) => {
+            const n = Number(summary?.[`stars_${star}`] || 0);
+            return (
+              <div key={star} className="flex items-center gap-2 text-xs text-gray-600">
+                <span className="w-6">{star}★</span>
+                <div className="flex-1 h-2 rounded bg-gray-100 overflow-hidden">
+                  <div className="h-full bg-orange-400" style={{ width: `${count ? (n / count) * 100 : 0}%` }} />
+                </div>
+                <span className="w-8 text-right">{n}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {count > 0 && DIMENSIONS.some((d) => summary?.[`avg_${d.key}`] !== null && summary?.[`avg_${d.key}`] !== undefined) && (
+        <div className="flex-1 space-y-1 text-sm">
+          {DIMENSIONS.map((d) => {
+            const v = summary?.[`avg_${d.key}`];
+            if (v === null || v === undefined) return null;
+            return (
+              <div key={d.key} className="flex items-center justify-between gap-3">
+                <span className="text-gray-600">{d.label}</span>
+                <span className="flex items-center gap-1 font-medium text-gray-900">
+                  <Star className="h-3.5 w-3.5 text-orange-400 fill-orange-400" /> {Number(v).toFixed(1)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const ReviewItem = ({ review, footer = null }) => (
+  <div className="border-b last:border-b-0 py-4">
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <div className="flex items-center gap-2">
+        <StarRating value={review.rating_overall} />
+        {review.title && <span className="font-semibold text-gray-900">{review.title}</span>}
+      </div>
+      <span className="text-xs text-gray-400">{formatDate(review.created_at)}</span>
+    </div>
+    <div className="text-xs text-gray-500 mt-1">
+      {review.reviewer_name}
+      {review.reviewer_company ? `, ${review.reviewer_company}` : ''} · Verified{' '}
+      {review.source_type === 'QUOTATION' ? 'quotation' : 'enquiry'}
+      {review.product_name ? ` · ${review.product_name}` : ''}
+    </div>
+    {review.comment && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{review.comment}</p>}
+    {review.vendor_reply && (
+      <div className="mt-3 ml-4 rounded-md border-l-4 border-[#00A699] bg-gray-50 p-3 text-sm">
+        <div className="flex items-center gap-1 text-xs font-semibold text-gray-700 mb-1">
+          <MessageSquareReply className="h-3.5 w-3.5" /> Supplier response
+        </div>
+        <p className="text-gray-700 whitespace-pre-line">{review.vendor_reply}</p>
+      </div>
+    )}
+    {footer}
+  </div>
+);
+
+/**
+ * Reviews block for vendor profile (all reviews, buyers can write one) and
+ * product detail (pass productId; read-only).
+ */
+const VendorReviews = ({ vendorId, productId = null, products = [], canWrite = false, onSummary }) => {
+  const [loading, setLoading] = useState(true);
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const [sources, setSources] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [submitting, setSubmitting] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!vendorId) return;
+    setLoading(true);
+    try {
+      const data = await reviewApi.getVendorReviews(vendorId, { productId, limit: PAGE_SIZE });
+      setReviews(data?.reviews || []);
+      setTotal(data?.total || 0);
+      setSummary(data?.summary || null);
+      if (onSummary) onSummary(data?.summary || null);
+    } catch (e) {
+      console.warn('[VendorReviews] load failed:', e?.message || e);
+      setReviews([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [vendorId, productId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!canWrite || !vendorId || productId) return;
+    reviewApi
+      .getEligibility(vendorId)
+      .then((data) => setSources((data?.sources || []).filter((s) => !s.review_id)))
+      .catch(() => setSources([]));
+  }, [canWrite, vendorId, productId]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await reviewApi.getVendorReviews(vendorId, { productId, limit: PAGE_SIZE, offset: reviews.length });
+      setReviews((prev) => [...prev, ...(data?.reviews || [])]);
+    } catch (e) {
+      toast({ title: 'Could not load more reviews', description: e.message, variant: 'destructive' });
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const openDialog = () => {
+    const first = sources[0];
+    setDraft({ ...emptyDraft(), source: first ? `${first.source_type}:${first.source_id}` : '' });
+    setDialogOpen(true);
+  };
+
+  const submit = async () => {
+    const [source_type, source_id] = String(draft.source || '').split(':');
+    if (!source_type || !source_id) {
+      toast({ title: 'Choose what you are reviewing', variant: 'destructive' });
+      return;
+    }
+    if (!draft.rating_overall) {
+      toast({ title: 'Overall rating is required', variant: 'destructive' });
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await reviewApi.submitReview(vendorId, {
+        source_type,
+        source_id,
+        product_id: draft.product_id || null,
+        rating_overall: draft.rating_overall,
+        rating_quality: draft.rating_quality || null,
+        rating_communication: draft.rating_communication || null,
+        rating_delivery: draft.rating_delivery || null,
+        rating_value: draft.rating_value || null,
+        product_rating: draft.product_id ? draft.product_rating || null : null,
+        title: draft.title,
+        comment: draft.comment,
+      });
+      toast({ title: 'Thanks for your review', description: 'It will appear here once our team has checked it.' });
+      setSources((prev) => prev.filter((s) => `${s.source_type}:${s.source_id}` !== draft.source));
+      setDialogOpen(false);
+    } catch (e) {
+      toast({ title: 'Review not submitted', description: e.message, variant: 'destructive' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Content className="p-6 space-y-4">
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <RatingSummary summary={summary} />
+          {canWrite && sources.length > 0 && (
+            <Button className="bg-[#003D82]" onClick={openDialog}>
+              Write a review
+            </Button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-[#003D82]" />
+          </div>
+        ) : reviews.length === 0 ? (
+          <div className="text-center text-gray-500 py-6">
+            <Star className="h-12 w-12 mx-auto text-gray-300 mb-3" />
+            <p>No reviews yet.</p>
+          </div>
+        ) : (
+          <div>
+            {reviews.map((review) => (
+              <ReviewItem key={review.id} review={review} />
+            ))}
+            {reviews.length < total && (
+              <div className="pt-3 text-center">
+                <Button variant="outline" size="sm" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Show more reviews'}
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </Card.Content>
+
+      <Dialog open={dialogOpen} onOpenChange={setDialogOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Rate this supplier</DialogTitle>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-1.5">
+              <Label>Your dealing *</Label>
+              <select
+                className="h-9 w-full rounded-md border border-input bg-background px-2 text-sm"
+                value={draft.source}
+                onChange={(e) => setDraft((prev) => ({ ...prev, source: e.target.value }))}
+              >
+                {sources.map((s) => (
+                  <option key={`${s.source_type}:${s.source_id}`} value={`${s.source_type}:${s.source_id}`}>
+                    {s.label} ({formatDate(s.date)})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <Label>Overall *</Label>
+              <StarRating
+                value={draft.rating_overall}
+                size="h-6 w-6"
+                onChange={(v) => setDraft((prev) => ({ ...prev, rating_overall: v }))}
+              />
+            </div>
+            {DIMENSIONS.map((d) => (
+              <div key={d.key} className="flex items-center justify-between">
+                <Label className="font-normal text-gray-600">{d.label}</Label>
+                <StarRating
+                  value={draft[`rating_${d.key}`]}
+                  onChange={(v) => setDraft((prev) => ({ ...prev, [`rating_${d.key}`]: v }))}
+                />
+              </div>
+            ))}
+
+            {products.length > 0 && (
+              <div className="space-y-1.5">
+                <Label>Product (optional)</Label>
+                <select
+                  className="h-9 w-full rounded-md border border-input bg-background px-2 text-sm"
+                  value={draft.product_id}
+                  onChange={(e) => setDraft((prev) => ({ ...prev, product_id: e.target.value }))}
+                >
+                  <option value="">Not about a specific product</option>
+                  {products.map((p) => (
+                    <option key={p.id} value={p.id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+                {draft.product_id && (
+                  <div className="flex items-center justify-between pt-1">
+                    <Label className="font-normal text-gray-600">Product rating</Label>
+                    <StarRating
+                      value={draft.product_rating}
+                      onChange={(v) => setDraft((prev) => ({ ...prev, product_rating: v }))}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="space-y-1.5">
+              <Label htmlFor="review-title">Title</Label>
+              <Input
+                id="review-title"
+                maxLength={120}
+                value={draft.title}
+                onChange={(e) => setDraft((prev) => ({ ...prev, title: e.target.value }))}
+                placeholder="Sum up your experience"
+              />
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor="review-comment">Review</Label>
+              <Textarea
+                id="review-comment"
+                maxLength={2000}
+                className="min-h-[100px]"
+                value={draft.comment}
+                onChange={(e) => setDraft((prev) => ({ ...prev, comment: e.target.value }))}
+                placeholder="What went well, what could be better?"
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setDialogOpen(false)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button className="bg-[#003D82]" onClick={submit} disabled={submitting}>
+              {submitting ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Submit review'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default VendorReviews;
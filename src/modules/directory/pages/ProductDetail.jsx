@@ -3,6 +3,8 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
 import { supabase } from '@/lib/customSupabaseClient';
 import { directoryApi } from '@/modules/directory/api/directoryApi';
+import StarRating from '@/modules/directory/components/StarRating';
+import VendorReviews from '@/modules/directory/components/VendorReviews';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Input } from '@/components/ui/input';
@@ -668,6 +670,14 @@ const ProductDetail = () => {
               </div>
             </div>
 
+            {Number(data.rating_count) > 0 && (
+              <a href="#product-reviews" className="flex items-center gap-2 text-sm text-slate-600 mb-2">
+                <StarRating value={data.rating_avg} />
+                <span className="font-medium text-slate-900">{Number(data.rating_avg).toFixed(1)}</span>
+                <span>({data.rating_count} review{Number(data.rating_count) === 1 ? '' : 's'})</span>
+              </a>
+            )}
+
             <div className="text-2xl font-bold text-[#003D82]">
               ₹{data.price}{' '}
               <span className="text-base font-normal text-slate-500">/ {data.price_unit}</span>
@@ -744,6 +754,13 @@ const ProductDetail = () => {
                 <div className="flex items-center gap-1 text-sm text-slate-500 mt-1">
                   <MapPin className="w-3 h-3" /> {vendor.city}, {vendor.state}
                 </div>
+                {vendor.seller_rating ? (
+                  <div className="flex items-center gap-1 text-sm text-slate-600 mt-1">
+                    <StarRating value={vendor.seller_rating} size="h-3.5 w-3.5" />
+                    <span className="font-medium">{Number(vendor.seller_rating).toFixed(1)}</span>
+                    <span className="text-slate-400">({vendor.review_count || 0})</span>
+                  </div>
+                ) : null}
                 {vendor.verification_badge && (
                   <Badge className="bg-green-100 text-green-700 hover:bg-green-100 border-none mt-2 h-5 px-2">
                     <CheckCircle className="w-3 h-3 mr-1" /> Verified Supplier
@@ -777,6 +794,18 @@ const ProductDetail = () => {
           </div>
         </div>
       </div>
+
+      {vendor?.id && (
+        <div id="product-reviews" className="mt-10 space-y-3">
+          <div className="flex items-center justify-between gap-3">
+            <h2 className="text-xl font-bold text-slate-900">Buyer Reviews</h2>
+            <Link to={`/directory/vendor/${vendor.id}?tab=reviews`} className="text-sm text-blue-600 hover:underline">
+              All reviews of {vendor.company_name}
+            </Link>
+          </div>
+          <VendorReviews vendorId={vendor.id} productId={data.id} />
+        </div>
+      )}
     </div>
   );
 };
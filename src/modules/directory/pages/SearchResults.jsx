@@ -3,7 +3,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Helmet } from 'react-helmet';
 import { useSearchParams, useParams, useLocation, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import SearchFilters from '@/modules/directory/components/SearchFilters';
+import SearchFilters, { DEFAULT_SEARCH_FILTERS, PRICE_MAX } from '@/modules/directory/components/SearchFilters';
 import SearchResultsList from '@/modules/directory/components/SearchResultsList';
 import PillBreadcrumbs from '@/shared/components/PillBreadcrumbs';
 import NearbyLocationNav from '@/modules/directory/components/NearbyLocationNav';
@@ -12,6 +12,7 @@ import { urlParser } from '@/shared/utils/urlParser';
 import { Loader2 } from 'lucide-react';
 import { supabase } from '@/lib/customSupabaseClient';
 import { locationService } from '@/shared/services/locationService';
+import { dirApi } from '@/modules/directory/services/dirApi';
 import { toast } from '@/components/ui/use-toast';
 
 const normalizeText = (t) =>
@@ -193,6 +194,53 @@ const getPlanPriority = (planName) => {
   return 10;
 };
 
+// Facet filters that /api/dir/search applies server-side
+const buildFilterParams = (filters) => {
+  const [minPrice, maxPrice] = filters?.priceRange || [0, PRICE_MAX];
+  return {
+    minPrice: minPrice > 0 ? minPrice : '',
+    maxPrice: maxPrice < PRICE_MAX ? maxPrice : '',
+    verified: filters?.verified ? 1 : '',
+    gstVerified: filters?.gstVerified ? 1 : '',
+    minTrust: filters?.minTrust || '',
+    planTier: filters?.planTiers || [],
+    maxMoq: filters?.maxMoq || '',
+    categoryId: filters?.categoryIds || [],
+  };
+};
+
+const API_PAGE_SIZE = 50;
+const API_MAX_PAGES = 6;
+
+const toResultRow = (p, planName) => {
+  const v = p?.vendors;
+  const vendorObj = Array.isArray(v) ? v[0] : v;
+  const vendorId = vendorObj?.id || null;
+
+  return {
+    ...p,
+    vendors: vendorObj,
+    vendorName: vendorObj?.company_name,
+    vendorId,
+    vendorCity: vendorObj?.city,
+    vendorState: vendorObj?.state,
+    vendorRating: vendorObj?.seller_rating || 4.5,
+    vendorVerified:
+      ['VERIFIED', 'APPROVED'].includes(String(vendorObj?.kyc_status || '').toUpperCase()) ||
+      !!vendorObj?.verification_badge,
+
+    // ✅ vendor meta fields (DB-driven)
+    vendorGstVerified: vendorObj?.gst_verified === true || vendorObj?.gst_verified === 1,
+    vendorEstablishedYear: vendorObj?.year_of_establishment ?? null, // kept for compatibility
+    vendorYearOfEstablishment: vendorObj?.year_of_establishment ?? null, // preferred
+    vendorYearsInBusiness: vendorObj?.years_in_business ?? null,
+    vendorResponseRate: vendorObj?.response_rate ?? null,
+
+    vendorPlanName: planName,
+    __planPriority: getPlanPriority(planName),
+  };
+};
+
 const SearchResults = () => {
   const [searchParams] = useSearchParams();
   const params = useParams();
@@ -206,14 +254,12 @@ const SearchResults = () => {
   });
 
   const [results, setResults] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [searchId, setSearchId] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  const [filters, setFilters] = useState({
-    priceRange: [0, 100000],
-    rating: 0,
-    verified: false,
-    inStock: false,
-  });
+  const [filters, setFilters] = useState({ ...DEFAULT_SEARCH_FILTERS });
+  const serverFilterKey = JSON.stringify(buildFilterParams(filters));
 
   const autoCorrectedRef = useRef(false);
 
@@ -421,10 +467,46 @@ const SearchResults = () => {
     return vendorIdToPlanName;
   };
 
+  // Ranked + faceted search through the API; returns null if the API is unavailable.
+  const fetchViaApi = async ({ ctx, serviceSlug, servicePhrase, stateId, cityId }) => {
+    const baseParams = {
+      q: ctx.type === 'text' ? servicePhrase : '',
+      microSlug: ctx.type === 'micro' ? serviceSlug : '',
+      subCategoryId: ctx.type === 'sub' ? ctx.subId : '',
+      headCategoryId: ctx.type === 'head' ? ctx.headId : '',
+      stateId,
+      cityId,
+      limit: API_PAGE_SIZE,
+      ...JSON.parse(serverFilterKey),
+    };
+
+    try {
+      const first = await dirApi.searchDirectory({ ...baseParams, page: 1 });
+      const rows = [...(first.data || [])];
+      const total = Number(first.count || 0);
+
+      for (let page = 2; page <= API_MAX_PAGES && rows.length < total; page++) {
+        const next = await dirApi.searchDirectory({ ...baseParams, page, facets: 0, log: 0 });
+        if (!next.data?.length) break;
+        rows.push(...next.data);
+      }
+
+      return {
+        rows: rows.map((p) => toResultRow(p, p?.vendor_plan_name || p?.vendors?.plan_name || '')),
+        facets: first.facets || null,
+        searchId: first.search_id || null,
+      };
+    } catch (err) {
+      console.warn('Directory API search unavailable, using direct query:', err?.message);
+      return null;
+    }
+  };
+
   useEffect(() => {
     const fetchResults = async () => {
       if (!parsedParams.serviceSlug) {
         setResults([]);
+        setFacets(null);
         setLoading(false);
         return;
       }
@@ -458,6 +540,29 @@ const SearchResults = () => {
           }
         }
 
+        const apiResult = await fetchViaApi({ ctx, serviceSlug, servicePhrase, stateId, cityId });
+        if (apiResult) {
+          setFacets(apiResult.facets);
+          setSearchId(apiResult.searchId);
+
+          const hasServerFilters = Object.values(JSON.parse(serverFilterKey)).some((v) =>
+            Array.isArray(v) ? v.length > 0 : v !== ''
+          );
+          if (apiResult.rows.length === 0 && !hasServerFilters) {
+            await tryAutoCorrect({
+              wrongSlug: serviceSlug,
+              stateSlug: parsedParams.stateSlug,
+              citySlug: parsedParams.citySlug,
+            });
+          }
+
+          // API order is already plan/slot + relevance ranked
+          setResults(apiResult.rows);
+          return;
+        }
+        setFacets(null);
+        setSearchId(null);
+
         // ✅ IMPORTANT: include vendor meta columns from DB
         const selectString = `
           *,
@@ -533,30 +638,7 @@ const SearchResults = () => {
           const v = p?.vendors;
           const vendorObj = Array.isArray(v) ? v[0] : v;
           const vendorId = vendorObj?.id || null;
-
-          const planName = vendorId ? vendorIdToPlanName.get(vendorId) || '' : '';
-          const planPriority = getPlanPriority(planName);
-
-          return {
-            ...p,
-            vendors: vendorObj,
-            vendorName: vendorObj?.company_name,
-            vendorId,
-            vendorCity: vendorObj?.city,
-            vendorState: vendorObj?.state,
-            vendorRating: vendorObj?.seller_rating || 4.5,
-            vendorVerified: vendorObj?.kyc_status === 'VERIFIED' || !!vendorObj?.verification_badge,
-
-            // ✅ vendor meta fields (DB-driven)
-            vendorGstVerified: vendorObj?.gst_verified === true || vendorObj?.gst_verified === 1,
-            vendorEstablishedYear: vendorObj?.year_of_establishment ?? null, // kept for compatibility
-            vendorYearOfEstablishment: vendorObj?.year_of_establishment ?? null, // preferred
-            vendorYearsInBusiness: vendorObj?.years_in_business ?? null,
-            vendorResponseRate: vendorObj?.response_rate ?? null,
-
-            vendorPlanName: planName,
-            __planPriority: planPriority,
-          };
+          return toResultRow(p, vendorId ? vendorIdToPlanName.get(vendorId) || '' : '');
         });
 
         const locationFiltered = mapped.filter((p) => productMatchesLocation(p, stateId, cityId, stateCityIdSet));
@@ -620,10 +702,20 @@ const SearchResults = () => {
     };
 
     fetchResults();
-  }, [parsedParams.serviceSlug, parsedParams.stateSlug, parsedParams.citySlug, searchParams]);
+  }, [parsedParams.serviceSlug, parsedParams.stateSlug, parsedParams.citySlug, searchParams, serverFilterKey]);
 
+  // Server applies the facet filters; these also cover the direct-query fallback.
   const filteredResults = (results || []).filter((item) => {
+    const [minPrice, maxPrice] = filters.priceRange || [0, PRICE_MAX];
+    const price = Number(item.price);
+    if (minPrice > 0 && !(price >= minPrice)) return false;
+    if (maxPrice < PRICE_MAX && !(price <= maxPrice)) return false;
+    if (filters.rating && Number(item.vendorRating || 0) < filters.rating) return false;
     if (filters.verified && !item.vendorVerified) return false;
+    if (filters.gstVerified && !item.vendorGstVerified) return false;
+    if (filters.minTrust && Number(item.vendors?.trust_score || 0) < filters.minTrust) return false;
+    if (filters.maxMoq && Number(item.min_order_qty ?? item.moq ?? 1) > filters.maxMoq) return false;
+    if (filters.categoryIds?.length && !filters.categoryIds.includes(item.micro_category_id)) return false;
     if (filters.inStock && !item.inStock) return false;
     return true;
   });
@@ -705,7 +797,7 @@ const SearchResults = () => {
         <div className="container mx-auto px-4 py-5">
           <div className="flex flex-col lg:flex-row gap-6">
             <aside className="w-full lg:w-64 flex-shrink-0 hidden lg:block">
-              <SearchFilters filters={filters} setFilters={setFilters} />
+              <SearchFilters filters={filters} setFilters={setFilters} facets={facets} />
             </aside>
 
             <main className="flex-1">
@@ -714,7 +806,19 @@ const SearchResults = () => {
                   <Loader2 className="w-8 h-8 animate-spin text-[#003D82]" />
                 </div>
               ) : (
-                <SearchResultsList products={filteredResults} city={cityName || stateName} category={serviceName} />
+                <SearchResultsList
+                  products={filteredResults}
+                  city={cityName || stateName}
+                  category={serviceName}
+                  onResultClick={(product, position) =>
+                    dirApi.logSearchClick({
+                      searchId,
+                      productId: product?.id,
+                      vendorId: product?.vendorId || product?.vendor_id,
+                      position,
+                    })
+                  }
+                />
               )}
             </main>
           </div>
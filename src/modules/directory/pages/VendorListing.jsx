@@ -1,9 +1,12 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { vendorService } from "@/modules/directory/services/vendorService";
+import { dirApi } from "@/modules/directory/services/dirApi";
 import Card from "@/shared/components/Card";
 import { Button } from "@/components/ui/button";
-import { MapPin, Star, ShieldCheck, Search } from "lucide-react";
+import { MapPin, Star, ShieldCheck, Search, Navigation } from "lucide-react";
+
+const RADIUS_OPTIONS = [10, 25, 50, 100, 250];
 
 const VendorListing = () => {
   const navigate = useNavigate();
@@ -17,6 +20,11 @@ const VendorListing = () => {
   const [selectedState, setSelectedState] = useState("ALL");
   const [selectedCity, setSelectedCity] = useState("ALL");
 
+  // ✅ "Within N km of city" (needs a city selected in the dropdown)
+  const [radiusKm, setRadiusKm] = useState("");
+  const [nearby, setNearby] = useState(null); // Map vendor_id -> { distance_km, serves_area }
+  const [nearbyLoading, setNearbyLoading] = useState(false);
+
   // ✅ Trigger "Search" button
   const [applyTick, setApplyTick] = useState(0);
 
@@ -69,6 +77,46 @@ const VendorListing = () => {
     setSelectedCity("ALL");
   }, [selectedState]);
 
+  // city name -> city_id (from the vendors we already have)
+  const selectedCityId = useMemo(() => {
+    if (selectedCity === "ALL") return null;
+    const match = vendors.find(
+      (v) =>
+        v?.city_id &&
+        String(v.city || "").trim() === selectedCity &&
+        (selectedState === "ALL" || String(v.state || "").trim() === selectedState)
+    );
+    return match?.city_id || null;
+  }, [vendors, selectedCity, selectedState]);
+
+  const radiusActive = applyTick > 0 && !!radiusKm && !!selectedCityId;
+
+  useEffect(() => {
+    if (!radiusActive) {
+      setNearby(null);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchNearby = async () => {
+      setNearbyLoading(true);
+      try {
+        const rows = await dirApi.getVendorsNearCity({ cityId: selectedCityId, radiusKm, limit: FETCH_LIMIT });
+        if (!cancelled) setNearby(new Map(rows.map((r) => [r.vendor_id, r])));
+      } catch (e) {
+        console.error("Nearby vendor search failed:", e);
+        if (!cancelled) setNearby(new Map());
+      } finally {
+        if (!cancelled) setNearbyLoading(false);
+      }
+    };
+
+    fetchNearby();
+    return () => {
+      cancelled = true;
+    };
+  }, [radiusActive, selectedCityId, radiusKm, applyTick]);
+
   // ✅ filtering logic (applies when applyTick changes OR when vendors change)
   const filteredVendors = useMemo(() => {
     // only apply after user clicks Search (applyTick)
@@ -78,19 +126,24 @@ const VendorListing = () => {
     const query = q.trim().toLowerCase();
     const cityQ = cityText.trim().toLowerCase();
 
-    return vendors.filter((v) => {
+    const list = vendors.filter((v) => {
       const company = String(v?.name || v?.company_name || "").toLowerCase();
       const city = String(v?.city || "").toLowerCase();
       const state = String(v?.state || "").toLowerCase();
       const primary = String(v?.primary_business_type || "").toLowerCase();
       const secondary = String(v?.secondary_business || "").toLowerCase();
 
-      // dropdown filters
-      if (selectedState !== "ALL" && String(v?.state || "").trim() !== selectedState) return false;
-      if (selectedCity !== "ALL" && String(v?.city || "").trim() !== selectedCity) return false;
+      if (radiusActive) {
+        // radius replaces the exact state/city match
+        if (!nearby?.has(v.id)) return false;
+      } else {
+        // dropdown filters
+        if (selectedState !== "ALL" && String(v?.state || "").trim() !== selectedState) return false;
+        if (selectedCity !== "ALL" && String(v?.city || "").trim() !== selectedCity) return false;
 
-      // city text input
-      if (cityQ && !city.includes(cityQ)) return false;
+        // city text input
+        if (cityQ && !city.includes(cityQ)) return false;
+      }
 
       // main search input
       if (query) {
@@ -105,7 +158,14 @@ const VendorListing = () => {
 
       return true;
     });
-  }, [vendors, q, cityText, selectedState, selectedCity, applyTick]);
+
+    if (!radiusActive) return list;
+
+    // nearest first; vendors that only serve the area (coverage) go last
+    return list
+      .map((v) => ({ ...v, distance_km: nearby?.get(v.id)?.distance_km ?? null, serves_area: !!nearby?.get(v.id)?.serves_area }))
+      .sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity));
+  }, [vendors, q, cityText, selectedState, selectedCity, applyTick, radiusActive, nearby]);
 
   const VendorImage = ({ src, name }) => {
     const [failed, setFailed] = useState(false);
@@ -139,6 +199,7 @@ const VendorListing = () => {
     setCityText("");
     setSelectedState("ALL");
     setSelectedCity("ALL");
+    setRadiusKm("");
     setApplyTick(0);
   };
 
@@ -168,7 +229,7 @@ const VendorListing = () => {
 
         {/* Filters Row */}
         <div className="mt-4 bg-white border rounded-xl shadow-sm p-3">
-          <div className="grid grid-cols-1 lg:grid-cols-[1fr_340px_120px_140px_140px] gap-3 items-center">
+          <div className="grid grid-cols-1 lg:grid-cols-[1fr_300px_120px_140px_140px_140px] gap-3 items-center">
             {/* Search */}
             <div className="flex items-center border rounded-lg px-3 h-11">
               <Search className="w-4 h-4 text-gray-400 mr-2" />
@@ -221,13 +282,29 @@ const VendorListing = () => {
                 </option>
               ))}
             </select>
+
+            {/* Radius around selected city */}
+            <select
+              value={radiusKm}
+              onChange={(e) => setRadiusKm(e.target.value)}
+              disabled={!selectedCityId}
+              title={selectedCityId ? "Include suppliers near the selected city" : "Select a city first"}
+              className="border rounded-lg px-3 h-11 bg-white text-sm disabled:opacity-50"
+            >
+              <option value="">Exact city</option>
+              {RADIUS_OPTIONS.map((km) => (
+                <option key={km} value={km}>
+                  Within {km} km
+                </option>
+              ))}
+            </select>
           </div>
         </div>
       </div>
 
       {/* Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
-        {loading ? (
+        {loading || nearbyLoading ? (
           <div className="col-span-full text-center text-gray-500 py-10">Loading vendors...</div>
         ) : filteredVendors.length === 0 ? (
           <div className="col-span-full text-center text-gray-500 py-10">
@@ -272,6 +349,17 @@ const VendorListing = () => {
                     {vendor.state ? `, ${vendor.state}` : ""}
                   </div>
 
+                  {radiusActive && (vendor.distance_km !== null || vendor.serves_area) && (
+                    <div className="flex items-center text-[11px] text-emerald-700">
+                      <Navigation className="w-3 h-3 mr-1" />
+                      {vendor.distance_km === 0
+                        ? `In ${selectedCity}`
+                        : vendor.distance_km !== null && vendor.distance_km <= Number(radiusKm)
+                          ? `${Number(vendor.distance_km).toFixed(0)} km away`
+                          : `Serves ${selectedCity}`}
+                    </div>
+                  )}
+
                   {(vendor.description || vendor.primary_business_type) && (
                     <p className="text-[11px] text-slate-500 line-clamp-1">
                       {vendor.description || vendor.primary_business_type}
@@ -11,6 +11,7 @@ import { Skeleton } from '@/components/ui/skeleton';
 import { fetchWithCsrf } from '@/lib/fetchWithCsrf';
 import { apiUrl } from '@/lib/apiBase';
 import { toast } from '@/components/ui/use-toast';
+import VendorReviews from '@/modules/directory/components/VendorReviews';
 
 // Internal Mock Data to ensure page is never blank
 const FALLBACK_VENDORS = [
@@ -143,8 +144,8 @@ const VendorProfileContent = () => {
             name: vendorData.owner_name || vendorData.first_name,
             city: vendorData.city,
             state: vendorData.state,
-            rating: vendorData.seller_rating || 4.0,
-            reviews: 0,
+            rating: vendorData.seller_rating ?? null,
+            reviews: vendorData.review_count || 0,
             verified: vendorData.verification_badge || vendorData.is_verified || false,
             primary_business_type: vendorData.primary_business_type,
             description: vendorData.description || vendorData.business_description || vendorData.primary_business_type || "Established business",
@@ -371,7 +372,7 @@ const VendorProfileContent = () => {
                 </h1>
                 <div className="flex items-center gap-4 text-sm text-gray-600 mt-1">
                   <span className="flex items-center gap-1"><MapPin className="h-4 w-4" /> {displayVendor.city || 'City'}{displayVendor.state ? `, ${displayVendor.state}` : ''}</span>
-                  <span className="flex items-center gap-1"><Star className="h-4 w-4 text-orange-400 fill-orange-400" /> {displayVendor.rating || 4.0} ({displayVendor.reviews || 0} Reviews)</span>
+                  <span className="flex items-center gap-1"><Star className="h-4 w-4 text-orange-400 fill-orange-400" /> {displayVendor.rating ? Number(displayVendor.rating).toFixed(1) : 'New'} ({displayVendor.reviews || 0} Reviews)</span>
                 </div>
               </div>
             </div>
@@ -662,12 +663,28 @@ const VendorProfileContent = () => {
             </TabsContent>
 
             <TabsContent value="reviews" className="pt-6">
-              <Card>
-                <Card.Content className="p-6 text-center text-gray-500">
-                  <Star className="h-12 w-12 mx-auto text-gray-300 mb-3" />
-                  <p>No detailed reviews available yet.</p>
-                </Card.Content>
-              </Card>
+              {vendor?.id ? (
+                <VendorReviews
+                  vendorId={vendor.id}
+                  products={displayProducts}
+                  canWrite={isBuyer}
+                  onSummary={(summary) => {
+                    if (!summary) return;
+                    setVendor((prev) => (prev ? {
+                      ...prev,
+                      rating: summary.avg_overall ?? prev.rating,
+                      reviews: Number(summary.review_count ?? prev.reviews) || 0,
+                    } : prev));
+                  }}
+                />
+              ) : (
+                <Card>
+                  <Card.Content className="p-6 text-center text-gray-500">
+                    <Star className="h-12 w-12 mx-auto text-gray-300 mb-3" />
+                    <p>No detailed reviews available yet.</p>
+                  </Card.Content>
+                </Card>
+              )}
             </TabsContent>
           </Tabs>
         </div>
@@ -1,12 +1,63 @@
-
 import { apiClient } from '@/shared/services/apiClient';
+import { apiUrl } from '@/lib/apiBase';
+import { fetchWithCsrf } from '@/lib/fetchWithCsrf';
 
 export const dirApi = {
-  searchDirectory: (params) => {
-    const query = new URLSearchParams(params).toString();
-    return apiClient.get(`/api/dir/search?${query}`);
+  /**
+   * GET /api/dir/search — ranked products + facet counts.
+   * Empty / null params are dropped; arrays are sent comma-separated.
+   */
+  searchDirectory: async (params = {}) => {
+    const qs = new URLSearchParams();
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || value === '' || value === false) return;
+      if (Array.isArray(value)) {
+        if (value.length) qs.set(key, value.join(','));
+        return;
+      }
+      qs.set(key, String(value));
+    });
+
+    const res = await fetch(apiUrl(`/api/dir/search?${qs.toString()}`), {
+      headers: { Accept: 'application/json' },
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json?.success) {
+      throw new Error(json?.details || json?.error || 'Directory search failed');
+    }
+    return json;
+  },
+
+  /** POST /api/dir/search/click — best effort; analytics must never break navigation */
+  logSearchClick: async ({ searchId, productId, vendorId, position } = {}) => {
+    if (!searchId || (!productId && !vendorId)) return;
+    try {
+      await fetchWithCsrf(apiUrl('/api/dir/search/click'), {
+        method: 'POST',
+        keepalive: true,
+        body: JSON.stringify({ searchId, productId, vendorId, position }),
+      });
+    } catch {
+      // ignore
+    }
   },
-  
+
+  /** GET /api/dir/vendors/nearby — [{ vendor_id, city_id, distance_km, serves_area }] */
+  getVendorsNearCity: async ({ cityId, radiusKm, limit } = {}) => {
+    const qs = new URLSearchParams({ cityId: String(cityId || '') });
+    if (radiusKm) qs.set('radiusKm', String(radiusKm));
+    if (limit) qs.set('limit', String(limit));
+
+    const res = await fetch(apiUrl(`/api/dir/vendors/nearby?${qs.toString()}`), {
+      headers: { Accept: 'application/json' },
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json?.success) {
+      throw new Error(json?.details || json?.error || 'Nearby vendor search failed');
+    }
+    return json.data || [];
+  },
+
   getVendorBySlug: (vendorSlug) => {
     return apiClient.get(`/api/dir/vendor/${vendorSlug}`);
   },
@@ -0,0 +1,33 @@
+import { fetchWithCsrf } from '@/lib/fetchWithCsrf';
+import { apiUrl } from '@/lib/apiBase';
+
+const fetchReviewJson = async (path, options = {}) => {
+  const res = await fetchWithCsrf(apiUrl(path), options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data?.error || data?.message || 'Request failed');
+  }
+  return data;
+};
+
+export const reviewApi = {
+  // Approved reviews + rating summary (pass productId for product-level reviews)
+  getVendorReviews: async (vendorId, { productId, limit = 10, offset = 0 } = {}) => {
+    const params = new URLSearchParams({ limit: String(limit), offset: String(offset) });
+    if (productId) params.set('product_id', String(productId));
+    return fetchReviewJson(`/api/vendors/${encodeURIComponent(vendorId)}/reviews?${params.toString()}`);
+  },
+
+  // Quotations / contacted leads the logged-in buyer can review this vendor for
+  getEligibility: async (vendorId) => {
+    return fetchReviewJson(`/api/vendors/${encodeURIComponent(vendorId)}/reviews/eligibility`);
+  },
+
+  submitReview: async (vendorId, review) => {
+    const data = await fetchReviewJson(`/api/vendors/${encodeURIComponent(vendorId)}/reviews`, {
+      method: 'POST',
+      body: JSON.stringify(review || {}),
+    });
+    return data?.review || null;
+  },
+};
@@ -15,8 +15,10 @@ import {
   Upload,
   FileSpreadsheet,
   FileText,
+  SearchX,
   Building2,
-  User
+  User,
+  Star
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import NotificationBell from '@/shared/components/NotificationBell';
@@ -115,6 +117,7 @@ const EmployeeLayout = ({ allowedRole }) => {
               <SidebarLink to="/employee/dataentry/categories" icon={Database} onNavigate={() => setIsSidebarOpen(false)}>Categories</SidebarLink>
               <SidebarLink to="/employee/dataentry/locations" icon={FileSpreadsheet} onNavigate={() => setIsSidebarOpen(false)}>Locations</SidebarLink>
               <SidebarLink to="/employee/dataentry/bulk-import" icon={Upload} onNavigate={() => setIsSidebarOpen(false)}>Bulk Import (Loc)</SidebarLink>
+              <SidebarLink to="/employee/dataentry/search-insights" icon={SearchX} onNavigate={() => setIsSidebarOpen(false)}>Search Insights</SidebarLink>
               
               {/* Added KYC Review Link */}
               <div className="px-4 py-2 mt-4 text-xs font-semibold text-neutral-400 uppercase tracking-wider">Review</div>
@@ -127,6 +130,7 @@ const EmployeeLayout = ({ allowedRole }) => {
               <SidebarLink to="/employee/support/dashboard" icon={LayoutDashboard} onNavigate={() => setIsSidebarOpen(false)}>Dashboard</SidebarLink>
               <SidebarLink to="/employee/support/tickets/vendor" icon={Building2} onNavigate={() => setIsSidebarOpen(false)}>Help for Vendor</SidebarLink>
               <SidebarLink to="/employee/support/tickets/buyer" icon={User} onNavigate={() => setIsSidebarOpen(false)}>Help for Buyer</SidebarLink>
+              <SidebarLink to="/employee/support/reviews" icon={Star} onNavigate={() => setIsSidebarOpen(false)}>Review Moderation</SidebarLink>
             </>
           )}
 
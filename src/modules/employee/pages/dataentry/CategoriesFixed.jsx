@@ -1,4 +1,5 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -104,7 +105,9 @@ const CategoriesFixed = () => {
   const [metaData, setMetaData] = useState({ meta_tags: '', description: '', keywords: '' });
 
   // Search
-  const [searchQuery, setSearchQuery] = useState('');
+  // ?q= prefill (e.g. from the Search Insights report)
+  const [urlParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState(() => urlParams.get('q') || '');
   const [searchResults, setSearchResults] = useState({ heads: [], subs: [], micros: [] });
   const [searchLoading, setSearchLoading] = useState(false);
 
@@ -0,0 +1,186 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { dataEntryApi } from '@/modules/employee/services/dataEntryApi';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from '@/components/ui/card';
+import { Table, TableHeader, TableRow, TableHead, TableBody, TableCell } from '@/components/ui/table';
+import { Button } from '@/components/ui/button';
+import { toast } from '@/components/ui/use-toast';
+import { Loader2, RefreshCw, Search, SearchX, MousePointerClick, Database, PackagePlus } from 'lucide-react';
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+const pct = (v) => `${(Number(v || 0) * 100).toFixed(1)}%`;
+
+const fmtDate = (v) => {
+  if (!v) return '-';
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? '-' : d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short' });
+};
+
+// Where the data-entry team fixes each kind of gap
+const QueryActions = ({ query }) => (
+  <div className="flex items-center gap-2 justify-end">
+    <Button asChild variant="outline" size="sm" className="h-8">
+      <Link to={`/employee/dataentry/categories?q=${encodeURIComponent(query || '')}`}>
+        <Database className="h-3.5 w-3.5 mr-1" /> Categories
+      </Link>
+    </Button>
+    <Button asChild variant="outline" size="sm" className="h-8">
+      <Link to="/employee/dataentry/vendors">
+        <PackagePlus className="h-3.5 w-3.5 mr-1" /> Add product
+      </Link>
+    </Button>
+  </div>
+);
+
+const QueryTable = ({ rows, emptyText, showZero = false, showCtr = false }) => (
+  <Table>
+    <TableHeader>
+      <TableRow>
+        <TableHead>Query</TableHead>
+        <TableHead className="text-right">Searches</TableHead>
+        {showZero && <TableHead className="text-right">Zero-result</TableHead>}
+        <TableHead className="text-right">Avg results</TableHead>
+        {showCtr && <TableHead className="text-right">CTR</TableHead>}
+        <TableHead className="text-right">Last searched</TableHead>
+        <TableHead className="text-right">Fix</TableHead>
+      </TableRow>
+    </TableHeader>
+    <TableBody>
+      {(rows || []).length === 0 ? (
+        <TableRow>
+          <TableCell colSpan={7} className="text-center text-neutral-500 py-6">
+            {emptyText}
+          </TableCell>
+        </TableRow>
+      ) : (
+        rows.map((r) => (
+          <TableRow key={r.query_norm}>
+            <TableCell className="font-medium">{r.query}</TableCell>
+            <TableCell className="text-right">{r.searches}</TableCell>
+            {showZero && <TableCell className="text-right text-red-600">{r.zero_result_searches}</TableCell>}
+            <TableCell className="text-right">{r.avg_results}</TableCell>
+            {showCtr && <TableCell className="text-right">{pct(r.ctr)}</TableCell>}
+            <TableCell className="text-right text-neutral-500">{fmtDate(r.last_searched_at)}</TableCell>
+            <TableCell>
+              <QueryActions query={r.query} />
+            </TableCell>
+          </TableRow>
+        ))
+      )}
+    </TableBody>
+  </Table>
+);
+
+const SearchInsights = () => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = async (range = days) => {
+    setLoading(true);
+    try {
+      const data = await dataEntryApi.getSearchInsights({ days: range, limit: 50 });
+      setReport(data);
+    } catch (e) {
+      console.error(e);
+      toast({ title: 'Could not load search insights', description: e.message, variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load(days);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [days]);
+
+  const totals = report?.totals || {};
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold">Search Insights</h1>
+          <p className="text-sm text-neutral-500">
+            What buyers search for in the directory, and where listings are missing or not getting clicks.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          {RANGE_OPTIONS.map((d) => (
+            <Button
+              key={d}
+              size="sm"
+              variant={days === d ? 'default' : 'outline'}
+              className={days === d ? 'bg-[#003D82] hover:bg-[#00254E]' : ''}
+              onClick={() => setDays(d)}
+            >
+              {d} days
+            </Button>
+          ))}
+          <Button size="sm" variant="ghost" onClick={() => load(days)} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      {loading && !report ? (
+        <div className="p-8">
+          <Loader2 className="animate-spin" />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Card>
+              <CardHeader className="pb-2"><CardTitle className="text-sm font-medium text-gray-500">Searches</CardTitle></CardHeader>
+              <CardContent><div className="text-2xl font-bold">{totals.searches ?? 0}</div></CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2"><CardTitle className="text-sm font-medium text-gray-500">Distinct Queries</CardTitle></CardHeader>
+              <CardContent><div className="text-2xl font-bold">{totals.distinct_queries ?? 0}</div></CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2"><CardTitle className="text-sm font-medium text-gray-500">Zero-result Searches</CardTitle></CardHeader>
+              <CardContent><div className="text-2xl font-bold text-red-600">{totals.zero_result_searches ?? 0}</div></CardContent>
+            </Card>
+            <Card>
+              <CardHeader className="pb-2"><CardTitle className="text-sm font-medium text-gray-500">Click-through Rate</CardTitle></CardHeader>
+              <CardContent><div className="text-2xl font-bold text-green-600">{pct(totals.ctr)}</div></CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2"><SearchX className="h-5 w-5 text-red-600" /> Zero-result Queries</CardTitle>
+              <CardDescription>Buyers found nothing. Add the missing micro category or products first.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <QueryTable rows={report?.zero_result_queries} emptyText="No zero-result searches in this period." showZero />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2"><MousePointerClick className="h-5 w-5 text-orange-600" /> Low Click-through Queries</CardTitle>
+              <CardDescription>Results shown but rarely opened. Check category mapping, names and photos.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <QueryTable rows={report?.low_ctr_queries} emptyText="No low click-through queries in this period." showCtr />
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2"><Search className="h-5 w-5 text-[#003D82]" /> Top Queries</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <QueryTable rows={report?.top_queries} emptyText="No searches recorded yet." showZero showCtr />
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchInsights;
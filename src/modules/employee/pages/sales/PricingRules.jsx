@@ -25,6 +25,11 @@ const getRuleType = (rule) =>
   '-';
 
 const getRuleValue = (rule) => {
+  const type = String(rule?.type || '').toUpperCase();
+  if (type === 'MULTIPLIER') return `x ${Number(rule?.value || 0)}`;
+  if (type === 'DISCOUNT_PERCENT') return `-${Number(rule?.value || 0)}%`;
+  if (type === 'SURCHARGE') return `+ Rs ${Number(rule?.value || 0).toLocaleString('en-IN')}`;
+
   const numeric = Number(rule?.value ?? rule?.price ?? rule?.amount);
   if (Number.isFinite(numeric)) {
     return `Rs ${numeric.toLocaleString('en-IN')}`;
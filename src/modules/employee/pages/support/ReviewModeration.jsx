@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { supportApi } from '@/modules/employee/services/supportApi';
+import StarRating from '@/modules/directory/components/StarRating';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Textarea } from '@/components/ui/textarea';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { Loader2, Check, X, Star } from 'lucide-react';
+
+const STATUS_TABS = ['PENDING', 'APPROVED', 'REJECTED'];
+
+const DIMENSIONS = [
+  { key: 'rating_quality', label: 'Quality' },
+  { key: 'rating_communication', label: 'Communication' },
+  { key: 'rating_delivery', label: 'Delivery' },
+  { key: 'rating_value', label: 'Value' },
+];
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '-';
+  return d.toLocaleString();
+};
+
+const getStatusClasses = (status) => {
+  if (status === 'APPROVED') return 'border-green-200 bg-green-50 text-green-700';
+  if (status === 'REJECTED') return 'border-red-200 bg-red-50 text-red-700';
+  return 'border-amber-200 bg-amber-50 text-amber-700';
+};
+
+const ReviewModeration = () => {
+  const [status, setStatus] = useState('PENDING');
+  const [reviews, setReviews] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [note, setNote] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await supportApi.getReviews(status, { limit: 50 });
+      setReviews(data.reviews);
+      setTotal(data.total);
+    } catch (e) {
+      toast({ title: 'Could not load reviews', description: e?.message || 'Please try again', variant: 'destructive' });
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const moderate = async (review, action, moderationNote = '') => {
+    setBusyId(review.id);
+    try {
+      await supportApi.moderateReview(review.id, action, moderationNote);
+      toast({
+        title: action === 'APPROVE' ? 'Review published' : 'Review rejected',
+        description: action === 'APPROVE' ? 'Vendor rating has been updated.' : 'The buyer has been notified.',
+      });
+      setReviews((prev) => prev.filter((r) => r.id !== review.id));
+      setTotal((prev) => Math.max(0, prev - 1));
+      setRejecting(null);
+      setNote('');
+    } catch (e) {
+      toast({ title: 'Moderation failed', description: e?.message || 'Please try again', variant: 'destructive' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-2xl font-bold text-neutral-800">Review Moderation</h1>
+        <Badge variant="outline">{total} {status.toLowerCase()}</Badge>
+      </div>
+
+      <Tabs value={status} onValueChange={setStatus}>
+        <TabsList>
+          {STATUS_TABS.map((s) => (
+            <TabsTrigger key={s} value={s}>{s.charAt(0) + s.slice(1).toLowerCase()}</TabsTrigger>
+          ))}
+        </TabsList>
+      </Tabs>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-gray-400" />
+        </div>
+      ) : reviews.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-gray-500">
+            <Star className="h-10 w-10 mx-auto text-gray-300 mb-2" />
+            No {status.toLowerCase()} reviews.
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map((review) => (
+            <Card key={review.id}>
+              <CardContent className="p-5 space-y-3">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div>
+                    <div className="font-semibold text-gray-900">{review.vendors?.company_name || 'Vendor'}</div>
+                    <div className="text-xs text-gray-500">
+                      by {review.buyers?.full_name || review.buyers?.email || 'Buyer'}
+                      {review.buyers?.company_name ? ` (${review.buyers.company_name})` : ''} · {review.source_type === 'QUOTATION' ? 'Quotation' : 'Purchased lead'} · {formatDate(review.created_at)}
+                    </div>
+                  </div>
+                  <Badge variant="outline" className={getStatusClasses(review.status)}>{review.status}</Badge>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+                  <div className="flex items-center gap-2">
+                    <StarRating value={review.rating_overall} />
+                    <span className="text-gray-600">Overall</span>
+                  </div>
+                  {DIMENSIONS.filter((d) => review[d.key]).map((d) => (
+                    <span key={d.key} className="text-gray-600">{d.label}: {review[d.key]}/5</span>
+                  ))}
+                  {review.products?.name && (
+                    <span className="text-gray-600">
+                      Product: {review.products.name}{review.product_rating ? ` (${review.product_rating}/5)` : ''}
+                    </span>
+                  )}
+                </div>
+
+                {review.title && <div className="font-medium text-gray-900">{review.title}</div>}
+                {review.comment && <p className="text-sm text-gray-700 whitespace-pre-line">{review.comment}</p>}
+                {review.moderation_note && (
+                  <p className="text-xs text-gray-500">Moderation note: {review.moderation_note}</p>
+                )}
+
+                <div className="flex gap-2 pt-1">
+                  {review.status !== 'APPROVED' && (
+                    <Button
+                      size="sm"
+                      className="bg-green-600 hover:bg-green-700"
+                      disabled={busyId === review.id}
+                      onClick={() => moderate(review, 'APPROVE')}
+                    >
+                      {busyId === review.id ? <Loader2 className="mr-1 h-4 w-4 animate-spin" /> : <Check className="mr-1 h-4 w-4" />}
+                      Approve
+                    </Button>
+                  )}
+                  {review.status !== 'REJECTED' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      className="text-red-600 border-red-200"
+                      disabled={busyId === review.id}
+                      onClick={() => {
+                        setRejecting(review);
+                        setNote('');
+                      }}
+                    >
+                      <X className="mr-1 h-4 w-4" /> Reject
+                    </Button>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={!!rejecting} onOpenChange={(open) => !open && setRejecting(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Reject review</DialogTitle>
+          </DialogHeader>
+          <p className="text-sm text-gray-600">
+            The buyer will see this note. Explain which guideline the review breaks (abusive language, unrelated content, personal data, etc).
+          </p>
+          <Textarea rows={4} value={note} maxLength={1000} onChange={(e) => setNote(e.target.value)} />
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setRejecting(null)}>Cancel</Button>
+            <Button
+              variant="destructive"
+              disabled={!note.trim() || busyId === rejecting?.id}
+              onClick={() => moderate(rejecting, 'REJECT', note.trim())}
+            >
+              Reject review
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default ReviewModeration;
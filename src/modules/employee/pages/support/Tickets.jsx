@@ -25,9 +25,87 @@ import {
 } from "@/components/ui/select";
 import {
   Search, Eye, MessageSquare, Send, Loader2, Filter,
-  User, Building2, Calendar, Bell, Mail
+  User, Building2, Calendar, Bell, Mail, ReceiptIndianRupee,
+  Clock, AlertTriangle, UserCheck, Settings, Paperclip
 } from 'lucide-react';
 
+const OPEN_STATUSES = ['OPEN', 'IN_PROGRESS'];
+const SLA_PRIORITIES = ['URGENT', 'HIGH', 'MEDIUM', 'LOW'];
+
+const formatMinutes = (minutes) => {
+  const m = Math.max(Math.round(minutes), 0);
+  if (m < 60) return `${m}m`;
+  if (m < 24 * 60) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return `${Math.floor(m / 1440)}d ${Math.floor((m % 1440) / 60)}h`;
+};
+
+// ✅ Live SLA clock from the due timestamps (same rules as server/lib/supportSla.js)
+const getSlaInfo = (ticket, now) => {
+  const open = OPEN_STATUSES.includes(String(ticket?.status || 'OPEN').toUpperCase());
+  const responded = Boolean(ticket?.first_response_at);
+  const dueAt = open && !responded ? ticket?.first_response_due_at : ticket?.resolution_due_at;
+  if (!dueAt) return { state: 'NONE', label: '—', dueAt: null };
+
+  const due = new Date(dueAt).getTime();
+  const windowMs = Math.max(due - new Date(ticket.created_at || dueAt).getTime(), 0);
+  const breached =
+    ticket.first_response_breached ||
+    ticket.resolution_breached ||
+    (open && due < now) ||
+    (!open && ticket.resolved_at && new Date(ticket.resolved_at).getTime() > new Date(ticket.resolution_due_at).getTime());
+
+  if (!open) return { state: breached ? 'BREACHED' : 'MET', label: breached ? 'Resolved late' : 'Resolved in time', dueAt };
+  const minutes = Math.round((due - now) / 60000);
+  const target = responded ? 'resolve' : 'respond';
+  if (breached) {
+    return { state: 'BREACHED', label: minutes < 0 ? `${formatMinutes(-minutes)} overdue` : 'Breached', dueAt };
+  }
+  return {
+    state: due - now <= windowMs * 0.25 ? 'AT_RISK' : 'ON_TRACK',
+    label: `${formatMinutes(minutes)} to ${target}`,
+    dueAt,
+  };
+};
+
+const slaStyles = {
+  BREACHED: 'bg-red-100 text-red-800 border-red-200',
+  AT_RISK: 'bg-amber-100 text-amber-800 border-amber-200',
+  ON_TRACK: 'bg-green-100 text-green-800 border-green-200',
+  MET: 'bg-gray-100 text-gray-700 border-gray-200',
+  NONE: 'bg-gray-50 text-gray-500 border-gray-200',
+};
+
+const slaBadgeText = { BREACHED: 'SLA breached', AT_RISK: 'At risk', ON_TRACK: 'On track', MET: 'SLA met', NONE: 'No SLA' };
+
+// ✅ Outbound email outcome of an agent reply (server/lib/ticketEmail.js)
+const emailStatusText = { SENT: 'Emailed', FAILED: 'Email failed', SKIPPED: 'Not emailed' };
+const emailStatusStyles = { SENT: 'text-green-700', FAILED: 'text-red-700', SKIPPED: 'text-gray-500' };
+
+const formatBytes = (bytes) => {
+  const n = Number(bytes || 0);
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const AttachmentLinks = ({ files }) =>
+  files?.length ? (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {files.map((file) => (
+        <a
+          key={file.id}
+          href={file.url || undefined}
+          target="_blank"
+          rel="noreferrer"
+          className="inline-flex items-center gap-1 text-xs text-blue-700 bg-white border rounded px-2 py-1 hover:underline"
+        >
+          <Paperclip className="h-3 w-3" />
+          {file.file_name} <span className="text-gray-400">({formatBytes(file.size_bytes)})</span>
+        </a>
+      ))}
+    </div>
+  ) : null;
+
 const Tickets = () => {
   const location = useLocation();
   const [tickets, setTickets] = useState([]);
@@ -35,15 +113,26 @@ const Tickets = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('ALL');
   const [priorityFilter, setPriorityFilter] = useState('ALL');
+  const [slaFilter, setSlaFilter] = useState('ALL');
+  const [now, setNow] = useState(Date.now());
+  const [agents, setAgents] = useState([]);
+  const [assigning, setAssigning] = useState(false);
+  const [policiesOpen, setPoliciesOpen] = useState(false);
+  const [policies, setPolicies] = useState([]);
+  const [savingPolicy, setSavingPolicy] = useState(null);
 
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [ticketMessages, setTicketMessages] = useState([]);
+  const [ticketAttachments, setTicketAttachments] = useState([]);
   const [detailsOpen, setDetailsOpen] = useState(false);
   const [newMessage, setNewMessage] = useState('');
   const [sendingMessage, setSendingMessage] = useState(false);
   const [updatingStatus, setUpdatingStatus] = useState(false);
   const [customerNotice, setCustomerNotice] = useState('');
   const [notifyingCustomer, setNotifyingCustomer] = useState(false);
+  const [leadDispute, setLeadDispute] = useState(null);
+  const [disputeNote, setDisputeNote] = useState('');
+  const [resolvingDispute, setResolvingDispute] = useState(false);
 
   const ticketScope = location.pathname.endsWith('/vendor')
     ? 'VENDOR'
@@ -56,6 +145,16 @@ const Tickets = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [statusFilter, priorityFilter, searchTerm, ticketScope]);
 
+  // ✅ Tick SLA timers every minute
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    supportApi.getAgents().then(setAgents).catch(() => setAgents([]));
+  }, []);
+
   const fetchTickets = async () => {
     try {
       setLoading(true);
@@ -82,14 +181,100 @@ const Tickets = () => {
     setDetailsOpen(true);
     setNewMessage("");
     setCustomerNotice(String(ticket?.description || ticket?.subject || '').trim());
+    setLeadDispute(null);
+    setDisputeNote('');
+    setTicketAttachments([]);
 
     try {
-      const msgs = await supportApi.getMessages(ticket.id);
-      setTicketMessages(msgs || []);
+      const thread = await supportApi.getThread(ticket.id);
+      setTicketMessages(thread.messages || []);
+      setTicketAttachments(thread.attachments || []);
     } catch (e) {
       console.error(e);
       setTicketMessages([]);
     }
+
+    if (ticket?.category === 'Lead Dispute') {
+      try {
+        setLeadDispute(await supportApi.getLeadDispute(ticket.id));
+      } catch (e) {
+        console.error(e);
+      }
+    }
+  };
+
+  const mergeTicket = (updated) => {
+    if (!updated) return;
+    setSelectedTicket((prev) => (prev?.id === updated.id ? { ...prev, ...updated } : prev));
+    setTickets((prev) => prev.map((t) => (t.id === updated.id ? { ...t, ...updated } : t)));
+  };
+
+  const handleAssign = async (employeeId) => {
+    if (!selectedTicket) return;
+    setAssigning(true);
+    try {
+      const ticket = await supportApi.assignTicket(selectedTicket.id, employeeId === 'AUTO' ? null : employeeId);
+      mergeTicket(ticket);
+      toast({
+        title: ticket?.assignee ? `Assigned to ${ticket.assignee.full_name || ticket.assignee.email}` : 'No active support agent available',
+      });
+    } catch (e) {
+      toast({ title: "Assignment failed", description: e.message, variant: "destructive" });
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  const openPolicies = async () => {
+    setPoliciesOpen(true);
+    try {
+      const rows = await supportApi.getSlaPolicies();
+      setPolicies(rows.map((p) => ({ ...p, first_response_hours: p.first_response_minutes / 60, resolution_hours: p.resolution_minutes / 60 })));
+    } catch (e) {
+      toast({ title: "Failed to load SLA policies", description: e.message, variant: "destructive" });
+    }
+  };
+
+  const handleSavePolicy = async (policy) => {
+    setSavingPolicy(policy.priority);
+    try {
+      const saved = await supportApi.updateSlaPolicy(policy.priority, {
+        first_response_minutes: Math.round(Number(policy.first_response_hours) * 60),
+        resolution_minutes: Math.round(Number(policy.resolution_hours) * 60),
+      });
+      setPolicies((prev) => prev.map((p) => (p.priority === saved.priority ? { ...p, ...saved } : p)));
+      toast({ title: `${saved.priority} SLA updated`, description: "Applies to new and re-prioritised tickets" });
+    } catch (e) {
+      toast({ title: "Failed to update SLA policy", description: e.message, variant: "destructive" });
+    } finally {
+      setSavingPolicy(null);
+    }
+  };
+
+  const handleResolveDispute = async (decision) => {
+    if (!selectedTicket || !leadDispute) return;
+    if (decision === 'REJECT' && !disputeNote.trim()) {
+      toast({ title: "Note required", description: "Explain to the vendor why the refund is rejected", variant: "destructive" });
+      return;
+    }
+
+    setResolvingDispute(true);
+    try {
+      const dispute = await supportApi.resolveLeadDispute(selectedTicket.id, decision, disputeNote.trim());
+      setLeadDispute((prev) => ({ ...prev, ...dispute }));
+      const closed = { ...selectedTicket, status: 'CLOSED' };
+      setSelectedTicket(closed);
+      setTickets(tickets.map(t => (t.id === closed.id ? { ...t, status: 'CLOSED' } : t)));
+      setTicketMessages(await supportApi.getMessages(selectedTicket.id));
+      toast({
+        title: decision === 'APPROVE' ? "Refund approved" : "Refund rejected",
+        description: decision === 'APPROVE' ? `Refund method: ${dispute?.refund_method || '—'}` : "Vendor has been notified",
+      });
+    } catch (e) {
+      toast({ title: "Failed to resolve dispute", description: e.message, variant: "destructive" });
+    } finally {
+      setResolvingDispute(false);
+    }
   };
 
   const getTicketContact = (ticket) => {
@@ -97,17 +282,20 @@ const Tickets = () => {
     if (ticket.vendor_id) {
       return {
         type: 'VENDOR',
-        email: ticket?.vendors?.email || '',
+        email: ticket.requester_email || ticket?.vendors?.email || '',
         label: ticket?.vendors?.company_name || ticket?.vendors?.owner_name || 'Vendor',
       };
     }
     if (ticket.buyer_id) {
       return {
         type: 'BUYER',
-        email: ticket?.buyers?.email || '',
+        email: ticket.requester_email || ticket?.buyers?.email || '',
         label: ticket?.buyers?.full_name || ticket?.buyers?.company_name || 'Buyer',
       };
     }
+    if (ticket.requester_email) {
+      return { type: 'EMAIL', email: ticket.requester_email, label: ticket.requester_name || ticket.requester_email };
+    }
     return { type: 'UNKNOWN', email: '', label: '' };
   };
 
@@ -148,13 +336,20 @@ const Tickets = () => {
     const messageText = newMessage.trim();
 
     try {
-      await supportApi.sendMessage(selectedTicket.id, messageText);
+      const sent = await supportApi.sendMessage(selectedTicket.id, messageText);
       setNewMessage('');
-      toast({ title: "Message sent" });
+      if (sent?.email_status === 'FAILED') {
+        toast({ title: "Message saved, email failed", description: sent.email_error || "Customer was notified in the portal only", variant: "destructive" });
+      } else {
+        toast({ title: "Message sent", description: sent?.email_status === 'SENT' ? "Also emailed to the customer" : undefined });
+      }
 
       // ✅ reload from API so reopen pe bhi same dikhe
-      const msgs = await supportApi.getMessages(selectedTicket.id);
-      setTicketMessages(msgs || []);
+      const thread = await supportApi.getThread(selectedTicket.id);
+      setTicketMessages(thread.messages || []);
+      setTicketAttachments(thread.attachments || []);
+      // First staff reply stops the first-response clock (stamped by trigger)
+      if (!selectedTicket.first_response_at) mergeTicket({ id: selectedTicket.id, first_response_at: new Date().toISOString() });
     } catch (error) {
       console.error('Failed to send message:', error);
       toast({ title: "Error", description: error.message || "Failed to send message", variant: "destructive" });
@@ -177,8 +372,7 @@ const Tickets = () => {
       const result = await response.json();
       if (!response.ok) throw new Error(result.error || 'Failed to update status');
 
-      setSelectedTicket({ ...result.ticket });
-      setTickets(tickets.map(t => (t.id === selectedTicket.id ? result.ticket : t)));
+      mergeTicket(result.ticket);
 
       toast({ title: "Status updated", description: `Ticket marked as ${newStatus}` });
     } catch (error) {
@@ -203,6 +397,7 @@ const Tickets = () => {
   const getPriorityBadge = (priority) => {
     const upper = String(priority || 'MEDIUM').toUpperCase();
     const styles = {
+      'URGENT': 'bg-red-600 text-white border-red-700',
       'HIGH': 'bg-red-100 text-red-800 border-red-200',
       'MEDIUM': 'bg-orange-100 text-orange-800 border-orange-200',
       'LOW': 'bg-gray-100 text-gray-800 border-gray-200'
@@ -227,8 +422,13 @@ const Tickets = () => {
 
     const matchesStatus = statusFilter === 'ALL' || ticketStatus === statusFilter;
     const matchesPriority = priorityFilter === 'ALL' || ticketPriority === priorityFilter;
+    const matchesSla =
+      slaFilter === 'ALL' ||
+      (slaFilter === 'UNASSIGNED'
+        ? !ticket.assigned_to && OPEN_STATUSES.includes(ticketStatus || 'OPEN')
+        : getSlaInfo(ticket, now).state === slaFilter);
 
-    return matchesSearch && matchesStatus && matchesPriority;
+    return matchesSearch && matchesStatus && matchesPriority && matchesSla;
   });
 
   return (
@@ -246,9 +446,14 @@ const Tickets = () => {
                 : 'Manage and respond to customer support requests'}
           </p>
         </div>
-        <Badge variant="outline" className="text-sm">
-          {filteredTickets.length} Tickets
-        </Badge>
+        <div className="flex items-center gap-2">
+          <Button size="sm" variant="outline" onClick={openPolicies}>
+            <Settings className="h-4 w-4 mr-1" /> SLA Policies
+          </Button>
+          <Badge variant="outline" className="text-sm">
+            {filteredTickets.length} Tickets
+          </Badge>
+        </div>
       </div>
 
       <div className="flex flex-col sm:flex-row gap-4 p-4 bg-white rounded-lg border">
@@ -281,11 +486,26 @@ const Tickets = () => {
           </SelectTrigger>
           <SelectContent>
             <SelectItem value="ALL">All Priority</SelectItem>
+            <SelectItem value="URGENT">Urgent</SelectItem>
             <SelectItem value="HIGH">High</SelectItem>
             <SelectItem value="MEDIUM">Medium</SelectItem>
             <SelectItem value="LOW">Low</SelectItem>
           </SelectContent>
         </Select>
+
+        <Select value={slaFilter} onValueChange={setSlaFilter}>
+          <SelectTrigger className="w-[150px]">
+            <Clock className="h-4 w-4 mr-2" />
+            <SelectValue placeholder="SLA" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="ALL">All SLA</SelectItem>
+            <SelectItem value="BREACHED">Breached</SelectItem>
+            <SelectItem value="AT_RISK">At Risk</SelectItem>
+            <SelectItem value="ON_TRACK">On Track</SelectItem>
+            <SelectItem value="UNASSIGNED">Unassigned</SelectItem>
+          </SelectContent>
+        </Select>
       </div>
 
       <div className="bg-white rounded-lg border border-neutral-200 shadow-sm overflow-hidden">
@@ -296,6 +516,8 @@ const Tickets = () => {
               <TableHead>For</TableHead>
               <TableHead>Priority</TableHead>
               <TableHead>Status</TableHead>
+              <TableHead>SLA</TableHead>
+              <TableHead>Assignee</TableHead>
               <TableHead>Created</TableHead>
               <TableHead className="text-right">Action</TableHead>
             </TableRow>
@@ -304,13 +526,13 @@ const Tickets = () => {
           <TableBody>
             {loading ? (
                 <TableRow>
-                  <TableCell colSpan={6} className="text-center py-8">
+                  <TableCell colSpan={8} className="text-center py-8">
                     <Loader2 className="animate-spin mx-auto h-6 w-6 text-gray-400" />
                   </TableCell>
                 </TableRow>
               ) : filteredTickets.length === 0 ? (
                 <TableRow>
-                  <TableCell colSpan={6} className="text-center py-8 text-gray-500">
+                  <TableCell colSpan={8} className="text-center py-8 text-gray-500">
                     <MessageSquare className="h-12 w-12 mx-auto mb-2 opacity-30" />
                     No tickets found
                   </TableCell>
@@ -357,6 +579,27 @@ const Tickets = () => {
                     </Badge>
                   </TableCell>
 
+                  <TableCell>
+                    {(() => {
+                      const sla = getSlaInfo(ticket, now);
+                      return (
+                        <div className="space-y-0.5">
+                          <Badge variant="outline" className={`text-xs ${slaStyles[sla.state]}`}>
+                            {sla.state === 'BREACHED' && <AlertTriangle className="h-3 w-3 mr-1" />}
+                            {slaBadgeText[sla.state]}
+                          </Badge>
+                          {sla.state !== 'NONE' && <p className="text-[11px] text-gray-500">{sla.label}</p>}
+                        </div>
+                      );
+                    })()}
+                  </TableCell>
+
+                  <TableCell className="text-sm text-gray-700">
+                    {ticket.assignee?.full_name || ticket.assignee?.email || (
+                      <span className="text-xs text-gray-400">Unassigned</span>
+                    )}
+                  </TableCell>
+
                   <TableCell className="text-sm text-gray-500">
                     {ticket.created_at ? new Date(ticket.created_at).toLocaleDateString() : '—'}
                   </TableCell>
@@ -392,6 +635,12 @@ const Tickets = () => {
                       <Calendar className="h-4 w-4" />
                       {new Date(selectedTicket.created_at).toLocaleString()}
                     </p>
+                    {selectedTicket.source === 'EMAIL' && (
+                      <p className="text-sm text-gray-500 flex items-center gap-2 mt-1">
+                        <Mail className="h-4 w-4" />
+                        By email from {selectedTicket.requester_name ? `${selectedTicket.requester_name} ` : ''}&lt;{selectedTicket.requester_email}&gt;
+                      </p>
+                    )}
                   </div>
                   <div className="flex gap-2">
                     <Badge variant="outline" className={getPriorityBadge(selectedTicket.priority)}>
@@ -406,9 +655,131 @@ const Tickets = () => {
                 <div className="pt-2 border-t">
                   <p className="text-sm font-medium text-gray-700">Description:</p>
                   <p className="text-sm text-gray-600 mt-1">{selectedTicket.description}</p>
+                  <AttachmentLinks files={ticketAttachments} />
                 </div>
               </div>
 
+              {(() => {
+                const sla = getSlaInfo(selectedTicket, now);
+                return (
+                  <div className={`rounded-lg border p-3 space-y-2 ${sla.state === 'BREACHED' ? 'border-red-200 bg-red-50' : sla.state === 'AT_RISK' ? 'border-amber-200 bg-amber-50' : 'bg-white'}`}>
+                    <div className="flex items-center justify-between">
+                      <span className="text-xs font-semibold flex items-center gap-1">
+                        <Clock className="h-4 w-4" /> SLA
+                      </span>
+                      <Badge variant="outline" className={slaStyles[sla.state]}>
+                        {slaBadgeText[sla.state]}{sla.state !== 'NONE' ? ` · ${sla.label}` : ''}
+                      </Badge>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                      <div>
+                        <p className="text-xs text-gray-500">First response due</p>
+                        <p className="font-medium">
+                          {selectedTicket.first_response_due_at ? new Date(selectedTicket.first_response_due_at).toLocaleString() : '—'}
+                        </p>
+                        {selectedTicket.first_response_at && (
+                          <p className="text-xs text-gray-500">Responded {new Date(selectedTicket.first_response_at).toLocaleString()}</p>
+                        )}
+                      </div>
+                      <div>
+                        <p className="text-xs text-gray-500">Resolution due</p>
+                        <p className="font-medium">
+                          {selectedTicket.resolution_due_at ? new Date(selectedTicket.resolution_due_at).toLocaleString() : '—'}
+                        </p>
+                        {Number(selectedTicket.escalation_level) > 0 && (
+                          <p className="text-xs text-red-700">Escalated to supervisors (level {selectedTicket.escalation_level})</p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2 pt-1">
+                      <UserCheck className="h-4 w-4 text-gray-500" />
+                      <Select
+                        value={selectedTicket.assigned_to || ''}
+                        onValueChange={handleAssign}
+                        disabled={assigning}
+                      >
+                        <SelectTrigger className="w-[240px] bg-white">
+                          <SelectValue placeholder={selectedTicket.assignee?.full_name || 'Unassigned'} />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="AUTO">Auto-assign</SelectItem>
+                          {agents.map((agent) => (
+                            <SelectItem key={agent.id} value={agent.id}>
+                              {agent.full_name || agent.email} ({agent.open_tickets} open)
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {assigning && <Loader2 className="h-4 w-4 animate-spin" />}
+                    </div>
+                  </div>
+                );
+              })()}
+
+              {leadDispute && (
+                <div className="space-y-3 rounded-lg border border-amber-200 bg-amber-50 p-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-xs font-semibold text-amber-900 flex items-center gap-1">
+                      <ReceiptIndianRupee className="h-4 w-4" /> Lead Refund Request
+                    </span>
+                    <Badge variant="outline" className="bg-white">{leadDispute.status}</Badge>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    <div>
+                      <p className="text-xs text-gray-500">Lead</p>
+                      <p className="font-medium">{leadDispute.lead?.title || leadDispute.lead?.product_name || leadDispute.lead_id}</p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-500">Reason</p>
+                      <p className="font-medium">{leadDispute.reason_label}</p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-500">Paid</p>
+                      <p className="font-medium">
+                        {leadDispute.purchase?.payment_method || '—'}
+                        {Number(leadDispute.purchase?.amount) > 0 ? ` · ₹${leadDispute.purchase.amount}` : ''}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-500">Buyer says contacted</p>
+                      <p className="font-medium">
+                        {leadDispute.buyer_feedback ? (leadDispute.buyer_feedback.contacted ? 'Yes' : 'No') : 'No answer'}
+                      </p>
+                    </div>
+                  </div>
+                  {leadDispute.details && <p className="text-sm text-gray-700">{leadDispute.details}</p>}
+                  {/* A PROCESSING dispute with a refund id was refunded but not finalized: approving again finishes it */}
+                  {leadDispute.status === 'OPEN' || (leadDispute.status === 'PROCESSING' && leadDispute.razorpay_refund_id) ? (
+                    <>
+                      <Textarea
+                        value={disputeNote}
+                        onChange={(e) => setDisputeNote(e.target.value)}
+                        placeholder="Resolution note for the vendor (required when rejecting)..."
+                        className="min-h-[60px] bg-white"
+                      />
+                      <div className="flex gap-2">
+                        <Button size="sm" className="bg-green-600 hover:bg-green-700" onClick={() => handleResolveDispute('APPROVE')} disabled={resolvingDispute}>
+                          {resolvingDispute && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                          Approve refund
+                        </Button>
+                        <Button size="sm" variant="outline" className="text-red-600" onClick={() => handleResolveDispute('REJECT')} disabled={resolvingDispute}>
+                          Reject
+                        </Button>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-700">
+                      {leadDispute.status === 'APPROVED'
+                        ? `Refunded (${leadDispute.refund_method || '—'}${Number(leadDispute.refund_amount) > 0 ? ` · ₹${leadDispute.refund_amount}` : ''})`
+                        : leadDispute.status === 'PROCESSING'
+                          ? 'Refund in progress'
+                          : 'Rejected'}
+                      {leadDispute.resolution_note ? ` — ${leadDispute.resolution_note}` : ''}
+                    </p>
+                  )}
+                </div>
+              )}
+
               {(selectedTicket?.vendor_id || selectedTicket?.buyer_id) && (
                 <div className="space-y-2 rounded-lg border border-blue-200 bg-blue-50 p-3">
                   <div className="flex flex-wrap items-center gap-2">
@@ -466,14 +837,21 @@ const Tickets = () => {
                         }`}
                       >
                         <div className="flex justify-between items-center mb-1">
-                          <span className="font-medium text-xs">
+                          <span className="font-medium text-xs flex items-center gap-1" title={msg.email_from || undefined}>
+                            {msg.channel === 'EMAIL' && <Mail className="h-3 w-3" />}
                             {String(msg.sender_type || '').toUpperCase() === 'SUPPORT' ? 'Support Team' : 'Customer'}
                           </span>
                           <span className="text-xs text-gray-500">
+                            {msg.email_status && (
+                              <span className={`mr-2 ${emailStatusStyles[msg.email_status] || ''}`} title={msg.email_error || ''}>
+                                {emailStatusText[msg.email_status] || msg.email_status}
+                              </span>
+                            )}
                             {msg.created_at ? new Date(msg.created_at).toLocaleString() : ''}
                           </span>
                         </div>
-                        <p>{msg.message}</p>
+                        <p className="whitespace-pre-wrap">{msg.message}</p>
+                        <AttachmentLinks files={msg.attachments} />
                       </div>
                     ))
                   )}
@@ -509,6 +887,53 @@ const Tickets = () => {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <Dialog open={policiesOpen} onOpenChange={setPoliciesOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Clock className="h-5 w-5" />
+              SLA Policies
+            </DialogTitle>
+          </DialogHeader>
+          <p className="text-xs text-gray-500">Targets in hours. Changes apply to new and re-prioritised tickets.</p>
+          <div className="space-y-2">
+            <div className="grid grid-cols-4 gap-2 text-xs font-medium text-gray-500">
+              <span>Priority</span>
+              <span>First response</span>
+              <span>Resolution</span>
+              <span />
+            </div>
+            {policies
+              .filter((p) => SLA_PRIORITIES.includes(p.priority))
+              .map((policy) => (
+                <div key={policy.priority} className="grid grid-cols-4 gap-2 items-center">
+                  <Badge variant="outline" className={`w-fit ${getPriorityBadge(policy.priority)}`}>{policy.priority}</Badge>
+                  <Input
+                    type="number"
+                    min="0.25"
+                    step="0.25"
+                    value={policy.first_response_hours}
+                    onChange={(e) => setPolicies((prev) => prev.map((p) => (p.priority === policy.priority ? { ...p, first_response_hours: e.target.value } : p)))}
+                  />
+                  <Input
+                    type="number"
+                    min="0.25"
+                    step="0.25"
+                    value={policy.resolution_hours}
+                    onChange={(e) => setPolicies((prev) => prev.map((p) => (p.priority === policy.priority ? { ...p, resolution_hours: e.target.value } : p)))}
+                  />
+                  <Button size="sm" variant="outline" onClick={() => handleSavePolicy(policy)} disabled={savingPolicy === policy.priority}>
+                    {savingPolicy === policy.priority ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Save'}
+                  </Button>
+                </div>
+              ))}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setPoliciesOpen(false)}>Close</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 };
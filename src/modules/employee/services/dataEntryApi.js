@@ -1044,6 +1044,20 @@ export const dataEntryApi = {
     }
   },
 
+  // Directory search report: top / zero-result / low-CTR queries
+  getSearchInsights: async ({ days = 30, limit = 50, minSearches, maxCtr } = {}) => {
+    const qs = new URLSearchParams({ days: String(days), limit: String(limit) });
+    if (minSearches) qs.set('minSearches', String(minSearches));
+    if (maxCtr !== undefined && maxCtr !== null) qs.set('maxCtr', String(maxCtr));
+
+    const response = await fetchWithCsrf(apiUrl(`/api/employee/dataentry/search-insights?${qs.toString()}`));
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload?.success) {
+      throw new Error(payload?.error || `Failed to load search insights (${response.status})`);
+    }
+    return payload.report || null;
+  },
+
   // ============================================
   // VENDOR TABLE MAPPINGS - All vendor* tables
   // ============================================
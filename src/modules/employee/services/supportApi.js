@@ -37,12 +37,15 @@ export const supportApi = {
   },
 
   // ✅ Messages via API (RLS safe)
-  getMessages: async (ticketId) => {
+  getMessages: async (ticketId) => (await supportApi.getThread(ticketId)).messages,
+
+  // ✅ Messages with their email attachments + files that came with the opening email
+  getThread: async (ticketId) => {
     try {
       const res = await fetchWithCsrf(apiUrl(`/api/support/tickets/${ticketId}/messages`));
       const data = await res.json();
       if (!res.ok) throw new Error(data?.error || 'Failed to fetch messages');
-      return data.messages || [];
+      return { messages: data.messages || [], attachments: data.attachments || [] };
     } catch (e) {
       console.warn('Messages API failed, fallback to Supabase:', e);
       const { data, error } = await supabase
@@ -50,8 +53,8 @@ export const supportApi = {
         .select('*')
         .eq('ticket_id', ticketId)
         .order('created_at', { ascending: true });
-      if (error) return [];
-      return data || [];
+      if (error) return { messages: [], attachments: [] };
+      return { messages: data || [], attachments: [] };
     }
   },
 
@@ -91,6 +94,82 @@ export const supportApi = {
     return data;
   },
 
+  // ✅ Lead refund request linked to a ticket (null for ordinary tickets)
+  getLeadDispute: async (ticketId) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/support/tickets/${ticketId}/lead-dispute`));
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to fetch lead dispute');
+    return data.dispute || null;
+  },
+
+  resolveLeadDispute: async (ticketId, decision, note) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/support/tickets/${ticketId}/lead-dispute/resolve`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ decision, note }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to resolve lead dispute');
+    return data.dispute;
+  },
+
+  // ✅ SLA: assignment + policies
+  getAgents: async () => {
+    const res = await fetchWithCsrf(apiUrl('/api/support/agents'));
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to fetch support agents');
+    return data.agents || [];
+  },
+
+  assignTicket: async (ticketId, employeeId = null) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/support/tickets/${ticketId}/assign`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ employee_id: employeeId }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to assign ticket');
+    return data.ticket;
+  },
+
+  getSlaPolicies: async () => {
+    const res = await fetchWithCsrf(apiUrl('/api/support/sla/policies'));
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to fetch SLA policies');
+    return data.policies || [];
+  },
+
+  updateSlaPolicy: async (priority, { first_response_minutes, resolution_minutes }) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/support/sla/policies/${priority}`), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ first_response_minutes, resolution_minutes }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to update SLA policy');
+    return data.policy;
+  },
+
+  // ✅ Buyer review moderation queue
+  getReviews: async (status = 'PENDING', { limit = 25, offset = 0 } = {}) => {
+    const params = new URLSearchParams({ status, limit: String(limit), offset: String(offset) });
+    const res = await fetchWithCsrf(apiUrl(`/api/support/reviews?${params.toString()}`));
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to fetch reviews');
+    return { reviews: data.reviews || [], total: data.total || 0 };
+  },
+
+  moderateReview: async (reviewId, action, note) => {
+    const res = await fetchWithCsrf(apiUrl(`/api/support/reviews/${reviewId}/moderate`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action, note }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data?.error || 'Failed to moderate review');
+    return data.review;
+  },
+
   getStats: async () => {
     try {
       const response = await fetchWithCsrf(apiUrl(`/api/support/stats`));
@@ -29,7 +29,14 @@ const CategoryTypeahead = ({ onSelect, defaultValue = '', placeholder = "Search
       if (query.length >= 2) {
         setLoading(true);
         try {
-          const results = await directoryApi.searchMicroCategories(query);
+          let results;
+          try {
+            // Products can only sit under a micro/sub category, never a head category
+            const groups = await directoryApi.suggest(query, { types: ['categories'], limit: 10 });
+            results = (groups.categories || []).filter((c) => c.type === 'micro' || c.type === 'sub');
+          } catch {
+            results = await directoryApi.searchMicroCategories(query);
+          }
           setSuggestions(results);
           
           // Just show dropdown, don't auto-select
@@ -99,7 +106,7 @@ const CategoryTypeahead = ({ onSelect, defaultValue = '', placeholder = "Search
         <div className="absolute z-50 w-full mt-1 bg-white border rounded-md shadow-lg max-h-60 overflow-auto">
           {suggestions.map((item, idx) => (
             <div 
-              key={item.id} 
+              key={`${item.type}:${item.id}`} 
               className={cn(
                 "px-4 py-2 cursor-pointer text-sm border-b last:border-0",
                 idx === highlightIndex ? "bg-blue-50 text-[#003D82]" : "hover:bg-slate-50 text-slate-700"
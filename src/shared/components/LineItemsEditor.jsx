@@ -0,0 +1,255 @@
+import React, { useMemo } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  GST_RATES,
+  QUOTATION_UNITS,
+  computeLineItemTotals,
+  emptyLineItem,
+  formatInr,
+} from '@/shared/utils/quotationTotals';
+
+const MAX_LINE_ITEMS = 50;
+
+const selectClass =
+  'h-9 w-full rounded-md border border-input bg-background px-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+export const LineItemTotals = ({ totals, className = '' }) => {
+  if (!totals || totals.grand_total === null || totals.grand_total === undefined) return null;
+  return (
+    <div className={`ml-auto w-full max-w-xs space-y-1 text-sm ${className}`}>
+      <div className="flex justify-between text-slate-600">
+        <span>Subtotal</span>
+        <span>{formatInr(totals.subtotal)}</span>
+      </div>
+      {Number(totals.discount_total) > 0 && (
+        <div className="flex justify-between text-slate-600">
+          <span>Discount</span>
+          <span>-{formatInr(totals.discount_total)}</span>
+        </div>
+      )}
+      <div className="flex justify-between text-slate-600">
+        <span>GST</span>
+        <span>{formatInr(totals.tax_total)}</span>
+      </div>
+      <div className="flex justify-between border-t pt-1 font-semibold text-slate-900">
+        <span>Total</span>
+        <span>{formatInr(totals.grand_total)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Editable product lines for RFQs (buyer, price optional) and quotations (vendor, price required).
+ * `products` (vendor catalogue) is optional; picking one fills name, unit and price.
+ */
+const LineItemsEditor = ({ items, onChange, products = [], priceRequired = false, priceLabel = 'Unit Price (₹)' }) => {
+  const totals = useMemo(() => computeLineItemTotals(items), [items]);
+
+  const updateItem = (index, patch) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+  };
+
+  const pickProduct = (index, productId) => {
+    const product = products.find((p) => String(p.id) === String(productId));
+    if (!product) {
+      updateItem(index, { product_id: '' });
+      return;
+    }
+    const unit = QUOTATION_UNITS.some((u) => u.value === product.price_unit) ? product.price_unit : items[index]?.unit;
+    updateItem(index, {
+      product_id: product.id,
+      product_name: product.name || '',
+      unit: unit || 'pieces',
+      unit_price: items[index]?.unit_price || (product.price ?? ''),
+    });
+  };
+
+  const addItem = () => onChange([...items, emptyLineItem()]);
+  const removeItem = (index) => onChange(items.length > 1 ? items.filter((_, i) => i !== index) : [emptyLineItem()]);
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, index) => {
+        const line = totals.items[index];
+        return (
+          <div key={index} className="rounded-lg border bg-slate-50/50 p-3 space-y-3">
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-semibold uppercase text-slate-500">Item {index + 1}</span>
+              <Button type="button" variant="ghost" size="icon" onClick={() => removeItem(index)} title="Remove item">
+                <Trash2 className="h-4 w-4 text-slate-500" />
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+              {products.length > 0 && (
+                <div className="space-y-1">
+                  <label className="text-xs text-slate-600">From catalogue</label>
+                  <select
+                    className={selectClass}
+                    value={item.product_id || ''}
+                    onChange={(e) => pickProduct(index, e.target.value)}
+                  >
+                    <option value="">Custom item</option>
+                    {products.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className={`space-y-1 ${products.length > 0 ? 'md:col-span-2' : 'md:col-span-3'}`}>
+                <label className="text-xs text-slate-600">Product / Service *</label>
+                <Input
+                  value={item.product_name}
+                  onChange={(e) => updateItem(index, { product_name: e.target.value })}
+                  placeholder="e.g., MS Pipe 2 inch"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 md:grid-cols-6">
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">HSN</label>
+                <Input
+                  value={item.hsn_code}
+                  inputMode="numeric"
+                  maxLength={8}
+                  onChange={(e) => updateItem(index, { hsn_code: e.target.value.replace(/\D/g, '') })}
+                  placeholder="7306"
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">Qty *</label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.quantity}
+                  onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                  placeholder="0"
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">Unit</label>
+                <select
+                  className={selectClass}
+                  value={item.unit || 'pieces'}
+                  onChange={(e) => updateItem(index, { unit: e.target.value })}
+                >
+                  {QUOTATION_UNITS.map((u) => (
+                    <option key={u.value} value={u.value}>
+                      {u.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">
+                  {priceLabel}
+                  {priceRequired ? ' *' : ''}
+                </label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={item.unit_price}
+                  onChange={(e) => updateItem(index, { unit_price: e.target.value })}
+                  placeholder="0"
+                />
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">GST %</label>
+                <select
+                  className={selectClass}
+                  value={String(item.gst_rate ?? 0)}
+                  onChange={(e) => updateItem(index, { gst_rate: Number(e.target.value) })}
+                >
+                  {GST_RATES.map((rate) => (
+                    <option key={rate} value={String(rate)}>
+                      {rate}%
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-1">
+                <label className="text-xs text-slate-600">Discount %</label>
+                <Input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.01"
+                  value={item.discount_percent}
+                  onChange={(e) => updateItem(index, { discount_percent: e.target.value })}
+                  placeholder="0"
+                />
+              </div>
+            </div>
+
+            {line?.line_total !== null && line?.line_total !== undefined && (
+              <div className="text-right text-xs text-slate-600">
+                Taxable {formatInr(line.taxable_amount)} + GST {formatInr(line.tax_amount)} ={' '}
+                <span className="font-semibold text-slate-900">{formatInr(line.line_total)}</span>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <Button type="button" variant="outline" size="sm" onClick={addItem} disabled={items.length >= MAX_LINE_ITEMS}>
+          <Plus className="mr-1 h-4 w-4" /> Add item
+        </Button>
+        <LineItemTotals totals={totals} />
+      </div>
+    </div>
+  );
+};
+
+/** Read-only table of saved line items */
+export const LineItemsTable = ({ items = [], totals = null }) => {
+  if (!items.length) return null;
+  const computed = totals || computeLineItemTotals(items);
+  return (
+    <div className="space-y-3">
+      <div className="overflow-x-auto rounded-lg border">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-left text-xs uppercase text-slate-500">
+            <tr>
+              <th className="px-3 py-2">#</th>
+              <th className="px-3 py-2">Item</th>
+              <th className="px-3 py-2">HSN</th>
+              <th className="px-3 py-2 text-right">Qty</th>
+              <th className="px-3 py-2 text-right">Rate</th>
+              <th className="px-3 py-2 text-right">Disc.</th>
+              <th className="px-3 py-2 text-right">GST</th>
+              <th className="px-3 py-2 text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item, index) => (
+              <tr key={item.id || index} className="border-t">
+                <td className="px-3 py-2 text-slate-500">{index + 1}</td>
+                <td className="px-3 py-2 font-medium text-slate-900">{item.product_name}</td>
+                <td className="px-3 py-2 text-slate-600">{item.hsn_code || '—'}</td>
+                <td className="px-3 py-2 text-right">
+                  {Number(item.quantity)} {item.unit || ''}
+                </td>
+                <td className="px-3 py-2 text-right">{formatInr(item.unit_price)}</td>
+                <td className="px-3 py-2 text-right">{Number(item.discount_percent) ? `${Number(item.discount_percent)}%` : '—'}</td>
+                <td className="px-3 py-2 text-right">{Number(item.gst_rate)}%</td>
+                <td className="px-3 py-2 text-right font-medium">{formatInr(item.line_total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <LineItemTotals totals={computed} />
+    </div>
+  );
+};
+
+export default LineItemsEditor;
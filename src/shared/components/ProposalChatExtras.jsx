@@ -0,0 +1,346 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Download, FileText, Handshake, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { quotationApi } from '@/modules/vendor/services/quotationApi';
+import {
+  computeLineItemTotals,
+  emptyLineItem,
+  formatInr,
+  toLineItemPayload,
+} from '@/shared/utils/quotationTotals';
+
+// File attachments and revised-offer cards shared by the buyer and vendor chat pages.
+// The server checks type and size again (server/lib/proposalMessageAttachments.js); the limits here
+// only save a doomed upload.
+
+export const CHAT_ATTACHMENT_MAX_BYTES = 4 * 1024 * 1024;
+export const CHAT_ATTACHMENT_ACCEPT =
+  '.jpg,.jpeg,.png,.gif,.webp,.pdf,.doc,.docx,.xls,.xlsx,.dwg,.dxf,.csv,.txt';
+
+// Reuse a signed URL until it is close to expiry so polling does not reload every image
+const URL_REUSE_MARGIN_MS = 5 * 60 * 1000;
+
+const OFFER_STATUS_LABELS = {
+  OPEN: 'Awaiting response',
+  ACCEPTED: 'Accepted',
+  DECLINED: 'Declined',
+  SUPERSEDED: 'Replaced by a newer offer',
+  EXPIRED: 'Expired',
+};
+
+const OFFER_STATUS_STYLES = {
+  OPEN: 'bg-blue-100 text-blue-700',
+  ACCEPTED: 'bg-green-100 text-green-700',
+  DECLINED: 'bg-red-100 text-red-700',
+  SUPERSEDED: 'bg-gray-100 text-gray-600',
+  EXPIRED: 'bg-amber-100 text-amber-800',
+};
+
+export const readFileAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+    reader.readAsDataURL(file);
+  });
+
+/** Keep the previous signed URLs of a message's attachments while they are still valid */
+export const withStableAttachmentUrls = (next = {}, previous = null) => {
+  if (!previous?.attachments?.length || !next?.attachments?.length) return next;
+  const previousById = new Map(previous.attachments.map((item) => [item.id, item]));
+  return {
+    ...next,
+    attachments: next.attachments.map((item) => {
+      const prior = previousById.get(item.id);
+      const priorExpiry = Date.parse(prior?.url_expires_at || '') || 0;
+      return prior?.url && priorExpiry - Date.now() > URL_REUSE_MARGIN_MS
+        ? { ...item, url: prior.url, url_expires_at: prior.url_expires_at }
+        : item;
+    }),
+  };
+};
+
+const formatBytes = (value) => {
+  const bytes = Number(value || 0);
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+export const MessageAttachments = ({ attachments = [], isMe = false, onPreview }) => (
+  <div className="space-y-2">
+    {attachments.map((file) =>
+      file.is_image && file.url ? (
+        <button
+          key={file.id}
+          type="button"
+          onClick={() => onPreview?.(file.url, file.file_name)}
+          className="block overflow-hidden rounded-lg cursor-zoom-in"
+        >
+          <img src={file.url} alt={file.file_name} className="max-h-48 max-w-full object-cover" loading="lazy" />
+        </button>
+      ) : (
+        <a
+          key={file.id}
+          href={file.url || undefined}
+          target="_blank"
+          rel="noopener noreferrer"
+          className={`flex items-center gap-2 rounded-lg border px-3 py-2 ${
+            isMe ? 'border-blue-300/40 bg-white/10 text-white' : 'border-gray-200 bg-gray-50 text-gray-800'
+          }`}
+        >
+          <FileText className="h-5 w-5 shrink-0" />
+          <span className="min-w-0 flex-1">
+            <span className="block truncate text-xs font-medium">{file.file_name}</span>
+            <span className={`block text-[10px] ${isMe ? 'text-blue-100' : 'text-gray-500'}`}>
+              {formatBytes(file.size_bytes)}
+            </span>
+          </span>
+          <Download className="h-4 w-4 shrink-0" />
+        </a>
+      )
+    )}
+  </div>
+);
+
+export const OfferCard = ({ offer, isMe = false, busy = false, onAccept, onDecline }) => {
+  if (!offer) return null;
+  const status = offer.status || 'OPEN';
+  const items = Array.isArray(offer.items) ? offer.items : [];
+
+  return (
+    <div className={`rounded-lg border p-3 ${isMe ? 'border-blue-300/40 bg-white/10' : 'border-gray-200 bg-gray-50'}`}>
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <span className="inline-flex items-center gap-1.5 text-xs font-semibold uppercase tracking-wide">
+          <Handshake className="h-3.5 w-3.5" />
+          Revised offer
+        </span>
+        <span className={`rounded-full px-2 py-0.5 text-[10px] font-semibold ${OFFER_STATUS_STYLES[status] || ''}`}>
+          {OFFER_STATUS_LABELS[status] || status}
+        </span>
+      </div>
+
+      <div className="space-y-1 text-xs">
+        {items.map((item, index) => (
+          <div key={`${item.product_name}-${index}`} className="flex justify-between gap-3">
+            <span className="min-w-0 truncate">
+              {item.product_name} · {item.quantity} {item.unit || ''} × {formatInr(item.unit_price)}
+            </span>
+            <span className="shrink-0">{formatInr(item.line_total)}</span>
+          </div>
+        ))}
+        <div className={`flex justify-between gap-3 border-t pt-1 font-semibold ${isMe ? 'border-blue-300/40' : 'border-gray-200'}`}>
+          <span>Total (incl. GST)</span>
+          <span>{formatInr(offer.grand_total ?? offer.totals?.grand_total)}</span>
+        </div>
+        {offer.delivery_days ? <p>Delivery in {offer.delivery_days} days</p> : null}
+        {offer.payment_terms ? <p>Payment: {offer.payment_terms}</p> : null}
+        {offer.note ? <p className="italic">“{offer.note}”</p> : null}
+        {status === 'OPEN' && offer.valid_until ? (
+          <p className={isMe ? 'text-blue-100' : 'text-gray-500'}>
+            Valid until {new Date(offer.valid_until).toLocaleDateString()}
+          </p>
+        ) : null}
+        {status === 'DECLINED' && offer.response_note ? <p>Reason: {offer.response_note}</p> : null}
+      </div>
+
+      {offer.can_respond ? (
+        <div className="mt-3 flex gap-2">
+          <Button size="sm" className="h-8 flex-1 bg-green-600 hover:bg-green-700" disabled={busy} onClick={onAccept}>
+            {busy ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : 'Accept'}
+          </Button>
+          <Button size="sm" variant="outline" className="h-8 flex-1 text-gray-700" disabled={busy} onClick={onDecline}>
+            Decline
+          </Button>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+/**
+ * Revise price/quantity per line (starting from the proposal's current items) plus delivery/payment
+ * terms. Calls onSent(message) with the posted offer message.
+ */
+export const OfferComposerDialog = ({ open, onOpenChange, proposalId, productName, onSent }) => {
+  const [items, setItems] = useState([]);
+  const [terms, setTerms] = useState({ delivery_days: '', payment_terms: '', validity_days: '7', note: '' });
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!open || !proposalId) return undefined;
+    let active = true;
+    setLoading(true);
+    quotationApi
+      .getLineItems(proposalId)
+      .then((data) => {
+        if (!active) return;
+        const current = Array.isArray(data?.items) ? data.items : [];
+        setItems(
+          current.length
+            ? current.map((item) => emptyLineItem({ ...item, unit_price: item.unit_price ?? '' }))
+            : [emptyLineItem({ product_name: productName || 'Item' })]
+        );
+      })
+      .catch(() => {
+        if (active) setItems([emptyLineItem({ product_name: productName || 'Item' })]);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [open, proposalId, productName]);
+
+  const totals = useMemo(() => computeLineItemTotals(items), [items]);
+
+  const updateItem = (index, patch) =>
+    setItems((prev) => prev.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      const message = await quotationApi.sendChatOffer(proposalId, {
+        items: toLineItemPayload(items),
+        delivery_days: terms.delivery_days || null,
+        payment_terms: terms.payment_terms || null,
+        validity_days: terms.validity_days || null,
+        note: terms.note || null,
+      });
+      onSent?.(message);
+      onOpenChange(false);
+      setTerms({ delivery_days: '', payment_terms: '', validity_days: '7', note: '' });
+    } catch (e) {
+      toast({ title: 'Could not send offer', description: e.message, variant: 'destructive' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !submitting && onOpenChange(next)}>
+      <DialogContent className="max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Send a revised offer</DialogTitle>
+          <DialogDescription>
+            If the other side accepts, these items and terms replace the ones on the proposal.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-400">
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Loading current items...
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="space-y-2">
+              {items.map((item, index) => (
+                <div key={`${item.id || 'new'}-${index}`} className="grid grid-cols-12 items-end gap-2">
+                  <div className="col-span-6">
+                    <Label className="text-xs text-gray-600">Item</Label>
+                    <Input
+                      className="mt-1"
+                      value={item.product_name}
+                      onChange={(e) => updateItem(index, { product_name: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-span-3">
+                    <Label className="text-xs text-gray-600">Quantity{item.unit ? ` (${item.unit})` : ''}</Label>
+                    <Input
+                      className="mt-1"
+                      type="number"
+                      min="0"
+                      value={item.quantity}
+                      onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-span-3">
+                    <Label className="text-xs text-gray-600">Unit price (₹)</Label>
+                    <Input
+                      className="mt-1"
+                      type="number"
+                      min="0"
+                      value={item.unit_price}
+                      onChange={(e) => updateItem(index, { unit_price: e.target.value })}
+                    />
+                  </div>
+                </div>
+              ))}
+              <div className="flex justify-end gap-4 text-sm">
+                <span className="text-gray-500">GST {formatInr(totals.tax_total)}</span>
+                <span className="font-semibold">Total {formatInr(totals.grand_total)}</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+              <div>
+                <Label className="text-xs text-gray-600">Delivery (days)</Label>
+                <Input
+                  className="mt-1"
+                  type="number"
+                  min="1"
+                  value={terms.delivery_days}
+                  onChange={(e) => setTerms((prev) => ({ ...prev, delivery_days: e.target.value }))}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <Label className="text-xs text-gray-600">Payment terms</Label>
+                <Input
+                  className="mt-1"
+                  value={terms.payment_terms}
+                  placeholder="e.g. 30% advance, balance on delivery"
+                  onChange={(e) => setTerms((prev) => ({ ...prev, payment_terms: e.target.value }))}
+                />
+              </div>
+              <div>
+                <Label className="text-xs text-gray-600">Offer valid for (days)</Label>
+                <Input
+                  className="mt-1"
+                  type="number"
+                  min="1"
+                  max="90"
+                  value={terms.validity_days}
+                  onChange={(e) => setTerms((prev) => ({ ...prev, validity_days: e.target.value }))}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <Label className="text-xs text-gray-600">Note</Label>
+                <Textarea
+                  className="mt-1"
+                  rows={2}
+                  value={terms.note}
+                  onChange={(e) => setTerms((prev) => ({ ...prev, note: e.target.value }))}
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button className="bg-[#003D82]" onClick={handleSubmit} disabled={loading || submitting || !items.length}>
+            {submitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : null}
+            Send offer
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
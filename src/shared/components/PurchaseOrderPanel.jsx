@@ -0,0 +1,379 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle2, Circle, Download, Loader2, Package, Truck, AlertTriangle, XCircle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { toast } from '@/components/ui/use-toast';
+import { quotationApi } from '@/modules/vendor/services/quotationApi';
+import { formatInr } from '@/shared/utils/quotationTotals';
+
+// Purchase order raised from an accepted quotation: create form (buyer), order summary, timeline and
+// the next step for whoever is viewing (vendor acknowledges/dispatches, buyer confirms delivery/disputes).
+
+const STATUS_LABELS = {
+  ISSUED: 'Issued',
+  CONFIRMED: 'Acknowledged by supplier',
+  DISPATCHED: 'Dispatched',
+  DELIVERED: 'Delivered',
+  DISPUTED: 'Disputed',
+  CANCELLED: 'Cancelled',
+};
+
+const STATUS_STYLES = {
+  ISSUED: 'bg-blue-100 text-blue-700',
+  CONFIRMED: 'bg-indigo-100 text-indigo-700',
+  DISPATCHED: 'bg-amber-100 text-amber-800',
+  DELIVERED: 'bg-green-100 text-green-700',
+  DISPUTED: 'bg-red-100 text-red-700',
+  CANCELLED: 'bg-gray-100 text-gray-600',
+};
+
+const ACTION_LABELS = {
+  CONFIRMED: 'Acknowledge order',
+  DISPATCHED: 'Mark dispatched',
+  DELIVERED: 'Confirm delivery',
+  DISPUTED: 'Raise dispute',
+  CANCELLED: 'Cancel order',
+};
+
+const TIMELINE_ICONS = {
+  DISPATCHED: Truck,
+  DISPUTED: AlertTriangle,
+  CANCELLED: XCircle,
+};
+
+const ADDRESS_FIELDS = [
+  { key: 'name', label: 'Name / Company' },
+  { key: 'address', label: 'Address', wide: true },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'pincode', label: 'PIN code' },
+  { key: 'gstin', label: 'GSTIN' },
+  { key: 'phone', label: 'Phone' },
+];
+
+const emptyAddress = () => ADDRESS_FIELDS.reduce((acc, f) => ({ ...acc, [f.key]: '' }), {});
+
+const compactAddress = (address = {}) =>
+  Object.fromEntries(Object.entries(address).filter(([, v]) => String(v || '').trim()));
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+const savePdf = (dataUrl, name) => {
+  const link = document.createElement('a');
+  link.href = dataUrl;
+  link.download = `${String(name || 'purchase-order').replace(/\//g, '-')}.pdf`;
+  link.click();
+};
+
+const AddressFields = ({ value, onChange, placeholder }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+    {ADDRESS_FIELDS.map((field) => (
+      <div key={field.key} className={field.wide ? 'sm:col-span-2' : ''}>
+        <Label className="text-xs text-gray-600">{field.label}</Label>
+        <Input
+          className="mt-1"
+          value={value[field.key]}
+          placeholder={placeholder}
+          onChange={(e) => onChange({ ...value, [field.key]: e.target.value })}
+        />
+      </div>
+    ))}
+  </div>
+);
+
+const PurchaseOrderPanel = ({ quotationId, role = 'BUYER', canCreate = false }) => {
+  const [loading, setLoading] = useState(true);
+  const [detail, setDetail] = useState(null); // { order, events, allowed_actions }
+  const [showForm, setShowForm] = useState(false);
+  const [billing, setBilling] = useState(emptyAddress);
+  const [shipElsewhere, setShipElsewhere] = useState(false);
+  const [shipping, setShipping] = useState(emptyAddress);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [docketNumber, setDocketNumber] = useState('');
+  const [carrier, setCarrier] = useState('');
+  const [actionNote, setActionNote] = useState('');
+
+  const load = async () => {
+    if (!quotationId) return;
+    setLoading(true);
+    try {
+      const orders = await quotationApi.listPurchaseOrders({ as: role.toLowerCase(), quotationId });
+      const current = orders.find((o) => o.status !== 'CANCELLED') || orders[0];
+      setDetail(current ? await quotationApi.getPurchaseOrder(current.id) : null);
+    } catch (e) {
+      console.error('Failed to load purchase order:', e);
+      setDetail(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quotationId, role]);
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const result = await quotationApi.createPurchaseOrder(quotationId, {
+        billing_address: compactAddress(billing),
+        shipping_address: shipElsewhere ? compactAddress(shipping) : null,
+        expected_delivery_date: expectedDate || null,
+        notes: notes.trim() || null,
+      });
+      setDetail(result);
+      setShowForm(false);
+      toast({ title: `Purchase order ${result.order.po_number} issued`, description: 'The supplier has been asked to acknowledge it.' });
+    } catch (e) {
+      toast({ title: 'Could not create purchase order', description: e.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (status) => {
+    setSaving(true);
+    try {
+      const result = await quotationApi.updatePurchaseOrderStatus(detail.order.id, {
+        status,
+        note: actionNote.trim() || undefined,
+        docketNumber: docketNumber.trim() || undefined,
+        carrier: carrier.trim() || undefined,
+      });
+      setDetail(result);
+      setPendingAction(null);
+      setActionNote('');
+      setDocketNumber('');
+      setCarrier('');
+      toast({ title: `Order ${STATUS_LABELS[status].toLowerCase()}` });
+    } catch (e) {
+      toast({ title: 'Could not update order', description: e.message, variant: 'destructive' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ✅ Dispatch needs a docket, disputes need a reason; the rest are one click
+  const startAction = (status) => {
+    if (status === 'DISPATCHED' || status === 'DISPUTED') {
+      setPendingAction(status);
+      return;
+    }
+    if (status === 'CANCELLED' && !window.confirm('Cancel this purchase order?')) return;
+    runAction(status);
+  };
+
+  const handleDownload = async () => {
+    try {
+      const result = await quotationApi.getPurchaseOrderPdf(detail.order.id);
+      savePdf(result.pdf, result.po_number);
+    } catch (e) {
+      toast({ title: 'Error', description: e.message || 'Failed to download purchase order', variant: 'destructive' });
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="rounded-lg border bg-white p-4 flex justify-center">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (!detail?.order || detail.order.status === 'CANCELLED') {
+    if (!canCreate) {
+      return detail?.order ? (
+        <div className="rounded-lg border bg-white p-4 text-sm text-gray-600">
+          Purchase order {detail.order.po_number} was cancelled.
+        </div>
+      ) : null;
+    }
+
+    return (
+      <div className="rounded-lg border bg-white p-4 space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <div className="font-semibold text-gray-900 flex items-center gap-2">
+              <Package className="h-4 w-4" /> Purchase Order
+            </div>
+            <div className="text-sm text-gray-600">Turn this accepted quotation into a purchase order for the supplier.</div>
+          </div>
+          {!showForm ? (
+            <Button className="bg-[#003D82] hover:bg-[#002a5c]" onClick={() => setShowForm(true)}>
+              Create purchase order
+            </Button>
+          ) : null}
+        </div>
+
+        {showForm ? (
+          <div className="space-y-4">
+            <div>
+              <div className="text-sm font-medium text-gray-800 mb-2">Billing address</div>
+              <AddressFields value={billing} onChange={setBilling} placeholder="From your profile" />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 accent-[#003D82]"
+                checked={shipElsewhere}
+                onChange={(e) => setShipElsewhere(e.target.checked)}
+              />
+              Ship to a different address
+            </label>
+
+            {shipElsewhere ? (
+              <div>
+                <div className="text-sm font-medium text-gray-800 mb-2">Shipping address</div>
+                <AddressFields value={shipping} onChange={setShipping} placeholder="Same as billing" />
+              </div>
+            ) : null}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <div>
+                <Label className="text-xs text-gray-600">Expected delivery date</Label>
+                <Input type="date" className="mt-1" value={expectedDate} onChange={(e) => setExpectedDate(e.target.value)} />
+              </div>
+            </div>
+            <div>
+              <Label className="text-xs text-gray-600">Notes for the supplier</Label>
+              <Textarea className="mt-1" value={notes} maxLength={1000} onChange={(e) => setNotes(e.target.value)} />
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" onClick={() => setShowForm(false)} disabled={saving}>Cancel</Button>
+              <Button className="bg-[#003D82] hover:bg-[#002a5c]" onClick={handleCreate} disabled={saving}>
+                {saving ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                Issue purchase order
+              </Button>
+            </div>
+          </div>
+        ) : null}
+      </div>
+    );
+  }
+
+  const { order, events = [], allowed_actions: actions = [] } = detail;
+  const shipTo = order.shipping_address || {};
+
+  return (
+    <div className="rounded-lg border bg-white p-4 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="font-semibold text-gray-900 flex items-center gap-2">
+            <Package className="h-4 w-4" /> Purchase Order {order.po_number}
+            <Badge className={`${STATUS_STYLES[order.status] || ''} border-0`}>{STATUS_LABELS[order.status] || order.status}</Badge>
+          </div>
+          <div className="text-sm text-gray-600 mt-1">
+            {formatInr(order.grand_total)} incl. GST
+            {order.expected_delivery_date ? ` · Expected by ${new Date(order.expected_delivery_date).toLocaleDateString()}` : ''}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">
+            Ship to: {[shipTo.name, shipTo.address, shipTo.city, shipTo.pincode].filter(Boolean).join(', ') || '—'}
+          </div>
+          {order.docket_number ? (
+            <div className="text-xs text-gray-700 mt-1">
+              Docket: <span className="font-medium">{order.docket_number}</span>
+              {order.carrier ? ` (${order.carrier})` : ''}
+            </div>
+          ) : null}
+        </div>
+        <Button variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="h-4 w-4 mr-1" /> PDF
+        </Button>
+      </div>
+
+      <ol className="space-y-3">
+        {events.map((event) => {
+          const Icon = TIMELINE_ICONS[event.status] || CheckCircle2;
+          return (
+            <li key={event.id} className="flex gap-3 text-sm">
+              <Icon className={`h-4 w-4 mt-0.5 ${event.status === 'DISPUTED' ? 'text-red-600' : 'text-green-600'}`} />
+              <div>
+                <div className="font-medium text-gray-900">{STATUS_LABELS[event.status] || event.status}</div>
+                <div className="text-xs text-gray-500">
+                  {formatDateTime(event.created_at)} · by {event.actor_role === 'VENDOR' ? 'supplier' : event.actor_role === 'BUYER' ? 'buyer' : 'system'}
+                </div>
+                {event.docket_number ? (
+                  <div className="text-xs text-gray-700">Docket {event.docket_number}{event.carrier ? ` via ${event.carrier}` : ''}</div>
+                ) : null}
+                {event.note ? <div className="text-xs text-gray-700 whitespace-pre-line">{event.note}</div> : null}
+              </div>
+            </li>
+          );
+        })}
+        {actions.length && !pendingAction ? (
+          <li className="flex gap-3 text-sm text-gray-400">
+            <Circle className="h-4 w-4 mt-0.5" />
+            <div>Waiting for you: {actions.map((a) => ACTION_LABELS[a].toLowerCase()).join(' or ')}</div>
+          </li>
+        ) : null}
+      </ol>
+
+      {pendingAction === 'DISPATCHED' ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 rounded-md border p-3">
+          <div>
+            <Label className="text-xs text-gray-600">Docket / AWB number</Label>
+            <Input className="mt-1" value={docketNumber} onChange={(e) => setDocketNumber(e.target.value)} />
+          </div>
+          <div>
+            <Label className="text-xs text-gray-600">Courier / transporter</Label>
+            <Input className="mt-1" value={carrier} onChange={(e) => setCarrier(e.target.value)} />
+          </div>
+          <div className="sm:col-span-2">
+            <Label className="text-xs text-gray-600">Note (optional)</Label>
+            <Input className="mt-1" value={actionNote} onChange={(e) => setActionNote(e.target.value)} />
+          </div>
+        </div>
+      ) : null}
+
+      {pendingAction === 'DISPUTED' ? (
+        <div className="rounded-md border p-3">
+          <Label className="text-xs text-gray-600">What went wrong?</Label>
+          <Textarea className="mt-1" value={actionNote} maxLength={1000} onChange={(e) => setActionNote(e.target.value)} />
+        </div>
+      ) : null}
+
+      {actions.length ? (
+        <div className="flex flex-wrap justify-end gap-2">
+          {pendingAction ? (
+            <>
+              <Button variant="outline" size="sm" onClick={() => setPendingAction(null)} disabled={saving}>Back</Button>
+              <Button
+                size="sm"
+                className={pendingAction === 'DISPUTED' ? 'bg-red-600 hover:bg-red-700' : 'bg-[#003D82] hover:bg-[#002a5c]'}
+                onClick={() => runAction(pendingAction)}
+                disabled={saving || (pendingAction === 'DISPATCHED' ? !docketNumber.trim() : !actionNote.trim())}
+              >
+                {saving ? <Loader2 className="h-4 w-4 animate-spin mr-2" /> : null}
+                {ACTION_LABELS[pendingAction]}
+              </Button>
+            </>
+          ) : (
+            actions.map((status) => (
+              <Button
+                key={status}
+                size="sm"
+                variant={status === 'CANCELLED' || status === 'DISPUTED' ? 'outline' : 'default'}
+                className={status === 'CANCELLED' || status === 'DISPUTED' ? 'text-red-600 border-red-200' : 'bg-[#003D82] hover:bg-[#002a5c]'}
+                onClick={() => startAction(status)}
+                disabled={saving}
+              >
+                {ACTION_LABELS[status]}
+              </Button>
+            ))
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default PurchaseOrderPanel;
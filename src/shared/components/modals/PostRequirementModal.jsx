@@ -3,6 +3,7 @@ import { Loader2, X, Send } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { toast } from '@/components/ui/use-toast';
 import { supabase } from '@/lib/customSupabaseClient';
+import { apiUrl } from '@/lib/apiBase';
 import { StateDropdown, CityDropdown } from '@/shared/components/LocationSelectors';
 
 const safe = (value) => (value == null ? '' : String(value).trim());
@@ -274,16 +275,17 @@ const PostRequirementModal = ({ isOpen, onClose }) => {
         head_category_id: safe(formData.head_category_id) || null,
         state_id: safe(formData.state_id) || null,
         city_id: safe(formData.city_id) || null,
-        source: 'marketplace',
-        status: 'AVAILABLE',
-        created_at: new Date().toISOString()
       };
 
-      const { error } = await supabase
-        .from('leads')
-        .insert([payload]);
-
-      if (error) throw error;
+      // Posted through the API so matching vendors get lead alerts
+      const res = await fetch(apiUrl('/api/vendors/marketplace-leads'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(payload),
+      });
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok || !json?.success) throw new Error(json?.error || 'Failed to post requirement');
       
       toast({
         title: "Requirement Posted!",
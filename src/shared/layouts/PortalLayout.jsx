@@ -162,6 +162,7 @@ const PortalLayout = ({ role }) => {
           { icon: Database, label: 'Categories', path: '/employee/dataentry/categories' },
           { icon: Database, label: 'Locations', path: '/employee/dataentry/locations' },
           { icon: Users, label: 'Vendors', path: '/employee/dataentry/vendors' },
+          { icon: Search, label: 'Search Insights', path: '/employee/dataentry/search-insights' },
           { icon: ShieldCheck, label: 'KYC Approvals', path: '/employee/dataentry/kyc' },
         ];
       case 'SUPPORT':
@@ -0,0 +1,97 @@
+/**
+ * Line-item math for RFQs and quotations.
+ * Mirrors server/lib/quotationItems.js (the API recomputes on save; this is for live totals only).
+ */
+
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+export const QUOTATION_UNITS = [
+  { value: 'pieces', label: 'Pieces' },
+  { value: 'kg', label: 'Kg' },
+  { value: 'ton', label: 'Ton' },
+  { value: 'litre', label: 'Litre' },
+  { value: 'm', label: 'Meter' },
+  { value: 'sqft', label: 'Sq Ft' },
+  { value: 'box', label: 'Box' },
+  { value: 'set', label: 'Set' },
+  { value: 'hour', label: 'Hour' },
+  { value: 'day', label: 'Day' },
+];
+
+export const emptyLineItem = (overrides = {}) => ({
+  product_id: '',
+  product_name: '',
+  hsn_code: '',
+  quantity: '',
+  unit: 'pieces',
+  unit_price: '',
+  gst_rate: 18,
+  discount_percent: '',
+  ...overrides,
+});
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(String(value).replace(/[, ]+/g, ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+export const computeLineItemTotals = (items = []) => {
+  let subtotal = 0;
+  let discountTotal = 0;
+  let taxTotal = 0;
+  let priced = 0;
+
+  const lines = items.map((item) => {
+    const qty = toNumber(item?.quantity);
+    const price = toNumber(item?.unit_price);
+    if (!qty || qty <= 0 || price === null) {
+      return { ...item, taxable_amount: null, tax_amount: null, line_total: null };
+    }
+    const gross = round2(qty * price);
+    const discount = round2((gross * (toNumber(item?.discount_percent) || 0)) / 100);
+    const taxable = round2(gross - discount);
+    const tax = round2((taxable * (toNumber(item?.gst_rate) || 0)) / 100);
+
+    subtotal += gross;
+    discountTotal += discount;
+    taxTotal += tax;
+    priced += 1;
+
+    return { ...item, taxable_amount: taxable, tax_amount: tax, line_total: round2(taxable + tax) };
+  });
+
+  const hasTotals = priced > 0;
+  return {
+    items: lines,
+    subtotal: hasTotals ? round2(subtotal) : null,
+    discount_total: hasTotals ? round2(discountTotal) : null,
+    tax_total: hasTotals ? round2(taxTotal) : null,
+    grand_total: hasTotals ? round2(subtotal - discountTotal + taxTotal) : null,
+  };
+};
+
+export const formatInr = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '—';
+  return `₹${n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/** Strip UI-only fields before sending items to the API */
+export const toLineItemPayload = (items = []) =>
+  items
+    .filter((item) => String(item?.product_name || '').trim())
+    .map((item) => ({
+      product_id: item.product_id || null,
+      product_name: String(item.product_name).trim(),
+      description: item.description || null,
+      hsn_code: String(item.hsn_code || '').trim() || null,
+      quantity: item.quantity,
+      unit: item.unit || null,
+      unit_price: item.unit_price === '' ? null : item.unit_price,
+      gst_rate: Number(item.gst_rate) || 0,
+      discount_percent: item.discount_percent === '' ? 0 : item.discount_percent,
+    }));
@@ -0,0 +1,616 @@
+-- Directory full-text + typo-tolerant product search
+-- Crafted: 19-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / ON CONFLICT / CREATE OR REPLACE guards
+-- Goals:
+-- 1) Keep a denormalized search document on products (name, description, specs,
+--    micro/sub/head category names, vendor company name).
+-- 2) Expand common Indian trade abbreviations (SS, MS, GI, ...) via search_synonyms.
+-- 3) Rank dir_ranked_products by textual relevance inside the existing slot/plan order.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1) Synonym dictionary (editable by data-entry/admin without a deploy)
+CREATE TABLE IF NOT EXISTS public.search_synonyms (
+  term        text PRIMARY KEY,                -- single lowercase token, e.g. 'ss'
+  expansions  text[] NOT NULL,                 -- phrases, e.g. '{stainless steel}'
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT search_synonyms_term_check CHECK (term ~ '^[a-z0-9]+$')
+);
+
+INSERT INTO public.search_synonyms (term, expansions)
+VALUES
+  ('ss',    ARRAY['stainless steel']),
+  ('ms',    ARRAY['mild steel']),
+  ('gi',    ARRAY['galvanized iron', 'galvanised iron']),
+  ('ci',    ARRAY['cast iron']),
+  ('di',    ARRAY['ductile iron']),
+  ('cs',    ARRAY['carbon steel']),
+  ('hdpe',  ARRAY['high density polyethylene']),
+  ('ldpe',  ARRAY['low density polyethylene']),
+  ('pvc',   ARRAY['polyvinyl chloride']),
+  ('upvc',  ARRAY['unplasticized pvc']),
+  ('cpvc',  ARRAY['chlorinated pvc']),
+  ('frp',   ARRAY['fibre reinforced plastic', 'fiber reinforced plastic']),
+  ('pp',    ARRAY['polypropylene']),
+  ('tmt',   ARRAY['thermo mechanically treated']),
+  ('erw',   ARRAY['electric resistance welded']),
+  ('acp',   ARRAY['aluminium composite panel', 'aluminum composite panel']),
+  ('led',   ARRAY['light emitting diode']),
+  ('dg',    ARRAY['diesel generator']),
+  ('ups',   ARRAY['uninterruptible power supply']),
+  ('rcc',   ARRAY['reinforced cement concrete']),
+  ('aac',   ARRAY['autoclaved aerated concrete']),
+  ('ppe',   ARRAY['personal protective equipment']),
+  ('cnc',   ARRAY['computer numerical control']),
+  ('plc',   ARRAY['programmable logic controller']),
+  ('ro',    ARRAY['reverse osmosis']),
+  ('aluminium', ARRAY['aluminum']),
+  ('aluminum',  ARRAY['aluminium']),
+  ('galvanised', ARRAY['galvanized']),
+  ('galvanized', ARRAY['galvanised'])
+ON CONFLICT (term) DO NOTHING;
+
+-- 2) Search columns on products
+ALTER TABLE public.products
+  ADD COLUMN IF NOT EXISTS search_text text,
+  ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector
+  ON public.products USING gin (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_products_search_text_trgm
+  ON public.products USING gin (search_text gin_trgm_ops);
+
+-- Normalize free text: lowercase, alphanumerics only, single spaces
+CREATE OR REPLACE FUNCTION public.dir_normalize_search_text(p_text text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT trim(regexp_replace(lower(coalesce(p_text, '')), '[^a-z0-9]+', ' ', 'g'));
+$$;
+
+-- Build the search document for one product row.
+-- Abbreviations found in the text get their expansions appended, so a product
+-- titled "SS Pipe" is also found by "stainless steel pipe".
+CREATE OR REPLACE FUNCTION public.product_search_document(p public.products)
+RETURNS TABLE (search_text text, search_vector tsvector)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_micro_name text;
+  v_sub_name text;
+  v_head_name text;
+  v_company text;
+  v_specs text;
+  v_title text;
+  v_category text;
+  v_body text;
+  v_all text;
+  v_expansions text;
+BEGIN
+  SELECT m.name, sc.name, h.name
+  INTO v_micro_name, v_sub_name, v_head_name
+  FROM public.micro_categories m
+  LEFT JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+  LEFT JOIN public.head_categories h ON h.id = sc.head_category_id
+  WHERE m.id = p.micro_category_id;
+
+  IF v_sub_name IS NULL AND p.sub_category_id IS NOT NULL THEN
+    SELECT sc.name, h.name
+    INTO v_sub_name, v_head_name
+    FROM public.sub_categories sc
+    LEFT JOIN public.head_categories h ON h.id = sc.head_category_id
+    WHERE sc.id = p.sub_category_id;
+  END IF;
+
+  IF v_head_name IS NULL AND p.head_category_id IS NOT NULL THEN
+    SELECT h.name INTO v_head_name
+    FROM public.head_categories h
+    WHERE h.id = p.head_category_id;
+  END IF;
+
+  SELECT v.company_name INTO v_company
+  FROM public.vendors v
+  WHERE v.id = p.vendor_id;
+
+  -- Specs may be an array of {key,value} objects or a flat object: keep only the words
+  v_specs := regexp_replace(coalesce(p.specifications::text, ''), '[{}\[\]":,]+', ' ', 'g');
+
+  v_title := public.dir_normalize_search_text(p.name);
+  v_category := public.dir_normalize_search_text(
+    concat_ws(' ', v_micro_name, v_sub_name, v_head_name, p.category, p.category_other)
+  );
+  v_body := public.dir_normalize_search_text(concat_ws(' ', p.description, v_specs));
+  v_company := public.dir_normalize_search_text(v_company);
+  v_all := concat_ws(' ', v_title, v_category, v_body, v_company);
+
+  SELECT string_agg(DISTINCT e, ' ')
+  INTO v_expansions
+  FROM public.search_synonyms s
+  CROSS JOIN LATERAL unnest(s.expansions) AS e
+  WHERE (' ' || concat_ws(' ', v_title, v_category) || ' ') LIKE ('% ' || s.term || ' %');
+
+  search_text := public.dir_normalize_search_text(
+    concat_ws(' ', v_title, v_category, v_expansions, v_company)
+  );
+  search_vector :=
+    setweight(to_tsvector('english', concat_ws(' ', v_title, v_expansions)), 'A') ||
+    setweight(to_tsvector('english', v_category), 'B') ||
+    setweight(to_tsvector('english', left(v_body, 20000)), 'C') ||
+    setweight(to_tsvector('simple', coalesce(v_company, '')), 'D');
+  RETURN NEXT;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.product_search_document(public.products) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.product_search_document(public.products) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.trg_products_search_document()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  SELECT d.search_text, d.search_vector
+  INTO NEW.search_text, NEW.search_vector
+  FROM public.product_search_document(NEW) d;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_products_search_document ON public.products;
+CREATE TRIGGER trg_products_search_document
+BEFORE INSERT OR UPDATE OF name, description, specifications, category, category_other,
+  micro_category_id, sub_category_id, head_category_id, vendor_id
+ON public.products
+FOR EACH ROW
+EXECUTE FUNCTION public.trg_products_search_document();
+
+-- Category / vendor renames refresh the denormalized documents
+CREATE OR REPLACE FUNCTION public.refresh_product_search_documents(p_product_ids uuid[])
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer := 0;
+BEGIN
+  UPDATE public.products p
+  SET (search_text, search_vector) = (
+    SELECT d.search_text, d.search_vector FROM public.product_search_document(p) d
+  )
+  WHERE p_product_ids IS NULL OR p.id = ANY (p_product_ids);
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.refresh_product_search_documents(uuid[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.refresh_product_search_documents(uuid[]) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.trg_refresh_product_search_on_rename()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_ids uuid[];
+BEGIN
+  IF TG_TABLE_NAME = 'vendors' THEN
+    IF NEW.company_name IS NOT DISTINCT FROM OLD.company_name THEN
+      RETURN NEW;
+    END IF;
+    SELECT array_agg(id) INTO v_ids FROM public.products WHERE vendor_id = NEW.id;
+  ELSE
+    IF NEW.name IS NOT DISTINCT FROM OLD.name THEN
+      RETURN NEW;
+    END IF;
+    IF TG_TABLE_NAME = 'micro_categories' THEN
+      SELECT array_agg(id) INTO v_ids FROM public.products WHERE micro_category_id = NEW.id;
+    ELSIF TG_TABLE_NAME = 'sub_categories' THEN
+      SELECT array_agg(p.id) INTO v_ids
+      FROM public.products p
+      LEFT JOIN public.micro_categories m ON m.id = p.micro_category_id
+      WHERE p.sub_category_id = NEW.id OR m.sub_category_id = NEW.id;
+    ELSIF TG_TABLE_NAME = 'head_categories' THEN
+      SELECT array_agg(p.id) INTO v_ids
+      FROM public.products p
+      LEFT JOIN public.micro_categories m ON m.id = p.micro_category_id
+      LEFT JOIN public.sub_categories sc ON sc.id = COALESCE(m.sub_category_id, p.sub_category_id)
+      WHERE p.head_category_id = NEW.id OR sc.head_category_id = NEW.id;
+    END IF;
+  END IF;
+
+  IF v_ids IS NOT NULL THEN
+    PERFORM public.refresh_product_search_documents(v_ids);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_vendors_product_search ON public.vendors;
+CREATE TRIGGER trg_vendors_product_search
+AFTER UPDATE OF company_name ON public.vendors
+FOR EACH ROW EXECUTE FUNCTION public.trg_refresh_product_search_on_rename();
+
+DROP TRIGGER IF EXISTS trg_micro_categories_product_search ON public.micro_categories;
+CREATE TRIGGER trg_micro_categories_product_search
+AFTER UPDATE OF name ON public.micro_categories
+FOR EACH ROW EXECUTE FUNCTION public.trg_refresh_product_search_on_rename();
+
+DROP TRIGGER IF EXISTS trg_sub_categories_product_search ON public.sub_categories;
+CREATE TRIGGER trg_sub_categories_product_search
+AFTER UPDATE OF name ON public.sub_categories
+FOR EACH ROW EXECUTE FUNCTION public.trg_refresh_product_search_on_rename();
+
+DROP TRIGGER IF EXISTS trg_head_categories_product_search ON public.head_categories;
+CREATE TRIGGER trg_head_categories_product_search
+AFTER UPDATE OF name ON public.head_categories
+FOR EACH ROW EXECUTE FUNCTION public.trg_refresh_product_search_on_rename();
+
+-- 3) Query builder: "ss pipes" -> (ss | stainless <-> steel) & pipe:*
+-- Only the last token is prefix-matched (search-as-you-type); stemming handles plurals.
+CREATE OR REPLACE FUNCTION public.dir_search_tsquery(p_q text)
+RETURNS tsquery
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_words text[];
+  v_word text;
+  v_idx integer := 0;
+  v_alts text[];
+  v_parts text[] := ARRAY[]::text[];
+  v_query tsquery;
+BEGIN
+  v_words := array_remove(
+    regexp_split_to_array(public.dir_normalize_search_text(p_q), '\s+'),
+    ''
+  );
+
+  IF coalesce(array_length(v_words, 1), 0) = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  FOREACH v_word IN ARRAY v_words[1:8] LOOP
+    v_idx := v_idx + 1;
+    v_alts := ARRAY[
+      CASE WHEN v_idx = least(array_length(v_words, 1), 8) AND length(v_word) >= 3
+        THEN v_word || ':*'
+        ELSE v_word
+      END
+    ];
+
+    SELECT v_alts || coalesce(array_agg(
+      '(' || array_to_string(
+        array_remove(regexp_split_to_array(public.dir_normalize_search_text(e), '\s+'), ''),
+        ' <-> '
+      ) || ')'
+    ), ARRAY[]::text[])
+    INTO v_alts
+    FROM public.search_synonyms s
+    CROSS JOIN LATERAL unnest(s.expansions) AS e
+    WHERE s.term = v_word
+      AND public.dir_normalize_search_text(e) <> '';
+
+    v_parts := v_parts || ('(' || array_to_string(v_alts, ' | ') || ')');
+  END LOOP;
+
+  BEGIN
+    v_query := to_tsquery('english', array_to_string(v_parts, ' & '));
+  EXCEPTION WHEN OTHERS THEN
+    v_query := plainto_tsquery('english', p_q);
+  END;
+
+  -- Pure stop-word queries ("the", "and") collapse to an empty tsquery
+  IF v_query IS NULL OR numnode(v_query) = 0 THEN
+    RETURN NULL;
+  END IF;
+  RETURN v_query;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.dir_normalize_search_text(text) TO anon, authenticated, service_role;
+GRANT EXECUTE ON FUNCTION public.dir_search_tsquery(text) TO anon, authenticated, service_role;
+
+-- 4) Backfill existing rows (never block migration)
+DO $$
+BEGIN
+  PERFORM public.refresh_product_search_documents(NULL);
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE '[product_search] Backfill skipped: %', SQLERRM;
+END;
+$$;
+
+-- 5) Slot-aware ranking RPC, now relevance-aware.
+-- Order: strong (full-text) matches before typo-only (trigram) matches, then the
+-- existing slot/plan/seat order, then textual relevance, then the requested sort.
+DROP FUNCTION IF EXISTS public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer);
+
+CREATE OR REPLACE FUNCTION public.dir_ranked_products(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_sort text DEFAULT NULL,
+  p_limit integer DEFAULT 20,
+  p_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  vendor_id uuid,
+  name text,
+  description text,
+  price numeric,
+  moq integer,
+  stock integer,
+  category text,
+  category_path text,
+  images jsonb,
+  status text,
+  views integer,
+  created_at timestamptz,
+  metadata jsonb,
+  is_service boolean,
+  video_url text,
+  target_locations jsonb,
+  micro_category_id uuid,
+  head_category_id uuid,
+  sub_category_id uuid,
+  extra_micro_categories jsonb,
+  slug text,
+  pdf_url text,
+  price_unit text,
+  min_order_qty integer,
+  qty_unit text,
+  category_other text,
+  specifications jsonb,
+  vendors jsonb,
+  vendor_plan_name text,
+  vendor_plan_tier text,
+  vendor_plan_priority integer,
+  vendor_plan_rank_no integer,
+  vendor_seat_no integer,
+  relevance real,
+  match_type text,
+  total_count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH params AS (
+  SELECT
+    p_micro_id AS micro_id,
+    p_city_id AS city_id,
+    p_state_id AS state_id,
+    public.dir_normalize_search_text(p_q) AS search_q,
+    btrim(COALESCE(p_q, '')) AS raw_q,
+    -- Name substring match; falls back to the raw query (escaped) when normalizing leaves nothing,
+    -- e.g. a query in Devanagari
+    '%' || replace(replace(replace(
+      CASE WHEN public.dir_normalize_search_text(p_q) <> '' THEN public.dir_normalize_search_text(p_q)
+           ELSE btrim(COALESCE(p_q, '')) END,
+      '\', '\\'), '%', '\%'), '_', '\_') || '%' AS name_pattern,
+    public.dir_search_tsquery(p_q) AS search_tsq,
+    (regexp_split_to_array(public.dir_normalize_search_text(p_q), '\s+'))[1:8] AS search_words,
+    lower(COALESCE(p_sort, '')) AS sort_key,
+    GREATEST(1, LEAST(COALESCE(p_limit, 20), 50)) AS lim,
+    GREATEST(0, COALESCE(p_offset, 0)) AS off,
+    (p_micro_id IS NOT NULL AND p_city_id IS NOT NULL) AS slot_applicable
+),
+trial_tier AS (
+  SELECT rank_no
+  FROM public.plan_tiers
+  WHERE code = 'TRIAL'
+),
+micro_head AS (
+  SELECT m.id AS micro_id, sc.head_category_id
+  FROM public.micro_categories m
+  JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+  WHERE m.id = (SELECT micro_id FROM params)
+),
+active_subs AS (
+  SELECT DISTINCT ON (s.vendor_id)
+    s.vendor_id,
+    s.id AS subscription_id,
+    vp.name AS plan_name,
+    upper(public.plan_code_from_name(vp.name)) AS plan_code,
+    s.start_date,
+    s.created_at
+  FROM public.vendor_plan_subscriptions s
+  JOIN public.vendor_plans vp ON vp.id = s.plan_id
+  WHERE s.status = 'ACTIVE'
+    AND (s.end_date IS NULL OR s.end_date > now())
+  ORDER BY s.vendor_id, s.start_date DESC NULLS LAST, s.created_at DESC NULLS LAST
+),
+active_tiers AS (
+  SELECT a.vendor_id, a.plan_name, a.plan_code, pt.rank_no AS active_rank_no
+  FROM active_subs a
+  LEFT JOIN public.plan_tiers pt ON pt.code = a.plan_code
+),
+slot_candidates AS (
+  SELECT s.vendor_id, s.plan_code, s.seat_no, pt.rank_no AS slot_rank_no
+  FROM public.vendor_plan_slots s
+  JOIN public.plan_tiers pt ON pt.code = s.plan_code
+  JOIN micro_head mh ON mh.head_category_id = s.category_id
+  WHERE (SELECT slot_applicable FROM params)
+    AND s.city_id = (SELECT city_id FROM params)
+),
+matched AS (
+  SELECT
+    p.*,
+    CASE
+      WHEN (SELECT raw_q FROM params) = '' THEN 'all'
+      WHEN (SELECT search_tsq FROM params) IS NOT NULL
+        AND p.search_vector @@ (SELECT search_tsq FROM params) THEN 'fulltext'
+      WHEN p.name ILIKE (SELECT name_pattern FROM params) THEN 'fulltext'
+      WHEN (SELECT search_q FROM params) <% p.search_text THEN 'fuzzy'
+      -- Every word close to some word of the document ("stainlss pipe")
+      WHEN NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      ) THEN 'fuzzy'
+      ELSE NULL
+    END AS match_type
+  FROM public.products p
+  WHERE p.status = 'ACTIVE'
+    AND ((SELECT micro_id FROM params) IS NULL OR p.micro_category_id = (SELECT micro_id FROM params))
+    AND (
+      (SELECT raw_q FROM params) = ''
+      OR p.search_vector @@ (SELECT search_tsq FROM params)
+      OR (SELECT search_q FROM params) <% p.search_text
+      OR NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      )
+      OR p.name ILIKE (SELECT name_pattern FROM params)
+    )
+),
+base AS (
+  SELECT
+    p.*,
+    v.id AS vendor_pk,
+    v.company_name,
+    v.city,
+    v.state,
+    v.state_id,
+    v.city_id,
+    v.seller_rating,
+    v.kyc_status,
+    v.verification_badge,
+    v.trust_score,
+    v.is_active,
+
+    at.plan_name,
+    at.plan_code,
+    at.active_rank_no,
+
+    sc.plan_code AS slot_plan_code,
+    sc.seat_no,
+    sc.slot_rank_no,
+
+    (sc.vendor_id IS NOT NULL) AS has_slot,
+    (SELECT slot_applicable FROM params) AS slot_applicable,
+    (SELECT rank_no FROM trial_tier) AS trial_rank_no,
+
+    CASE
+      WHEN p.match_type = 'all' THEN 0::real
+      ELSE (
+        COALESCE(ts_rank_cd(p.search_vector, (SELECT search_tsq FROM params), 32), 0)
+        + 0.5 * word_similarity((SELECT search_q FROM params), COALESCE(p.search_text, lower(p.name)))
+        + CASE WHEN lower(p.name) = (SELECT search_q FROM params) THEN 1.0
+               WHEN lower(p.name) LIKE (SELECT search_q FROM params) || '%' THEN 0.5
+               ELSE 0 END
+      )::real
+    END AS relevance_score
+  FROM matched p
+  JOIN public.vendors v ON v.id = p.vendor_id AND v.is_active = true
+  LEFT JOIN active_tiers at ON at.vendor_id = p.vendor_id
+  LEFT JOIN slot_candidates sc ON sc.vendor_id = p.vendor_id
+  WHERE p.match_type IS NOT NULL
+    AND ((SELECT state_id FROM params) IS NULL OR v.state_id = (SELECT state_id FROM params))
+    AND ((SELECT city_id FROM params) IS NULL OR v.city_id = (SELECT city_id FROM params))
+),
+ranked AS (
+  SELECT
+    base.*,
+    COALESCE(base.slot_rank_no, base.active_rank_no, base.trial_rank_no, 7) AS plan_rank_no,
+    (800 - (COALESCE(base.slot_rank_no, base.active_rank_no, base.trial_rank_no, 7) * 100)) AS plan_priority,
+    CASE WHEN base.match_type = 'fuzzy' THEN 1 ELSE 0 END AS match_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN 0
+      WHEN base.slot_applicable AND base.active_rank_no IS NOT NULL THEN 1
+      WHEN base.slot_applicable THEN 2
+      ELSE 0
+    END AS slot_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN base.seat_no
+      ELSE 9999
+    END AS seat_sort,
+    COUNT(*) OVER () AS total_count
+  FROM base
+)
+SELECT
+  id,
+  vendor_id,
+  name,
+  description,
+  price,
+  moq,
+  stock,
+  category,
+  category_path,
+  images,
+  status,
+  views,
+  created_at,
+  metadata,
+  is_service,
+  video_url,
+  target_locations,
+  micro_category_id,
+  head_category_id,
+  sub_category_id,
+  extra_micro_categories,
+  slug,
+  pdf_url,
+  price_unit,
+  min_order_qty,
+  qty_unit,
+  category_other,
+  specifications,
+
+  jsonb_build_object(
+    'id', vendor_pk,
+    'company_name', company_name,
+    'city', city,
+    'state', state,
+    'state_id', state_id,
+    'city_id', city_id,
+    'seller_rating', seller_rating,
+    'kyc_status', kyc_status,
+    'verification_badge', verification_badge,
+    'trust_score', trust_score,
+    'is_active', is_active,
+    'plan_name', COALESCE(plan_name, 'TRIAL'),
+    'plan_tier', COALESCE(slot_plan_code, plan_code, 'TRIAL'),
+    'plan_priority', plan_priority,
+    'plan_rank_no', plan_rank_no,
+    'seat_no', seat_no
+  ) AS vendors,
+
+  COALESCE(plan_name, 'TRIAL') AS vendor_plan_name,
+  COALESCE(slot_plan_code, plan_code, 'TRIAL') AS vendor_plan_tier,
+  plan_priority AS vendor_plan_priority,
+  plan_rank_no AS vendor_plan_rank_no,
+  seat_no AS vendor_seat_no,
+  relevance_score AS relevance,
+  match_type,
+  total_count
+FROM ranked
+ORDER BY
+  match_sort ASC,
+  slot_sort ASC,
+  plan_rank_no ASC,
+  seat_sort ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_asc' THEN price END ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_desc' THEN price END DESC,
+  relevance_score DESC,
+  created_at DESC
+LIMIT (SELECT lim FROM params)
+OFFSET (SELECT off FROM params);
+$$;
+
+-- Directory search must be callable by public clients
+REVOKE ALL ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer) TO anon, authenticated, service_role;
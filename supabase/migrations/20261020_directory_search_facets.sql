@@ -0,0 +1,581 @@
+-- Directory faceted filters + facet counts
+-- Crafted: 20-Oct-2026
+-- Safe to rerun: uses CREATE OR REPLACE / DROP IF EXISTS guards
+-- Goals:
+-- 1) One candidate set (text match + vendor + plan/slot info) shared by ranking and facets.
+-- 2) Filter by price range, KYC / verification badge / GST, trust score, plan tier,
+--    min order quantity and category (p_filters jsonb).
+-- 3) dir_search_facets returns per-facet counts. Each facet is counted with every
+--    other active filter applied but not its own, so options stay selectable.
+--
+-- p_filters keys (all optional):
+--   min_price, max_price        numeric
+--   verified                    boolean  (verification_badge OR KYC approved)
+--   gst_verified                boolean
+--   kyc_status                  text[]   e.g. ["APPROVED","PENDING"]
+--   min_trust                   numeric  (vendors.trust_score >=)
+--   plan_tiers                  text[]   plan_tiers.code values
+--   max_moq                     integer  (min_order_qty / moq <=)
+--   micro_category_ids          uuid[]
+--   sub_category_id             uuid     (scope, not a facet)
+--   head_category_id            uuid     (scope, not a facet)
+
+-- 1) Candidate rows for a search (no facet filters applied yet)
+CREATE OR REPLACE FUNCTION public.dir_search_candidates(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id uuid,
+  match_type text,
+  relevance real,
+  vendor_pk uuid,
+  company_name text,
+  city text,
+  state text,
+  state_id uuid,
+  city_id uuid,
+  seller_rating numeric,
+  kyc_status text,
+  verification_badge text,
+  trust_score numeric,
+  is_active boolean,
+  is_verified_vendor boolean,
+  gst_verified boolean,
+  plan_name text,
+  plan_code text,
+  active_rank_no integer,
+  slot_plan_code text,
+  seat_no integer,
+  has_slot boolean,
+  slot_applicable boolean,
+  plan_rank_no integer
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH params AS (
+  SELECT
+    p_micro_id AS micro_id,
+    p_city_id AS city_id,
+    p_state_id AS state_id,
+    public.dir_normalize_search_text(p_q) AS search_q,
+    btrim(COALESCE(p_q, '')) AS raw_q,
+    -- Name substring match; falls back to the raw query (escaped) when normalizing leaves nothing,
+    -- e.g. a query in Devanagari
+    '%' || replace(replace(replace(
+      CASE WHEN public.dir_normalize_search_text(p_q) <> '' THEN public.dir_normalize_search_text(p_q)
+           ELSE btrim(COALESCE(p_q, '')) END,
+      '\', '\\'), '%', '\%'), '_', '\_') || '%' AS name_pattern,
+    public.dir_search_tsquery(p_q) AS search_tsq,
+    (regexp_split_to_array(public.dir_normalize_search_text(p_q), '\s+'))[1:8] AS search_words,
+    (p_micro_id IS NOT NULL AND p_city_id IS NOT NULL) AS slot_applicable
+),
+trial_tier AS (
+  SELECT rank_no
+  FROM public.plan_tiers
+  WHERE code = 'TRIAL'
+),
+micro_head AS (
+  SELECT m.id AS micro_id, sc.head_category_id
+  FROM public.micro_categories m
+  JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+  WHERE m.id = (SELECT micro_id FROM params)
+),
+active_subs AS (
+  SELECT DISTINCT ON (s.vendor_id)
+    s.vendor_id,
+    vp.name AS plan_name,
+    upper(public.plan_code_from_name(vp.name)) AS plan_code
+  FROM public.vendor_plan_subscriptions s
+  JOIN public.vendor_plans vp ON vp.id = s.plan_id
+  WHERE s.status = 'ACTIVE'
+    AND (s.end_date IS NULL OR s.end_date > now())
+  ORDER BY s.vendor_id, s.start_date DESC NULLS LAST, s.created_at DESC NULLS LAST
+),
+active_tiers AS (
+  SELECT a.vendor_id, a.plan_name, a.plan_code, pt.rank_no AS active_rank_no
+  FROM active_subs a
+  LEFT JOIN public.plan_tiers pt ON pt.code = a.plan_code
+),
+slot_candidates AS (
+  SELECT s.vendor_id, s.plan_code, s.seat_no, pt.rank_no AS slot_rank_no
+  FROM public.vendor_plan_slots s
+  JOIN public.plan_tiers pt ON pt.code = s.plan_code
+  JOIN micro_head mh ON mh.head_category_id = s.category_id
+  WHERE (SELECT slot_applicable FROM params)
+    AND s.city_id = (SELECT city_id FROM params)
+),
+matched AS (
+  SELECT
+    p.id,
+    p.vendor_id,
+    p.name,
+    p.search_text,
+    p.search_vector,
+    CASE
+      WHEN (SELECT raw_q FROM params) = '' THEN 'all'
+      WHEN (SELECT search_tsq FROM params) IS NOT NULL
+        AND p.search_vector @@ (SELECT search_tsq FROM params) THEN 'fulltext'
+      WHEN p.name ILIKE (SELECT name_pattern FROM params) THEN 'fulltext'
+      WHEN (SELECT search_q FROM params) <% p.search_text THEN 'fuzzy'
+      WHEN NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      ) THEN 'fuzzy'
+      ELSE NULL
+    END AS match_type
+  FROM public.products p
+  WHERE p.status = 'ACTIVE'
+    AND ((SELECT micro_id FROM params) IS NULL OR p.micro_category_id = (SELECT micro_id FROM params))
+    AND (
+      (SELECT raw_q FROM params) = ''
+      OR p.search_vector @@ (SELECT search_tsq FROM params)
+      OR (SELECT search_q FROM params) <% p.search_text
+      OR NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      )
+      OR p.name ILIKE (SELECT name_pattern FROM params)
+    )
+)
+SELECT
+  p.id AS product_id,
+  p.match_type,
+  CASE
+    WHEN p.match_type = 'all' THEN 0::real
+    ELSE (
+      COALESCE(ts_rank_cd(p.search_vector, (SELECT search_tsq FROM params), 32), 0)
+      + 0.5 * word_similarity((SELECT search_q FROM params), COALESCE(p.search_text, lower(p.name)))
+      + CASE WHEN lower(p.name) = (SELECT search_q FROM params) THEN 1.0
+             WHEN lower(p.name) LIKE (SELECT search_q FROM params) || '%' THEN 0.5
+             ELSE 0 END
+    )::real
+  END AS relevance,
+  v.id AS vendor_pk,
+  v.company_name,
+  v.city,
+  v.state,
+  v.state_id,
+  v.city_id,
+  v.seller_rating,
+  v.kyc_status,
+  v.verification_badge::text,
+  v.trust_score,
+  v.is_active,
+  (
+    lower(COALESCE(v.verification_badge::text, '')) IN ('true', 't', '1', 'verified')
+    OR upper(COALESCE(v.kyc_status, '')) IN ('APPROVED', 'VERIFIED')
+  ) AS is_verified_vendor,
+  COALESCE(v.gst_verified, false) AS gst_verified,
+  at.plan_name,
+  COALESCE(sc.plan_code, at.plan_code, 'TRIAL') AS plan_code,
+  at.active_rank_no,
+  sc.plan_code AS slot_plan_code,
+  sc.seat_no,
+  (sc.vendor_id IS NOT NULL) AS has_slot,
+  (SELECT slot_applicable FROM params) AS slot_applicable,
+  COALESCE(sc.slot_rank_no, at.active_rank_no, (SELECT rank_no FROM trial_tier), 7) AS plan_rank_no
+FROM matched p
+JOIN public.vendors v ON v.id = p.vendor_id AND v.is_active = true
+LEFT JOIN active_tiers at ON at.vendor_id = p.vendor_id
+LEFT JOIN slot_candidates sc ON sc.vendor_id = p.vendor_id
+WHERE p.match_type IS NOT NULL
+  AND ((SELECT state_id FROM params) IS NULL OR v.state_id = (SELECT state_id FROM params))
+  AND ((SELECT city_id FROM params) IS NULL OR v.city_id = (SELECT city_id FROM params));
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_search_candidates(uuid, uuid, uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_search_candidates(uuid, uuid, uuid, text) TO anon, authenticated, service_role;
+
+-- 2) Facet filter predicate. p_skip names a facet group to ignore
+--    ('price' | 'verification' | 'kyc' | 'trust' | 'plan' | 'moq' | 'category').
+CREATE OR REPLACE FUNCTION public.dir_search_filter_pass(
+  p_filters jsonb,
+  p_skip text,
+  p_price numeric,
+  p_moq integer,
+  p_kyc_status text,
+  p_is_verified boolean,
+  p_gst_verified boolean,
+  p_trust_score numeric,
+  p_plan_code text,
+  p_micro_id uuid,
+  p_sub_id uuid,
+  p_head_id uuid
+)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(
+    p_filters IS NULL
+    OR p_filters = '{}'::jsonb
+    OR (
+      (
+        p_skip = 'price'
+        OR (
+          (NULLIF(p_filters->>'min_price', '') IS NULL OR p_price >= (p_filters->>'min_price')::numeric)
+          AND (NULLIF(p_filters->>'max_price', '') IS NULL OR p_price <= (p_filters->>'max_price')::numeric)
+        )
+      )
+      AND (
+        p_skip = 'verification'
+        OR (
+          (COALESCE((p_filters->>'verified')::boolean, false) = false OR p_is_verified)
+          AND (COALESCE((p_filters->>'gst_verified')::boolean, false) = false OR p_gst_verified)
+        )
+      )
+      AND (
+        p_skip = 'kyc'
+        OR jsonb_typeof(p_filters->'kyc_status') IS DISTINCT FROM 'array'
+        OR jsonb_array_length(p_filters->'kyc_status') = 0
+        OR upper(COALESCE(p_kyc_status, 'PENDING')) IN (
+          SELECT upper(x) FROM jsonb_array_elements_text(p_filters->'kyc_status') AS x
+        )
+      )
+      AND (
+        p_skip = 'trust'
+        OR NULLIF(p_filters->>'min_trust', '') IS NULL
+        OR COALESCE(p_trust_score, 0) >= (p_filters->>'min_trust')::numeric
+      )
+      AND (
+        p_skip = 'plan'
+        OR jsonb_typeof(p_filters->'plan_tiers') IS DISTINCT FROM 'array'
+        OR jsonb_array_length(p_filters->'plan_tiers') = 0
+        OR upper(COALESCE(p_plan_code, 'TRIAL')) IN (
+          SELECT upper(x) FROM jsonb_array_elements_text(p_filters->'plan_tiers') AS x
+        )
+      )
+      AND (
+        p_skip = 'moq'
+        OR NULLIF(p_filters->>'max_moq', '') IS NULL
+        OR COALESCE(p_moq, 1) <= (p_filters->>'max_moq')::numeric
+      )
+      AND (
+        p_skip = 'category'
+        OR jsonb_typeof(p_filters->'micro_category_ids') IS DISTINCT FROM 'array'
+        OR jsonb_array_length(p_filters->'micro_category_ids') = 0
+        OR p_micro_id::text IN (
+          SELECT x FROM jsonb_array_elements_text(p_filters->'micro_category_ids') AS x
+        )
+      )
+      AND (NULLIF(p_filters->>'sub_category_id', '') IS NULL OR p_sub_id::text = p_filters->>'sub_category_id')
+      AND (NULLIF(p_filters->>'head_category_id', '') IS NULL OR p_head_id::text = p_filters->>'head_category_id')
+    ),
+    false
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.dir_search_filter_pass(jsonb, text, numeric, integer, text, boolean, boolean, numeric, text, uuid, uuid, uuid)
+  TO anon, authenticated, service_role;
+
+-- 3) Ranked products, now filterable. Ordering is unchanged from 20261019.
+DROP FUNCTION IF EXISTS public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer);
+DROP FUNCTION IF EXISTS public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb);
+
+CREATE OR REPLACE FUNCTION public.dir_ranked_products(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_sort text DEFAULT NULL,
+  p_limit integer DEFAULT 20,
+  p_offset integer DEFAULT 0,
+  p_filters jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  vendor_id uuid,
+  name text,
+  description text,
+  price numeric,
+  moq integer,
+  stock integer,
+  category text,
+  category_path text,
+  images jsonb,
+  status text,
+  views integer,
+  created_at timestamptz,
+  metadata jsonb,
+  is_service boolean,
+  video_url text,
+  target_locations jsonb,
+  micro_category_id uuid,
+  head_category_id uuid,
+  sub_category_id uuid,
+  extra_micro_categories jsonb,
+  slug text,
+  pdf_url text,
+  price_unit text,
+  min_order_qty integer,
+  qty_unit text,
+  category_other text,
+  specifications jsonb,
+  vendors jsonb,
+  vendor_plan_name text,
+  vendor_plan_tier text,
+  vendor_plan_priority integer,
+  vendor_plan_rank_no integer,
+  vendor_seat_no integer,
+  relevance real,
+  match_type text,
+  total_count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH params AS (
+  SELECT
+    lower(COALESCE(p_sort, '')) AS sort_key,
+    GREATEST(1, LEAST(COALESCE(p_limit, 20), 50)) AS lim,
+    GREATEST(0, COALESCE(p_offset, 0)) AS off
+),
+base AS (
+  SELECT
+    p.id, p.vendor_id, p.name, p.description, p.price, p.moq, p.stock, p.category,
+    p.category_path, p.images, p.status, p.views, p.created_at, p.metadata, p.is_service,
+    p.video_url, p.target_locations, p.micro_category_id, p.head_category_id,
+    p.sub_category_id, p.extra_micro_categories, p.slug, p.pdf_url, p.price_unit,
+    p.min_order_qty, p.qty_unit, p.category_other, p.specifications,
+    c.*
+  FROM public.dir_search_candidates(p_micro_id, p_city_id, p_state_id, p_q) c
+  JOIN public.products p ON p.id = c.product_id
+  WHERE public.dir_search_filter_pass(
+    p_filters, NULL,
+    p.price, COALESCE(p.min_order_qty, p.moq), c.kyc_status, c.is_verified_vendor,
+    c.gst_verified, c.trust_score, c.plan_code,
+    p.micro_category_id, p.sub_category_id, p.head_category_id
+  )
+),
+ranked AS (
+  SELECT
+    base.*,
+    (800 - (base.plan_rank_no * 100)) AS plan_priority,
+    CASE WHEN base.match_type = 'fuzzy' THEN 1 ELSE 0 END AS match_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN 0
+      WHEN base.slot_applicable AND base.active_rank_no IS NOT NULL THEN 1
+      WHEN base.slot_applicable THEN 2
+      ELSE 0
+    END AS slot_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN base.seat_no
+      ELSE 9999
+    END AS seat_sort,
+    COUNT(*) OVER () AS total_count
+  FROM base
+)
+SELECT
+  id,
+  vendor_id,
+  name,
+  description,
+  price,
+  moq,
+  stock,
+  category,
+  category_path,
+  images,
+  status,
+  views,
+  created_at,
+  metadata,
+  is_service,
+  video_url,
+  target_locations,
+  micro_category_id,
+  head_category_id,
+  sub_category_id,
+  extra_micro_categories,
+  slug,
+  pdf_url,
+  price_unit,
+  min_order_qty,
+  qty_unit,
+  category_other,
+  specifications,
+
+  jsonb_build_object(
+    'id', vendor_pk,
+    'company_name', company_name,
+    'city', city,
+    'state', state,
+    'state_id', state_id,
+    'city_id', city_id,
+    'seller_rating', seller_rating,
+    'kyc_status', kyc_status,
+    'verification_badge', verification_badge,
+    'gst_verified', gst_verified,
+    'trust_score', trust_score,
+    'is_active', is_active,
+    'plan_name', COALESCE(plan_name, 'TRIAL'),
+    'plan_tier', plan_code,
+    'plan_priority', plan_priority,
+    'plan_rank_no', plan_rank_no,
+    'seat_no', seat_no
+  ) AS vendors,
+
+  COALESCE(plan_name, 'TRIAL') AS vendor_plan_name,
+  plan_code AS vendor_plan_tier,
+  plan_priority AS vendor_plan_priority,
+  plan_rank_no AS vendor_plan_rank_no,
+  seat_no AS vendor_seat_no,
+  relevance,
+  match_type,
+  total_count
+FROM ranked
+ORDER BY
+  match_sort ASC,
+  slot_sort ASC,
+  plan_rank_no ASC,
+  seat_sort ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_asc' THEN price END ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_desc' THEN price END DESC,
+  relevance DESC,
+  created_at DESC
+LIMIT (SELECT lim FROM params)
+OFFSET (SELECT off FROM params);
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb) TO anon, authenticated, service_role;
+
+-- 4) Facet counts for the same search
+CREATE OR REPLACE FUNCTION public.dir_search_facets(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_filters jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH c AS (
+  SELECT
+    c.*,
+    p.price,
+    COALESCE(p.min_order_qty, p.moq) AS moq_qty,
+    p.micro_category_id,
+    p.sub_category_id,
+    p.head_category_id
+  FROM public.dir_search_candidates(p_micro_id, p_city_id, p_state_id, p_q) c
+  JOIN public.products p ON p.id = c.product_id
+),
+f AS (
+  SELECT
+    c.*,
+    public.dir_search_filter_pass(p_filters, NULL, price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_all,
+    public.dir_search_filter_pass(p_filters, 'price', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_price,
+    public.dir_search_filter_pass(p_filters, 'verification', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_verification,
+    public.dir_search_filter_pass(p_filters, 'kyc', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_kyc,
+    public.dir_search_filter_pass(p_filters, 'trust', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_trust,
+    public.dir_search_filter_pass(p_filters, 'plan', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_plan,
+    public.dir_search_filter_pass(p_filters, 'moq', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_moq,
+    public.dir_search_filter_pass(p_filters, 'category', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_category
+  FROM c
+)
+SELECT jsonb_build_object(
+  'total', (SELECT count(*) FROM f WHERE ok_all),
+
+  'price', (
+    SELECT jsonb_build_object(
+      'min', min(price),
+      'max', max(price),
+      'buckets', jsonb_build_array(
+        jsonb_build_object('key', 'under_1000', 'min', NULL, 'max', 999,
+          'count', count(*) FILTER (WHERE price < 1000)),
+        jsonb_build_object('key', '1000_10000', 'min', 1000, 'max', 9999,
+          'count', count(*) FILTER (WHERE price >= 1000 AND price < 10000)),
+        jsonb_build_object('key', '10000_100000', 'min', 10000, 'max', 99999,
+          'count', count(*) FILTER (WHERE price >= 10000 AND price < 100000)),
+        jsonb_build_object('key', 'above_100000', 'min', 100000, 'max', NULL,
+          'count', count(*) FILTER (WHERE price >= 100000))
+      )
+    )
+    FROM f WHERE ok_price
+  ),
+
+  'verification', (
+    SELECT jsonb_build_object(
+      'verified', count(*) FILTER (WHERE is_verified_vendor),
+      'gst_verified', count(*) FILTER (WHERE gst_verified)
+    )
+    FROM f WHERE ok_verification
+  ),
+
+  'kyc_status', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('value', k.value, 'count', k.cnt) ORDER BY k.cnt DESC, k.value)
+    FROM (
+      SELECT upper(COALESCE(kyc_status, 'PENDING')) AS value, count(*) AS cnt
+      FROM f WHERE ok_kyc
+      GROUP BY 1
+    ) k
+  ), '[]'::jsonb),
+
+  'trust_score', (
+    SELECT jsonb_build_array(
+      jsonb_build_object('min', 80, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 80)),
+      jsonb_build_object('min', 60, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 60)),
+      jsonb_build_object('min', 40, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 40))
+    )
+    FROM f WHERE ok_trust
+  ),
+
+  'plan_tier', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('value', t.value, 'count', t.cnt) ORDER BY t.rank_no NULLS LAST, t.value)
+    FROM (
+      SELECT f.plan_code AS value, pt.rank_no, count(*) AS cnt
+      FROM f
+      LEFT JOIN public.plan_tiers pt ON pt.code = f.plan_code
+      WHERE f.ok_plan
+      GROUP BY f.plan_code, pt.rank_no
+    ) t
+  ), '[]'::jsonb),
+
+  'moq', (
+    SELECT jsonb_build_array(
+      jsonb_build_object('max', 1, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 1)),
+      jsonb_build_object('max', 10, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 10)),
+      jsonb_build_object('max', 100, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 100)),
+      jsonb_build_object('max', 1000, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 1000))
+    )
+    FROM f WHERE ok_moq
+  ),
+
+  'category', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('id', x.id, 'name', x.name, 'slug', x.slug, 'count', x.cnt) ORDER BY x.cnt DESC, x.name)
+    FROM (
+      SELECT m.id, m.name, m.slug, count(*) AS cnt
+      FROM f
+      JOIN public.micro_categories m ON m.id = f.micro_category_id
+      WHERE f.ok_category
+      GROUP BY m.id, m.name, m.slug
+      ORDER BY count(*) DESC, m.name
+      LIMIT 30
+    ) x
+  ), '[]'::jsonb)
+);
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_search_facets(uuid, uuid, uuid, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_search_facets(uuid, uuid, uuid, text, jsonb) TO anon, authenticated, service_role;
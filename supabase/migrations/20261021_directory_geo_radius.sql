@@ -0,0 +1,702 @@
+-- Geo-radius directory search (suppliers near a buyer's city)
+-- Crafted: 21-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE / DROP IF EXISTS guards
+-- Goals:
+-- 1) cities carry latitude/longitude (seeded for major trade hubs; others can be set via SQL).
+-- 2) "within N km of city X" for dir_ranked_products / dir_search_facets, with distance per row.
+-- 3) Vendor coverage (vendor_preferences.preferred_states / preferred_cities) counts as
+--    serving the buyer's city even when the vendor is farther away.
+
+-- 1) Coordinates on cities
+ALTER TABLE public.cities
+  ADD COLUMN IF NOT EXISTS latitude double precision,
+  ADD COLUMN IF NOT EXISTS longitude double precision;
+
+CREATE INDEX IF NOT EXISTS idx_cities_lat_lng
+  ON public.cities (latitude, longitude)
+  WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- Best-effort seed by city name; never overwrites coordinates already set
+DO $$
+BEGIN
+  UPDATE public.cities c
+  SET latitude = s.lat, longitude = s.lng
+  FROM (VALUES
+    ('delhi', 28.6139, 77.2090), ('new delhi', 28.6139, 77.2090),
+    ('noida', 28.5355, 77.3910), ('greater noida', 28.4744, 77.5040),
+    ('ghaziabad', 28.6692, 77.4538), ('gurugram', 28.4595, 77.0266),
+    ('gurgaon', 28.4595, 77.0266), ('faridabad', 28.4089, 77.3178),
+    ('sonipat', 28.9931, 77.0151), ('panipat', 29.3909, 76.9635),
+    ('rohtak', 28.8955, 76.6066), ('bhiwadi', 28.2090, 76.8606),
+    ('meerut', 28.9845, 77.7064), ('mumbai', 19.0760, 72.8777),
+    ('navi mumbai', 19.0330, 73.0297), ('thane', 19.2183, 72.9781),
+    ('pune', 18.5204, 73.8567), ('nagpur', 21.1458, 79.0882),
+    ('nashik', 19.9975, 73.7898), ('aurangabad', 19.8762, 75.3433),
+    ('bengaluru', 12.9716, 77.5946), ('bangalore', 12.9716, 77.5946),
+    ('mysuru', 12.2958, 76.6394), ('mysore', 12.2958, 76.6394),
+    ('chennai', 13.0827, 80.2707), ('coimbatore', 11.0168, 76.9558),
+    ('madurai', 9.9252, 78.1198), ('hyderabad', 17.3850, 78.4867),
+    ('secunderabad', 17.4399, 78.4983), ('visakhapatnam', 17.6868, 83.2185),
+    ('vijayawada', 16.5062, 80.6480), ('kolkata', 22.5726, 88.3639),
+    ('howrah', 22.5958, 88.2636), ('ahmedabad', 23.0225, 72.5714),
+    ('surat', 21.1702, 72.8311), ('vadodara', 22.3072, 73.1812),
+    ('rajkot', 22.3039, 70.8022), ('jaipur', 26.9124, 75.7873),
+    ('jodhpur', 26.2389, 73.0243), ('udaipur', 24.5854, 73.7125),
+    ('lucknow', 26.8467, 80.9462), ('kanpur', 26.4499, 80.3319),
+    ('agra', 27.1767, 78.0081), ('varanasi', 25.3176, 82.9739),
+    ('prayagraj', 25.4358, 81.8463), ('allahabad', 25.4358, 81.8463),
+    ('chandigarh', 30.7333, 76.7794), ('mohali', 30.7046, 76.7179),
+    ('ludhiana', 30.9010, 75.8573), ('amritsar', 31.6340, 74.8723),
+    ('jalandhar', 31.3260, 75.5762), ('bhopal', 23.2599, 77.4126),
+    ('indore', 22.7196, 75.8577), ('raipur', 21.2514, 81.6296),
+    ('patna', 25.5941, 85.1376), ('ranchi', 23.3441, 85.3096),
+    ('bhubaneswar', 20.2961, 85.8245), ('guwahati', 26.1445, 91.7362),
+    ('dehradun', 30.3165, 78.0322), ('kochi', 9.9312, 76.2673),
+    ('thiruvananthapuram', 8.5241, 76.9366), ('panaji', 15.4909, 73.8278)
+  ) AS s(name, lat, lng)
+  WHERE lower(trim(c.name)) = s.name
+    AND c.latitude IS NULL
+    AND c.longitude IS NULL;
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE '[cities] Coordinate seed skipped: %', SQLERRM;
+END;
+$$;
+
+-- 2) Great-circle distance in km
+CREATE OR REPLACE FUNCTION public.geo_distance_km(
+  p_lat1 double precision,
+  p_lng1 double precision,
+  p_lat2 double precision,
+  p_lng2 double precision
+)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p_lat1 IS NULL OR p_lng1 IS NULL OR p_lat2 IS NULL OR p_lng2 IS NULL THEN NULL
+    ELSE (
+      2 * 6371 * asin(sqrt(
+        power(sin(radians(p_lat2 - p_lat1) / 2), 2)
+        + cos(radians(p_lat1)) * cos(radians(p_lat2)) * power(sin(radians(p_lng2 - p_lng1) / 2), 2)
+      ))
+    )::numeric
+  END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.geo_distance_km(double precision, double precision, double precision, double precision)
+  TO anon, authenticated, service_role;
+
+-- 3) Cities within a radius of an origin city (origin itself at 0 km).
+-- Bounding box first so idx_cities_lat_lng can be used.
+CREATE OR REPLACE FUNCTION public.dir_cities_within_km(p_city_id uuid, p_radius_km numeric)
+RETURNS TABLE (city_id uuid, distance_km numeric)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH o AS (
+    SELECT latitude, longitude
+    FROM public.cities
+    WHERE id = p_city_id AND latitude IS NOT NULL AND longitude IS NOT NULL
+  )
+  SELECT c.id, public.geo_distance_km(o.latitude, o.longitude, c.latitude, c.longitude)
+  FROM public.cities c, o
+  WHERE p_radius_km IS NOT NULL
+    AND c.latitude BETWEEN o.latitude - (p_radius_km / 111.0) AND o.latitude + (p_radius_km / 111.0)
+    AND c.longitude BETWEEN o.longitude - (p_radius_km / (111.0 * GREATEST(cos(radians(o.latitude)), 0.01)))
+                        AND o.longitude + (p_radius_km / (111.0 * GREATEST(cos(radians(o.latitude)), 0.01)))
+    AND public.geo_distance_km(o.latitude, o.longitude, c.latitude, c.longitude) <= p_radius_km;
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_cities_within_km(uuid, numeric) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_cities_within_km(uuid, numeric) TO anon, authenticated, service_role;
+
+-- 4) Candidate rows, radius-aware.
+-- With p_radius_km, p_city_id is the origin: vendors in any city within the radius
+-- qualify, and so do vendors whose coverage (vendor_preferences) includes the
+-- origin city or its state. Without coordinates for the origin we fall back to
+-- the exact city + coverage.
+DROP FUNCTION IF EXISTS public.dir_search_candidates(uuid, uuid, uuid, text);
+
+CREATE OR REPLACE FUNCTION public.dir_search_candidates(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_radius_km numeric DEFAULT NULL
+)
+RETURNS TABLE (
+  product_id uuid,
+  match_type text,
+  relevance real,
+  vendor_pk uuid,
+  company_name text,
+  city text,
+  state text,
+  state_id uuid,
+  city_id uuid,
+  seller_rating numeric,
+  kyc_status text,
+  verification_badge text,
+  trust_score numeric,
+  is_active boolean,
+  is_verified_vendor boolean,
+  gst_verified boolean,
+  plan_name text,
+  plan_code text,
+  active_rank_no integer,
+  slot_plan_code text,
+  seat_no integer,
+  has_slot boolean,
+  slot_applicable boolean,
+  plan_rank_no integer,
+  distance_km numeric,
+  serves_area boolean
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH params AS (
+  SELECT
+    p_micro_id AS micro_id,
+    p_city_id AS city_id,
+    p_state_id AS state_id,
+    public.dir_normalize_search_text(p_q) AS search_q,
+    btrim(COALESCE(p_q, '')) AS raw_q,
+    -- Name substring match; falls back to the raw query (escaped) when normalizing leaves nothing,
+    -- e.g. a query in Devanagari
+    '%' || replace(replace(replace(
+      CASE WHEN public.dir_normalize_search_text(p_q) <> '' THEN public.dir_normalize_search_text(p_q)
+           ELSE btrim(COALESCE(p_q, '')) END,
+      '\', '\\'), '%', '\%'), '_', '\_') || '%' AS name_pattern,
+    public.dir_search_tsquery(p_q) AS search_tsq,
+    (regexp_split_to_array(public.dir_normalize_search_text(p_q), '\s+'))[1:8] AS search_words,
+    (p_micro_id IS NOT NULL AND p_city_id IS NOT NULL) AS slot_applicable,
+    CASE WHEN p_city_id IS NOT NULL AND p_radius_km IS NOT NULL
+      THEN GREATEST(1, LEAST(p_radius_km, 500))
+    END AS radius_km
+),
+origin AS (
+  SELECT c.id, c.state_id, c.latitude, c.longitude
+  FROM public.cities c
+  WHERE c.id = (SELECT city_id FROM params)
+),
+nearby_cities AS (
+  SELECT n.city_id, n.distance_km
+  FROM public.dir_cities_within_km((SELECT city_id FROM params), (SELECT radius_km FROM params)) n
+  WHERE (SELECT radius_km FROM params) IS NOT NULL
+),
+coverage AS (
+  SELECT vp.vendor_id
+  FROM public.vendor_preferences vp
+  WHERE (SELECT city_id FROM params) IS NOT NULL
+    AND (
+      vp.preferred_cities @> jsonb_build_array((SELECT city_id FROM params)::text)
+      OR vp.preferred_states @> jsonb_build_array((SELECT state_id FROM origin)::text)
+    )
+),
+trial_tier AS (
+  SELECT rank_no
+  FROM public.plan_tiers
+  WHERE code = 'TRIAL'
+),
+micro_head AS (
+  SELECT m.id AS micro_id, sc.head_category_id
+  FROM public.micro_categories m
+  JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+  WHERE m.id = (SELECT micro_id FROM params)
+),
+active_subs AS (
+  SELECT DISTINCT ON (s.vendor_id)
+    s.vendor_id,
+    vp.name AS plan_name,
+    upper(public.plan_code_from_name(vp.name)) AS plan_code
+  FROM public.vendor_plan_subscriptions s
+  JOIN public.vendor_plans vp ON vp.id = s.plan_id
+  WHERE s.status = 'ACTIVE'
+    AND (s.end_date IS NULL OR s.end_date > now())
+  ORDER BY s.vendor_id, s.start_date DESC NULLS LAST, s.created_at DESC NULLS LAST
+),
+active_tiers AS (
+  SELECT a.vendor_id, a.plan_name, a.plan_code, pt.rank_no AS active_rank_no
+  FROM active_subs a
+  LEFT JOIN public.plan_tiers pt ON pt.code = a.plan_code
+),
+slot_candidates AS (
+  SELECT s.vendor_id, s.plan_code, s.seat_no, pt.rank_no AS slot_rank_no
+  FROM public.vendor_plan_slots s
+  JOIN public.plan_tiers pt ON pt.code = s.plan_code
+  JOIN micro_head mh ON mh.head_category_id = s.category_id
+  WHERE (SELECT slot_applicable FROM params)
+    AND s.city_id = (SELECT city_id FROM params)
+),
+matched AS (
+  SELECT
+    p.id,
+    p.vendor_id,
+    p.name,
+    p.search_text,
+    p.search_vector,
+    CASE
+      WHEN (SELECT raw_q FROM params) = '' THEN 'all'
+      WHEN (SELECT search_tsq FROM params) IS NOT NULL
+        AND p.search_vector @@ (SELECT search_tsq FROM params) THEN 'fulltext'
+      WHEN p.name ILIKE (SELECT name_pattern FROM params) THEN 'fulltext'
+      WHEN (SELECT search_q FROM params) <% p.search_text THEN 'fuzzy'
+      WHEN NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      ) THEN 'fuzzy'
+      ELSE NULL
+    END AS match_type
+  FROM public.products p
+  WHERE p.status = 'ACTIVE'
+    AND ((SELECT micro_id FROM params) IS NULL OR p.micro_category_id = (SELECT micro_id FROM params))
+    AND (
+      (SELECT raw_q FROM params) = ''
+      OR p.search_vector @@ (SELECT search_tsq FROM params)
+      OR (SELECT search_q FROM params) <% p.search_text
+      OR NOT EXISTS (
+        SELECT 1 FROM unnest((SELECT search_words FROM params)) AS w
+        WHERE NOT (w <% COALESCE(p.search_text, ''))
+      )
+      OR p.name ILIKE (SELECT name_pattern FROM params)
+    )
+)
+SELECT
+  p.id AS product_id,
+  p.match_type,
+  CASE
+    WHEN p.match_type = 'all' THEN 0::real
+    ELSE (
+      COALESCE(ts_rank_cd(p.search_vector, (SELECT search_tsq FROM params), 32), 0)
+      + 0.5 * word_similarity((SELECT search_q FROM params), COALESCE(p.search_text, lower(p.name)))
+      + CASE WHEN lower(p.name) = (SELECT search_q FROM params) THEN 1.0
+             WHEN lower(p.name) LIKE (SELECT search_q FROM params) || '%' THEN 0.5
+             ELSE 0 END
+    )::real
+  END AS relevance,
+  v.id AS vendor_pk,
+  v.company_name,
+  v.city,
+  v.state,
+  v.state_id,
+  v.city_id,
+  v.seller_rating,
+  v.kyc_status,
+  v.verification_badge::text,
+  v.trust_score,
+  v.is_active,
+  (
+    lower(COALESCE(v.verification_badge::text, '')) IN ('true', 't', '1', 'verified')
+    OR upper(COALESCE(v.kyc_status, '')) IN ('APPROVED', 'VERIFIED')
+  ) AS is_verified_vendor,
+  COALESCE(v.gst_verified, false) AS gst_verified,
+  at.plan_name,
+  COALESCE(sc.plan_code, at.plan_code, 'TRIAL') AS plan_code,
+  at.active_rank_no,
+  sc.plan_code AS slot_plan_code,
+  sc.seat_no,
+  (sc.vendor_id IS NOT NULL) AS has_slot,
+  (SELECT slot_applicable FROM params) AS slot_applicable,
+  COALESCE(sc.slot_rank_no, at.active_rank_no, (SELECT rank_no FROM trial_tier), 7) AS plan_rank_no,
+  CASE
+    WHEN v.city_id = (SELECT city_id FROM params) THEN 0
+    ELSE round(COALESCE(nc.distance_km, public.geo_distance_km(
+      (SELECT latitude FROM origin), (SELECT longitude FROM origin), vc.latitude, vc.longitude
+    )), 1)
+  END AS distance_km,
+  (cov.vendor_id IS NOT NULL) AS serves_area
+FROM matched p
+JOIN public.vendors v ON v.id = p.vendor_id AND v.is_active = true
+LEFT JOIN active_tiers at ON at.vendor_id = p.vendor_id
+LEFT JOIN slot_candidates sc ON sc.vendor_id = p.vendor_id
+LEFT JOIN public.cities vc ON vc.id = v.city_id
+LEFT JOIN nearby_cities nc ON nc.city_id = v.city_id
+LEFT JOIN coverage cov ON cov.vendor_id = v.id
+WHERE p.match_type IS NOT NULL
+  AND (
+    (SELECT radius_km FROM params) IS NOT NULL
+    OR (SELECT state_id FROM params) IS NULL
+    OR v.state_id = (SELECT state_id FROM params)
+  )
+  AND (
+    (SELECT city_id FROM params) IS NULL
+    OR v.city_id = (SELECT city_id FROM params)
+    OR ((SELECT radius_km FROM params) IS NOT NULL AND (nc.city_id IS NOT NULL OR cov.vendor_id IS NOT NULL))
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_search_candidates(uuid, uuid, uuid, text, numeric) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_search_candidates(uuid, uuid, uuid, text, numeric) TO anon, authenticated, service_role;
+
+-- 5) Ranked products with radius + distance.
+-- sort = 'distance' orders by distance inside the slot/plan order, like the price sorts.
+DROP FUNCTION IF EXISTS public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb);
+DROP FUNCTION IF EXISTS public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb, numeric);
+
+CREATE OR REPLACE FUNCTION public.dir_ranked_products(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_sort text DEFAULT NULL,
+  p_limit integer DEFAULT 20,
+  p_offset integer DEFAULT 0,
+  p_filters jsonb DEFAULT NULL,
+  p_radius_km numeric DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  vendor_id uuid,
+  name text,
+  description text,
+  price numeric,
+  moq integer,
+  stock integer,
+  category text,
+  category_path text,
+  images jsonb,
+  status text,
+  views integer,
+  created_at timestamptz,
+  metadata jsonb,
+  is_service boolean,
+  video_url text,
+  target_locations jsonb,
+  micro_category_id uuid,
+  head_category_id uuid,
+  sub_category_id uuid,
+  extra_micro_categories jsonb,
+  slug text,
+  pdf_url text,
+  price_unit text,
+  min_order_qty integer,
+  qty_unit text,
+  category_other text,
+  specifications jsonb,
+  vendors jsonb,
+  vendor_plan_name text,
+  vendor_plan_tier text,
+  vendor_plan_priority integer,
+  vendor_plan_rank_no integer,
+  vendor_seat_no integer,
+  relevance real,
+  match_type text,
+  distance_km numeric,
+  serves_area boolean,
+  total_count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH params AS (
+  SELECT
+    lower(COALESCE(p_sort, '')) AS sort_key,
+    GREATEST(1, LEAST(COALESCE(p_limit, 20), 50)) AS lim,
+    GREATEST(0, COALESCE(p_offset, 0)) AS off
+),
+base AS (
+  SELECT
+    p.id, p.vendor_id, p.name, p.description, p.price, p.moq, p.stock, p.category,
+    p.category_path, p.images, p.status, p.views, p.created_at, p.metadata, p.is_service,
+    p.video_url, p.target_locations, p.micro_category_id, p.head_category_id,
+    p.sub_category_id, p.extra_micro_categories, p.slug, p.pdf_url, p.price_unit,
+    p.min_order_qty, p.qty_unit, p.category_other, p.specifications,
+    c.*
+  FROM public.dir_search_candidates(p_micro_id, p_city_id, p_state_id, p_q, p_radius_km) c
+  JOIN public.products p ON p.id = c.product_id
+  WHERE public.dir_search_filter_pass(
+    p_filters, NULL,
+    p.price, COALESCE(p.min_order_qty, p.moq), c.kyc_status, c.is_verified_vendor,
+    c.gst_verified, c.trust_score, c.plan_code,
+    p.micro_category_id, p.sub_category_id, p.head_category_id
+  )
+),
+ranked AS (
+  SELECT
+    base.*,
+    (800 - (base.plan_rank_no * 100)) AS plan_priority,
+    CASE WHEN base.match_type = 'fuzzy' THEN 1 ELSE 0 END AS match_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN 0
+      WHEN base.slot_applicable AND base.active_rank_no IS NOT NULL THEN 1
+      WHEN base.slot_applicable THEN 2
+      ELSE 0
+    END AS slot_sort,
+    CASE
+      WHEN base.slot_applicable AND base.has_slot THEN base.seat_no
+      ELSE 9999
+    END AS seat_sort,
+    COUNT(*) OVER () AS total_count
+  FROM base
+)
+SELECT
+  id,
+  vendor_id,
+  name,
+  description,
+  price,
+  moq,
+  stock,
+  category,
+  category_path,
+  images,
+  status,
+  views,
+  created_at,
+  metadata,
+  is_service,
+  video_url,
+  target_locations,
+  micro_category_id,
+  head_category_id,
+  sub_category_id,
+  extra_micro_categories,
+  slug,
+  pdf_url,
+  price_unit,
+  min_order_qty,
+  qty_unit,
+  category_other,
+  specifications,
+
+  jsonb_build_object(
+    'id', vendor_pk,
+    'company_name', company_name,
+    'city', city,
+    'state', state,
+    'state_id', state_id,
+    'city_id', city_id,
+    'seller_rating', seller_rating,
+    'kyc_status', kyc_status,
+    'verification_badge', verification_badge,
+    'gst_verified', gst_verified,
+    'trust_score', trust_score,
+    'is_active', is_active,
+    'plan_name', COALESCE(plan_name, 'TRIAL'),
+    'plan_tier', plan_code,
+    'plan_priority', plan_priority,
+    'plan_rank_no', plan_rank_no,
+    'seat_no', seat_no,
+    'distance_km', distance_km,
+    'serves_area', serves_area
+  ) AS vendors,
+
+  COALESCE(plan_name, 'TRIAL') AS vendor_plan_name,
+  plan_code AS vendor_plan_tier,
+  plan_priority AS vendor_plan_priority,
+  plan_rank_no AS vendor_plan_rank_no,
+  seat_no AS vendor_seat_no,
+  relevance,
+  match_type,
+  distance_km,
+  serves_area,
+  total_count
+FROM ranked
+ORDER BY
+  match_sort ASC,
+  slot_sort ASC,
+  plan_rank_no ASC,
+  seat_sort ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_asc' THEN price END ASC,
+  CASE WHEN (SELECT sort_key FROM params) = 'price_desc' THEN price END DESC,
+  CASE WHEN (SELECT sort_key FROM params) = 'distance' THEN distance_km END ASC NULLS LAST,
+  relevance DESC,
+  created_at DESC
+LIMIT (SELECT lim FROM params)
+OFFSET (SELECT off FROM params);
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb, numeric) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_ranked_products(uuid, uuid, uuid, text, text, integer, integer, jsonb, numeric) TO anon, authenticated, service_role;
+
+-- 6) Facet counts for the same (radius-aware) search
+DROP FUNCTION IF EXISTS public.dir_search_facets(uuid, uuid, uuid, text, jsonb);
+
+CREATE OR REPLACE FUNCTION public.dir_search_facets(
+  p_micro_id uuid DEFAULT NULL,
+  p_city_id uuid DEFAULT NULL,
+  p_state_id uuid DEFAULT NULL,
+  p_q text DEFAULT NULL,
+  p_filters jsonb DEFAULT NULL,
+  p_radius_km numeric DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+WITH c AS (
+  SELECT
+    c.*,
+    p.price,
+    COALESCE(p.min_order_qty, p.moq) AS moq_qty,
+    p.micro_category_id,
+    p.sub_category_id,
+    p.head_category_id
+  FROM public.dir_search_candidates(p_micro_id, p_city_id, p_state_id, p_q, p_radius_km) c
+  JOIN public.products p ON p.id = c.product_id
+),
+f AS (
+  SELECT
+    c.*,
+    public.dir_search_filter_pass(p_filters, NULL, price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_all,
+    public.dir_search_filter_pass(p_filters, 'price', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_price,
+    public.dir_search_filter_pass(p_filters, 'verification', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_verification,
+    public.dir_search_filter_pass(p_filters, 'kyc', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_kyc,
+    public.dir_search_filter_pass(p_filters, 'trust', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_trust,
+    public.dir_search_filter_pass(p_filters, 'plan', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_plan,
+    public.dir_search_filter_pass(p_filters, 'moq', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_moq,
+    public.dir_search_filter_pass(p_filters, 'category', price, moq_qty, kyc_status, is_verified_vendor, gst_verified,
+      trust_score, plan_code, micro_category_id, sub_category_id, head_category_id) AS ok_category
+  FROM c
+)
+SELECT jsonb_build_object(
+  'total', (SELECT count(*) FROM f WHERE ok_all),
+
+  'price', (
+    SELECT jsonb_build_object(
+      'min', min(price),
+      'max', max(price),
+      'buckets', jsonb_build_array(
+        jsonb_build_object('key', 'under_1000', 'min', NULL, 'max', 999,
+          'count', count(*) FILTER (WHERE price < 1000)),
+        jsonb_build_object('key', '1000_10000', 'min', 1000, 'max', 9999,
+          'count', count(*) FILTER (WHERE price >= 1000 AND price < 10000)),
+        jsonb_build_object('key', '10000_100000', 'min', 10000, 'max', 99999,
+          'count', count(*) FILTER (WHERE price >= 10000 AND price < 100000)),
+        jsonb_build_object('key', 'above_100000', 'min', 100000, 'max', NULL,
+          'count', count(*) FILTER (WHERE price >= 100000))
+      )
+    )
+    FROM f WHERE ok_price
+  ),
+
+  'verification', (
+    SELECT jsonb_build_object(
+      'verified', count(*) FILTER (WHERE is_verified_vendor),
+      'gst_verified', count(*) FILTER (WHERE gst_verified)
+    )
+    FROM f WHERE ok_verification
+  ),
+
+  'kyc_status', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('value', k.value, 'count', k.cnt) ORDER BY k.cnt DESC, k.value)
+    FROM (
+      SELECT upper(COALESCE(kyc_status, 'PENDING')) AS value, count(*) AS cnt
+      FROM f WHERE ok_kyc
+      GROUP BY 1
+    ) k
+  ), '[]'::jsonb),
+
+  'trust_score', (
+    SELECT jsonb_build_array(
+      jsonb_build_object('min', 80, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 80)),
+      jsonb_build_object('min', 60, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 60)),
+      jsonb_build_object('min', 40, 'count', count(*) FILTER (WHERE COALESCE(trust_score, 0) >= 40))
+    )
+    FROM f WHERE ok_trust
+  ),
+
+  'plan_tier', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('value', t.value, 'count', t.cnt) ORDER BY t.rank_no NULLS LAST, t.value)
+    FROM (
+      SELECT f.plan_code AS value, pt.rank_no, count(*) AS cnt
+      FROM f
+      LEFT JOIN public.plan_tiers pt ON pt.code = f.plan_code
+      WHERE f.ok_plan
+      GROUP BY f.plan_code, pt.rank_no
+    ) t
+  ), '[]'::jsonb),
+
+  'moq', (
+    SELECT jsonb_build_array(
+      jsonb_build_object('max', 1, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 1)),
+      jsonb_build_object('max', 10, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 10)),
+      jsonb_build_object('max', 100, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 100)),
+      jsonb_build_object('max', 1000, 'count', count(*) FILTER (WHERE COALESCE(moq_qty, 1) <= 1000))
+    )
+    FROM f WHERE ok_moq
+  ),
+
+  'category', COALESCE((
+    SELECT jsonb_agg(jsonb_build_object('id', x.id, 'name', x.name, 'slug', x.slug, 'count', x.cnt) ORDER BY x.cnt DESC, x.name)
+    FROM (
+      SELECT m.id, m.name, m.slug, count(*) AS cnt
+      FROM f
+      JOIN public.micro_categories m ON m.id = f.micro_category_id
+      WHERE f.ok_category
+      GROUP BY m.id, m.name, m.slug
+      ORDER BY count(*) DESC, m.name
+      LIMIT 30
+    ) x
+  ), '[]'::jsonb)
+);
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_search_facets(uuid, uuid, uuid, text, jsonb, numeric) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_search_facets(uuid, uuid, uuid, text, jsonb, numeric) TO anon, authenticated, service_role;
+
+
+-- 7) Vendors near a city (VendorListing "within N km"), nearest first.
+CREATE OR REPLACE FUNCTION public.dir_vendors_near_city(
+  p_city_id uuid,
+  p_radius_km numeric DEFAULT 50,
+  p_limit integer DEFAULT 500
+)
+RETURNS TABLE (vendor_id uuid, city_id uuid, distance_km numeric, serves_area boolean)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH o AS (
+    SELECT id, state_id, latitude, longitude FROM public.cities WHERE id = p_city_id
+  ),
+  nearby AS (
+    SELECT n.city_id, n.distance_km
+    FROM public.dir_cities_within_km(p_city_id, GREATEST(1, LEAST(COALESCE(p_radius_km, 50), 500))) n
+  ),
+  coverage AS (
+    SELECT vp.vendor_id
+    FROM public.vendor_preferences vp, o
+    WHERE vp.preferred_cities @> jsonb_build_array(o.id::text)
+       OR vp.preferred_states @> jsonb_build_array(o.state_id::text)
+  )
+  SELECT
+    v.id,
+    v.city_id,
+    CASE
+      WHEN v.city_id = p_city_id THEN 0
+      ELSE round(COALESCE(n.distance_km, public.geo_distance_km(
+        (SELECT latitude FROM o), (SELECT longitude FROM o), vc.latitude, vc.longitude
+      )), 1)
+    END,
+    (cov.vendor_id IS NOT NULL)
+  FROM public.vendors v
+  LEFT JOIN public.cities vc ON vc.id = v.city_id
+  LEFT JOIN nearby n ON n.city_id = v.city_id
+  LEFT JOIN coverage cov ON cov.vendor_id = v.id
+  WHERE v.is_active = true
+    AND (v.city_id = p_city_id OR n.city_id IS NOT NULL OR cov.vendor_id IS NOT NULL)
+  ORDER BY 3 ASC NULLS LAST, v.created_at DESC
+  LIMIT GREATEST(1, LEAST(COALESCE(p_limit, 500), 2000));
+$$;
+
+REVOKE ALL ON FUNCTION public.dir_vendors_near_city(uuid, numeric, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.dir_vendors_near_city(uuid, numeric, integer) TO anon, authenticated, service_role;
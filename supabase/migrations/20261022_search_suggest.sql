@@ -0,0 +1,66 @@
+-- Search autocomplete support (/api/dir/suggest)
+-- Crafted: 22-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) Aggregate search counts per normalized query (popularity signal for suggestions).
+-- 2) Trigram indexes so prefix / word-prefix ILIKE on names stays fast.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1) Query popularity (one row per normalized query)
+CREATE TABLE IF NOT EXISTS public.search_query_stats (
+  query_norm        text PRIMARY KEY,
+  query_sample      text NOT NULL,
+  search_count      bigint NOT NULL DEFAULT 0,
+  last_result_count integer,
+  last_searched_at  timestamptz NOT NULL DEFAULT now(),
+  created_at        timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_query_stats_prefix
+  ON public.search_query_stats (query_norm text_pattern_ops);
+
+CREATE INDEX IF NOT EXISTS idx_search_query_stats_count
+  ON public.search_query_stats (search_count DESC);
+
+ALTER TABLE public.search_query_stats ENABLE ROW LEVEL SECURITY;
+
+-- Atomic upsert + increment (called by the API after page 1 of a search)
+CREATE OR REPLACE FUNCTION public.record_search_query(p_q text, p_result_count integer DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_norm text := public.dir_normalize_search_text(p_q);
+BEGIN
+  IF v_norm = '' OR length(v_norm) > 100 THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.search_query_stats (query_norm, query_sample, search_count, last_result_count, last_searched_at)
+  VALUES (v_norm, left(trim(p_q), 100), 1, p_result_count, now())
+  ON CONFLICT (query_norm) DO UPDATE
+  SET search_count = public.search_query_stats.search_count + 1,
+      last_result_count = COALESCE(EXCLUDED.last_result_count, public.search_query_stats.last_result_count),
+      last_searched_at = now();
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.record_search_query(text, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.record_search_query(text, integer) TO service_role;
+
+-- 2) Name lookups used by suggestions
+CREATE INDEX IF NOT EXISTS idx_micro_categories_name_trgm
+  ON public.micro_categories USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_sub_categories_name_trgm
+  ON public.sub_categories USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_head_categories_name_trgm
+  ON public.head_categories USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm
+  ON public.products USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_vendors_company_name_trgm
+  ON public.vendors USING gin (company_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_cities_name_trgm
+  ON public.cities USING gin (name gin_trgm_ops);
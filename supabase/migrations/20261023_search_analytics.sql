@@ -0,0 +1,144 @@
+-- Directory search analytics (search events, result clicks, data-entry report)
+-- Crafted: 23-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) One search_events row per /api/dir/search call (query, filters, result count, page).
+-- 2) search_clicks rows tie a clicked product/vendor + position back to its search event.
+-- 3) search_insights_report(): top, zero-result and low-CTR queries for the data-entry team.
+
+-- 1) Search events
+CREATE TABLE IF NOT EXISTS public.search_events (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  query             text NOT NULL DEFAULT '',
+  query_norm        text NOT NULL DEFAULT '',
+  filters           jsonb NOT NULL DEFAULT '{}'::jsonb,
+  micro_category_id uuid,
+  state_id          uuid,
+  city_id           uuid,
+  radius_km         numeric,
+  sort              text,
+  result_count      integer NOT NULL DEFAULT 0,
+  page              integer NOT NULL DEFAULT 1,
+  created_at        timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_created_at
+  ON public.search_events (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_query_norm
+  ON public.search_events (query_norm, created_at DESC)
+  WHERE query_norm <> '';
+
+CREATE INDEX IF NOT EXISTS idx_search_events_zero_results
+  ON public.search_events (created_at DESC)
+  WHERE result_count = 0;
+
+ALTER TABLE public.search_events ENABLE ROW LEVEL SECURITY;
+
+-- 2) Clicks on search results
+CREATE TABLE IF NOT EXISTS public.search_clicks (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  search_event_id uuid NOT NULL REFERENCES public.search_events(id) ON DELETE CASCADE,
+  product_id      uuid,
+  vendor_id       uuid,
+  position        integer,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_clicks_event
+  ON public.search_clicks (search_event_id);
+
+CREATE INDEX IF NOT EXISTS idx_search_clicks_product
+  ON public.search_clicks (product_id)
+  WHERE product_id IS NOT NULL;
+
+ALTER TABLE public.search_clicks ENABLE ROW LEVEL SECURITY;
+
+-- 3) Report (page-1 events only, so paging through results doesn't inflate counts)
+CREATE OR REPLACE FUNCTION public.search_insights_report(
+  p_days integer DEFAULT 30,
+  p_limit integer DEFAULT 50,
+  p_min_searches integer DEFAULT 5,
+  p_max_ctr numeric DEFAULT 0.05
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH ev AS (
+    SELECT
+      e.id,
+      e.query,
+      e.query_norm,
+      e.result_count,
+      e.created_at,
+      (SELECT count(*) FROM public.search_clicks c WHERE c.search_event_id = e.id) AS clicks
+    FROM public.search_events e
+    WHERE e.page = 1
+      AND e.query_norm <> ''
+      AND e.created_at >= now() - make_interval(days => GREATEST(1, LEAST(COALESCE(p_days, 30), 365)))
+  ),
+  per_query AS (
+    SELECT
+      ev.query_norm,
+      (array_agg(ev.query ORDER BY ev.created_at DESC))[1] AS query,
+      count(*) AS searches,
+      count(*) FILTER (WHERE ev.result_count = 0) AS zero_result_searches,
+      round(avg(ev.result_count), 1) AS avg_results,
+      sum(ev.clicks) AS clicks,
+      count(*) FILTER (WHERE ev.clicks > 0) AS clicked_searches,
+      round(count(*) FILTER (WHERE ev.clicks > 0)::numeric / count(*), 4) AS ctr,
+      max(ev.created_at) AS last_searched_at
+    FROM ev
+    GROUP BY ev.query_norm
+  ),
+  lim AS (
+    SELECT GREATEST(1, LEAST(COALESCE(p_limit, 50), 500)) AS n
+  )
+  SELECT jsonb_build_object(
+    'window_days', GREATEST(1, LEAST(COALESCE(p_days, 30), 365)),
+    'totals', (
+      SELECT jsonb_build_object(
+        'searches', count(*),
+        'distinct_queries', count(DISTINCT ev.query_norm),
+        'zero_result_searches', count(*) FILTER (WHERE ev.result_count = 0),
+        'clicked_searches', count(*) FILTER (WHERE ev.clicks > 0),
+        'ctr', CASE WHEN count(*) > 0 THEN round(count(*) FILTER (WHERE ev.clicks > 0)::numeric / count(*), 4) ELSE 0 END
+      )
+      FROM ev
+    ),
+    'top_queries', COALESCE((
+      SELECT jsonb_agg(to_jsonb(t) ORDER BY t.searches DESC, t.last_searched_at DESC)
+      FROM (
+        SELECT * FROM per_query
+        ORDER BY searches DESC, last_searched_at DESC
+        LIMIT (SELECT n FROM lim)
+      ) t
+    ), '[]'::jsonb),
+    'zero_result_queries', COALESCE((
+      SELECT jsonb_agg(to_jsonb(t) ORDER BY t.zero_result_searches DESC, t.last_searched_at DESC)
+      FROM (
+        SELECT * FROM per_query
+        WHERE zero_result_searches > 0
+        ORDER BY zero_result_searches DESC, last_searched_at DESC
+        LIMIT (SELECT n FROM lim)
+      ) t
+    ), '[]'::jsonb),
+    'low_ctr_queries', COALESCE((
+      SELECT jsonb_agg(to_jsonb(t) ORDER BY t.searches DESC, t.ctr ASC)
+      FROM (
+        SELECT * FROM per_query
+        WHERE searches >= GREATEST(1, COALESCE(p_min_searches, 5))
+          AND avg_results > 0
+          AND ctr <= COALESCE(p_max_ctr, 0.05)
+        ORDER BY searches DESC, ctr ASC
+        LIMIT (SELECT n FROM lim)
+      ) t
+    ), '[]'::jsonb)
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.search_insights_report(integer, integer, integer, numeric) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.search_insights_report(integer, integer, integer, numeric) TO service_role;
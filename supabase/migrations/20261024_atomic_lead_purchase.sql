@@ -0,0 +1,397 @@
+-- Atomic, server-priced marketplace lead purchase
+-- Crafted: 24-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE / DROP IF EXISTS guards
+-- Goals:
+-- 1) lead_pricing_rules (managed by Sales) + compute_lead_price(): price comes from the DB, never the client.
+-- 2) Max 5 vendors per lead enforced by a trigger on lead_purchases (row lock on the lead, so no race).
+-- 3) purchase_lead(): one transaction for capacity check, plan-quota consumption and the purchase row.
+--    Purchases not covered by plan quota need a verified Razorpay payment (passed in by the API).
+
+-- 1) Pricing rules
+CREATE TABLE IF NOT EXISTS public.lead_pricing_rules (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_name          text NOT NULL,
+  -- FIXED: price = value | MULTIPLIER: price * value | SURCHARGE: price + value | DISCOUNT_PERCENT: price - value%
+  type               text NOT NULL DEFAULT 'FIXED',
+  value              numeric NOT NULL DEFAULT 0,
+  status             text NOT NULL DEFAULT 'DRAFT',
+  priority           integer NOT NULL DEFAULT 100,
+  head_category_id   uuid,
+  sub_category_id    uuid,
+  micro_category_id  uuid,
+  state_id           uuid,
+  city_id            uuid,
+  min_budget         numeric,
+  max_budget         numeric,
+  max_lead_age_hours integer,
+  created_by         uuid,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_pricing_rules_type_check') THEN
+    ALTER TABLE public.lead_pricing_rules
+      ADD CONSTRAINT lead_pricing_rules_type_check
+      CHECK (type IN ('FIXED','MULTIPLIER','SURCHARGE','DISCOUNT_PERCENT'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_pricing_rules_status_check') THEN
+    ALTER TABLE public.lead_pricing_rules
+      ADD CONSTRAINT lead_pricing_rules_status_check
+      CHECK (status IN ('DRAFT','PENDING_APPROVAL','ACTIVE','INACTIVE'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_lead_pricing_rules_active
+  ON public.lead_pricing_rules (priority, created_at)
+  WHERE status = 'ACTIVE';
+
+ALTER TABLE public.lead_pricing_rules ENABLE ROW LEVEL SECURITY;
+
+-- 2) Purchase + quota bookkeeping columns
+ALTER TABLE public.lead_purchases
+  ADD COLUMN IF NOT EXISTS payment_method text,
+  ADD COLUMN IF NOT EXISTS razorpay_order_id text,
+  ADD COLUMN IF NOT EXISTS razorpay_payment_id text,
+  ADD COLUMN IF NOT EXISTS consumed_quota boolean NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_lead_purchases_razorpay_payment
+  ON public.lead_purchases (razorpay_payment_id)
+  WHERE razorpay_payment_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_lead_purchases_lead_id
+  ON public.lead_purchases (lead_id);
+
+-- One purchase per vendor per lead (skipped if legacy duplicates exist)
+DO $$
+BEGIN
+  CREATE UNIQUE INDEX IF NOT EXISTS uq_lead_purchases_vendor_lead
+    ON public.lead_purchases (vendor_id, lead_id);
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE '[lead_purchase] uq_lead_purchases_vendor_lead skipped: %', SQLERRM;
+END;
+$$;
+
+ALTER TABLE public.vendor_lead_quota
+  ADD COLUMN IF NOT EXISTS daily_reset_at timestamptz,
+  ADD COLUMN IF NOT EXISTS weekly_reset_at timestamptz,
+  ADD COLUMN IF NOT EXISTS yearly_reset_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_lead_quota_vendor
+  ON public.vendor_lead_quota (vendor_id);
+
+-- 3) Capacity: at most 5 vendors per lead, whatever path inserts the row
+CREATE OR REPLACE FUNCTION public.enforce_lead_purchase_capacity()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF NEW.lead_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Serialize concurrent purchases of the same lead
+  PERFORM 1 FROM public.leads WHERE id = NEW.lead_id FOR NO KEY UPDATE;
+
+  SELECT count(*) INTO v_count
+  FROM public.lead_purchases
+  WHERE lead_id = NEW.lead_id;
+
+  IF v_count >= 5 THEN
+    RAISE EXCEPTION 'LEAD_CAPACITY_REACHED';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_lead_purchase_capacity ON public.lead_purchases;
+CREATE TRIGGER trg_lead_purchase_capacity
+  BEFORE INSERT ON public.lead_purchases
+  FOR EACH ROW EXECUTE FUNCTION public.enforce_lead_purchase_capacity();
+
+-- 4) Price for one lead: lead.price (or ₹50) adjusted by matching ACTIVE rules, in priority order
+CREATE OR REPLACE FUNCTION public.compute_lead_price(p_lead_id uuid)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  l public.leads%ROWTYPE;
+  r public.lead_pricing_rules%ROWTYPE;
+  v_price numeric;
+BEGIN
+  SELECT * INTO l FROM public.leads WHERE id = p_lead_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  v_price := CASE WHEN COALESCE(l.price, 0) > 0 THEN l.price ELSE 50 END;
+
+  FOR r IN
+    SELECT *
+    FROM public.lead_pricing_rules pr
+    WHERE pr.status = 'ACTIVE'
+      AND (pr.head_category_id IS NULL OR pr.head_category_id = l.head_category_id)
+      AND (pr.sub_category_id IS NULL OR pr.sub_category_id = l.sub_category_id)
+      AND (pr.micro_category_id IS NULL OR pr.micro_category_id = l.micro_category_id)
+      AND (pr.state_id IS NULL OR pr.state_id = l.state_id)
+      AND (pr.city_id IS NULL OR pr.city_id = l.city_id)
+      AND (pr.min_budget IS NULL OR COALESCE(l.budget, 0) >= pr.min_budget)
+      AND (pr.max_budget IS NULL OR COALESCE(l.budget, 0) <= pr.max_budget)
+      AND (pr.max_lead_age_hours IS NULL OR l.created_at >= now() - make_interval(hours => pr.max_lead_age_hours))
+    ORDER BY pr.priority ASC, pr.created_at ASC
+  LOOP
+    v_price := CASE r.type
+      WHEN 'FIXED' THEN r.value
+      WHEN 'MULTIPLIER' THEN v_price * r.value
+      WHEN 'SURCHARGE' THEN v_price + r.value
+      WHEN 'DISCOUNT_PERCENT' THEN v_price * (1 - LEAST(GREATEST(r.value, 0), 100) / 100)
+      ELSE v_price
+    END;
+  END LOOP;
+
+  RETURN round(GREATEST(v_price, 0), 2);
+END;
+$$;
+
+-- 5) Plan quota for a vendor, with day/week windows (IST) and the yearly window
+--    (current subscription) already rolled over. Read-only.
+CREATE OR REPLACE FUNCTION public.lead_quota_status(p_vendor_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_day_start timestamptz := date_trunc('day', now() AT TIME ZONE 'Asia/Kolkata') AT TIME ZONE 'Asia/Kolkata';
+  v_week_start timestamptz := date_trunc('week', now() AT TIME ZONE 'Asia/Kolkata') AT TIME ZONE 'Asia/Kolkata';
+  v_sub record;
+  q public.vendor_lead_quota%ROWTYPE;
+  v_daily_limit integer := 0;
+  v_weekly_limit integer := 0;
+  v_yearly_limit integer := 0;
+  v_daily_used integer := 0;
+  v_weekly_used integer := 0;
+  v_yearly_used integer := 0;
+  v_year_start timestamptz;
+BEGIN
+  SELECT s.plan_id, s.start_date, to_jsonb(vp) AS plan
+  INTO v_sub
+  FROM public.vendor_plan_subscriptions s
+  JOIN public.vendor_plans vp ON vp.id = s.plan_id
+  WHERE s.vendor_id = p_vendor_id
+    AND s.status = 'ACTIVE'
+    AND (s.end_date IS NULL OR s.end_date > now())
+  ORDER BY s.start_date DESC NULLS LAST, s.created_at DESC NULLS LAST
+  LIMIT 1;
+
+  IF v_sub.plan_id IS NULL THEN
+    RETURN jsonb_build_object('has_active_plan', false, 'covered', false);
+  END IF;
+
+  SELECT * INTO q
+  FROM public.vendor_lead_quota
+  WHERE vendor_id = p_vendor_id
+  ORDER BY updated_at DESC NULLS LAST
+  LIMIT 1;
+
+  -- Plan limits win; quota-row limits are the legacy per-vendor override
+  v_daily_limit := COALESCE(NULLIF((v_sub.plan->>'daily_limit')::integer, 0), q.daily_limit, 0);
+  v_weekly_limit := COALESCE(NULLIF((v_sub.plan->>'weekly_limit')::integer, 0), q.weekly_limit, 0);
+  v_yearly_limit := COALESCE(NULLIF((v_sub.plan->>'yearly_limit')::integer, 0), q.yearly_limit, 0);
+
+  v_year_start := COALESCE(v_sub.start_date, '-infinity'::timestamptz);
+
+  IF q.id IS NOT NULL THEN
+    v_daily_used := CASE WHEN COALESCE(q.daily_reset_at, q.updated_at) >= v_day_start THEN COALESCE(q.daily_used, 0) ELSE 0 END;
+    v_weekly_used := CASE WHEN COALESCE(q.weekly_reset_at, q.updated_at) >= v_week_start THEN COALESCE(q.weekly_used, 0) ELSE 0 END;
+    v_yearly_used := CASE
+      WHEN q.plan_id IS DISTINCT FROM v_sub.plan_id THEN 0
+      WHEN COALESCE(q.yearly_reset_at, q.updated_at) < v_year_start THEN 0
+      ELSE COALESCE(q.yearly_used, 0)
+    END;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'has_active_plan', true,
+    'plan_id', v_sub.plan_id,
+    'quota_id', q.id,
+    'daily_used', v_daily_used,
+    'daily_limit', v_daily_limit,
+    'weekly_used', v_weekly_used,
+    'weekly_limit', v_weekly_limit,
+    'yearly_used', v_yearly_used,
+    'yearly_limit', v_yearly_limit,
+    'day_start', v_day_start,
+    'week_start', v_week_start,
+    'year_start', v_year_start,
+    -- A plan with no limits at all includes no free leads
+    'covered', (v_daily_limit > 0 OR v_weekly_limit > 0 OR v_yearly_limit > 0)
+      AND (v_daily_limit = 0 OR v_daily_used < v_daily_limit)
+      AND (v_weekly_limit = 0 OR v_weekly_used < v_weekly_limit)
+      AND (v_yearly_limit = 0 OR v_yearly_used < v_yearly_limit)
+  );
+END;
+$$;
+
+-- Quote shown before checkout / used by /api/payment/lead/initiate
+CREATE OR REPLACE FUNCTION public.lead_purchase_quote(p_vendor_id uuid, p_lead_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_price numeric := public.compute_lead_price(p_lead_id);
+  v_quota jsonb := public.lead_quota_status(p_vendor_id);
+BEGIN
+  IF v_price IS NULL THEN
+    RAISE EXCEPTION 'LEAD_NOT_FOUND';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'lead_id', p_lead_id,
+    'price', v_price,
+    'covered_by_quota', COALESCE((v_quota->>'covered')::boolean, false),
+    'payment_required', NOT COALESCE((v_quota->>'covered')::boolean, false) AND v_price > 0,
+    'quota', v_quota
+  );
+END;
+$$;
+
+-- 6) The purchase itself. p_payment = { order_id, payment_id, amount } once Razorpay is verified.
+CREATE OR REPLACE FUNCTION public.purchase_lead(p_vendor_id uuid, p_lead_id uuid, p_payment jsonb DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  l public.leads%ROWTYPE;
+  v_existing public.lead_purchases%ROWTYPE;
+  v_purchase public.lead_purchases%ROWTYPE;
+  v_count integer;
+  v_price numeric;
+  v_quota jsonb;
+  v_covered boolean;
+  v_paid boolean := NULLIF(trim(COALESCE(p_payment->>'payment_id', '')), '') IS NOT NULL;
+  v_amount numeric;
+BEGIN
+  -- Lock order: lead, then vendor (same in every caller -> no deadlocks)
+  SELECT * INTO l FROM public.leads WHERE id = p_lead_id FOR NO KEY UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'LEAD_NOT_FOUND';
+  END IF;
+
+  PERFORM 1 FROM public.vendors WHERE id = p_vendor_id FOR NO KEY UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VENDOR_NOT_FOUND';
+  END IF;
+
+  IF l.vendor_id IS NOT NULL AND l.vendor_id <> p_vendor_id THEN
+    RAISE EXCEPTION 'LEAD_NOT_PURCHASABLE';
+  END IF;
+
+  SELECT * INTO v_existing
+  FROM public.lead_purchases
+  WHERE vendor_id = p_vendor_id AND lead_id = p_lead_id
+  ORDER BY purchase_date DESC NULLS LAST
+  LIMIT 1;
+
+  IF v_existing.id IS NOT NULL THEN
+    RETURN jsonb_build_object('already_purchased', true, 'purchase', to_jsonb(v_existing));
+  END IF;
+
+  IF upper(COALESCE(l.status, 'AVAILABLE')) NOT IN ('AVAILABLE', 'PURCHASED') THEN
+    RAISE EXCEPTION 'LEAD_UNAVAILABLE';
+  END IF;
+
+  SELECT count(*) INTO v_count FROM public.lead_purchases WHERE lead_id = p_lead_id;
+  IF v_count >= 5 THEN
+    RAISE EXCEPTION 'LEAD_CAPACITY_REACHED';
+  END IF;
+
+  v_price := public.compute_lead_price(p_lead_id);
+  v_quota := public.lead_quota_status(p_vendor_id);
+  v_covered := COALESCE((v_quota->>'covered')::boolean, false);
+
+  IF v_covered THEN
+    v_amount := 0;
+
+    UPDATE public.vendor_lead_quota
+    SET plan_id = (v_quota->>'plan_id')::uuid,
+        daily_used = (v_quota->>'daily_used')::integer + 1,
+        weekly_used = (v_quota->>'weekly_used')::integer + 1,
+        yearly_used = (v_quota->>'yearly_used')::integer + 1,
+        daily_limit = (v_quota->>'daily_limit')::integer,
+        weekly_limit = (v_quota->>'weekly_limit')::integer,
+        yearly_limit = (v_quota->>'yearly_limit')::integer,
+        daily_reset_at = (v_quota->>'day_start')::timestamptz,
+        weekly_reset_at = (v_quota->>'week_start')::timestamptz,
+        yearly_reset_at = GREATEST(COALESCE(yearly_reset_at, (v_quota->>'year_start')::timestamptz), (v_quota->>'year_start')::timestamptz),
+        updated_at = now()
+    WHERE id = (v_quota->>'quota_id')::uuid;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.vendor_lead_quota (
+        vendor_id, plan_id, daily_used, weekly_used, yearly_used,
+        daily_limit, weekly_limit, yearly_limit,
+        daily_reset_at, weekly_reset_at, yearly_reset_at, updated_at
+      )
+      VALUES (
+        p_vendor_id, (v_quota->>'plan_id')::uuid, 1, 1, 1,
+        (v_quota->>'daily_limit')::integer, (v_quota->>'weekly_limit')::integer, (v_quota->>'yearly_limit')::integer,
+        (v_quota->>'day_start')::timestamptz, (v_quota->>'week_start')::timestamptz, now(), now()
+      );
+    END IF;
+  ELSIF v_price > 0 AND NOT v_paid THEN
+    RAISE EXCEPTION 'PAYMENT_REQUIRED';
+  ELSE
+    v_amount := COALESCE(NULLIF(p_payment->>'amount', '')::numeric, v_price);
+  END IF;
+
+  INSERT INTO public.lead_purchases (
+    vendor_id, lead_id, amount, payment_status, purchase_date,
+    payment_method, razorpay_order_id, razorpay_payment_id, consumed_quota
+  )
+  VALUES (
+    p_vendor_id, p_lead_id, v_amount, 'COMPLETED', now(),
+    CASE WHEN v_covered THEN 'PLAN_QUOTA' WHEN v_paid THEN 'RAZORPAY' ELSE 'FREE' END,
+    CASE WHEN v_covered THEN NULL ELSE NULLIF(p_payment->>'order_id', '') END,
+    CASE WHEN v_covered THEN NULL ELSE NULLIF(p_payment->>'payment_id', '') END,
+    v_covered
+  )
+  RETURNING * INTO v_purchase;
+
+  UPDATE public.leads
+  SET status = 'PURCHASED'
+  WHERE id = p_lead_id AND upper(COALESCE(status, 'AVAILABLE')) = 'AVAILABLE';
+
+  RETURN jsonb_build_object(
+    'already_purchased', false,
+    'covered_by_quota', v_covered,
+    'price', v_price,
+    'purchase', to_jsonb(v_purchase)
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.compute_lead_price(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.lead_quota_status(uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.lead_purchase_quote(uuid, uuid) FROM PUBLIC;
+REVOKE ALL ON FUNCTION public.purchase_lead(uuid, uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.compute_lead_price(uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION public.lead_quota_status(uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION public.lead_purchase_quote(uuid, uuid) TO service_role;
+GRANT EXECUTE ON FUNCTION public.purchase_lead(uuid, uuid, jsonb) TO service_role;
@@ -0,0 +1,111 @@
+-- Instant / digest lead alerts for matching vendors
+-- Crafted: 25-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) Per-vendor alert settings on vendor_preferences (INSTANT | DIGEST | OFF, email on/off, daily cap).
+-- 2) lead_alerts: one row per (lead, vendor) so a lead is never alerted twice to the same vendor;
+--    rows over the daily cap (or in DIGEST mode) wait for the daily digest.
+-- 3) lead_alert_candidates(): vendors whose preferred categories or active products overlap the lead.
+
+-- 1) Alert settings
+ALTER TABLE public.vendor_preferences
+  ADD COLUMN IF NOT EXISTS lead_alert_mode text NOT NULL DEFAULT 'INSTANT',
+  ADD COLUMN IF NOT EXISTS lead_alert_email boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS lead_alert_daily_limit integer NOT NULL DEFAULT 10;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_preferences_lead_alert_mode_check') THEN
+    ALTER TABLE public.vendor_preferences
+      ADD CONSTRAINT vendor_preferences_lead_alert_mode_check
+      CHECK (lead_alert_mode IN ('INSTANT','DIGEST','OFF'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_preferences_lead_alert_daily_limit_check') THEN
+    ALTER TABLE public.vendor_preferences
+      ADD CONSTRAINT vendor_preferences_lead_alert_daily_limit_check
+      CHECK (lead_alert_daily_limit BETWEEN 1 AND 100);
+  END IF;
+END
+$$;
+
+-- 2) Alert log
+ALTER TABLE public.leads
+  ADD COLUMN IF NOT EXISTS alerts_distributed_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.lead_alerts (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  lead_id       uuid NOT NULL REFERENCES public.leads(id) ON DELETE CASCADE,
+  vendor_id     uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  match_score   integer,
+  -- SENT: instant alert delivered | QUEUED: waiting for digest (DIGEST mode or over the daily cap)
+  -- DIGESTED: included in a digest | SKIPPED: lead no longer available when the digest ran
+  status        text NOT NULL DEFAULT 'QUEUED',
+  email_sent    boolean NOT NULL DEFAULT false,
+  sent_at       timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_lead_alerts_lead_vendor UNIQUE (lead_id, vendor_id)
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_alerts_status_check') THEN
+    ALTER TABLE public.lead_alerts
+      ADD CONSTRAINT lead_alerts_status_check
+      CHECK (status IN ('SENT','QUEUED','DIGESTED','SKIPPED'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_lead_alerts_vendor_sent
+  ON public.lead_alerts (vendor_id, sent_at DESC)
+  WHERE status = 'SENT';
+
+CREATE INDEX IF NOT EXISTS idx_lead_alerts_queued
+  ON public.lead_alerts (vendor_id, created_at)
+  WHERE status = 'QUEUED';
+
+ALTER TABLE public.lead_alerts ENABLE ROW LEVEL SECURITY;
+
+-- 3) Candidate vendors for one lead (active vendors, category overlap via preferences or products)
+CREATE OR REPLACE FUNCTION public.lead_alert_candidates(p_lead_id uuid, p_limit integer DEFAULT 200)
+RETURNS TABLE (vendor_id uuid)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH l AS (
+    SELECT id, vendor_id AS owner_id, micro_category_id, sub_category_id, head_category_id
+    FROM public.leads
+    WHERE id = p_lead_id
+  ),
+  by_prefs AS (
+    SELECT vp.vendor_id
+    FROM public.vendor_preferences vp, l
+    WHERE COALESCE(vp.lead_alert_mode, 'INSTANT') <> 'OFF'
+      AND (
+        (l.micro_category_id IS NOT NULL AND vp.preferred_micro_categories @> to_jsonb(ARRAY[l.micro_category_id::text]))
+        OR (l.sub_category_id IS NOT NULL AND vp.preferred_micro_categories @> to_jsonb(ARRAY[l.sub_category_id::text]))
+        OR (l.head_category_id IS NOT NULL AND vp.preferred_micro_categories @> to_jsonb(ARRAY[l.head_category_id::text]))
+      )
+  ),
+  by_products AS (
+    SELECT DISTINCT p.vendor_id
+    FROM public.products p, l
+    WHERE p.status = 'ACTIVE'
+      AND (
+        (l.micro_category_id IS NOT NULL AND p.micro_category_id = l.micro_category_id)
+        OR (l.sub_category_id IS NOT NULL AND p.sub_category_id = l.sub_category_id)
+      )
+  )
+  SELECT v.id
+  FROM public.vendors v, l
+  WHERE v.id IN (SELECT vendor_id FROM by_prefs UNION SELECT vendor_id FROM by_products)
+    AND COALESCE(v.is_active, true)
+    AND v.id IS DISTINCT FROM l.owner_id
+  ORDER BY v.id
+  LIMIT GREATEST(COALESCE(p_limit, 200), 1);
+$$;
+
+REVOKE ALL ON FUNCTION public.lead_alert_candidates(uuid, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.lead_alert_candidates(uuid, integer) TO service_role;
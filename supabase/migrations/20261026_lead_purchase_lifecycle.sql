@@ -0,0 +1,204 @@
+-- Lead purchase lifecycle, buyer contact feedback and lead-quality disputes
+-- Crafted: 26-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) Per-purchase pipeline on lead_purchases (PURCHASED -> CONTACTED -> QUOTATION_SENT -> NEGOTIATION -> WON | LOST)
+--    with a stage history.
+-- 2) lead_contact_feedback: buyer answers "did this supplier contact you?" once per purchase.
+-- 3) lead_disputes: vendor refund requests, each backed by a support ticket; refund_lead_purchase()
+--    approves one and restores plan quota (Razorpay refunds are issued by the API first).
+-- 4) lead_quality_stats view for reporting.
+
+-- 1) Pipeline
+ALTER TABLE public.lead_purchases
+  ADD COLUMN IF NOT EXISTS pipeline_stage text NOT NULL DEFAULT 'PURCHASED',
+  ADD COLUMN IF NOT EXISTS lost_reason text,
+  ADD COLUMN IF NOT EXISTS stage_updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS refund_amount numeric,
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_purchases_pipeline_stage_check') THEN
+    ALTER TABLE public.lead_purchases
+      ADD CONSTRAINT lead_purchases_pipeline_stage_check
+      CHECK (pipeline_stage IN ('PURCHASED','CONTACTED','QUOTATION_SENT','NEGOTIATION','WON','LOST'));
+  END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS public.lead_purchase_stage_history (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id  uuid NOT NULL REFERENCES public.lead_purchases(id) ON DELETE CASCADE,
+  from_stage   text,
+  to_stage     text NOT NULL,
+  lost_reason  text,
+  note         text,
+  changed_by   uuid,
+  created_at   timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_purchase_stage_history_purchase
+  ON public.lead_purchase_stage_history (purchase_id, created_at);
+
+ALTER TABLE public.lead_purchase_stage_history ENABLE ROW LEVEL SECURITY;
+
+-- 2) Buyer feedback
+CREATE TABLE IF NOT EXISTS public.lead_contact_feedback (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id  uuid NOT NULL REFERENCES public.lead_purchases(id) ON DELETE CASCADE,
+  lead_id      uuid NOT NULL REFERENCES public.leads(id) ON DELETE CASCADE,
+  vendor_id    uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  buyer_id     uuid REFERENCES public.buyers(id) ON DELETE SET NULL,
+  contacted    boolean NOT NULL,
+  comment      text,
+  created_at   timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_lead_contact_feedback_purchase UNIQUE (purchase_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_contact_feedback_vendor
+  ON public.lead_contact_feedback (vendor_id, created_at DESC);
+
+ALTER TABLE public.lead_contact_feedback ENABLE ROW LEVEL SECURITY;
+
+-- 3) Disputes
+CREATE TABLE IF NOT EXISTS public.lead_disputes (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_id         uuid NOT NULL REFERENCES public.lead_purchases(id) ON DELETE CASCADE,
+  lead_id             uuid NOT NULL REFERENCES public.leads(id) ON DELETE CASCADE,
+  vendor_id           uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  ticket_id           uuid REFERENCES public.support_tickets(id) ON DELETE SET NULL,
+  reason              text NOT NULL,
+  details             text,
+  status              text NOT NULL DEFAULT 'OPEN',
+  refund_method       text,
+  refund_amount       numeric,
+  razorpay_refund_id  text,
+  resolution_note     text,
+  resolved_by         uuid,
+  resolved_at         timestamptz,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_lead_disputes_purchase UNIQUE (purchase_id)
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_disputes_reason_check') THEN
+    ALTER TABLE public.lead_disputes
+      ADD CONSTRAINT lead_disputes_reason_check
+      CHECK (reason IN ('INVALID_CONTACT','UNREACHABLE','NOT_A_BUYER','DUPLICATE','WRONG_CATEGORY','ALREADY_FULFILLED','OTHER'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'lead_disputes_status_check') THEN
+    ALTER TABLE public.lead_disputes
+      ADD CONSTRAINT lead_disputes_status_check
+      CHECK (status IN ('OPEN','APPROVED','REJECTED'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_lead_disputes_ticket ON public.lead_disputes (ticket_id);
+CREATE INDEX IF NOT EXISTS idx_lead_disputes_vendor ON public.lead_disputes (vendor_id, created_at DESC);
+
+ALTER TABLE public.lead_disputes ENABLE ROW LEVEL SECURITY;
+
+-- Approve a dispute: mark the purchase refunded and give plan quota back (only to the
+-- counters the purchase was charged against, i.e. purchase made inside the current window).
+CREATE OR REPLACE FUNCTION public.refund_lead_purchase(
+  p_dispute_id uuid,
+  p_resolved_by uuid DEFAULT NULL,
+  p_note text DEFAULT NULL,
+  p_razorpay_refund_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.lead_disputes%ROWTYPE;
+  v_purchase public.lead_purchases%ROWTYPE;
+  v_method text;
+  v_amount numeric;
+BEGIN
+  SELECT * INTO v_dispute FROM public.lead_disputes WHERE id = p_dispute_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DISPUTE_NOT_FOUND';
+  END IF;
+  IF v_dispute.status <> 'OPEN' THEN
+    RAISE EXCEPTION 'DISPUTE_ALREADY_RESOLVED';
+  END IF;
+
+  SELECT * INTO v_purchase FROM public.lead_purchases WHERE id = v_dispute.purchase_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PURCHASE_NOT_FOUND';
+  END IF;
+
+  IF COALESCE(v_purchase.consumed_quota, false) THEN
+    v_method := 'QUOTA_RESTORED';
+    v_amount := 0;
+    UPDATE public.vendor_lead_quota q
+    SET daily_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.daily_reset_at, q.updated_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.daily_used, 0) - 1, 0) ELSE q.daily_used END,
+        weekly_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.weekly_reset_at, q.updated_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.weekly_used, 0) - 1, 0) ELSE q.weekly_used END,
+        yearly_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.yearly_reset_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.yearly_used, 0) - 1, 0) ELSE q.yearly_used END,
+        updated_at = now()
+    WHERE q.vendor_id = v_purchase.vendor_id;
+  ELSIF NULLIF(p_razorpay_refund_id, '') IS NOT NULL THEN
+    v_method := 'RAZORPAY';
+    v_amount := COALESCE(v_purchase.amount, 0);
+  ELSIF COALESCE(v_purchase.amount, 0) > 0 THEN
+    v_method := 'MANUAL';
+    v_amount := v_purchase.amount;
+  ELSE
+    v_method := 'NONE';
+    v_amount := 0;
+  END IF;
+
+  UPDATE public.lead_purchases
+  SET payment_status = 'REFUNDED',
+      refund_amount = v_amount,
+      refunded_at = now()
+  WHERE id = v_purchase.id;
+
+  UPDATE public.lead_disputes
+  SET status = 'APPROVED',
+      refund_method = v_method,
+      refund_amount = v_amount,
+      razorpay_refund_id = NULLIF(p_razorpay_refund_id, ''),
+      resolution_note = p_note,
+      resolved_by = p_resolved_by,
+      resolved_at = now()
+  WHERE id = v_dispute.id
+  RETURNING * INTO v_dispute;
+
+  RETURN jsonb_build_object('dispute', to_jsonb(v_dispute), 'refund_method', v_method, 'refund_amount', v_amount);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.refund_lead_purchase(uuid, uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.refund_lead_purchase(uuid, uuid, text, text) TO service_role;
+
+-- 4) Lead quality per lead (contact rate, conversions, disputes)
+CREATE OR REPLACE VIEW public.lead_quality_stats AS
+SELECT
+  lp.lead_id,
+  COUNT(*)                                                                    AS purchases,
+  COUNT(*) FILTER (WHERE lp.pipeline_stage <> 'PURCHASED')                    AS vendor_progressed,
+  COUNT(*) FILTER (WHERE lp.pipeline_stage = 'WON')                           AS won,
+  COUNT(*) FILTER (WHERE lp.pipeline_stage = 'LOST')                          AS lost,
+  COUNT(f.id) FILTER (WHERE f.contacted)                                      AS buyer_confirmed_contact,
+  COUNT(f.id) FILTER (WHERE NOT f.contacted)                                  AS buyer_denied_contact,
+  COUNT(d.id)                                                                 AS disputes,
+  COUNT(d.id) FILTER (WHERE d.status = 'APPROVED')                            AS refunds
+FROM public.lead_purchases lp
+LEFT JOIN public.lead_contact_feedback f ON f.purchase_id = lp.id
+LEFT JOIN public.lead_disputes d ON d.purchase_id = lp.id
+GROUP BY lp.lead_id;
+
+COMMENT ON VIEW public.lead_quality_stats IS
+  'Per-lead purchase outcomes, buyer contact feedback and dispute/refund counts.';
@@ -0,0 +1,131 @@
+-- Structured RFQs and quotations: line items with HSN, GST and discount, computed totals
+-- Crafted: 27-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) Header terms and totals on proposals (unit, validity, delivery/payment terms, subtotal/discount/tax/grand total)
+--    and proposal_type (RFQ from a buyer, QUOTATION from a vendor) with rfq_id linking a quotation to its RFQ.
+-- 2) proposal_line_items: one row per product line.
+-- 3) replace_proposal_line_items(): swap the items and header totals of a proposal in one transaction.
+--    Line amounts are computed by the API (server/lib/quotationItems.js) and stored as sent.
+
+-- 1) Header
+ALTER TABLE public.proposals
+  ADD COLUMN IF NOT EXISTS proposal_type text,
+  ADD COLUMN IF NOT EXISTS rfq_id uuid REFERENCES public.proposals(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS unit text,
+  ADD COLUMN IF NOT EXISTS validity_days integer,
+  ADD COLUMN IF NOT EXISTS valid_until timestamptz,
+  ADD COLUMN IF NOT EXISTS delivery_days integer,
+  ADD COLUMN IF NOT EXISTS delivery_terms text,
+  ADD COLUMN IF NOT EXISTS payment_terms text,
+  ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'INR',
+  ADD COLUMN IF NOT EXISTS subtotal numeric(14,2),
+  ADD COLUMN IF NOT EXISTS discount_total numeric(14,2),
+  ADD COLUMN IF NOT EXISTS tax_total numeric(14,2),
+  ADD COLUMN IF NOT EXISTS grand_total numeric(14,2),
+  ADD COLUMN IF NOT EXISTS line_item_count integer NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'proposals_proposal_type_check') THEN
+    ALTER TABLE public.proposals
+      ADD CONSTRAINT proposals_proposal_type_check
+      CHECK (proposal_type IS NULL OR proposal_type IN ('RFQ','QUOTATION'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_proposals_rfq_id ON public.proposals (rfq_id) WHERE rfq_id IS NOT NULL;
+
+-- 2) Line items
+CREATE TABLE IF NOT EXISTS public.proposal_line_items (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id       uuid NOT NULL REFERENCES public.proposals(id) ON DELETE CASCADE,
+  position          integer NOT NULL DEFAULT 0,
+  product_id        uuid REFERENCES public.products(id) ON DELETE SET NULL,
+  product_name      text NOT NULL,
+  description       text,
+  hsn_code          text,
+  quantity          numeric(14,3) NOT NULL,
+  unit              text,
+  unit_price        numeric(14,2),
+  gst_rate          numeric(5,2) NOT NULL DEFAULT 0,
+  discount_percent  numeric(5,2) NOT NULL DEFAULT 0,
+  taxable_amount    numeric(14,2),
+  tax_amount        numeric(14,2),
+  line_total        numeric(14,2),
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT proposal_line_items_quantity_check CHECK (quantity > 0),
+  CONSTRAINT proposal_line_items_unit_price_check CHECK (unit_price IS NULL OR unit_price >= 0),
+  CONSTRAINT proposal_line_items_gst_rate_check CHECK (gst_rate IN (0, 0.25, 3, 5, 12, 18, 28)),
+  CONSTRAINT proposal_line_items_discount_check CHECK (discount_percent BETWEEN 0 AND 100),
+  CONSTRAINT proposal_line_items_hsn_check CHECK (hsn_code IS NULL OR hsn_code ~ '^[0-9]{4}([0-9]{2}){0,2}$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_line_items_proposal
+  ON public.proposal_line_items (proposal_id, position);
+
+ALTER TABLE public.proposal_line_items ENABLE ROW LEVEL SECURITY;
+
+-- 3) Atomic replace of items + header totals
+CREATE OR REPLACE FUNCTION public.replace_proposal_line_items(
+  p_proposal_id uuid,
+  p_items jsonb,
+  p_totals jsonb DEFAULT '{}'::jsonb
+)
+RETURNS SETOF public.proposal_line_items
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM 1 FROM public.proposals WHERE id = p_proposal_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PROPOSAL_NOT_FOUND';
+  END IF;
+  IF jsonb_typeof(p_items) IS DISTINCT FROM 'array' OR jsonb_array_length(p_items) = 0 THEN
+    RAISE EXCEPTION 'LINE_ITEMS_REQUIRED';
+  END IF;
+
+  DELETE FROM public.proposal_line_items WHERE proposal_id = p_proposal_id;
+
+  INSERT INTO public.proposal_line_items (
+    proposal_id, position, product_id, product_name, description, hsn_code,
+    quantity, unit, unit_price, gst_rate, discount_percent,
+    taxable_amount, tax_amount, line_total
+  )
+  SELECT
+    p_proposal_id,
+    (item.ord - 1)::integer,
+    NULLIF(item.value->>'product_id', '')::uuid,
+    item.value->>'product_name',
+    NULLIF(item.value->>'description', ''),
+    NULLIF(item.value->>'hsn_code', ''),
+    (item.value->>'quantity')::numeric,
+    NULLIF(item.value->>'unit', ''),
+    NULLIF(item.value->>'unit_price', '')::numeric,
+    COALESCE(NULLIF(item.value->>'gst_rate', '')::numeric, 0),
+    COALESCE(NULLIF(item.value->>'discount_percent', '')::numeric, 0),
+    NULLIF(item.value->>'taxable_amount', '')::numeric,
+    NULLIF(item.value->>'tax_amount', '')::numeric,
+    NULLIF(item.value->>'line_total', '')::numeric
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ord);
+
+  UPDATE public.proposals
+  SET subtotal = NULLIF(p_totals->>'subtotal', '')::numeric,
+      discount_total = NULLIF(p_totals->>'discount_total', '')::numeric,
+      tax_total = NULLIF(p_totals->>'tax_total', '')::numeric,
+      grand_total = NULLIF(p_totals->>'grand_total', '')::numeric,
+      line_item_count = jsonb_array_length(p_items),
+      updated_at = now()
+  WHERE id = p_proposal_id;
+
+  RETURN QUERY
+    SELECT * FROM public.proposal_line_items
+    WHERE proposal_id = p_proposal_id
+    ORDER BY position;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.replace_proposal_line_items(uuid, jsonb, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.replace_proposal_line_items(uuid, jsonb, jsonb) TO service_role;
@@ -0,0 +1,170 @@
+-- Verified buyer reviews for vendors and products, with moderation and rating aggregates
+-- Crafted: 28-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) vendor_reviews: one review per buyer per verified transaction (a quotation received from the vendor,
+--    or a purchased lead where the vendor got in touch). Multi-dimension ratings, a single vendor reply,
+--    and a PENDING -> APPROVED | REJECTED moderation status.
+-- 2) Aggregates: vendors.seller_rating / review_count and products.rating_avg / rating_count are
+--    recomputed from APPROVED reviews by trigger (recompute_review_aggregates).
+-- 3) vendor_rating_summary view: per-dimension averages and star distribution for profile pages.
+
+-- 1) Reviews
+CREATE TABLE IF NOT EXISTS public.vendor_reviews (
+  id                    uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id             uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  product_id            uuid REFERENCES public.products(id) ON DELETE SET NULL,
+  buyer_id              uuid NOT NULL REFERENCES public.buyers(id) ON DELETE CASCADE,
+  source_type           text NOT NULL,
+  source_id             uuid NOT NULL,
+  rating_overall        smallint NOT NULL,
+  rating_quality        smallint,
+  rating_communication  smallint,
+  rating_delivery       smallint,
+  rating_value          smallint,
+  product_rating        smallint,
+  title                 text,
+  comment               text,
+  status                text NOT NULL DEFAULT 'PENDING',
+  moderation_note       text,
+  moderated_by          uuid,
+  moderated_at          timestamptz,
+  vendor_reply          text,
+  vendor_replied_at     timestamptz,
+  created_at            timestamptz NOT NULL DEFAULT now(),
+  updated_at            timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_vendor_reviews_source UNIQUE (buyer_id, source_type, source_id)
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_reviews_source_type_check') THEN
+    ALTER TABLE public.vendor_reviews
+      ADD CONSTRAINT vendor_reviews_source_type_check
+      CHECK (source_type IN ('QUOTATION','LEAD_PURCHASE'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_reviews_status_check') THEN
+    ALTER TABLE public.vendor_reviews
+      ADD CONSTRAINT vendor_reviews_status_check
+      CHECK (status IN ('PENDING','APPROVED','REJECTED'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_reviews_ratings_check') THEN
+    ALTER TABLE public.vendor_reviews
+      ADD CONSTRAINT vendor_reviews_ratings_check
+      CHECK (
+        rating_overall BETWEEN 1 AND 5
+        AND (rating_quality IS NULL OR rating_quality BETWEEN 1 AND 5)
+        AND (rating_communication IS NULL OR rating_communication BETWEEN 1 AND 5)
+        AND (rating_delivery IS NULL OR rating_delivery BETWEEN 1 AND 5)
+        AND (rating_value IS NULL OR rating_value BETWEEN 1 AND 5)
+        AND (product_rating IS NULL OR product_rating BETWEEN 1 AND 5)
+      );
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_reviews_vendor_status
+  ON public.vendor_reviews (vendor_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vendor_reviews_product
+  ON public.vendor_reviews (product_id, created_at DESC) WHERE product_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_vendor_reviews_pending
+  ON public.vendor_reviews (created_at) WHERE status = 'PENDING';
+
+ALTER TABLE public.vendor_reviews ENABLE ROW LEVEL SECURITY;
+
+-- 2) Aggregates
+ALTER TABLE public.vendors
+  ADD COLUMN IF NOT EXISTS seller_rating numeric(3,2),
+  ADD COLUMN IF NOT EXISTS review_count integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.products
+  ADD COLUMN IF NOT EXISTS rating_avg numeric(3,2),
+  ADD COLUMN IF NOT EXISTS rating_count integer NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION public.recompute_review_aggregates(p_vendor_id uuid, p_product_id uuid DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_vendor_id IS NOT NULL THEN
+    UPDATE public.vendors v
+    SET seller_rating = s.avg_rating,
+        review_count = s.cnt
+    FROM (
+      SELECT ROUND(AVG(rating_overall)::numeric, 2) AS avg_rating, COUNT(*)::integer AS cnt
+      FROM public.vendor_reviews
+      WHERE vendor_id = p_vendor_id AND status = 'APPROVED'
+    ) s
+    WHERE v.id = p_vendor_id;
+  END IF;
+
+  IF p_product_id IS NOT NULL THEN
+    UPDATE public.products p
+    SET rating_avg = s.avg_rating,
+        rating_count = s.cnt
+    FROM (
+      SELECT ROUND(AVG(COALESCE(product_rating, rating_overall))::numeric, 2) AS avg_rating, COUNT(*)::integer AS cnt
+      FROM public.vendor_reviews
+      WHERE product_id = p_product_id AND status = 'APPROVED'
+    ) s
+    WHERE p.id = p_product_id;
+  END IF;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.recompute_review_aggregates(uuid, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.recompute_review_aggregates(uuid, uuid) TO service_role;
+
+CREATE OR REPLACE FUNCTION public.trg_vendor_reviews_aggregates()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE','DELETE') THEN
+    PERFORM public.recompute_review_aggregates(OLD.vendor_id, OLD.product_id);
+  END IF;
+  IF TG_OP IN ('INSERT','UPDATE') THEN
+    IF TG_OP = 'INSERT'
+       OR NEW.vendor_id IS DISTINCT FROM OLD.vendor_id
+       OR NEW.product_id IS DISTINCT FROM OLD.product_id
+       OR NEW.status IS DISTINCT FROM OLD.status
+       OR NEW.rating_overall IS DISTINCT FROM OLD.rating_overall
+       OR NEW.product_rating IS DISTINCT FROM OLD.product_rating THEN
+      PERFORM public.recompute_review_aggregates(NEW.vendor_id, NEW.product_id);
+    END IF;
+    RETURN NEW;
+  END IF;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS vendor_reviews_aggregates ON public.vendor_reviews;
+CREATE TRIGGER vendor_reviews_aggregates
+  AFTER INSERT OR UPDATE OR DELETE ON public.vendor_reviews
+  FOR EACH ROW EXECUTE FUNCTION public.trg_vendor_reviews_aggregates();
+
+-- 3) Summary for profile pages
+CREATE OR REPLACE VIEW public.vendor_rating_summary AS
+SELECT
+  r.vendor_id,
+  COUNT(*)                                              AS review_count,
+  ROUND(AVG(r.rating_overall)::numeric, 2)              AS avg_overall,
+  ROUND(AVG(r.rating_quality)::numeric, 2)              AS avg_quality,
+  ROUND(AVG(r.rating_communication)::numeric, 2)        AS avg_communication,
+  ROUND(AVG(r.rating_delivery)::numeric, 2)             AS avg_delivery,
+  ROUND(AVG(r.rating_value)::numeric, 2)                AS avg_value,
+  COUNT(*) FILTER (WHERE r.rating_overall = 5)          AS stars_5,
+  COUNT(*) FILTER (WHERE r.rating_overall = 4)          AS stars_4,
+  COUNT(*) FILTER (WHERE r.rating_overall = 3)          AS stars_3,
+  COUNT(*) FILTER (WHERE r.rating_overall = 2)          AS stars_2,
+  COUNT(*) FILTER (WHERE r.rating_overall = 1)          AS stars_1
+FROM public.vendor_reviews r
+WHERE r.status = 'APPROVED'
+GROUP BY r.vendor_id;
+
+COMMENT ON VIEW public.vendor_rating_summary IS
+  'Approved review counts, per-dimension averages and star distribution per vendor.';
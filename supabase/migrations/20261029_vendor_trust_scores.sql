@@ -0,0 +1,61 @@
+-- Computed vendor trust score with per-factor breakdown
+-- Crafted: 29-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS guards
+-- Goals:
+-- 1) vendors.trust_score becomes a computed 0-100 value (server/lib/trustScore.js, daily cron + on-demand refresh).
+-- 2) vendor_trust_scores keeps the latest breakdown per vendor so the dashboard can show what to fix.
+-- 3) vendor_trust_score_history keeps one row per recompute for trend/audit.
+
+-- 1) vendors columns
+ALTER TABLE public.vendors
+  ADD COLUMN IF NOT EXISTS trust_score numeric(5,2),
+  ADD COLUMN IF NOT EXISTS trust_score_updated_at timestamptz;
+
+-- Hand-typed values outside 0-100 are clamped so the range check can be validated
+UPDATE public.vendors
+SET trust_score = LEAST(GREATEST(trust_score, 0), 100)
+WHERE trust_score < 0 OR trust_score > 100;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendors_trust_score_range_check') THEN
+    ALTER TABLE public.vendors
+      ADD CONSTRAINT vendors_trust_score_range_check
+      CHECK (trust_score IS NULL OR trust_score BETWEEN 0 AND 100);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_vendors_trust_score
+  ON public.vendors (trust_score DESC NULLS LAST);
+
+-- 2) Latest breakdown
+CREATE TABLE IF NOT EXISTS public.vendor_trust_scores (
+  vendor_id       uuid PRIMARY KEY REFERENCES public.vendors(id) ON DELETE CASCADE,
+  score           numeric(5,2) NOT NULL,
+  factors         jsonb NOT NULL DEFAULT '[]'::jsonb,
+  metrics         jsonb NOT NULL DEFAULT '{}'::jsonb,
+  version         integer NOT NULL DEFAULT 1,
+  computed_at     timestamptz NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN public.vendor_trust_scores.factors IS
+  'Array of { key, label, points, max, detail, tip } - one per scoring factor.';
+COMMENT ON COLUMN public.vendor_trust_scores.metrics IS
+  'Raw inputs used for the score (document counts, median response hours, complaint counts, rating).';
+
+ALTER TABLE public.vendor_trust_scores ENABLE ROW LEVEL SECURITY;
+
+-- 3) History
+CREATE TABLE IF NOT EXISTS public.vendor_trust_score_history (
+  id           uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id    uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  score        numeric(5,2) NOT NULL,
+  factors      jsonb NOT NULL DEFAULT '[]'::jsonb,
+  computed_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_trust_score_history_vendor
+  ON public.vendor_trust_score_history (vendor_id, computed_at DESC);
+
+ALTER TABLE public.vendor_trust_score_history ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,206 @@
+-- GST tax invoices and credit notes with gap-free per-financial-year numbering
+-- Crafted: 30-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) tax_document_series: one counter per series (INV, CN) per Indian financial year (April-March, IST).
+-- 2) tax_documents: immutable snapshot of each tax invoice / credit note (supplier + recipient GSTIN,
+--    place of supply, SAC line items, CGST/SGST or IGST split, amount in words).
+-- 3) issue_tax_document(p_doc): allocates the next number and inserts the document in one transaction,
+--    so a failed insert never leaves a gap. One invoice per payment; credit notes cannot exceed the invoice.
+-- 4) vendor_payments.lead_purchase_id so Razorpay-paid lead purchases get a payment row + invoice.
+
+-- 1) Counters
+CREATE TABLE IF NOT EXISTS public.tax_document_series (
+  series          text NOT NULL,
+  financial_year  text NOT NULL,
+  last_number     integer NOT NULL DEFAULT 0,
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (series, financial_year)
+);
+
+ALTER TABLE public.tax_document_series ENABLE ROW LEVEL SECURITY;
+
+-- 2) Documents
+CREATE TABLE IF NOT EXISTS public.tax_documents (
+  id                    uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_type         text NOT NULL,
+  document_number       text NOT NULL,
+  series                text NOT NULL,
+  financial_year        text NOT NULL,
+  sequence_no           integer NOT NULL,
+  document_date         timestamptz NOT NULL DEFAULT now(),
+  vendor_id             uuid REFERENCES public.vendors(id) ON DELETE SET NULL,
+  payment_id            uuid REFERENCES public.vendor_payments(id) ON DELETE SET NULL,
+  original_document_id  uuid REFERENCES public.tax_documents(id) ON DELETE RESTRICT,
+  supplier              jsonb NOT NULL DEFAULT '{}'::jsonb,
+  recipient             jsonb NOT NULL DEFAULT '{}'::jsonb,
+  place_of_supply_code  text,
+  place_of_supply       text,
+  supply_type           text NOT NULL,
+  items                 jsonb NOT NULL DEFAULT '[]'::jsonb,
+  taxable_value         numeric(12,2) NOT NULL DEFAULT 0,
+  cgst_rate             numeric(5,2) NOT NULL DEFAULT 0,
+  cgst_amount           numeric(12,2) NOT NULL DEFAULT 0,
+  sgst_rate             numeric(5,2) NOT NULL DEFAULT 0,
+  sgst_amount           numeric(12,2) NOT NULL DEFAULT 0,
+  igst_rate             numeric(5,2) NOT NULL DEFAULT 0,
+  igst_amount           numeric(12,2) NOT NULL DEFAULT 0,
+  total_tax             numeric(12,2) NOT NULL DEFAULT 0,
+  grand_total           numeric(12,2) NOT NULL DEFAULT 0,
+  amount_in_words       text,
+  reason                text,
+  reference             text,
+  payment_method        text,
+  created_at            timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_tax_documents_number UNIQUE (document_number),
+  CONSTRAINT uq_tax_documents_sequence UNIQUE (series, financial_year, sequence_no)
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tax_documents_type_check') THEN
+    ALTER TABLE public.tax_documents
+      ADD CONSTRAINT tax_documents_type_check
+      CHECK (document_type IN ('INVOICE','CREDIT_NOTE'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tax_documents_supply_type_check') THEN
+    ALTER TABLE public.tax_documents
+      ADD CONSTRAINT tax_documents_supply_type_check
+      CHECK (supply_type IN ('INTRA_STATE','INTER_STATE'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tax_documents_credit_note_link_check') THEN
+    ALTER TABLE public.tax_documents
+      ADD CONSTRAINT tax_documents_credit_note_link_check
+      CHECK (document_type <> 'CREDIT_NOTE' OR original_document_id IS NOT NULL);
+  END IF;
+END
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tax_documents_payment_invoice
+  ON public.tax_documents (payment_id)
+  WHERE document_type = 'INVOICE' AND payment_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tax_documents_vendor
+  ON public.tax_documents (vendor_id, document_date DESC);
+CREATE INDEX IF NOT EXISTS idx_tax_documents_original
+  ON public.tax_documents (original_document_id)
+  WHERE original_document_id IS NOT NULL;
+
+ALTER TABLE public.tax_documents ENABLE ROW LEVEL SECURITY;
+
+-- 3) Payments: lead purchases + tax columns used by the invoice
+ALTER TABLE public.vendor_payments
+  ADD COLUMN IF NOT EXISTS lead_purchase_id uuid REFERENCES public.lead_purchases(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS invoice_number text,
+  ADD COLUMN IF NOT EXISTS tax_amount numeric(12,2);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vendor_payments_lead_purchase
+  ON public.vendor_payments (lead_purchase_id)
+  WHERE lead_purchase_id IS NOT NULL;
+
+-- 4) Number allocation + insert
+CREATE OR REPLACE FUNCTION public.issue_tax_document(p_doc jsonb)
+RETURNS public.tax_documents
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_type        text := upper(coalesce(p_doc->>'document_type', ''));
+  v_series      text;
+  v_date        timestamptz := coalesce(nullif(p_doc->>'document_date', '')::timestamptz, now());
+  v_local       timestamp;
+  v_fy_start    integer;
+  v_fy          text;
+  v_seq         integer;
+  v_payment_id  uuid := nullif(p_doc->>'payment_id', '')::uuid;
+  v_original    public.tax_documents%ROWTYPE;
+  v_credited    numeric;
+  v_row         public.tax_documents%ROWTYPE;
+BEGIN
+  IF v_type = 'INVOICE' THEN
+    v_series := 'INV';
+  ELSIF v_type = 'CREDIT_NOTE' THEN
+    v_series := 'CN';
+  ELSE
+    RAISE EXCEPTION 'INVALID_DOCUMENT_TYPE';
+  END IF;
+
+  -- One invoice per payment: serialize per payment, then return the existing one if present
+  IF v_type = 'INVOICE' AND v_payment_id IS NOT NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext('tax_invoice:' || v_payment_id::text));
+    SELECT * INTO v_row FROM public.tax_documents
+    WHERE payment_id = v_payment_id AND document_type = 'INVOICE';
+    IF FOUND THEN
+      RETURN v_row;
+    END IF;
+  END IF;
+
+  IF v_type = 'CREDIT_NOTE' THEN
+    SELECT * INTO v_original FROM public.tax_documents
+    WHERE id = nullif(p_doc->>'original_document_id', '')::uuid
+    FOR UPDATE;
+    IF NOT FOUND OR v_original.document_type <> 'INVOICE' THEN
+      RAISE EXCEPTION 'ORIGINAL_INVOICE_NOT_FOUND';
+    END IF;
+    SELECT coalesce(sum(grand_total), 0) INTO v_credited
+    FROM public.tax_documents
+    WHERE original_document_id = v_original.id AND document_type = 'CREDIT_NOTE';
+    IF v_credited + coalesce((p_doc->>'grand_total')::numeric, 0) > v_original.grand_total THEN
+      RAISE EXCEPTION 'CREDIT_EXCEEDS_INVOICE';
+    END IF;
+  END IF;
+
+  -- Indian financial year of the document date (IST)
+  v_local := v_date AT TIME ZONE 'Asia/Kolkata';
+  v_fy_start := extract(year FROM v_local)::integer - CASE WHEN extract(month FROM v_local) < 4 THEN 1 ELSE 0 END;
+  v_fy := v_fy_start::text || '-' || lpad(((v_fy_start + 1) % 100)::text, 2, '0');
+
+  INSERT INTO public.tax_document_series (series, financial_year, last_number, updated_at)
+  VALUES (v_series, v_fy, 1, now())
+  ON CONFLICT (series, financial_year)
+  DO UPDATE SET last_number = public.tax_document_series.last_number + 1, updated_at = now()
+  RETURNING last_number INTO v_seq;
+
+  INSERT INTO public.tax_documents (
+    document_type, document_number, series, financial_year, sequence_no, document_date,
+    vendor_id, payment_id, original_document_id, supplier, recipient,
+    place_of_supply_code, place_of_supply, supply_type, items,
+    taxable_value, cgst_rate, cgst_amount, sgst_rate, sgst_amount, igst_rate, igst_amount,
+    total_tax, grand_total, amount_in_words, reason, reference, payment_method
+  ) VALUES (
+    v_type,
+    -- e.g. INV/26-27/000001 (GST allows at most 16 characters)
+    v_series || '/' || lpad((v_fy_start % 100)::text, 2, '0') || '-' || lpad(((v_fy_start + 1) % 100)::text, 2, '0')
+      || '/' || lpad(v_seq::text, 6, '0'),
+    v_series, v_fy, v_seq, v_date,
+    nullif(p_doc->>'vendor_id', '')::uuid,
+    v_payment_id,
+    CASE WHEN v_type = 'CREDIT_NOTE' THEN v_original.id ELSE NULL END,
+    coalesce(p_doc->'supplier', '{}'::jsonb),
+    coalesce(p_doc->'recipient', '{}'::jsonb),
+    p_doc->>'place_of_supply_code',
+    p_doc->>'place_of_supply',
+    coalesce(p_doc->>'supply_type', 'INTRA_STATE'),
+    coalesce(p_doc->'items', '[]'::jsonb),
+    coalesce((p_doc->>'taxable_value')::numeric, 0),
+    coalesce((p_doc->>'cgst_rate')::numeric, 0),
+    coalesce((p_doc->>'cgst_amount')::numeric, 0),
+    coalesce((p_doc->>'sgst_rate')::numeric, 0),
+    coalesce((p_doc->>'sgst_amount')::numeric, 0),
+    coalesce((p_doc->>'igst_rate')::numeric, 0),
+    coalesce((p_doc->>'igst_amount')::numeric, 0),
+    coalesce((p_doc->>'total_tax')::numeric, 0),
+    coalesce((p_doc->>'grand_total')::numeric, 0),
+    p_doc->>'amount_in_words',
+    p_doc->>'reason',
+    p_doc->>'reference',
+    p_doc->>'payment_method'
+  )
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.issue_tax_document(jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.issue_tax_document(jsonb) TO service_role;
@@ -0,0 +1,66 @@
+-- Razorpay webhooks: event log + payment reconciliation columns
+-- Crafted: 31-Oct-2026
+-- Safe to rerun: uses IF NOT EXISTS guards
+-- Goals:
+-- 1) razorpay_webhook_events: one row per Razorpay event id (idempotency + audit trail).
+-- 2) vendor_payments: order id, refund tracking and failure reason filled in by the webhook.
+-- 3) One vendor_payments row per Razorpay payment id, so the browser verify call and the webhook
+--    can race without activating a plan twice.
+
+-- 1) Event log
+CREATE TABLE IF NOT EXISTS public.razorpay_webhook_events (
+  event_id      text PRIMARY KEY,
+  event_type    text NOT NULL,
+  payment_id    text,
+  order_id      text,
+  payload       jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status        text NOT NULL DEFAULT 'PROCESSING',
+  attempts      integer NOT NULL DEFAULT 1,
+  result        jsonb,
+  error         text,
+  received_at   timestamptz NOT NULL DEFAULT now(),
+  processed_at  timestamptz
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'razorpay_webhook_events_status_check') THEN
+    ALTER TABLE public.razorpay_webhook_events
+      ADD CONSTRAINT razorpay_webhook_events_status_check
+      CHECK (status IN ('PROCESSING','PROCESSED','IGNORED','FAILED'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_payment
+  ON public.razorpay_webhook_events (payment_id)
+  WHERE payment_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_status
+  ON public.razorpay_webhook_events (status, received_at DESC);
+
+ALTER TABLE public.razorpay_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- 2) Reconciliation columns
+ALTER TABLE public.vendor_payments
+  ADD COLUMN IF NOT EXISTS razorpay_order_id text,
+  ADD COLUMN IF NOT EXISTS refunded_amount numeric(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS refunded_at timestamptz,
+  ADD COLUMN IF NOT EXISTS failure_reason text;
+
+-- 3) One row per Razorpay payment (skipped with a notice if legacy duplicates exist)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.vendor_payments
+    WHERE transaction_id IS NOT NULL
+    GROUP BY transaction_id
+    HAVING count(*) > 1
+  ) THEN
+    RAISE NOTICE 'vendor_payments has duplicate transaction_id values; clean them up and rerun to add uq_vendor_payments_transaction';
+  ELSE
+    CREATE UNIQUE INDEX IF NOT EXISTS uq_vendor_payments_transaction
+      ON public.vendor_payments (transaction_id)
+      WHERE transaction_id IS NOT NULL;
+  END IF;
+END
+$$;
@@ -0,0 +1,180 @@
+-- Plan upgrades / downgrades with prorated credit
+-- Crafted: 01-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards + CREATE OR REPLACE
+-- Goals:
+-- 1) vendor_plan_changes: one row per upgrade/downgrade request with the frozen proration quote.
+-- 2) Link payments and subscriptions to the change that created / replaced them.
+-- 3) apply_plan_change(): swap the active subscription and re-reserve vendor_plan_slots seats for the
+--    new tier in a single transaction (rolled back when the new tier has no free seat).
+
+-- 1) Plan change requests
+CREATE TABLE IF NOT EXISTS public.vendor_plan_changes (
+  id                    uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id             uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  from_subscription_id  uuid NOT NULL REFERENCES public.vendor_plan_subscriptions(id) ON DELETE CASCADE,
+  from_plan_id          uuid REFERENCES public.vendor_plans(id) ON DELETE SET NULL,
+  to_plan_id            uuid NOT NULL REFERENCES public.vendor_plans(id) ON DELETE RESTRICT,
+  kind                  text NOT NULL,
+  remaining_days        integer NOT NULL DEFAULT 0,
+  total_days            integer NOT NULL DEFAULT 0,
+  credit_amount         numeric(12,2) NOT NULL DEFAULT 0,
+  target_price          numeric(12,2) NOT NULL DEFAULT 0,
+  charge_amount         numeric(12,2) NOT NULL DEFAULT 0,
+  refund_amount         numeric(12,2) NOT NULL DEFAULT 0,
+  status                text NOT NULL DEFAULT 'PENDING',
+  razorpay_order_id     text,
+  payment_id            uuid REFERENCES public.vendor_payments(id) ON DELETE SET NULL,
+  new_subscription_id   uuid REFERENCES public.vendor_plan_subscriptions(id) ON DELETE SET NULL,
+  refund_payment_id     uuid REFERENCES public.vendor_payments(id) ON DELETE SET NULL,
+  razorpay_refund_id    text,
+  credit_note_id        uuid REFERENCES public.tax_documents(id) ON DELETE SET NULL,
+  error                 text,
+  created_at            timestamptz NOT NULL DEFAULT now(),
+  completed_at          timestamptz
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_plan_changes_kind_check') THEN
+    ALTER TABLE public.vendor_plan_changes
+      ADD CONSTRAINT vendor_plan_changes_kind_check
+      CHECK (kind IN ('UPGRADE','DOWNGRADE'));
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_plan_changes_status_check') THEN
+    ALTER TABLE public.vendor_plan_changes
+      ADD CONSTRAINT vendor_plan_changes_status_check
+      CHECK (status IN ('PENDING','PROCESSING','COMPLETED','FAILED','CANCELLED'));
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_plan_changes_amounts_check') THEN
+    ALTER TABLE public.vendor_plan_changes
+      ADD CONSTRAINT vendor_plan_changes_amounts_check
+      CHECK (credit_amount >= 0 AND target_price >= 0 AND charge_amount >= 0 AND refund_amount >= 0);
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_plan_changes_vendor
+  ON public.vendor_plan_changes (vendor_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vendor_plan_changes_order
+  ON public.vendor_plan_changes (razorpay_order_id)
+  WHERE razorpay_order_id IS NOT NULL;
+
+ALTER TABLE public.vendor_plan_changes ENABLE ROW LEVEL SECURITY;
+
+-- 2) Links
+ALTER TABLE public.vendor_payments
+  ADD COLUMN IF NOT EXISTS plan_change_id uuid REFERENCES public.vendor_plan_changes(id) ON DELETE SET NULL;
+
+ALTER TABLE public.vendor_plan_subscriptions
+  ADD COLUMN IF NOT EXISTS replaced_by_subscription_id uuid REFERENCES public.vendor_plan_subscriptions(id) ON DELETE SET NULL;
+
+-- 3) Apply a change: new subscription + strict seat re-reservation, all or nothing.
+-- p_dry_run = true only checks that the vendor's categories/cities have free seats in the new tier.
+CREATE OR REPLACE FUNCTION public.apply_plan_change(
+  p_change_id uuid,
+  p_payment_id uuid DEFAULT NULL,
+  p_dry_run boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_change public.vendor_plan_changes%ROWTYPE;
+  v_from public.vendor_plan_subscriptions%ROWTYPE;
+  v_days integer;
+  v_new_id uuid;
+BEGIN
+  SELECT * INTO v_change
+  FROM public.vendor_plan_changes
+  WHERE id = p_change_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PLAN_CHANGE_NOT_FOUND';
+  END IF;
+
+  IF v_change.status = 'COMPLETED' THEN
+    RETURN jsonb_build_object('ok', true, 'already_applied', true, 'subscription_id', v_change.new_subscription_id);
+  END IF;
+
+  IF v_change.status NOT IN ('PENDING','PROCESSING') THEN
+    RAISE EXCEPTION 'PLAN_CHANGE_CLOSED';
+  END IF;
+
+  SELECT * INTO v_from
+  FROM public.vendor_plan_subscriptions
+  WHERE id = v_change.from_subscription_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_from.vendor_id <> v_change.vendor_id OR v_from.status <> 'ACTIVE' THEN
+    RAISE EXCEPTION 'SUBSCRIPTION_NOT_ACTIVE';
+  END IF;
+
+  SELECT GREATEST(1, COALESCE(duration_days, 365)) INTO v_days
+  FROM public.vendor_plans
+  WHERE id = v_change.to_plan_id;
+
+  IF v_days IS NULL THEN
+    RAISE EXCEPTION 'PLAN_NOT_FOUND';
+  END IF;
+
+  BEGIN
+    INSERT INTO public.vendor_plan_subscriptions (
+      vendor_id, plan_id, start_date, end_date, status, plan_duration_days,
+      auto_renewal_enabled, renewal_notification_sent
+    ) VALUES (
+      v_change.vendor_id, v_change.to_plan_id, now(), now() + make_interval(days => v_days), 'ACTIVE', v_days,
+      COALESCE(v_from.auto_renewal_enabled, false), false
+    )
+    RETURNING id INTO v_new_id;
+
+    UPDATE public.vendor_plan_subscriptions
+    SET status = 'INACTIVE',
+        replaced_by_subscription_id = v_new_id,
+        updated_at = now()
+    WHERE id = v_from.id;
+
+    -- Strict: the subscription trigger swallows seat errors, a plan change must not
+    PERFORM public.recalculate_vendor_slots(v_change.vendor_id);
+
+    IF p_dry_run THEN
+      RAISE EXCEPTION 'PLAN_CHANGE_DRY_RUN';
+    END IF;
+  EXCEPTION WHEN OTHERS THEN
+    IF SQLERRM = 'PLAN_CHANGE_DRY_RUN' THEN
+      RETURN jsonb_build_object('ok', true, 'dry_run', true);
+    END IF;
+    IF SQLERRM LIKE 'No seats available%' THEN
+      IF p_dry_run THEN
+        RETURN jsonb_build_object('ok', false, 'dry_run', true, 'error', SQLERRM);
+      END IF;
+      RAISE EXCEPTION 'NO_SEATS_AVAILABLE: %', SQLERRM;
+    END IF;
+    RAISE;
+  END;
+
+  IF p_payment_id IS NOT NULL THEN
+    UPDATE public.vendor_payments
+    SET subscription_id = v_new_id,
+        plan_change_id = p_change_id
+    WHERE id = p_payment_id;
+  END IF;
+
+  UPDATE public.vendor_plan_changes
+  SET status = 'COMPLETED',
+      new_subscription_id = v_new_id,
+      payment_id = COALESCE(p_payment_id, payment_id),
+      error = NULL,
+      completed_at = now()
+  WHERE id = p_change_id;
+
+  RETURN jsonb_build_object('ok', true, 'already_applied', false, 'subscription_id', v_new_id);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.apply_plan_change(uuid, uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.apply_plan_change(uuid, uuid, boolean) TO service_role;
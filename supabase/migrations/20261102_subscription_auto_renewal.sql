@@ -0,0 +1,345 @@
+-- Automatic subscription renewal: payment mandates, dunning attempts, grace period
+-- Crafted: 02-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards + CREATE OR REPLACE
+-- Goals:
+-- 1) vendor_payment_mandates: the vendor's recurring-payment authorisation (Razorpay token or local fake).
+-- 2) subscription_renewal_attempts: one row per charge attempt (renewal date + dunning retries).
+-- 3) vendor_plan_subscriptions: renewal state + grace_until (plan keeps working until then).
+-- 4) recalculate_vendor_slots(): keep search slots for subscriptions inside their grace period.
+
+-- 1) Mandates
+CREATE TABLE IF NOT EXISTS public.vendor_payment_mandates (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id       uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  provider        text NOT NULL DEFAULT 'RAZORPAY',
+  customer_id     text,
+  token_id        text,
+  auth_order_id   text,
+  auth_payment_id text,
+  method          text,
+  max_amount      numeric(12,2),
+  status          text NOT NULL DEFAULT 'PENDING',
+  failure_reason  text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  activated_at    timestamptz,
+  cancelled_at    timestamptz
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_payment_mandates_status_check') THEN
+    ALTER TABLE public.vendor_payment_mandates
+      ADD CONSTRAINT vendor_payment_mandates_status_check
+      CHECK (status IN ('PENDING','ACTIVE','CANCELLED','FAILED'));
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_payment_mandates_provider_check') THEN
+    ALTER TABLE public.vendor_payment_mandates
+      ADD CONSTRAINT vendor_payment_mandates_provider_check
+      CHECK (provider IN ('RAZORPAY','FAKE'));
+  END IF;
+END
+$$;
+
+-- One usable mandate per vendor
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vendor_payment_mandates_active
+  ON public.vendor_payment_mandates (vendor_id)
+  WHERE status = 'ACTIVE';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vendor_payment_mandates_auth_order
+  ON public.vendor_payment_mandates (auth_order_id)
+  WHERE auth_order_id IS NOT NULL;
+
+ALTER TABLE public.vendor_payment_mandates ENABLE ROW LEVEL SECURITY;
+
+-- 2) Renewal attempts
+CREATE TABLE IF NOT EXISTS public.subscription_renewal_attempts (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id         uuid NOT NULL REFERENCES public.vendor_plan_subscriptions(id) ON DELETE CASCADE,
+  vendor_id               uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  plan_id                 uuid REFERENCES public.vendor_plans(id) ON DELETE SET NULL,
+  mandate_id              uuid REFERENCES public.vendor_payment_mandates(id) ON DELETE SET NULL,
+  attempt_no              integer NOT NULL,
+  amount                  numeric(12,2) NOT NULL DEFAULT 0,
+  status                  text NOT NULL DEFAULT 'PROCESSING',
+  provider_order_id       text,
+  provider_payment_id     text,
+  failure_reason          text,
+  payment_id              uuid REFERENCES public.vendor_payments(id) ON DELETE SET NULL,
+  renewed_subscription_id uuid REFERENCES public.vendor_plan_subscriptions(id) ON DELETE SET NULL,
+  attempted_at            timestamptz NOT NULL DEFAULT now(),
+  completed_at            timestamptz
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'subscription_renewal_attempts_status_check') THEN
+    ALTER TABLE public.subscription_renewal_attempts
+      ADD CONSTRAINT subscription_renewal_attempts_status_check
+      CHECK (status IN ('PROCESSING','PENDING','SUCCEEDED','FAILED'));
+  END IF;
+END
+$$;
+
+-- attempt_no is the claim: two workers cannot charge the same attempt
+CREATE UNIQUE INDEX IF NOT EXISTS uq_subscription_renewal_attempts_no
+  ON public.subscription_renewal_attempts (subscription_id, attempt_no);
+CREATE INDEX IF NOT EXISTS idx_subscription_renewal_attempts_vendor
+  ON public.subscription_renewal_attempts (vendor_id, attempted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscription_renewal_attempts_pending
+  ON public.subscription_renewal_attempts (status)
+  WHERE status IN ('PROCESSING','PENDING');
+
+ALTER TABLE public.subscription_renewal_attempts ENABLE ROW LEVEL SECURITY;
+
+-- 3) Renewal state on subscriptions
+ALTER TABLE public.vendor_plan_subscriptions
+  ADD COLUMN IF NOT EXISTS renewal_status text,
+  ADD COLUMN IF NOT EXISTS renewal_attempts integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_renewal_attempt_at timestamptz,
+  ADD COLUMN IF NOT EXISTS grace_until timestamptz,
+  ADD COLUMN IF NOT EXISTS last_renewal_error text;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'vendor_plan_subscriptions_renewal_status_check') THEN
+    ALTER TABLE public.vendor_plan_subscriptions
+      ADD CONSTRAINT vendor_plan_subscriptions_renewal_status_check
+      CHECK (renewal_status IS NULL OR renewal_status IN ('PENDING','RETRYING','RENEWED','LAPSED'));
+  END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_plan_subscriptions_renewal_due
+  ON public.vendor_plan_subscriptions (end_date)
+  WHERE status = 'ACTIVE' AND auto_renewal_enabled = true;
+
+-- 4) Slots survive the grace period (same function as 20260127, grace_until added to the filter)
+CREATE OR REPLACE FUNCTION public.recalculate_vendor_slots(p_vendor_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_subscription_id uuid;
+  v_plan_id uuid;
+  v_plan_name text;
+  v_plan_code text;
+  v_plan_features jsonb;
+
+  v_seat_capacity integer;
+  v_max_cities integer;
+  v_is_exclusive boolean;
+
+  v_city_limit integer;
+  v_category_limit integer := 100;
+
+  v_city_ids uuid[];
+  v_category_ids uuid[];
+
+  v_city_id uuid;
+  v_category_id uuid;
+  v_seat_no integer;
+  v_reserved boolean;
+BEGIN
+  -- Latest ACTIVE subscription that is not expired, or expired but still inside its renewal grace period
+  SELECT s.id, s.plan_id, vp.name, vp.features
+  INTO v_subscription_id, v_plan_id, v_plan_name, v_plan_features
+  FROM public.vendor_plan_subscriptions s
+  JOIN public.vendor_plans vp ON vp.id = s.plan_id
+  WHERE s.vendor_id = p_vendor_id
+    AND s.status = 'ACTIVE'
+    AND (s.end_date IS NULL OR s.end_date > now() OR s.grace_until > now())
+  ORDER BY s.start_date DESC NULLS LAST, s.created_at DESC NULLS LAST
+  LIMIT 1;
+
+  -- No active subscription -> clear slots and exit
+  IF v_subscription_id IS NULL THEN
+    DELETE FROM public.vendor_plan_slots WHERE vendor_id = p_vendor_id;
+    RETURN;
+  END IF;
+
+  v_plan_code := upper(public.plan_code_from_name(v_plan_name));
+
+  SELECT seat_capacity, max_cities, is_exclusive
+  INTO v_seat_capacity, v_max_cities, v_is_exclusive
+  FROM public.plan_tiers
+  WHERE code = v_plan_code;
+
+  -- Fallback safety if plan tier missing
+  IF v_seat_capacity IS NULL THEN
+    v_seat_capacity := 999;
+    v_max_cities := 9999;
+    v_is_exclusive := false;
+  END IF;
+
+  -- Trial / non-exclusive plans should not block seats
+  IF NOT v_is_exclusive THEN
+    DELETE FROM public.vendor_plan_slots WHERE vendor_id = p_vendor_id;
+    RETURN;
+  END IF;
+
+  -- Derive limits from plan features when available, but never exceed tier defaults
+  v_city_limit := v_max_cities;
+  IF v_plan_features ? 'cities_limit' THEN
+    BEGIN
+      v_city_limit := GREATEST(1, (v_plan_features ->> 'cities_limit')::integer);
+    EXCEPTION WHEN OTHERS THEN
+      v_city_limit := v_max_cities;
+    END;
+  END IF;
+  v_city_limit := LEAST(v_city_limit, v_max_cities);
+
+  IF v_plan_features ? 'categories_limit' THEN
+    BEGIN
+      v_category_limit := GREATEST(1, (v_plan_features ->> 'categories_limit')::integer);
+    EXCEPTION WHEN OTHERS THEN
+      v_category_limit := 100;
+    END;
+  END IF;
+
+  -- Preferred cities (deduped, order-preserving, limited)
+  SELECT array_agg(city_id ORDER BY ord)
+  INTO v_city_ids
+  FROM (
+    SELECT city_id, MIN(ord) AS ord
+    FROM (
+      SELECT t.value::uuid AS city_id, t.ord
+      FROM public.vendor_preferences vp,
+           jsonb_array_elements_text(COALESCE(vp.preferred_cities, '[]'::jsonb)) WITH ORDINALITY AS t(value, ord)
+      WHERE vp.vendor_id = p_vendor_id
+        AND t.value ~* '^[0-9a-f-]{36}$'
+    ) raw
+    GROUP BY city_id
+    ORDER BY MIN(ord)
+    LIMIT v_city_limit
+  ) dedup;
+
+  -- Fallback: vendor primary city
+  IF v_city_ids IS NULL OR COALESCE(array_length(v_city_ids, 1), 0) = 0 THEN
+    SELECT ARRAY[v.city_id]
+    INTO v_city_ids
+    FROM public.vendors v
+    WHERE v.id = p_vendor_id
+      AND v.city_id IS NOT NULL
+    LIMIT 1;
+  END IF;
+
+  -- Preferred categories mapped to head categories
+  WITH raw AS (
+    SELECT t.value::uuid AS raw_id, t.ord
+    FROM public.vendor_preferences vp,
+         jsonb_array_elements_text(COALESCE(vp.preferred_micro_categories, '[]'::jsonb)) WITH ORDINALITY AS t(value, ord)
+    WHERE vp.vendor_id = p_vendor_id
+      AND t.value ~* '^[0-9a-f-]{36}$'
+    ORDER BY t.ord
+    LIMIT v_category_limit
+  ),
+  head_from_head AS (
+    SELECT h.id AS head_id, MIN(raw.ord) AS ord
+    FROM raw
+    JOIN public.head_categories h ON h.id = raw.raw_id
+    GROUP BY h.id
+  ),
+  head_from_micro AS (
+    SELECT sc.head_category_id AS head_id, MIN(raw.ord) AS ord
+    FROM raw
+    JOIN public.micro_categories m ON m.id = raw.raw_id
+    JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+    GROUP BY sc.head_category_id
+  ),
+  combined AS (
+    SELECT head_id, MIN(ord) AS ord
+    FROM (
+      SELECT * FROM head_from_head
+      UNION ALL
+      SELECT * FROM head_from_micro
+    ) x
+    GROUP BY head_id
+  )
+  SELECT array_agg(head_id ORDER BY ord)
+  INTO v_category_ids
+  FROM combined;
+
+  -- Fallback: derive head categories from active products
+  IF v_category_ids IS NULL OR COALESCE(array_length(v_category_ids, 1), 0) = 0 THEN
+    SELECT array_agg(head_id ORDER BY first_seen)
+    INTO v_category_ids
+    FROM (
+      SELECT head_id, MIN(created_at) AS first_seen
+      FROM (
+        SELECT p.head_category_id AS head_id, p.created_at
+        FROM public.products p
+        WHERE p.vendor_id = p_vendor_id
+          AND p.status = 'ACTIVE'
+          AND p.head_category_id IS NOT NULL
+
+        UNION ALL
+
+        SELECT sc.head_category_id AS head_id, p.created_at
+        FROM public.products p
+        JOIN public.micro_categories m ON m.id = p.micro_category_id
+        JOIN public.sub_categories sc ON sc.id = m.sub_category_id
+        WHERE p.vendor_id = p_vendor_id
+          AND p.status = 'ACTIVE'
+          AND sc.head_category_id IS NOT NULL
+      ) t
+      GROUP BY head_id
+      ORDER BY MIN(created_at)
+      LIMIT v_category_limit
+    ) derived;
+  END IF;
+
+  -- If nothing to reserve against, just clear slots and exit
+  IF v_city_ids IS NULL OR COALESCE(array_length(v_city_ids, 1), 0) = 0
+     OR v_category_ids IS NULL OR COALESCE(array_length(v_category_ids, 1), 0) = 0 THEN
+    DELETE FROM public.vendor_plan_slots WHERE vendor_id = p_vendor_id;
+    RETURN;
+  END IF;
+
+  -- Rebuild vendor slots atomically within this transaction
+  DELETE FROM public.vendor_plan_slots WHERE vendor_id = p_vendor_id;
+
+  FOREACH v_category_id IN ARRAY v_category_ids LOOP
+    FOREACH v_city_id IN ARRAY v_city_ids LOOP
+      v_reserved := false;
+
+      FOR v_seat_no IN 1..v_seat_capacity LOOP
+        BEGIN
+          INSERT INTO public.vendor_plan_slots (
+            subscription_id,
+            vendor_id,
+            plan_code,
+            category_id,
+            city_id,
+            seat_no
+          ) VALUES (
+            v_subscription_id,
+            p_vendor_id,
+            v_plan_code,
+            v_category_id,
+            v_city_id,
+            v_seat_no
+          );
+
+          v_reserved := true;
+          EXIT;
+        EXCEPTION WHEN unique_violation THEN
+          -- Seat taken (or duplicate vendor/category/city). Try next seat.
+          NULL;
+        END;
+      END LOOP;
+
+      IF NOT v_reserved THEN
+        RAISE EXCEPTION USING
+          MESSAGE = format(
+            'No seats available for plan %s in category %s and city %s',
+            v_plan_code, v_category_id, v_city_id
+          );
+      END IF;
+    END LOOP;
+  END LOOP;
+END;
+$$;
+REVOKE ALL ON FUNCTION public.recalculate_vendor_slots(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.recalculate_vendor_slots(uuid) TO service_role;
@@ -0,0 +1,94 @@
+-- Chatbot conversations, server-side history and token/cost accounting
+-- Crafted: 03-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards + CREATE OR REPLACE
+-- Goals:
+-- 1) chatbot_conversations: one row per chat thread (widget session and, when logged in, user) with
+--    running token / cost totals.
+-- 2) chatbot_history rows are written by /api/chat and linked to their conversation, with per-reply
+--    provider, model, usage and the tool result cards.
+-- 3) add_chatbot_usage(): atomic increment of a conversation's totals.
+
+-- 1) Conversations
+CREATE TABLE IF NOT EXISTS public.chatbot_conversations (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id         text NOT NULL,
+  -- Portal logins use public.users ids, so no FK to auth.users here
+  user_id            uuid,
+  language           text NOT NULL DEFAULT 'en',
+  provider           text,
+  model              text,
+  message_count      integer NOT NULL DEFAULT 0,
+  prompt_tokens      integer NOT NULL DEFAULT 0,
+  completion_tokens  integer NOT NULL DEFAULT 0,
+  total_tokens       integer NOT NULL DEFAULT 0,
+  cost_usd           numeric(12,6) NOT NULL DEFAULT 0,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  last_message_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_conversations_session
+  ON public.chatbot_conversations (session_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chatbot_conversations_user
+  ON public.chatbot_conversations (user_id, last_message_at DESC)
+  WHERE user_id IS NOT NULL;
+
+ALTER TABLE public.chatbot_conversations ENABLE ROW LEVEL SECURITY;
+
+-- 2) History rows
+ALTER TABLE public.chatbot_history
+  ADD COLUMN IF NOT EXISTS conversation_id uuid REFERENCES public.chatbot_conversations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS session_id text,
+  ADD COLUMN IF NOT EXISTS provider text,
+  ADD COLUMN IF NOT EXISTS model text,
+  ADD COLUMN IF NOT EXISTS prompt_tokens integer,
+  ADD COLUMN IF NOT EXISTS completion_tokens integer,
+  ADD COLUMN IF NOT EXISTS cost_usd numeric(12,6),
+  ADD COLUMN IF NOT EXISTS cards jsonb;
+
+-- Same reason as chatbot_conversations.user_id: the server writes public.users ids
+ALTER TABLE public.chatbot_history
+  DROP CONSTRAINT IF EXISTS chatbot_history_user_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_chatbot_history_conversation
+  ON public.chatbot_history (conversation_id, created_at);
+-- Per-session rate limit counts recent user messages
+CREATE INDEX IF NOT EXISTS idx_chatbot_history_session_recent
+  ON public.chatbot_history (session_id, created_at DESC)
+  WHERE sender = 'user';
+
+-- 3) Usage accounting
+CREATE OR REPLACE FUNCTION public.add_chatbot_usage(
+  p_conversation_id uuid,
+  p_messages integer DEFAULT 0,
+  p_prompt_tokens integer DEFAULT 0,
+  p_completion_tokens integer DEFAULT 0,
+  p_cost_usd numeric DEFAULT 0,
+  p_provider text DEFAULT NULL,
+  p_model text DEFAULT NULL
+)
+RETURNS public.chatbot_conversations
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_row public.chatbot_conversations%ROWTYPE;
+BEGIN
+  UPDATE public.chatbot_conversations
+  SET message_count = message_count + GREATEST(COALESCE(p_messages, 0), 0),
+      prompt_tokens = prompt_tokens + GREATEST(COALESCE(p_prompt_tokens, 0), 0),
+      completion_tokens = completion_tokens + GREATEST(COALESCE(p_completion_tokens, 0), 0),
+      total_tokens = total_tokens + GREATEST(COALESCE(p_prompt_tokens, 0), 0) + GREATEST(COALESCE(p_completion_tokens, 0), 0),
+      cost_usd = cost_usd + GREATEST(COALESCE(p_cost_usd, 0), 0),
+      provider = COALESCE(p_provider, provider),
+      model = COALESCE(p_model, model),
+      last_message_at = now()
+  WHERE id = p_conversation_id
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.add_chatbot_usage(uuid, integer, integer, integer, numeric, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.add_chatbot_usage(uuid, integer, integer, integer, numeric, text, text) TO service_role;
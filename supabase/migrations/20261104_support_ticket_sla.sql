@@ -0,0 +1,189 @@
+-- SLA policies, auto-assignment and escalation for support tickets
+-- Crafted: 04-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) support_sla_policies: first response and resolution targets (minutes) per ticket priority.
+-- 2) support_tickets: assignee, SLA due timestamps, first response time, breach flags and escalation level.
+--    Due timestamps are set by trigger from the policy (on insert and when the priority changes), and the
+--    first staff reply in ticket_messages stamps first_response_at, so every insert path gets SLA timers.
+-- 3) assign_support_ticket(): picks an active SUPPORT employee, round-robin (least recently assigned) or
+--    by load (fewest open tickets), under an advisory lock so parallel tickets spread across agents.
+
+-- 1) Policies
+CREATE TABLE IF NOT EXISTS public.support_sla_policies (
+  priority                text PRIMARY KEY,
+  first_response_minutes  integer NOT NULL,
+  resolution_minutes      integer NOT NULL,
+  is_active               boolean NOT NULL DEFAULT true,
+  updated_by              uuid,
+  updated_at              timestamptz NOT NULL DEFAULT now()
+);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_sla_policies_targets_check') THEN
+    ALTER TABLE public.support_sla_policies
+      ADD CONSTRAINT support_sla_policies_targets_check
+      CHECK (first_response_minutes > 0 AND resolution_minutes >= first_response_minutes);
+  END IF;
+END
+$$;
+
+INSERT INTO public.support_sla_policies (priority, first_response_minutes, resolution_minutes)
+VALUES
+  ('URGENT', 30, 240),
+  ('HIGH', 60, 480),
+  ('MEDIUM', 240, 1440),
+  ('LOW', 480, 4320)
+ON CONFLICT (priority) DO NOTHING;
+
+ALTER TABLE public.support_sla_policies ENABLE ROW LEVEL SECURITY;
+
+-- 2) Ticket SLA columns
+ALTER TABLE public.support_tickets
+  ADD COLUMN IF NOT EXISTS assigned_to uuid,
+  ADD COLUMN IF NOT EXISTS assigned_at timestamptz,
+  ADD COLUMN IF NOT EXISTS last_reply_at timestamptz,
+  ADD COLUMN IF NOT EXISTS first_response_at timestamptz,
+  ADD COLUMN IF NOT EXISTS first_response_due_at timestamptz,
+  ADD COLUMN IF NOT EXISTS resolution_due_at timestamptz,
+  ADD COLUMN IF NOT EXISTS first_response_breached boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS resolution_breached boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS escalation_level smallint NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS escalated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_support_tickets_sla_due
+  ON public.support_tickets (resolution_due_at)
+  WHERE status IN ('OPEN','IN_PROGRESS');
+CREATE INDEX IF NOT EXISTS idx_support_tickets_assignee
+  ON public.support_tickets (assigned_to, status);
+
+CREATE OR REPLACE FUNCTION public.trg_support_ticket_sla_due()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_policy public.support_sla_policies%ROWTYPE;
+  v_start timestamptz;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.priority IS NOT DISTINCT FROM OLD.priority THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT * INTO v_policy
+  FROM public.support_sla_policies
+  WHERE priority = upper(coalesce(NEW.priority, 'MEDIUM')) AND is_active;
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  v_start := coalesce(NEW.created_at, now());
+  NEW.first_response_due_at := v_start + make_interval(mins => v_policy.first_response_minutes);
+  NEW.resolution_due_at := v_start + make_interval(mins => v_policy.resolution_minutes);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS support_tickets_sla_due ON public.support_tickets;
+CREATE TRIGGER support_tickets_sla_due
+  BEFORE INSERT OR UPDATE OF priority ON public.support_tickets
+  FOR EACH ROW EXECUTE FUNCTION public.trg_support_ticket_sla_due();
+
+CREATE OR REPLACE FUNCTION public.trg_ticket_messages_first_response()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF upper(coalesce(NEW.sender_type, '')) IN ('SUPPORT','ADMIN','STAFF','SUPERADMIN') THEN
+    UPDATE public.support_tickets
+    SET first_response_at = coalesce(NEW.created_at, now())
+    WHERE id = NEW.ticket_id AND first_response_at IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ticket_messages_first_response ON public.ticket_messages;
+CREATE TRIGGER ticket_messages_first_response
+  AFTER INSERT ON public.ticket_messages
+  FOR EACH ROW EXECUTE FUNCTION public.trg_ticket_messages_first_response();
+
+-- Backfill open tickets created before this migration
+UPDATE public.support_tickets t
+SET first_response_due_at = t.created_at + make_interval(mins => p.first_response_minutes),
+    resolution_due_at = t.created_at + make_interval(mins => p.resolution_minutes)
+FROM public.support_sla_policies p
+WHERE p.priority = upper(coalesce(t.priority, 'MEDIUM'))
+  AND t.resolution_due_at IS NULL
+  AND t.created_at IS NOT NULL;
+
+UPDATE public.support_tickets t
+SET first_response_at = m.first_at
+FROM (
+  SELECT ticket_id, MIN(created_at) AS first_at
+  FROM public.ticket_messages
+  WHERE upper(coalesce(sender_type, '')) IN ('SUPPORT','ADMIN','STAFF','SUPERADMIN')
+  GROUP BY ticket_id
+) m
+WHERE m.ticket_id = t.id AND t.first_response_at IS NULL;
+
+-- 3) Auto-assignment
+CREATE OR REPLACE FUNCTION public.assign_support_ticket(
+  p_ticket_id uuid,
+  p_strategy text DEFAULT 'ROUND_ROBIN'
+)
+RETURNS public.support_tickets
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_employee uuid;
+  v_row public.support_tickets%ROWTYPE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('support_ticket_assignment'));
+
+  SELECT * INTO v_row FROM public.support_tickets WHERE id = p_ticket_id FOR UPDATE;
+  IF NOT FOUND OR v_row.assigned_to IS NOT NULL THEN
+    RETURN v_row;
+  END IF;
+
+  SELECT e.id INTO v_employee
+  FROM public.employees e
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) FILTER (WHERE t.status IN ('OPEN','IN_PROGRESS')) AS open_count,
+      MAX(t.assigned_at) AS last_assigned_at
+    FROM public.support_tickets t
+    WHERE t.assigned_to = e.id
+  ) s ON true
+  WHERE upper(e.role) = 'SUPPORT'
+    AND (e.status IS NULL OR upper(e.status) = 'ACTIVE')
+  ORDER BY
+    CASE WHEN upper(p_strategy) = 'LOAD' THEN s.open_count ELSE 0 END,
+    s.last_assigned_at ASC NULLS FIRST,
+    e.created_at,
+    e.id
+  LIMIT 1;
+
+  IF v_employee IS NULL THEN
+    RETURN v_row;
+  END IF;
+
+  UPDATE public.support_tickets
+  SET assigned_to = v_employee,
+      assigned_at = now(),
+      updated_at = now()
+  WHERE id = p_ticket_id
+  RETURNING * INTO v_row;
+
+  RETURN v_row;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.assign_support_ticket(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.assign_support_ticket(uuid, text) TO service_role;
@@ -0,0 +1,89 @@
+-- Email-to-ticket ingestion and threaded outbound ticket emails
+-- Crafted: 05-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards
+-- Goals:
+-- 1) support_tickets: reply token (carried in email subjects as [ref:TOKEN]), requester address/name, source
+--    and the Message-ID of the email that opened the ticket.
+-- 2) ticket_messages: channel, RFC 822 Message-ID / In-Reply-To for threading and dedupe of inbound mail,
+--    and delivery status of the outbound email sent for agent replies.
+-- 3) ticket_attachments: files received by email (stored in a private storage bucket).
+
+-- 1) Tickets
+ALTER TABLE public.support_tickets
+  ADD COLUMN IF NOT EXISTS reply_token text DEFAULT substr(md5(gen_random_uuid()::text), 1, 16),
+  ADD COLUMN IF NOT EXISTS requester_email text,
+  ADD COLUMN IF NOT EXISTS requester_name text,
+  ADD COLUMN IF NOT EXISTS source text NOT NULL DEFAULT 'PORTAL',
+  ADD COLUMN IF NOT EXISTS source_message_id text;
+
+UPDATE public.support_tickets
+SET reply_token = substr(md5(gen_random_uuid()::text), 1, 16)
+WHERE reply_token IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_tickets_reply_token
+  ON public.support_tickets (reply_token);
+
+-- A relay may deliver the same message twice; the Message-ID makes ingestion idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_tickets_source_message_id
+  ON public.support_tickets (source_message_id)
+  WHERE source_message_id IS NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'support_tickets_source_check') THEN
+    ALTER TABLE public.support_tickets
+      ADD CONSTRAINT support_tickets_source_check
+      CHECK (source IN ('PORTAL','EMAIL'));
+  END IF;
+END
+$$;
+
+-- 2) Messages
+ALTER TABLE public.ticket_messages
+  ADD COLUMN IF NOT EXISTS channel text NOT NULL DEFAULT 'PORTAL',
+  ADD COLUMN IF NOT EXISTS email_message_id text,
+  ADD COLUMN IF NOT EXISTS email_in_reply_to text,
+  ADD COLUMN IF NOT EXISTS email_from text,
+  ADD COLUMN IF NOT EXISTS email_status text,
+  ADD COLUMN IF NOT EXISTS email_error text,
+  ADD COLUMN IF NOT EXISTS email_sent_at timestamptz;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'ticket_messages_channel_check') THEN
+    ALTER TABLE public.ticket_messages
+      ADD CONSTRAINT ticket_messages_channel_check
+      CHECK (channel IN ('PORTAL','EMAIL'));
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'ticket_messages_email_status_check') THEN
+    ALTER TABLE public.ticket_messages
+      ADD CONSTRAINT ticket_messages_email_status_check
+      CHECK (email_status IS NULL OR email_status IN ('SENT','FAILED','SKIPPED'));
+  END IF;
+END
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ticket_messages_email_message_id
+  ON public.ticket_messages (email_message_id)
+  WHERE email_message_id IS NOT NULL;
+
+-- 3) Attachments
+CREATE TABLE IF NOT EXISTS public.ticket_attachments (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id       uuid NOT NULL REFERENCES public.support_tickets(id) ON DELETE CASCADE,
+  message_id      uuid REFERENCES public.ticket_messages(id) ON DELETE SET NULL,
+  file_name       text NOT NULL,
+  content_type    text,
+  size_bytes      integer NOT NULL DEFAULT 0,
+  storage_bucket  text NOT NULL,
+  storage_path    text NOT NULL,
+  content_id      text,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_attachments_ticket
+  ON public.ticket_attachments (ticket_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ticket_attachments_message
+  ON public.ticket_attachments (message_id);
+
+ALTER TABLE public.ticket_attachments ENABLE ROW LEVEL SECURITY;
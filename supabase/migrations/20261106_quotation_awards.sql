@@ -0,0 +1,131 @@
+-- Quotation comparison and award decisions for buyers
+-- Crafted: 06-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) proposals: decided_at on quotations, awarded_quotation_id on the RFQ they answered.
+-- 2) quotation_award_decisions: audit trail of each award (winner, declined quotes, what was compared and why).
+-- 3) award_quotation(): accept one quotation and decline the other open quotes of the same RFQ (or the
+--    buyer's hand-picked comparison set) in one transaction, so two awards cannot both win.
+
+-- 1) Decision columns
+ALTER TABLE public.proposals
+  ADD COLUMN IF NOT EXISTS decided_at timestamptz,
+  ADD COLUMN IF NOT EXISTS awarded_quotation_id uuid REFERENCES public.proposals(id) ON DELETE SET NULL;
+
+-- 2) Audit trail
+CREATE TABLE IF NOT EXISTS public.quotation_award_decisions (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  rfq_id                  uuid REFERENCES public.proposals(id) ON DELETE SET NULL,
+  awarded_quotation_id    uuid NOT NULL REFERENCES public.proposals(id) ON DELETE CASCADE,
+  declined_quotation_ids  uuid[] NOT NULL DEFAULT '{}',
+  compared_quotation_ids  uuid[] NOT NULL DEFAULT '{}',
+  buyer_id                uuid,
+  buyer_email             text,
+  decided_by              uuid,
+  reason                  text,
+  comparison              jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at              timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quotation_award_decisions_quotation
+  ON public.quotation_award_decisions (awarded_quotation_id);
+CREATE INDEX IF NOT EXISTS idx_quotation_award_decisions_rfq
+  ON public.quotation_award_decisions (rfq_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quotation_award_decisions_buyer
+  ON public.quotation_award_decisions (buyer_id, created_at DESC);
+
+ALTER TABLE public.quotation_award_decisions ENABLE ROW LEVEL SECURITY;
+
+-- 3) Atomic award
+CREATE OR REPLACE FUNCTION public.award_quotation(
+  p_quotation_id uuid,
+  p_compared_ids uuid[] DEFAULT '{}',
+  p_buyer_id uuid DEFAULT NULL,
+  p_buyer_email text DEFAULT NULL,
+  p_decided_by uuid DEFAULT NULL,
+  p_reason text DEFAULT NULL,
+  p_comparison jsonb DEFAULT '[]'::jsonb
+)
+RETURNS public.quotation_award_decisions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_winner public.proposals%ROWTYPE;
+  v_email text := lower(nullif(trim(p_buyer_email), ''));
+  v_declined uuid[];
+  v_compared uuid[];
+  v_decision public.quotation_award_decisions%ROWTYPE;
+BEGIN
+  SELECT * INTO v_winner FROM public.proposals WHERE id = p_quotation_id FOR UPDATE;
+  IF NOT FOUND
+     OR NOT ((p_buyer_id IS NOT NULL AND v_winner.buyer_id = p_buyer_id)
+             OR (v_email IS NOT NULL AND lower(v_winner.buyer_email) = v_email)) THEN
+    RAISE EXCEPTION 'QUOTATION_NOT_FOUND';
+  END IF;
+  IF v_winner.proposal_type = 'RFQ' THEN
+    RAISE EXCEPTION 'NOT_A_QUOTATION';
+  END IF;
+  IF upper(coalesce(v_winner.status, 'SENT')) = 'ACCEPTED' THEN
+    RAISE EXCEPTION 'ALREADY_AWARDED';
+  END IF;
+  IF upper(coalesce(v_winner.status, 'SENT')) IN ('REJECTED','DECLINED','CANCELLED','WITHDRAWN') THEN
+    RAISE EXCEPTION 'QUOTATION_CLOSED';
+  END IF;
+
+  -- Serialise awards on the same RFQ; one winner per requirement
+  IF v_winner.rfq_id IS NOT NULL THEN
+    PERFORM 1 FROM public.proposals WHERE id = v_winner.rfq_id FOR UPDATE;
+    IF EXISTS (
+      SELECT 1 FROM public.proposals
+      WHERE rfq_id = v_winner.rfq_id AND id <> v_winner.id AND upper(coalesce(status, '')) = 'ACCEPTED'
+    ) THEN
+      RAISE EXCEPTION 'ALREADY_AWARDED';
+    END IF;
+  END IF;
+
+  SELECT coalesce(array_agg(p.id ORDER BY p.created_at), '{}') INTO v_compared
+  FROM public.proposals p
+  WHERE p.id <> v_winner.id
+    AND p.proposal_type IS DISTINCT FROM 'RFQ'
+    AND ((v_winner.rfq_id IS NOT NULL AND p.rfq_id = v_winner.rfq_id) OR p.id = ANY(coalesce(p_compared_ids, '{}')))
+    AND ((p_buyer_id IS NOT NULL AND p.buyer_id = p_buyer_id)
+         OR (v_email IS NOT NULL AND lower(p.buyer_email) = v_email));
+
+  UPDATE public.proposals
+  SET status = 'ACCEPTED', decided_at = now(), updated_at = now()
+  WHERE id = v_winner.id;
+
+  WITH declined AS (
+    UPDATE public.proposals
+    SET status = 'REJECTED', decided_at = now(), updated_at = now()
+    WHERE id = ANY(v_compared)
+      AND upper(coalesce(status, 'SENT')) NOT IN ('ACCEPTED','REJECTED','DECLINED','CANCELLED','WITHDRAWN')
+    RETURNING id
+  )
+  SELECT coalesce(array_agg(id), '{}') INTO v_declined FROM declined;
+
+  IF v_winner.rfq_id IS NOT NULL THEN
+    UPDATE public.proposals
+    SET status = 'CLOSED', awarded_quotation_id = v_winner.id, decided_at = now(), updated_at = now()
+    WHERE id = v_winner.rfq_id;
+  END IF;
+
+  INSERT INTO public.quotation_award_decisions (
+    rfq_id, awarded_quotation_id, declined_quotation_ids, compared_quotation_ids,
+    buyer_id, buyer_email, decided_by, reason, comparison
+  )
+  VALUES (
+    v_winner.rfq_id, v_winner.id, v_declined, array_prepend(v_winner.id, v_compared),
+    coalesce(p_buyer_id, v_winner.buyer_id), coalesce(v_email, lower(v_winner.buyer_email)),
+    p_decided_by, nullif(trim(p_reason), ''), coalesce(p_comparison, '[]'::jsonb)
+  )
+  RETURNING * INTO v_decision;
+
+  RETURN v_decision;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.award_quotation(uuid, uuid[], uuid, text, uuid, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.award_quotation(uuid, uuid[], uuid, text, uuid, text, jsonb) TO service_role;
@@ -0,0 +1,223 @@
+-- Purchase orders raised from accepted quotations, with vendor acknowledgement and delivery tracking
+-- Crafted: 07-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) purchase_orders: immutable snapshot of the accepted quotation (parties, addresses, line items, totals)
+--    plus the current order status. PO numbers reuse tax_document_series (series 'PO', per financial year).
+-- 2) purchase_order_events: the order timeline (issued, confirmed, dispatched with docket, delivered, disputed).
+-- 3) issue_purchase_order(p_po): one PO per accepted quotation, numbered and inserted in one transaction.
+-- 4) advance_purchase_order(): status transitions with row locking, so buyer and vendor cannot race.
+
+-- 1) Orders
+CREATE TABLE IF NOT EXISTS public.purchase_orders (
+  id                      uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  po_number               text NOT NULL UNIQUE,
+  financial_year          text NOT NULL,
+  sequence_no             integer NOT NULL,
+  quotation_id            uuid NOT NULL REFERENCES public.proposals(id) ON DELETE RESTRICT,
+  rfq_id                  uuid REFERENCES public.proposals(id) ON DELETE SET NULL,
+  buyer_id                uuid,
+  buyer_email             text,
+  vendor_id               uuid,
+  status                  text NOT NULL DEFAULT 'ISSUED'
+                            CHECK (status IN ('ISSUED','CONFIRMED','DISPATCHED','DELIVERED','DISPUTED','CANCELLED')),
+  buyer                   jsonb NOT NULL DEFAULT '{}'::jsonb,
+  vendor                  jsonb NOT NULL DEFAULT '{}'::jsonb,
+  billing_address         jsonb NOT NULL DEFAULT '{}'::jsonb,
+  shipping_address        jsonb NOT NULL DEFAULT '{}'::jsonb,
+  items                   jsonb NOT NULL DEFAULT '[]'::jsonb,
+  currency                text NOT NULL DEFAULT 'INR',
+  subtotal                numeric(14,2) NOT NULL DEFAULT 0,
+  discount_total          numeric(14,2) NOT NULL DEFAULT 0,
+  tax_total               numeric(14,2) NOT NULL DEFAULT 0,
+  grand_total             numeric(14,2) NOT NULL DEFAULT 0,
+  payment_terms           text,
+  delivery_terms          text,
+  delivery_days           integer,
+  expected_delivery_date  date,
+  notes                   text,
+  docket_number           text,
+  carrier                 text,
+  confirmed_at            timestamptz,
+  dispatched_at           timestamptz,
+  delivered_at            timestamptz,
+  disputed_at             timestamptz,
+  dispute_reason          text,
+  cancelled_at            timestamptz,
+  pdf_url                 text,
+  created_by              uuid,
+  created_at              timestamptz NOT NULL DEFAULT now(),
+  updated_at              timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT uq_purchase_orders_sequence UNIQUE (financial_year, sequence_no)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_purchase_orders_quotation
+  ON public.purchase_orders (quotation_id)
+  WHERE status <> 'CANCELLED';
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_buyer ON public.purchase_orders (buyer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_buyer_email ON public.purchase_orders (lower(buyer_email), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_vendor ON public.purchase_orders (vendor_id, created_at DESC);
+
+ALTER TABLE public.purchase_orders ENABLE ROW LEVEL SECURITY;
+
+-- 2) Timeline
+CREATE TABLE IF NOT EXISTS public.purchase_order_events (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id   uuid NOT NULL REFERENCES public.purchase_orders(id) ON DELETE CASCADE,
+  status              text NOT NULL,
+  note                text,
+  docket_number       text,
+  carrier             text,
+  actor_role          text NOT NULL DEFAULT 'SYSTEM' CHECK (actor_role IN ('BUYER','VENDOR','SYSTEM')),
+  actor_id            uuid,
+  created_at          timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_events_order
+  ON public.purchase_order_events (purchase_order_id, created_at);
+
+ALTER TABLE public.purchase_order_events ENABLE ROW LEVEL SECURITY;
+
+-- 3) Number allocation + insert
+CREATE OR REPLACE FUNCTION public.issue_purchase_order(p_po jsonb)
+RETURNS public.purchase_orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_quotation_id  uuid := nullif(p_po->>'quotation_id', '')::uuid;
+  v_quotation     public.proposals%ROWTYPE;
+  v_local         timestamp := now() AT TIME ZONE 'Asia/Kolkata';
+  v_fy_start      integer;
+  v_fy            text;
+  v_seq           integer;
+  v_row           public.purchase_orders%ROWTYPE;
+BEGIN
+  SELECT * INTO v_quotation FROM public.proposals WHERE id = v_quotation_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'QUOTATION_NOT_FOUND';
+  END IF;
+  IF upper(coalesce(v_quotation.status, '')) <> 'ACCEPTED' THEN
+    RAISE EXCEPTION 'QUOTATION_NOT_ACCEPTED';
+  END IF;
+
+  -- One live PO per quotation (a cancelled PO can be reissued)
+  SELECT * INTO v_row FROM public.purchase_orders
+  WHERE quotation_id = v_quotation_id AND status <> 'CANCELLED';
+  IF FOUND THEN
+    RAISE EXCEPTION 'PURCHASE_ORDER_EXISTS';
+  END IF;
+
+  v_fy_start := extract(year FROM v_local)::integer - CASE WHEN extract(month FROM v_local) < 4 THEN 1 ELSE 0 END;
+  v_fy := v_fy_start::text || '-' || lpad(((v_fy_start + 1) % 100)::text, 2, '0');
+
+  INSERT INTO public.tax_document_series (series, financial_year, last_number, updated_at)
+  VALUES ('PO', v_fy, 1, now())
+  ON CONFLICT (series, financial_year)
+  DO UPDATE SET last_number = public.tax_document_series.last_number + 1, updated_at = now()
+  RETURNING last_number INTO v_seq;
+
+  INSERT INTO public.purchase_orders (
+    po_number, financial_year, sequence_no, quotation_id, rfq_id, buyer_id, buyer_email, vendor_id,
+    buyer, vendor, billing_address, shipping_address, items, currency,
+    subtotal, discount_total, tax_total, grand_total,
+    payment_terms, delivery_terms, delivery_days, expected_delivery_date, notes, created_by
+  ) VALUES (
+    'PO/' || lpad((v_fy_start % 100)::text, 2, '0') || '-' || lpad(((v_fy_start + 1) % 100)::text, 2, '0')
+      || '/' || lpad(v_seq::text, 6, '0'),
+    v_fy, v_seq, v_quotation.id, v_quotation.rfq_id, v_quotation.buyer_id, lower(v_quotation.buyer_email),
+    v_quotation.vendor_id,
+    coalesce(p_po->'buyer', '{}'::jsonb), coalesce(p_po->'vendor', '{}'::jsonb),
+    coalesce(p_po->'billing_address', '{}'::jsonb), coalesce(p_po->'shipping_address', '{}'::jsonb),
+    coalesce(p_po->'items', '[]'::jsonb), coalesce(nullif(p_po->>'currency', ''), 'INR'),
+    coalesce((p_po->>'subtotal')::numeric, 0), coalesce((p_po->>'discount_total')::numeric, 0),
+    coalesce((p_po->>'tax_total')::numeric, 0), coalesce((p_po->>'grand_total')::numeric, 0),
+    nullif(p_po->>'payment_terms', ''), nullif(p_po->>'delivery_terms', ''),
+    nullif(p_po->>'delivery_days', '')::integer, nullif(p_po->>'expected_delivery_date', '')::date,
+    nullif(p_po->>'notes', ''), nullif(p_po->>'created_by', '')::uuid
+  )
+  RETURNING * INTO v_row;
+
+  INSERT INTO public.purchase_order_events (purchase_order_id, status, note, actor_role, actor_id)
+  VALUES (v_row.id, 'ISSUED', 'Purchase order issued', 'BUYER', v_row.created_by);
+
+  RETURN v_row;
+END;
+$$;
+
+-- 4) Status transitions
+-- ISSUED -> CONFIRMED (vendor) | CANCELLED (buyer)
+-- CONFIRMED -> DISPATCHED (vendor, docket required)
+-- DISPATCHED -> DELIVERED | DISPUTED (buyer); DELIVERED -> DISPUTED; DISPUTED -> DELIVERED (resolved)
+CREATE OR REPLACE FUNCTION public.advance_purchase_order(
+  p_order_id uuid,
+  p_status text,
+  p_actor_role text DEFAULT 'SYSTEM',
+  p_actor_id uuid DEFAULT NULL,
+  p_note text DEFAULT NULL,
+  p_docket_number text DEFAULT NULL,
+  p_carrier text DEFAULT NULL
+)
+RETURNS public.purchase_orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_status  text := upper(coalesce(p_status, ''));
+  v_row     public.purchase_orders%ROWTYPE;
+  v_docket  text := nullif(trim(p_docket_number), '');
+  v_note    text := nullif(trim(p_note), '');
+BEGIN
+  SELECT * INTO v_row FROM public.purchase_orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PURCHASE_ORDER_NOT_FOUND';
+  END IF;
+
+  IF NOT (
+    (v_row.status = 'ISSUED' AND v_status IN ('CONFIRMED','CANCELLED'))
+    OR (v_row.status = 'CONFIRMED' AND v_status = 'DISPATCHED')
+    OR (v_row.status = 'DISPATCHED' AND v_status IN ('DELIVERED','DISPUTED'))
+    OR (v_row.status = 'DELIVERED' AND v_status = 'DISPUTED')
+    OR (v_row.status = 'DISPUTED' AND v_status = 'DELIVERED')
+  ) THEN
+    RAISE EXCEPTION 'INVALID_TRANSITION';
+  END IF;
+  IF v_status = 'DISPATCHED' AND v_docket IS NULL THEN
+    RAISE EXCEPTION 'DOCKET_REQUIRED';
+  END IF;
+  IF v_status = 'DISPUTED' AND v_note IS NULL THEN
+    RAISE EXCEPTION 'REASON_REQUIRED';
+  END IF;
+
+  UPDATE public.purchase_orders
+  SET status = v_status,
+      confirmed_at = CASE WHEN v_status = 'CONFIRMED' THEN now() ELSE confirmed_at END,
+      dispatched_at = CASE WHEN v_status = 'DISPATCHED' THEN now() ELSE dispatched_at END,
+      docket_number = CASE WHEN v_status = 'DISPATCHED' THEN v_docket ELSE docket_number END,
+      carrier = CASE WHEN v_status = 'DISPATCHED' THEN nullif(trim(p_carrier), '') ELSE carrier END,
+      delivered_at = CASE WHEN v_status = 'DELIVERED' THEN now() ELSE delivered_at END,
+      disputed_at = CASE WHEN v_status = 'DISPUTED' THEN now() ELSE disputed_at END,
+      dispute_reason = CASE WHEN v_status = 'DISPUTED' THEN v_note ELSE dispute_reason END,
+      cancelled_at = CASE WHEN v_status = 'CANCELLED' THEN now() ELSE cancelled_at END,
+      updated_at = now()
+  WHERE id = v_row.id
+  RETURNING * INTO v_row;
+
+  INSERT INTO public.purchase_order_events (purchase_order_id, status, note, docket_number, carrier, actor_role, actor_id)
+  VALUES (
+    v_row.id, v_status, v_note,
+    CASE WHEN v_status = 'DISPATCHED' THEN v_docket END,
+    CASE WHEN v_status = 'DISPATCHED' THEN nullif(trim(p_carrier), '') END,
+    coalesce(upper(p_actor_role), 'SYSTEM'), p_actor_id
+  );
+
+  RETURN v_row;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.issue_purchase_order(jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.issue_purchase_order(jsonb) TO service_role;
+REVOKE ALL ON FUNCTION public.advance_purchase_order(uuid, text, text, uuid, text, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.advance_purchase_order(uuid, text, text, uuid, text, text, text) TO service_role;
@@ -0,0 +1,148 @@
+-- Structured proposal message metadata and per-participant receipts
+-- Crafted: 08-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) proposal_messages: sender_role, edited_at/updated_at and a metadata jsonb instead of ::itm_*:: marker
+--    lines appended to the message body.
+-- 2) proposal_message_receipts: delivered/read time per message per participant side (BUYER / VENDOR).
+-- 3) Backfill receipts and edit flags from the old markers, then strip the markers from message text.
+-- 4) mark_proposal_messages() + proposal_message_unread_counts(): receipts and unread counts in one query.
+-- 5) Indexes for cursor pagination (proposal_id, created_at, id) and message text search (trigram).
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- 1) Message metadata
+ALTER TABLE public.proposal_messages
+  ADD COLUMN IF NOT EXISTS sender_role text CHECK (sender_role IN ('BUYER','VENDOR')),
+  ADD COLUMN IF NOT EXISTS edited_at timestamptz,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS metadata jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_proposal_messages_page
+  ON public.proposal_messages (proposal_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_proposal_messages_text_trgm
+  ON public.proposal_messages USING gin (message gin_trgm_ops);
+
+-- 2) Receipts
+CREATE TABLE IF NOT EXISTS public.proposal_message_receipts (
+  message_id        uuid NOT NULL REFERENCES public.proposal_messages(id) ON DELETE CASCADE,
+  participant_role  text NOT NULL CHECK (participant_role IN ('BUYER','VENDOR')),
+  proposal_id       uuid NOT NULL,
+  user_id           uuid,
+  delivered_at      timestamptz,
+  read_at           timestamptz,
+  PRIMARY KEY (message_id, participant_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_message_receipts_proposal
+  ON public.proposal_message_receipts (proposal_id, participant_role);
+
+ALTER TABLE public.proposal_message_receipts ENABLE ROW LEVEL SECURITY;
+
+-- 3) Backfill from ::itm_*:: markers (timestamps were always written as ISO strings by the API)
+UPDATE public.proposal_messages pm
+SET sender_role = 'VENDOR'
+FROM public.proposals p
+JOIN public.vendors v ON v.id = p.vendor_id
+WHERE pm.proposal_id = p.id AND pm.sender_role IS NULL AND v.user_id = pm.sender_id;
+
+UPDATE public.proposal_messages
+SET sender_role = 'BUYER'
+WHERE sender_role IS NULL AND sender_id IS NOT NULL;
+
+INSERT INTO public.proposal_message_receipts (message_id, participant_role, proposal_id, delivered_at, read_at)
+SELECT m.id, r.role, m.proposal_id,
+  substring(m.message FROM '::itm_delivered_' || lower(r.role) || '::(\d{4}-\d{2}-\d{2}T[0-9:.]+Z)')::timestamptz,
+  substring(m.message FROM '::itm_read_' || lower(r.role) || '::(\d{4}-\d{2}-\d{2}T[0-9:.]+Z)')::timestamptz
+FROM public.proposal_messages m
+CROSS JOIN (VALUES ('BUYER'), ('VENDOR')) AS r(role)
+WHERE m.proposal_id IS NOT NULL
+  AND m.message ~ ('::itm_(delivered|read)_' || lower(r.role) || '::\d{4}-')
+ON CONFLICT (message_id, participant_role) DO NOTHING;
+
+UPDATE public.proposal_messages
+SET edited_at = coalesce(edited_at, created_at)
+WHERE message ~ '(^|\n)\s*::itm_edited::\s*(\n|$)';
+
+UPDATE public.proposal_messages
+SET message = rtrim(
+  regexp_replace(message, '\n?[ \t]*::itm_(edited|delivered_buyer|delivered_vendor|read_buyer|read_vendor)::[^\n]*', '', 'gi'),
+  E' \n\t'
+)
+WHERE message ~* '::itm_(edited|delivered_buyer|delivered_vendor|read_buyer|read_vendor)::';
+
+-- 4a) Receipts for every message the other side sent in the given conversations
+CREATE OR REPLACE FUNCTION public.mark_proposal_messages(
+  p_proposal_ids uuid[],
+  p_role text,
+  p_user_id uuid DEFAULT NULL,
+  p_read boolean DEFAULT false
+)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_role text := upper(coalesce(p_role, ''));
+  v_count integer;
+BEGIN
+  IF v_role NOT IN ('BUYER','VENDOR') THEN
+    RAISE EXCEPTION 'INVALID_ROLE';
+  END IF;
+
+  WITH pending AS (
+    SELECT m.id, m.proposal_id
+    FROM public.proposal_messages m
+    LEFT JOIN public.proposal_message_receipts r
+      ON r.message_id = m.id AND r.participant_role = v_role
+    WHERE m.proposal_id = ANY(coalesce(p_proposal_ids, '{}'))
+      AND m.sender_role IS DISTINCT FROM v_role
+      AND (p_user_id IS NULL OR m.sender_id IS DISTINCT FROM p_user_id)
+      AND (r.message_id IS NULL OR r.delivered_at IS NULL OR (p_read AND r.read_at IS NULL))
+  ), upserted AS (
+    INSERT INTO public.proposal_message_receipts (message_id, participant_role, proposal_id, user_id, delivered_at, read_at)
+    SELECT id, v_role, proposal_id, p_user_id, now(), CASE WHEN p_read THEN now() END
+    FROM pending
+    ON CONFLICT (message_id, participant_role) DO UPDATE
+    SET delivered_at = coalesce(proposal_message_receipts.delivered_at, EXCLUDED.delivered_at),
+        read_at = coalesce(proposal_message_receipts.read_at, EXCLUDED.read_at),
+        user_id = coalesce(EXCLUDED.user_id, proposal_message_receipts.user_id)
+    RETURNING 1
+  )
+  SELECT count(*) INTO v_count FROM upserted;
+
+  RETURN v_count;
+END;
+$$;
+
+-- 4b) Unread messages per conversation for one side
+CREATE OR REPLACE FUNCTION public.proposal_message_unread_counts(
+  p_proposal_ids uuid[],
+  p_role text,
+  p_user_id uuid DEFAULT NULL
+)
+RETURNS TABLE (proposal_id uuid, unread_count integer, last_message_at timestamptz)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT m.proposal_id,
+         count(*) FILTER (
+           WHERE m.sender_role IS DISTINCT FROM upper(p_role)
+             AND (p_user_id IS NULL OR m.sender_id IS DISTINCT FROM p_user_id)
+             AND r.read_at IS NULL
+         )::integer,
+         max(m.created_at)
+  FROM public.proposal_messages m
+  LEFT JOIN public.proposal_message_receipts r
+    ON r.message_id = m.id AND r.participant_role = upper(p_role)
+  WHERE m.proposal_id = ANY(coalesce(p_proposal_ids, '{}'))
+  GROUP BY m.proposal_id;
+$$;
+
+REVOKE ALL ON FUNCTION public.mark_proposal_messages(uuid[], text, uuid, boolean) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.mark_proposal_messages(uuid[], text, uuid, boolean) TO service_role;
+REVOKE ALL ON FUNCTION public.proposal_message_unread_counts(uuid[], text, uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.proposal_message_unread_counts(uuid[], text, uuid) TO service_role;
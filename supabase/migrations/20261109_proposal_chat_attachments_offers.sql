@@ -0,0 +1,201 @@
+-- File attachments and structured offer cards in proposal chat
+-- Crafted: 09-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) proposal_messages.message_type: TEXT, ATTACHMENT or OFFER.
+-- 2) proposal_message_attachments: files kept in a private storage bucket, served through signed URLs.
+-- 3) proposal_offers: revised price/quantity/delivery terms posted in chat; at most one OPEN offer per proposal.
+-- 4) create_proposal_offer(): message + offer in one transaction, older open offers superseded.
+-- 5) respond_proposal_offer(): accept (rewrites the proposal's line items and terms) or decline.
+
+-- 1) Message type
+ALTER TABLE public.proposal_messages
+  ADD COLUMN IF NOT EXISTS message_type text NOT NULL DEFAULT 'TEXT'
+    CHECK (message_type IN ('TEXT','ATTACHMENT','OFFER'));
+
+-- 2) Attachments
+CREATE TABLE IF NOT EXISTS public.proposal_message_attachments (
+  id              uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id     uuid NOT NULL REFERENCES public.proposals(id) ON DELETE CASCADE,
+  message_id      uuid NOT NULL REFERENCES public.proposal_messages(id) ON DELETE CASCADE,
+  file_name       text NOT NULL,
+  content_type    text NOT NULL,
+  size_bytes      integer NOT NULL CHECK (size_bytes > 0),
+  storage_bucket  text NOT NULL,
+  storage_path    text NOT NULL,
+  uploaded_by     uuid,
+  created_at      timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_message_attachments_message
+  ON public.proposal_message_attachments (message_id);
+CREATE INDEX IF NOT EXISTS idx_proposal_message_attachments_proposal
+  ON public.proposal_message_attachments (proposal_id, created_at);
+
+ALTER TABLE public.proposal_message_attachments ENABLE ROW LEVEL SECURITY;
+
+-- 3) Offers
+CREATE TABLE IF NOT EXISTS public.proposal_offers (
+  id               uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id      uuid NOT NULL REFERENCES public.proposals(id) ON DELETE CASCADE,
+  message_id       uuid NOT NULL REFERENCES public.proposal_messages(id) ON DELETE CASCADE,
+  created_by_role  text NOT NULL CHECK (created_by_role IN ('BUYER','VENDOR')),
+  created_by       uuid,
+  items            jsonb NOT NULL DEFAULT '[]'::jsonb,
+  totals           jsonb NOT NULL DEFAULT '{}'::jsonb,
+  quantity         text,
+  unit             text,
+  grand_total      numeric(14,2),
+  delivery_days    integer CHECK (delivery_days IS NULL OR delivery_days > 0),
+  payment_terms    text,
+  note             text,
+  valid_until      timestamptz,
+  status           text NOT NULL DEFAULT 'OPEN'
+                     CHECK (status IN ('OPEN','ACCEPTED','DECLINED','SUPERSEDED')),
+  responded_by     uuid,
+  responded_at     timestamptz,
+  response_note    text,
+  created_at       timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_offers_message
+  ON public.proposal_offers (message_id);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_proposal_offers_open
+  ON public.proposal_offers (proposal_id) WHERE status = 'OPEN';
+
+ALTER TABLE public.proposal_offers ENABLE ROW LEVEL SECURITY;
+
+-- 4) Post an offer: chat message + offer row, superseding the previous open offer
+CREATE OR REPLACE FUNCTION public.create_proposal_offer(
+  p_proposal_id uuid,
+  p_sender_id uuid,
+  p_role text,
+  p_message text,
+  p_offer jsonb
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_role text := upper(coalesce(p_role, ''));
+  v_status text;
+  v_message_id uuid;
+BEGIN
+  IF v_role NOT IN ('BUYER','VENDOR') THEN
+    RAISE EXCEPTION 'INVALID_ROLE';
+  END IF;
+
+  SELECT upper(coalesce(status, '')) INTO v_status
+  FROM public.proposals WHERE id = p_proposal_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PROPOSAL_NOT_FOUND';
+  END IF;
+  IF v_status IN ('ACCEPTED','REJECTED','DECLINED','CANCELLED','WITHDRAWN') THEN
+    RAISE EXCEPTION 'PROPOSAL_CLOSED';
+  END IF;
+
+  UPDATE public.proposal_offers
+  SET status = 'SUPERSEDED', responded_at = now()
+  WHERE proposal_id = p_proposal_id AND status = 'OPEN';
+
+  INSERT INTO public.proposal_messages (proposal_id, sender_id, sender_role, message, message_type, created_at)
+  VALUES (p_proposal_id, p_sender_id, v_role, coalesce(p_message, ''), 'OFFER', now())
+  RETURNING id INTO v_message_id;
+
+  INSERT INTO public.proposal_offers (
+    proposal_id, message_id, created_by_role, created_by, items, totals,
+    quantity, unit, grand_total, delivery_days, payment_terms, note, valid_until
+  )
+  VALUES (
+    p_proposal_id, v_message_id, v_role, p_sender_id,
+    coalesce(p_offer->'items', '[]'::jsonb),
+    coalesce(p_offer->'totals', '{}'::jsonb),
+    NULLIF(p_offer->>'quantity', ''),
+    NULLIF(p_offer->>'unit', ''),
+    NULLIF(p_offer->'totals'->>'grand_total', '')::numeric,
+    NULLIF(p_offer->>'delivery_days', '')::integer,
+    NULLIF(p_offer->>'payment_terms', ''),
+    NULLIF(p_offer->>'note', ''),
+    NULLIF(p_offer->>'valid_until', '')::timestamptz
+  );
+
+  RETURN v_message_id;
+END;
+$$;
+
+-- 5) Accept / decline. Only the other side may respond; accepting rewrites the proposal's items and terms.
+CREATE OR REPLACE FUNCTION public.respond_proposal_offer(
+  p_offer_id uuid,
+  p_role text,
+  p_user_id uuid,
+  p_accept boolean,
+  p_note text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_role text := upper(coalesce(p_role, ''));
+  v_offer public.proposal_offers%ROWTYPE;
+  v_status text;
+BEGIN
+  IF v_role NOT IN ('BUYER','VENDOR') THEN
+    RAISE EXCEPTION 'INVALID_ROLE';
+  END IF;
+
+  SELECT * INTO v_offer FROM public.proposal_offers WHERE id = p_offer_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'OFFER_NOT_FOUND';
+  END IF;
+  IF v_offer.created_by_role = v_role THEN
+    RAISE EXCEPTION 'OWN_OFFER';
+  END IF;
+  IF v_offer.status <> 'OPEN' THEN
+    RAISE EXCEPTION 'OFFER_CLOSED';
+  END IF;
+
+  IF p_accept THEN
+    IF v_offer.valid_until IS NOT NULL AND v_offer.valid_until < now() THEN
+      RAISE EXCEPTION 'OFFER_EXPIRED';
+    END IF;
+
+    SELECT upper(coalesce(status, '')) INTO v_status
+    FROM public.proposals WHERE id = v_offer.proposal_id FOR UPDATE;
+    IF v_status IN ('ACCEPTED','REJECTED','DECLINED','CANCELLED','WITHDRAWN') THEN
+      RAISE EXCEPTION 'PROPOSAL_CLOSED';
+    END IF;
+
+    IF jsonb_array_length(v_offer.items) > 0 THEN
+      PERFORM public.replace_proposal_line_items(v_offer.proposal_id, v_offer.items, v_offer.totals);
+    END IF;
+
+    UPDATE public.proposals
+    SET quantity = coalesce(v_offer.quantity, quantity),
+        unit = CASE WHEN v_offer.quantity IS NOT NULL THEN v_offer.unit ELSE unit END,
+        budget = coalesce(v_offer.grand_total, budget),
+        delivery_days = coalesce(v_offer.delivery_days, delivery_days),
+        payment_terms = coalesce(v_offer.payment_terms, payment_terms),
+        updated_at = now()
+    WHERE id = v_offer.proposal_id;
+  END IF;
+
+  UPDATE public.proposal_offers
+  SET status = CASE WHEN p_accept THEN 'ACCEPTED' ELSE 'DECLINED' END,
+      responded_by = p_user_id,
+      responded_at = now(),
+      response_note = NULLIF(btrim(coalesce(p_note, '')), '')
+  WHERE id = p_offer_id
+  RETURNING * INTO v_offer;
+
+  RETURN to_jsonb(v_offer);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_proposal_offer(uuid, uuid, text, text, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.create_proposal_offer(uuid, uuid, text, text, jsonb) TO service_role;
+REVOKE ALL ON FUNCTION public.respond_proposal_offer(uuid, text, uuid, boolean, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.respond_proposal_offer(uuid, text, uuid, boolean, text) TO service_role;
@@ -0,0 +1,219 @@
+-- Broadcast one buyer requirement (RFQ) to several matching suppliers
+-- Crafted: 10-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) rfq_broadcasts: the parent requirement (micro category + city it was matched on).
+-- 2) proposals.broadcast_id: each supplier gets its own RFQ proposal linked to the parent.
+-- 3) rfq_broadcast_recipients: per-supplier tracking (viewed_at, responded_at, quotation_id).
+-- 4) create_rfq_broadcast(): parent + one proposal, line items, lead and recipient row per supplier in one transaction.
+-- 5) Trigger: a quotation answering a broadcast proposal (rfq_id) marks that supplier as responded.
+
+-- 1) Parent requirement
+CREATE TABLE IF NOT EXISTS public.rfq_broadcasts (
+  id                 uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  buyer_id           uuid REFERENCES public.buyers(id) ON DELETE CASCADE,
+  buyer_user_id      uuid,
+  title              text NOT NULL,
+  product_name       text,
+  description        text,
+  quantity           text,
+  unit               text,
+  budget             numeric(14,2),
+  micro_category_id  uuid REFERENCES public.micro_categories(id) ON DELETE SET NULL,
+  city_id            uuid REFERENCES public.cities(id) ON DELETE SET NULL,
+  location           text,
+  vendor_count       integer NOT NULL DEFAULT 0,
+  status             text NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN','CLOSED')),
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_broadcasts_buyer
+  ON public.rfq_broadcasts (buyer_id, created_at DESC);
+
+ALTER TABLE public.rfq_broadcasts ENABLE ROW LEVEL SECURITY;
+
+-- 2) Child proposals
+ALTER TABLE public.proposals
+  ADD COLUMN IF NOT EXISTS broadcast_id uuid REFERENCES public.rfq_broadcasts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_proposals_broadcast_id
+  ON public.proposals (broadcast_id) WHERE broadcast_id IS NOT NULL;
+
+-- 3) Per-supplier tracking
+CREATE TABLE IF NOT EXISTS public.rfq_broadcast_recipients (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  broadcast_id  uuid NOT NULL REFERENCES public.rfq_broadcasts(id) ON DELETE CASCADE,
+  vendor_id     uuid NOT NULL REFERENCES public.vendors(id) ON DELETE CASCADE,
+  proposal_id   uuid REFERENCES public.proposals(id) ON DELETE SET NULL,
+  lead_id       uuid REFERENCES public.leads(id) ON DELETE SET NULL,
+  viewed_at     timestamptz,
+  responded_at  timestamptz,
+  quotation_id  uuid REFERENCES public.proposals(id) ON DELETE SET NULL,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT rfq_broadcast_recipients_unique UNIQUE (broadcast_id, vendor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rfq_broadcast_recipients_proposal
+  ON public.rfq_broadcast_recipients (proposal_id);
+CREATE INDEX IF NOT EXISTS idx_rfq_broadcast_recipients_vendor
+  ON public.rfq_broadcast_recipients (vendor_id, created_at DESC);
+
+ALTER TABLE public.rfq_broadcast_recipients ENABLE ROW LEVEL SECURITY;
+
+-- 4) Send the requirement to every picked supplier at once
+CREATE OR REPLACE FUNCTION public.create_rfq_broadcast(
+  p_requirement jsonb,
+  p_vendor_ids uuid[],
+  p_items jsonb DEFAULT '[]'::jsonb,
+  p_totals jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_vendor_ids uuid[];
+  v_vendor_id uuid;
+  v_broadcast_id uuid;
+  v_proposal_id uuid;
+  v_lead_id uuid;
+  v_state_id uuid;
+  v_city_id uuid := NULLIF(p_requirement->>'city_id', '')::uuid;
+  v_recipients jsonb := '[]'::jsonb;
+BEGIN
+  SELECT coalesce(array_agg(DISTINCT id), '{}') INTO v_vendor_ids
+  FROM unnest(coalesce(p_vendor_ids, '{}')) AS id
+  WHERE id IS NOT NULL;
+  IF cardinality(v_vendor_ids) = 0 THEN
+    RAISE EXCEPTION 'NO_VENDORS';
+  END IF;
+  IF (SELECT count(*) FROM public.vendors WHERE id = ANY (v_vendor_ids)) <> cardinality(v_vendor_ids) THEN
+    RAISE EXCEPTION 'VENDOR_NOT_FOUND';
+  END IF;
+
+  IF v_city_id IS NOT NULL THEN
+    SELECT state_id INTO v_state_id FROM public.cities WHERE id = v_city_id;
+  END IF;
+
+  INSERT INTO public.rfq_broadcasts (
+    buyer_id, buyer_user_id, title, product_name, description, quantity, unit, budget,
+    micro_category_id, city_id, location, vendor_count
+  )
+  VALUES (
+    NULLIF(p_requirement->>'buyer_id', '')::uuid,
+    NULLIF(p_requirement->>'buyer_user_id', '')::uuid,
+    coalesce(NULLIF(p_requirement->>'title', ''), 'Requirement'),
+    NULLIF(p_requirement->>'product_name', ''),
+    NULLIF(p_requirement->>'description', ''),
+    NULLIF(p_requirement->>'quantity', ''),
+    NULLIF(p_requirement->>'unit', ''),
+    NULLIF(p_requirement->>'budget', '')::numeric,
+    NULLIF(p_requirement->>'micro_category_id', '')::uuid,
+    v_city_id,
+    NULLIF(p_requirement->>'location', ''),
+    cardinality(v_vendor_ids)
+  )
+  RETURNING id INTO v_broadcast_id;
+
+  FOREACH v_vendor_id IN ARRAY v_vendor_ids LOOP
+    INSERT INTO public.proposals (
+      vendor_id, buyer_id, buyer_email, title, product_name, quantity, unit, budget, description,
+      delivery_days, delivery_terms, payment_terms, proposal_type, broadcast_id, status
+    )
+    VALUES (
+      v_vendor_id,
+      NULLIF(p_requirement->>'buyer_id', '')::uuid,
+      NULL,
+      coalesce(NULLIF(p_requirement->>'title', ''), 'Requirement'),
+      NULLIF(p_requirement->>'product_name', ''),
+      NULLIF(p_requirement->>'quantity', ''),
+      NULLIF(p_requirement->>'unit', ''),
+      NULLIF(p_requirement->>'budget', '')::numeric,
+      NULLIF(p_requirement->>'description', ''),
+      NULLIF(p_requirement->>'delivery_days', '')::integer,
+      NULLIF(p_requirement->>'delivery_terms', ''),
+      NULLIF(p_requirement->>'payment_terms', ''),
+      'RFQ',
+      v_broadcast_id,
+      'SENT'
+    )
+    RETURNING id INTO v_proposal_id;
+
+    IF jsonb_typeof(p_items) = 'array' AND jsonb_array_length(p_items) > 0 THEN
+      PERFORM public.replace_proposal_line_items(v_proposal_id, p_items, coalesce(p_totals, '{}'::jsonb));
+    END IF;
+
+    INSERT INTO public.leads (
+      vendor_id, proposal_id, buyer_id, buyer_user_id, buyer_name, buyer_email, buyer_phone, company_name,
+      title, product_name, description, message, quantity, budget, category, location,
+      micro_category_id, city_id, state_id, source, status
+    )
+    VALUES (
+      v_vendor_id,
+      v_proposal_id,
+      NULLIF(p_requirement->>'buyer_id', '')::uuid,
+      NULLIF(p_requirement->>'buyer_user_id', '')::uuid,
+      NULLIF(p_requirement->>'buyer_name', ''),
+      NULLIF(p_requirement->>'buyer_email', ''),
+      NULLIF(p_requirement->>'buyer_phone', ''),
+      NULLIF(p_requirement->>'company_name', ''),
+      coalesce(NULLIF(p_requirement->>'title', ''), 'Requirement'),
+      NULLIF(p_requirement->>'product_name', ''),
+      NULLIF(p_requirement->>'description', ''),
+      NULLIF(p_requirement->>'description', ''),
+      NULLIF(p_requirement->>'quantity', ''),
+      NULLIF(p_requirement->>'budget', '')::numeric,
+      NULLIF(p_requirement->>'category', ''),
+      NULLIF(p_requirement->>'location', ''),
+      NULLIF(p_requirement->>'micro_category_id', '')::uuid,
+      v_city_id,
+      v_state_id,
+      'RFQ_BROADCAST',
+      'AVAILABLE'
+    )
+    RETURNING id INTO v_lead_id;
+
+    INSERT INTO public.rfq_broadcast_recipients (broadcast_id, vendor_id, proposal_id, lead_id)
+    VALUES (v_broadcast_id, v_vendor_id, v_proposal_id, v_lead_id);
+
+    v_recipients := v_recipients || jsonb_build_object(
+      'vendor_id', v_vendor_id,
+      'proposal_id', v_proposal_id,
+      'lead_id', v_lead_id
+    );
+  END LOOP;
+
+  RETURN jsonb_build_object('broadcast_id', v_broadcast_id, 'recipients', v_recipients);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_rfq_broadcast(jsonb, uuid[], jsonb, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.create_rfq_broadcast(jsonb, uuid[], jsonb, jsonb) TO service_role;
+
+-- 5) First quotation against a broadcast proposal marks the supplier as responded
+CREATE OR REPLACE FUNCTION public.trg_rfq_broadcast_responded()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.rfq_id IS NOT NULL AND NEW.proposal_type = 'QUOTATION' THEN
+    UPDATE public.rfq_broadcast_recipients
+    SET responded_at = coalesce(NEW.created_at, now()),
+        quotation_id = NEW.id,
+        viewed_at = coalesce(viewed_at, NEW.created_at, now())
+    WHERE proposal_id = NEW.rfq_id
+      AND vendor_id = NEW.vendor_id
+      AND responded_at IS NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS proposals_rfq_broadcast_responded ON public.proposals;
+CREATE TRIGGER proposals_rfq_broadcast_responded
+  AFTER INSERT ON public.proposals
+  FOR EACH ROW EXECUTE FUNCTION public.trg_rfq_broadcast_responded();
@@ -0,0 +1,126 @@
+-- purchase_lead(): a paid request never consumes plan quota
+-- Crafted: 11-Nov-2026
+-- Safe to rerun: uses CREATE OR REPLACE
+-- Goals:
+-- 1) When p_payment carries a verified Razorpay payment, take the paid branch even if the vendor
+--    still has quota left (quota could free up between /lead/initiate and /lead/verify).
+
+CREATE OR REPLACE FUNCTION public.purchase_lead(p_vendor_id uuid, p_lead_id uuid, p_payment jsonb DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  l public.leads%ROWTYPE;
+  v_existing public.lead_purchases%ROWTYPE;
+  v_purchase public.lead_purchases%ROWTYPE;
+  v_count integer;
+  v_price numeric;
+  v_quota jsonb;
+  v_covered boolean;
+  v_paid boolean := NULLIF(trim(COALESCE(p_payment->>'payment_id', '')), '') IS NOT NULL;
+  v_amount numeric;
+BEGIN
+  -- Lock order: lead, then vendor (same in every caller -> no deadlocks)
+  SELECT * INTO l FROM public.leads WHERE id = p_lead_id FOR NO KEY UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'LEAD_NOT_FOUND';
+  END IF;
+
+  PERFORM 1 FROM public.vendors WHERE id = p_vendor_id FOR NO KEY UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'VENDOR_NOT_FOUND';
+  END IF;
+
+  IF l.vendor_id IS NOT NULL AND l.vendor_id <> p_vendor_id THEN
+    RAISE EXCEPTION 'LEAD_NOT_PURCHASABLE';
+  END IF;
+
+  SELECT * INTO v_existing
+  FROM public.lead_purchases
+  WHERE vendor_id = p_vendor_id AND lead_id = p_lead_id
+  ORDER BY purchase_date DESC NULLS LAST
+  LIMIT 1;
+
+  IF v_existing.id IS NOT NULL THEN
+    RETURN jsonb_build_object('already_purchased', true, 'purchase', to_jsonb(v_existing));
+  END IF;
+
+  IF upper(COALESCE(l.status, 'AVAILABLE')) NOT IN ('AVAILABLE', 'PURCHASED') THEN
+    RAISE EXCEPTION 'LEAD_UNAVAILABLE';
+  END IF;
+
+  SELECT count(*) INTO v_count FROM public.lead_purchases WHERE lead_id = p_lead_id;
+  IF v_count >= 5 THEN
+    RAISE EXCEPTION 'LEAD_CAPACITY_REACHED';
+  END IF;
+
+  v_price := public.compute_lead_price(p_lead_id);
+  v_quota := public.lead_quota_status(p_vendor_id);
+  -- A verified payment always buys the lead; plan quota is only used for unpaid requests
+  v_covered := NOT v_paid AND COALESCE((v_quota->>'covered')::boolean, false);
+
+  IF v_covered THEN
+    v_amount := 0;
+
+    UPDATE public.vendor_lead_quota
+    SET plan_id = (v_quota->>'plan_id')::uuid,
+        daily_used = (v_quota->>'daily_used')::integer + 1,
+        weekly_used = (v_quota->>'weekly_used')::integer + 1,
+        yearly_used = (v_quota->>'yearly_used')::integer + 1,
+        daily_limit = (v_quota->>'daily_limit')::integer,
+        weekly_limit = (v_quota->>'weekly_limit')::integer,
+        yearly_limit = (v_quota->>'yearly_limit')::integer,
+        daily_reset_at = (v_quota->>'day_start')::timestamptz,
+        weekly_reset_at = (v_quota->>'week_start')::timestamptz,
+        yearly_reset_at = GREATEST(COALESCE(yearly_reset_at, (v_quota->>'year_start')::timestamptz), (v_quota->>'year_start')::timestamptz),
+        updated_at = now()
+    WHERE id = (v_quota->>'quota_id')::uuid;
+
+    IF NOT FOUND THEN
+      INSERT INTO public.vendor_lead_quota (
+        vendor_id, plan_id, daily_used, weekly_used, yearly_used,
+        daily_limit, weekly_limit, yearly_limit,
+        daily_reset_at, weekly_reset_at, yearly_reset_at, updated_at
+      )
+      VALUES (
+        p_vendor_id, (v_quota->>'plan_id')::uuid, 1, 1, 1,
+        (v_quota->>'daily_limit')::integer, (v_quota->>'weekly_limit')::integer, (v_quota->>'yearly_limit')::integer,
+        (v_quota->>'day_start')::timestamptz, (v_quota->>'week_start')::timestamptz, now(), now()
+      );
+    END IF;
+  ELSIF v_price > 0 AND NOT v_paid THEN
+    RAISE EXCEPTION 'PAYMENT_REQUIRED';
+  ELSE
+    v_amount := COALESCE(NULLIF(p_payment->>'amount', '')::numeric, v_price);
+  END IF;
+
+  INSERT INTO public.lead_purchases (
+    vendor_id, lead_id, amount, payment_status, purchase_date,
+    payment_method, razorpay_order_id, razorpay_payment_id, consumed_quota
+  )
+  VALUES (
+    p_vendor_id, p_lead_id, v_amount, 'COMPLETED', now(),
+    CASE WHEN v_covered THEN 'PLAN_QUOTA' WHEN v_paid THEN 'RAZORPAY' ELSE 'FREE' END,
+    CASE WHEN v_covered THEN NULL ELSE NULLIF(p_payment->>'order_id', '') END,
+    CASE WHEN v_covered THEN NULL ELSE NULLIF(p_payment->>'payment_id', '') END,
+    v_covered
+  )
+  RETURNING * INTO v_purchase;
+
+  UPDATE public.leads
+  SET status = 'PURCHASED'
+  WHERE id = p_lead_id AND upper(COALESCE(status, 'AVAILABLE')) = 'AVAILABLE';
+
+  RETURN jsonb_build_object(
+    'already_purchased', false,
+    'covered_by_quota', v_covered,
+    'price', v_price,
+    'purchase', to_jsonb(v_purchase)
+  );
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.purchase_lead(uuid, uuid, jsonb) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.purchase_lead(uuid, uuid, jsonb) TO service_role;
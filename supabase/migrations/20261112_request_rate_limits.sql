@@ -0,0 +1,63 @@
+-- Per-key request rate limits shared by the Express server and Netlify functions
+-- Crafted: 12-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards + CREATE OR REPLACE
+-- Goals:
+-- 1) rate_limit_hits: one row per allowed request, per bucket (e.g. marketplace-lead:ip) and key.
+-- 2) hit_rate_limit(): count + record in one transaction, serialized per bucket/key, so parallel
+--    requests from the same client cannot slip past the limit. Old hits are pruned on the way.
+
+-- 1) Hits
+CREATE TABLE IF NOT EXISTS public.rate_limit_hits (
+  id          bigserial PRIMARY KEY,
+  bucket      text NOT NULL,
+  key         text NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_bucket_key
+  ON public.rate_limit_hits (bucket, key, created_at);
+
+ALTER TABLE public.rate_limit_hits ENABLE ROW LEVEL SECURITY;
+
+-- 2) Check and record one request
+CREATE OR REPLACE FUNCTION public.hit_rate_limit(
+  p_bucket text,
+  p_key text,
+  p_max integer,
+  p_window_seconds integer
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_since timestamptz := now() - make_interval(secs => p_window_seconds);
+  v_count integer;
+  v_oldest timestamptz;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtextextended(p_bucket || ':' || p_key, 0));
+
+  DELETE FROM public.rate_limit_hits
+  WHERE bucket = p_bucket AND key = p_key AND created_at < v_since;
+
+  SELECT count(*), min(created_at) INTO v_count, v_oldest
+  FROM public.rate_limit_hits
+  WHERE bucket = p_bucket AND key = p_key;
+
+  IF v_count >= p_max THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'remaining', 0,
+      'retry_after_sec', GREATEST(1, ceil(extract(epoch FROM (v_oldest + make_interval(secs => p_window_seconds) - now())))::integer)
+    );
+  END IF;
+
+  INSERT INTO public.rate_limit_hits (bucket, key) VALUES (p_bucket, p_key);
+
+  RETURN jsonb_build_object('allowed', true, 'remaining', p_max - v_count - 1, 'retry_after_sec', 0);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.hit_rate_limit(text, text, integer, integer) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.hit_rate_limit(text, text, integer, integer) TO service_role;
@@ -0,0 +1,14 @@
+-- Refunds for paid lead purchases that could not be fulfilled
+-- Crafted: 13-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS guards
+-- Goals:
+-- 1) vendor_payments.lead_id: a captured lead payment that purchase_lead rejected (lead filled up,
+--    withdrawn, already owned) is booked against the lead itself, invoiced and refunded with a credit
+--    note. Fulfilled purchases keep using lead_purchase_id.
+
+ALTER TABLE public.vendor_payments
+  ADD COLUMN IF NOT EXISTS lead_id uuid REFERENCES public.leads(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_payments_lead
+  ON public.vendor_payments (lead_id)
+  WHERE lead_id IS NOT NULL;
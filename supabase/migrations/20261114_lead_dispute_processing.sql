@@ -0,0 +1,96 @@
+-- Lead disputes are claimed before the Razorpay refund
+-- Crafted: 14-Nov-2026
+-- Safe to rerun: uses DROP ... IF EXISTS / CREATE OR REPLACE guards
+-- Goals:
+-- 1) lead_disputes.status PROCESSING: the API claims an OPEN dispute (conditional update) before it
+--    refunds, so two agents approving at once refund only once.
+-- 2) refund_lead_purchase() finalizes a claimed (PROCESSING) dispute as well as an OPEN one.
+
+-- 1) Status
+ALTER TABLE public.lead_disputes DROP CONSTRAINT IF EXISTS lead_disputes_status_check;
+ALTER TABLE public.lead_disputes
+  ADD CONSTRAINT lead_disputes_status_check
+  CHECK (status IN ('OPEN','PROCESSING','APPROVED','REJECTED'));
+
+-- 2) Approve a dispute: mark the purchase refunded and give plan quota back (only to the
+-- counters the purchase was charged against, i.e. purchase made inside the current window).
+CREATE OR REPLACE FUNCTION public.refund_lead_purchase(
+  p_dispute_id uuid,
+  p_resolved_by uuid DEFAULT NULL,
+  p_note text DEFAULT NULL,
+  p_razorpay_refund_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute public.lead_disputes%ROWTYPE;
+  v_purchase public.lead_purchases%ROWTYPE;
+  v_method text;
+  v_amount numeric;
+BEGIN
+  SELECT * INTO v_dispute FROM public.lead_disputes WHERE id = p_dispute_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'DISPUTE_NOT_FOUND';
+  END IF;
+  -- PROCESSING = claimed by the API while it issues the Razorpay refund
+  IF v_dispute.status NOT IN ('OPEN', 'PROCESSING') THEN
+    RAISE EXCEPTION 'DISPUTE_ALREADY_RESOLVED';
+  END IF;
+
+  SELECT * INTO v_purchase FROM public.lead_purchases WHERE id = v_dispute.purchase_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'PURCHASE_NOT_FOUND';
+  END IF;
+
+  IF COALESCE(v_purchase.consumed_quota, false) THEN
+    v_method := 'QUOTA_RESTORED';
+    v_amount := 0;
+    UPDATE public.vendor_lead_quota q
+    SET daily_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.daily_reset_at, q.updated_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.daily_used, 0) - 1, 0) ELSE q.daily_used END,
+        weekly_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.weekly_reset_at, q.updated_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.weekly_used, 0) - 1, 0) ELSE q.weekly_used END,
+        yearly_used = CASE
+          WHEN v_purchase.purchase_date >= COALESCE(q.yearly_reset_at, '-infinity'::timestamptz)
+          THEN GREATEST(COALESCE(q.yearly_used, 0) - 1, 0) ELSE q.yearly_used END,
+        updated_at = now()
+    WHERE q.vendor_id = v_purchase.vendor_id;
+  ELSIF NULLIF(p_razorpay_refund_id, '') IS NOT NULL THEN
+    v_method := 'RAZORPAY';
+    v_amount := COALESCE(v_purchase.amount, 0);
+  ELSIF COALESCE(v_purchase.amount, 0) > 0 THEN
+    v_method := 'MANUAL';
+    v_amount := v_purchase.amount;
+  ELSE
+    v_method := 'NONE';
+    v_amount := 0;
+  END IF;
+
+  UPDATE public.lead_purchases
+  SET payment_status = 'REFUNDED',
+      refund_amount = v_amount,
+      refunded_at = now()
+  WHERE id = v_purchase.id;
+
+  UPDATE public.lead_disputes
+  SET status = 'APPROVED',
+      refund_method = v_method,
+      refund_amount = v_amount,
+      razorpay_refund_id = NULLIF(p_razorpay_refund_id, ''),
+      resolution_note = p_note,
+      resolved_by = p_resolved_by,
+      resolved_at = now()
+  WHERE id = v_dispute.id
+  RETURNING * INTO v_dispute;
+
+  RETURN jsonb_build_object('dispute', to_jsonb(v_dispute), 'refund_method', v_method, 'refund_amount', v_amount);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.refund_lead_purchase(uuid, uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.refund_lead_purchase(uuid, uuid, text, text) TO service_role;
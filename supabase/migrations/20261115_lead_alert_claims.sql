@@ -0,0 +1,23 @@
+-- Lead alert distribution can be resumed after a crash
+-- Crafted: 15-Nov-2026
+-- Safe to rerun: uses IF NOT EXISTS / DROP ... IF EXISTS guards
+-- Goals:
+-- 1) leads.alerts_completed_at: set once every matching vendor was handled. alerts_distributed_at stays
+--    the claim; a claim without completion older than a few minutes is taken over by the next sweep.
+-- 2) lead_alerts.status PENDING: the row is written before the instant alert goes out and becomes SENT
+--    only after delivery, so a resumed run retries it instead of treating it as alerted.
+
+-- 1) Completion marker (leads distributed before this migration count as complete)
+ALTER TABLE public.leads
+  ADD COLUMN IF NOT EXISTS alerts_completed_at timestamptz;
+
+UPDATE public.leads
+SET alerts_completed_at = alerts_distributed_at
+WHERE alerts_distributed_at IS NOT NULL
+  AND alerts_completed_at IS NULL;
+
+-- 2) Status
+ALTER TABLE public.lead_alerts DROP CONSTRAINT IF EXISTS lead_alerts_status_check;
+ALTER TABLE public.lead_alerts
+  ADD CONSTRAINT lead_alerts_status_check
+  CHECK (status IN ('PENDING','SENT','QUEUED','DIGESTED','SKIPPED'));
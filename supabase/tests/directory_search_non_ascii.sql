@@ -0,0 +1,48 @@
+-- dir_ranked_products with queries that dir_normalize_search_text reduces to ''
+-- Run against a database with all migrations applied: psql "$DATABASE_URL" -f supabase/tests/directory_search_non_ascii.sql
+-- Everything happens in one transaction and is rolled back.
+
+BEGIN;
+
+INSERT INTO public.vendors (id, company_name)
+VALUES ('00000000-0000-0000-0000-00000000e001', 'Search Fixture Metals');
+
+INSERT INTO public.products (vendor_id, name, description, status)
+VALUES
+  ('00000000-0000-0000-0000-00000000e001', 'Fixture SS Pipe 304', 'Seamless pipe', 'ACTIVE'),
+  ('00000000-0000-0000-0000-00000000e001', 'स्टील पाइप 100%_शुद्ध', 'Steel pipe', 'ACTIVE');
+
+DO $$
+DECLARE
+  v_total integer;
+  v_count integer;
+  v_match text;
+BEGIN
+  SELECT count(*) INTO v_total FROM public.dir_ranked_products();
+
+  -- A blank query still lists everything
+  SELECT count(*) INTO v_count FROM public.dir_ranked_products(p_q => '   ');
+  ASSERT v_count = v_total, format('blank query: expected %s rows, got %s', v_total, v_count);
+
+  -- A non-ASCII query matches product names literally instead of returning the catalog
+  SELECT count(*), min(match_type) INTO v_count, v_match
+  FROM public.dir_ranked_products(p_q => ' स्टील पाइप ');
+  ASSERT v_count = 1, format('non-ASCII query: expected 1 row, got %s', v_count);
+  ASSERT v_match = 'fulltext', format('non-ASCII query: expected fulltext, got %s', v_match);
+
+  SELECT count(*) INTO v_count FROM public.dir_ranked_products(p_q => 'तांबा तार');
+  ASSERT v_count = 0, format('unmatched non-ASCII query: expected 0 rows, got %s', v_count);
+
+  -- LIKE wildcards in the raw query are literal
+  SELECT count(*) INTO v_count FROM public.dir_ranked_products(p_q => '%_');
+  ASSERT v_count = 1, format('wildcard query: expected 1 row, got %s', v_count);
+
+  -- ASCII queries are unchanged
+  SELECT count(*) INTO v_count
+  FROM public.dir_ranked_products(p_q => 'fixture ss pipe')
+  WHERE name = 'Fixture SS Pipe 304';
+  ASSERT v_count = 1, format('ASCII query: expected the fixture product, got %s rows', v_count);
+END;
+$$;
+
+ROLLBACK;